@@ -0,0 +1,361 @@
+/**
+ * Ageing - accounts-receivable ageing report
+ *
+ * Buckets each bill's unpaid balance by how many days it has been open:
+ *   0-30, 31-60, 61-90 and 90+ days
+ * counted from the bill date, or from the due date when the report is run
+ * on a due-date basis (bills that are not due yet count as 0-30).
+ *
+ * The unpaid balance is the bill amount less the cleared payments allocated
+ * to it through linkedBills and any credit notes issued against it. Bills
+ * marked Paid with no allocations are treated as settled, as are bills whose
+ * allocations cover them. Cancelled bills are left out.
+ *
+ * Usage:
+ *   Include after ledger.js (shares its date, rounding and cleared-payment
+ *   rules) and app.js (convertToCSV, downloadCSV, formatDateOnly).
+ *   const report = buildAgeingReport(bills, payments, customers, { asOf, basis, creditNotes });
+ *   downloadAgeingCSV(report); generatePDFAgeing(report);
+ */
+
+const AGEING_BUCKETS = [
+  { key: '0-30', label: '0-30 days', maxDays: 30 },
+  { key: '31-60', label: '31-60 days', maxDays: 60 },
+  { key: '61-90', label: '61-90 days', maxDays: 90 },
+  { key: '90+', label: '90+ days', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Bucket key for a number of days outstanding
+ * @param {number} days
+ * @returns {string}
+ */
+function getAgeingBucket(days) {
+  return AGEING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+}
+
+function emptyAgeingBuckets() {
+  const buckets = {};
+  AGEING_BUCKETS.forEach(bucket => { buckets[bucket.key] = 0; });
+  return buckets;
+}
+
+/**
+ * Whole days from one YYYY-MM-DD day to another
+ * @returns {number}
+ */
+function daysBetween(fromDay, toDay) {
+  return Math.round((Date.parse(toDay + 'T00:00:00Z') - Date.parse(fromDay + 'T00:00:00Z')) / DAY_MS);
+}
+
+/**
+ * Cleared payment allocations per bill id
+ * @param {array} payments
+ * @returns {object} - {billId: allocatedAmount}
+ */
+function getBillAllocations(payments) {
+  const allocations = {};
+  (payments || []).forEach(payment => {
+    if (!isClearedPayment(payment) || !Array.isArray(payment.linkedBills)) return;
+    payment.linkedBills.forEach(lb => {
+      const amount = parseFloat(lb.allocatedAmount !== undefined ? lb.allocatedAmount : lb.amount) || 0;
+      allocations[lb.billId] = roundMoney((allocations[lb.billId] || 0) + amount);
+    });
+  });
+  return allocations;
+}
+
+/**
+ * Credit note amounts per bill id
+ * @param {array} creditNotes
+ * @returns {object} - {billId: creditedAmount}
+ */
+function getBillCredits(creditNotes) {
+  const credits = {};
+  (creditNotes || []).forEach(note => {
+    credits[note.billId] = roundMoney((credits[note.billId] || 0) + (parseFloat(note.amount) || 0));
+  });
+  return credits;
+}
+
+/**
+ * Builds the ageing report
+ * @param {array} bills - Active bills
+ * @param {array} payments - Payments (uncleared cheques are ignored)
+ * @param {array} [customers] - For customer names; bills carrying customerName need none
+ * @param {object} [options] - {asOf: YYYY-MM-DD (default today), basis: "billDate" | "dueDate", creditNotes: array}
+ * @returns {object} - {asOf, basis, customers: [{customerId, customerName, buckets, total, bills}], totals, total, billCount}
+ */
+function buildAgeingReport(bills, payments, customers = [], options = {}) {
+  const asOf = ledgerDay(options.asOf) || new Date().toISOString().slice(0, 10);
+  const basis = options.basis === 'dueDate' ? 'dueDate' : 'billDate';
+  const allocations = getBillAllocations(payments);
+  const credits = getBillCredits(options.creditNotes);
+  const names = {};
+  (customers || []).forEach(c => { names[c.id] = c.name; });
+
+  const byCustomer = {};
+  const totals = emptyAgeingBuckets();
+  let billCount = 0;
+
+  (bills || []).forEach(bill => {
+    const billDate = ledgerDay(bill.billDate || bill.createdAt);
+    if (!billDate || billDate > asOf || isCancelledBill(bill)) return;
+
+    const amount = roundMoney(parseFloat(bill.billAmount) || 0);
+    const paid = allocations[bill.id] || 0;
+    const credited = credits[bill.id] || 0;
+    const settled = String(bill.status || '').toLowerCase() === 'paid' && paid === 0;
+    const balance = settled ? 0 : roundMoney(amount - paid - credited);
+    if (balance <= 0) return;
+
+    const dueDate = ledgerDay(bill.dueDate) || billDate;
+    const days = Math.max(0, daysBetween(basis === 'dueDate' ? dueDate : billDate, asOf));
+    const bucket = getAgeingBucket(days);
+
+    const key = String(bill.customerId);
+    if (!byCustomer[key]) {
+      byCustomer[key] = {
+        customerId: bill.customerId,
+        customerName: names[bill.customerId] || bill.customerName || `Customer #${bill.customerId}`,
+        buckets: emptyAgeingBuckets(),
+        total: 0,
+        bills: []
+      };
+    }
+    const row = byCustomer[key];
+    row.buckets[bucket] = roundMoney(row.buckets[bucket] + balance);
+    row.total = roundMoney(row.total + balance);
+    row.bills.push({ id: bill.id, billDate, dueDate, amount, paid, credited, balance, days, bucket });
+    totals[bucket] = roundMoney(totals[bucket] + balance);
+    billCount++;
+  });
+
+  const rows = Object.values(byCustomer).sort((a, b) => b.total - a.total);
+  rows.forEach(row => row.bills.sort((a, b) => b.days - a.days));
+
+  return {
+    asOf,
+    basis,
+    customers: rows,
+    totals,
+    total: roundMoney(AGEING_BUCKETS.reduce((sum, bucket) => sum + totals[bucket.key], 0)),
+    billCount
+  };
+}
+
+/**
+ * Narrows a report to the bills in one bucket (for drill-down and exports)
+ * @param {object} report - Result of buildAgeingReport()
+ * @param {string} bucketKey - e.g. "61-90"; empty returns the report unchanged
+ * @returns {object} - Report of the same shape, with `bucket` set
+ */
+function filterAgeingReport(report, bucketKey) {
+  if (!bucketKey) return report;
+  const only = amount => {
+    const buckets = emptyAgeingBuckets();
+    buckets[bucketKey] = amount;
+    return buckets;
+  };
+  const customers = report.customers
+    .filter(row => row.buckets[bucketKey] > 0)
+    .map(row => ({
+      ...row,
+      buckets: only(row.buckets[bucketKey]),
+      total: row.buckets[bucketKey],
+      bills: row.bills.filter(bill => bill.bucket === bucketKey)
+    }));
+  return {
+    ...report,
+    bucket: bucketKey,
+    customers,
+    totals: only(report.totals[bucketKey]),
+    total: report.totals[bucketKey],
+    billCount: customers.reduce((count, row) => count + row.bills.length, 0)
+  };
+}
+
+function getAgeingFilename(report, extension) {
+  return `Ageing_${report.bucket ? report.bucket.replace('+', 'plus') + '_' : ''}${report.asOf}.${extension}`;
+}
+
+/**
+ * Converts an ageing report to CSV: one row per customer and a total row,
+ * or with `detail` one row per unpaid bill
+ * @param {object} report - Result of buildAgeingReport()
+ * @param {boolean} [detail]
+ * @returns {string} - CSV string
+ */
+function ageingToCSV(report, detail = false) {
+  if (detail) {
+    const headers = [
+      { key: 'customer', label: 'Customer' },
+      { key: 'billId', label: 'Bill ID' },
+      { key: 'billDate', label: 'Bill Date' },
+      { key: 'dueDate', label: 'Due Date' },
+      { key: 'days', label: 'Days Outstanding' },
+      { key: 'bucket', label: 'Bucket' },
+      { key: 'amount', label: 'Bill Amount' },
+      { key: 'paid', label: 'Paid' },
+      { key: 'credited', label: 'Credited' },
+      { key: 'balance', label: 'Balance' }
+    ];
+    const rows = [];
+    report.customers.forEach(row => row.bills.forEach(bill => rows.push({
+      customer: row.customerName,
+      billId: String(bill.id),
+      billDate: bill.billDate,
+      dueDate: bill.dueDate,
+      days: String(bill.days),
+      bucket: bill.bucket,
+      amount: bill.amount.toFixed(2),
+      paid: bill.paid.toFixed(2),
+      credited: bill.credited.toFixed(2),
+      balance: bill.balance.toFixed(2)
+    })));
+    return convertToCSV(rows, headers);
+  }
+
+  const headers = [
+    { key: 'customer', label: 'Customer' },
+    ...AGEING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label })),
+    { key: 'total', label: 'Total' }
+  ];
+  // Amounts keep two decimals, so every bucket reads "0.00" rather than "0"
+  const amounts = (buckets, total) => {
+    const row = { total: total.toFixed(2) };
+    AGEING_BUCKETS.forEach(bucket => { row[bucket.key] = buckets[bucket.key].toFixed(2); });
+    return row;
+  };
+  const rows = report.customers.map(row => ({ customer: row.customerName, ...amounts(row.buckets, row.total) }));
+  rows.push({ customer: 'Total', ...amounts(report.totals, report.total) });
+  return convertToCSV(rows, headers);
+}
+
+function downloadAgeingCSV(report, detail = false) {
+  const name = getAgeingFilename(report, 'csv');
+  downloadCSV(ageingToCSV(report, detail), detail ? name.replace('Ageing_', 'Ageing_Detail_') : name);
+}
+
+/**
+ * Builds the ageing report PDF (same layout conventions as generatePDFStatement)
+ * @param {object} report - Result of buildAgeingReport()
+ * @returns {jsPDF|null} - null when jsPDF is not loaded
+ */
+function buildPDFAgeing(report) {
+  if (!window.jspdf) {
+    console.error('jsPDF library not loaded');
+    return null;
+  }
+
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF();
+  const money = value => value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const columns = [105, 130, 155, 178];
+
+  // Header
+  doc.setFontSize(20);
+  doc.setTextColor(102, 126, 234);
+  doc.text('RECEIVABLES AGEING', 105, 20, { align: 'center' });
+  doc.setFontSize(10);
+  doc.setTextColor(0, 0, 0);
+  const bucket = AGEING_BUCKETS.find(b => b.key === report.bucket);
+  doc.text('As of ' + formatDateOnly(report.asOf) + ' - aged by ' + (report.basis === 'dueDate' ? 'due date' : 'bill date') + (bucket ? ' - ' + bucket.label + ' only' : ''), 105, 28, { align: 'center' });
+  doc.text('Total outstanding: ₹' + money(report.total) + ' across ' + report.billCount + ' bill(s)', 105, 34, { align: 'center' });
+
+  let yPos = 45;
+  const drawTableHeader = () => {
+    doc.setFillColor(102, 126, 234);
+    doc.rect(15, yPos, 180, 6, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(9);
+    doc.text('Customer', 17, yPos + 4);
+    AGEING_BUCKETS.forEach((bucket, i) => doc.text(bucket.key, columns[i], yPos + 4, { align: 'right' }));
+    doc.text('Total', 193, yPos + 4, { align: 'right' });
+    doc.setTextColor(0, 0, 0);
+    yPos += 10;
+  };
+  drawTableHeader();
+
+  const drawRow = (label, buckets, total) => {
+    doc.text(doc.splitTextToSize(label, 60)[0] || '', 17, yPos);
+    AGEING_BUCKETS.forEach((bucket, i) => doc.text(buckets[bucket.key] ? money(buckets[bucket.key]) : '-', columns[i], yPos, { align: 'right' }));
+    doc.text(money(total), 193, yPos, { align: 'right' });
+    yPos += 6;
+  };
+
+  doc.setFont(undefined, 'normal');
+  report.customers.forEach(row => {
+    if (yPos > 270) {
+      doc.addPage();
+      yPos = 20;
+      drawTableHeader();
+    }
+    doc.setFontSize(8);
+    drawRow(row.customerName, row.buckets, row.total);
+  });
+
+  if (report.customers.length === 0) {
+    doc.setFontSize(9);
+    doc.text('No outstanding bills', 105, yPos, { align: 'center' });
+    yPos += 6;
+  }
+
+  if (yPos > 270) {
+    doc.addPage();
+    yPos = 20;
+  }
+  doc.setDrawColor(200, 200, 200);
+  doc.line(15, yPos - 3, 195, yPos - 3);
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'bold');
+  yPos += 2;
+  drawRow('Total', report.totals, report.total);
+  doc.setFont(undefined, 'normal');
+
+  // Footer
+  const pageCount = doc.internal.pages.length - 1;
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(128, 128, 128);
+    doc.text('Page ' + i + ' of ' + pageCount, 105, 285, { align: 'center' });
+    doc.text('Generated on ' + formatDate(new Date().toISOString()), 105, 290, { align: 'center' });
+  }
+
+  return doc;
+}
+
+/**
+ * Downloads the ageing report as a PDF
+ * @param {object} report - Result of buildAgeingReport()
+ * @returns {boolean} - Success
+ */
+function generatePDFAgeing(report) {
+  try {
+    const doc = buildPDFAgeing(report);
+    if (!doc) return false;
+    doc.save(getAgeingFilename(report, 'pdf'));
+    return true;
+  } catch (err) {
+    logError('generatePDFAgeing', err);
+    return false;
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AGEING_BUCKETS,
+    getAgeingBucket,
+    getBillAllocations,
+    getBillCredits,
+    buildAgeingReport,
+    filterAgeingReport,
+    ageingToCSV,
+    buildPDFAgeing,
+    generatePDFAgeing
+  };
+}
@@ -1,23 +1,123 @@
 /**
  * API Configuration File
- * 
- * This file centralizes API configuration for easy switching between
- * local development and production environments.
- * 
- * Usage:
- *   - For local development: Set API_BASE to "http://localhost/api"
- *   - For production: Set API_BASE to "https://businessmanagementapi.onrender.com/api"
+ *
+ * Central environment system for every page and script. Each named profile
+ * carries its own API base URL and Swagger URL; the active profile is chosen
+ * at load time, first match wins:
+ *   1. URL query:  dashboard.html?env=staging  (remembered in localStorage)
+ *   2. localStorage "apiEnv" (set by a previous ?env= or setApiEnvironment())
+ *   3. Build-time injection: window.__API_ENV__ = "staging" in a script before
+ *      this file, or <meta name="api-env" content="staging">
+ *   4. Node only: process.env.API_ENV
+ *   5. Default: "production"
+ *
+ * Use ?env=default (or clearApiEnvironment()) to drop a remembered override.
+ *
+ * The mock profile talks to mock/server.js by default; add ?mock=inline to
+ * answer requests inside the page instead (mock/mock-fetch.js), or
+ * ?mock=server to switch back.
  */
 
+// Named environment profiles
+const API_PROFILES = {
+  local: {
+    LABEL: "Local",
+    BASE_URL: "http://localhost/api",
+    SWAGGER_URL: "http://localhost/swagger/index.html",
+    COLOR: "#27ae60"
+  },
+  staging: {
+    LABEL: "Staging",
+    BASE_URL: "https://businessapi-njcw.onrender.com/api",
+    SWAGGER_URL: "https://businessapi-njcw.onrender.com/swagger/index.html",
+    COLOR: "#f39c12"
+  },
+  production: {
+    LABEL: "Production",
+    BASE_URL: "https://businessmanagementapi.onrender.com/api",
+    SWAGGER_URL: "https://businessmanagementapi.onrender.com/swagger/index.html",
+    COLOR: "#2c3e50"
+  },
+  mock: {
+    LABEL: "Mock",
+    BASE_URL: "http://localhost:4010/api",
+    SWAGGER_URL: "http://localhost:4010/swagger/index.html",
+    COLOR: "#8e44ad"
+  }
+};
+
+const API_DEFAULT_ENVIRONMENT = "production";
+const API_ENV_STORAGE_KEY = "apiEnv";
+const API_MOCK_TRANSPORT_KEY = "apiMockTransport";
+
+function isApiEnvironment(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(API_PROFILES, name.toLowerCase());
+}
+
+/**
+ * Works out which profile is active (see the precedence list above).
+ * A valid ?env= value is persisted so it survives navigation between pages.
+ * @returns {string} - Profile name
+ */
+function resolveApiEnvironment() {
+  if (typeof window !== 'undefined') {
+    try {
+      const queryEnv = new URLSearchParams(window.location.search).get('env');
+      if (queryEnv) {
+        const name = queryEnv.toLowerCase();
+        if (name === 'default') {
+          localStorage.removeItem(API_ENV_STORAGE_KEY);
+        } else if (isApiEnvironment(name)) {
+          localStorage.setItem(API_ENV_STORAGE_KEY, name);
+          return name;
+        }
+      }
+    } catch (e) { /* localStorage can be unavailable (private mode, file://) */ }
+
+    try {
+      const stored = localStorage.getItem(API_ENV_STORAGE_KEY);
+      if (isApiEnvironment(stored)) return stored.toLowerCase();
+    } catch (e) { /* fall through */ }
+
+    if (isApiEnvironment(window.__API_ENV__)) return window.__API_ENV__.toLowerCase();
+
+    const meta = typeof document !== 'undefined' && document.querySelector('meta[name="api-env"]');
+    if (meta && isApiEnvironment(meta.content)) return meta.content.toLowerCase();
+  }
+
+  if (typeof process !== 'undefined' && process.env && isApiEnvironment(process.env.API_ENV)) {
+    return process.env.API_ENV.toLowerCase();
+  }
+
+  return API_DEFAULT_ENVIRONMENT;
+}
+
+/**
+ * How the mock profile is served: "server" (mock/server.js) or "inline".
+ * @returns {string}
+ */
+function resolveMockTransport() {
+  if (typeof window === 'undefined') return 'server';
+  try {
+    const queryMode = new URLSearchParams(window.location.search).get('mock');
+    if (queryMode === 'inline' || queryMode === 'server') {
+      localStorage.setItem(API_MOCK_TRANSPORT_KEY, queryMode);
+      return queryMode;
+    }
+    return localStorage.getItem(API_MOCK_TRANSPORT_KEY) === 'inline' ? 'inline' : 'server';
+  } catch (e) {
+    return 'server';
+  }
+}
+
+const ACTIVE_API_ENVIRONMENT = resolveApiEnvironment();
+const ACTIVE_API_PROFILE = API_PROFILES[ACTIVE_API_ENVIRONMENT];
+
 // API Configuration
 const API_CONFIG = {
-  // Base URL for the API
-  // Production API deployed at: https://businessmanagementapi.onrender.com
-  BASE_URL: "https://businessmanagementapi.onrender.com/api",
-  
-  // Alternative: Local Development URL
-  // BASE_URL: "http://localhost/api",
-  
+  // Base URL for the API (from the active profile)
+  BASE_URL: ACTIVE_API_PROFILE.BASE_URL,
+
   // API Endpoints
   ENDPOINTS: {
     AUTH: "/Auth",
@@ -25,14 +125,68 @@ const API_CONFIG = {
     BILLS: "/Bills",
     PAYMENTS: "/Payments"
   },
-  
+
   // Swagger Documentation URL
-  SWAGGER_URL: "https://businessmanagementapi.onrender.com/swagger/index.html",
-  
-  // Environment
-  ENVIRONMENT: "production" // "local" or "production"
+  SWAGGER_URL: ACTIVE_API_PROFILE.SWAGGER_URL,
+
+  // Environment: one of the API_PROFILES keys
+  ENVIRONMENT: ACTIVE_API_ENVIRONMENT,
+  ENVIRONMENT_LABEL: ACTIVE_API_PROFILE.LABEL,
+  MOCK_TRANSPORT: ACTIVE_API_ENVIRONMENT === 'mock' ? resolveMockTransport() : null,
+  PROFILES: API_PROFILES
 };
 
+/**
+ * Switches the remembered environment and reloads so every client picks it up.
+ * @param {string} name - Profile name
+ */
+function setApiEnvironment(name) {
+  if (!isApiEnvironment(name)) {
+    throw new Error(`Unknown API environment "${name}". Use one of: ${Object.keys(API_PROFILES).join(', ')}`);
+  }
+  localStorage.setItem(API_ENV_STORAGE_KEY, name.toLowerCase());
+  // A token from one environment is meaningless in another
+  localStorage.removeItem('token');
+  window.location.href = window.location.pathname;
+}
+
+function clearApiEnvironment() {
+  localStorage.removeItem(API_ENV_STORAGE_KEY);
+  window.location.href = window.location.pathname;
+}
+
+/**
+ * Header badge naming the active environment; the tooltip shows the API host.
+ * @returns {string} - HTML
+ */
+function getEnvironmentBadgeHtml() {
+  const style = `display:inline-block;padding:4px 10px;border-radius:12px;font-size:0.75rem;font-weight:600;letter-spacing:0.5px;text-transform:uppercase;color:#fff;background:${ACTIVE_API_PROFILE.COLOR};border:1px solid rgba(255,255,255,0.4);white-space:nowrap;`;
+  return `<span class="env-badge env-badge-${ACTIVE_API_ENVIRONMENT}" style="${style}" title="API: ${API_CONFIG.BASE_URL}">${ACTIVE_API_PROFILE.LABEL}</span>`;
+}
+
+/**
+ * Adds the badge to the page header's button group, or pins it to the
+ * top-right corner on pages without a header (login, tools).
+ */
+function mountEnvironmentBadge() {
+  if (document.querySelector('.env-badge')) return;
+  const header = document.getElementById('mainHeader') || document.querySelector('.header');
+  const holder = document.createElement('span');
+  holder.innerHTML = getEnvironmentBadgeHtml();
+  const badge = holder.firstChild;
+
+  if (header) {
+    const target = header.querySelector(':scope > div:last-child') || header;
+    target.insertBefore(badge, target.firstChild);
+  } else {
+    badge.style.position = 'fixed';
+    badge.style.top = '10px';
+    badge.style.right = '10px';
+    badge.style.zIndex = '2000';
+    document.body.appendChild(badge);
+  }
+}
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = API_CONFIG;
@@ -41,8 +195,18 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make available globally
 if (typeof window !== 'undefined') {
   window.API_CONFIG = API_CONFIG;
+  window.setApiEnvironment = setApiEnvironment;
+  window.clearApiEnvironment = clearApiEnvironment;
+  // Inline mock: load the in-page API before any other script can call fetch
+  if (API_CONFIG.MOCK_TRANSPORT === 'inline' && document.readyState === 'loading') {
+    document.write('<script src="mock/mock-api.js"><\/script><script src="mock/mock-fetch.js"><\/script>');
+  }
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountEnvironmentBadge);
+  } else {
+    mountEnvironmentBadge();
+  }
 }
 
 // Set API_BASE for backward compatibility
 const API_BASE = API_CONFIG.BASE_URL;
-
@@ -1,69 +1,453 @@
 /**
- * BusinessApi Service - Ready to use in your UI
- * Copy this file to your UI project and use it
+ * BusinessApi Service - the single HTTP client for every page
+ *
+ * All requests (fetchJson in app.js, the typed methods below, file uploads)
+ * go through BusinessApiService.request(), which adds:
+ *   - the bearer token and JSON headers
+ *   - a per-request timeout
+ *   - exponential-backoff retries for idempotent calls (the Render backend
+ *     can take a while to cold-start)
+ *   - cancellation scopes, e.g. everything a dashboard tab started is
+ *     aborted when the user switches tabs
+ *   - de-duplication of identical GETs that are already in flight
+ *   - one 401 policy: clear the session and go to login.html
+ *
+ * Failed requests carry an ApiError, which getErrorMessage()/handleApiError()
+ * in app.js understand.
  */
 
+// Browser pages load api-config.js first; Node scripts pull it in here
+const API_SERVICE_CONFIG = typeof API_CONFIG !== 'undefined' ? API_CONFIG : require('./api-config.js');
+
+const API_CLIENT_DEFAULTS = {
+  timeout: 30000,       // ms per attempt
+  retries: 3,           // extra attempts for idempotent calls
+  retryDelay: 500,      // ms before the first retry, doubled each time
+  maxRetryDelay: 8000
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+/**
+ * Error raised for failed API requests
+ * code: 'HTTP' (server answered with an error), 'TIMEOUT', 'NETWORK' or 'ABORTED'
+ */
+class ApiError extends Error {
+  constructor(message, { status = 0, code = 'HTTP', errors = [], data = null, method = 'GET', url = '' } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.data = data;
+    this.method = method;
+    this.url = url;
+  }
+
+  /**
+   * Builds an ApiError from a parsed response
+   * @param {object} result - {status, data, apiResponse}
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @returns {ApiError}
+   */
+  static fromResult(result, method, url) {
+    const envelope = result.apiResponse || (result.data && typeof result.data === 'object' ? result.data : {});
+    const errors = Array.isArray(envelope.errors) ? envelope.errors : [];
+    const message = (errors.length > 0 ? errors.map(e => e.message || e).join(', ') : '') ||
+      envelope.message || envelope.error || `Request failed (Status: ${result.status})`;
+    return new ApiError(message, { status: result.status, code: 'HTTP', errors, data: result.data, method, url });
+  }
+}
+
+// ==================== LIST QUERIES ====================
+//
+// Collection endpoints (/customers, /bills, /payments) accept:
+//   page, pageSize  1-based page; without page the whole collection comes back as an array
+//   sort            field name, "-field" for descending
+//   search          case-insensitive match on the collection's search fields
+//   from, to        inclusive yyyy-mm-dd range on the collection's date field
+//   anything else   exact match, e.g. customerId=4, status=Paid, cleared=false
+// and answer a paged request with {items, page, pageSize, totalCount, totalPages}.
+
+const LIST_QUERY_FIELDS = {
+  customers: {
+    search: ['id', 'name', 'phone', 'email', 'address', 'city', 'state', 'gstNumber'],
+    date: ['createdAt']
+  },
+  bills: {
+    search: ['id', 'billNumber', 'customerName', 'billAmount', 'status', 'notes'],
+    date: ['billDate', 'createdAt']
+  },
+  payments: {
+    search: ['id', 'customerId', 'customerName', 'billId', 'amount', 'mode', 'chequeNumber'],
+    date: ['paymentDate', 'createdAt']
+  },
+  creditNotes: {
+    search: ['id', 'creditNoteNumber', 'customerName', 'billId', 'amount', 'reason'],
+    date: ['creditNoteDate', 'createdAt']
+  },
+  quotations: {
+    search: ['id', 'quoteNumber', 'customerName', 'amount', 'status', 'notes'],
+    date: ['quoteDate', 'validUntil', 'createdAt']
+  }
+};
+
+const LIST_CONTROL_PARAMS = ['page', 'pageSize', 'sort', 'search', 'from', 'to'];
+
+/**
+ * Serialises a list query, skipping empty values
+ * @param {Object} query - e.g. {page: 2, pageSize: 50, sort: '-billDate'}
+ * @returns {string} - "?page=2&pageSize=50&sort=-billDate", or '' for an empty query
+ */
+function buildQueryString(query = {}) {
+  const params = new URLSearchParams();
+  Object.keys(query).forEach(key => {
+    const value = query[key];
+    if (value === undefined || value === null || value === '') return;
+    params.append(key, String(value));
+  });
+  const text = params.toString();
+  return text ? `?${text}` : '';
+}
+
+function compareListValues(a, b) {
+  const aEmpty = a === undefined || a === null || a === '';
+  const bEmpty = b === undefined || b === null || b === '';
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Filters and sorts a collection the way the API does. Used by the mock API
+ * and when a backend ignores the query and returns the full array.
+ * @param {Array} items - Records
+ * @param {Object} query - List query (paging keys are ignored here)
+ * @param {Object} fields - {search: [...], date: [...]} from LIST_QUERY_FIELDS
+ * @returns {Array} - New array
+ */
+function applyListQuery(items, query = {}, fields = {}) {
+  let result = Array.isArray(items) ? items.slice() : [];
+  const searchFields = fields.search || [];
+  const dateFields = fields.date || [];
+
+  Object.keys(query).forEach(key => {
+    const value = query[key];
+    if (LIST_CONTROL_PARAMS.includes(key) || value === undefined || value === null || value === '') return;
+    const expected = String(value).toLowerCase();
+    result = result.filter(item => item[key] !== undefined && item[key] !== null && String(item[key]).toLowerCase() === expected);
+  });
+
+  if (query.search) {
+    const term = String(query.search).toLowerCase();
+    result = result.filter(item => searchFields.some(f => item[f] !== undefined && item[f] !== null && String(item[f]).toLowerCase().includes(term)));
+  }
+
+  if ((query.from || query.to) && dateFields.length > 0) {
+    result = result.filter(item => {
+      const raw = dateFields.map(f => item[f]).find(Boolean);
+      if (!raw) return false;
+      const day = String(raw).slice(0, 10);
+      return (!query.from || day >= query.from) && (!query.to || day <= query.to);
+    });
+  }
+
+  if (query.sort) {
+    const desc = query.sort.startsWith('-');
+    const field = desc ? query.sort.slice(1) : query.sort;
+    result.sort((a, b) => {
+      const aEmpty = a[field] === undefined || a[field] === null || a[field] === '';
+      const bEmpty = b[field] === undefined || b[field] === null || b[field] === '';
+      // Records without a value stay at the end in both directions
+      if (aEmpty || bEmpty) return aEmpty === bEmpty ? compareListValues(a.id, b.id) : (aEmpty ? 1 : -1);
+      const order = compareListValues(a[field], b[field]) || compareListValues(a.id, b.id);
+      return desc ? -order : order;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Normalises a list response to a page. A paged body passes through; a plain
+ * array (older backends, offline cache) is filtered, sorted and sliced here.
+ * @param {Array|Object} data - Response body
+ * @param {Object} query - The query that was sent
+ * @param {string} collection - Key of LIST_QUERY_FIELDS
+ * @returns {{items: Array, page: number, pageSize: number, totalCount: number, totalPages: number}}
+ */
+function toPagedResult(data, query = {}, collection) {
+  if (data && !Array.isArray(data) && Array.isArray(data.items)) return data;
+
+  const all = applyListQuery(Array.isArray(data) ? data : [], query, LIST_QUERY_FIELDS[collection]);
+  const pageSize = Number(query.pageSize) > 0 ? Number(query.pageSize) : (all.length || 1);
+  const totalPages = Math.max(1, Math.ceil(all.length / pageSize));
+  const page = Math.min(Math.max(1, Number(query.page) || 1), totalPages);
+  return {
+    items: all.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    pageSize,
+    totalCount: all.length,
+    totalPages
+  };
+}
+
 class BusinessApiService {
-  constructor(baseUrl = 'https://businessmanagementapi.onrender.com/api') {
+  constructor(baseUrl = API_SERVICE_CONFIG.BASE_URL, options = {}) {
     this.baseUrl = baseUrl;
+    this.timeout = options.timeout ?? API_CLIENT_DEFAULTS.timeout;
+    this.retries = options.retries ?? API_CLIENT_DEFAULTS.retries;
+    this.retryDelay = options.retryDelay ?? API_CLIENT_DEFAULTS.retryDelay;
+    this.maxRetryDelay = options.maxRetryDelay ?? API_CLIENT_DEFAULTS.maxRetryDelay;
+    this.getToken = options.getToken || (() => localStorage.getItem('token'));
+    this.onUnauthorized = options.onUnauthorized || (() => this.redirectToLogin());
+    this.inFlight = new Map();
+    this.scopes = new Map();
   }
 
   /**
    * Get authorization headers with token
    */
   getHeaders() {
-    const token = localStorage.getItem('token');
-    if (!token) {
-      // Redirect to login if no token
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
-      }
-      return {};
+    const token = this.getToken();
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    return headers;
+  }
+
+  /**
+   * Clears the session and sends the user to the login page
+   */
+  redirectToLogin() {
+    ['token', 'userCode', 'userType', 'userRole', 'userInfo', 'userPermissions'].forEach(key => localStorage.removeItem(key));
+    if (typeof window !== 'undefined' && !/login\.html$/i.test(window.location.pathname)) {
+      window.location.href = 'login.html';
     }
+  }
 
-    return {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
+  /**
+   * Resolves an endpoint ("/customers") or absolute URL
+   * @param {string} url - Endpoint or URL
+   * @returns {string} - Absolute URL
+   */
+  resolveUrl(url) {
+    return /^https?:\/\//i.test(url) ? url : `${this.baseUrl}${url}`;
   }
 
+  // ==================== CANCELLATION ====================
+
   /**
-   * Generic API call method
+   * Returns the abort signal for a named scope, starting a new scope if needed
+   * @param {string} name - Scope name, e.g. "tab"
+   * @returns {AbortSignal}
    */
-  async apiCall(endpoint, method = 'GET', body = null) {
-    const options = {
-      method,
-      headers: this.getHeaders()
-    };
+  getScopeSignal(name) {
+    let controller = this.scopes.get(name);
+    if (!controller || controller.signal.aborted) {
+      controller = new AbortController();
+      this.scopes.set(name, controller);
+    }
+    return controller.signal;
+  }
 
-    if (body) {
-      options.body = JSON.stringify(body);
+  /**
+   * Cancels every request started in a scope
+   * @param {string} name - Scope name
+   */
+  abortScope(name) {
+    const controller = this.scopes.get(name);
+    if (controller) {
+      controller.abort();
+      this.scopes.delete(name);
+    }
+    // New requests in the next scope must not join the cancelled ones
+    for (const key of this.inFlight.keys()) {
+      if (key.startsWith(`${name} `)) this.inFlight.delete(key);
+    }
+  }
+
+  // ==================== REQUESTS ====================
+
+  /**
+   * Sends a request and resolves with {ok, status, data, apiResponse, error}.
+   * HTTP errors resolve with ok: false; cancelled requests resolve with
+   * aborted: true; timeouts and network failures reject with an ApiError.
+   * @param {string} url - Endpoint or absolute URL
+   * @param {object} opts - fetch options plus {timeout, retries, scope, dedupe, responseType, skipAuthRedirect}
+   * @returns {Promise<object>}
+   */
+  request(url, opts = {}) {
+    const method = (opts.method || 'GET').toUpperCase();
+    const fullUrl = this.resolveUrl(url);
+
+    if (method !== 'GET' || opts.dedupe === false || opts.signal) {
+      return this.send(fullUrl, method, opts);
+    }
+
+    const key = `${opts.scope || ''} ${opts.responseType || 'json'} ${fullUrl} ${this.getToken() || ''}`;
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const promise = this.send(fullUrl, method, opts).finally(() => {
+      if (this.inFlight.get(key) === promise) this.inFlight.delete(key);
+    });
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  async send(url, method, opts) {
+    const retries = opts.retries ?? (IDEMPOTENT_METHODS.includes(method) ? this.retries : 0);
+    const signal = opts.signal || (opts.scope ? this.getScopeSignal(opts.scope) : null);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.attempt(url, method, opts, signal);
+
+        if (RETRYABLE_STATUSES.includes(result.status) && attempt < retries) {
+          await this.backoff(attempt, signal);
+          continue;
+        }
+
+        if (result.status === 401 && !opts.skipAuthRedirect && !/\/auth\//i.test(url)) {
+          this.onUnauthorized();
+        }
+        return result;
+      } catch (err) {
+        if (err.code === 'ABORTED') {
+          return { ok: false, status: 0, aborted: true, data: null, error: err };
+        }
+        if (attempt < retries) {
+          try {
+            await this.backoff(attempt, signal);
+          } catch (abortErr) {
+            return { ok: false, status: 0, aborted: true, data: null, error: abortErr };
+          }
+          continue;
+        }
+        throw err;
+      }
+    }
+  }
+
+  async attempt(url, method, opts, signal) {
+    const controller = new AbortController();
+    const timeout = opts.timeout ?? this.timeout;
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout) : null;
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', onAbort, { once: true });
     }
 
     try {
-      const response = await fetch(`${this.baseUrl}${endpoint}`, options);
-      const data = await response.json();
-
-      // Handle 401 Unauthorized - token expired
-      if (response.status === 401) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('userCode');
-        localStorage.removeItem('userType');
-        window.location.href = '/login';
-        return null;
+      const response = await fetch(url, {
+        method,
+        headers: this.buildHeaders(opts.headers, opts.body),
+        body: opts.body,
+        signal: controller.signal
+      });
+      return await this.parseResponse(response, opts.responseType, method, url);
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      if (timedOut) {
+        throw new ApiError(`Request timed out after ${timeout / 1000}s`, { code: 'TIMEOUT', method, url });
       }
+      if (controller.signal.aborted) {
+        throw new ApiError('Request was cancelled', { code: 'ABORTED', method, url });
+      }
+      throw new ApiError('Unable to reach the server. Please check your connection.', { code: 'NETWORK', method, url });
+    } finally {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  buildHeaders(extra = {}, body) {
+    const headers = { ...this.getHeaders(), ...extra };
+    // Let the browser set the multipart boundary for uploads
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+      delete headers['Content-Type'];
+    }
+    return headers;
+  }
 
-      // Handle API errors
-      if (!response.ok || !data.status) {
-        const errorMessage = data.message || data.errors?.join(', ') || 'Request failed';
-        throw new Error(errorMessage);
+  async parseResponse(response, responseType, method, url) {
+    let result;
+    if (responseType === 'blob' && response.ok) {
+      result = { ok: true, status: response.status, data: await response.blob() };
+    } else {
+      const text = await response.text();
+      let parsed;
+      try {
+        parsed = text ? JSON.parse(text) : null;
+      } catch (e) {
+        parsed = text;
       }
+      // Handle new API response format: {status, message, body, errors}
+      if (parsed && typeof parsed === 'object' && 'status' in parsed) {
+        result = {
+          ok: response.ok && parsed.status,
+          status: response.status,
+          data: parsed.body || parsed.data || parsed,
+          apiResponse: parsed // Store full response for error messages
+        };
+      } else {
+        // Fallback for old format
+        result = { ok: response.ok, status: response.status, data: parsed };
+      }
+    }
+
+    if (!result.ok) result.error = ApiError.fromResult(result, method, url);
+    return result;
+  }
 
-      return data.body;
-    } catch (error) {
-      console.error(`API Error (${method} ${endpoint}):`, error);
-      throw error;
+  backoff(attempt, signal) {
+    const base = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt));
+    const delay = base / 2 + Math.random() * base / 2;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ApiError('Request was cancelled', { code: 'ABORTED' }));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Generic API call method - resolves with the response body or throws an ApiError
+   */
+  async apiCall(endpoint, method = 'GET', body = null) {
+    const result = await this.request(endpoint, {
+      method,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!result.ok) {
+      console.error(`API Error (${method} ${endpoint}):`, result.error);
+      throw result.error;
     }
+
+    return result.apiResponse ? result.apiResponse.body : result.data;
+  }
+
+  /**
+   * GET a collection with a list query (see LIST QUERIES above)
+   * @returns {Promise<Object|Array>} - A page when query.page is set, otherwise the matching records
+   */
+  async getList(endpoint, collection, query = {}) {
+    const data = await this.apiCall(endpoint + buildQueryString(query));
+    if (query.page) return toPagedResult(data, query, collection);
+    if (Array.isArray(data)) return applyListQuery(data, query, LIST_QUERY_FIELDS[collection]);
+    return data && Array.isArray(data.items) ? data.items : data;
   }
 
   // ==================== AUTHENTICATION ====================
@@ -93,6 +477,14 @@ class BusinessApiService {
     return user;
   }
 
+  /**
+   * The signed-in sub-user's role (see permissions.js)
+   * @returns {Promise<Object>} {role: {id, name, permissions} or null when they have the default access}
+   */
+  async getMyPermissions() {
+    return await this.apiCall('/auth/permissions');
+  }
+
   /**
    * Logout - Clear stored data
    */
@@ -105,8 +497,10 @@ class BusinessApiService {
     localStorage.removeItem('lname');
     localStorage.removeItem('organizationName');
     localStorage.removeItem('organizationLogo');
+    localStorage.removeItem('invoiceSettings');
     localStorage.removeItem('userEmail');
-    window.location.href = '/login';
+    localStorage.removeItem('userPermissions');
+    window.location.href = 'login.html';
   }
 
   /**
@@ -128,11 +522,12 @@ class BusinessApiService {
   // ==================== CUSTOMERS ====================
 
   /**
-   * Get all customers
-   * @returns {Promise<Array>} Array of customers
+   * Get customers, optionally one filtered/sorted page of them
+   * @param {Object} [query] - List query, e.g. {page: 1, pageSize: 50, sort: '-createdAt', search: 'ram'}
+   * @returns {Promise<Array|Object>} Array of customers, or a page when query.page is set
    */
-  async getCustomers() {
-    return await this.apiCall('/customers');
+  async getCustomers(query = {}) {
+    return await this.getList('/customers', 'customers', query);
   }
 
   /**
@@ -175,11 +570,12 @@ class BusinessApiService {
   // ==================== BILLS ====================
 
   /**
-   * Get all bills
-   * @returns {Promise<Array>} Array of bills
+   * Get bills, optionally one filtered/sorted page of them
+   * @param {Object} [query] - List query, e.g. {page: 1, pageSize: 50, sort: '-createdAt', search: 'ram'}
+   * @returns {Promise<Array|Object>} Array of bills, or a page when query.page is set
    */
-  async getBills() {
-    return await this.apiCall('/bills');
+  async getBills(query = {}) {
+    return await this.getList('/bills', 'bills', query);
   }
 
   /**
@@ -241,14 +637,42 @@ class BusinessApiService {
     return await this.apiCall(`/bills/${id}`, 'DELETE');
   }
 
+  /**
+   * Create (or replace) the customer payment link for a bill
+   * @param {number} id - Bill ID
+   * @returns {Promise<Object>} {token, expiresAt}; see getBillViewUrl() in upi.js
+   */
+  async createBillViewLink(id) {
+    return await this.apiCall(`/bills/${id}/view-link`, 'POST');
+  }
+
+  /**
+   * Revoke the customer payment link for a bill
+   * @param {number} id - Bill ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeBillViewLink(id) {
+    return await this.apiCall(`/bills/${id}/view-link`, 'DELETE');
+  }
+
+  /**
+   * Bill as shown on the payment link page; needs no login
+   * @param {string} token - View token from createBillViewLink()
+   * @returns {Promise<Object>} {business, bill, customerName, paid, credited, outstanding, expiresAt}
+   */
+  async getPublicBill(token) {
+    return await this.apiCall(`/public/bills/${encodeURIComponent(token)}`);
+  }
+
   // ==================== PAYMENTS ====================
 
   /**
-   * Get all payments
-   * @returns {Promise<Array>} Array of payments
+   * Get payments, optionally one filtered/sorted page of them
+   * @param {Object} [query] - List query, e.g. {page: 1, pageSize: 50, sort: '-createdAt', search: 'ram'}
+   * @returns {Promise<Array|Object>} Array of payments, or a page when query.page is set
    */
-  async getPayments() {
-    return await this.apiCall('/payments');
+  async getPayments(query = {}) {
+    return await this.getList('/payments', 'payments', query);
   }
 
   /**
@@ -291,6 +715,28 @@ class BusinessApiService {
     });
   }
 
+  /**
+   * Move a cheque payment to another state (Deposited, Cleared, Bounced,
+   * Represented or Cancelled). Bouncing reopens the bills it paid and bills
+   * any bounce charges to the customer.
+   * @param {number} paymentId - Payment ID
+   * @param {Object} data - {status, date, reason, bounceCharges}
+   * @returns {Promise<Object>} Updated payment
+   */
+  async updateChequeStatus(paymentId, data) {
+    return await this.apiCall(`/payments/${paymentId}/cheque-status`, 'PUT', data);
+  }
+
+  /**
+   * Record the bank statement line a payment was matched with
+   * @param {number} paymentId - Payment ID
+   * @param {Object} data - {bankTransactionId, bankDate}
+   * @returns {Promise<Object>} Updated payment
+   */
+  async reconcilePayment(paymentId, data) {
+    return await this.apiCall(`/payments/${paymentId}/reconcile`, 'PUT', data);
+  }
+
   /**
    * Delete payment
    * @param {number} id - Payment ID
@@ -300,6 +746,198 @@ class BusinessApiService {
     return await this.apiCall(`/payments/${id}`, 'DELETE');
   }
 
+  // ==================== CREDIT NOTES ====================
+
+  /**
+   * Get credit notes
+   * @returns {Promise<Array>} Array of credit notes
+   */
+  async getCreditNotes() {
+    return await this.apiCall('/creditnotes');
+  }
+
+  /**
+   * Issue a credit note against a bill
+   * @param {Object} noteData - {billId, amount, reason, creditNoteDate}
+   * @returns {Promise<Object>} Created credit note
+   */
+  async createCreditNote(noteData) {
+    return await this.apiCall('/creditnotes', 'POST', noteData);
+  }
+
+  // ==================== RECURRING BILLS ====================
+
+  /**
+   * Get recurring bill templates
+   * @returns {Promise<Array>} Array of templates
+   */
+  async getRecurringBills() {
+    return await this.apiCall('/recurringbills');
+  }
+
+  /**
+   * Create recurring bill template
+   * @param {Object} templateData - {customerId, items, frequency, dayOfMonth, startDate, endDate, autoGenerate, notes}
+   * @returns {Promise<Object>} Created template
+   */
+  async createRecurringBill(templateData) {
+    return await this.apiCall('/recurringbills', 'POST', templateData);
+  }
+
+  /**
+   * Update recurring bill template (schedule, pause and skipped runs)
+   * @param {number} id - Template ID
+   * @param {Object} templateData - Updated template data
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateRecurringBill(id, templateData) {
+    return await this.apiCall(`/recurringbills/${id}`, 'PUT', templateData);
+  }
+
+  /**
+   * Delete recurring bill template; bills it raised are kept
+   * @param {number} id - Template ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteRecurringBill(id) {
+    return await this.apiCall(`/recurringbills/${id}`, 'DELETE');
+  }
+
+  // ==================== QUOTATIONS ====================
+
+  /**
+   * Get quotations
+   * @returns {Promise<Array>} Array of quotations
+   */
+  async getQuotations() {
+    return await this.apiCall('/quotations');
+  }
+
+  /**
+   * Create quotation; it starts as a draft
+   * @param {Object} quoteData - {customerId, items, amount, quoteDate, validUntil, notes}
+   * @returns {Promise<Object>} Created quotation
+   */
+  async createQuotation(quoteData) {
+    return await this.apiCall('/quotations', 'POST', quoteData);
+  }
+
+  /**
+   * Update a draft or sent quotation
+   * @param {number} id - Quotation ID
+   * @param {Object} quoteData - Updated quotation data
+   * @returns {Promise<Object>} Updated quotation
+   */
+  async updateQuotation(id, quoteData) {
+    return await this.apiCall(`/quotations/${id}`, 'PUT', quoteData);
+  }
+
+  /**
+   * Mark a quotation sent, accepted or rejected
+   * @param {number} id - Quotation ID
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Updated quotation
+   */
+  async updateQuotationStatus(id, status) {
+    return await this.apiCall(`/quotations/${id}/status`, 'PUT', { status });
+  }
+
+  /**
+   * Raise the bill for an accepted quotation
+   * @param {number} id - Quotation ID
+   * @param {Object} billData - Bill as for createBill (see quotationToBill)
+   * @returns {Promise<Object>} {quotation, bill}
+   */
+  async convertQuotation(id, billData) {
+    return await this.apiCall(`/quotations/${id}/convert`, 'POST', billData);
+  }
+
+  /**
+   * Delete quotation
+   * @param {number} id - Quotation ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteQuotation(id) {
+    return await this.apiCall(`/quotations/${id}`, 'DELETE');
+  }
+
+  // ==================== INVOICE SETTINGS ====================
+
+  /**
+   * Get the organisation's invoice branding
+   * @returns {Promise<Object>} Settings; empty when none have been saved
+   */
+  async getInvoiceSettings() {
+    return await this.apiCall('/invoicesettings');
+  }
+
+  /**
+   * Save the organisation's invoice branding
+   * @param {Object} settings - {layout, color, logo, signature, businessName, address, gstin, phone, email,
+   *                             bankName, accountName, accountNumber, ifsc, upiId, footerText, terms}
+   * @returns {Promise<Object>} Saved settings
+   */
+  async updateInvoiceSettings(settings) {
+    return await this.apiCall('/invoicesettings', 'PUT', settings);
+  }
+
+  // ==================== REMINDERS ====================
+
+  /**
+   * Get reminders
+   * @returns {Promise<Array>} Array of reminders
+   */
+  async getReminders() {
+    return await this.apiCall('/reminders');
+  }
+
+  /**
+   * Create reminder
+   * @param {Object} reminderData - {title, description, dueDate, priority, type}
+   * @returns {Promise<Object>} Created reminder
+   */
+  async createReminder(reminderData) {
+    return await this.apiCall('/reminders', 'POST', reminderData);
+  }
+
+  // ==================== FILTER PRESETS ====================
+
+  /**
+   * Get saved search presets
+   * @returns {Promise<Array>} Array of presets
+   */
+  async getFilterPresets() {
+    return await this.apiCall('/filters/presets');
+  }
+
+  /**
+   * Save a search preset
+   * @param {Object} presetData - {name, query, entityTypes}
+   * @returns {Promise<Object>} Saved preset
+   */
+  async createFilterPreset(presetData) {
+    return await this.apiCall('/filters/presets', 'POST', presetData);
+  }
+
+  // ==================== DASHBOARD LAYOUT ====================
+
+  /**
+   * Get the signed-in user's dashboard layout
+   * @returns {Promise<Object>} {widgets}
+   */
+  async getDashboardLayout() {
+    return await this.apiCall('/dashboardcustomization/layout');
+  }
+
+  /**
+   * Save the signed-in user's dashboard layout
+   * @param {Object} layout - {widgets}
+   * @returns {Promise<Object>} Saved layout
+   */
+  async saveDashboardLayout(layout) {
+    return await this.apiCall('/dashboardcustomization/layout', 'PUT', layout);
+  }
+
   // ==================== REPORTS ====================
 
   /**
@@ -473,6 +1111,44 @@ class BusinessApiService {
     return await this.apiCall(`/admin/subusers/${id}/activate`, 'PUT');
   }
 
+  // ==================== ROLES ====================
+
+  /**
+   * Get the roles the admin has defined (Admin only)
+   * @returns {Promise<Array>} Array of roles {id, name, permissions}
+   */
+  async getRoles() {
+    return await this.apiCall('/admin/roles');
+  }
+
+  /**
+   * Create role (Admin only)
+   * @param {Object} roleData - {name, permissions}
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole(roleData) {
+    return await this.apiCall('/admin/roles', 'POST', roleData);
+  }
+
+  /**
+   * Update role (Admin only)
+   * @param {number} id - Role ID
+   * @param {Object} roleData - {name, permissions}
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(id, roleData) {
+    return await this.apiCall(`/admin/roles/${id}`, 'PUT', roleData);
+  }
+
+  /**
+   * Delete role (Admin only); its sub-users go back to the default access
+   * @param {number} id - Role ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteRole(id) {
+    return await this.apiCall(`/admin/roles/${id}`, 'DELETE');
+  }
+
   /**
    * Get own subscription (Admin only)
    * @returns {Promise<Object>} Subscription data with usage stats
@@ -485,10 +1161,19 @@ class BusinessApiService {
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = BusinessApiService;
+  module.exports.ApiError = ApiError;
+  module.exports.LIST_QUERY_FIELDS = LIST_QUERY_FIELDS;
+  module.exports.buildQueryString = buildQueryString;
+  module.exports.applyListQuery = applyListQuery;
+  module.exports.toPagedResult = toPagedResult;
 }
 
 // Make available globally
 if (typeof window !== 'undefined') {
   window.BusinessApiService = BusinessApiService;
+  window.ApiError = ApiError;
+  window.buildQueryString = buildQueryString;
+  window.applyListQuery = applyListQuery;
+  window.toPagedResult = toPagedResult;
 }
 
@@ -1,7 +1,9 @@
 // app.js - common helpers for pages
-// API Configuration - Change this to switch between local and production
-// Production API: https://businessmanagementapi.onrender.com
-const API_BASE = "https://businessmanagementapi.onrender.com/api";
+// API_BASE comes from the active environment profile in api-config.js
+// (api-config.js and api-service.js must be included before this file)
+
+// Shared HTTP client
+const apiClient = new BusinessApiService(API_BASE);
 
 /**
  * SECURITY FIX #1: XSS Protection
@@ -23,23 +25,19 @@ function authHeader() {
 }
 
 async function fetchJson(url, opts = {}) {
-  const res = await fetch(url, opts);
-  const text = await res.text();
-  try { 
-    const parsed = text ? JSON.parse(text) : null;
-    // Handle new API response format: {status, message, body, errors}
-    if (parsed && typeof parsed === 'object' && 'status' in parsed) {
-      return { 
-        ok: res.ok && parsed.status, 
-        status: res.status, 
-        data: parsed.body || parsed.data || parsed,
-        apiResponse: parsed // Store full response for error messages
-      };
-    }
-    // Fallback for old format
-    return { ok: res.ok, status: res.status, data: parsed };
+  // Route through the offline cache/queue when offline-sync.js is loaded
+  if (typeof offlineSync !== 'undefined' && offlineSync) {
+    return offlineSync.fetchJson(url, opts, fetchJsonNetwork);
   }
-  catch (e) { return { ok: res.ok, status: res.status, data: text }; }
+  return fetchJsonNetwork(url, opts);
+}
+
+/**
+ * Sends a request through the shared client. Accepts the usual fetch options
+ * plus {timeout, retries, scope, dedupe, responseType}; see BusinessApiService.request.
+ */
+async function fetchJsonNetwork(url, opts = {}) {
+  return apiClient.request(url, opts);
 }
 
 function requireAuthRedirect() {
@@ -51,8 +49,12 @@ function requireAuthRedirect() {
   return true;
 }
 
-function logoutAndRedirect() {
+async function logoutAndRedirect() {
   clearAllLocalStorage();
+  // Don't leave this account's cached data or queued writes for the next user
+  if (typeof offlineSync !== 'undefined' && offlineSync) {
+    await offlineSync.clearAll().catch(() => {});
+  }
   window.location.href = "login.html";
 }
 
@@ -71,8 +73,10 @@ function clearAllLocalStorage() {
   localStorage.removeItem("lname");
   localStorage.removeItem("organizationName");
   localStorage.removeItem("organizationLogo");
+  localStorage.removeItem("invoiceSettings");
   localStorage.removeItem("userEmail");
   localStorage.removeItem("userInfo");
+  localStorage.removeItem("userPermissions");
   
   // Feature Management System
   localStorage.removeItem("availableFeatures");
@@ -370,44 +374,6 @@ function isSubUser() {
   return userType && userType.toLowerCase() === 'subuser';
 }
 
-/**
- * Checks if user has permission for a specific action
- * @param {string} action - Action to check (edit, delete, create, view)
- * @returns {boolean} - true if user has permission
- */
-function hasPermission(action) {
-  const userType = getUserType();
-  
-  // SuperAdmin: Full access (but typically doesn't access business data)
-  if (isSuperAdmin()) {
-    // SuperAdmin typically doesn't access customers/bills/payments
-    // But if they do, they have full permissions
-    return true;
-  }
-  
-  // Admin: Full CRUD permissions
-  if (isAdmin()) {
-    return true;
-  }
-  
-  // SubUser: Create and Read only (no Update/Delete)
-  if (isSubUser()) {
-    if (action === 'create' || action === 'view' || action === 'read') {
-      return true;
-    }
-    // No edit/delete for SubUser
-    return false;
-  }
-  
-  // Default: no permission (fallback for backward compatibility)
-  const role = getUserRole();
-  if (role && role.toLowerCase() === 'admin') {
-    return true;
-  }
-  
-  return false;
-}
-
 /**
  * Decodes JWT token to extract user info (if role is in token)
  * @param {string} token - JWT token
@@ -417,7 +383,9 @@ function decodeToken(token) {
   try {
     const parts = token.split('.');
     if (parts.length !== 3) return null;
-    const payload = JSON.parse(atob(parts[1]));
+    // JWT segments are base64url without padding; atob() needs plain base64
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)));
     return payload;
   } catch (e) {
     return null;
@@ -572,7 +540,7 @@ function clearValidationError(elementId) {
 
 /**
  * Validates customer form data
- * @param {object} data - {name, phone, address}
+ * @param {object} data - {name, phone, address, gstNumber, openingBalance, paymentTerms, paymentTermsDays}
  * @returns {object} - {valid: boolean, errors: array}
  */
 function validateCustomerForm(data) {
@@ -587,6 +555,23 @@ function validateCustomerForm(data) {
   const addressValidation = validateAddress(data.address);
   if (!addressValidation.valid) errors.push({ field: 'address', message: addressValidation.message });
   
+  // GSTIN is optional; when given it must pass the checksum (gst.js)
+  if (data.gstNumber && typeof validateGSTIN === 'function') {
+    const gstinValidation = validateGSTIN(data.gstNumber);
+    if (!gstinValidation.valid) errors.push({ field: 'gstNumber', message: gstinValidation.message });
+  }
+
+  // Opening balance is optional; negative means the customer paid in advance
+  if (data.openingBalance !== undefined && data.openingBalance !== null && data.openingBalance !== '' && !isFinite(Number(data.openingBalance))) {
+    errors.push({ field: 'openingBalance', message: 'Opening balance must be a number' });
+  }
+
+  // Payment terms are optional; blank means the business default (payment-terms.js)
+  if (data.paymentTerms && typeof validatePaymentTerms === 'function') {
+    const termsValidation = validatePaymentTerms(data.paymentTerms, data.paymentTermsDays);
+    if (!termsValidation.valid) errors.push({ field: 'paymentTerms', message: termsValidation.message });
+  }
+
   return {
     valid: errors.length === 0,
     errors: errors
@@ -595,22 +580,34 @@ function validateCustomerForm(data) {
 
 /**
  * Validates bill form data
- * @param {object} data - {customerId, billAmount, notes, status}
+ * @param {object} data - {customerId, billAmount, billDate, dueDate, notes, items}
  * @returns {object} - {valid: boolean, errors: array}
  */
 function validateBillForm(data) {
   const errors = [];
-  
+
   if (!data.customerId || data.customerId === 0) {
     errors.push({ field: 'customer', message: 'Customer is required' });
   }
-  
+
+  if (data.items !== undefined) {
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      errors.push({ field: 'items', message: 'At least one line item is required' });
+    } else {
+      data.items.forEach((item, index) => errors.push(...validateBillItem(item, index)));
+    }
+  }
+
   const amountValidation = validateAmount(data.billAmount);
   if (!amountValidation.valid) errors.push({ field: 'amount', message: amountValidation.message });
   
   if (data.notes && data.notes.length > 500) {
     errors.push({ field: 'notes', message: 'Notes must be less than 500 characters' });
   }
+
+  if (data.dueDate && data.billDate && String(data.dueDate).slice(0, 10) < String(data.billDate).slice(0, 10)) {
+    errors.push({ field: 'dueDate', message: 'Due date cannot be before the bill date' });
+  }
   
   return {
     valid: errors.length === 0,
@@ -648,6 +645,140 @@ function validatePaymentForm(data) {
   };
 }
 
+/**
+ * FEATURE: Bill Line Items
+ * Bills carry an `items` array; totals are always derived from the lines
+ */
+
+const BILL_ITEM_UNITS = ['Nos', 'Pcs', 'Kg', 'Ltr', 'Mtr', 'Box', 'Hrs', 'Days'];
+
+/**
+ * Rounds a currency value to 2 decimals
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function roundCurrency(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * Calculates the amounts for a single line item.
+ * Discount is a percentage of quantity × rate; tax is applied after discount.
+ * @param {object} item - {description, hsnSac, quantity, unit, rate, discount, taxRate}
+ * @returns {object} - Item with {gross, discountAmount, taxableAmount, taxAmount, total}
+ */
+function calculateLineItem(item) {
+  const quantity = parseFloat(item.quantity) || 0;
+  const rate = parseFloat(item.rate) || 0;
+  const discount = parseFloat(item.discount) || 0;
+  const taxRate = parseFloat(item.taxRate) || 0;
+
+  const gross = roundCurrency(quantity * rate);
+  const discountAmount = roundCurrency(gross * discount / 100);
+  const taxableAmount = roundCurrency(gross - discountAmount);
+  const taxAmount = roundCurrency(taxableAmount * taxRate / 100);
+
+  return {
+    ...item,
+    quantity,
+    rate,
+    discount,
+    taxRate,
+    gross,
+    discountAmount,
+    taxableAmount,
+    taxAmount,
+    total: roundCurrency(taxableAmount + taxAmount)
+  };
+}
+
+/**
+ * Calculates bill totals from its line items
+ * @param {array} items - Array of line item objects
+ * @returns {object} - {lines, subtotal, discountTotal, taxableTotal, taxTotal, grandTotal}
+ */
+function calculateBillTotals(items) {
+  const lines = (items || []).map(calculateLineItem);
+  const sum = (key) => roundCurrency(lines.reduce((total, line) => total + line[key], 0));
+
+  return {
+    lines,
+    subtotal: sum('gross'),
+    discountTotal: sum('discountAmount'),
+    taxableTotal: sum('taxableAmount'),
+    taxTotal: sum('taxAmount'),
+    grandTotal: sum('total')
+  };
+}
+
+/**
+ * Returns the line items of a bill. Bills created before line items existed
+ * are presented as a single untaxed line so every view can render items.
+ * @param {object} bill - Bill object
+ * @returns {array} - Array of line item objects
+ */
+function getBillItems(bill) {
+  if (bill && Array.isArray(bill.items) && bill.items.length > 0) {
+    return bill.items;
+  }
+  return [{
+    description: (bill && bill.notes) || 'Service/Product',
+    hsnSac: '',
+    quantity: 1,
+    unit: 'Nos',
+    rate: parseFloat(bill && bill.billAmount) || 0,
+    discount: 0,
+    taxRate: 0
+  }];
+}
+
+/**
+ * Validates a single bill line item
+ * @param {object} item - Line item to validate
+ * @param {number} index - Zero-based line position (used in messages)
+ * @returns {array} - Array of {field, message} errors
+ */
+function validateBillItem(item, index) {
+  const errors = [];
+  const label = `Line ${index + 1}`;
+  const field = `items[${index}]`;
+
+  const description = (item.description || '').trim();
+  if (!description) {
+    errors.push({ field: `${field}.description`, message: `${label}: Description is required` });
+  } else if (description.length > 200) {
+    errors.push({ field: `${field}.description`, message: `${label}: Description must be less than 200 characters` });
+  }
+
+  if (item.hsnSac && !/^\d{4,8}$/.test(String(item.hsnSac).trim())) {
+    errors.push({ field: `${field}.hsnSac`, message: `${label}: HSN/SAC code must be 4 to 8 digits` });
+  }
+
+  const quantity = parseFloat(item.quantity);
+  if (isNaN(quantity) || quantity <= 0) {
+    errors.push({ field: `${field}.quantity`, message: `${label}: Quantity must be greater than 0` });
+  }
+
+  const rate = parseFloat(item.rate);
+  if (isNaN(rate) || rate <= 0) {
+    errors.push({ field: `${field}.rate`, message: `${label}: Rate must be greater than 0` });
+  } else if (rate > 999999999) {
+    errors.push({ field: `${field}.rate`, message: `${label}: Rate is too large` });
+  }
+
+  const discount = parseFloat(item.discount || 0);
+  if (isNaN(discount) || discount < 0 || discount > 100) {
+    errors.push({ field: `${field}.discount`, message: `${label}: Discount must be between 0 and 100%` });
+  }
+
+  const taxRate = parseFloat(item.taxRate || 0);
+  if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+    errors.push({ field: `${field}.taxRate`, message: `${label}: Tax must be between 0 and 100%` });
+  }
+
+  return errors;
+}
+
 /**
  * SECURITY FIX #4: Unified Error Handling System
  * Provides consistent error handling across the application
@@ -655,13 +786,26 @@ function validatePaymentForm(data) {
 
 /**
  * Handles API errors and displays user-friendly messages
- * @param {object} response - API response object from fetchJson
+ * @param {object} response - API response object from fetchJson, or an ApiError
  * @param {string} defaultMessage - Default error message if none found
  * @returns {string} - User-friendly error message
  */
 function getErrorMessage(response, defaultMessage = 'An error occurred') {
   if (!response) return defaultMessage;
   
+  // Timeouts, network failures and cancellations have no response body
+  const apiError = response.name === 'ApiError' ? response : response.error;
+  if (apiError && apiError.code && apiError.code !== 'HTTP') {
+    switch(apiError.code) {
+      case 'TIMEOUT': return 'The server is taking too long to respond. Please try again.';
+      case 'NETWORK': return 'Unable to reach the server. Please check your connection.';
+      case 'ABORTED': return 'Request was cancelled.';
+    }
+  }
+  if (response.name === 'ApiError') {
+    response = { status: response.status, data: response.data };
+  }
+  
   // Try to extract error message from response
   if (response.data) {
     // Check common error message fields
@@ -804,12 +948,14 @@ function clearMessage(elementId) {
 
 /**
  * Handles API response errors consistently
- * @param {object} response - API response from fetchJson
+ * @param {object} response - API response from fetchJson, or an ApiError
  * @param {string} errorElementId - ID of element to show error
  * @param {string} defaultMessage - Default error message
  * @returns {boolean} - true if error occurred, false if success
  */
 function handleApiError(response, errorElementId, defaultMessage = 'Operation failed') {
+  // Cancelled requests (e.g. the user switched tabs) are not errors to show
+  if (response && response.aborted) return true;
   if (!response || !response.ok) {
     // Handle new API error format: {status: false, message, errors: []}
     let errorMsg = defaultMessage;
@@ -1021,48 +1167,114 @@ function getRecordAge(dateString) {
  * Export data to CSV/Excel format
  */
 
+// Byte order mark, so Excel reads the file as UTF-8 (₹ and Indian names)
+const CSV_BOM = '\uFEFF';
+// Rows written between pauses when a large export is built in the background
+const CSV_CHUNK_ROWS = 500;
+const CSV_SETTINGS_KEY = 'csvSettings';
+const CSV_DEFAULT_SETTINGS = { delimiter: ',', dates: 'iso' };
+
+/**
+ * Saved CSV preferences
+ * @returns {object} - {delimiter: ',' | ';' | '\t', dates: 'iso' | 'locale'}
+ */
+function getCSVSettings() {
+  try {
+    return { ...CSV_DEFAULT_SETTINGS, ...(JSON.parse(localStorage.getItem(CSV_SETTINGS_KEY)) || {}) };
+  } catch (e) {
+    return { ...CSV_DEFAULT_SETTINGS };
+  }
+}
+
+function saveCSVSettings(settings) {
+  localStorage.setItem(CSV_SETTINGS_KEY, JSON.stringify({ ...getCSVSettings(), ...settings }));
+}
+
+/**
+ * Reads a value for a CSV column; dotted keys read nested objects
+ * @param {object} item - Row object
+ * @param {string} key - e.g. "amount" or "customer.name"
+ * @returns {*} - The value, or undefined when missing
+ */
+function getCSVValue(item, key) {
+  if (key in Object(item)) return item[key];
+  return key.split('.').reduce((obj, part) => obj?.[part], item);
+}
+
+/**
+ * Formats one CSV cell: keeps 0 and false, formats date columns, guards
+ * against spreadsheet formulas and quotes when needed
+ * @param {*} value - Cell value
+ * @param {object} header - {key, label, type}; type 'date' is formatted per the dates setting
+ * @param {object} options - {delimiter, dates, rawText}; rawText skips the formula guard,
+ *   for files read by the server rather than a spreadsheet
+ * @returns {string} - CSV cell
+ */
+function formatCSVCell(value, header, options) {
+  if (value === null || value === undefined) return '';
+  let text = header.type === 'date' && options.dates === 'locale' && value !== ''
+    ? formatDateOnly(value)
+    : String(value);
+  // Excel runs text starting with = + - @ as a formula; plain numbers are safe
+  if (!options.rawText && typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  if (text.includes(options.delimiter) || /["\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function csvHeaderRow(headers, options) {
+  return headers.map(h => formatCSVCell(h.label, {}, options)).join(options.delimiter);
+}
+
+function csvRow(item, headers, options) {
+  return headers.map(h => formatCSVCell(getCSVValue(item, h.key), h, options)).join(options.delimiter);
+}
+
 /**
  * Converts array of objects to CSV string
  * @param {array} data - Array of objects
- * @param {array} headers - Array of header objects {key, label}
+ * @param {array} headers - Array of header objects {key, label, type}
+ * @param {object} options - {delimiter, dates, rawText}; defaults to the saved CSV settings
  * @returns {string} - CSV string
  */
-function convertToCSV(data, headers) {
+function convertToCSV(data, headers, options = {}) {
   if (!data || data.length === 0) return '';
-  
-  // Create header row
-  const headerRow = headers.map(h => h.label).join(',');
-  
-  // Create data rows
-  const dataRows = data.map(item => {
-    return headers.map(h => {
-      let value = item[h.key] || '';
-      // Handle nested values
-      if (h.key.includes('.')) {
-        const keys = h.key.split('.');
-        value = keys.reduce((obj, key) => obj?.[key], item) || '';
-      }
-      // Escape commas and quotes
-      if (typeof value === 'string') {
-        value = value.replace(/"/g, '""');
-        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-          value = `"${value}"`;
-        }
-      }
-      return value;
-    }).join(',');
-  });
-  
-  return [headerRow, ...dataRows].join('\n');
+  const settings = { ...getCSVSettings(), ...options };
+  return [csvHeaderRow(headers, settings), ...data.map(item => csvRow(item, headers, settings))].join('\n');
+}
+
+/**
+ * Same as convertToCSV, but builds the rows in chunks and lets the page
+ * respond between them, so large exports do not freeze the tab
+ * @param {array} data - Array of objects
+ * @param {array} headers - Array of header objects {key, label, type}
+ * @param {object} options - {delimiter, dates, onProgress(done, total)}
+ * @returns {Promise<array>} - Pieces of the CSV string, to join or pass to a Blob
+ */
+async function convertToCSVChunks(data, headers, options = {}) {
+  if (!data || data.length === 0) return [];
+  const settings = { ...getCSVSettings(), ...options };
+  const chunks = [csvHeaderRow(headers, settings)];
+  for (let start = 0; start < data.length; start += CSV_CHUNK_ROWS) {
+    if (start > 0) await new Promise(resolve => setTimeout(resolve, 0));
+    const rows = data.slice(start, start + CSV_CHUNK_ROWS).map(item => csvRow(item, headers, settings));
+    chunks.push('\n' + rows.join('\n'));
+    if (settings.onProgress) settings.onProgress(Math.min(start + CSV_CHUNK_ROWS, data.length), data.length);
+  }
+  return chunks;
 }
 
 /**
- * Downloads data as CSV file
- * @param {string} csvContent - CSV string content
+ * Downloads data as CSV file, with a byte order mark so Excel reads UTF-8
+ * @param {string|array} csvContent - CSV string, or the pieces from convertToCSVChunks
  * @param {string} filename - Filename for download
  */
 function downloadCSV(csvContent, filename) {
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  const parts = Array.isArray(csvContent) ? csvContent : [csvContent];
+  const blob = new Blob([CSV_BOM, ...parts], { type: 'text/csv;charset=utf-8;' });
   const link = document.createElement('a');
   const url = URL.createObjectURL(blob);
   
@@ -1078,77 +1290,90 @@ function downloadCSV(csvContent, filename) {
 }
 
 /**
- * Exports customers to CSV
- * @param {array} customers - Array of customer objects
+ * Exports bill line items to CSV (one row per item)
+ * @param {array} bills - Array of bill objects
+ * @param {object} customerMap - Map of customer IDs to names
+ * @returns {Promise<void>} - Resolves once the file is downloaded
  */
-function exportCustomersToCSV(customers) {
+async function exportBillItemsToCSV(bills, customerMap = {}) {
   const headers = [
-    { key: 'id', label: 'ID' },
-    { key: 'name', label: 'Name' },
-    { key: 'phone', label: 'Phone' },
-    { key: 'address', label: 'Address' },
-    { key: 'createdAt', label: 'Created Date' }
+    { key: 'billId', label: 'Bill ID' },
+    { key: 'billNumber', label: 'Bill Number' },
+    { key: 'billDate', label: 'Bill Date', type: 'date' },
+    { key: 'customerName', label: 'Customer Name' },
+    { key: 'line', label: 'Line' },
+    { key: 'description', label: 'Description' },
+    { key: 'hsnSac', label: 'HSN/SAC' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'unit', label: 'Unit' },
+    { key: 'rate', label: 'Rate' },
+    { key: 'discount', label: 'Discount %' },
+    { key: 'discountAmount', label: 'Discount Amount' },
+    { key: 'taxableAmount', label: 'Taxable Amount' },
+    { key: 'taxRate', label: 'Tax %' },
+    { key: 'taxAmount', label: 'Tax Amount' },
+    { key: 'total', label: 'Line Total' }
   ];
-  
-  const csv = convertToCSV(customers, headers);
-  const filename = `customers_${new Date().toISOString().split('T')[0]}.csv`;
+
+  // Amounts keep two decimals; convertToCSV keeps zero values
+  const rows = [];
+  bills.forEach(b => {
+    calculateBillTotals(getBillItems(b)).lines.forEach((line, index) => {
+      rows.push({
+        billId: b.id,
+        billNumber: b.billNumber || '',
+        billDate: b.billDate || b.createdAt || '',
+        customerName: customerMap[b.customerId] || 'Unknown',
+        line: index + 1,
+        description: line.description || '',
+        hsnSac: line.hsnSac || '',
+        quantity: line.quantity,
+        unit: line.unit || '',
+        rate: line.rate.toFixed(2),
+        discount: line.discount,
+        discountAmount: line.discountAmount.toFixed(2),
+        taxableAmount: line.taxableAmount.toFixed(2),
+        taxRate: line.taxRate,
+        taxAmount: line.taxAmount.toFixed(2),
+        total: line.total.toFixed(2)
+      });
+    });
+  });
+
+  const csv = await convertToCSVChunks(rows, headers);
+  const filename = `bill_items_${new Date().toISOString().split('T')[0]}.csv`;
   downloadCSV(csv, filename);
 }
 
 /**
- * Exports bills to CSV
- * @param {array} bills - Array of bill objects
- * @param {object} customerMap - Map of customer IDs to names
+ * FEATURE: PDF Generation Functions
+ * Generate PDF reports, invoices, and statements
  */
-function exportBillsToCSV(bills, customerMap = {}) {
-  const headers = [
-    { key: 'id', label: 'ID' },
-    { key: 'customerId', label: 'Customer ID' },
-    { key: 'billAmount', label: 'Amount' },
-    { key: 'status', label: 'Status' },
-    { key: 'billDate', label: 'Bill Date' },
-    { key: 'notes', label: 'Notes' }
-  ];
-  
-  // Add customer names
-  const billsWithCustomer = bills.map(b => ({
-    ...b,
-    customerName: customerMap[b.customerId] || 'Unknown'
-  }));
-  
-  const csv = convertToCSV(billsWithCustomer, [
-    ...headers,
-    { key: 'customerName', label: 'Customer Name' }
-  ]);
-  const filename = `bills_${new Date().toISOString().split('T')[0]}.csv`;
-  downloadCSV(csv, filename);
-}
 
 /**
- * Exports payments to CSV
- * @param {array} payments - Array of payment objects
+ * Payment terms line for an invoice: the terms the bill was raised on, else the customer's
+ * @param {object} bill - Bill object
+ * @param {object} customer - Customer object
+ * @returns {string} - e.g. "Net 30 (due <date>)"
  */
-function exportPaymentsToCSV(payments) {
-  const headers = [
-    { key: 'id', label: 'ID' },
-    { key: 'customerId', label: 'Customer ID' },
-    { key: 'billId', label: 'Bill ID' },
-    { key: 'amount', label: 'Amount' },
-    { key: 'mode', label: 'Payment Mode' },
-    { key: 'paymentDate', label: 'Payment Date' },
-    { key: 'cleared', label: 'Cleared' },
-    { key: 'chequeNumber', label: 'Cheque Number' }
-  ];
-  
-  const csv = convertToCSV(payments, headers);
-  const filename = `payments_${new Date().toISOString().split('T')[0]}.csv`;
-  downloadCSV(csv, filename);
+function getInvoicePaymentTerms(bill, customer) {
+  if(typeof formatPaymentTerms !== 'function') return 'Due on receipt';
+  const terms = bill.paymentTerms
+    ? { terms: bill.paymentTerms, days: bill.paymentTermsDays }
+    : resolvePaymentTerms(customer);
+  const dueDate = getBillDueDate(bill);
+  return formatPaymentTerms(terms) + (dueDate ? ` (due ${formatDateOnly(dueDate)})` : '');
 }
 
 /**
- * FEATURE: PDF Generation Functions
- * Generate PDF reports, invoices, and statements
+ * Builds the download filename for a bill's invoice PDF
+ * @param {object} bill - Bill object
+ * @param {object} customer - Customer object
+ * @returns {string} - Filename
  */
+function getInvoiceFilename(bill, customer) {
+  return `Invoice_${bill.id}_${(customer.name || 'Customer').replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
+}
 
 /**
  * Generates a PDF invoice for a bill
@@ -1157,174 +1382,10 @@ function exportPaymentsToCSV(payments) {
  */
 function generatePDFInvoice(bill, customer) {
   try {
-    if(!window.jspdf) {
-      console.error('jsPDF library not loaded');
-      return false;
-    }
+    const doc = buildPDFInvoice(bill, customer);
+    if(!doc) return false;
     
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
-    
-    // Color scheme
-    const primaryColor = [102, 126, 234]; // Purple
-    const secondaryColor = [118, 75, 162]; // Dark purple
-    const lightGray = [245, 245, 245];
-    const darkGray = [44, 62, 80];
-    const successGreen = [39, 174, 96];
-    
-    // ========== HEADER SECTION ==========
-    // Gradient-like header background
-    doc.setFillColor(...primaryColor);
-    doc.rect(0, 0, 210, 50, 'F');
-    
-    // White text on colored background
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(28);
-    doc.setFont(undefined, 'bold');
-    doc.text('INVOICE', 105, 25, { align: 'center' });
-    
-    doc.setFontSize(11);
-    doc.setFont(undefined, 'normal');
-    doc.text('Business Management System', 105, 35, { align: 'center' });
-    doc.text('Invoice #' + bill.id, 105, 42, { align: 'center' });
-    
-    // ========== INVOICE INFO SECTION ==========
-    let yPos = 60;
-    doc.setTextColor(...darkGray);
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'bold');
-    doc.text('Invoice Date:', 20, yPos);
-    doc.setFont(undefined, 'normal');
-    doc.text(bill.billDate ? formatDateOnly(bill.billDate) : formatDateOnly(bill.createdAt), 20, yPos + 6);
-    
-    doc.setFont(undefined, 'bold');
-    doc.text('Status:', 20, yPos + 14);
-    doc.setFont(undefined, 'normal');
-    const statusColor = (bill.status === 'Pending' || bill.status === 'pending') ? [255, 193, 7] : successGreen;
-    doc.setFillColor(...statusColor);
-    doc.roundedRect(20, yPos + 16, 40, 6, 2, 2, 'F');
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(9);
-    doc.setFont(undefined, 'bold');
-    doc.text((bill.status || 'Pending').toUpperCase(), 40, yPos + 20, { align: 'center' });
-    
-    // ========== CUSTOMER INFO SECTION ==========
-    yPos = 60;
-    doc.setTextColor(...darkGray);
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.text('Bill To:', 120, yPos);
-    
-    // Customer info box
-    doc.setFillColor(...lightGray);
-    doc.roundedRect(120, yPos + 3, 80, 35, 3, 3, 'F');
-    
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(...darkGray);
-    doc.text(customer.name || 'N/A', 125, yPos + 10);
-    doc.text(customer.phone || 'N/A', 125, yPos + 17);
-    
-    // Address (wrapped if long)
-    const address = customer.address || 'N/A';
-    const addressLines = doc.splitTextToSize(address, 70);
-    addressLines.forEach((line, index) => {
-      doc.text(line, 125, yPos + 24 + (index * 6));
-    });
-    
-    // ========== ITEMS TABLE SECTION ==========
-    yPos = 105;
-    doc.setFontSize(14);
-    doc.setFont(undefined, 'bold');
-    doc.setTextColor(...darkGray);
-    doc.text('Item Details', 20, yPos);
-    
-    yPos += 8;
-    // Table header with gradient effect
-    doc.setFillColor(...primaryColor);
-    doc.roundedRect(20, yPos, 170, 10, 2, 2, 'F');
-    
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(11);
-    doc.setFont(undefined, 'bold');
-    doc.text('Description', 25, yPos + 7);
-    doc.text('Quantity', 120, yPos + 7);
-    doc.text('Amount', 180, yPos + 7, { align: 'right' });
-    
-    yPos += 12;
-    // Item row with alternating background
-    doc.setFillColor(...lightGray);
-    doc.roundedRect(20, yPos, 170, 12, 2, 2, 'F');
-    
-    doc.setTextColor(...darkGray);
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'normal');
-    const description = bill.notes || 'Service/Product';
-    const descLines = doc.splitTextToSize(description, 80);
-    descLines.forEach((line, index) => {
-      doc.text(line, 25, yPos + 6 + (index * 5));
-    });
-    
-    doc.text('1', 120, yPos + 7);
-    
-    doc.setFont(undefined, 'bold');
-    doc.setFontSize(11);
-    doc.text('₹' + parseFloat(bill.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2}), 180, yPos + 7, { align: 'right' });
-    
-    // ========== TOTALS SECTION ==========
-    yPos += 20;
-    doc.setFillColor(250, 250, 250);
-    doc.roundedRect(120, yPos, 70, 25, 3, 3, 'F');
-    
-    doc.setDrawColor(200, 200, 200);
-    doc.setLineWidth(0.5);
-    doc.line(120, yPos + 15, 190, yPos + 15);
-    
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(100, 100, 100);
-    doc.text('Subtotal:', 125, yPos + 10);
-    doc.setFont(undefined, 'bold');
-    doc.setTextColor(...darkGray);
-    doc.text('₹' + parseFloat(bill.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2}), 185, yPos + 10, { align: 'right' });
-    
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.setTextColor(...primaryColor);
-    doc.text('Total Amount:', 125, yPos + 22);
-    doc.setFontSize(14);
-    doc.text('₹' + parseFloat(bill.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2}), 185, yPos + 22, { align: 'right' });
-    
-    // ========== PAYMENT INFO SECTION ==========
-    yPos += 35;
-    doc.setFillColor(255, 249, 237);
-    doc.roundedRect(20, yPos, 170, 20, 3, 3, 'F');
-    
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'bold');
-    doc.setTextColor(...darkGray);
-    doc.text('Payment Information', 25, yPos + 7);
-    
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(100, 100, 100);
-    doc.text('Payment Terms: Due on receipt', 25, yPos + 14);
-    doc.text('Payment Methods: Cash, UPI, Cheque', 25, yPos + 20);
-    
-    // ========== FOOTER SECTION ==========
-    yPos = 270;
-    doc.setDrawColor(220, 220, 220);
-    doc.setLineWidth(0.5);
-    doc.line(20, yPos, 190, yPos);
-    
-    doc.setFontSize(9);
-    doc.setTextColor(150, 150, 150);
-    doc.text('Thank you for your business!', 105, yPos + 8, { align: 'center' });
-    doc.text('For any queries, please contact us.', 105, yPos + 14, { align: 'center' });
-    doc.text('Generated on ' + formatDate(new Date().toISOString()), 105, yPos + 20, { align: 'center' });
-    
-    // ========== SAVE PDF ==========
-    const filename = `Invoice_${bill.id}_${customer.name.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
-    doc.save(filename);
+    doc.save(getInvoiceFilename(bill, customer));
     
     return true;
   } catch(err) {
@@ -1349,22 +1410,21 @@ function generatePDFStatement(customer, bills, payments) {
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF();
     
-    // Header
-    doc.setFontSize(20);
-    doc.setTextColor(102, 126, 234);
-    doc.text('CUSTOMER STATEMENT', 105, 20, { align: 'center' });
+    // Letterhead from the invoice template (invoice-templates.js)
+    const top = drawPDFLetterhead(doc, 'CUSTOMER STATEMENT');
+    const brandColor = getInvoiceColor();
     
     // Customer Info
     doc.setFontSize(12);
     doc.setTextColor(0, 0, 0);
     doc.setFont(undefined, 'bold');
-    doc.text('Customer Information', 20, 35);
+    doc.text('Customer Information', 20, top);
     doc.setFont(undefined, 'normal');
     doc.setFontSize(10);
-    doc.text('Name: ' + (customer.name || 'N/A'), 20, 42);
-    doc.text('Phone: ' + (customer.phone || 'N/A'), 20, 47);
-    doc.text('Address: ' + (customer.address || 'N/A'), 20, 52);
-    doc.text('Statement Date: ' + formatDate(new Date().toISOString()), 20, 57);
+    doc.text('Name: ' + (customer.name || 'N/A'), 20, top + 7);
+    doc.text('Phone: ' + (customer.phone || 'N/A'), 20, top + 12);
+    doc.text('Address: ' + (customer.address || 'N/A'), 20, top + 17);
+    doc.text('Statement Date: ' + formatDate(new Date().toISOString()), 20, top + 22);
     
     // Calculate totals
     const totalBilled = bills.reduce((sum, b) => sum + (parseFloat(b.billAmount) || 0), 0);
@@ -1374,15 +1434,15 @@ function generatePDFStatement(customer, bills, payments) {
     // Summary
     doc.setFontSize(12);
     doc.setFont(undefined, 'bold');
-    doc.text('Financial Summary', 20, 70);
+    doc.text('Financial Summary', 20, top + 35);
     doc.setFont(undefined, 'normal');
     doc.setFontSize(10);
-    doc.text('Total Billed: ₹' + totalBilled.toLocaleString('en-IN', {minimumFractionDigits: 2}), 20, 77);
-    doc.text('Total Paid: ₹' + totalPaid.toLocaleString('en-IN', {minimumFractionDigits: 2}), 20, 82);
-    doc.text('Outstanding: ₹' + outstanding.toLocaleString('en-IN', {minimumFractionDigits: 2}), 20, 87);
+    doc.text('Total Billed: ₹' + totalBilled.toLocaleString('en-IN', {minimumFractionDigits: 2}), 20, top + 42);
+    doc.text('Total Paid: ₹' + totalPaid.toLocaleString('en-IN', {minimumFractionDigits: 2}), 20, top + 47);
+    doc.text('Outstanding: ₹' + outstanding.toLocaleString('en-IN', {minimumFractionDigits: 2}), 20, top + 52);
     
     // Bills Table
-    let yPos = 100;
+    let yPos = top + 65;
     if(bills.length > 0) {
       doc.setFontSize(12);
       doc.setFont(undefined, 'bold');
@@ -1390,7 +1450,7 @@ function generatePDFStatement(customer, bills, payments) {
       yPos += 5;
       
       // Table Header
-      doc.setFillColor(102, 126, 234);
+      doc.setFillColor(...brandColor);
       doc.rect(20, yPos, 170, 6, 'F');
       doc.setTextColor(255, 255, 255);
       doc.setFontSize(9);
@@ -1436,7 +1496,7 @@ function generatePDFStatement(customer, bills, payments) {
       yPos += 5;
       
       // Table Header
-      doc.setFillColor(102, 126, 234);
+      doc.setFillColor(...brandColor);
       doc.rect(20, yPos, 170, 6, 'F');
       doc.setTextColor(255, 255, 255);
       doc.setFontSize(9);
@@ -0,0 +1,480 @@
+/**
+ * Backup and restore - the whole organisation in one archive
+ *
+ * A backup holds every customer, recurring bill template, bill, credit note,
+ * payment (with its linkedBills allocations), quotation, reminder and saved
+ * search preset, plus the dashboard layout and invoice branding. Records are
+ * kept as the API returns them, without names it joins in or the tokens of
+ * customer payment links.
+ *
+ * The archive is a ZIP (manifest.json and one file per collection under
+ * data/) when the JSZip library is loaded, otherwise a single JSON file
+ * {manifest, data}. The manifest names the format and its version and holds
+ * a record count and SHA-256 checksum of each collection, so a damaged or
+ * edited file is caught before anything is restored.
+ *
+ * Restoring merges into the data already there and never overwrites it:
+ *   - records already present are matched instead of created again
+ *     (customers by phone, bills by number, payments by customer, date,
+ *     amount, mode and reference, and so on)
+ *   - everything else is created in dependency order, and the IDs the API
+ *     gives the new records replace the old ones in the records that refer
+ *     to them (bill customers, payment allocations, credit note bills, ...)
+ *   - anything that cannot be restored as it was - a bill number already
+ *     used by another bill, an allocation to a bill that was not restored -
+ *     is reported as a conflict
+ * A dry run does the same matching without calling the API, so the report
+ * can be shown before the restore starts.
+ *
+ * Usage:
+ *   Include after app.js and ledger.js (uses apiClient and roundMoney).
+ *   const archive = await createBackup();                     // reads through apiClient
+ *   await downloadBackup(archive);                            // ZIP, or JSON without JSZip
+ *   const archive = await readBackupFile(file);
+ *   const { errors } = await verifyBackup(archive);
+ *   const existing = await loadBackupData();
+ *   const preview = await restoreBackup(archive.data, existing, apiClient, { dryRun: true });
+ *   const report = await restoreBackup(archive.data, existing, apiClient, { onProgress });
+ */
+
+const BACKUP_FORMAT = 'business-dashboard-backup';
+const BACKUP_VERSION = 1;
+
+// Set by the API, or joined in from other records; never restored
+const BACKUP_SERVER_FIELDS = ['id', 'adminId', 'createdAt', 'updatedAt', 'isActive', 'customerName'];
+
+// Secrets and duplicates of the id that are left out of the archive
+const BACKUP_DROPPED_FIELDS = ['viewToken', 'viewTokenExpiresAt', 'reminderId', 'presetId'];
+
+/**
+ * What a backup holds, in restore order (records are created after the
+ * records they refer to). single: one settings object rather than a list.
+ */
+const BACKUP_COLLECTIONS = [
+  { key: 'customers', label: 'Customers', load: api => api.getCustomers(), create: (api, data) => api.createCustomer(data) },
+  { key: 'recurringBills', label: 'Recurring bills', load: api => api.getRecurringBills(), create: (api, data) => api.createRecurringBill(data) },
+  { key: 'bills', label: 'Bills', load: api => api.getBills(), create: (api, data) => api.createBill(data) },
+  { key: 'creditNotes', label: 'Credit notes', load: api => api.getCreditNotes(), create: (api, data) => api.createCreditNote(data) },
+  { key: 'payments', label: 'Payments', load: api => api.getPayments(), create: (api, data) => api.createPayment(data) },
+  { key: 'quotations', label: 'Quotations', load: api => api.getQuotations(), create: (api, data) => api.createQuotation(data) },
+  { key: 'reminders', label: 'Reminders', load: api => api.getReminders(), create: (api, data) => api.createReminder(data) },
+  { key: 'filterPresets', label: 'Search presets', load: api => api.getFilterPresets(), create: (api, data) => api.createFilterPreset(data) },
+  { key: 'dashboardLayout', label: 'Dashboard layout', single: true, load: api => api.getDashboardLayout(), create: (api, data) => api.saveDashboardLayout(data) },
+  { key: 'invoiceSettings', label: 'Invoice design', single: true, load: api => api.getInvoiceSettings(), create: (api, data) => api.updateInvoiceSettings(data) }
+];
+
+// ----- Creating backups -----
+
+function backupRecords(value) {
+  if (Array.isArray(value)) return value;
+  return value && Array.isArray(value.items) ? value.items : [];
+}
+
+function withoutFields(record, fields) {
+  const copy = { ...record };
+  fields.forEach(field => { delete copy[field]; });
+  return copy;
+}
+
+/**
+ * Reads everything a backup holds from the API
+ * @param {object} [api] - BusinessApiService
+ * @returns {Promise<object>} - {customers: [...], ..., dashboardLayout: {...}}
+ */
+async function loadBackupData(api = apiClient) {
+  const values = await Promise.all(BACKUP_COLLECTIONS.map(c => c.load(api)));
+  const data = {};
+  BACKUP_COLLECTIONS.forEach((c, i) => {
+    data[c.key] = c.single
+      ? withoutFields(values[i] || {}, BACKUP_DROPPED_FIELDS)
+      : backupRecords(values[i]).filter(r => r.isActive !== false).map(r => withoutFields(r, ['customerName', ...BACKUP_DROPPED_FIELDS]));
+  });
+  return data;
+}
+
+/**
+ * SHA-256 of a collection as it is written to the archive
+ * @param {*} value
+ * @returns {Promise<string>} - Hex digest
+ */
+async function backupChecksum(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(value)));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Builds the manifest for backup data
+ * @param {object} data - From loadBackupData
+ * @param {object} [info] - {organization, createdBy}
+ * @returns {Promise<object>} - {manifest, data}
+ */
+async function buildBackupArchive(data, info = {}) {
+  const collections = [];
+  for (const c of BACKUP_COLLECTIONS) {
+    collections.push({
+      key: c.key,
+      file: `data/${c.key}.json`,
+      records: c.single ? null : data[c.key].length,
+      sha256: await backupChecksum(data[c.key])
+    });
+  }
+  return {
+    manifest: {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      organization: info.organization || '',
+      createdBy: info.createdBy || '',
+      collections
+    },
+    data
+  };
+}
+
+/**
+ * Backs up the signed-in organisation
+ * @param {object} [api] - BusinessApiService
+ * @returns {Promise<object>} - {manifest, data}
+ */
+async function createBackup(api = apiClient) {
+  const data = await loadBackupData(api);
+  return buildBackupArchive(data, {
+    organization: localStorage.getItem('organizationName') || '',
+    createdBy: localStorage.getItem('userName') || ''
+  });
+}
+
+/**
+ * The archive as a file: a ZIP with JSZip, otherwise JSON
+ * @returns {Promise<object>} - {blob, extension}
+ */
+async function backupToBlob(archive) {
+  if (typeof JSZip !== 'undefined') {
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify(archive.manifest, null, 2));
+    archive.manifest.collections.forEach(c => zip.file(c.file, JSON.stringify(archive.data[c.key])));
+    return { blob: await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }), extension: 'zip' };
+  }
+  return { blob: new Blob([JSON.stringify(archive)], { type: 'application/json' }), extension: 'json' };
+}
+
+function getBackupFilename(archive, extension) {
+  const name = (archive.manifest.organization || 'business').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '') || 'business';
+  return `${name}_backup_${archive.manifest.createdAt.slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Saves the archive as a file
+ * @param {object} archive - {manifest, data}
+ */
+async function downloadBackup(archive) {
+  const { blob, extension } = await backupToBlob(archive);
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', getBackupFilename(archive, extension));
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// ----- Reading backups -----
+
+/**
+ * Reads a backup file saved by backupToBlob
+ * @param {File} file
+ * @returns {Promise<object>} - {manifest, data}; throws when the file is not a backup
+ */
+async function readBackupFile(file) {
+  if (/\.zip$/i.test(file.name)) {
+    if (typeof JSZip === 'undefined') throw new Error('ZIP backups cannot be opened right now. Please reload the page and try again.');
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const manifestFile = zip.file('manifest.json');
+    if (!manifestFile) throw new Error('This ZIP file is not a backup (manifest.json is missing)');
+    const manifest = JSON.parse(await manifestFile.async('string'));
+    const data = {};
+    for (const c of manifest.collections || []) {
+      const entry = zip.file(c.file);
+      if (entry) data[c.key] = JSON.parse(await entry.async('string'));
+    }
+    return { manifest, data };
+  }
+  return parseBackupJSON(await file.text());
+}
+
+function parseBackupJSON(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not a backup (it is not valid JSON)');
+  }
+  if (!archive || !archive.manifest || !archive.data) throw new Error('This file is not a backup (the manifest is missing)');
+  return archive;
+}
+
+/**
+ * Checks an archive against its manifest
+ * @param {object} archive - {manifest, data}
+ * @returns {Promise<object>} - {valid, errors: string[]}
+ */
+async function verifyBackup(archive) {
+  const errors = [];
+  const { manifest, data } = archive;
+  if (manifest.format !== BACKUP_FORMAT) {
+    return { valid: false, errors: ['This file is not a backup from this app'] };
+  }
+  if (!(manifest.version >= 1 && manifest.version <= BACKUP_VERSION)) {
+    return { valid: false, errors: [`This backup was made by a newer version (format ${manifest.version}); please update the app first`] };
+  }
+  for (const c of manifest.collections || []) {
+    const label = (BACKUP_COLLECTIONS.find(x => x.key === c.key) || { label: c.key }).label;
+    if (data[c.key] === undefined) {
+      errors.push(`${label} are missing from the backup`);
+    } else if (c.records !== null && (!Array.isArray(data[c.key]) || data[c.key].length !== c.records)) {
+      errors.push(`${label}: expected ${c.records} record(s), found ${Array.isArray(data[c.key]) ? data[c.key].length : 0}`);
+    } else if (await backupChecksum(data[c.key]) !== c.sha256) {
+      errors.push(`${label} do not match their checksum; the file has been changed or damaged`);
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// ----- Restoring -----
+
+function backupPhoneKey(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+function backupDay(value) {
+  return String(value || '').slice(0, 10);
+}
+
+function sameBackupText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * How each collection is matched against existing records and turned into
+ * a create request. match returns the existing record the backup record
+ * already is; payload returns {data} to create, or {skip: reason}.
+ */
+const BACKUP_RESTORE_RULES = {
+  customers: {
+    label: r => r.name,
+    match: (r, ctx) => ctx.existing.customers.find(c => backupPhoneKey(c.phone) && backupPhoneKey(c.phone) === backupPhoneKey(r.phone)),
+    matchNote: (r, found) => sameBackupText(r.name, found.name) ? '' : `Matched existing customer "${found.name}" by phone`,
+    payload: r => ({ data: r })
+  },
+  recurringBills: {
+    label: r => r.name || `Recurring bill #${r.id}`,
+    match: (r, ctx) => ctx.existing.recurringBills.find(t => String(t.customerId) === String(ctx.map('customers', r.customerId)) &&
+      sameBackupText(t.name, r.name) && backupDay(t.startDate) === backupDay(r.startDate)),
+    payload: (r, ctx) => {
+      const customerId = ctx.map('customers', r.customerId);
+      return customerId === undefined ? { skip: 'Its customer was not restored' } : { data: { ...r, customerId } };
+    }
+  },
+  bills: {
+    label: r => r.billNumber || `Bill #${r.id}`,
+    match: (r, ctx) => ctx.existing.bills.find(b => r.billNumber && sameBackupText(b.billNumber, r.billNumber) &&
+      String(b.customerId) === String(ctx.map('customers', r.customerId)) && roundMoney(b.billAmount) === roundMoney(r.billAmount)),
+    payload: (r, ctx) => {
+      const customerId = ctx.map('customers', r.customerId);
+      if (customerId === undefined) return { skip: 'Its customer was not restored' };
+      // Paid, Partial and Overdue follow from the payments and dates; only a cancellation is kept
+      const data = withoutFields({ ...r, customerId }, ['status', 'quotationId', 'recurringTemplateId']);
+      if (r.status === 'Cancelled') data.status = 'Cancelled';
+      const templateId = ctx.map('recurringBills', r.recurringTemplateId);
+      if (templateId !== undefined) data.recurringTemplateId = templateId;
+      if (r.billNumber && ctx.existing.bills.some(b => sameBackupText(b.billNumber, r.billNumber))) {
+        delete data.billNumber;
+        return { data, note: `Bill number ${r.billNumber} is already used; restored with a new number` };
+      }
+      return { data };
+    }
+  },
+  creditNotes: {
+    label: r => r.creditNoteNumber || `Credit note #${r.id}`,
+    match: (r, ctx) => ctx.existing.creditNotes.find(n => String(n.billId) === String(ctx.map('bills', r.billId)) &&
+      roundMoney(n.amount) === roundMoney(r.amount) && sameBackupText(n.creditNoteNumber, r.creditNoteNumber)),
+    payload: (r, ctx) => {
+      const billId = ctx.map('bills', r.billId);
+      if (billId === undefined) return { skip: 'Its bill was not restored' };
+      const data = { ...r, billId, customerId: ctx.map('customers', r.customerId) };
+      if (r.creditNoteNumber && ctx.existing.creditNotes.some(n => sameBackupText(n.creditNoteNumber, r.creditNoteNumber))) {
+        delete data.creditNoteNumber;
+        return { data, note: `Credit note number ${r.creditNoteNumber} is already used; restored with a new number` };
+      }
+      return { data };
+    }
+  },
+  payments: {
+    label: r => `${r.mode || 'Payment'} ₹${roundMoney(r.amount).toFixed(2)} on ${backupDay(r.paymentDate)}`,
+    match: (r, ctx) => ctx.existing.payments.find(p => String(p.customerId) === String(ctx.map('customers', r.customerId)) &&
+      roundMoney(p.amount) === roundMoney(r.amount) && backupDay(p.paymentDate) === backupDay(r.paymentDate) && p.mode === r.mode &&
+      String(p.chequeNumber || '') === String(r.chequeNumber || '') && String(p.paymentReference || '') === String(r.paymentReference || '')),
+    payload: (r, ctx) => {
+      const customerId = ctx.map('customers', r.customerId);
+      if (customerId === undefined) return { skip: 'Its customer was not restored' };
+      const notes = [];
+      const linkedBills = [];
+      (r.linkedBills || []).forEach(lb => {
+        const billId = ctx.map('bills', lb.billId);
+        const amount = roundMoney(lb.allocatedAmount !== undefined ? lb.allocatedAmount : lb.amount);
+        if (billId === undefined) notes.push(`₹${amount.toFixed(2)} allocated to bill #${lb.billId} stays with the customer as credit (the bill was not restored)`);
+        else linkedBills.push({ billId, amount });
+      });
+      const data = withoutFields({ ...r, customerId, linkedBills }, ['billId']);
+      const billId = ctx.map('bills', r.billId);
+      if (billId !== undefined) data.billId = billId;
+      if (r.bounceChargeBillIds) data.bounceChargeBillIds = r.bounceChargeBillIds.map(id => ctx.map('bills', id)).filter(id => id !== undefined);
+      // A cheque starts out received; its later states are replayed once it exists
+      if (r.mode === 'Cheque' && (r.chequeHistory || []).length > 0) {
+        ['cleared', 'chequeStatus', 'chequeHistory', 'chequeClearDate'].forEach(key => { delete data[key]; });
+      }
+      return { data, note: notes.join('; ') };
+    },
+    after: async (api, created, r) => {
+      const history = r.mode === 'Cheque' ? (r.chequeHistory || []).slice(1) : [];
+      for (const step of history) {
+        await api.updateChequeStatus(created.id, {
+          status: step.status,
+          date: step.date,
+          reason: step.note || (step.status === 'Bounced' ? 'Restored from backup' : '')
+        });
+      }
+    }
+  },
+  quotations: {
+    label: r => r.quoteNumber || `Quotation #${r.id}`,
+    match: (r, ctx) => ctx.existing.quotations.find(q => r.quoteNumber && sameBackupText(q.quoteNumber, r.quoteNumber) &&
+      String(q.customerId) === String(ctx.map('customers', r.customerId))),
+    payload: (r, ctx) => {
+      const customerId = ctx.map('customers', r.customerId);
+      if (customerId === undefined) return { skip: 'Its customer was not restored' };
+      const data = withoutFields({ ...r, customerId }, ['status', 'convertedBillId']);
+      const billId = ctx.map('bills', r.convertedBillId);
+      if (billId !== undefined) data.convertedBillId = billId;
+      if (r.quoteNumber && ctx.existing.quotations.some(q => sameBackupText(q.quoteNumber, r.quoteNumber))) {
+        delete data.quoteNumber;
+        return { data, note: `Quotation number ${r.quoteNumber} is already used; restored with a new number` };
+      }
+      return { data };
+    },
+    // Quotations are created as drafts; the status they had is set again
+    after: async (api, created, r) => {
+      const steps = r.status === 'Sent' ? ['Sent'] : ['Accepted', 'Rejected'].includes(r.status) ? (r.sentAt ? ['Sent', r.status] : [r.status]) : [];
+      for (const status of steps) await api.updateQuotationStatus(created.id, status);
+    }
+  },
+  reminders: {
+    label: r => r.title,
+    match: (r, ctx) => ctx.existing.reminders.find(x => sameBackupText(x.title, r.title) && backupDay(x.dueDate) === backupDay(r.dueDate)),
+    payload: r => ({ data: r })
+  },
+  filterPresets: {
+    label: r => r.name,
+    match: (r, ctx) => ctx.existing.filterPresets.find(p => sameBackupText(p.name, r.name)),
+    payload: r => ({ data: r })
+  },
+  // Settings already made here are kept
+  dashboardLayout: {
+    label: () => 'Dashboard layout',
+    match: (r, ctx) => (ctx.existing.dashboardLayout.widgets || []).length > 0 ? ctx.existing.dashboardLayout : null,
+    matchNote: () => 'Kept the current dashboard layout',
+    payload: r => ((r.widgets || []).length > 0 ? { data: r } : { skip: '' })
+  },
+  invoiceSettings: {
+    label: () => 'Invoice design',
+    match: (r, ctx) => ctx.existing.invoiceSettings.layout ? ctx.existing.invoiceSettings : null,
+    matchNote: () => 'Kept the current invoice design',
+    payload: r => (r.layout ? { data: r } : { skip: '' })
+  }
+};
+
+/**
+ * Merges backup data into an organisation
+ * @param {object} data - archive.data
+ * @param {object} existing - What is there now (loadBackupData)
+ * @param {object} [api] - BusinessApiService; not called on a dry run
+ * @param {object} [options] - {dryRun, onProgress(done, total)}
+ * @returns {Promise<object>} - {counts: {collection: {created, matched, skipped, failed}},
+ *   conflicts: [{collection, label, message}], idMap: {collection: {oldId: newId}}}
+ */
+async function restoreBackup(data, existing, api = apiClient, options = {}) {
+  const idMap = {};
+  const counts = {};
+  const conflicts = [];
+  const ctx = {
+    existing: {},
+    map: (collection, oldId) => (oldId === undefined || oldId === null || !idMap[collection] ? undefined : idMap[collection][oldId])
+  };
+  BACKUP_COLLECTIONS.forEach(c => {
+    ctx.existing[c.key] = c.single ? (existing[c.key] || {}) : (existing[c.key] || []);
+  });
+  const total = BACKUP_COLLECTIONS.reduce((sum, c) => sum + (c.single ? 1 : (data[c.key] || []).length), 0);
+  let done = 0;
+
+  for (const c of BACKUP_COLLECTIONS) {
+    const rules = BACKUP_RESTORE_RULES[c.key];
+    const records = c.single ? (data[c.key] ? [data[c.key]] : []) : (data[c.key] || []);
+    idMap[c.key] = {};
+    counts[c.key] = { created: 0, matched: 0, skipped: 0, failed: 0 };
+    const conflict = (record, message) => conflicts.push({ collection: c.key, label: String(rules.label(record) || ''), message });
+
+    for (const record of records) {
+      const found = rules.match(record, ctx);
+      if (found) {
+        idMap[c.key][record.id] = found.id;
+        counts[c.key].matched++;
+        const note = rules.matchNote ? rules.matchNote(record, found) : '';
+        if (note) conflict(record, note);
+      } else {
+        const plan = rules.payload(withoutFields(record, BACKUP_SERVER_FIELDS), ctx);
+        if (plan.skip !== undefined) {
+          counts[c.key].skipped++;
+          if (plan.skip) conflict(record, `Not restored: ${plan.skip}`);
+        } else if (options.dryRun) {
+          idMap[c.key][record.id] = `new:${record.id}`;
+          counts[c.key].created++;
+          if (plan.note) conflict(record, plan.note);
+        } else {
+          try {
+            const created = await c.create(api, plan.data);
+            idMap[c.key][record.id] = created && created.id !== undefined ? created.id : `new:${record.id}`;
+            counts[c.key].created++;
+            if (plan.note) conflict(record, plan.note);
+            if (rules.after) {
+              await rules.after(api, created, record).catch(err => conflict(record, `Restored, but its status could not be set: ${err.message}`));
+            }
+          } catch (err) {
+            counts[c.key].failed++;
+            conflict(record, `Failed: ${err.message}`);
+          }
+        }
+      }
+      done++;
+      if (options.onProgress) options.onProgress(done, total);
+    }
+  }
+  return { counts, conflicts, idMap };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    loadBackupData,
+    backupChecksum,
+    buildBackupArchive,
+    createBackup,
+    backupToBlob,
+    getBackupFilename,
+    downloadBackup,
+    readBackupFile,
+    parseBackupJSON,
+    verifyBackup,
+    restoreBackup
+  };
+}
@@ -0,0 +1,408 @@
+/**
+ * Bank reconciliation - bank statement parsing and payment matching
+ *
+ * Reads a bank statement exported as CSV, OFX or MT940 into a common list of
+ * transactions: {id, date, amount, description, reference, chequeNumber},
+ * with credits (money received) positive and debits negative.
+ *
+ * Credits are matched against recorded payments in two passes:
+ *   1. Same amount and the statement line names the payment's cheque number
+ *      or payment reference (UPI/UTR number)
+ *   2. Same amount within the date window, when exactly one payment fits
+ * Each payment is matched at most once. Lines left over are offered for
+ * manual matching (with same-amount payments suggested) or for recording a
+ * new payment. Debits are not receipts and are set aside.
+ *
+ * Payments remember the statement line they were reconciled with
+ * (bankTransactionId), so importing the same statement again does not match
+ * them twice.
+ *
+ * Usage:
+ *   Include after ledger.js, ageing.js and cheques.js (shares their date,
+ *   rounding and returned-cheque helpers).
+ *   const statement = parseBankStatement(text, file.name);
+ *   const result = matchBankTransactions(statement.transactions, payments);
+ *   const payload = bankTransactionToPayment(result.unmatched[0].transaction, customerId);
+ */
+
+// Receipts can reach the bank a few days either side of the recorded payment
+// date; cheques take longer to clear after they are deposited
+const RECONCILE_DATE_WINDOW_DAYS = 3;
+const RECONCILE_CHEQUE_WINDOW_DAYS = 10;
+
+// Statement CSV headings, lower case with everything but letters removed
+const STATEMENT_CSV_COLUMNS = {
+  date: ['date', 'txndate', 'transactiondate', 'trandate', 'postingdate', 'valuedate', 'valuedt'],
+  description: ['description', 'narration', 'particulars', 'remarks', 'details', 'transactiondetails'],
+  amount: ['amount', 'transactionamount', 'txnamount'],
+  credit: ['credit', 'creditamount', 'deposit', 'deposits', 'depositamt', 'cr'],
+  debit: ['debit', 'debitamount', 'withdrawal', 'withdrawals', 'withdrawalamt', 'dr'],
+  type: ['type', 'crdr', 'drcr', 'transactiontype'],
+  reference: ['reference', 'referenceno', 'ref', 'refno', 'chqrefno', 'utr', 'utrno', 'transactionid'],
+  chequeNumber: ['chequeno', 'chequenumber', 'chqno', 'instrumentno']
+};
+
+const STATEMENT_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Statement date as YYYY-MM-DD. Accepts ISO dates, OFX (YYYYMMDD...),
+ * MT940 (YYMMDD) and the day-first dates Indian banks use
+ * (31/12/2026, 31-12-26, 31-Dec-2026).
+ * @param {string} value
+ * @returns {string} - Empty when the date cannot be read
+ */
+function parseStatementDate(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/) || text.match(/^(\d{4})(\d{2})(\d{2})(?:\d|\[|$)/);
+  if (match) return validStatementDate(match[1], match[2], match[3]);
+  match = text.match(/^(\d{2})(\d{2})(\d{2})$/);
+  if (match) return validStatementDate('20' + match[1], match[2], match[3]);
+  match = text.match(/^(\d{1,2})[/.\-\s]([A-Za-z]{3,9}|\d{1,2})[/.\-\s](\d{2}|\d{4})$/);
+  if (!match) return '';
+  const month = /^\d+$/.test(match[2]) ? Number(match[2]) : STATEMENT_MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+  return validStatementDate(match[3].length === 2 ? '20' + match[3] : match[3], month, match[1]);
+}
+
+function validStatementDate(year, month, day) {
+  const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const date = new Date(iso + 'T00:00:00Z');
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso ? iso : '';
+}
+
+/**
+ * Statement amount as a number: thousands separators, currency symbols and
+ * Cr/Dr suffixes are understood; (1,000.00) is negative
+ * @param {string|number} value
+ * @returns {number} - NaN when there is no amount
+ */
+function parseStatementAmount(value) {
+  let text = String(value === undefined || value === null ? '' : value).trim();
+  if (!text) return NaN;
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) { sign = -1; text = text.slice(1, -1); }
+  if (/\bdr\.?$/i.test(text)) sign = -1;
+  text = text.replace(/\b(cr|dr)\.?$/i, '').replace(/[₹,\s]|INR|Rs\.?/gi, '');
+  if (!/^[-+]?\d*\.?\d+$/.test(text)) return NaN;
+  return roundMoney(sign * parseFloat(text));
+}
+
+// Cheque numbers (6 digits) named in a narration, e.g. "CHQ DEP 004512" or "CLG/CHEQUE NO 004512"
+function chequeNumberFromText(text) {
+  const match = String(text || '').match(/\b(?:chq|cheque|clg|chq\s*dep)\b[^\d]{0,12}(\d{6})\b/i);
+  return match ? match[1] : '';
+}
+
+function splitStatementCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cell.trim()); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function statementTransaction(fields) {
+  const transaction = {
+    date: fields.date,
+    amount: roundMoney(fields.amount),
+    description: String(fields.description || '').trim(),
+    reference: String(fields.reference || '').trim(),
+    chequeNumber: String(fields.chequeNumber || '').trim() || chequeNumberFromText(fields.description)
+  };
+  // Stable across imports of the same statement, so reconciled lines are recognised
+  transaction.id = fields.id ? String(fields.id) : [transaction.date, transaction.amount.toFixed(2), transaction.reference || transaction.chequeNumber || transaction.description].join('|');
+  return transaction;
+}
+
+/**
+ * Reads a CSV statement. Bank exports often start with account details, so
+ * the heading row is the first one naming a date and an amount column.
+ * @param {string} text
+ * @returns {object} - {transactions, errors}
+ */
+function parseStatementCSV(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const transactions = [];
+  const errors = [];
+
+  let columns = null;
+  let headerLine = -1;
+  for (let i = 0; i < lines.length && !columns; i++) {
+    const names = splitStatementCSVLine(lines[i]).map(h => h.toLowerCase().replace(/[^a-z]/g, ''));
+    const find = key => STATEMENT_CSV_COLUMNS[key].map(name => names.indexOf(name)).find(index => index >= 0);
+    const found = {};
+    Object.keys(STATEMENT_CSV_COLUMNS).forEach(key => { found[key] = find(key); });
+    if (found.date !== undefined && (found.amount !== undefined || found.credit !== undefined)) {
+      columns = found;
+      headerLine = i;
+    }
+  }
+  if (!columns) {
+    errors.push({ line: 0, message: 'No heading row with a date and an amount or credit column was found' });
+    return { transactions, errors };
+  }
+
+  for (let i = headerLine + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cells = splitStatementCSVLine(lines[i]);
+    const cell = key => (columns[key] === undefined ? '' : cells[columns[key]] || '');
+    const date = parseStatementDate(cell('date'));
+    let amount;
+    if (columns.amount !== undefined) {
+      amount = parseStatementAmount(cell('amount'));
+      if (/^d/i.test(cell('type'))) amount = -Math.abs(amount);
+    } else {
+      const credit = parseStatementAmount(cell('credit'));
+      const debit = parseStatementAmount(cell('debit'));
+      amount = credit > 0 ? credit : (debit > 0 ? -debit : NaN);
+    }
+    // Opening/closing balance and footer lines have no date or no amount
+    if (!date || !amount) {
+      if (date || !isNaN(amount)) errors.push({ line: i + 1, message: `Line ${i + 1} skipped: ${date ? 'no amount' : 'no valid date'}` });
+      continue;
+    }
+    transactions.push(statementTransaction({
+      date,
+      amount,
+      description: cell('description'),
+      reference: cell('reference'),
+      chequeNumber: cell('chequeNumber')
+    }));
+  }
+  return { transactions, errors };
+}
+
+/**
+ * Reads an OFX statement (SGML or XML); each STMTTRN is one transaction
+ * @param {string} text
+ * @returns {object} - {transactions, errors}
+ */
+function parseStatementOFX(text) {
+  const transactions = [];
+  const errors = [];
+  const blocks = String(text || '').match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  blocks.forEach((block, index) => {
+    const tag = name => {
+      const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+      return match ? match[1].trim() : '';
+    };
+    const date = parseStatementDate(tag('DTPOSTED'));
+    const amount = parseStatementAmount(tag('TRNAMT'));
+    if (!date || !amount) {
+      errors.push({ line: index + 1, message: `Transaction ${index + 1} skipped: ${date ? 'no amount' : 'no valid date'}` });
+      return;
+    }
+    transactions.push(statementTransaction({
+      id: tag('FITID'),
+      date,
+      amount,
+      description: [tag('NAME'), tag('MEMO')].filter(Boolean).join(' - '),
+      reference: tag('REFNUM'),
+      chequeNumber: tag('CHECKNUM')
+    }));
+  });
+  if (blocks.length === 0) errors.push({ line: 0, message: 'No transactions (STMTTRN) found in the OFX file' });
+  return { transactions, errors };
+}
+
+/**
+ * Reads an MT940 statement: each :61: statement line, with the :86:
+ * narrative that follows it as the description
+ * @param {string} text
+ * @returns {object} - {transactions, errors}
+ */
+function parseStatementMT940(text) {
+  const transactions = [];
+  const errors = [];
+  // Join continuation lines onto their field
+  const fields = [];
+  String(text || '').split(/\r?\n/).forEach(line => {
+    if (/^:\d{2}[A-Z]?:/.test(line) || fields.length === 0) fields.push(line);
+    else fields[fields.length - 1] += ' ' + line.trim();
+  });
+
+  let last = null;
+  fields.forEach((field, index) => {
+    if (field.startsWith(':86:') && last) {
+      last.description = field.slice(4).trim();
+      return;
+    }
+    if (!field.startsWith(':61:')) return;
+    const match = field.slice(4).match(/^(\d{6})(\d{4})?(R?[CD])[A-Z]?(\d+,\d*)(?:[NFS][A-Z0-9]{3})?([^/\s]*)(?:\/\/(\S*))?/);
+    if (!match) {
+      errors.push({ line: index + 1, message: `Statement line ${index + 1} could not be read` });
+      last = null;
+      return;
+    }
+    // RC/RD reverse an earlier debit/credit
+    const credit = match[3] === 'C' || match[3] === 'RD';
+    last = {
+      date: parseStatementDate(match[1]),
+      amount: (credit ? 1 : -1) * parseFloat(match[4].replace(',', '.')),
+      reference: match[5] && match[5] !== 'NONREF' ? match[5] : '',
+      bankReference: match[6] || '',
+      description: ''
+    };
+    transactions.push(last);
+  });
+
+  return {
+    transactions: transactions.map(t => statementTransaction({ ...t, id: t.bankReference ? `${t.date}|${t.bankReference}` : '' })),
+    errors
+  };
+}
+
+/**
+ * Reads a bank statement, working out its format from the content (or the
+ * file extension when the content is ambiguous)
+ * @param {string} text - File contents
+ * @param {string} [fileName]
+ * @returns {object} - {format, transactions, errors}
+ */
+function parseBankStatement(text, fileName = '') {
+  const content = String(text || '');
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  let format = 'csv';
+  if (/<OFX>|OFXHEADER/i.test(content) || extension === 'ofx' || extension === 'qfx') format = 'ofx';
+  else if (/^:20:/m.test(content) && /^:61:/m.test(content)) format = 'mt940';
+  else if (['sta', 'mt940', '940'].includes(extension)) format = 'mt940';
+
+  const parsed = format === 'ofx' ? parseStatementOFX(content) : format === 'mt940' ? parseStatementMT940(content) : parseStatementCSV(content);
+  return { format, ...parsed };
+}
+
+function normalizeReference(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// The statement line names the payment's cheque number or payment reference
+function bankReferenceMatch(transaction, payment) {
+  const haystack = normalizeReference([transaction.reference, transaction.chequeNumber, transaction.description].join(' '));
+  const cheque = String(payment.chequeNumber || '').replace(/\D/g, '');
+  if (payment.mode === 'Cheque' && cheque) {
+    const lineCheque = String(transaction.chequeNumber || '').replace(/\D/g, '');
+    if ((lineCheque && lineCheque.replace(/^0+/, '') === cheque.replace(/^0+/, '')) || (cheque.length >= 6 && haystack.includes(cheque))) return 'cheque';
+  }
+  const reference = normalizeReference(payment.paymentReference);
+  const digits = String(payment.paymentReference || '').replace(/\D/g, '');
+  if ((reference.length >= 4 && haystack.includes(reference)) || (digits.length >= 6 && haystack.includes(digits))) return 'reference';
+  return '';
+}
+
+// Cheques reach the bank after their cheque date, however late they are banked
+function withinDateWindow(transaction, payment, options) {
+  const paymentDay = ledgerDay(payment.paymentDate || payment.createdAt);
+  if (!paymentDay || !transaction.date) return false;
+  const slack = options.dateWindowDays;
+  if (payment.mode === 'Cheque') {
+    const chequeDay = ledgerDay(payment.chequeDate);
+    const earliest = chequeDay && chequeDay > paymentDay ? chequeDay : paymentDay;
+    const days = daysBetween(earliest, transaction.date);
+    return days >= -slack && days <= options.chequeWindowDays;
+  }
+  return Math.abs(daysBetween(paymentDay, transaction.date)) <= slack;
+}
+
+function dateDistance(transaction, payment) {
+  return Math.abs(daysBetween(ledgerDay(payment.paymentDate || payment.createdAt), transaction.date)) || 0;
+}
+
+/**
+ * Matches statement credits against payments (see the header for the rules)
+ * @param {array} transactions - From parseBankStatement
+ * @param {array} payments - Recorded payments
+ * @param {object} [options] - {dateWindowDays, chequeWindowDays}
+ * @returns {object} - {matched: [{transaction, payment, reason}],
+ *   unmatched: [{transaction, candidates}], reconciled: [{transaction, payment}], debits: [transaction]}
+ */
+function matchBankTransactions(transactions, payments, options = {}) {
+  const settings = {
+    dateWindowDays: options.dateWindowDays === undefined ? RECONCILE_DATE_WINDOW_DAYS : Number(options.dateWindowDays),
+    chequeWindowDays: options.chequeWindowDays === undefined ? RECONCILE_CHEQUE_WINDOW_DAYS : Number(options.chequeWindowDays)
+  };
+  const active = (payments || []).filter(p => p.isActive !== false && !isRefundPayment(p));
+  const byTransaction = {};
+  active.filter(p => p.bankTransactionId).forEach(p => { byTransaction[p.bankTransactionId] = p; });
+  const open = active.filter(p => !p.bankTransactionId && !isReturnedCheque(p));
+  const used = new Set();
+  const sameAmount = (transaction) => open.filter(p => !used.has(p) && roundMoney(p.amount) === roundMoney(transaction.amount));
+
+  const result = { matched: [], unmatched: [], reconciled: [], debits: [] };
+  const credits = [];
+  (transactions || []).forEach(transaction => {
+    if (byTransaction[transaction.id]) result.reconciled.push({ transaction, payment: byTransaction[transaction.id] });
+    else if (transaction.amount < 0) result.debits.push(transaction);
+    else credits.push(transaction);
+  });
+
+  const matchedBy = new Map();
+  const closest = (transaction, list) => list.slice().sort((a, b) => dateDistance(transaction, a) - dateDistance(transaction, b));
+
+  // Pass 1: cheque number or payment reference
+  credits.forEach(transaction => {
+    const hits = closest(transaction, sameAmount(transaction).filter(p => bankReferenceMatch(transaction, p)));
+    if (hits.length === 0) return;
+    used.add(hits[0]);
+    matchedBy.set(transaction, { transaction, payment: hits[0], reason: bankReferenceMatch(transaction, hits[0]) });
+  });
+
+  // Pass 2: amount and date, only when one payment fits
+  credits.filter(t => !matchedBy.has(t)).forEach(transaction => {
+    const hits = sameAmount(transaction).filter(p => withinDateWindow(transaction, p, settings));
+    if (hits.length !== 1) return;
+    used.add(hits[0]);
+    matchedBy.set(transaction, { transaction, payment: hits[0], reason: 'date' });
+  });
+
+  credits.forEach(transaction => {
+    if (matchedBy.has(transaction)) result.matched.push(matchedBy.get(transaction));
+    else result.unmatched.push({ transaction, candidates: closest(transaction, sameAmount(transaction)) });
+  });
+  return result;
+}
+
+/**
+ * A new payment for a statement credit nobody recorded. It is already in
+ * the bank, so it is cleared; lines naming a cheque are cheque payments.
+ * @param {object} transaction
+ * @param {number} customerId
+ * @returns {object} - Payment payload for POST /payments
+ */
+function bankTransactionToPayment(transaction, customerId) {
+  const cheque = !!transaction.chequeNumber;
+  return {
+    customerId,
+    amount: roundMoney(transaction.amount),
+    paymentDate: new Date(transaction.date + 'T00:00:00Z').toISOString(),
+    mode: cheque ? 'Cheque' : 'UPI',
+    paymentReference: cheque ? null : (transaction.reference || null),
+    chequeNumber: cheque ? transaction.chequeNumber : null,
+    notes: transaction.description ? `Bank statement: ${transaction.description}` : null,
+    cleared: true,
+    linkedBills: [],
+    bankTransactionId: transaction.id
+  };
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseStatementDate,
+    parseStatementAmount,
+    parseStatementCSV,
+    parseStatementOFX,
+    parseStatementMT940,
+    parseBankStatement,
+    matchBankTransactions,
+    bankTransactionToPayment
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * Cheques - lifecycle of cheque payments and the cheque register
+ *
+ * A cheque payment moves through these states:
+ *   Received    - in hand, not yet banked (post-dated cheques wait here until
+ *                 their cheque date)
+ *   Deposited   - banked, waiting for the bank to clear it
+ *   Cleared     - the money is in; only now does the payment count
+ *   Bounced     - returned unpaid by the bank. Bills it was allocated to open
+ *                 up again, and any bounce charges are billed to the customer
+ *   Represented - a bounced cheque deposited again
+ *   Cancelled   - returned to the customer or written off
+ *
+ * A payment's `cleared` flag follows its state (true only when Cleared), so
+ * balances, ledgers and ageing need nothing cheque-specific. Allocations are
+ * kept when a cheque bounces so that a re-presented cheque settles the same
+ * bills when it clears.
+ *
+ * Usage:
+ *   Include after ledger.js (shares its date and rounding helpers) and app.js
+ *   (convertToCSV, downloadCSV).
+ *   const status = getChequeStatus(payment);
+ *   const check = validateChequeTransition(payment, 'Deposited', { date });
+ *   const register = buildChequeRegister(payments, { status, from, to, customerMap });
+ */
+
+const CHEQUE_STATUSES = [
+  { key: 'Received', label: '📥 Received', color: '#3498db', next: ['Deposited', 'Cancelled'] },
+  { key: 'Deposited', label: '🏦 Deposited', color: '#f39c12', next: ['Cleared', 'Bounced'] },
+  { key: 'Cleared', label: '✓ Cleared', color: '#27ae60', next: ['Bounced'] },
+  { key: 'Bounced', label: '✗ Bounced', color: '#e74c3c', next: ['Represented', 'Cancelled'] },
+  { key: 'Represented', label: '🔁 Re-presented', color: '#8e44ad', next: ['Cleared', 'Bounced'] },
+  { key: 'Cancelled', label: '⊘ Cancelled', color: '#7f8c8d', next: [] }
+];
+
+// Wording of the action that moves a cheque into each state
+const CHEQUE_ACTION_LABELS = {
+  Deposited: 'Deposit',
+  Cleared: 'Mark Cleared',
+  Bounced: 'Mark Bounced',
+  Represented: 'Re-present',
+  Cancelled: 'Cancel'
+};
+
+function chequeToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Current state of a cheque payment. Cheques recorded before states were
+ * tracked are Cleared or Received according to their cleared flag.
+ * @param {object} payment
+ * @returns {string|null} - One of the CHEQUE_STATUSES keys; null for other modes
+ */
+function getChequeStatus(payment) {
+  if (!payment || payment.mode !== 'Cheque') return null;
+  const status = CHEQUE_STATUSES.find(s => s.key.toLowerCase() === String(payment.chequeStatus || '').toLowerCase());
+  if (status) return status.key;
+  return payment.cleared === true || payment.cleared === 'true' ? 'Cleared' : 'Received';
+}
+
+function getChequeStatusInfo(status) {
+  return CHEQUE_STATUSES.find(s => s.key === status) || CHEQUE_STATUSES[0];
+}
+
+/**
+ * A cheque dated after the given day cannot be banked yet
+ * @param {object} payment
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {boolean}
+ */
+function isPostDatedCheque(payment, asOf = chequeToday()) {
+  const chequeDay = ledgerDay(payment && payment.chequeDate);
+  return !!chequeDay && chequeDay > ledgerDay(asOf);
+}
+
+/**
+ * States a cheque can move to from where it is now
+ * @param {object} payment
+ * @returns {array} - CHEQUE_STATUSES keys
+ */
+function getChequeActions(payment) {
+  const status = getChequeStatus(payment);
+  return status ? getChequeStatusInfo(status).next.slice() : [];
+}
+
+/**
+ * Checks a change of cheque state
+ * @param {object} payment - The cheque payment
+ * @param {string} status - New state
+ * @param {object} [data] - {date, reason, bounceCharges}
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function validateChequeTransition(payment, status, data = {}, asOf = chequeToday()) {
+  const errors = [];
+  const current = getChequeStatus(payment);
+
+  if (!current) {
+    errors.push({ field: 'mode', message: 'Only cheque payments have a cheque status' });
+    return { valid: false, errors };
+  }
+  if (!getChequeActions(payment).includes(status)) {
+    errors.push({ field: 'status', message: `A ${current.toLowerCase()} cheque cannot be marked ${String(status || '').toLowerCase() || 'blank'}` });
+    return { valid: false, errors };
+  }
+
+  const day = ledgerDay(data.date) || ledgerDay(asOf);
+  if ((status === 'Deposited' || status === 'Represented') && isPostDatedCheque(payment, day)) {
+    errors.push({ field: 'date', message: `Post-dated cheque cannot be deposited before ${ledgerDay(payment.chequeDate)}` });
+  }
+  if (status === 'Bounced') {
+    if (!data.reason || !String(data.reason).trim()) {
+      errors.push({ field: 'reason', message: 'Bounce reason is required' });
+    }
+    const charges = data.bounceCharges === undefined || data.bounceCharges === null || data.bounceCharges === '' ? 0 : Number(data.bounceCharges);
+    if (!Number.isFinite(charges)) {
+      errors.push({ field: 'bounceCharges', message: 'Bounce charges must be a number' });
+    } else if (charges < 0) {
+      errors.push({ field: 'bounceCharges', message: 'Bounce charges cannot be negative' });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Cheque register: every cheque payment with its state, optionally filtered
+ * by state and by cheque date (the payment date when there is none)
+ * @param {array} payments
+ * @param {object} [options] - {status, from, to, customerMap, asOf}
+ * @returns {object} - {rows, totals: {[status]: {count, amount}}, count, amount}
+ */
+function buildChequeRegister(payments, options = {}) {
+  const { status = '', from = '', to = '', customerMap = {}, asOf = chequeToday() } = options;
+  const fromDay = ledgerDay(from);
+  const toDay = ledgerDay(to);
+
+  const rows = (payments || [])
+    .filter(p => p.mode === 'Cheque' && p.isActive !== false)
+    .map(p => {
+      const history = Array.isArray(p.chequeHistory) ? p.chequeHistory : [];
+      const last = history[history.length - 1];
+      return {
+        id: p.id,
+        customerId: p.customerId,
+        customerName: customerMap[p.customerId] || p.customerName || 'Unknown',
+        chequeNumber: p.chequeNumber || '',
+        bankName: p.bankName || '',
+        bankBranch: p.bankBranch || '',
+        chequeDate: ledgerDay(p.chequeDate || p.paymentDate || p.createdAt),
+        paymentDate: ledgerDay(p.paymentDate || p.createdAt),
+        amount: roundMoney(Math.abs(parseFloat(p.amount) || 0)),
+        status: getChequeStatus(p),
+        postDated: isPostDatedCheque(p, asOf),
+        bounceCharges: roundMoney(parseFloat(p.bounceCharges) || 0),
+        note: (last && last.note) || ''
+      };
+    })
+    .filter(row => !status || row.status === status)
+    .filter(row => (!fromDay || row.chequeDate >= fromDay) && (!toDay || row.chequeDate <= toDay))
+    .sort((a, b) => a.chequeDate.localeCompare(b.chequeDate) || String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+
+  const totals = {};
+  CHEQUE_STATUSES.forEach(s => { totals[s.key] = { count: 0, amount: 0 }; });
+  rows.forEach(row => {
+    totals[row.status].count += 1;
+    totals[row.status].amount = roundMoney(totals[row.status].amount + row.amount);
+  });
+
+  return {
+    status,
+    from: fromDay,
+    to: toDay,
+    rows,
+    totals,
+    count: rows.length,
+    amount: roundMoney(rows.reduce((sum, row) => sum + row.amount, 0))
+  };
+}
+
+/**
+ * Converts a cheque register to CSV
+ * @param {object} register - From buildChequeRegister
+ * @returns {string} - CSV string
+ */
+function chequeRegisterToCSV(register) {
+  const headers = [
+    { key: 'chequeNumber', label: 'Cheque #' },
+    { key: 'chequeDate', label: 'Cheque Date' },
+    { key: 'customerName', label: 'Customer Name' },
+    { key: 'bankName', label: 'Bank' },
+    { key: 'bankBranch', label: 'Branch' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'status', label: 'Status' },
+    { key: 'bounceCharges', label: 'Bounce Charges' },
+    { key: 'note', label: 'Note' }
+  ];
+  const rows = register.rows.map(row => ({
+    ...row,
+    amount: row.amount.toFixed(2),
+    status: row.postDated && row.status === 'Received' ? 'Received (post-dated)' : row.status,
+    bounceCharges: row.bounceCharges ? row.bounceCharges.toFixed(2) : ''
+  }));
+  return convertToCSV(rows, headers);
+}
+
+function downloadChequeRegisterCSV(register) {
+  const suffix = register.status ? `_${register.status.toLowerCase()}` : '';
+  downloadCSV(chequeRegisterToCSV(register), `cheque_register${suffix}_${chequeToday()}.csv`);
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CHEQUE_STATUSES,
+    getChequeStatus,
+    getChequeStatusInfo,
+    isPostDatedCheque,
+    getChequeActions,
+    validateChequeTransition,
+    buildChequeRegister,
+    chequeRegisterToCSV,
+    downloadChequeRegisterCSV
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * Credit notes, refunds and bill cancellation
+ *
+ * Bills are corrected without losing their history:
+ *   - Credit note: reduces what is owed on one bill, in full or in part. The
+ *     credits on a bill can never exceed the bill amount.
+ *   - Refund: a payment with a negative amount, for money paid back to the
+ *     customer. It is not allocated to any bill.
+ *   - Cancellation: the bill is kept with status "Cancelled" and stops counting
+ *     towards the customer's balance. Bills with payments against them cannot
+ *     be cancelled; credit them instead.
+ *
+ * Usage:
+ *   Include after ledger.js and ageing.js (shares their cancelled/refund rules
+ *   and getBillCredits) and app.js (formatDateOnly).
+ *   const check = validateCreditNote({ amount, reason }, bill, creditNotes);
+ *   const totals = summarizeReceivables(bills, payments, creditNotes);
+ *   generatePDFCreditNote(note, bill, customer);
+ */
+
+/**
+ * Amount that can still be credited on a bill
+ * @param {object} bill
+ * @param {array} creditNotes - Credit notes (any bill; only this bill's count)
+ * @returns {number}
+ */
+function getCreditableAmount(bill, creditNotes) {
+  const credited = getBillCredits(creditNotes)[bill.id] || 0;
+  return Math.max(0, roundMoney((parseFloat(bill.billAmount) || 0) - credited));
+}
+
+/**
+ * Validates a credit note against its bill
+ * @param {object} data - {amount, reason, creditNoteDate}
+ * @param {object} bill - The bill being credited
+ * @param {array} [creditNotes] - Credit notes already issued
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function validateCreditNote(data, bill, creditNotes = []) {
+  const errors = [];
+
+  if (!bill) {
+    errors.push({ field: 'billId', message: 'Bill is required' });
+    return { valid: false, errors };
+  }
+  if (isCancelledBill(bill)) {
+    errors.push({ field: 'billId', message: 'Cancelled bills cannot be credited' });
+    return { valid: false, errors };
+  }
+
+  const amount = roundMoney(parseFloat(data.amount));
+  const creditable = getCreditableAmount(bill, creditNotes);
+  if (!(parseFloat(data.amount) > 0)) {
+    errors.push({ field: 'amount', message: 'Credit amount must be greater than 0' });
+  } else if (amount > creditable) {
+    errors.push({ field: 'amount', message: `Credit cannot exceed ₹${creditable.toFixed(2)} left on this bill` });
+  }
+
+  if (!data.reason || !String(data.reason).trim()) {
+    errors.push({ field: 'reason', message: 'Reason is required' });
+  }
+
+  const billDay = ledgerDay(bill.billDate || bill.createdAt);
+  if (data.creditNoteDate && billDay && ledgerDay(data.creditNoteDate) < billDay) {
+    errors.push({ field: 'creditNoteDate', message: 'Credit note date cannot be before the bill date' });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates a refund as entered on the payment form (a positive amount)
+ * @param {object} data - {customerId, amount, mode}
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function validateRefund(data) {
+  const errors = [];
+
+  if (!data.customerId) {
+    errors.push({ field: 'customer', message: 'Customer is required' });
+  }
+
+  const amountValidation = validateAmount(data.amount);
+  if (!amountValidation.valid) errors.push({ field: 'amount', message: amountValidation.message });
+
+  if (!data.mode) {
+    errors.push({ field: 'mode', message: 'Refund mode is required' });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Checks that a bill can be cancelled
+ * @param {object} bill
+ * @param {array} payments - Payments linked to the bill
+ * @returns {object} - {valid: boolean, message: string}
+ */
+function validateBillCancellation(bill, payments) {
+  if (isCancelledBill(bill)) return { valid: false, message: 'Bill is already cancelled' };
+  const allocated = (payments || []).some(p => (p.linkedBills || []).some(lb => String(lb.billId) === String(bill.id)) || String(p.billId) === String(bill.id));
+  if (allocated) {
+    return { valid: false, message: 'Bills with payments cannot be cancelled; issue a credit note instead' };
+  }
+  return { valid: true, message: '' };
+}
+
+/**
+ * Totals for a set of bills, payments and credit notes. Cancelled bills and
+ * their credit notes are left out; uncleared cheques are not counted.
+ * @param {array} bills
+ * @param {array} payments
+ * @param {array} [creditNotes]
+ * @returns {object} - {billed, credited, paid, refunded, outstanding}
+ */
+function summarizeReceivables(bills, payments, creditNotes = []) {
+  const cancelled = new Set((bills || []).filter(isCancelledBill).map(b => String(b.id)));
+  const billed = (bills || []).reduce((sum, b) => cancelled.has(String(b.id)) ? sum : sum + (parseFloat(b.billAmount) || 0), 0);
+  const credited = (creditNotes || []).reduce((sum, n) => cancelled.has(String(n.billId)) ? sum : sum + (parseFloat(n.amount) || 0), 0);
+
+  let paid = 0;
+  let refunded = 0;
+  (payments || []).filter(isClearedPayment).forEach(p => {
+    if (isRefundPayment(p)) refunded -= parseFloat(p.amount) || 0;
+    else paid += paymentLedgerAmount(p);
+  });
+
+  return {
+    billed: roundMoney(billed),
+    credited: roundMoney(credited),
+    paid: roundMoney(paid),
+    refunded: roundMoney(refunded),
+    outstanding: roundMoney(billed - credited - paid + refunded)
+  };
+}
+
+/**
+ * File name for a credit note PDF
+ * @param {object} note
+ * @param {object} customer
+ * @returns {string}
+ */
+function getCreditNoteFilename(note, customer) {
+  const number = String(note.creditNoteNumber || note.id).replace(/[^\w-]+/g, '_');
+  return `CreditNote_${number}_${((customer && customer.name) || 'Customer').replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
+}
+
+/**
+ * Builds the credit note PDF (same layout conventions as buildPDFInvoice)
+ * @param {object} note - {id, creditNoteNumber, creditNoteDate, amount, reason}
+ * @param {object} bill - The original bill
+ * @param {object} customer
+ * @param {array} [creditNotes] - All credit notes on the bill, for the balance left
+ * @returns {jsPDF|null} - null when jsPDF is not loaded
+ */
+function buildPDFCreditNote(note, bill, customer, creditNotes = [note]) {
+  if (!window.jspdf) {
+    console.error('jsPDF library not loaded');
+    return null;
+  }
+
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF();
+  const money = value => '₹' + roundMoney(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const billAmount = roundMoney(parseFloat(bill.billAmount) || 0);
+  const credited = getBillCredits(creditNotes)[bill.id] || roundMoney(note.amount);
+
+  // Header
+  doc.setFillColor(231, 76, 60);
+  doc.rect(0, 0, 210, 40, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(24);
+  doc.setFont(undefined, 'bold');
+  doc.text('CREDIT NOTE', 105, 20, { align: 'center' });
+  doc.setFontSize(11);
+  doc.setFont(undefined, 'normal');
+  doc.text('Credit Note #' + (note.creditNoteNumber || note.id), 105, 30, { align: 'center' });
+
+  // Credit note and original invoice
+  doc.setTextColor(44, 62, 80);
+  doc.setFontSize(10);
+  const details = [
+    ['Date:', formatDateOnly(note.creditNoteDate || note.createdAt)],
+    ['Against Invoice:', '#' + (bill.billNumber || bill.id)],
+    ['Invoice Date:', formatDateOnly(bill.billDate || bill.createdAt)]
+  ];
+  details.forEach(([label, value], index) => {
+    doc.setFont(undefined, 'bold');
+    doc.text(label, 20, 55 + index * 7);
+    doc.setFont(undefined, 'normal');
+    doc.text(value, 55, 55 + index * 7);
+  });
+
+  // Customer
+  doc.setFont(undefined, 'bold');
+  doc.text('Credit To:', 120, 55);
+  doc.setFont(undefined, 'normal');
+  doc.text(customer.name || 'N/A', 120, 62);
+  doc.text(customer.phone || 'N/A', 120, 68);
+  doc.splitTextToSize(customer.address || 'N/A', 70).forEach((line, index) => {
+    doc.text(line, 120, 74 + index * 6);
+  });
+
+  // Reason and amount
+  let yPos = 100;
+  doc.setFillColor(102, 126, 234);
+  doc.rect(20, yPos, 170, 8, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont(undefined, 'bold');
+  doc.text('Reason', 25, yPos + 5.5);
+  doc.text('Amount', 185, yPos + 5.5, { align: 'right' });
+  yPos += 15;
+  doc.setTextColor(44, 62, 80);
+  doc.setFont(undefined, 'normal');
+  const reasonLines = doc.splitTextToSize(note.reason || '-', 120);
+  reasonLines.forEach((line, index) => doc.text(line, 25, yPos + index * 6));
+  doc.text(money(note.amount), 185, yPos, { align: 'right' });
+  yPos += reasonLines.length * 6 + 10;
+
+  // Effect on the invoice
+  doc.setDrawColor(200, 200, 200);
+  doc.line(110, yPos - 5, 190, yPos - 5);
+  [
+    ['Invoice Amount:', money(billAmount)],
+    ['Total Credited:', money(credited)],
+    ['Invoice Amount after Credit:', money(Math.max(0, billAmount - credited))]
+  ].forEach(([label, value], index) => {
+    doc.setFont(undefined, index === 2 ? 'bold' : 'normal');
+    doc.text(label, 110, yPos + index * 7);
+    doc.text(value, 185, yPos + index * 7, { align: 'right' });
+  });
+
+  // Footer
+  doc.setFontSize(8);
+  doc.setTextColor(128, 128, 128);
+  doc.text('This credit note reduces the amount due on the invoice above.', 105, 280, { align: 'center' });
+  doc.text('Generated on ' + formatDate(new Date().toISOString()), 105, 285, { align: 'center' });
+
+  return doc;
+}
+
+/**
+ * Downloads a credit note as a PDF
+ * @returns {boolean} - Success
+ */
+function generatePDFCreditNote(note, bill, customer, creditNotes) {
+  try {
+    const doc = buildPDFCreditNote(note, bill, customer, creditNotes);
+    if (!doc) return false;
+    doc.save(getCreditNoteFilename(note, customer));
+    return true;
+  } catch (err) {
+    logError('generatePDFCreditNote', err);
+    return false;
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getCreditableAmount,
+    validateCreditNote,
+    validateRefund,
+    validateBillCancellation,
+    summarizeReceivables,
+    getCreditNoteFilename,
+    buildPDFCreditNote,
+    generatePDFCreditNote
+  };
+}
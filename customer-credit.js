@@ -0,0 +1,166 @@
+/**
+ * Customer credit - advance payments and unallocated amounts
+ *
+ * A payment need not be allocated to bills in full. Whatever is left over
+ * (an advance, or an overpayment) is held as credit for the customer and can
+ * later be applied to their bills. Refunds pay that credit back.
+ *
+ * Open bills are settled oldest first (FIFO): by due date, then bill date.
+ * The same order is used to spread a new payment over a customer's bills and
+ * to suggest how existing credit should be applied.
+ *
+ * Usage:
+ *   Include after ledger.js, ageing.js and payment-terms.js (shares their
+ *   allocation, rounding and due-date helpers).
+ *   const openBills = getOpenBills(bills, payments, creditNotes);
+ *   const linkedBills = allocateOldestFirst(amount, openBills);
+ *   const credit = getCustomerCredit(payments);
+ *   const suggestions = suggestCreditAllocations(bills, payments, creditNotes);
+ */
+
+// Oldest first: due date, then bill date, then id
+function compareBillsOldestFirst(a, b) {
+  const dueA = getBillDueDate(a);
+  const dueB = getBillDueDate(b);
+  if (dueA !== dueB) return dueA < dueB ? -1 : 1;
+  const dayA = ledgerDay(a.billDate || a.createdAt);
+  const dayB = ledgerDay(b.billDate || b.createdAt);
+  if (dayA !== dayB) return dayA < dayB ? -1 : 1;
+  return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+}
+
+/**
+ * Bills with a balance left after cleared allocations and credit notes,
+ * oldest first. Cancelled bills and bills marked Paid before allocations
+ * were tracked are left out.
+ * @param {array} bills
+ * @param {array} payments
+ * @param {array} [creditNotes]
+ * @returns {array} - Copies of the bills with a `balance`
+ */
+function getOpenBills(bills, payments, creditNotes = []) {
+  const allocations = getBillAllocations(payments);
+  const credits = getBillCredits(creditNotes);
+  return (bills || [])
+    .filter(bill => !isCancelledBill(bill))
+    .filter(bill => !(String(bill.status || '').toLowerCase() === 'paid' && !allocations[bill.id]))
+    .map(bill => ({
+      ...bill,
+      balance: roundMoney((parseFloat(bill.billAmount) || 0) - (allocations[bill.id] || 0) - (credits[bill.id] || 0))
+    }))
+    .filter(bill => bill.balance > 0)
+    .sort(compareBillsOldestFirst);
+}
+
+/**
+ * Spreads an amount over open bills, oldest first
+ * @param {number} amount
+ * @param {array} openBills - From getOpenBills
+ * @returns {array} - [{billId, amount}]; any amount left over stays unallocated
+ */
+function allocateOldestFirst(amount, openBills) {
+  let left = roundMoney(parseFloat(amount) || 0);
+  const linkedBills = [];
+  (openBills || []).forEach(bill => {
+    if (left <= 0) return;
+    const share = Math.min(left, roundMoney(bill.balance));
+    if (share <= 0) return;
+    linkedBills.push({ billId: bill.id, amount: share });
+    left = roundMoney(left - share);
+  });
+  return linkedBills;
+}
+
+/**
+ * Checks a payment's bill allocations: each one positive and within the
+ * bill's balance, and together no more than the payment
+ * @param {number} amount - Payment amount
+ * @param {array} linkedBills - [{billId, amount}]
+ * @param {array} [openBills] - From getOpenBills; when given, balances are checked
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function validatePaymentAllocations(amount, linkedBills, openBills) {
+  const errors = [];
+  let total = 0;
+  (linkedBills || []).forEach(lb => {
+    const share = roundMoney(parseFloat(lb.amount !== undefined ? lb.amount : lb.allocatedAmount));
+    if (!(share > 0)) {
+      errors.push({ field: 'linkedBills', message: `Amount for bill #${lb.billId} must be greater than 0` });
+      return;
+    }
+    total = roundMoney(total + share);
+    if (!openBills) return;
+    const bill = openBills.find(b => String(b.id) === String(lb.billId));
+    if (!bill) {
+      errors.push({ field: 'linkedBills', message: `Bill #${lb.billId} has nothing left to pay` });
+    } else if (share > bill.balance) {
+      errors.push({ field: 'linkedBills', message: `Bill #${lb.billId} only has ₹${bill.balance.toFixed(2)} left to pay` });
+    }
+  });
+  const paymentAmount = roundMoney(parseFloat(amount) || 0);
+  if (total > paymentAmount) {
+    errors.push({ field: 'amount', message: `Allocated ₹${total.toFixed(2)} is more than the payment of ₹${paymentAmount.toFixed(2)}` });
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * A customer's credit: the unallocated part of their cleared payments less
+ * what has been refunded. Refunds are taken from the oldest credit first.
+ * @param {array} payments - The customer's payments
+ * @returns {object} - {unallocated, refunded, available, payments: [{payment, available}]}
+ */
+function getCustomerCredit(payments) {
+  const cleared = (payments || []).filter(p => p.isActive !== false && isClearedPayment(p));
+  const byDate = (a, b) => ledgerDay(a.paymentDate || a.createdAt).localeCompare(ledgerDay(b.paymentDate || b.createdAt));
+  const unallocated = roundMoney(cleared.reduce((sum, p) => sum + paymentUnallocatedAmount(p), 0));
+  const refunded = roundMoney(cleared.filter(isRefundPayment).reduce((sum, p) => sum - paymentLedgerAmount(p), 0));
+
+  let toRefund = refunded;
+  const withCredit = [];
+  cleared.filter(p => paymentUnallocatedAmount(p) > 0).sort(byDate).forEach(payment => {
+    const taken = Math.min(toRefund, paymentUnallocatedAmount(payment));
+    toRefund = roundMoney(toRefund - taken);
+    const available = roundMoney(paymentUnallocatedAmount(payment) - taken);
+    if (available > 0) withCredit.push({ payment, available });
+  });
+
+  return {
+    unallocated,
+    refunded,
+    available: Math.max(0, roundMoney(unallocated - refunded)),
+    payments: withCredit
+  };
+}
+
+/**
+ * How a customer's credit would be applied to their open bills: the oldest
+ * credit goes to the oldest bill first
+ * @param {array} bills - The customer's bills
+ * @param {array} payments - The customer's payments
+ * @param {array} [creditNotes]
+ * @returns {array} - [{paymentId, billId, amount}]
+ */
+function suggestCreditAllocations(bills, payments, creditNotes = []) {
+  const openBills = getOpenBills(bills, payments, creditNotes).map(bill => ({ ...bill }));
+  const suggestions = [];
+  getCustomerCredit(payments).payments.forEach(({ payment, available }) => {
+    allocateOldestFirst(available, openBills).forEach(lb => {
+      suggestions.push({ paymentId: payment.id, billId: lb.billId, amount: lb.amount });
+      const bill = openBills.find(b => b.id === lb.billId);
+      bill.balance = roundMoney(bill.balance - lb.amount);
+    });
+  });
+  return suggestions;
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getOpenBills,
+    allocateOldestFirst,
+    validatePaymentAllocations,
+    getCustomerCredit,
+    suggestCreditAllocations
+  };
+}
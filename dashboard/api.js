@@ -0,0 +1,24 @@
+/**
+ * Endpoint URLs used by the dashboard modules. API_BASE comes from api-config.js.
+ */
+
+export const API_CUSTOMERS = `${API_BASE}/Customers`;
+export const API_BILLS = `${API_BASE}/Bills`;
+export const API_PAYMENTS = `${API_BASE}/Payments`;
+export const API_CREDIT_NOTES = `${API_BASE}/CreditNotes`;
+export const API_RECURRING_BILLS = `${API_BASE}/RecurringBills`;
+export const API_QUOTATIONS = `${API_BASE}/Quotations`;
+export const API_INVOICE_SETTINGS = `${API_BASE}/InvoiceSettings`;
+export const API_DASHBOARD = `${API_BASE}/dashboard`;
+export const API_DASHBOARD_BASIC = `${API_BASE}/dashboard/basic`;
+export const API_DASHBOARD_ANALYTICS = `${API_BASE}/dashboard/analytics`;
+
+// New Feature APIs
+export const API_IMPORT = `${API_BASE}`;
+export const API_REPORTS = `${API_BASE}/Reports`;
+export const API_NOTIFICATIONS = `${API_BASE}/Notifications`;
+export const API_AUDIT = `${API_BASE}/AuditLogs`;
+export const API_REMINDERS = `${API_BASE}/Reminders`;
+export const API_SEARCH = `${API_BASE}/Search`;
+export const API_FILTERS = `${API_BASE}/Filters`;
+export const API_VALIDATION = `${API_BASE}/Validation`;
@@ -0,0 +1,53 @@
+/**
+ * Cheque status badges and lifecycle actions, shared by the payments list,
+ * the customer profile and the cheque register. The lifecycle rules live in
+ * cheques.js.
+ */
+
+import { API_PAYMENTS } from './api.js';
+
+export function chequeStatusBadge(payment){
+  const info = getChequeStatusInfo(getChequeStatus(payment));
+  const postDated = info.key === 'Received' && isPostDatedCheque(payment)
+    ? `<br><small style="color:#7f8c8d;">Post-dated ${formatDateOnly(payment.chequeDate)}</small>` : '';
+  return `<span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;font-weight:500;background:${info.color}22;color:${info.color};white-space:nowrap;">${info.label}</span>${postDated}`;
+}
+
+// Bouncing or cancelling a cheque voids the payment; moving it along is part of recording it
+function canChangeChequeStatus(payment, status){
+  return userCan(['Bounced', 'Cancelled'].includes(status) ? 'void' : 'create', 'payments', payment);
+}
+
+export function chequeActionButtons(payment){
+  return getChequeActions(payment).filter(status => canChangeChequeStatus(payment, status)).map(status => `<button class="cheque-action" data-id="${escapeHtml(payment.id)}" data-status="${status}" style="padding:4px 8px;background:${getChequeStatusInfo(status).color};color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">${CHEQUE_ACTION_LABELS[status]}</button>`).join('');
+}
+
+// Asks for a reason and charges when bouncing; returns true once the cheque has moved
+export async function changeChequeStatus(payment, status, msgId){
+  const data = { status, date: new Date().toISOString() };
+  if(status === 'Bounced'){
+    const reason = prompt(`Why did cheque #${payment.chequeNumber || payment.id} bounce? Bills it paid will be reopened.`);
+    if(reason === null) return false;
+    const charges = prompt('Bounce charges to bill to the customer (0 for none):', '0');
+    if(charges === null) return false;
+    data.reason = reason.trim();
+    // Number() rather than parseFloat, so "25O" is reported instead of read as 25
+    data.bounceCharges = charges.trim() === '' ? 0 : Number(charges.trim());
+  } else if(status === 'Cancelled'){
+    const reason = prompt(`Reason for cancelling cheque #${payment.chequeNumber || payment.id}?`);
+    if(reason === null) return false;
+    data.reason = reason.trim();
+  }
+
+  const check = validateChequeTransition(payment, status, data);
+  if(!check.valid){
+    showError(msgId, check.errors.map(e => e.message).join(', '));
+    return false;
+  }
+  showLoading(msgId, 'Updating cheque...');
+  const r = await fetchJson(`${API_PAYMENTS}/${payment.id}/cheque-status`, {method:'PUT', headers:authHeader(), body:JSON.stringify(data)});
+  if(handleApiError(r, msgId, 'Failed to update cheque')) return false;
+  const charged = status === 'Bounced' && data.bounceCharges > 0 ? ` Bounce charges of ₹${roundMoney(data.bounceCharges).toFixed(2)} have been billed to the customer.` : '';
+  showSuccess(msgId, r.queued ? r.apiResponse.message : `Cheque marked ${status === 'Represented' ? 're-presented' : status.toLowerCase()}.${charged}`);
+  return true;
+}
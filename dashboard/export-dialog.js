@@ -0,0 +1,139 @@
+/**
+ * Export dialog shared by the list views and the customer profile: pick a
+ * format and the columns of each sheet, then the records are loaded with the
+ * list's current search and filters and downloaded. Columns, sheets and file
+ * formats live in data-export.js; the CSV delimiter and date style are saved
+ * with the CSV settings in app.js.
+ */
+
+const CSV_DELIMITERS = [[',', 'Comma'], [';', 'Semicolon'], ['\t', 'Tab']];
+
+/**
+ * @param {Object} options
+ * @param {string} options.title - e.g. "Export bills"
+ * @param {string[]} options.entities - EXPORT_ENTITIES keys, one sheet each
+ * @param {Function} options.load - async () => {records: {entity: []}, context, extraSheets} or null once it has shown an error
+ * @param {string} options.filename - Without the extension
+ * @param {string} options.msgId - Message element for progress and errors
+ * @param {Object} [options.filters] - The list query, recorded in JSON exports
+ */
+export function openExportDialog(options){
+  closeExportDialog();
+  const formats = Object.keys(EXPORT_FORMATS).filter(isExportFormatAvailable);
+  const csv = getCSVSettings();
+  const today = new Date().toISOString().split('T')[0];
+  const sheetHtml = entity => {
+    const picked = getExportColumnKeys(entity);
+    return `
+      <fieldset style="border:1px solid var(--border-color);border-radius:8px;padding:10px;margin-bottom:10px;">
+        <legend style="padding:0 6px;font-weight:600;">${EXPORT_ENTITIES[entity].label}</legend>
+        <div style="display:flex;flex-wrap:wrap;gap:6px 14px;">
+          ${EXPORT_ENTITIES[entity].columns.map(c => `
+            <label style="font-size:0.9rem;white-space:nowrap;">
+              <input type="checkbox" class="export-column" data-entity="${entity}" value="${c.key}" ${picked.includes(c.key) ? 'checked' : ''}> ${escapeHtml(c.label)}
+            </label>`).join('')}
+        </div>
+      </fieldset>`;
+  };
+
+  document.body.insertAdjacentHTML('beforeend', `
+    <div class="feature-modal show" id="exportDialog">
+      <div class="feature-modal-content" style="max-width:640px;">
+        <div class="feature-modal-header">
+          <h2>${escapeHtml(options.title)}</h2>
+          <button class="modal-close" data-action="close">×</button>
+        </div>
+        <div style="margin-bottom:12px;display:flex;gap:16px;flex-wrap:wrap;">
+          ${formats.map((format, i) => `
+            <label style="font-size:0.95rem;"><input type="radio" name="exportFormat" value="${format}" ${i === 0 ? 'checked' : ''}> ${EXPORT_FORMATS[format].label}</label>`).join('')}
+        </div>
+        <div id="exportCsvOptions" style="margin-bottom:12px;display:${formats[0] === 'csv' ? 'flex' : 'none'};gap:16px;flex-wrap:wrap;font-size:0.9rem;">
+          <label>Separator
+            <select id="exportCsvDelimiter">
+              ${CSV_DELIMITERS.map(([value, label]) => `<option value="${escapeHtml(value)}" ${csv.delimiter === value ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </label>
+          <label>Dates
+            <select id="exportCsvDates">
+              <option value="iso" ${csv.dates === 'iso' ? 'selected' : ''}>${today}</option>
+              <option value="locale" ${csv.dates === 'locale' ? 'selected' : ''}>${escapeHtml(formatDateOnly(today))}</option>
+            </select>
+          </label>
+        </div>
+        ${options.entities.map(sheetHtml).join('')}
+        <p style="color:var(--text-secondary);font-size:0.85rem;">Exports every record matching the current search and filters, not just the page on screen.</p>
+        <div id="export_dialog_msg" style="margin-bottom:10px;"></div>
+        <div style="display:flex;gap:10px;justify-content:flex-end;">
+          <button data-action="close" style="padding:8px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">Cancel</button>
+          <button data-action="export" style="padding:8px 16px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">📥 Export</button>
+        </div>
+      </div>
+    </div>
+  `);
+
+  const dialog = document.getElementById('exportDialog');
+  dialog.addEventListener('click', (e) => {
+    if(e.target === dialog || e.target.closest('[data-action="close"]')) closeExportDialog();
+    else if(e.target.closest('[data-action="export"]')) runExport(dialog, options);
+  });
+  dialog.addEventListener('change', (e) => {
+    if(e.target.name === 'exportFormat') document.getElementById('exportCsvOptions').style.display = e.target.value === 'csv' ? 'flex' : 'none';
+  });
+}
+
+export function closeExportDialog(){
+  const dialog = document.getElementById('exportDialog');
+  if(dialog) dialog.remove();
+}
+
+async function runExport(dialog, options){
+  const format = dialog.querySelector('input[name="exportFormat"]:checked')?.value;
+  const columns = {};
+  for(const entity of options.entities){
+    columns[entity] = [...dialog.querySelectorAll(`.export-column[data-entity="${entity}"]:checked`)].map(input => input.value);
+    if(columns[entity].length === 0){
+      showError('export_dialog_msg', `Pick at least one ${EXPORT_ENTITIES[entity].label.toLowerCase()} column`);
+      return;
+    }
+  }
+  options.entities.forEach(entity => saveExportColumnKeys(entity, columns[entity]));
+  if(format === 'csv'){
+    saveCSVSettings({ delimiter: dialog.querySelector('#exportCsvDelimiter').value, dates: dialog.querySelector('#exportCsvDates').value });
+  }
+  closeExportDialog();
+
+  showLoading(options.msgId, 'Preparing export...');
+  try{
+    const data = await options.load();
+    if(!data) return;
+    const sheets = options.entities.map(entity => buildExportSheet(entity, data.records[entity], { columns: columns[entity], context: data.context }));
+    if(sheets.every(sheet => sheet.rows.length === 0)){
+      showError(options.msgId, `No ${EXPORT_ENTITIES[options.entities[0]].label.toLowerCase()} to export`);
+      return;
+    }
+    await downloadExport(format, [...sheets, ...(data.extraSheets || [])], options.filename, { filters: options.filters });
+    const rows = sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0);
+    showSuccess(options.msgId, `${rows} record(s) exported as ${EXPORT_FORMATS[format].label}`);
+  } catch(err){
+    logError('runExport', err);
+    showError(options.msgId, `Export failed: ${err.message}`);
+  }
+}
+
+// Customer id -> name, for the customer columns
+export function customerNameMap(customers){
+  const map = {};
+  (customers || []).forEach(c => { map[c.id] = c.name; });
+  return map;
+}
+
+// Bill id -> bill, for the bill number columns
+export function billMap(bills){
+  const map = {};
+  (bills || []).forEach(b => { map[b.id] = b; });
+  return map;
+}
+
+export function exportFilename(base){
+  return `${base}_${new Date().toISOString().split('T')[0]}`;
+}
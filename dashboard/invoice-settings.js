@@ -0,0 +1,25 @@
+/**
+ * Keeps the invoice branding cached by invoice-templates.js in step with the
+ * organisation's settings on the server, so every PDF built in this browser
+ * (including offline) uses the current template.
+ */
+
+import { API_INVOICE_SETTINGS } from './api.js';
+
+// Dashboard start-up: the cache may hold another organisation's or an older template
+export async function syncInvoiceSettings(){
+  const r = await fetchJson(API_INVOICE_SETTINGS, {headers:authHeader()});
+  if(r.ok && !r.fromCache) storeInvoiceSettings(r.data || {});
+  return r;
+}
+
+/**
+ * Saves branding for the whole organisation and caches what the server kept
+ * @param {object} settings - Validated with validateInvoiceSettings()
+ * @returns {Promise<object>} - fetchJson result
+ */
+export async function saveInvoiceSettings(settings){
+  const r = await fetchJson(API_INVOICE_SETTINGS, {method:'PUT', headers:authHeader(), body:JSON.stringify(settings)});
+  if(r.ok) storeInvoiceSettings(r.queued ? settings : r.data);
+  return r;
+}
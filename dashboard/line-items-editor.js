@@ -0,0 +1,165 @@
+/**
+ * Line items editor shared by the bill and quotation forms: item rows, live
+ * totals with the GST split for the selected customer, and the items payload
+ * sent to the API. Element ids carry the form's prefix (bill_items_body,
+ * quote_items_body, ...) so each form keeps its own.
+ */
+
+function money(v){
+  return '₹' + v.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+export function renderTaxRows(gst, taxTotal, format = money){
+  if(!gst) return `<div><span>Tax</span><span>${format(taxTotal)}</span></div>`;
+  if(gst.intraState){
+    return `
+      <div><span>CGST</span><span>${format(gst.totals.cgstTotal)}</span></div>
+      <div><span>SGST</span><span>${format(gst.totals.sgstTotal)}</span></div>
+    `;
+  }
+  return `<div><span>IGST</span><span>${format(gst.totals.igstTotal)}</span></div>`;
+}
+
+/**
+ * @param {object} options - {prefix: id prefix, e.g. 'bill'; customers: () => customers for the GST place of supply}
+ * @returns {object} - {html, init, read, update, reset, payload}
+ */
+export function createLineItemsEditor({ prefix, customers }){
+  const el = (name) => document.getElementById(`${prefix}_${name}`);
+
+  function html(){
+    return `
+      <div id="${prefix}_items_editor" style="margin-bottom:10px;">
+        <div style="overflow-x:auto;">
+          <table class="bill-items-table">
+            <thead><tr><th>Description *</th><th>HSN/SAC</th><th>Qty *</th><th>Unit</th><th>Rate *</th><th>Disc %</th><th>Tax %</th><th>Amount</th><th></th></tr></thead>
+            <tbody id="${prefix}_items_body"></tbody>
+          </table>
+        </div>
+        <div style="display:flex;justify-content:space-between;align-items:flex-start;gap:10px;flex-wrap:wrap;margin-top:8px;">
+          <button type="button" id="${prefix}_add_item" style="padding:6px 14px;">+ Add Item</button>
+          <div id="${prefix}_totals" class="bill-totals"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  function addRow(item = {}){
+    const body = el('items_body');
+    if(!body) return;
+    const unit = item.unit || 'Nos';
+    const units = BILL_ITEM_UNITS.includes(unit) ? BILL_ITEM_UNITS : [...BILL_ITEM_UNITS, unit];
+    const row = document.createElement('tr');
+    row.className = 'bill-item-row';
+    row.innerHTML = `
+      <td><input class="bi-description" placeholder="Item or service" value="${escapeHtml(item.description || '')}" style="min-width:180px;"></td>
+      <td><input class="bi-hsn" placeholder="HSN/SAC" value="${escapeHtml(item.hsnSac || '')}" style="width:90px;"></td>
+      <td><input class="bi-quantity" type="number" step="0.001" min="0" value="${escapeHtml(item.quantity ?? 1)}" style="width:70px;"></td>
+      <td><select class="bi-unit">${units.map(u => `<option value="${escapeHtml(u)}" ${u === unit ? 'selected' : ''}>${escapeHtml(u)}</option>`).join('')}</select></td>
+      <td><input class="bi-rate" type="number" step="0.01" min="0" value="${escapeHtml(item.rate ?? '')}" style="width:100px;"></td>
+      <td><input class="bi-discount" type="number" step="0.01" min="0" max="100" value="${escapeHtml(item.discount ?? 0)}" style="width:70px;"></td>
+      <td><input class="bi-tax" type="number" step="0.01" min="0" max="100" value="${escapeHtml(item.taxRate ?? 0)}" style="width:70px;"></td>
+      <td class="bi-amount" style="text-align:right;white-space:nowrap;">₹0.00</td>
+      <td><button type="button" class="bi-remove" title="Remove item" style="padding:4px 8px;background:#e74c3c;color:#fff;border:none;border-radius:4px;cursor:pointer;">×</button></td>
+    `;
+    row.querySelectorAll('input, select').forEach(input => input.addEventListener('input', update));
+    row.querySelector('.bi-remove').addEventListener('click', () => {
+      row.remove();
+      if(!body.querySelector('.bill-item-row')) addRow();
+      update();
+    });
+    body.appendChild(row);
+    update();
+  }
+
+  function read(){
+    return Array.from(document.querySelectorAll(`#${prefix}_items_body .bill-item-row`)).map(row => ({
+      description: row.querySelector('.bi-description').value.trim(),
+      hsnSac: row.querySelector('.bi-hsn').value.trim(),
+      quantity: row.querySelector('.bi-quantity').value,
+      unit: row.querySelector('.bi-unit').value,
+      rate: row.querySelector('.bi-rate').value,
+      discount: row.querySelector('.bi-discount').value || 0,
+      taxRate: row.querySelector('.bi-tax').value || 0
+    }));
+  }
+
+  function selectedCustomer(customerId = el('customer')?.value){
+    return customers().find(c => String(c.id) === String(customerId)) || {};
+  }
+
+  // GST split for the selected customer, or null when GST mode is off
+  function selectedGst(items){
+    if(!isGstEnabled()) return null;
+    const settings = getGstSettings();
+    return calculateGstBreakdown(items, settings.stateCode, getPlaceOfSupply(selectedCustomer(), settings));
+  }
+
+  function update(){
+    const items = read();
+    const totals = calculateBillTotals(items);
+    document.querySelectorAll(`#${prefix}_items_body .bill-item-row`).forEach((row, index) => {
+      row.querySelector('.bi-amount').innerText = money(totals.lines[index].total);
+    });
+    const totalsEl = el('totals');
+    if(totalsEl){
+      totalsEl.innerHTML = `
+        <div><span>Subtotal</span><span>${money(totals.subtotal)}</span></div>
+        ${totals.discountTotal > 0 ? `<div><span>Discount</span><span>- ${money(totals.discountTotal)}</span></div>` : ''}
+        ${renderTaxRows(selectedGst(items), totals.taxTotal)}
+        <div class="bill-grand-total"><span>Grand Total</span><span>${money(totals.grandTotal)}</span></div>
+      `;
+    }
+    const amountInput = el('amount');
+    if(amountInput) amountInput.value = totals.grandTotal ? totals.grandTotal.toFixed(2) : '';
+    return totals;
+  }
+
+  function reset(items = []){
+    const body = el('items_body');
+    if(!body) return;
+    body.innerHTML = '';
+    if(items.length === 0) addRow();
+    else items.forEach(item => addRow(item));
+  }
+
+  // Line items as sent to the API; the document amount is always the grand total of these
+  function payload(totals, customerId){
+    const result = {
+      items: totals.lines.map(line => ({
+        description: line.description,
+        hsnSac: line.hsnSac || null,
+        quantity: line.quantity,
+        unit: line.unit,
+        rate: line.rate,
+        discount: line.discount,
+        taxRate: line.taxRate,
+        taxableAmount: line.taxableAmount,
+        taxAmount: line.taxAmount,
+        total: line.total
+      })),
+      subTotal: totals.subtotal,
+      discountAmount: totals.discountTotal,
+      taxAmount: totals.taxTotal
+    };
+    if(isGstEnabled()){
+      const settings = getGstSettings();
+      const placeOfSupply = getPlaceOfSupply(selectedCustomer(customerId), settings);
+      const gst = calculateGstBreakdown(totals.lines, settings.stateCode, placeOfSupply);
+      result.placeOfSupply = placeOfSupply;
+      result.cgstAmount = gst.totals.cgstTotal;
+      result.sgstAmount = gst.totals.sgstTotal;
+      result.igstAmount = gst.totals.igstTotal;
+    }
+    return result;
+  }
+
+  // The customer decides intra- vs inter-state GST
+  function init(){
+    el('add_item')?.addEventListener('click', () => addRow());
+    el('customer')?.addEventListener('change', update);
+    reset();
+  }
+
+  return { html, init, read, update, reset, payload };
+}
@@ -0,0 +1,137 @@
+/**
+ * Server-paged list views: the customers, bills and payments tabs keep a
+ * list query ({page, pageSize, sort, search, from, to, ...filters}), send it
+ * to the API and render only the page that comes back.
+ *
+ * Long pages are virtualised: only the rows near the scroll position exist in
+ * the DOM, with spacer rows standing in for the rest.
+ */
+
+export const PAGE_SIZES = [25, 50, 100, 250];
+
+// Pages longer than this are virtualised
+const VIRTUAL_THRESHOLD = 60;
+
+/**
+ * A fresh list query.
+ * @param {Object} defaults - e.g. {sort: '-createdAt'}
+ */
+export function createListQuery(defaults = {}){
+  return { page: 1, pageSize: 50, sort: '', search: '', from: '', to: '', ...defaults };
+}
+
+// GET url for a collection endpoint and a list query
+export function listUrl(endpoint, query){
+  return endpoint + buildQueryString(query);
+}
+
+// The same filters and sort without paging, for exports
+export function withoutPaging(query){
+  const { page, pageSize, ...rest } = query;
+  return rest;
+}
+
+/**
+ * Header cell that sorts the list by `field`; the active sort shows an arrow.
+ * @returns {string} - HTML
+ */
+export function sortableHeader(label, field, query, attrs = ''){
+  const active = query.sort === field || query.sort === `-${field}`;
+  const arrow = active ? (query.sort.startsWith('-') ? ' ▼' : ' ▲') : '';
+  const ariaSort = active ? (query.sort.startsWith('-') ? 'descending' : 'ascending') : 'none';
+  return `<th data-sort="${escapeHtml(field)}" aria-sort="${ariaSort}" title="Sort by ${escapeHtml(label)}" ${attrs}>${escapeHtml(label)}${arrow}</th>`;
+}
+
+/**
+ * Clicking a sortable header sorts ascending, clicking it again descending.
+ * Changing the sort goes back to page 1.
+ */
+export function bindSortableHeaders(table, query, reload){
+  if(!table) return;
+  table.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+      const field = th.dataset.sort;
+      query.sort = query.sort === field ? `-${field}` : field;
+      query.page = 1;
+      reload();
+    });
+  });
+}
+
+// "Showing 51–100 of 12,340 bills"
+export function listSummary(result, noun){
+  if(!result.totalCount) return `No ${noun} found`;
+  const first = (result.page - 1) * result.pageSize + 1;
+  const last = first + result.items.length - 1;
+  return `Showing ${first.toLocaleString()}–${last.toLocaleString()} of ${result.totalCount.toLocaleString()} ${noun}`;
+}
+
+export function pageSizeSelect(id, query){
+  return `<label style="font-size:0.9rem;color:#666;">Rows per page
+    <select id="${id}">${PAGE_SIZES.map(size => `<option value="${size}" ${size === Number(query.pageSize) ? 'selected' : ''}>${size}</option>`).join('')}</select>
+  </label>`;
+}
+
+export function bindPageSizeSelect(id, query, reload){
+  const select = document.getElementById(id);
+  if(!select) return;
+  select.addEventListener('change', () => {
+    query.pageSize = Number(select.value);
+    query.page = 1;
+    reload();
+  });
+}
+
+/**
+ * Renders rows into a tbody that sits inside a .virtual-scroll container.
+ * Short pages are rendered in full; longer ones only draw the visible window
+ * (plus `overscan` rows either side) and redraw as the container scrolls.
+ * Attach row event handlers to the table (delegation), not to the rows,
+ * because rows are replaced while scrolling.
+ * @param {HTMLElement} tbody
+ * @param {Array} rows - Records
+ * @param {Function} renderRow - record -> '<tr>...</tr>'
+ * @param {Object} [options] - {rowHeight, overscan, colspan}
+ * @returns {{scrollToIndex: Function}}
+ */
+export function mountVirtualRows(tbody, rows, renderRow, { rowHeight = 45, overscan = 8, colspan = 1 } = {}){
+  const scroller = tbody.closest('.virtual-scroll');
+  if(!scroller || rows.length <= VIRTUAL_THRESHOLD){
+    tbody.innerHTML = rows.map(renderRow).join('');
+    return { scrollToIndex(){} };
+  }
+
+  let measured = false;
+  let frame = null;
+  const spacer = height => height > 0 ? `<tr class="virtual-spacer" style="height:${height}px;"><td colspan="${colspan}"></td></tr>` : '';
+
+  function draw(){
+    frame = null;
+    const viewport = scroller.clientHeight || 600;
+    const start = Math.max(0, Math.floor(scroller.scrollTop / rowHeight) - overscan);
+    const end = Math.min(rows.length, start + Math.ceil(viewport / rowHeight) + overscan * 2);
+    tbody.innerHTML = spacer(start * rowHeight) + rows.slice(start, end).map(renderRow).join('') + spacer((rows.length - end) * rowHeight);
+
+    // Row heights depend on the content and the viewport; calibrate from a real row once
+    if(!measured){
+      measured = true;
+      const row = tbody.querySelector('tr:not(.virtual-spacer)');
+      if(row && row.offsetHeight > 0 && Math.abs(row.offsetHeight - rowHeight) > 1){
+        rowHeight = row.offsetHeight;
+        draw();
+      }
+    }
+  }
+
+  scroller.addEventListener('scroll', () => {
+    if(frame === null) frame = requestAnimationFrame(draw);
+  });
+  draw();
+
+  return {
+    scrollToIndex(index){
+      scroller.scrollTop = Math.max(0, index * rowHeight - rowHeight * 2);
+      draw();
+    }
+  };
+}
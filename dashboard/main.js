@@ -0,0 +1,121 @@
+/**
+ * dashboard.html entry point, loaded as a module after the classic scripts
+ * (api-config.js, api-service.js, app.js, permissions.js, offline-sync.js,
+ * gst.js, ledger.js, ageing.js, payment-terms.js, credit-notes.js,
+ * customer-credit.js, cheques.js, bank-reconciliation.js, data-import.js,
+ * recurring-bills.js, invoice-templates.js, upi.js, quotations.js,
+ * data-export.js, backup.js).
+ *
+ * Sets up the header and navigation, loads the overview, hands the tab area
+ * to the router, which imports each tab module on first visit, and raises any
+ * recurring bills set to generate automatically. The organisation's invoice
+ * template is fetched so PDFs drawn offline still carry it.
+ */
+
+import { loadDashboard } from './tabs/home.js';
+import { ROUTES, startRouter, getCurrentRoute, refreshRoute } from './router.js';
+import { runAutomaticRecurringBills } from './recurring-runner.js';
+import { syncInvoiceSettings } from './invoice-settings.js';
+
+requireAuthRedirect();
+
+async function logout(){
+  const pending = await offlineSync.getQueueCount().catch(() => 0);
+  if(pending > 0 && !confirm(`You have ${pending} change(s) that have not synced yet. Logging out will discard them. Continue?`)) return;
+  logoutAndRedirect();
+}
+
+// Update header with organization name and admin panel button
+function updateHeader(){
+  const header = document.getElementById('mainHeader');
+  if(header){
+    const orgName = localStorage.getItem('organizationName') || 'Business Management';
+    const userType = localStorage.getItem('userType');
+    const isAdmin = userType && (userType.toLowerCase() === 'admin' || userType.toLowerCase() === 'superadmin');
+    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+    
+    header.innerHTML = `
+      <div>
+        <h1>Business Dashboard</h1>
+        <p style="margin:5px 0 0 0;opacity:0.9;font-size:0.9rem;">${escapeHtml(orgName)}</p>
+      </div>
+      <div style="display:flex;gap:10px;align-items:center;">
+        ${getEnvironmentBadgeHtml()}
+        <button onclick="toggleDarkMode();updateHeader();" style="background:rgba(255,255,255,0.2);color:#fff;border:none;padding:8px 12px;border-radius:6px;cursor:pointer;font-weight:500;font-size:1.2rem;" title="Toggle Dark Mode">${isDark ? '☀️' : '🌙'}</button>
+        ${isAdmin ? `<button onclick="window.location.href='admin.html'" style="background:rgba(255,255,255,0.2);color:#fff;border:none;padding:10px 20px;border-radius:6px;cursor:pointer;font-weight:500;">Admin Panel</button>` : ''}
+        <button onclick="logout()">Logout</button>
+      </div>
+    `;
+    
+    // Update nav position based on actual header height
+    setTimeout(() => {
+      const headerHeight = header.offsetHeight;
+      const nav = document.querySelector('nav');
+      if(nav){
+        nav.style.top = headerHeight + 'px';
+      }
+      // Update body padding
+      document.body.style.paddingTop = (headerHeight + (nav ? nav.offsetHeight : 50)) + 'px';
+    }, 100);
+  }
+}
+
+// Update header on page load
+updateHeader();
+
+// Filter navigation tabs based on available features
+function filterNavigationByFeatures(){
+  // Filter premium features and what the user's role cannot view (the router holds both per tab)
+  Object.keys(ROUTES).forEach(tabName => {
+    const { feature, entity } = ROUTES[tabName];
+    const tab = document.querySelector(`.tab-link[data-tab="${tabName}"]`);
+    if(tab && (feature || entity)){
+      const available = (!feature || hasFeature(feature)) && (!entity || userCan('view', entity));
+      tab.style.display = available ? '' : 'none';
+    }
+  });
+}
+
+// Filter navigation on page load (after a small delay to ensure localStorage is ready)
+setTimeout(() => {
+  filterNavigationByFeatures();
+}, 100);
+
+// Initialize dark mode and keyboard shortcuts
+if(typeof initDarkMode === 'function') initDarkMode();
+if(typeof initKeyboardShortcuts === 'function') initKeyboardShortcuts();
+offlineSync.initIndicator();
+
+// Update nav position on window resize
+window.addEventListener('resize', () => {
+  const header = document.getElementById('mainHeader');
+  const nav = document.querySelector('nav');
+  if(header && nav){
+    const headerHeight = header.offsetHeight;
+    nav.style.top = headerHeight + 'px';
+    document.body.style.paddingTop = (headerHeight + nav.offsetHeight) + 'px';
+  }
+});
+
+// Header buttons call these by name
+Object.assign(window, {
+  logout,
+  updateHeader
+});
+
+// ----- Initial load -----
+// Picks up role changes an admin made since this sub-user logged in
+await refreshUserPermissions();
+filterNavigationByFeatures();
+await startRouter();
+// The overview sits above every tab; the dashboard route has already loaded it
+if(getCurrentRoute().tab !== 'dashboard') loadDashboard();
+
+// Recurring bills that have come due since the last visit; the views showing bills are redrawn
+runAutomaticRecurringBills().then(generated => {
+  if(generated === 0) return;
+  loadDashboard();
+  ['bills', 'recurring'].forEach(tab => refreshRoute(tab));
+}).catch(err => logError('runAutomaticRecurringBills', err));
+
+syncInvoiceSettings().catch(err => logError('syncInvoiceSettings', err));
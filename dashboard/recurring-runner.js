@@ -0,0 +1,61 @@
+/**
+ * Raises the bills recurring templates have due, for the "Generate due bills"
+ * action on the recurring tab and the automatic run when the dashboard opens.
+ * The scheduling rules live in recurring-bills.js.
+ */
+
+import { API_BILLS, API_CUSTOMERS, API_RECURRING_BILLS } from './api.js';
+
+// Templates, bills and customers in one go; null when templates or bills could not be loaded
+export async function fetchRecurringData(scope){
+  const opts = {headers:authHeader(), scope};
+  const [templatesRes, billsRes, customersRes] = await Promise.all([
+    fetchJson(API_RECURRING_BILLS, opts),
+    fetchJson(API_BILLS, opts),
+    fetchJson(API_CUSTOMERS, opts)
+  ]);
+  if(templatesRes.aborted || billsRes.aborted || customersRes.aborted) return { aborted: true };
+  if(!templatesRes.ok || !billsRes.ok) return { error: templatesRes.ok ? billsRes : templatesRes };
+  return {
+    fromCache: templatesRes.fromCache || billsRes.fromCache,
+    cachedAt: templatesRes.cachedAt || billsRes.cachedAt,
+    templates: toPagedResult(templatesRes.data, {}, 'recurringBills').items.filter(t => t.isActive !== false),
+    bills: toPagedResult(billsRes.data, {}, 'bills').items,
+    customers: customersRes.ok ? toPagedResult(customersRes.data, {}, 'customers').items : []
+  };
+}
+
+/**
+ * Posts a bill for every due run, oldest first. A run the server says is
+ * already billed (409) counts as done.
+ * @param {object} data - From fetchRecurringData
+ * @param {object} [options] - {auto: only templates set to generate automatically, templateId}
+ * @returns {Promise<object>} - {generated, failed: [{template, runDate, message}]}
+ */
+export async function generateDueRecurringBills(data, options = {}){
+  const result = { generated: 0, failed: [] };
+  const templates = data.templates.filter(t => (!options.auto || t.autoGenerate) &&
+    (options.templateId === undefined || String(t.id) === String(options.templateId)));
+  for(const template of templates){
+    const customer = data.customers.find(c => String(c.id) === String(template.customerId));
+    for(const runDate of getDueRecurringRuns(template, data.bills)){
+      const r = await fetchJson(API_BILLS, {method:'POST', headers:authHeader(), body:JSON.stringify(buildRecurringBill(template, runDate, customer))});
+      if(r.ok || r.status === 409){
+        if(r.ok) result.generated++;
+        continue;
+      }
+      result.failed.push({ template, runDate, message: (r.apiResponse && r.apiResponse.message) || 'Failed to create bill' });
+      break;
+    }
+  }
+  return result;
+}
+
+// Dashboard start-up: bills templates marked automatic, quietly. Skipped offline so runs are not queued twice.
+export async function runAutomaticRecurringBills(){
+  if(!offlineSync.isOnline() || !userCan('create', 'bills')) return 0;
+  const data = await fetchRecurringData();
+  if(!data.templates || !data.templates.some(t => t.autoGenerate)) return 0;
+  const result = await generateDueRecurringBills(data, { auto: true });
+  return result.generated;
+}
@@ -0,0 +1,176 @@
+/**
+ * Hash router for dashboard.html.
+ *
+ *   #/customers              -> Customers tab
+ *   #/customers/45/profile   -> Customers tab with customer 45's profile open
+ *   #/bills/123              -> Bills tab with bill 123's details open
+ *
+ * Each route lazily imports its tab module. A tab module exports render(),
+ * which draws the tab, and optionally show(params), which opens (or, with no
+ * params, closes) a record view. Moving between #/bills and #/bills/123 only
+ * calls show(), so the back button closes a modal without reloading the list.
+ */
+
+import { upgradeRequiredHtml, noAccessHtml } from './shared.js';
+
+export const DEFAULT_ROUTE = 'dashboard';
+
+// feature: plan feature the tab needs; label: shown in the upgrade notice
+// entity: what the user's role must be able to view (permissions.js)
+export const ROUTES = {
+  dashboard: { load: () => import('./tabs/home.js') },
+  customers: { entity: 'customers', load: () => import('./tabs/customers.js') },
+  bills: { entity: 'bills', load: () => import('./tabs/bills.js') },
+  recurring: { entity: 'recurringBills', load: () => import('./tabs/recurring.js') },
+  quotations: { entity: 'quotations', load: () => import('./tabs/quotations.js') },
+  payments: { entity: 'payments', load: () => import('./tabs/payments.js') },
+  ageing: { entity: 'bills', load: () => import('./tabs/ageing.js') },
+  cheques: { entity: 'payments', load: () => import('./tabs/cheques.js') },
+  reconcile: { entity: 'payments', load: () => import('./tabs/reconcile.js') },
+  import: { feature: 'CSV_IMPORT', label: 'CSV Import', load: () => import('./tabs/import.js') },
+  reports: { feature: 'ADVANCED_REPORTS', label: 'Advanced Reports', load: () => import('./tabs/reports.js') },
+  notifications: { feature: 'EMAIL_NOTIFICATIONS', label: 'Email Notifications', load: () => import('./tabs/notifications.js') },
+  audit: { feature: 'AUDIT_LOG', label: 'Audit Log', load: () => import('./tabs/audit.js') },
+  reminders: { feature: 'REMINDERS', label: 'Reminders', load: () => import('./tabs/reminders.js') },
+  search: { feature: 'ADVANCED_SEARCH', label: 'Advanced Search', load: () => import('./tabs/search.js') },
+  branding: { load: () => import('./tabs/branding.js') },
+  backup: { load: () => import('./tabs/backup.js') },
+  customize: { feature: 'DASHBOARD_CUSTOMIZATION', label: 'Dashboard Customization', load: () => import('./tabs/customize.js') },
+  validation: { feature: 'DATA_VALIDATION', label: 'Data Validation', load: () => import('./tabs/validation.js') }
+};
+
+// Record routes, keyed by the entity type names the search API returns
+const ENTITY_PATHS = {
+  Customer: id => `/customers/${id}/profile`,
+  Bill: id => `/bills/${id}`,
+  Payment: id => `/payments/${id}`,
+  Quotation: id => `/quotations/${id}`
+};
+
+let current = { tab: null, params: [] };
+let currentModule = null;
+let routeToken = 0;
+let started = false;
+
+/**
+ * Splits a location hash into its tab and the remaining path segments.
+ * Unknown or empty hashes resolve to the default route.
+ * @param {string} hash - e.g. "#/customers/45/profile"
+ * @returns {{tab: string, params: string[]}}
+ */
+export function parseRoute(hash){
+  const segments = String(hash || '').replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  if(segments.length === 0 || !Object.prototype.hasOwnProperty.call(ROUTES, segments[0])){
+    return { tab: DEFAULT_ROUTE, params: [] };
+  }
+  return { tab: segments[0], params: segments.slice(1) };
+}
+
+/**
+ * Path of a single record, e.g. entityPath('Bill', 123) -> "/bills/123".
+ * @returns {string|null} - null for entity types without a record route
+ */
+export function entityPath(entityType, entityId){
+  const build = ENTITY_PATHS[entityType];
+  return build ? build(encodeURIComponent(entityId)) : null;
+}
+
+/**
+ * Record ids arrive as strings; numeric ones are converted so they compare
+ * equal to the ids in API responses.
+ */
+export function recordId(param){
+  return /^\d+$/.test(param) ? Number(param) : param;
+}
+
+export function getCurrentRoute(){
+  return { tab: current.tab, params: current.params.slice() };
+}
+
+/**
+ * Goes to a path such as "/bills/123". Navigating to the page already shown
+ * renders it again, like clicking the active tab always did.
+ */
+export function navigate(path){
+  const hash = `#${path}`;
+  if(window.location.hash === hash) return handleRoute(true);
+  window.location.hash = hash;
+}
+
+/**
+ * Drops the record part of the URL once its modal has been closed, without
+ * re-rendering the tab. replaceState keeps Back from reopening the record.
+ */
+export function leaveRecord(tab){
+  if(current.tab !== tab || current.params.length === 0) return;
+  current = { tab, params: [] };
+  history.replaceState(null, '', `#/${tab}`);
+}
+
+// Re-renders a tab if it is the one on screen (e.g. after an import changed its data)
+export function refreshRoute(tab){
+  if(current.tab === tab) return handleRoute(true);
+}
+
+function setActiveTab(tab){
+  document.querySelectorAll('.tab-link').forEach(link => {
+    link.classList.toggle('active', link.dataset.tab === tab);
+  });
+}
+
+async function handleRoute(force = false){
+  const { tab, params } = parseRoute(window.location.hash);
+  const route = ROUTES[tab];
+  const token = ++routeToken;
+  const tabContent = document.getElementById('tab-content');
+
+  if(force || tab !== current.tab){
+    // Cancel whatever the previous tab was still loading
+    apiClient.abortScope('tab');
+    setActiveTab(tab);
+    tabContent.innerHTML = '';
+    current = { tab, params: [] };
+    currentModule = null;
+
+    if(route.feature && !hasFeature(route.feature)){
+      tabContent.innerHTML = upgradeRequiredHtml(route.label);
+      return;
+    }
+    if(route.entity && !userCan('view', route.entity)){
+      tabContent.innerHTML = noAccessHtml(PERMISSION_ENTITIES[route.entity].label.toLowerCase());
+      return;
+    }
+
+    try{
+      const module = await route.load();
+      // Another route started while this module was downloading
+      if(token !== routeToken) return;
+      currentModule = module;
+      await module.render();
+    } catch(err){
+      logError('router', err);
+      tabContent.innerHTML = '<div class="error" style="display:block;padding:12px;">Could not load this section. Check your connection and try again.</div>';
+      return;
+    }
+    if(token !== routeToken) return;
+
+    // --- Scroll tab content into view (not on first load, so the overview stays visible) ---
+    if(started) tabContent.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  current = { tab, params };
+  if(currentModule && currentModule.show) await currentModule.show(params);
+}
+
+/**
+ * Wires the nav buttons and the back/forward buttons to the router and
+ * renders the route in the current URL.
+ */
+export async function startRouter(){
+  document.querySelectorAll('.tab-link').forEach(link => {
+    link.addEventListener('click', () => navigate(`/${link.dataset.tab}`));
+  });
+  window.addEventListener('hashchange', () => handleRoute());
+  await handleRoute();
+  started = true;
+}
@@ -0,0 +1,105 @@
+/**
+ * Helpers shared by the dashboard tab modules.
+ */
+
+// ----- Date Filter Utility Function -----
+export function filterByDate(data, dateField, dateFilter){
+  if(!dateFilter.from && !dateFilter.to) return data;
+  
+  return data.filter(item => {
+    if(!item[dateField]) return false;
+    const itemDate = new Date(item[dateField]);
+    if(dateFilter.from){
+      const fromDate = new Date(dateFilter.from);
+      fromDate.setHours(0,0,0,0);
+      if(itemDate < fromDate) return false;
+    }
+    if(dateFilter.to){
+      const toDate = new Date(dateFilter.to);
+      toDate.setHours(23,59,59,999);
+      if(itemDate > toDate) return false;
+    }
+    return true;
+  });
+}
+
+// ----- Offline Cache Notice -----
+export function showCachedDataNotice(elementId, res){
+  if(!res || !res.fromCache) return;
+  const element = document.getElementById(elementId);
+  if(element){
+    element.innerText = `📴 You are offline. Showing data saved on ${formatDate(res.cachedAt)}; changes will sync when you reconnect.`;
+    element.className = '';
+    element.style.cssText = 'margin-bottom:10px;padding:12px;background:#fff3cd;border-left:4px solid #f39c12;border-radius:4px;color:#856404;display:block;';
+  }
+}
+
+// ----- Pagination Utility -----
+export function paginate(array, page=1, pageSize=10){
+  const totalPages=Math.ceil(array.length/pageSize);
+  const start=(page-1)*pageSize;
+  const data=array.slice(start,start+pageSize);
+  return {data,totalPages};
+}
+
+// First/prev, a window of pages around the current one, next/last - large
+// tenants can have thousands of pages
+export function createPagination(containerId,totalPages,currentPage,callback){
+  const container=document.getElementById(containerId);
+  if(!container) return;
+  container.innerHTML='';
+  if(totalPages<=1) return;
+
+  const addButton=(label,page,{active=false,disabled=false,title=''}={})=>{
+    const btn=document.createElement('button');
+    btn.innerText=label;
+    if(title) btn.title=title;
+    if(active) btn.classList.add('active');
+    btn.disabled=disabled;
+    if(!disabled && !active) btn.addEventListener('click',()=>callback(page));
+    container.appendChild(btn);
+  };
+  const addGap=()=>{
+    const gap=document.createElement('span');
+    gap.className='pagination-gap';
+    gap.innerText='…';
+    container.appendChild(gap);
+  };
+
+  const windowSize=2;
+  const start=Math.max(1,currentPage-windowSize);
+  const end=Math.min(totalPages,currentPage+windowSize);
+
+  addButton('‹',currentPage-1,{disabled:currentPage<=1,title:'Previous page'});
+  if(start>1) addButton('1',1);
+  if(start>2) addGap();
+  for(let i=start;i<=end;i++) addButton(String(i),i,{active:i===currentPage});
+  if(end<totalPages-1) addGap();
+  if(end<totalPages) addButton(String(totalPages),totalPages);
+  addButton('›',currentPage+1,{disabled:currentPage>=totalPages,title:'Next page'});
+}
+
+// ----- Upgrade Notice -----
+export function upgradeRequiredHtml(featureLabel){
+  return `<div style="text-align:center;padding:40px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border-radius:12px;">
+    <h2 style="margin:0 0 15px 0;">🚀 Upgrade Required</h2>
+    <p style="margin:0 0 20px 0;opacity:0.9;">${escapeHtml(featureLabel)} feature is not available in your current plan.</p>
+    <button onclick="alert('Contact your administrator to upgrade your plan')" style="padding:12px 24px;background:rgba(255,255,255,0.2);color:#fff;border:2px solid rgba(255,255,255,0.3);border-radius:8px;cursor:pointer;font-weight:600;">Upgrade Now</button>
+  </div>`;
+}
+
+// ----- Permissions -----
+export function noAccessHtml(label){
+  return `<div style="text-align:center;padding:40px;background:var(--bg-secondary);border-radius:12px;border:2px dashed var(--border-color);">
+    <h2 style="margin:0 0 15px 0;color:var(--text-primary);">🔒 No Access</h2>
+    <p style="margin:0;color:var(--text-secondary);">Your role does not include ${escapeHtml(label)}. Ask your administrator if you need it.</p>
+  </div>`;
+}
+
+// Disables a control the user's role does not allow, with the reason as its tooltip
+export function applyPermission(element, action, entity, record){
+  if(!element) return;
+  const check = checkPermission(action, entity, record);
+  element.disabled = !check.allowed;
+  element.title = check.message;
+}
@@ -0,0 +1,206 @@
+/**
+ * Receivables ageing tab - unpaid bill balances per customer in 0-30/31-60/61-90/90+
+ * day buckets, with a per-customer drill-down into the bills and PDF/CSV export.
+ *
+ * Routes: #/ageing, #/ageing/:bucket (e.g. #/ageing/90+ shows only that bucket)
+ */
+
+import { API_CUSTOMERS, API_BILLS, API_PAYMENTS, API_CREDIT_NOTES } from '../api.js';
+import { showCachedDataNotice } from '../shared.js';
+import { navigate, entityPath } from '../router.js';
+
+const BUCKET_COLORS = { '0-30': '#27ae60', '31-60': '#f39c12', '61-90': '#e67e22', '90+': '#e74c3c' };
+
+// Data behind the report; changing the date, basis or bucket needs no refetch
+let ageingData = null;
+let ageingBucket = '';
+const expandedCustomers = new Set();
+
+function money(value){
+  return '₹' + value.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+async function loadAgeingTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+
+  tabContent.innerHTML = `
+    <div id="ageing-content">
+      <h2>⏳ Receivables Ageing</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Unpaid bill balances (after partial payments) grouped by how long they have been outstanding</p>
+      <div class="list-toolbar">
+        <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+          <label style="font-size:0.9rem;color:#666;">As of
+            <input type="date" id="ageingAsOf" style="padding:6px;">
+          </label>
+          <label style="font-size:0.9rem;color:#666;">Age by
+            <select id="ageingBasis" style="padding:6px;">
+              <option value="billDate">Bill date</option>
+              <option value="dueDate">Due date</option>
+            </select>
+          </label>
+        </div>
+        <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+          <button onclick="exportAgeing('pdf')" style="padding:6px 12px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">📄 PDF</button>
+          <button onclick="exportAgeing('csv')" style="padding:6px 12px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">📥 CSV</button>
+          <button onclick="exportAgeing('detail')" style="padding:6px 12px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">📥 CSV (bills)</button>
+        </div>
+      </div>
+      <div id="ageing_msg" style="margin-bottom:10px;"></div>
+      <div id="ageingBuckets" style="display:grid;grid-template-columns:repeat(auto-fit, minmax(160px, 1fr));gap:15px;margin-bottom:20px;"></div>
+      <div id="ageingTable"><p style="color:#7f8c8d;text-align:center;padding:20px;">Loading receivables...</p></div>
+    </div>
+  `;
+
+  document.getElementById('ageingAsOf').value = new Date().toISOString().slice(0, 10);
+  document.getElementById('ageingAsOf').addEventListener('change', renderAgeingReport);
+  document.getElementById('ageingBasis').addEventListener('change', renderAgeingReport);
+
+  // Customer rows expand into their bills; bill and customer links open the record
+  document.getElementById('ageingTable').addEventListener('click', (e) => {
+    const link = e.target.closest('[data-entity]');
+    if(link){
+      e.stopPropagation();
+      navigate(entityPath(link.dataset.entity, link.dataset.id));
+      return;
+    }
+    const row = e.target.closest('tr[data-customer-id]');
+    if(row){
+      const id = row.dataset.customerId;
+      if(expandedCustomers.has(id)) expandedCustomers.delete(id);
+      else expandedCustomers.add(id);
+      renderAgeingReport();
+    }
+  });
+
+  const opts = {headers:authHeader(), scope:'tab'};
+  const [billsRes, paymentsRes, customersRes, creditNotesRes] = await Promise.all([
+    fetchJson(API_BILLS, opts),
+    fetchJson(API_PAYMENTS, opts),
+    fetchJson(API_CUSTOMERS, opts),
+    fetchJson(API_CREDIT_NOTES, opts)
+  ]);
+  if(billsRes.aborted || paymentsRes.aborted || customersRes.aborted || creditNotesRes.aborted) return;
+  if(!billsRes.ok || !paymentsRes.ok){
+    handleApiError(billsRes.ok ? paymentsRes : billsRes, 'ageing_msg', 'Failed to load bills and payments');
+    document.getElementById('ageingTable').innerHTML = '';
+    return;
+  }
+  showCachedDataNotice('ageing_msg', billsRes);
+
+  const isActive = r => r.isActive !== false && r.IsActive !== false && r.is_active !== false;
+  ageingData = {
+    bills: toPagedResult(billsRes.data, {}, 'bills').items.filter(isActive),
+    payments: toPagedResult(paymentsRes.data, {}, 'payments').items.filter(isActive),
+    customers: customersRes.ok ? toPagedResult(customersRes.data, {}, 'customers').items : [],
+    // Backends without credit notes answer 404; balances are then payments only
+    creditNotes: creditNotesRes.ok ? toPagedResult(creditNotesRes.data, {}, 'creditNotes').items.filter(isActive) : []
+  };
+  renderAgeingReport();
+}
+
+// Report for the date, basis and bucket currently selected
+function currentAgeingReport(){
+  if(!ageingData) return null;
+  const report = buildAgeingReport(ageingData.bills, ageingData.payments, ageingData.customers, {
+    asOf: document.getElementById('ageingAsOf')?.value,
+    basis: document.getElementById('ageingBasis')?.value,
+    creditNotes: ageingData.creditNotes
+  });
+  return { full: report, shown: filterAgeingReport(report, ageingBucket) };
+}
+
+function renderAgeingReport(){
+  const reports = currentAgeingReport();
+  if(!reports) return;
+  const { full, shown } = reports;
+
+  // Bucket cards double as the bucket filter
+  const card = (key, label, amount, color) => `
+    <button class="ageing-bucket" data-bucket="${key}" style="text-align:left;background:#fff;padding:15px;border-radius:8px;border:none;border-left:4px solid ${color};box-shadow:0 2px 8px rgba(0,0,0,0.1);cursor:pointer;${ageingBucket === key ? 'outline:2px solid ' + color + ';' : ''}">
+      <span style="display:block;color:#7f8c8d;font-size:0.9rem;">${label}</span>
+      <strong style="display:block;margin-top:6px;font-size:1.2rem;color:#2c3e50;">${money(amount)}</strong>
+    </button>`;
+  const bucketsEl = document.getElementById('ageingBuckets');
+  bucketsEl.innerHTML = card('', 'All outstanding', full.total, '#3498db') +
+    AGEING_BUCKETS.map(b => card(b.key, b.label, full.totals[b.key], BUCKET_COLORS[b.key])).join('');
+  bucketsEl.querySelectorAll('.ageing-bucket').forEach(btn => {
+    btn.addEventListener('click', () => navigate(btn.dataset.bucket ? `/ageing/${btn.dataset.bucket}` : '/ageing'));
+  });
+
+  const tableEl = document.getElementById('ageingTable');
+  if(shown.customers.length === 0){
+    tableEl.innerHTML = `<p style="color:#7f8c8d;text-align:center;padding:20px;">No outstanding bills${ageingBucket ? ' in this bucket' : ''} 🎉</p>`;
+    return;
+  }
+
+  const amountCell = value => `<td style="text-align:right;">${value ? money(value) : '-'}</td>`;
+  const billRows = row => `
+    <tr class="ageing-detail"><td colspan="${AGEING_BUCKETS.length + 2}" style="background:#f8f9fa;padding:8px 12px 8px 30px;">
+      <table style="width:100%;font-size:0.9rem;">
+        <thead><tr><th>Bill</th><th>Bill Date</th><th>Due Date</th><th style="text-align:right;">Days</th><th style="text-align:right;">Amount</th><th style="text-align:right;">Paid</th><th style="text-align:right;">Credited</th><th style="text-align:right;">Balance</th></tr></thead>
+        <tbody>${row.bills.map(bill => `<tr>
+          <td><a href="javascript:void(0)" data-entity="Bill" data-id="${escapeHtml(bill.id)}" style="color:#667eea;">#${escapeHtml(bill.id)}</a></td>
+          <td>${formatDateOnly(bill.billDate)}</td>
+          <td>${formatDateOnly(bill.dueDate)}</td>
+          <td style="text-align:right;color:${BUCKET_COLORS[bill.bucket]};font-weight:500;">${bill.days}</td>
+          ${amountCell(bill.amount)}${amountCell(bill.paid)}${amountCell(bill.credited)}${amountCell(bill.balance)}
+        </tr>`).join('')}</tbody>
+      </table>
+    </td></tr>`;
+
+  tableEl.innerHTML = `
+    <p style="color:#666;font-size:14px;margin-bottom:10px;">${shown.billCount} unpaid bill(s) across ${shown.customers.length} customer(s). Click a customer to see their bills.</p>
+    <table id="tblAgeing">
+      <thead><tr><th>Customer</th>${AGEING_BUCKETS.map(b => `<th style="text-align:right;">${b.label}</th>`).join('')}<th style="text-align:right;">Total</th></tr></thead>
+      <tbody>
+        ${shown.customers.map(row => `
+          <tr data-customer-id="${escapeHtml(row.customerId)}" style="cursor:pointer;">
+            <td>${expandedCustomers.has(String(row.customerId)) ? '▾' : '▸'} <a href="javascript:void(0)" data-entity="Customer" data-id="${escapeHtml(row.customerId)}" style="color:#667eea;text-decoration:none;font-weight:500;">${escapeHtml(row.customerName)}</a></td>
+            ${AGEING_BUCKETS.map(b => amountCell(row.buckets[b.key])).join('')}
+            <td style="text-align:right;font-weight:600;">${money(row.total)}</td>
+          </tr>
+          ${expandedCustomers.has(String(row.customerId)) ? billRows(row) : ''}`).join('')}
+      </tbody>
+      <tfoot>
+        <tr style="font-weight:600;">
+          <td>Total</td>${AGEING_BUCKETS.map(b => amountCell(shown.totals[b.key])).join('')}<td style="text-align:right;">${money(shown.total)}</td>
+        </tr>
+      </tfoot>
+    </table>`;
+}
+
+function exportAgeing(format){
+  const reports = currentAgeingReport();
+  if(!reports) return;
+  const report = reports.shown;
+  if(report.customers.length === 0){
+    showError('ageing_msg', 'No outstanding bills to export');
+    return;
+  }
+  if(format === 'pdf'){
+    if(generatePDFAgeing(report)) showSuccess('ageing_msg', 'Ageing report PDF generated successfully!');
+    else showError('ageing_msg', 'Failed to generate ageing report PDF');
+    return;
+  }
+  downloadAgeingCSV(report, format === 'detail');
+  showSuccess('ageing_msg', 'Ageing report exported successfully!');
+}
+
+// ----- Route -----
+export async function render(){
+  ageingBucket = '';
+  expandedCustomers.clear();
+  await loadAgeingTab();
+}
+
+// #/ageing/:bucket shows one bucket; #/ageing shows them all
+export async function show([bucket]){
+  ageingBucket = AGEING_BUCKETS.some(b => b.key === bucket) ? bucket : '';
+  renderAgeingReport();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  exportAgeing
+});
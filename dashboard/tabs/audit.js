@@ -0,0 +1,268 @@
+/**
+ * Audit Log tab - filtered log and per-record history (AUDIT_LOG feature).
+ *
+ * Route: #/audit
+ */
+
+import { API_AUDIT } from '../api.js';
+import { createPagination } from '../shared.js';
+
+// ----- Step 4: Audit Log Tab -----
+async function loadAuditLogTab(page = 1){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  const html = `
+    <div id="audit-content">
+      <h2>📋 Audit Log</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Track all changes and activities in the system</p>
+      
+      <div style="background:var(--bg-secondary);padding:20px;border-radius:12px;margin-bottom:20px;border:2px solid var(--border-color);">
+        <h3 style="margin-top:0;color:var(--text-primary);">Filters</h3>
+        <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(200px, 1fr));gap:15px;margin-bottom:15px;">
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Entity Type</label>
+            <select id="auditEntityType" style="width:100%;padding:8px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+              <option value="">All Types</option>
+              <option value="Customer">Customer</option>
+              <option value="Bill">Bill</option>
+              <option value="Payment">Payment</option>
+            </select>
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Action</label>
+            <select id="auditAction" style="width:100%;padding:8px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+              <option value="">All Actions</option>
+              <option value="Create">Create</option>
+              <option value="Update">Update</option>
+              <option value="Delete">Delete</option>
+            </select>
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">From Date</label>
+            <input type="date" id="auditFromDate" style="width:100%;padding:8px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">To Date</label>
+            <input type="date" id="auditToDate" style="width:100%;padding:8px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+        </div>
+        <button onclick="applyAuditFilters()" style="padding:10px 20px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">🔍 Apply Filters</button>
+        <button onclick="clearAuditFilters()" style="padding:10px 20px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;font-weight:500;margin-left:10px;">🗑️ Clear</button>
+      </div>
+      
+      <div id="auditLogList" style="display:grid;gap:10px;">
+        <p style="color:var(--text-secondary);text-align:center;padding:20px;">Loading audit logs...</p>
+      </div>
+      
+      <div id="auditPagination" class="pagination" style="margin-top:20px;"></div>
+    </div>
+  `;
+  
+  tabContent.innerHTML = html;
+  await loadAuditLogs(page);
+}
+
+let auditFilters = { entityType: '', action: '', fromDate: null, toDate: null };
+
+async function applyAuditFilters(){
+  auditFilters = {
+    entityType: document.getElementById('auditEntityType')?.value || '',
+    action: document.getElementById('auditAction')?.value || '',
+    fromDate: document.getElementById('auditFromDate')?.value || null,
+    toDate: document.getElementById('auditToDate')?.value || null
+  };
+  await loadAuditLogs(1);
+}
+
+function clearAuditFilters(){
+  document.getElementById('auditEntityType').value = '';
+  document.getElementById('auditAction').value = '';
+  document.getElementById('auditFromDate').value = '';
+  document.getElementById('auditToDate').value = '';
+  auditFilters = { entityType: '', action: '', fromDate: null, toDate: null };
+  loadAuditLogs(1);
+}
+
+async function loadAuditLogs(page = 1){
+  const logList = document.getElementById('auditLogList');
+  if(!logList) return;
+  
+  try{
+    const params = new URLSearchParams({
+      page: page.toString(),
+      limit: '50'
+    });
+    
+    if(auditFilters.entityType) params.append('entityType', auditFilters.entityType);
+    if(auditFilters.action) params.append('action', auditFilters.action);
+    if(auditFilters.fromDate) params.append('fromDate', auditFilters.fromDate);
+    if(auditFilters.toDate) params.append('toDate', auditFilters.toDate);
+    
+    const url = `${API_AUDIT}?${params.toString()}`;
+    console.log('Loading audit logs from:', url);
+    const r = await fetchJson(url, {
+      headers: authHeader(),
+      scope: 'tab'
+    });
+    if(r.aborted) return;
+    
+    console.log('Audit logs response:', r);
+    
+    if(r.status === 404){
+      logList.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:5px;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_AUDIT}</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;">Please check Swagger documentation at <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const data = r.apiResponse.body || r.data || {};
+      const logs = data.logs || data || [];
+      const totalPages = data.totalPages || Math.ceil((data.total || logs.length) / 10);
+      
+      if(logs.length === 0){
+        logList.innerHTML = '<p style="color:var(--text-secondary);text-align:center;padding:20px;">No audit logs found</p>';
+        return;
+      }
+      
+      logList.innerHTML = logs.map(log => {
+        const actionClass = log.action?.toLowerCase() || 'unknown';
+        return `
+          <div class="audit-entry ${actionClass}">
+            <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:8px;">
+              <div style="flex:1;">
+                <strong style="color:var(--text-primary);">${escapeHtml(log.action || 'Unknown')} ${escapeHtml(log.entityType || 'Entity')}</strong>
+                <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">
+                  Entity ID: ${escapeHtml(log.entityId || 'N/A')} | 
+                  User: ${escapeHtml(log.userName || log.userId || 'System')}
+                </p>
+              </div>
+              <span style="color:var(--text-tertiary);font-size:0.85rem;">${log.timestamp ? formatDate(log.timestamp) : 'N/A'}</span>
+            </div>
+            ${log.changes && Object.keys(log.changes).length > 0 ? `
+              <div class="audit-changes">
+                <strong style="color:var(--text-primary);font-size:0.9rem;">Changes:</strong>
+                ${Object.entries(log.changes).map(([key, change]) => `
+                  <div class="change-item">
+                    <span style="color:var(--text-secondary);">${escapeHtml(key)}:</span>
+                    <span class="change-before">${escapeHtml(change.before || 'N/A')}</span>
+                    <span>→</span>
+                    <span class="change-after">${escapeHtml(change.after || 'N/A')}</span>
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
+            ${log.entityId ? `
+              <button onclick="viewEntityHistory('${log.entityType}', ${log.entityId})" style="margin-top:10px;padding:6px 12px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:4px;cursor:pointer;font-size:0.85rem;">View Full History</button>
+            ` : ''}
+          </div>
+        `;
+      }).join('');
+      
+      const paginationDiv = document.getElementById('auditPagination');
+      if(paginationDiv){
+        createPagination('auditPagination', totalPages, page, (p) => loadAuditLogs(p));
+      }
+    } else {
+      const errorMsg = r.apiResponse?.message || r.message || 'Failed to load audit logs';
+      logList.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:20px;">${escapeHtml(errorMsg)}</p>`;
+    }
+  } catch(err){
+    logError('loadAuditLogs', err);
+    if(err.message && err.message.includes('404')){
+      logList.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_AUDIT}</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;margin-top:10px;">Check Swagger: <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+    } else {
+      logList.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:20px;">Error loading audit logs: ${escapeHtml(err.message || 'Unknown error')}</p>`;
+    }
+  }
+}
+
+async function viewEntityHistory(entityType, entityId){
+  try{
+    showLoadingOverlay();
+    const r = await fetchJson(`${API_AUDIT}/entity/${entityType}/${entityId}`, {
+      headers: authHeader()
+    });
+    
+    hideLoadingOverlay();
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const history = r.apiResponse.body || r.data || [];
+      
+      const modalHtml = `
+        <div class="feature-modal show" id="entityHistoryModal" onclick="if(event.target.id === 'entityHistoryModal') closeEntityHistoryModal()">
+          <div class="feature-modal-content">
+            <div class="feature-modal-header">
+              <h2>History for ${escapeHtml(entityType)} #${entityId}</h2>
+              <button class="modal-close" onclick="closeEntityHistoryModal()">×</button>
+            </div>
+            <div style="max-height:500px;overflow-y:auto;">
+              ${history.length === 0 ? '<p style="color:var(--text-secondary);text-align:center;padding:20px;">No history found</p>' : history.map(log => `
+                <div class="audit-entry ${log.action?.toLowerCase() || 'unknown'}" style="margin-bottom:10px;">
+                  <div style="display:flex;justify-content:space-between;align-items:start;">
+                    <div style="flex:1;">
+                      <strong style="color:var(--text-primary);">${escapeHtml(log.action || 'Unknown')}</strong>
+                      <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">
+                        By: ${escapeHtml(log.userName || log.userId || 'System')} | 
+                        ${log.timestamp ? formatDate(log.timestamp) : 'N/A'}
+                      </p>
+                    </div>
+                  </div>
+                  ${log.changes && Object.keys(log.changes).length > 0 ? `
+                    <div class="audit-changes" style="margin-top:10px;">
+                      ${Object.entries(log.changes).map(([key, change]) => `
+                        <div class="change-item">
+                          <span style="color:var(--text-secondary);">${escapeHtml(key)}:</span>
+                          <span class="change-before">${escapeHtml(change.before || 'N/A')}</span>
+                          <span>→</span>
+                          <span class="change-after">${escapeHtml(change.after || 'N/A')}</span>
+                        </div>
+                      `).join('')}
+                    </div>
+                  ` : ''}
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+      `;
+      
+      document.body.insertAdjacentHTML('beforeend', modalHtml);
+    } else {
+      handleApiError(r, 'audit_msg', 'Failed to load entity history');
+    }
+  } catch(err){
+    hideLoadingOverlay();
+    logError('viewEntityHistory', err);
+    showError('audit_msg', 'Failed to load entity history: ' + err.message);
+  }
+}
+
+function closeEntityHistoryModal(){
+  const modal = document.getElementById('entityHistoryModal');
+  if(modal) modal.remove();
+}
+
+// ----- Route -----
+export async function render(){
+  await loadAuditLogTab();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  applyAuditFilters,
+  clearAuditFilters,
+  viewEntityHistory,
+  closeEntityHistoryModal
+});
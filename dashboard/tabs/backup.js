@@ -0,0 +1,223 @@
+/**
+ * Backup tab - downloads the whole organisation as one archive and restores
+ * an archive into it: the file is checked against its manifest, a dry run
+ * shows what would be created, matched and skipped, then the restore runs
+ * with progress and a conflict report. The archive format and the merge
+ * rules live in backup.js.
+ *
+ * Route: #/backup
+ */
+
+// The archive being restored: {fileName, archive, preview, restoring}
+let restoreData = null;
+
+const buttonStyle = background => `padding:10px 16px;background:${background};color:#fff;border:none;border-radius:6px;cursor:pointer;`;
+
+async function loadBackupTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  restoreData = null;
+  const canRestore = isAdmin();
+  // A backup holds every record, so the role has to be able to export all of them
+  const canDownload = Object.keys(PERMISSION_ENTITIES).every(entity => !PERMISSION_ENTITIES[entity].actions.includes('export') || userCan('export', entity));
+
+  tabContent.innerHTML = `
+    <div id="backup-content">
+      <h2>💾 Backup &amp; Restore</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">A backup holds every customer, bill, payment (with how it was allocated to bills), credit note, quotation, recurring bill, reminder and saved search, plus your dashboard layout and invoice design.</p>
+      <div id="backup_msg" style="margin-bottom:10px;"></div>
+      <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(280px, 1fr));gap:20px;">
+        <div class="import-section" style="background:var(--bg-secondary);padding:20px;border-radius:12px;border:2px solid var(--border-color);">
+          <h3 style="margin-top:0;">Download a backup</h3>
+          <p style="color:var(--text-secondary);font-size:0.9rem;">Saves a ZIP file with a manifest and checksums, so it can be checked before it is restored.</p>
+          <button id="btnDownloadBackup" ${canDownload ? '' : 'disabled title="Your role cannot export everything a backup holds"'} style="${buttonStyle('linear-gradient(135deg, #667eea 0%, #764ba2 100%)')}">📦 Download backup</button>
+        </div>
+        <div class="import-section" style="background:var(--bg-secondary);padding:20px;border-radius:12px;border:2px solid var(--border-color);">
+          <h3 style="margin-top:0;">Restore a backup</h3>
+          ${canRestore ? `
+            <p style="color:var(--text-secondary);font-size:0.9rem;">Adds what is missing and keeps what is already here. You will see what changes before anything is saved.</p>
+            <input type="file" id="backupFile" accept=".zip,.json" style="padding:6px;">` : `
+            <p style="color:var(--text-secondary);font-size:0.9rem;">Only admins can restore backups.</p>`}
+        </div>
+      </div>
+      <div id="restoreWizard" style="margin-top:20px;"></div>
+    </div>
+  `;
+
+  document.getElementById('btnDownloadBackup').addEventListener('click', handleDownloadBackup);
+  if(canRestore){
+    document.getElementById('backupFile').addEventListener('change', (e) => { loadRestoreFile(e.target.files[0]); e.target.value = ''; });
+    document.getElementById('restoreWizard').addEventListener('click', handleWizardClick);
+  }
+}
+
+// ----- Download -----
+async function handleDownloadBackup(){
+  const button = document.getElementById('btnDownloadBackup');
+  button.disabled = true;
+  showLoading('backup_msg', 'Collecting your data...');
+  try{
+    const archive = await createBackup();
+    await downloadBackup(archive);
+    const total = archive.manifest.collections.reduce((sum, c) => sum + (c.records || 0), 0);
+    showSuccess('backup_msg', `Backup downloaded with ${total} records`);
+  } catch(err){
+    logError('handleDownloadBackup', err);
+    showError('backup_msg', `Backup failed: ${err.message}`);
+  } finally{
+    button.disabled = false;
+  }
+}
+
+// ----- Restore: check the file and preview -----
+async function loadRestoreFile(file){
+  if(!file) return;
+  const wizard = document.getElementById('restoreWizard');
+  wizard.innerHTML = '';
+  restoreData = null;
+  showLoading('backup_msg', 'Checking the backup...');
+  try{
+    const archive = await readBackupFile(file);
+    const { valid, errors } = await verifyBackup(archive);
+    if(!valid){
+      showError('backup_msg', `This backup cannot be restored: ${errors.join('; ')}`);
+      return;
+    }
+    const existing = await loadBackupData();
+    const preview = await restoreBackup(archive.data, existing, apiClient, { dryRun: true });
+    restoreData = { fileName: file.name, archive, preview, restoring: false };
+  } catch(err){
+    logError('loadRestoreFile', err);
+    showError('backup_msg', err.message);
+    return;
+  }
+  clearMessage('backup_msg');
+  renderRestorePreview();
+}
+
+function countsTableHtml(counts, columns){
+  return `
+    <table id="tblRestoreCounts">
+      <thead><tr><th>Data</th>${columns.map(([, label]) => `<th style="text-align:right;">${label}</th>`).join('')}</tr></thead>
+      <tbody>${BACKUP_COLLECTIONS.map(c => `<tr>
+        <td>${c.label}</td>
+        ${columns.map(([key]) => `<td style="text-align:right;">${counts[c.key][key]}</td>`).join('')}
+      </tr>`).join('')}</tbody>
+    </table>`;
+}
+
+function conflictsHtml(conflicts){
+  if(conflicts.length === 0) return '<p style="color:#27ae60;">No conflicts 🎉</p>';
+  const labels = Object.fromEntries(BACKUP_COLLECTIONS.map(c => [c.key, c.label]));
+  return `
+    <div style="max-height:300px;overflow-y:auto;">
+      <table id="tblRestoreConflicts">
+        <thead><tr><th>Data</th><th>Record</th><th>What happens</th></tr></thead>
+        <tbody>${conflicts.map(c => `<tr>
+          <td>${labels[c.collection]}</td>
+          <td>${escapeHtml(c.label)}</td>
+          <td>${escapeHtml(c.message)}</td>
+        </tr>`).join('')}</tbody>
+      </table>
+    </div>`;
+}
+
+function renderRestorePreview(){
+  const { fileName, archive, preview } = restoreData;
+  const { manifest } = archive;
+  const toCreate = Object.values(preview.counts).reduce((sum, c) => sum + c.created, 0);
+  document.getElementById('restoreWizard').innerHTML = `
+    <div class="import-section" style="background:var(--bg-secondary);padding:20px;border-radius:12px;border:2px solid var(--border-color);">
+      <h3 style="margin-top:0;">Restore ${escapeHtml(fileName)}</h3>
+      <p style="color:var(--text-secondary);font-size:0.9rem;">
+        Backup of ${escapeHtml(manifest.organization || 'an organisation')} made ${escapeHtml(formatDate(manifest.createdAt))}${manifest.createdBy ? ` by ${escapeHtml(manifest.createdBy)}` : ''}. Checksums verified ✅
+      </p>
+      ${countsTableHtml(preview.counts, [['created', 'To add'], ['matched', 'Already here'], ['skipped', 'Skipped']])}
+      <h4>Conflicts (${preview.conflicts.length})</h4>
+      ${conflictsHtml(preview.conflicts)}
+      <div style="margin-top:15px;display:flex;gap:10px;flex-wrap:wrap;">
+        <button data-action="restore" ${toCreate === 0 ? 'disabled' : ''} style="${buttonStyle('linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)')}">♻️ Restore ${toCreate} record(s)</button>
+        <button data-action="cancel" style="padding:10px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">Cancel</button>
+      </div>
+    </div>
+  `;
+}
+
+// ----- Restore: apply -----
+async function applyRestore(){
+  if(!restoreData || restoreData.restoring) return;
+  if(!offlineSync.isOnline()){
+    showError('backup_msg', 'You are offline. Restoring needs a connection; please try again once you are back online.');
+    return;
+  }
+  const wizard = document.getElementById('restoreWizard');
+  wizard.innerHTML = `
+    <div class="import-section" style="background:var(--bg-secondary);padding:20px;border-radius:12px;border:2px solid var(--border-color);">
+      <h3 style="margin-top:0;">Restoring...</h3>
+      <div class="progress-container">
+        <div class="progress-bar">
+          <div class="progress-fill" id="restoreProgressFill" style="width:0%;">0%</div>
+        </div>
+      </div>
+      <p id="restoreProgressText" style="color:var(--text-secondary);font-size:0.9rem;"></p>
+      <div id="restoreResults" style="margin-top:15px;"></div>
+    </div>
+  `;
+
+  restoreData.restoring = true;
+  clearMessage('backup_msg');
+  let report;
+  try{
+    // Matched again against fresh data, in case anything changed since the preview
+    const existing = await loadBackupData();
+    report = await restoreBackup(restoreData.archive.data, existing, apiClient, { onProgress: setRestoreProgress });
+  } catch(err){
+    logError('applyRestore', err);
+    showError('backup_msg', `Restore failed: ${err.message}`);
+    return;
+  } finally{
+    restoreData.restoring = false;
+  }
+
+  const totals = Object.values(report.counts).reduce((sum, c) => ({ created: sum.created + c.created, failed: sum.failed + c.failed }), { created: 0, failed: 0 });
+  document.getElementById('restoreResults').innerHTML = `
+    ${countsTableHtml(report.counts, [['created', 'Added'], ['matched', 'Already here'], ['skipped', 'Skipped'], ['failed', 'Failed']])}
+    <h4>Conflicts (${report.conflicts.length})</h4>
+    ${conflictsHtml(report.conflicts)}
+    <div style="margin-top:15px;">
+      <button data-action="cancel" style="padding:10px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">Done</button>
+    </div>
+  `;
+  if(totals.failed > 0){
+    showError('backup_msg', `${totals.created} record(s) restored; ${totals.failed} could not be restored. See the conflicts below.`);
+  } else {
+    showSuccess('backup_msg', `${totals.created} record(s) restored`);
+  }
+}
+
+function setRestoreProgress(done, total){
+  const percent = Math.round(done / total * 100);
+  const fill = document.getElementById('restoreProgressFill');
+  if(fill){
+    fill.style.width = percent + '%';
+    fill.textContent = percent + '%';
+  }
+  const text = document.getElementById('restoreProgressText');
+  if(text) text.textContent = `${done} of ${total} records`;
+}
+
+function handleWizardClick(e){
+  const button = e.target.closest('button[data-action]');
+  if(!button) return;
+  if(button.dataset.action === 'restore') applyRestore();
+  if(button.dataset.action === 'cancel'){
+    restoreData = null;
+    document.getElementById('restoreWizard').innerHTML = '';
+    clearMessage('backup_msg');
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadBackupTab();
+}
@@ -0,0 +1,1262 @@
+/**
+ * Bills tab - list, line items editor, add/edit/delete and the bill details modal
+ * (credit notes, cancellation and the customer payment link are handled from
+ * the modal, which also shows a UPI QR code for what is owed). A new bill can be
+ * set to repeat, which saves it as a recurring bill template.
+ *
+ * Routes: #/bills, #/bills/:id
+ */
+
+import { API_CUSTOMERS, API_BILLS, API_PAYMENTS, API_CREDIT_NOTES, API_RECURRING_BILLS } from '../api.js';
+import { showCachedDataNotice, createPagination, applyPermission } from '../shared.js';
+import { navigate, leaveRecord, entityPath, recordId } from '../router.js';
+import { createLineItemsEditor, renderTaxRows } from '../line-items-editor.js';
+import { createListQuery, listUrl, withoutPaging, sortableHeader, bindSortableHeaders, listSummary, pageSizeSelect, bindPageSizeSelect, mountVirtualRows } from '../list-view.js';
+import { openExportDialog, customerNameMap, billMap, exportFilename } from '../export-dialog.js';
+
+// ----- Bill Details Modal with Share/Download -----
+// Bill, customer, payments and credit notes behind the open modal
+let billDetails = null;
+
+async function showBillDetails(billId){
+  showLoadingOverlay();
+  
+  try{
+    const billRes = await fetchJson(`${API_BILLS}/${billId}`, {headers:authHeader()});
+    if(!billRes.ok){
+      hideLoadingOverlay();
+      showError('bill_msg', 'Failed to load bill details');
+      return;
+    }
+    const bill = billRes.data;
+
+    // Only this bill's customer and their payments; a payment can cover several
+    // bills through linkedBills, so the bill's own payments are picked out below.
+    // Backends without credit notes answer 404; the bill then simply has none
+    const [customerRes, paymentsRes, creditNotesRes] = await Promise.all([
+      fetchJson(`${API_CUSTOMERS}/${bill.customerId}`, {headers:authHeader()}),
+      fetchJson(listUrl(API_PAYMENTS, { customerId: bill.customerId }), {headers:authHeader()}),
+      fetchJson(`${API_CREDIT_NOTES}/bill/${billId}`, {headers:authHeader()})
+    ]);
+    
+    hideLoadingOverlay();
+    
+    const customer = customerRes.ok ? customerRes.data : undefined;
+    
+    // Calculate payment status
+    const allPayments = (paymentsRes.data || []).filter(p => p.isActive !== false && p.IsActive !== false && p.is_active !== false);
+    
+    // Find payments linked to this bill (check both direct billId and linkedBills array)
+    const billPayments = allPayments.filter(p => {
+      // Check direct billId match
+      if(p.billId === billId || p.primaryBillId === billId) return true;
+      // Check if billId is in linkedBills array
+      if(p.linkedBills && Array.isArray(p.linkedBills)){
+        return p.linkedBills.some(lb => lb.billId === billId);
+      }
+      return false;
+    });
+    
+    // Calculate total paid - only count cleared payments, use allocatedAmount from linkedBills
+    const totalPaid = billPayments
+      .filter(p => {
+        // Only count cleared payments
+        const isCleared = p.cleared === true || p.cleared === 'true' || (p.mode !== 'Cheque' && p.cleared !== false);
+        return isCleared;
+      })
+      .reduce((sum, p) => {
+        // If linkedBills exist, find the specific bill's allocatedAmount
+        if(p.linkedBills && Array.isArray(p.linkedBills)){
+          const linkedBill = p.linkedBills.find(lb => lb.billId === billId);
+          if(linkedBill){
+            // Use allocatedAmount for this specific bill
+            return sum + (parseFloat(linkedBill.allocatedAmount) || 0);
+          }
+        }
+        // If no linkedBills or bill not found in linkedBills, use direct amount (for backward compatibility)
+        // But only if this payment is directly linked to this bill
+        if(p.billId === billId || p.primaryBillId === billId){
+          return sum + (parseFloat(p.amount) || 0);
+        }
+        return sum;
+      }, 0);
+    
+    const creditNotes = (creditNotesRes.ok && Array.isArray(creditNotesRes.data) ? creditNotesRes.data : []).filter(n => n.isActive !== false);
+    const totalCredited = getBillCredits(creditNotes)[bill.id] || 0;
+    const cancelled = isCancelledBill(bill);
+    billDetails = { bill, customer, payments: billPayments, creditNotes };
+    const canEdit = userCan('edit', 'bills', bill);
+    const canCredit = userCan('create', 'creditNotes');
+    const canVoid = userCan('void', 'bills', bill);
+    const creditable = getCreditableAmount(bill, creditNotes);
+    
+    const billAmount = parseFloat(bill.billAmount || 0);
+    const remaining = cancelled ? 0 : billAmount - totalPaid - totalCredited;
+    const itemTotals = calculateBillTotals(getBillItems(bill));
+    const billGst = isGstEnabled() ? computeBillGst(bill, customer || {}) : null;
+    const money = (v) => '₹' + parseFloat(v || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+    // Calculate payment progress: (Total Paid + Credited) / Bill Amount * 100, capped at 100%
+    const paymentProgress = billAmount > 0 ? Math.min(100, Math.round(((totalPaid + totalCredited) / billAmount) * 100)) : 0;
+    const upiLink = cancelled ? null : getBillUpiLink(bill, remaining);
+    const upiQr = upiLink ? getUpiQrDataUrl(upiLink) : '';
+    
+    // Create bill details modal
+    const modalHtml = `
+      <div id="billDetailsModal" onclick="if(event.target.id === 'billDetailsModal') closeBillDetailsModal()" style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.5);z-index:10000;display:flex;align-items:center;justify-content:center;padding:20px;overflow-y:auto;">
+        <div style="background:#fff;border-radius:16px;max-width:700px;width:100%;box-shadow:0 20px 60px rgba(0,0,0,0.3);overflow:hidden;position:relative;">
+          <button onclick="closeBillDetailsModal()" style="position:absolute;top:15px;right:15px;background:#e74c3c;border:none;color:#fff;width:35px;height:35px;border-radius:50%;cursor:pointer;font-size:1.3rem;line-height:1;z-index:10001;box-shadow:0 2px 8px rgba(231,76,60,0.4);transition:all 0.3s;display:flex;align-items:center;justify-content:center;font-weight:bold;" onmouseover="this.style.background='#c0392b';this.style.transform='scale(1.1)'" onmouseout="this.style.background='#e74c3c';this.style.transform='scale(1)'" title="Close">×</button>
+          <div style="background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;padding:30px;position:relative;">
+            <div style="text-align:center;">
+              <h2 style="margin:0;font-size:2rem;font-weight:600;">Bill #${escapeHtml(bill.id)}</h2>
+              <p style="margin:10px 0 0 0;opacity:0.9;">Invoice Details</p>
+            </div>
+          </div>
+          <div style="padding:30px;">
+            <div style="background:#f8f9fa;padding:20px;border-radius:12px;margin-bottom:25px;border-left:4px solid #667eea;">
+              <h3 style="margin:0 0 15px 0;color:#2c3e50;">Customer Information</h3>
+              <p><strong>Name:</strong> ${escapeHtml(customer?.name || 'N/A')}</p>
+              <p><strong>Phone:</strong> ${escapeHtml(customer?.phone || 'N/A')}</p>
+              <p><strong>Address:</strong> ${escapeHtml(customer?.address || 'N/A')}</p>
+            </div>
+            <div style="background:#fff;border:2px solid #e0e0e0;border-radius:12px;padding:25px;margin-bottom:25px;">
+              <h3 style="margin:0 0 20px 0;color:#2c3e50;border-bottom:2px solid #ecf0f1;padding-bottom:10px;">Bill Information</h3>
+              <p><strong>Bill Date:</strong> ${bill.billDate ? formatDate(bill.billDate) : (bill.createdAt ? formatDate(bill.createdAt) : 'N/A')}</p>
+              <p><strong>Due Date:</strong> ${getBillDueDate(bill) ? formatDateOnly(getBillDueDate(bill)) : 'N/A'} <span style="color:#7f8c8d;">(${escapeHtml(formatPaymentTerms(bill.paymentTerms ? {terms: bill.paymentTerms, days: bill.paymentTermsDays} : resolvePaymentTerms(customer)))})</span></p>
+              <p><strong>Status:</strong> ${billStatusBadge({...bill, status: deriveBillStatus(bill, totalPaid, undefined, totalCredited)})}</p>
+              ${cancelled ? `<p><strong>Cancelled:</strong> ${bill.cancelledAt ? formatDateOnly(bill.cancelledAt) : 'N/A'}${bill.cancelReason ? ` - ${escapeHtml(bill.cancelReason)}` : ''}</p>` : ''}
+              ${bill.notes ? `<p><strong>Notes:</strong> ${escapeHtml(bill.notes)}</p>` : ''}
+            </div>
+            <div style="background:#fff;border:2px solid #e0e0e0;border-radius:12px;padding:25px;margin-bottom:25px;">
+              <h3 style="margin:0 0 20px 0;color:#2c3e50;border-bottom:2px solid #ecf0f1;padding-bottom:10px;">Items</h3>
+              <div style="overflow-x:auto;">
+                <table class="bill-items-table">
+                  <thead><tr><th>#</th><th>Description</th><th>HSN/SAC</th><th>Qty</th><th>Rate</th><th>Disc %</th><th>Tax %</th><th>Amount</th></tr></thead>
+                  <tbody>${itemTotals.lines.map((line, index) => `
+                    <tr>
+                      <td>${index + 1}</td>
+                      <td>${escapeHtml(line.description)}</td>
+                      <td>${escapeHtml(line.hsnSac || '-')}</td>
+                      <td>${escapeHtml(line.quantity)} ${escapeHtml(line.unit || '')}</td>
+                      <td style="text-align:right;">${money(line.rate)}</td>
+                      <td style="text-align:right;">${line.discount || '-'}</td>
+                      <td style="text-align:right;">${line.taxRate || '-'}</td>
+                      <td style="text-align:right;font-weight:600;">${money(line.total)}</td>
+                    </tr>
+                  `).join('')}</tbody>
+                </table>
+              </div>
+              <div class="bill-totals" style="margin-top:15px;margin-left:auto;">
+                <div><span>Subtotal</span><span>${money(itemTotals.subtotal)}</span></div>
+                ${itemTotals.discountTotal > 0 ? `<div><span>Discount</span><span>- ${money(itemTotals.discountTotal)}</span></div>` : ''}
+                ${renderTaxRows(billGst, itemTotals.taxTotal, money)}
+                <div class="bill-grand-total"><span>Grand Total</span><span>${money(itemTotals.grandTotal)}</span></div>
+              </div>
+              ${billGst ? `<p style="margin:10px 0 0 0;color:#7f8c8d;font-size:0.85rem;text-align:right;">Place of supply: ${escapeHtml(formatGstState(billGst.placeOfSupply))} · ${billGst.intraState ? 'Intra-state (CGST + SGST)' : 'Inter-state (IGST)'}</p>` : ''}
+            </div>
+            <div style="background:linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%);padding:25px;border-radius:12px;margin-bottom:25px;">
+              <h3 style="margin:0 0 20px 0;color:#2c3e50;">Financial Summary</h3>
+              <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(140px, 1fr));gap:15px;margin-bottom:20px;">
+                <div style="background:#fff;padding:15px;border-radius:8px;text-align:center;">
+                  <p style="margin:0;color:#7f8c8d;font-size:0.85rem;">Bill Amount</p>
+                  <h3 style="margin:5px 0 0 0;color:#2c3e50;font-size:1.5rem;">₹${billAmount.toLocaleString('en-IN', {minimumFractionDigits: 2})}</h3>
+                </div>
+                <div style="background:#fff;padding:15px;border-radius:8px;text-align:center;">
+                  <p style="margin:0;color:#7f8c8d;font-size:0.85rem;">Paid</p>
+                  <h3 style="margin:5px 0 0 0;color:#27ae60;font-size:1.5rem;">₹${totalPaid.toLocaleString('en-IN', {minimumFractionDigits: 2})}</h3>
+                </div>
+                ${totalCredited > 0 ? `
+                <div style="background:#fff;padding:15px;border-radius:8px;text-align:center;">
+                  <p style="margin:0;color:#7f8c8d;font-size:0.85rem;">Credited</p>
+                  <h3 style="margin:5px 0 0 0;color:#8e44ad;font-size:1.5rem;">₹${totalCredited.toLocaleString('en-IN', {minimumFractionDigits: 2})}</h3>
+                </div>` : ''}
+                <div style="background:#fff;padding:15px;border-radius:8px;text-align:center;">
+                  <p style="margin:0;color:#7f8c8d;font-size:0.85rem;">Remaining</p>
+                  <h3 style="margin:5px 0 0 0;color:${remaining > 0 ? '#e74c3c' : '#27ae60'};font-size:1.5rem;">₹${remaining.toLocaleString('en-IN', {minimumFractionDigits: 2})}</h3>
+                </div>
+              </div>
+              <div>
+                <div style="display:flex;justify-content:space-between;margin-bottom:8px;">
+                  <span>Payment Progress</span>
+                  <span>${paymentProgress}%</span>
+                </div>
+                <div style="width:100%;height:12px;background:#ecf0f1;border-radius:6px;overflow:hidden;">
+                  <div style="height:100%;background:linear-gradient(90deg, #27ae60, #2ecc71);width:${paymentProgress}%;border-radius:6px;"></div>
+                </div>
+              </div>
+            </div>
+            ${billPayments.length > 0 ? `
+              <div style="margin-bottom:25px;">
+                <h3 style="margin:0 0 15px 0;color:#2c3e50;">Payment History</h3>
+                <div style="background:#f8f9fa;padding:15px;border-radius:8px;max-height:200px;overflow-y:auto;">
+                  ${billPayments.map(p => {
+                    // Get the allocated amount for this specific bill from linkedBills
+                    let paymentAmount = parseFloat(p.amount || 0);
+                    if(p.linkedBills && Array.isArray(p.linkedBills)){
+                      const linkedBill = p.linkedBills.find(lb => lb.billId === billId);
+                      if(linkedBill){
+                        paymentAmount = parseFloat(linkedBill.allocatedAmount) || 0;
+                      }
+                    }
+                    return `
+                    <div style="display:flex;justify-content:space-between;padding:10px;background:#fff;margin-bottom:8px;border-radius:6px;border-left:3px solid ${p.cleared ? '#27ae60' : '#f39c12'};">
+                      <div>
+                        <strong>₹${paymentAmount.toLocaleString('en-IN', {minimumFractionDigits: 2})}</strong>
+                        <span style="color:#7f8c8d;font-size:0.85rem;margin-left:10px;">${p.paymentDate ? formatDateOnly(p.paymentDate) : 'N/A'}</span>
+                      </div>
+                      <div>
+                        <span style="padding:4px 8px;border-radius:4px;font-size:0.8rem;background:#e3f2fd;color:#1976d2;text-transform:capitalize;">${escapeHtml(p.mode || 'N/A')}</span>
+                        ${p.cleared ? '<span style="margin-left:8px;padding:4px 8px;border-radius:4px;font-size:0.8rem;background:#d4edda;color:#155724;">✓ Cleared</span>' : '<span style="margin-left:8px;padding:4px 8px;border-radius:4px;font-size:0.8rem;background:#fff3cd;color:#856404;">⏳ Pending</span>'}
+                      </div>
+                    </div>
+                  `;
+                  }).join('')}
+                </div>
+              </div>
+            ` : ''}
+            ${creditNotes.length > 0 ? `
+              <div style="margin-bottom:25px;">
+                <h3 style="margin:0 0 15px 0;color:#2c3e50;">Credit Notes</h3>
+                <div style="background:#f8f9fa;padding:15px;border-radius:8px;max-height:200px;overflow-y:auto;">
+                  ${creditNotes.map(n => `
+                    <div style="display:flex;justify-content:space-between;align-items:center;padding:10px;background:#fff;margin-bottom:8px;border-radius:6px;border-left:3px solid #8e44ad;">
+                      <div>
+                        <strong>${escapeHtml(n.creditNoteNumber || `#${n.id}`)}</strong>
+                        <span style="margin-left:10px;">₹${parseFloat(n.amount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})}</span>
+                        <span style="color:#7f8c8d;font-size:0.85rem;margin-left:10px;">${formatDateOnly(n.creditNoteDate || n.createdAt)}</span>
+                        <div style="color:#7f8c8d;font-size:0.85rem;">${escapeHtml(n.reason || '')}</div>
+                      </div>
+                      <button data-note-id="${escapeHtml(n.id)}" onclick="downloadCreditNotePDF(this.dataset.noteId)" style="padding:4px 10px;background:#8e44ad;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">📄 PDF</button>
+                    </div>
+                  `).join('')}
+                </div>
+              </div>
+            ` : ''}
+            ${canCredit && !cancelled ? `
+              <div id="creditNoteForm" style="display:none;margin-bottom:25px;padding:15px;background:#f8f9fa;border-radius:8px;">
+                <h3 style="margin:0 0 10px 0;color:#2c3e50;">Issue Credit Note</h3>
+                <div style="display:flex;gap:10px;flex-wrap:wrap;">
+                  <input id="cn_amount" type="number" step="0.01" min="0.01" max="${creditable}" value="${creditable.toFixed(2)}" title="Up to ₹${creditable.toFixed(2)}" style="flex:1;min-width:120px;padding:6px;">
+                  <input type="date" id="cn_date" value="${new Date().toISOString().slice(0, 10)}" style="flex:1;min-width:140px;padding:6px;">
+                  <input id="cn_reason" placeholder="Reason *" style="flex:2;min-width:200px;padding:6px;">
+                  <button onclick="issueCreditNote(${billId})" style="padding:6px 16px;background:#8e44ad;color:#fff;border:none;border-radius:6px;cursor:pointer;">Issue</button>
+                </div>
+              </div>
+            ` : ''}
+            ${!cancelled ? `
+              <div style="background:#f8f9fa;padding:20px;border-radius:12px;margin-bottom:25px;border-left:4px solid #27ae60;">
+                <h3 style="margin:0 0 15px 0;color:#2c3e50;">Customer Payment</h3>
+                ${upiLink ? `
+                  <div style="display:flex;gap:20px;align-items:center;flex-wrap:wrap;margin-bottom:15px;">
+                    ${upiQr ? `<img src="${upiQr}" alt="UPI QR code" style="width:140px;height:140px;background:#fff;border-radius:8px;">` : ''}
+                    <div>
+                      <p style="margin:0;"><strong>Pay ${money(remaining)} by UPI</strong></p>
+                      <p style="margin:4px 0 10px 0;color:#7f8c8d;">${escapeHtml(getInvoiceSettings().upiId)}</p>
+                      <a href="${escapeHtml(upiLink)}" style="color:#27ae60;font-weight:600;">Open in UPI app</a>
+                    </div>
+                  </div>
+                ` : (remaining > 0 ? '<p style="color:#7f8c8d;margin:0 0 15px 0;">Add your UPI ID under 🎨 Invoice Design to show a UPI QR code here and on invoices.</p>' : '')}
+                ${renderBillViewLink(bill, canEdit)}
+              </div>
+            ` : ''}
+            <div id="bill_details_msg" style="margin-bottom:10px;"></div>
+            <div style="display:flex;gap:12px;flex-wrap:wrap;margin-top:30px;padding-top:25px;border-top:2px solid #ecf0f1;">
+              <button onclick="downloadBillPDF(${billId})" style="flex:1;min-width:200px;padding:14px 20px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:10px;cursor:pointer;font-weight:600;font-size:1rem;box-shadow:0 4px 15px rgba(102,126,234,0.3);transition:all 0.3s;" onmouseover="this.style.transform='translateY(-2px)';this.style.boxShadow='0 6px 20px rgba(102,126,234,0.4)'" onmouseout="this.style.transform='translateY(0)';this.style.boxShadow='0 4px 15px rgba(102,126,234,0.3)'">📄 Download PDF</button>
+              <button onclick="shareBill(${billId})" style="flex:1;min-width:200px;padding:14px 20px;background:linear-gradient(135deg, #3498db 0%, #2980b9 100%);color:#fff;border:none;border-radius:10px;cursor:pointer;font-weight:600;font-size:1rem;box-shadow:0 4px 15px rgba(52,152,219,0.3);transition:all 0.3s;" onmouseover="this.style.transform='translateY(-2px)';this.style.boxShadow='0 6px 20px rgba(52,152,219,0.4)'" onmouseout="this.style.transform='translateY(0)';this.style.boxShadow='0 4px 15px rgba(52,152,219,0.3)'">🔗 Share Bill</button>
+              ${canCredit && !cancelled && creditable > 0 ? `<button onclick="toggleCreditNoteForm()" style="flex:1;min-width:200px;padding:14px 20px;background:#8e44ad;color:#fff;border:none;border-radius:10px;cursor:pointer;font-weight:600;font-size:1rem;">🧾 Issue Credit Note</button>` : ''}
+              ${canVoid && !cancelled && billPayments.length === 0 ? `<button onclick="cancelBill(${billId})" style="flex:1;min-width:200px;padding:14px 20px;background:#95a5a6;color:#fff;border:none;border-radius:10px;cursor:pointer;font-weight:600;font-size:1rem;">🚫 Cancel Bill</button>` : ''}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+  } catch(err){
+    hideLoadingOverlay();
+    logError('showBillDetails', err);
+    showError('bill_msg', 'Failed to load bill details');
+  }
+}
+
+function isViewLinkExpired(bill){
+  return Boolean(bill.viewTokenExpiresAt) && new Date(bill.viewTokenExpiresAt) < new Date();
+}
+
+// Link to bill-view.html, where the customer sees the bill and what is owed without logging in
+function renderBillViewLink(bill, canEdit){
+  const expired = isViewLinkExpired(bill);
+  if(!bill.viewToken || expired){
+    return `
+      <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+        <button onclick="createBillViewLink(${bill.id})" style="padding:8px 16px;background:#27ae60;color:#fff;border:none;border-radius:6px;cursor:pointer;">🔗 ${expired ? 'Renew' : 'Create'} Payment Link</button>
+        <span style="color:#7f8c8d;font-size:0.85rem;">${expired ? 'The last link has expired.' : 'A page where the customer can see this bill and pay, without logging in.'}</span>
+      </div>`;
+  }
+  return `
+    <div style="display:flex;gap:8px;flex-wrap:wrap;">
+      <input id="bill_view_url" readonly value="${escapeHtml(getBillViewUrl(bill.viewToken))}" onclick="this.select()" style="flex:1;min-width:220px;padding:6px;">
+      <button onclick="copyBillViewLink()" style="padding:6px 14px;background:#27ae60;color:#fff;border:none;border-radius:6px;cursor:pointer;">📋 Copy</button>
+      ${canEdit ? `<button onclick="revokeBillViewLink(${bill.id})" style="padding:6px 14px;background:#95a5a6;color:#fff;border:none;border-radius:6px;cursor:pointer;">Revoke</button>` : ''}
+    </div>
+    <p style="margin:8px 0 0 0;color:#7f8c8d;font-size:0.85rem;">Anyone with this link can see the bill and what is owed${bill.viewTokenExpiresAt ? ` until ${formatDateOnly(bill.viewTokenExpiresAt)}` : ''}.</p>`;
+}
+
+function closeBillDetailsModal(){
+  const modal = document.getElementById('billDetailsModal');
+  if(modal) modal.remove();
+  billDetails = null;
+  leaveRecord('bills');
+}
+
+// Reopens the details of the bill after a credit note or cancellation
+async function refreshBillDetails(billId){
+  const modal = document.getElementById('billDetailsModal');
+  if(modal) modal.remove();
+  await showBillDetails(billId);
+  if(document.getElementById('tblBills')) renderBillList();
+}
+
+// ----- Credit Notes and Cancellation -----
+function toggleCreditNoteForm(){
+  const form = document.getElementById('creditNoteForm');
+  if(!form) return;
+  form.style.display = form.style.display === 'none' ? 'block' : 'none';
+  if(form.style.display === 'block') document.getElementById('cn_reason').focus();
+}
+
+async function issueCreditNote(billId){
+  if(!billDetails) return;
+  clearMessage('bill_details_msg');
+  const data = {
+    amount: document.getElementById('cn_amount').value,
+    reason: document.getElementById('cn_reason').value.trim(),
+    creditNoteDate: document.getElementById('cn_date').value
+  };
+  const validation = validateCreditNote(data, billDetails.bill, billDetails.creditNotes);
+  if(!validation.valid){
+    showError('bill_details_msg', validation.errors.map(e => e.message).join(', '));
+    return;
+  }
+  showLoading('bill_details_msg', 'Issuing credit note...');
+  const payload = {
+    billId,
+    amount: roundMoney(parseFloat(data.amount)),
+    reason: data.reason,
+    creditNoteDate: data.creditNoteDate ? new Date(data.creditNoteDate).toISOString() : new Date().toISOString()
+  };
+  const r = await fetchJson(API_CREDIT_NOTES, {method:'POST', headers:authHeader(), body:JSON.stringify(payload)});
+  if(handleApiError(r, 'bill_details_msg', 'Failed to issue credit note')) return;
+  await refreshBillDetails(billId);
+  showSuccess('bill_details_msg', 'Credit note issued successfully!');
+}
+
+async function cancelBill(billId){
+  if(!billDetails) return;
+  const check = validateBillCancellation(billDetails.bill, billDetails.payments);
+  if(!check.valid){
+    showError('bill_details_msg', check.message);
+    return;
+  }
+  const reason = prompt(`Reason for cancelling bill #${billId}? The bill is kept as Cancelled and no longer counts as owed.`);
+  if(reason === null) return;
+  showLoading('bill_details_msg', 'Cancelling bill...');
+  const r = await fetchJson(`${API_BILLS}/${billId}/cancel`, {method:'PUT', headers:authHeader(), body:JSON.stringify({reason: reason.trim() || null})});
+  if(handleApiError(r, 'bill_details_msg', 'Failed to cancel bill')) return;
+  await refreshBillDetails(billId);
+  showSuccess('bill_details_msg', 'Bill cancelled');
+}
+
+// ----- Customer Payment Link -----
+async function createBillViewLink(billId){
+  clearMessage('bill_details_msg');
+  if(!offlineSync.isOnline()){
+    showError('bill_details_msg', 'Payment links can only be created while online');
+    return;
+  }
+  showLoading('bill_details_msg', 'Creating payment link...');
+  const r = await fetchJson(`${API_BILLS}/${billId}/view-link`, {method:'POST', headers:authHeader()});
+  if(handleApiError(r, 'bill_details_msg', 'Failed to create the payment link')) return;
+  await refreshBillDetails(billId);
+  showSuccess('bill_details_msg', 'Payment link created. Copy it to send to the customer.');
+}
+
+async function revokeBillViewLink(billId){
+  if(!confirm('Revoke the payment link? The customer will no longer be able to open it.')) return;
+  clearMessage('bill_details_msg');
+  showLoading('bill_details_msg', 'Revoking payment link...');
+  const r = await fetchJson(`${API_BILLS}/${billId}/view-link`, {method:'DELETE', headers:authHeader()});
+  if(handleApiError(r, 'bill_details_msg', 'Failed to revoke the payment link')) return;
+  await refreshBillDetails(billId);
+  showSuccess('bill_details_msg', 'Payment link revoked');
+}
+
+async function copyBillViewLink(){
+  const input = document.getElementById('bill_view_url');
+  if(!input) return;
+  input.select();
+  try{
+    await navigator.clipboard.writeText(input.value);
+    showSuccess('bill_details_msg', 'Payment link copied');
+  } catch(err){
+    logError('copyBillViewLink', err);
+    showError('bill_details_msg', 'Could not copy; the link is selected, copy it with Ctrl+C');
+  }
+}
+
+function downloadCreditNotePDF(noteId){
+  if(!billDetails) return;
+  const note = billDetails.creditNotes.find(n => String(n.id) === String(noteId));
+  if(!note) return;
+  if(generatePDFCreditNote(note, billDetails.bill, billDetails.customer || {}, billDetails.creditNotes)){
+    showSuccess('bill_details_msg', 'Credit note PDF downloaded successfully!');
+  } else {
+    showError('bill_details_msg', 'Failed to generate credit note PDF');
+  }
+}
+
+function exportCreditNotesData(){
+  openExportDialog({
+    title: 'Export credit notes',
+    entities: ['creditNotes'],
+    filename: exportFilename('credit_notes'),
+    msgId: 'bill_msg',
+    load: async () => {
+      const [res, billsRes] = await Promise.all([
+        fetchJson(API_CREDIT_NOTES, {headers:authHeader()}),
+        fetchJson(API_BILLS, {headers:authHeader()})
+      ]);
+      if(handleApiError(res, 'bill_msg', 'Failed to load credit notes for export')) return null;
+      const creditNotes = toPagedResult(res.data, {}, 'creditNotes').items.filter(n => n.isActive !== false);
+      const bills = billsRes.ok ? toPagedResult(billsRes.data, {}, 'bills').items : [];
+      return { records: { creditNotes }, context: { customerMap: customerNameMap(allCustomersForBills), billMap: billMap(bills) } };
+    }
+  });
+}
+
+async function downloadBillPDF(billId){
+  try{
+    showLoadingOverlay();
+    const [billRes, customersRes] = await Promise.all([
+      fetchJson(`${API_BILLS}/${billId}`, {headers:authHeader()}),
+      fetchJson(API_CUSTOMERS, {headers:authHeader()})
+    ]);
+    hideLoadingOverlay();
+    if(!billRes.ok){
+      showError('bill_msg', 'Failed to load bill data');
+      return;
+    }
+    const bill = billRes.data;
+    const customers = customersRes.data || [];
+    const customer = customers.find(c => c.id === bill.customerId);
+    if(!customer){
+      showError('bill_msg', 'Customer not found');
+      return;
+    }
+    const success = generatePDFInvoice(bill, customer);
+    if(success){
+      showSuccess('bill_msg', 'PDF invoice downloaded successfully!');
+      closeBillDetailsModal();
+    } else {
+      showError('bill_msg', 'Failed to generate PDF invoice');
+    }
+  } catch(err){
+    hideLoadingOverlay();
+    logError('downloadBillPDF', err);
+    showError('bill_msg', 'Failed to download PDF');
+  }
+}
+
+async function shareBill(billId){
+  try{
+    showLoadingOverlay();
+    
+    // Generate PDF first
+    const [billRes, customersRes] = await Promise.all([
+      fetchJson(`${API_BILLS}/${billId}`, {headers:authHeader()}),
+      fetchJson(API_CUSTOMERS, {headers:authHeader()})
+    ]);
+    
+    hideLoadingOverlay();
+    
+    if(!billRes.ok){
+      showError('bill_msg', 'Failed to load bill data');
+      return;
+    }
+    
+    const bill = billRes.data;
+    const customers = customersRes.data || [];
+    const customer = customers.find(c => c.id === bill.customerId);
+    
+    if(!customer){
+      showError('bill_msg', 'Customer not found');
+      return;
+    }
+    
+    // Generate PDF as blob
+    const doc = buildPDFInvoice(bill, customer);
+    if(!doc) {
+      showError('bill_msg', 'PDF library not available');
+      return;
+    }
+    
+    const pdfBlob = doc.output('blob');
+    const filename = getInvoiceFilename(bill, customer);
+    
+    // Share the PDF file
+    if(navigator.share && navigator.canShare && navigator.canShare({ files: [new File([pdfBlob], filename, { type: 'application/pdf' })] })){
+      const pdfFile = new File([pdfBlob], filename, { type: 'application/pdf' });
+      const viewLink = bill.viewToken && !isViewLinkExpired(bill) ? `\nView and pay online: ${getBillViewUrl(bill.viewToken)}` : '';
+      navigator.share({
+        title: `Invoice #${bill.id}`,
+        text: `Invoice for ${customer.name}${viewLink}`,
+        files: [pdfFile]
+      }).then(() => {
+        showSuccess('bill_msg', 'PDF invoice shared successfully!');
+      }).catch((err) => {
+        console.log('Share error:', err);
+        // Fallback: download the PDF
+        doc.save(filename);
+        showSuccess('bill_msg', 'PDF invoice downloaded (share not available)');
+      });
+    } else {
+      // Fallback: download the PDF if share is not available
+      doc.save(filename);
+      showSuccess('bill_msg', 'PDF invoice downloaded (share not available on this device)');
+    }
+    
+  } catch(err){
+    hideLoadingOverlay();
+    logError('shareBill', err);
+    showError('bill_msg', 'Failed to share PDF invoice');
+  }
+}
+
+// Exports every bill matching the current search and filters, not just the page on screen
+async function fetchBillsForExport(){
+  showLoading('bill_msg', 'Preparing export...');
+  const query = withoutPaging(billQuery);
+  const res = await fetchJson(listUrl(API_BILLS, query), {headers:authHeader()});
+  if(handleApiError(res, 'bill_msg', 'Failed to load bills for export')) return null;
+  const bills = toPagedResult(res.data, query, 'bills').items
+    .filter(b => b.isActive !== false && b.IsActive !== false && b.is_active !== false);
+  if(bills.length === 0){
+    showError('bill_msg', 'No bills to export');
+    return null;
+  }
+  const customerMap = {};
+  allCustomersForBills.forEach(c => { customerMap[c.id] = c.name; });
+  bills.forEach(b => { if(b.customerName) customerMap[b.customerId] = b.customerName; });
+  return { bills, customerMap };
+}
+
+function exportBillsData(){
+  openExportDialog({
+    title: 'Export bills',
+    entities: ['bills'],
+    filename: exportFilename('bills'),
+    filters: withoutPaging(billQuery),
+    msgId: 'bill_msg',
+    load: async () => {
+      const data = await fetchBillsForExport();
+      return data && { records: { bills: data.bills }, context: { customerMap: data.customerMap } };
+    }
+  });
+}
+
+async function exportBillItemsData(){
+  const data = await fetchBillsForExport();
+  if(!data) return;
+  await exportBillItemsToCSV(data.bills, data.customerMap);
+  showSuccess('bill_msg', 'Bill items exported successfully!');
+}
+
+// ----- Bill Line Items Editor -----
+const billItems = createLineItemsEditor({ prefix: 'bill', customers: () => allCustomersForBills });
+
+function initBillItemsEditor(){
+  billItems.init();
+  initBillDueDate();
+}
+
+// ----- Due date -----
+// The due date follows the customer's payment terms until it is changed by hand
+function initBillDueDate(){
+  loadDefaultTermsForm();
+  document.getElementById('bill_customer')?.addEventListener('change', updateBillDueDate);
+  document.getElementById('bill_date')?.addEventListener('change', updateBillDueDate);
+  document.getElementById('bill_dueDate')?.addEventListener('change', (e) => {
+    e.target.dataset.manual = e.target.value ? '1' : '';
+    if(!e.target.value) updateBillDueDate();
+  });
+}
+
+function billFormCustomer(){
+  const customerId = document.getElementById('bill_customer')?.value;
+  return allCustomersForBills.find(c => String(c.id) === String(customerId));
+}
+
+function updateBillDueDate(){
+  const dueInput = document.getElementById('bill_dueDate');
+  const hint = document.getElementById('bill_terms');
+  if(!dueInput) return;
+  const customer = billFormCustomer();
+  const terms = resolvePaymentTerms(customer);
+  if(hint) hint.innerText = customer ? `Terms: ${formatPaymentTerms(terms)}` : '';
+  if(dueInput.dataset.manual === '1') return;
+  const billDate = document.getElementById('bill_date')?.value || new Date().toISOString().slice(0, 10);
+  dueInput.value = customer ? calculateDueDate(billDate, terms.days) : '';
+}
+
+function resetBillDueDate(dueDate = ''){
+  const dueInput = document.getElementById('bill_dueDate');
+  if(!dueInput) return;
+  dueInput.value = dueDate;
+  dueInput.dataset.manual = dueDate ? '1' : '';
+  updateBillDueDate();
+}
+
+// Business default terms, used for customers without terms of their own
+function defaultTermsSettingsHtml(){
+  if(!userCan('edit', 'settings')) return '';
+  return `<details id="defaultTermsSettings" style="margin-bottom:10px;">
+      <summary style="cursor:pointer;color:#666;font-size:0.9rem;">⚙️ Default payment terms</summary>
+      <div class="form-row" style="display:flex;gap:10px;margin-top:8px;flex-wrap:wrap;align-items:center;">
+        <select id="defaultPaymentTerms" onchange="toggleDefaultTermsDays()" style="flex:0 0 auto;padding:6px;">
+          ${PAYMENT_TERMS.map(t => `<option value="${t.key}">${t.label}</option>`).join('')}
+        </select>
+        <input id="defaultPaymentTermsDays" type="number" min="1" max="365" step="1" placeholder="Days" style="flex:0 0 90px;padding:6px;display:none;">
+        <button onclick="saveDefaultTermsForm()" style="flex:0 0 auto;padding:6px 14px;">Save</button>
+        <small style="color:#7f8c8d;">Applies to customers without terms of their own</small>
+      </div>
+    </details>`;
+}
+
+function loadDefaultTermsForm(){
+  const select = document.getElementById('defaultPaymentTerms');
+  if(!select) return;
+  const terms = getDefaultPaymentTerms();
+  select.value = terms.terms;
+  document.getElementById('defaultPaymentTermsDays').value = terms.terms === 'custom' ? terms.days : '';
+  toggleDefaultTermsDays();
+}
+
+function toggleDefaultTermsDays(){
+  const custom = document.getElementById('defaultPaymentTerms')?.value === 'custom';
+  const daysInput = document.getElementById('defaultPaymentTermsDays');
+  if(daysInput) daysInput.style.display = custom ? '' : 'none';
+}
+
+function saveDefaultTermsForm(){
+  clearMessage('bill_msg');
+  const result = saveDefaultPaymentTerms({
+    terms: document.getElementById('defaultPaymentTerms').value,
+    days: document.getElementById('defaultPaymentTermsDays').value.trim()
+  });
+  if(!result.valid){
+    showError('bill_msg', result.errors.map(e => e.message).join(', '));
+    return;
+  }
+  updateBillDueDate();
+  showSuccess('bill_msg', `Default payment terms set to ${formatPaymentTerms(getDefaultPaymentTerms())}`);
+}
+
+// Due date and terms as sent to the API
+function billTermsPayload(customerId, billDate, dueDate){
+  const customer = allCustomersForBills.find(c => String(c.id) === String(customerId));
+  return resolveBillTerms(customer, billDate, dueDate);
+}
+
+// Status badge colours; Overdue is worked out from the due date when the API has not
+function billStatusBadge(b){
+  const status = getBillDisplayStatus(b);
+  const colors = { Paid: ['#d4edda', '#155724'], Overdue: ['#f8d7da', '#721c24'], Partial: ['#fff3cd', '#856404'], Pending: ['#fff3cd', '#856404'], Credited: ['#ead9f2', '#6c3483'] };
+  const [background, color] = colors[status.charAt(0).toUpperCase() + status.slice(1).toLowerCase()] || ['#e2e3e5', '#383d41'];
+  return `<span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;font-weight:500;background:${background};color:${color};">${escapeHtml(status)}</span>`;
+}
+
+// ----- Repeat (recurring bill template) -----
+function billRepeatHtml(){
+  const permission = checkPermission('create', 'recurringBills');
+  return `<div id="bill_repeat" class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;align-items:center;">
+      <label style="display:flex;align-items:center;gap:6px;color:#666;font-size:0.9rem;">
+        <input type="checkbox" id="bill_repeat_on" onchange="toggleBillRepeat()" ${permission.allowed ? '' : `disabled title="${escapeHtml(permission.message)}"`}> 🔁 Repeat this bill
+      </label>
+      <span id="bill_repeat_fields" style="display:none;gap:10px;flex-wrap:wrap;align-items:center;">
+        <select id="bill_repeat_frequency" style="padding:6px;">
+          ${RECURRING_FREQUENCIES.map(f => `<option value="${f.key}">${f.label}</option>`).join('')}
+        </select>
+        <label style="color:#666;font-size:0.9rem;">on day
+          <input type="number" id="bill_repeat_day" min="1" max="31" step="1" style="width:60px;padding:6px;">
+        </label>
+        <label style="color:#666;font-size:0.9rem;">until
+          <input type="date" id="bill_repeat_end" title="Leave empty to repeat until stopped" style="padding:6px;">
+        </label>
+        <label style="display:flex;align-items:center;gap:6px;color:#666;font-size:0.9rem;">
+          <input type="checkbox" id="bill_repeat_auto" checked> Raise automatically
+        </label>
+      </span>
+    </div>`;
+}
+
+// The repeat day starts as the bill date's day
+function toggleBillRepeat(){
+  const on = document.getElementById('bill_repeat_on').checked;
+  document.getElementById('bill_repeat_fields').style.display = on ? 'flex' : 'none';
+  const dayInput = document.getElementById('bill_repeat_day');
+  if(on && !dayInput.value){
+    const billDate = document.getElementById('bill_date').value || new Date().toISOString().slice(0, 10);
+    dayInput.value = Number(billDate.slice(8, 10));
+  }
+}
+
+function resetBillRepeat(show = true){
+  const row = document.getElementById('bill_repeat');
+  if(!row) return;
+  row.style.display = show ? 'flex' : 'none';
+  document.getElementById('bill_repeat_on').checked = false;
+  document.getElementById('bill_repeat_day').value = '';
+  document.getElementById('bill_repeat_end').value = '';
+  document.getElementById('bill_repeat_auto').checked = true;
+  toggleBillRepeat();
+}
+
+// Template for the bill being added, starting on its bill date; null when it does not repeat
+function readBillRepeat(customerId, billDay, notes, totals){
+  if(!document.getElementById('bill_repeat_on')?.checked) return null;
+  const customer = allCustomersForBills.find(c => String(c.id) === String(customerId));
+  const frequency = document.getElementById('bill_repeat_frequency').value;
+  return {
+    customerId,
+    name: `${customer ? customer.name : 'Customer'} - ${getRecurringFrequency(frequency).label.toLowerCase()}`,
+    frequency,
+    dayOfMonth: parseInt(document.getElementById('bill_repeat_day').value, 10),
+    startDate: billDay,
+    endDate: document.getElementById('bill_repeat_end').value || null,
+    autoGenerate: document.getElementById('bill_repeat_auto').checked,
+    notes: notes || null,
+    items: billItems.payload(totals, customerId).items,
+    billAmount: totals.grandTotal
+  };
+}
+
+// ----- Bills Tab - Edit/Delete Functions -----
+let editingBillId = null;
+
+async function editBill(id, customerId, billNumber, amount, billDate, notes, dueDate){
+  const permission = checkPermission('edit', 'bills', billPage.find(b => String(b.id) === String(id)));
+  if(!permission.allowed){
+    showError('bill_msg', permission.message);
+    return;
+  }
+  
+  editingBillId = id;
+  // Pre-fill form with bill data
+  document.getElementById('bill_customer').value = customerId;
+  document.getElementById('bill_number').value = billNumber || '';
+  document.getElementById('bill_amount').value = amount;
+  if(billDate){
+    const date = new Date(billDate);
+    document.getElementById('bill_date').value = date.toISOString().split('T')[0];
+  }
+  document.getElementById('bill_notes').value = notes || '';
+  const bill = billPage.find(b => String(b.id) === String(id));
+  resetBillDueDate(dueDate ? dueDate.slice(0, 10) : getBillDueDate(bill || {billDate}));
+  billItems.reset(getBillItems(bill || {notes, billAmount: amount}));
+  resetBillRepeat(false);
+  
+  // Change button to "Update" mode
+  const btn = document.getElementById('btnAddBill');
+  btn.innerText = 'Update';
+  btn.dataset.mode = 'update';
+  btn.disabled = false;
+  btn.title = '';
+  
+  // Scroll to form
+  document.getElementById('bill_customer').scrollIntoView({behavior:'smooth', block:'center'});
+  showSuccess('bill_msg', 'Edit mode: Update the fields and click Update');
+}
+
+async function updateBill(id, customerId, billNumber, amount, billDate, notes, dueDate, items){
+  setButtonLoading('btnAddBill', 'Updating...');
+  showLoading('bill_msg', 'Updating bill...');
+  const payload = {
+    customerId, 
+    billNumber: billNumber || null,
+    billAmount: amount, 
+    billDate: billDate || new Date().toISOString(),
+    notes: notes || null, 
+    ...billTermsPayload(customerId, billDate, dueDate),
+    ...billItems.payload(calculateBillTotals(items), customerId)
+  };
+  const r = await fetchJson(`${API_BILLS}/${id}`, {method:'PUT', headers:authHeader(), body:JSON.stringify(payload)});
+  removeButtonLoading('btnAddBill');
+  if(handleApiError(r, 'bill_msg', 'Failed to update bill')) return;
+  
+  showSuccess('bill_msg', r.queued ? r.apiResponse.message : 'Bill updated successfully!');
+  editingBillId = null;
+  // Reset form and button
+  document.getElementById('bill_customer').value = '';
+  document.getElementById('bill_number').value = '';
+  document.getElementById('bill_amount').value = '';
+  document.getElementById('bill_date').value = '';
+  document.getElementById('bill_notes').value = '';
+  resetBillDueDate();
+  billItems.reset();
+  resetBillRepeat();
+  const btn = document.getElementById('btnAddBill');
+  btn.innerText = 'Add';
+  btn.dataset.mode = 'add';
+  applyPermission(btn, 'create', 'bills');
+  billsDataLoaded = false;
+  loadBillsTab(1, '', true);
+}
+
+async function deleteBill(id){
+  const permission = checkPermission('delete', 'bills', billPage.find(b => String(b.id) === String(id)));
+  if(!permission.allowed){
+    showError('bill_msg', permission.message);
+    return;
+  }
+  
+  showLoading('bill_msg', 'Deleting bill...');
+  showLoadingOverlay();
+  const r = await fetchJson(`${API_BILLS}/${id}`, {method:'DELETE', headers:authHeader()});
+  hideLoadingOverlay();
+  
+  // Handle case where DELETE endpoint might not be implemented yet
+  if(r.status === 404 || r.status === 405){
+    showError('bill_msg', 'Delete endpoint not available yet. Please check API documentation.');
+    logError('deleteBill', {message: 'DELETE endpoint not implemented', status: r.status});
+    return;
+  }
+  
+  // Check API response status (even if HTTP status is 200, API might return status: false)
+  if(!r.ok || (r.apiResponse && r.apiResponse.status === false)){
+    const errorMsg = r.apiResponse?.message || getErrorMessage(r, 'Failed to delete bill');
+    showError('bill_msg', errorMsg);
+    logError('deleteBill', {response: r, apiResponse: r.apiResponse});
+    return;
+  }
+  
+  showSuccess('bill_msg', r.queued ? r.apiResponse.message : 'Bill deleted successfully!');
+  billsDataLoaded = false;
+  loadBillsTab(1, '', true);
+}
+
+// ----- Bills Tab -----
+// The list is paged, sorted and filtered by the API; billPage holds the rows on screen
+let billQuery = createListQuery({ sort: '-billDate', status: '' });
+let billPage = [];
+let allCustomersForBills = []; // Customers for the form dropdown, GST place of supply and names
+
+function applyBillDateFilter(){
+  billQuery.from = document.getElementById('billFromDate').value || '';
+  billQuery.to = document.getElementById('billToDate').value || '';
+  loadBillsTab(1, document.getElementById('searchBills')?.value || '');
+}
+
+function clearBillDateFilter(){
+  document.getElementById('billFromDate').value = '';
+  document.getElementById('billToDate').value = '';
+  billQuery.from = '';
+  billQuery.to = '';
+  loadBillsTab(1, document.getElementById('searchBills')?.value || '');
+}
+
+let billsDataLoaded = false;
+
+function billCustomerName(b){
+  if(b.customerName) return b.customerName;
+  const customer = allCustomersForBills.find(c => String(c.id) === String(b.customerId));
+  return customer ? customer.name : b.customerId;
+}
+
+function billRowHtml(b, canEdit, canDelete){
+  return `<tr data-bill-id="${escapeHtml(b.id)}">
+    ${canEdit || canDelete ? `<td><input type="checkbox" class="bill-checkbox" value="${escapeHtml(b.id)}" onchange="updateBulkDeleteBillsButton()"></td>` : ''}
+    <td>${escapeHtml(b.id)}</td>
+    <td><a href="javascript:void(0)" class="bill-link" data-bill-id="${escapeHtml(b.id)}" style="color:#667eea;text-decoration:none;font-weight:500;cursor:pointer;">${escapeHtml(b.billNumber || 'N/A')}</a>${b.recurringTemplateId ? ' <span title="Raised by a recurring bill">🔁</span>' : ''}</td>
+    <td><a href="javascript:void(0)" class="bill-link" data-bill-id="${escapeHtml(b.id)}" style="color:#667eea;text-decoration:none;font-weight:500;cursor:pointer;">${escapeHtml(billCustomerName(b))}</a></td>
+    <td><a href="javascript:void(0)" class="bill-link" data-bill-id="${escapeHtml(b.id)}" style="color:#667eea;text-decoration:none;font-weight:500;cursor:pointer;">₹${parseFloat(b.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</a></td>
+    <td>${billStatusBadge(b)}</td>
+    <td title="${b.billDate ? formatDate(b.billDate) : 'N/A'}">${b.billDate ? formatDateOnly(b.billDate) : 'N/A'}<br><small style="color:#7f8c8d;">${b.billDate ? formatRelativeTime(b.billDate) : ''}</small></td>
+    <td>${getBillDueDate(b) ? formatDateOnly(getBillDueDate(b)) : 'N/A'}</td>
+    <td>${escapeHtml(b.notes||'')}</td>
+    ${canEdit || canDelete ? `<td style="display:flex;gap:5px;">
+      ${canEdit && !isCancelledBill(b) && userCan('edit', 'bills', b) ? `<button class="btn-edit-bill" data-id="${escapeHtml(b.id)}" data-customer="${escapeHtml(b.customerId)}" data-billnumber="${escapeHtml(b.billNumber||'')}" data-amount="${escapeHtml(b.billAmount)}" data-billdate="${escapeHtml(b.billDate||'')}" data-notes="${escapeHtml(b.notes||'')}" data-duedate="${escapeHtml(b.dueDate||'')}" style="padding:4px 8px;background:#3498db;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">Edit</button>` : ''}
+      ${canDelete && userCan('delete', 'bills', b) ? `<button class="btn-delete-bill" data-id="${escapeHtml(b.id)}" data-amount="${escapeHtml(b.billAmount)}" style="padding:4px 8px;background:#e74c3c;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">Delete</button>` : ''}
+    </td>` : ''}
+  </tr>`;
+}
+
+function billHeaderHtml(canEdit, canDelete){
+  return `<tr>${canEdit || canDelete ? '<th style="width:40px;"><input type="checkbox" id="selectAllBills" onchange="toggleSelectAllBills(this)"></th>' : ''}${sortableHeader('Id', 'id', billQuery)}${sortableHeader('Bill #', 'billNumber', billQuery)}${sortableHeader('Customer', 'customerName', billQuery)}${sortableHeader('Amount', 'billAmount', billQuery)}${sortableHeader('Status', 'status', billQuery)}${sortableHeader('Bill Date', 'billDate', billQuery)}${sortableHeader('Due Date', 'dueDate', billQuery)}<th>Notes</th>${canEdit || canDelete ? '<th>Actions</th>' : ''}</tr>`;
+}
+
+// Form, filters and an empty table; the rows come from renderBillList()
+function renderBillsShell(tabContent){
+  const canEdit = userCan('edit', 'bills');
+  const canDelete = userCan('delete', 'bills');
+
+  tabContent.innerHTML=`<h2>Add Bill</h2>
+    <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+      <select id="bill_customer" style="flex:1;min-width:200px;padding:6px;" required>
+        <option value="">Select customer *</option>
+        ${allCustomersForBills.map(c=>`<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('')}
+      </select>
+      <input id="bill_number" placeholder="Bill Number (auto if empty)" style="flex:1;min-width:150px;padding:6px;">
+      <input id="bill_amount" placeholder="Total (from items)" type="number" step="0.01" style="flex:1;min-width:150px;padding:6px;" readonly>
+      <input type="date" id="bill_date" style="flex:1;min-width:150px;padding:6px;">
+    </div>
+    ${billItems.html()}
+    <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+      <input id="bill_notes" placeholder="Notes" style="flex:2;min-width:200px;padding:6px;">
+      <label style="flex:1;min-width:150px;display:flex;align-items:center;gap:6px;color:#666;font-size:0.9rem;">Due
+        <input type="date" id="bill_dueDate" title="Due date (from the customer's payment terms)" style="flex:1;padding:6px;">
+      </label>
+      <small id="bill_terms" style="align-self:center;color:#7f8c8d;"></small>
+      <button id="btnAddBill" style="flex:0 0 auto;padding:6px 20px;">Add</button>
+    </div>
+    ${billRepeatHtml()}
+    ${defaultTermsSettingsHtml()}
+    <div id="bill_msg" class="error" style="margin-bottom:10px;"></div>
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:15px;">
+      <h3 style="margin:0;">All Bills</h3>
+      <div style="display:flex;gap:8px;">
+        ${userCan('export', 'bills') ? `<button onclick="exportBillsData()" style="padding:8px 16px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;box-shadow:0 2px 8px rgba(39,174,96,0.3);">
+          📥 Export
+        </button>
+        <button onclick="exportBillItemsData()" style="padding:8px 16px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;box-shadow:0 2px 8px rgba(39,174,96,0.3);">
+          📥 Export Items CSV
+        </button>` : ''}
+        ${userCan('export', 'creditNotes') ? `<button onclick="exportCreditNotesData()" style="padding:8px 16px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;box-shadow:0 2px 8px rgba(39,174,96,0.3);">
+          📥 Credit Notes
+        </button>` : ''}
+      </div>
+    </div>
+    <!-- Date Filter Section -->
+    <div class="date-filter-section" style="margin-bottom:15px;">
+      <div class="date-filter-row">
+        <div class="date-filter-group">
+          <label>From Date</label>
+          <input type="date" id="billFromDate" value="${escapeHtml(billQuery.from)}" />
+        </div>
+        <div class="date-filter-group">
+          <label>To Date</label>
+          <input type="date" id="billToDate" value="${escapeHtml(billQuery.to)}" />
+        </div>
+        <div class="date-filter-group">
+          <label>Status</label>
+          <select id="billStatusFilter">
+            ${['', 'Unpaid', 'Partial', 'Overdue', 'Paid', 'Credited', 'Cancelled'].map(s => `<option value="${s}" ${s === billQuery.status ? 'selected' : ''}>${s || 'All'}</option>`).join('')}
+          </select>
+        </div>
+        <div class="date-filter-actions">
+          <button onclick="applyBillDateFilter()" style="background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;">Apply Filter</button>
+          <button onclick="clearBillDateFilter()" class="clear-btn">Clear</button>
+        </div>
+      </div>
+    </div>
+    <div style="margin-bottom:10px;">
+      <input type="text" id="searchBills" placeholder="Search by ID, customer, amount, status, or notes..." style="width:100%;padding:8px;border:1px solid #ddd;border-radius:4px;font-size:14px;" />
+    </div>
+    <div class="list-toolbar">
+      <div id="billCount" style="color:#666;font-size:14px;">Loading bills...</div>
+      ${pageSizeSelect('billPageSize', billQuery)}
+    </div>
+    <div class="virtual-scroll" id="billList">
+      <table id="tblBills">
+        <thead>${billHeaderHtml(canEdit, canDelete)}</thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div id="billPagination" class="pagination"></div>`;
+
+  bindPageSizeSelect('billPageSize', billQuery, () => loadBillsTab(1, billQuery.search));
+  document.getElementById('billStatusFilter').addEventListener('change', (e) => {
+    billQuery.status = e.target.value;
+    loadBillsTab(1, billQuery.search);
+  });
+
+  // Search runs on the server; only the list below the box is redrawn
+  const searchInput = document.getElementById('searchBills');
+  searchInput.value = billQuery.search;
+  const debouncedSearch = debounce((term) => {
+    loadBillsTab(1, term);
+  }, 300);
+  searchInput.addEventListener('input', (e) => debouncedSearch(e.target.value));
+
+  // Row handlers are delegated because virtual scrolling replaces the rows
+  document.getElementById('tblBills').addEventListener('click', (e) => {
+    const editBtn = e.target.closest('.btn-edit-bill');
+    if(editBtn && canEdit){
+      const d = editBtn.dataset;
+      editBill(d.id, parseInt(d.customer), d.billnumber || '', parseFloat(d.amount), d.billdate || '', d.notes, d.duedate || '');
+      return;
+    }
+    const deleteBtn = e.target.closest('.btn-delete-bill');
+    if(deleteBtn && canDelete){
+      if(confirm(`Are you sure you want to delete bill #${deleteBtn.dataset.id} (Amount: ${deleteBtn.dataset.amount})?`)){
+        deleteBill(deleteBtn.dataset.id);
+      }
+      return;
+    }
+    // Bill link opens bill details at #/bills/:id
+    const link = e.target.closest('.bill-link');
+    if(link) navigate(entityPath('Bill', link.dataset.billId));
+  });
+
+  initBillItemsEditor();
+  applyPermission(document.getElementById('btnAddBill'), 'create', 'bills');
+  document.getElementById('btnAddBill').addEventListener('click', submitBillForm);
+}
+
+// Add/Update button of the bill form: updates the bill being edited or adds a new one
+async function submitBillForm(){
+  clearMessage('bill_msg');
+  const customerId=parseInt(document.getElementById('bill_customer').value);
+  const billNumber=document.getElementById('bill_number').value.trim();
+  const items=billItems.read();
+  const totals=calculateBillTotals(items);
+  const amount=totals.grandTotal;
+  const billDate=document.getElementById('bill_date').value;
+  const notes=document.getElementById('bill_notes').value.trim();
+  const dueDate=document.getElementById('bill_dueDate').value;
+  
+  // Check if in edit mode
+  if(editingBillId){
+    const validation = validateBillForm({customerId, billAmount: amount, billDate, dueDate, notes, items});
+    if(!validation.valid){
+      showError('bill_msg', validation.errors.map(e => e.message).join(', '));
+      return;
+    }
+    const editing = billPage.find(b => String(b.id) === String(editingBillId));
+    const permission = checkPermission('edit', 'bills', {...editing, billAmount: amount});
+    if(!permission.allowed){
+      showError('bill_msg', permission.message);
+      return;
+    }
+    await updateBill(editingBillId, customerId, billNumber, amount, billDate, notes, dueDate, items);
+    return;
+  }
+  
+  // Add new bill
+  const validation = validateBillForm({customerId, billAmount: amount, billDate, dueDate, notes, items});
+  if(!validation.valid){
+    const errorMsg = validation.errors.map(e => e.message).join(', ');
+    showError('bill_msg', errorMsg);
+    return;
+  }
+  const permission = checkPermission('create', 'bills', {billAmount: amount});
+  if(!permission.allowed){
+    showError('bill_msg', permission.message);
+    return;
+  }
+  
+  const payload={
+    customerId,
+    billNumber: billNumber || null,
+    billAmount: amount,
+    billDate: billDate ? new Date(billDate).toISOString() : new Date().toISOString(),
+    notes: notes || null,
+    ...billTermsPayload(customerId, billDate, dueDate),
+    ...billItems.payload(totals, customerId)
+  };
+
+  // A repeating bill is saved as a template first; this bill is its first run when the dates line up
+  const template = readBillRepeat(customerId, payload.billDate.slice(0, 10), notes, totals);
+  let nextRun = '';
+  if(template){
+    const check = validateRecurringTemplate(template);
+    if(!check.valid){
+      showError('bill_msg', check.errors.map(e => e.message).join(', '));
+      return;
+    }
+    const templatePermission = checkPermission('create', 'recurringBills', template);
+    if(!templatePermission.allowed){
+      showError('bill_msg', templatePermission.message);
+      return;
+    }
+    if(!offlineSync.isOnline()){
+      showError('bill_msg', 'Repeating bills can only be set up while online');
+      return;
+    }
+    setButtonLoading('btnAddBill', 'Adding...');
+    showLoading('bill_msg', 'Setting up the recurring bill...');
+    const saved = await fetchJson(API_RECURRING_BILLS, {method:'POST', headers:authHeader(), body:JSON.stringify(template)});
+    if(handleApiError(saved, 'bill_msg', 'Failed to set up the recurring bill')){
+      removeButtonLoading('btnAddBill');
+      return;
+    }
+    const runs = getRecurringRunDates(template, {limit: 2});
+    if(runs[0] === template.startDate){
+      payload.recurringTemplateId = saved.data.id;
+      payload.recurringRunDate = runs[0];
+      nextRun = runs[1] || '';
+    } else {
+      nextRun = runs[0] || '';
+    }
+  }
+
+  setButtonLoading('btnAddBill', 'Adding...');
+  showLoading('bill_msg', 'Adding bill...');
+  const r=await fetchJson(API_BILLS,{method:'POST',headers:authHeader(),body:JSON.stringify(payload)});
+  removeButtonLoading('btnAddBill');
+  if(handleApiError(r, 'bill_msg', template ? 'Recurring bill set up, but this bill failed to save' : 'Failed to add bill')) return;
+  const repeatNote = template ? ` It repeats ${formatRecurringSchedule(template).toLowerCase()}${nextRun ? `; next bill on ${formatDateOnly(nextRun)}` : ''}.` : '';
+  showSuccess('bill_msg', r.queued ? r.apiResponse.message : 'Bill added successfully!' + repeatNote);
+  document.getElementById('bill_customer').value = '';
+  document.getElementById('bill_number').value = '';
+  document.getElementById('bill_amount').value = '';
+  document.getElementById('bill_date').value = '';
+  document.getElementById('bill_notes').value = '';
+  resetBillDueDate();
+  billItems.reset();
+  resetBillRepeat();
+  billsDataLoaded = false;
+  loadBillsTab(1, '', true);
+}
+
+
+// Fetches the current page of billQuery and redraws the table, count and pager
+async function renderBillList(){
+  const res=await fetchJson(listUrl(API_BILLS, billQuery),{headers:authHeader(), scope:'tab'});
+  if(res.aborted) return;
+  if(!res.ok){
+    logError('loadBillsTab', res);
+    showError('bill_msg', getErrorMessage(res, 'Failed to load bills'));
+    return;
+  }
+  const result = toPagedResult(res.data, billQuery, 'bills');
+  billsDataLoaded = true;
+  billQuery.page = result.page;
+  billPage = result.items.filter(b => (b.isActive === undefined || b.isActive !== false) && (b.IsActive === undefined || b.IsActive !== false) && (b.is_active === undefined || b.is_active !== false));
+
+  const table = document.getElementById('tblBills');
+  if(!table) return;
+  const canEdit = userCan('edit', 'bills');
+  const canDelete = userCan('delete', 'bills');
+
+  table.querySelector('thead').innerHTML = billHeaderHtml(canEdit, canDelete);
+  bindSortableHeaders(table, billQuery, () => loadBillsTab(1, billQuery.search));
+  mountVirtualRows(table.querySelector('tbody'), billPage, b => billRowHtml(b, canEdit, canDelete), { colspan: canEdit || canDelete ? 10 : 8 });
+
+  document.getElementById('billCount').innerText = listSummary(result, 'bills');
+  createPagination('billPagination', result.totalPages, result.page, (p) => loadBillsTab(p, billQuery.search));
+  showCachedDataNotice('bill_msg', res);
+}
+
+// Customers for the form dropdown, loaded once per visit to the tab
+async function loadCustomersForBills(){
+  const custRes = await fetchJson(API_CUSTOMERS,{headers:authHeader(), scope:'tab'});
+  if(!custRes.ok){
+    if(!custRes.aborted) logError('loadCustomersForBills', custRes);
+    return custRes;
+  }
+  allCustomersForBills = (custRes.data||[]).filter(c => (c.isActive === undefined || c.isActive !== false) && (c.IsActive === undefined || c.IsActive !== false) && (c.is_active === undefined || c.is_active !== false));
+  return custRes;
+}
+
+async function loadBillsTab(page=1, searchTerm='', forceLoad=false){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  // If data not loaded and not forced, show button to load
+  if(!billsDataLoaded && !forceLoad){
+    const html = `
+      <div id="bills-content">
+        <h2>Add Bill</h2>
+        <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+          <select id="bill_customer" style="flex:1;min-width:200px;padding:6px;" required>
+            <option value="">Select customer *</option>
+          </select>
+          <input id="bill_number" placeholder="Bill Number (auto if empty)" style="flex:1;min-width:150px;padding:6px;">
+          <input id="bill_amount" placeholder="Total (from items)" type="number" step="0.01" style="flex:1;min-width:150px;padding:6px;" readonly>
+          <input type="date" id="bill_date" style="flex:1;min-width:150px;padding:6px;">
+        </div>
+        ${billItems.html()}
+        <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+          <input id="bill_notes" placeholder="Notes" style="flex:2;min-width:200px;padding:6px;">
+          <label style="flex:1;min-width:150px;display:flex;align-items:center;gap:6px;color:#666;font-size:0.9rem;">Due
+            <input type="date" id="bill_dueDate" title="Due date (from the customer's payment terms)" style="flex:1;padding:6px;">
+          </label>
+          <small id="bill_terms" style="align-self:center;color:#7f8c8d;"></small>
+          <button id="btnAddBill" style="flex:0 0 auto;padding:6px 20px;">Add</button>
+        </div>
+        ${billRepeatHtml()}
+        ${defaultTermsSettingsHtml()}
+        <div id="bill_msg" class="error" style="margin-bottom:10px;"></div>
+        <div style="text-align:center;padding:40px;background:var(--bg-secondary);border-radius:12px;border:2px dashed var(--border-color);">
+          <h3 style="color:var(--text-primary);margin-bottom:15px;">All Bills</h3>
+          <p style="color:var(--text-secondary);margin-bottom:20px;">Click the button below to load bills data</p>
+          <button onclick="loadBillsTab(1, '', true)" style="padding:12px 30px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;font-size:1rem;box-shadow:0 4px 15px rgba(102,126,234,0.3);">📋 Load Bills</button>
+        </div>
+      </div>
+    `;
+    tabContent.innerHTML = html;
+    
+    // Load customers for dropdown (minimal call)
+    fetchJson(API_CUSTOMERS,{headers:authHeader()}).then(custRes => {
+      if(custRes.ok && custRes.data){
+        const customers = (custRes.data||[]).filter(c => (c.isActive === undefined || c.isActive !== false) && (c.IsActive === undefined || c.IsActive !== false) && (c.is_active === undefined || c.is_active !== false));
+        allCustomersForBills = customers;
+        const select = document.getElementById('bill_customer');
+        if(select){
+          select.innerHTML = '<option value="">Select customer *</option>' + customers.map(c=>`<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+        }
+      }
+    }).catch(err => logError('loadCustomersForBills', err));
+    
+    // Setup add bill form
+    initBillItemsEditor();
+    applyPermission(document.getElementById('btnAddBill'), 'create', 'bills');
+    document.getElementById('btnAddBill').addEventListener('click', submitBillForm);
+    return;
+  }
+  
+  billQuery.page = page;
+  billQuery.search = searchTerm;
+  if(!document.getElementById('billList')){
+    const custRes = await loadCustomersForBills();
+    if(custRes.aborted) return;
+    renderBillsShell(tabContent);
+    if(!custRes.ok) showError('bill_msg', getErrorMessage(custRes, 'Failed to load customers'));
+  }
+  const searchInput = document.getElementById('searchBills');
+  if(searchInput && searchInput.value !== searchTerm) searchInput.value = searchTerm;
+  await renderBillList();
+}
+
+// ----- Route -----
+export async function render(){
+  await loadBillsTab(1, '', false);
+}
+
+// #/bills/:id opens the bill details modal; #/bills closes it
+export async function show([billId]){
+  const openModal = document.getElementById('billDetailsModal');
+  if(openModal) openModal.remove();
+  if(billId) await showBillDetails(recordId(billId));
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  closeBillDetailsModal,
+  downloadBillPDF,
+  shareBill,
+  exportBillsData,
+  exportBillItemsData,
+  exportCreditNotesData,
+  toggleCreditNoteForm,
+  issueCreditNote,
+  cancelBill,
+  downloadCreditNotePDF,
+  createBillViewLink,
+  revokeBillViewLink,
+  copyBillViewLink,
+  applyBillDateFilter,
+  clearBillDateFilter,
+  toggleDefaultTermsDays,
+  saveDefaultTermsForm,
+  toggleBillRepeat,
+  loadBillsTab
+});
@@ -0,0 +1,228 @@
+/**
+ * Invoice design tab - the organisation's invoice template: layout, colour,
+ * logo, business and bank/UPI details, signature, footer and terms, with a
+ * live preview of a sample invoice drawn by the same renderer as real ones.
+ * The template rules live in invoice-templates.js.
+ *
+ * Route: #/branding
+ */
+
+import { syncInvoiceSettings, saveInvoiceSettings } from '../invoice-settings.js';
+
+// Uploaded logo and signature, as data URLs
+let images = { logo: '', signature: '' };
+let previewTimer = null;
+let previewUrl = null;
+
+const TEXT_INPUTS = [
+  ['businessName', 'Business name *'], ['gstin', 'GSTIN'], ['phone', 'Phone'], ['email', 'Email']
+];
+const BANK_INPUTS = [
+  ['bankName', 'Bank name'], ['accountName', 'Account name'], ['accountNumber', 'Account number'], ['ifsc', 'IFSC'], ['upiId', 'UPI ID (name@bank)']
+];
+
+function fieldHtml([key, placeholder]){
+  return `<input id="inv_${key}" placeholder="${placeholder}" style="flex:1;min-width:150px;padding:6px;">`;
+}
+
+function imageFieldHtml(key, label){
+  return `
+    <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-bottom:10px;">
+      <label style="min-width:80px;color:#666;font-size:0.9rem;">${label}</label>
+      <img id="inv_${key}_img" alt="" style="max-height:40px;max-width:120px;display:none;border:1px solid #eee;border-radius:4px;">
+      <input type="file" id="inv_${key}_file" accept="image/png,image/jpeg" style="flex:1;min-width:180px;">
+      <button type="button" data-remove="${key}" class="clear-btn" style="padding:4px 10px;display:none;">Remove</button>
+    </div>`;
+}
+
+async function loadBrandingTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  const canEdit = userCan('edit', 'settings');
+
+  tabContent.innerHTML = `
+    <div id="branding-content">
+      <h2>🎨 Invoice Design</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">The template used for every invoice, quotation and customer statement your organisation downloads or shares.</p>
+      <div style="display:flex;gap:20px;flex-wrap:wrap;align-items:flex-start;">
+        <div id="invSettingsForm" style="flex:1 1 380px;min-width:300px;">
+          <h3 style="margin-top:0;">Layout</h3>
+          <div style="display:flex;gap:10px;flex-wrap:wrap;margin-bottom:10px;">
+            ${INVOICE_LAYOUTS.map(l => `
+              <label style="flex:1;min-width:120px;padding:8px;border:1px solid #ddd;border-radius:6px;cursor:pointer;">
+                <input type="radio" name="inv_layout" value="${l.key}"> <strong>${l.label}</strong><br>
+                <small style="color:#7f8c8d;">${l.description}</small>
+              </label>`).join('')}
+          </div>
+          <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-bottom:10px;">
+            ${INVOICE_THEMES.map(t => `<button type="button" data-color="${t.color}" title="${t.label}" style="width:28px;height:28px;border-radius:50%;border:2px solid #fff;box-shadow:0 0 0 1px #ccc;background:${t.color};cursor:pointer;"></button>`).join('')}
+            <input type="color" id="inv_color" title="Custom colour" style="width:40px;height:30px;padding:0;border:none;">
+            <small style="color:#7f8c8d;">Not used by the minimal layout</small>
+          </div>
+
+          <h3>Business</h3>
+          <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">${TEXT_INPUTS.map(fieldHtml).join('')}</div>
+          <textarea id="inv_address" rows="2" placeholder="Address" style="width:100%;padding:6px;margin-bottom:10px;"></textarea>
+          ${imageFieldHtml('logo', 'Logo')}
+
+          <h3>Payment details</h3>
+          <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">${BANK_INPUTS.map(fieldHtml).join('')}</div>
+          ${imageFieldHtml('signature', 'Signature')}
+
+          <h3>Footer and terms</h3>
+          <input id="inv_footerText" placeholder="Footer text, e.g. Thank you for your business!" style="width:100%;padding:6px;margin-bottom:10px;">
+          <textarea id="inv_terms" rows="3" placeholder="Terms and conditions printed on every invoice" style="width:100%;padding:6px;margin-bottom:10px;"></textarea>
+
+          ${canEdit ? `
+          <div style="display:flex;gap:10px;">
+            <button id="btnSaveInvoiceSettings" style="padding:8px 20px;">💾 Save Template</button>
+            <button id="btnResetInvoiceSettings" class="clear-btn" style="padding:8px 14px;">Undo changes</button>
+          </div>` : '<p style="color:#7f8c8d;">Only users who can edit may change the invoice template.</p>'}
+          <div id="inv_msg" style="margin-top:10px;"></div>
+        </div>
+        <div style="flex:1 1 420px;min-width:300px;">
+          <h3 style="margin-top:0;">Preview <small style="color:#7f8c8d;font-weight:normal;">(sample invoice)</small></h3>
+          <div id="invPreviewNote" style="color:#7f8c8d;"></div>
+          <iframe id="invPreview" title="Invoice preview" style="width:100%;height:640px;border:1px solid #ddd;border-radius:6px;background:#fff;"></iframe>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const form = document.getElementById('invSettingsForm');
+  form.addEventListener('input', updatePreview);
+  form.addEventListener('change', (e) => {
+    if(e.target.type === 'file') readImage(e.target, e.target.id.replace(/^inv_|_file$/g, ''));
+    else updatePreview();
+  });
+  form.addEventListener('click', (e) => {
+    const swatch = e.target.closest('[data-color]');
+    const remove = e.target.closest('[data-remove]');
+    if(swatch){
+      document.getElementById('inv_color').value = swatch.dataset.color;
+      updatePreview();
+    } else if(remove){
+      images[remove.dataset.remove] = '';
+      document.getElementById(`inv_${remove.dataset.remove}_file`).value = '';
+      renderImages();
+      updatePreview();
+    }
+  });
+  document.getElementById('btnSaveInvoiceSettings')?.addEventListener('click', saveSettings);
+  document.getElementById('btnResetInvoiceSettings')?.addEventListener('click', () => {
+    clearMessage('inv_msg');
+    fillForm(getInvoiceSettings());
+  });
+  if(!canEdit) form.querySelectorAll('input, textarea, button').forEach(el => { el.disabled = true; });
+
+  showLoading('inv_msg', 'Loading template...');
+  const r = await syncInvoiceSettings();
+  if(!r.aborted) clearMessage('inv_msg');
+  fillForm(getInvoiceSettings());
+}
+
+function fillForm(settings){
+  const layout = document.querySelector(`input[name="inv_layout"][value="${settings.layout}"]`);
+  if(layout) layout.checked = true;
+  document.getElementById('inv_color').value = settings.color;
+  [...TEXT_INPUTS, ...BANK_INPUTS].forEach(([key]) => { document.getElementById(`inv_${key}`).value = settings[key]; });
+  ['address', 'footerText', 'terms'].forEach(key => { document.getElementById(`inv_${key}`).value = settings[key]; });
+  images = { logo: settings.logo, signature: settings.signature };
+  renderImages();
+  renderPreview();
+}
+
+function readForm(){
+  const value = (key) => document.getElementById(`inv_${key}`).value.trim();
+  const settings = {
+    layout: document.querySelector('input[name="inv_layout"]:checked')?.value || 'classic',
+    color: document.getElementById('inv_color').value,
+    logo: images.logo,
+    signature: images.signature
+  };
+  [...TEXT_INPUTS, ...BANK_INPUTS].forEach(([key]) => { settings[key] = value(key); });
+  ['address', 'footerText', 'terms'].forEach(key => { settings[key] = value(key); });
+  settings.gstin = settings.gstin.toUpperCase();
+  settings.ifsc = settings.ifsc.toUpperCase();
+  return settings;
+}
+
+function renderImages(){
+  ['logo', 'signature'].forEach(key => {
+    const img = document.getElementById(`inv_${key}_img`);
+    img.src = images[key] || '';
+    img.style.display = images[key] ? '' : 'none';
+    document.querySelector(`[data-remove="${key}"]`).style.display = images[key] ? '' : 'none';
+  });
+}
+
+// Checked against the same limits as on save, so a rejected image never reaches the preview
+function readImage(input, key){
+  const file = input.files && input.files[0];
+  if(!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    const errors = validateInvoiceSettings({ ...readForm(), [key]: reader.result }).errors.filter(e => e.field === key);
+    if(errors.length){
+      showError('inv_msg', errors.map(e => e.message).join(', '));
+      input.value = '';
+      return;
+    }
+    clearMessage('inv_msg');
+    images[key] = reader.result;
+    renderImages();
+    updatePreview();
+  };
+  reader.onerror = () => showError('inv_msg', 'Could not read the image');
+  reader.readAsDataURL(file);
+}
+
+// ----- Preview -----
+function updatePreview(){
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(renderPreview, 400);
+}
+
+function renderPreview(){
+  const frame = document.getElementById('invPreview');
+  if(!frame) return;
+  const sample = getSampleInvoice();
+  let doc = null;
+  try{
+    doc = buildPDFInvoice(sample.bill, sample.customer, { branding: readForm() });
+  } catch(err){
+    logError('renderInvoicePreview', err);
+  }
+  const note = document.getElementById('invPreviewNote');
+  if(!doc){
+    note.innerText = 'The preview is not available because the PDF library has not loaded.';
+    return;
+  }
+  note.innerText = isGstEnabled() ? 'GST mode is on, so invoices use the tax invoice layout with your colour, logo and signature.' : '';
+  if(previewUrl) URL.revokeObjectURL(previewUrl);
+  previewUrl = doc.output('bloburl');
+  frame.src = previewUrl;
+}
+
+// ----- Save -----
+async function saveSettings(){
+  clearMessage('inv_msg');
+  const settings = readForm();
+  const check = validateInvoiceSettings(settings);
+  if(!check.valid){
+    showError('inv_msg', check.errors.map(e => e.message).join(', '));
+    return;
+  }
+  setButtonLoading('btnSaveInvoiceSettings', 'Saving...');
+  showLoading('inv_msg', 'Saving template...');
+  const r = await saveInvoiceSettings(settings);
+  removeButtonLoading('btnSaveInvoiceSettings');
+  if(handleApiError(r, 'inv_msg', 'Failed to save the invoice template')) return;
+  showSuccess('inv_msg', r.queued ? r.apiResponse.message : 'Invoice template saved for your organisation');
+}
+
+// ----- Route -----
+export async function render(){
+  clearTimeout(previewTimer);
+  await loadBrandingTab();
+}
@@ -0,0 +1,178 @@
+/**
+ * Cheque register tab - every cheque payment with its state (received,
+ * deposited, cleared, bounced, re-presented, cancelled), filtered by state and
+ * cheque date, with lifecycle actions and CSV export.
+ *
+ * Routes: #/cheques, #/cheques/:status (e.g. #/cheques/Bounced shows only that state)
+ */
+
+import { API_CUSTOMERS, API_PAYMENTS } from '../api.js';
+import { showCachedDataNotice } from '../shared.js';
+import { chequeStatusBadge, chequeActionButtons, changeChequeStatus } from '../cheque-actions.js';
+import { navigate, entityPath } from '../router.js';
+
+// Data behind the register; changing the dates or state needs no refetch
+let chequeData = null;
+let chequeStatus = '';
+
+function money(value){
+  return '₹' + value.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+async function loadChequesTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+
+  tabContent.innerHTML = `
+    <div id="cheques-content">
+      <h2>🏦 Cheque Register</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Cheques received from customers and where each one is: in hand, at the bank, cleared or bounced</p>
+      <div class="list-toolbar">
+        <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+          <label style="font-size:0.9rem;color:#666;">Cheque date from
+            <input type="date" id="chequeFromDate" style="padding:6px;">
+          </label>
+          <label style="font-size:0.9rem;color:#666;">to
+            <input type="date" id="chequeToDate" style="padding:6px;">
+          </label>
+        </div>
+        <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+          ${userCan('export', 'payments') ? `<button onclick="exportChequeRegister()" style="padding:6px 12px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">📥 CSV</button>` : ''}
+        </div>
+      </div>
+      <div id="cheques_msg" style="margin-bottom:10px;"></div>
+      <div id="chequeStatuses" style="display:grid;grid-template-columns:repeat(auto-fit, minmax(140px, 1fr));gap:15px;margin-bottom:20px;"></div>
+      <div id="chequeTable"><p style="color:#7f8c8d;text-align:center;padding:20px;">Loading cheques...</p></div>
+    </div>
+  `;
+
+  document.getElementById('chequeFromDate').addEventListener('change', renderChequeRegister);
+  document.getElementById('chequeToDate').addEventListener('change', renderChequeRegister);
+
+  document.getElementById('chequeTable').addEventListener('click', async (e) => {
+    const link = e.target.closest('[data-entity]');
+    if(link){
+      navigate(entityPath(link.dataset.entity, link.dataset.id));
+      return;
+    }
+    const btn = e.target.closest('.cheque-action');
+    if(!btn) return;
+    const payment = chequeData.payments.find(p => String(p.id) === btn.dataset.id);
+    if(payment && await changeChequeStatus(payment, btn.dataset.status, 'cheques_msg')){
+      await fetchCheques();
+    }
+  });
+
+  await fetchCheques();
+}
+
+async function fetchCheques(){
+  const opts = {headers:authHeader(), scope:'tab'};
+  const [paymentsRes, customersRes] = await Promise.all([
+    fetchJson(API_PAYMENTS, opts),
+    fetchJson(API_CUSTOMERS, opts)
+  ]);
+  if(paymentsRes.aborted || customersRes.aborted) return;
+  if(!paymentsRes.ok){
+    handleApiError(paymentsRes, 'cheques_msg', 'Failed to load payments');
+    document.getElementById('chequeTable').innerHTML = '';
+    return;
+  }
+  showCachedDataNotice('cheques_msg', paymentsRes);
+
+  const customerMap = {};
+  (customersRes.ok ? toPagedResult(customersRes.data, {}, 'customers').items : []).forEach(c => { customerMap[c.id] = c.name; });
+  chequeData = {
+    payments: toPagedResult(paymentsRes.data, {}, 'payments').items.filter(p => p.mode === 'Cheque' && p.isActive !== false),
+    customerMap
+  };
+  renderChequeRegister();
+}
+
+// Register for the dates currently selected: all states for the cards, the chosen state for the table
+function currentChequeRegister(){
+  if(!chequeData) return null;
+  const options = {
+    from: document.getElementById('chequeFromDate')?.value,
+    to: document.getElementById('chequeToDate')?.value,
+    customerMap: chequeData.customerMap
+  };
+  const full = buildChequeRegister(chequeData.payments, options);
+  return { full, shown: chequeStatus ? buildChequeRegister(chequeData.payments, { ...options, status: chequeStatus }) : full };
+}
+
+function renderChequeRegister(){
+  const registers = currentChequeRegister();
+  if(!registers) return;
+  const { full, shown } = registers;
+
+  // State cards double as the state filter
+  const card = (key, label, totals, color) => `
+    <button class="cheque-status" data-status="${key}" style="text-align:left;background:#fff;padding:15px;border-radius:8px;border:none;border-left:4px solid ${color};box-shadow:0 2px 8px rgba(0,0,0,0.1);cursor:pointer;${chequeStatus === key ? 'outline:2px solid ' + color + ';' : ''}">
+      <span style="display:block;color:#7f8c8d;font-size:0.9rem;">${label} (${totals.count})</span>
+      <strong style="display:block;margin-top:6px;font-size:1.1rem;color:#2c3e50;">${money(totals.amount)}</strong>
+    </button>`;
+  const statusesEl = document.getElementById('chequeStatuses');
+  statusesEl.innerHTML = card('', 'All cheques', { count: full.count, amount: full.amount }, '#3498db') +
+    CHEQUE_STATUSES.map(s => card(s.key, s.label, full.totals[s.key], s.color)).join('');
+  statusesEl.querySelectorAll('.cheque-status').forEach(btn => {
+    btn.addEventListener('click', () => navigate(btn.dataset.status ? `/cheques/${btn.dataset.status}` : '/cheques'));
+  });
+
+  const tableEl = document.getElementById('chequeTable');
+  if(shown.rows.length === 0){
+    tableEl.innerHTML = `<p style="color:#7f8c8d;text-align:center;padding:20px;">No cheques${chequeStatus ? ' in this state' : ''} for these dates</p>`;
+    return;
+  }
+
+  const byId = {};
+  chequeData.payments.forEach(p => { byId[p.id] = p; });
+  tableEl.innerHTML = `
+    <table id="tblCheques">
+      <thead><tr><th>Cheque #</th><th>Cheque Date</th><th>Customer</th><th>Bank</th><th style="text-align:right;">Amount</th><th>Status</th><th>Note</th><th>Action</th></tr></thead>
+      <tbody>
+        ${shown.rows.map(row => `
+          <tr data-payment-id="${escapeHtml(row.id)}">
+            <td><a href="javascript:void(0)" data-entity="Payment" data-id="${escapeHtml(row.id)}" style="color:#667eea;">${escapeHtml(row.chequeNumber || '#' + row.id)}</a></td>
+            <td>${formatDateOnly(row.chequeDate)}</td>
+            <td><a href="javascript:void(0)" data-entity="Customer" data-id="${escapeHtml(row.customerId)}" style="color:#667eea;text-decoration:none;font-weight:500;">${escapeHtml(row.customerName)}</a></td>
+            <td>${escapeHtml(row.bankName || '-')}${row.bankBranch ? `<br><small style="color:#7f8c8d;">${escapeHtml(row.bankBranch)}</small>` : ''}</td>
+            <td style="text-align:right;">${money(row.amount)}${row.bounceCharges ? `<br><small style="color:#e74c3c;">+ ${money(row.bounceCharges)} charges</small>` : ''}</td>
+            <td>${chequeStatusBadge(byId[row.id])}</td>
+            <td>${escapeHtml(row.note)}</td>
+            <td style="display:flex;gap:5px;flex-wrap:wrap;">${chequeActionButtons(byId[row.id])}</td>
+          </tr>`).join('')}
+      </tbody>
+      <tfoot>
+        <tr style="font-weight:600;"><td colspan="4">${shown.count} cheque(s)</td><td style="text-align:right;">${money(shown.amount)}</td><td colspan="3"></td></tr>
+      </tfoot>
+    </table>`;
+}
+
+function exportChequeRegister(){
+  const registers = currentChequeRegister();
+  if(!registers) return;
+  if(registers.shown.count === 0){
+    showError('cheques_msg', 'No cheques to export');
+    return;
+  }
+  downloadChequeRegisterCSV(registers.shown);
+  showSuccess('cheques_msg', 'Cheque register exported successfully!');
+}
+
+// ----- Route -----
+export async function render(){
+  chequeStatus = '';
+  await loadChequesTab();
+}
+
+// #/cheques/:status shows one state; #/cheques shows them all
+export async function show([status]){
+  chequeStatus = CHEQUE_STATUSES.some(s => s.key === status) ? status : '';
+  renderChequeRegister();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  exportChequeRegister
+});
@@ -0,0 +1,1082 @@
+/**
+ * Customers tab - list, add/edit/delete, bulk delete, profile modal and statements.
+ *
+ * Routes: #/customers, #/customers/:id/profile
+ */
+
+import { API_CUSTOMERS, API_BILLS, API_PAYMENTS, API_CREDIT_NOTES } from '../api.js';
+import { showCachedDataNotice, createPagination, applyPermission } from '../shared.js';
+import { chequeStatusBadge } from '../cheque-actions.js';
+import { navigate, leaveRecord, entityPath, recordId } from '../router.js';
+import { createListQuery, listUrl, withoutPaging, sortableHeader, bindSortableHeaders, listSummary, pageSizeSelect, bindPageSizeSelect, mountVirtualRows } from '../list-view.js';
+import { openExportDialog, customerNameMap, billMap, exportFilename } from '../export-dialog.js';
+
+// ----- Customers Tab - Edit/Delete Functions -----
+let editingCustomerId = null;
+
+// Opening balance fields as sent to the API; a blank amount clears it
+function openingBalancePayload(openingBalance, openingBalanceDate){
+  return {
+    openingBalance: openingBalance === '' || openingBalance === undefined ? null : parseFloat(openingBalance),
+    openingBalanceDate: openingBalanceDate || null
+  };
+}
+
+// Payment terms fields as sent to the API; blank terms mean the business default
+function paymentTermsPayload(paymentTerms, paymentTermsDays){
+  return {
+    paymentTerms: paymentTerms || null,
+    paymentTermsDays: paymentTerms === 'custom' ? parseInt(paymentTermsDays) : null
+  };
+}
+
+// Terms select and the days box that only custom terms use
+function paymentTermsInputsHtml(){
+  const defaultTerms = formatPaymentTerms(getDefaultPaymentTerms());
+  return `<select id="c_paymentTerms" onchange="toggleCustomTermsDays()" title="Payment terms" style="flex:1;min-width:150px;padding:6px;">
+        <option value="">Business default (${escapeHtml(defaultTerms)})</option>
+        ${PAYMENT_TERMS.map(t => `<option value="${t.key}">${t.label}</option>`).join('')}
+      </select>
+      <input id="c_paymentTermsDays" type="number" min="1" max="365" step="1" placeholder="Days" title="Days' credit for custom terms" style="flex:0 0 90px;padding:6px;display:none;">`;
+}
+
+function toggleCustomTermsDays(){
+  const custom = document.getElementById('c_paymentTerms')?.value === 'custom';
+  const daysInput = document.getElementById('c_paymentTermsDays');
+  if(daysInput) daysInput.style.display = custom ? '' : 'none';
+}
+
+function resetPaymentTermsInputs(){
+  document.getElementById('c_paymentTerms').value = '';
+  document.getElementById('c_paymentTermsDays').value = '';
+  toggleCustomTermsDays();
+}
+
+async function editCustomer(id, name, phone, email, address, city, state, pincode, gstNumber, openingBalance, openingBalanceDate, paymentTerms, paymentTermsDays){
+  const permission = checkPermission('edit', 'customers');
+  if(!permission.allowed){
+    showError('c_msg', permission.message);
+    return;
+  }
+  
+  editingCustomerId = id;
+  // Pre-fill form with customer data
+  document.getElementById('c_name').value = name || '';
+  document.getElementById('c_phone').value = phone || '';
+  document.getElementById('c_email').value = email || '';
+  document.getElementById('c_address').value = address || '';
+  document.getElementById('c_city').value = city || '';
+  document.getElementById('c_state').value = state || '';
+  document.getElementById('c_pincode').value = pincode || '';
+  document.getElementById('c_gstNumber').value = gstNumber || '';
+  document.getElementById('c_openingBalance').value = openingBalance || '';
+  document.getElementById('c_openingBalanceDate').value = openingBalanceDate ? openingBalanceDate.slice(0, 10) : '';
+  document.getElementById('c_paymentTerms').value = paymentTerms || '';
+  document.getElementById('c_paymentTermsDays').value = paymentTerms === 'custom' ? (paymentTermsDays || '') : '';
+  toggleCustomTermsDays();
+  
+  // Change button to "Update" mode
+  const btn = document.getElementById('btnAddCustomer');
+  btn.innerText = 'Update';
+  btn.dataset.mode = 'update';
+  btn.disabled = false;
+  btn.title = '';
+  
+  // Scroll to form
+  document.getElementById('c_name').scrollIntoView({behavior:'smooth', block:'center'});
+  showSuccess('c_msg', 'Edit mode: Update the fields and click Update');
+}
+
+async function updateCustomer(id, name, phone, email, address, city, state, pincode, gstNumber, openingBalance, openingBalanceDate, paymentTerms, paymentTermsDays){
+  setButtonLoading('btnAddCustomer', 'Updating...');
+  showLoading('c_msg', 'Updating customer...');
+  const payload = {
+    name, 
+    phone, 
+    email: email || null,
+    address, 
+    city: city || null,
+    state: state || null,
+    pincode: pincode || null,
+    gstNumber: gstNumber || null,
+    ...openingBalancePayload(openingBalance, openingBalanceDate),
+    ...paymentTermsPayload(paymentTerms, paymentTermsDays)
+  };
+  const r = await fetchJson(`${API_CUSTOMERS}/${id}`, {method:'PUT', headers:authHeader(), body:JSON.stringify(payload)});
+  removeButtonLoading('btnAddCustomer');
+  if(handleApiError(r, 'c_msg', 'Failed to update customer')) return;
+  
+  showSuccess('c_msg', r.queued ? r.apiResponse.message : 'Customer updated successfully!');
+  editingCustomerId = null;
+  // Reset form and button
+  document.getElementById('c_name').value = '';
+  document.getElementById('c_phone').value = '';
+  document.getElementById('c_email').value = '';
+  document.getElementById('c_address').value = '';
+  document.getElementById('c_city').value = '';
+  document.getElementById('c_state').value = '';
+  document.getElementById('c_pincode').value = '';
+  document.getElementById('c_gstNumber').value = '';
+  document.getElementById('c_openingBalance').value = '';
+  document.getElementById('c_openingBalanceDate').value = '';
+  resetPaymentTermsInputs();
+  const btn = document.getElementById('btnAddCustomer');
+  btn.innerText = 'Add';
+  btn.dataset.mode = 'add';
+  applyPermission(btn, 'create', 'customers');
+  customersDataLoaded = false;
+  loadCustomersTab(1, '', true);
+}
+
+async function deleteCustomer(id){
+  const permission = checkPermission('delete', 'customers');
+  if(!permission.allowed){
+    showError('c_msg', permission.message);
+    return;
+  }
+  
+  showLoading('c_msg', 'Deleting customer...');
+  showLoadingOverlay();
+  const r = await fetchJson(`${API_CUSTOMERS}/${id}`, {method:'DELETE', headers:authHeader()});
+  hideLoadingOverlay();
+  
+  // Handle case where DELETE endpoint might not be implemented yet
+  if(r.status === 404 || r.status === 405){
+    showError('c_msg', 'Delete endpoint not available yet. Please check API documentation.');
+    logError('deleteCustomer', {message: 'DELETE endpoint not implemented', status: r.status});
+    return;
+  }
+  
+  if(handleApiError(r, 'c_msg', 'Failed to delete customer')) return;
+  
+  showSuccess('c_msg', r.queued ? r.apiResponse.message : 'Customer deleted successfully!');
+  customersDataLoaded = false;
+  loadCustomersTab(1, '', true);
+}
+
+// ----- Customer Profile/Details View -----
+async function viewCustomerProfile(customerId, customerName){
+  showLoadingOverlay();
+  
+  try{
+    // Fetch customer details and only this customer's bills, payments and credit notes
+    const [customerRes, billsRes, paymentsRes, creditNotesRes] = await Promise.all([
+      fetchJson(`${API_CUSTOMERS}/${customerId}`, {headers:authHeader()}),
+      fetchJson(listUrl(API_BILLS, { customerId }), {headers:authHeader()}),
+      fetchJson(listUrl(API_PAYMENTS, { customerId }), {headers:authHeader()}),
+      fetchJson(listUrl(API_CREDIT_NOTES, { customerId }), {headers:authHeader()})
+    ]);
+    
+    hideLoadingOverlay();
+    
+    if(!customerRes.ok){
+      showError('c_msg', getErrorMessage(customerRes, 'Failed to load customer details'));
+      return;
+    }
+    
+    const customer = customerRes.data;
+    // Deep links (#/customers/:id/profile) only carry the id
+    customerName = customerName || customer.name;
+    const allBills = (billsRes.data || []).filter(b => (b.isActive === undefined || b.isActive !== false) && (b.IsActive === undefined || b.IsActive !== false) && (b.is_active === undefined || b.is_active !== false));
+    const allPayments = (paymentsRes.data || []).filter(p => (p.isActive === undefined || p.isActive !== false) && (p.IsActive === undefined || p.IsActive !== false) && (p.is_active === undefined || p.is_active !== false));
+    
+    // The API filters by customerId; older backends ignore it and return everything
+    const customerBills = allBills.filter(b => String(b.customerId) === String(customerId));
+    const customerPayments = allPayments.filter(p => String(p.customerId) === String(customerId));
+    // Backends without credit notes answer 404; the customer then has none
+    const customerCreditNotes = (creditNotesRes.ok && Array.isArray(creditNotesRes.data) ? creditNotesRes.data : [])
+      .filter(n => n.isActive !== false && String(n.customerId) === String(customerId));
+    
+    // Billed net of credit notes and cancelled bills; cleared payments net of refunds
+    const totals = summarizeReceivables(customerBills, customerPayments, customerCreditNotes);
+    const totalBilled = totals.billed - totals.credited;
+    const totalPaid = totals.paid - totals.refunded;
+    // Outstanding comes from the ledger so it includes the opening balance
+    profileLedgerData = { customer, bills: customerBills, payments: customerPayments, creditNotes: customerCreditNotes };
+    const ledger = buildCustomerLedger(customer, customerBills, customerPayments, customerCreditNotes);
+    const outstanding = ledger.closingBalance;
+    // Advances and overpayments not yet applied to bills, and where they would go (oldest bills first)
+    const credit = getCustomerCredit(customerPayments);
+    const creditSuggestions = suggestCreditAllocations(customerBills, customerPayments, customerCreditNotes);
+    // Calculate payment progress: (Total Paid / Total Billed) * 100, capped at 100%
+    const paymentProgress = totalBilled > 0 ? Math.min(100, Math.round((totalPaid / totalBilled) * 100)) : 0;
+    
+    // Create profile modal
+    const profileHtml = `
+      <div id="customerProfileModal" style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.5);z-index:10000;display:flex;align-items:center;justify-content:center;padding:20px;">
+        <div style="background:#fff;border-radius:12px;max-width:900px;width:100%;max-height:90vh;overflow-y:auto;box-shadow:0 10px 40px rgba(0,0,0,0.2);">
+          <div style="background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;padding:25px;border-radius:12px 12px 0 0;">
+            <div style="display:flex;justify-content:space-between;align-items:center;">
+              <div>
+                <h2 style="margin:0;font-size:1.8rem;">${escapeHtml(customerName)}</h2>
+                <p style="margin:5px 0 0 0;opacity:0.9;">Customer Profile</p>
+              </div>
+              <button onclick="closeCustomerProfile()" style="background:rgba(255,255,255,0.2);border:none;color:#fff;width:40px;height:40px;border-radius:50%;cursor:pointer;font-size:1.5rem;line-height:1;">×</button>
+            </div>
+          </div>
+          
+          <div style="padding:25px;">
+            <!-- Action Buttons -->
+            <div style="display:flex;gap:10px;margin-bottom:20px;flex-wrap:wrap;">
+              <button onclick="generatePDFStatementForCustomer(${customerId})" style="padding:10px 20px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">
+                📄 PDF Statement
+              </button>
+              <button onclick="generateCustomerStatement(${customerId}, '${escapeHtml(customerName)}')" style="padding:10px 20px;background:linear-gradient(135deg, #3498db 0%, #2980b9 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">
+                🖨️ Print Statement
+              </button>
+              ${userCan('export', 'customers') ? `<button onclick="exportCustomerProfile(${customerId})" style="padding:10px 20px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">
+                📥 Export
+              </button>` : ''}
+            </div>
+            
+            <!-- Customer Info -->
+            <div style="background:#f8f9fa;padding:20px;border-radius:8px;margin-bottom:25px;">
+              <h3 style="margin-top:0;color:#2c3e50;">Customer Information</h3>
+              <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(200px, 1fr));gap:15px;">
+                <div>
+                  <strong style="color:#7f8c8d;font-size:0.9rem;">Phone:</strong>
+                  <p style="margin:5px 0;color:#2c3e50;">${escapeHtml(customer.phone || 'N/A')}</p>
+                </div>
+                <div>
+                  <strong style="color:#7f8c8d;font-size:0.9rem;">Address:</strong>
+                  <p style="margin:5px 0;color:#2c3e50;">${escapeHtml(customer.address || 'N/A')}</p>
+                </div>
+                <div>
+                  <strong style="color:#7f8c8d;font-size:0.9rem;">Member Since:</strong>
+                  <p style="margin:5px 0;color:#2c3e50;">${customer.createdAt ? formatDateOnly(customer.createdAt) : 'N/A'}</p>
+                </div>
+                <div>
+                  <strong style="color:#7f8c8d;font-size:0.9rem;">Payment Terms:</strong>
+                  <p style="margin:5px 0;color:#2c3e50;">${escapeHtml(formatPaymentTerms(resolvePaymentTerms(customer)))}${customer.paymentTerms ? '' : ' (business default)'}</p>
+                </div>
+              </div>
+            </div>
+            
+            <!-- Financial Summary -->
+            <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(200px, 1fr));gap:15px;margin-bottom:25px;">
+              <div style="background:#fff;padding:20px;border-radius:8px;border-left:4px solid #3498db;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+                <p style="margin:0;color:#7f8c8d;font-size:0.9rem;">Total Billed</p>
+                <h3 style="margin:10px 0 0 0;color:#2c3e50;">₹${totalBilled.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</h3>
+              </div>
+              <div style="background:#fff;padding:20px;border-radius:8px;border-left:4px solid #27ae60;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+                <p style="margin:0;color:#7f8c8d;font-size:0.9rem;">Total Paid</p>
+                <h3 style="margin:10px 0 0 0;color:#2c3e50;">₹${totalPaid.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</h3>
+              </div>
+              <div style="background:#fff;padding:20px;border-radius:8px;border-left:4px solid ${outstanding > 0 ? '#e74c3c' : '#27ae60'};box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+                <p style="margin:0;color:#7f8c8d;font-size:0.9rem;">Outstanding</p>
+                <h3 style="margin:10px 0 0 0;color:#2c3e50;">₹${outstanding.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</h3>
+              </div>
+              <div style="background:#fff;padding:20px;border-radius:8px;border-left:4px solid #8e44ad;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+                <p style="margin:0;color:#7f8c8d;font-size:0.9rem;">Unallocated Credit</p>
+                <h3 style="margin:10px 0 0 0;color:#2c3e50;">₹${credit.available.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</h3>
+              </div>
+              <div style="background:#fff;padding:20px;border-radius:8px;border-left:4px solid #9b59b6;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+                <p style="margin:0;color:#7f8c8d;font-size:0.9rem;">Payment Progress</p>
+                <h3 style="margin:10px 0 0 0;color:#2c3e50;">${paymentProgress}%</h3>
+                <div style="margin-top:10px;width:100%;height:6px;background:#ecf0f1;border-radius:3px;overflow:hidden;">
+                  <div style="height:100%;background:linear-gradient(90deg, #27ae60, #2ecc71);width:${paymentProgress}%;transition:width 0.5s;"></div>
+                </div>
+              </div>
+            </div>
+            
+            ${customerCreditHtml(customerId, credit, creditSuggestions)}
+            
+            <!-- Ledger Section -->
+            <div style="margin-bottom:25px;">
+              <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap;margin-bottom:15px;">
+                <h3 style="color:#2c3e50;margin:0;">Ledger</h3>
+                <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+                  <input type="date" id="ledgerFrom" title="From date" style="padding:6px;border:1px solid #ddd;border-radius:4px;">
+                  <span style="color:#7f8c8d;">to</span>
+                  <input type="date" id="ledgerTo" title="To date" style="padding:6px;border:1px solid #ddd;border-radius:4px;">
+                  <button onclick="applyLedgerRange()" style="padding:6px 12px;background:#3498db;color:#fff;border:none;border-radius:4px;cursor:pointer;">Apply</button>
+                  <button onclick="clearLedgerRange()" style="padding:6px 12px;background:#95a5a6;color:#fff;border:none;border-radius:4px;cursor:pointer;">Clear</button>
+                  <button onclick="exportCustomerLedger('pdf')" style="padding:6px 12px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:4px;cursor:pointer;">📄 PDF</button>
+                  <button onclick="exportCustomerLedger('csv')" style="padding:6px 12px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:4px;cursor:pointer;">📥 CSV</button>
+                </div>
+              </div>
+              <div id="customerLedger">${ledgerTableHtml(ledger)}</div>
+            </div>
+            
+            <!-- Bills Section -->
+            <div style="margin-bottom:25px;">
+              <h3 style="color:#2c3e50;margin-bottom:15px;">Bills (${customerBills.length})</h3>
+              ${customerBills.length === 0 ? 
+                '<p style="color:#7f8c8d;text-align:center;padding:20px;">No bills found</p>' :
+                `<table style="width:100%;border-collapse:collapse;">
+                  <thead>
+                    <tr style="background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;">
+                      <th style="padding:12px;text-align:left;">ID</th><th>Amount</th><th>Status</th><th>Date</th><th>Notes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${customerBills.map(b => {
+                      const statusColor = isCancelledBill(b) ? '#383d41' : (b.status === 'Pending' || b.status === 'pending') ? '#856404' : '#155724';
+                      const statusBg = isCancelledBill(b) ? '#e2e3e5' : (b.status === 'Pending' || b.status === 'pending') ? '#fff3cd' : '#d4edda';
+                      return `<tr style="border-bottom:1px solid #ecf0f1;">
+                        <td style="padding:12px;">${escapeHtml(b.id)}</td>
+                        <td style="padding:12px;">₹${parseFloat(b.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})}</td>
+                        <td style="padding:12px;"><span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;background:${statusBg};color:${statusColor};">${escapeHtml(b.status || 'N/A')}</span></td>
+                        <td style="padding:12px;">${b.billDate ? formatDateOnly(b.billDate) : (b.createdAt ? formatDateOnly(b.createdAt) : 'N/A')}</td>
+                        <td style="padding:12px;">${escapeHtml(b.notes || '')}</td>
+                      </tr>`;
+                    }).join('')}
+                  </tbody>
+                </table>`
+              }
+            </div>
+            
+            <!-- Payments Section -->
+            <div>
+              <h3 style="color:#2c3e50;margin-bottom:15px;">Payments (${customerPayments.length})</h3>
+              ${customerPayments.length === 0 ? 
+                '<p style="color:#7f8c8d;text-align:center;padding:20px;">No payments found</p>' :
+                `<table style="width:100%;border-collapse:collapse;">
+                  <thead>
+                    <tr style="background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;">
+                      <th style="padding:12px;text-align:left;">ID</th><th>Amount</th><th>Mode</th><th>Date</th><th>Cleared</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${customerPayments.map(p => {
+                      const clearedStatus = p.cleared ? '✓ Cleared' : '⏳ Pending';
+                      const clearedColor = p.cleared ? '#155724' : '#856404';
+                      const clearedBg = p.cleared ? '#d4edda' : '#fff3cd';
+                      return `<tr style="border-bottom:1px solid #ecf0f1;">
+                        <td style="padding:12px;">${escapeHtml(p.id)}</td>
+                        <td style="padding:12px;">₹${parseFloat(p.amount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})}${paymentUnallocatedAmount(p) > 0 ? `<br><small style="color:#8e44ad;">₹${paymentUnallocatedAmount(p).toLocaleString('en-IN', {minimumFractionDigits: 2})} unallocated</small>` : ''}</td>
+                        <td style="padding:12px;"><span style="text-transform:capitalize;">${escapeHtml(p.mode || 'N/A')}</span></td>
+                        <td style="padding:12px;">${p.paymentDate ? formatDateOnly(p.paymentDate) : (p.createdAt ? formatDateOnly(p.createdAt) : 'N/A')}</td>
+                        <td style="padding:12px;">${p.mode === 'Cheque' ? chequeStatusBadge(p) : `<span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;background:${clearedBg};color:${clearedColor};">${clearedStatus}</span>`}</td>
+                      </tr>`;
+                    }).join('')}
+                  </tbody>
+                </table>`
+              }
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    // Add modal to page
+    document.body.insertAdjacentHTML('beforeend', profileHtml);
+    
+  } catch(err){
+    hideLoadingOverlay();
+    logError('viewCustomerProfile', err);
+    showError('c_msg', 'Failed to load customer profile');
+  }
+}
+
+// ----- Customer Credit -----
+// Payments holding unallocated credit and the suggested allocation to open bills
+function customerCreditHtml(customerId, credit, suggestions){
+  if(credit.payments.length === 0) return '';
+  const money = value => '₹' + value.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+  const canApply = userCan('edit', 'payments') && suggestions.length > 0;
+  return `<div style="background:#f4ecf7;padding:20px;border-radius:8px;margin-bottom:25px;">
+      <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap;margin-bottom:10px;">
+        <h3 style="margin:0;color:#6c3483;">Unallocated Credit (${money(credit.available)})</h3>
+        ${canApply ? `<button onclick="applyCustomerCredit(${escapeHtml(customerId)})" style="padding:8px 16px;background:linear-gradient(135deg, #8e44ad 0%, #9b59b6 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">✅ Apply to Oldest Bills</button>` : ''}
+      </div>
+      <p style="margin:0 0 10px 0;color:#6c3483;font-size:0.9rem;">
+        ${credit.payments.map(({ payment, available }) => `Payment #${escapeHtml(payment.id)} (${escapeHtml(formatDateOnly(payment.paymentDate || payment.createdAt))}): ${money(available)}`).join(' · ')}
+      </p>
+      ${suggestions.length === 0
+        ? '<p style="margin:0;color:#7f8c8d;font-size:0.9rem;">No open bills to apply it to; it will be used against the next bill.</p>'
+        : `<table style="width:100%;border-collapse:collapse;background:#fff;border-radius:6px;">
+            <thead>
+              <tr style="background:#e8daef;color:#4a235a;">
+                <th style="padding:8px;text-align:left;">Suggested: Bill</th><th style="text-align:left;">From Payment</th><th style="text-align:right;padding-right:8px;">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${suggestions.map(s => `<tr style="border-bottom:1px solid #ecf0f1;">
+                <td style="padding:8px;">Bill #${escapeHtml(s.billId)}</td>
+                <td>Payment #${escapeHtml(s.paymentId)}</td>
+                <td style="text-align:right;padding-right:8px;">${money(s.amount)}</td>
+              </tr>`).join('')}
+            </tbody>
+          </table>`}
+      <div id="profile_credit_msg" style="margin-top:10px;"></div>
+    </div>`;
+}
+
+// Applies the suggested allocation, one request per payment, then reloads the profile
+async function applyCustomerCredit(customerId){
+  if(!profileLedgerData) return;
+  const permission = checkPermission('edit', 'payments');
+  if(!permission.allowed){
+    showError('profile_credit_msg', permission.message);
+    return;
+  }
+  const { bills, payments, creditNotes } = profileLedgerData;
+  const byPayment = {};
+  suggestCreditAllocations(bills, payments, creditNotes).forEach(s => {
+    (byPayment[s.paymentId] = byPayment[s.paymentId] || []).push({ billId: s.billId, amount: s.amount });
+  });
+  if(Object.keys(byPayment).length === 0) return;
+  showLoading('profile_credit_msg', 'Applying credit...');
+  for(const [paymentId, linkedBills] of Object.entries(byPayment)){
+    const r = await fetchJson(`${API_PAYMENTS}/${paymentId}/allocations`, {method:'PUT', headers:authHeader(), body:JSON.stringify({ linkedBills })});
+    if(handleApiError(r, 'profile_credit_msg', 'Failed to apply credit')) return;
+  }
+  const modal = document.getElementById('customerProfileModal');
+  if(modal) modal.remove();
+  await viewCustomerProfile(customerId);
+  // The profile is redrawn, so confirm with a toast rather than a message in it
+  showSuccessToast('Credit applied to the oldest bills');
+}
+
+// ----- Customer Ledger -----
+// Bills and payments of the open profile, so changing the date range needs no refetch
+let profileLedgerData = null;
+
+function ledgerTableHtml(ledger){
+  const money = value => value ? '₹' + value.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2}) : '';
+  const unclearedNote = ledger.uncleared.length > 0
+    ? `<p style="color:#856404;font-size:0.85rem;margin:8px 0 0 0;">${ledger.uncleared.length} uncleared cheque(s) are not included until they clear.</p>`
+    : '';
+  if(ledger.entries.length === 0){
+    return '<p style="color:#7f8c8d;text-align:center;padding:20px;">No transactions in this period</p>' + unclearedNote;
+  }
+  return `<table style="width:100%;border-collapse:collapse;">
+      <thead>
+        <tr style="background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;">
+          <th style="padding:12px;text-align:left;">Date</th><th>Reference</th><th>Description</th><th style="text-align:right;">Debit</th><th style="text-align:right;">Credit</th><th style="text-align:right;padding-right:12px;">Balance</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${ledger.entries.map(e => `<tr style="border-bottom:1px solid #ecf0f1;${e.type === 'opening' ? 'background:#f8f9fa;' : ''}">
+          <td style="padding:12px;">${e.date ? formatDateOnly(e.date) : ''}</td>
+          <td style="padding:12px;">${escapeHtml(e.reference)}</td>
+          <td style="padding:12px;">${escapeHtml(e.description)}</td>
+          <td style="padding:12px;text-align:right;">${money(e.debit)}</td>
+          <td style="padding:12px;text-align:right;">${money(e.credit)}</td>
+          <td style="padding:12px;text-align:right;font-weight:500;color:${e.balance > 0 ? '#c0392b' : '#27ae60'};">${formatLedgerBalance(e.balance)}</td>
+        </tr>`).join('')}
+      </tbody>
+      <tfoot>
+        <tr style="font-weight:600;border-top:2px solid #bdc3c7;">
+          <td style="padding:12px;" colspan="3">Closing Balance</td>
+          <td style="padding:12px;text-align:right;">${money(ledger.totalDebit)}</td>
+          <td style="padding:12px;text-align:right;">${money(ledger.totalCredit)}</td>
+          <td style="padding:12px;text-align:right;">${formatLedgerBalance(ledger.closingBalance)}</td>
+        </tr>
+      </tfoot>
+    </table>${unclearedNote}`;
+}
+
+// Ledger for the open profile and the date range in its from/to inputs
+function currentProfileLedger(){
+  if(!profileLedgerData) return null;
+  const { customer, bills, payments, creditNotes } = profileLedgerData;
+  return buildCustomerLedger(customer, bills, payments, creditNotes, {
+    from: document.getElementById('ledgerFrom')?.value || '',
+    to: document.getElementById('ledgerTo')?.value || ''
+  });
+}
+
+function applyLedgerRange(){
+  const from = document.getElementById('ledgerFrom').value;
+  const to = document.getElementById('ledgerTo').value;
+  if(from && to && from > to){
+    showError('c_msg', 'Ledger start date must be before the end date');
+    return;
+  }
+  const ledger = currentProfileLedger();
+  if(ledger) document.getElementById('customerLedger').innerHTML = ledgerTableHtml(ledger);
+}
+
+function clearLedgerRange(){
+  document.getElementById('ledgerFrom').value = '';
+  document.getElementById('ledgerTo').value = '';
+  applyLedgerRange();
+}
+
+function exportCustomerLedger(format){
+  const ledger = currentProfileLedger();
+  if(!ledger) return;
+  if(format === 'csv'){
+    downloadLedgerCSV(ledger);
+    showSuccess('c_msg', 'Ledger exported successfully!');
+    return;
+  }
+  if(generatePDFLedger(ledger)){
+    showSuccess('c_msg', 'Ledger PDF generated successfully!');
+  } else {
+    showError('c_msg', 'Failed to generate ledger PDF');
+  }
+}
+
+function closeCustomerProfile(){
+  const modal = document.getElementById('customerProfileModal');
+  if(modal) modal.remove();
+  profileLedgerData = null;
+  leaveRecord('customers');
+}
+
+// Export Functions
+// Exports every customer matching the current search, not just the page on screen
+function exportCustomersData(){
+  const query = withoutPaging(customerQuery);
+  openExportDialog({
+    title: 'Export customers',
+    entities: ['customers'],
+    filename: exportFilename('customers'),
+    filters: query,
+    msgId: 'c_msg',
+    load: async () => {
+      const res = await fetchJson(listUrl(API_CUSTOMERS, query), {headers:authHeader()});
+      if(handleApiError(res, 'c_msg', 'Failed to load customers for export')) return null;
+      const customers = toPagedResult(res.data, query, 'customers').items
+        .filter(c => c.isActive !== false && c.IsActive !== false && c.is_active !== false);
+      return { records: { customers } };
+    }
+  });
+}
+
+// Print/PDF Reports Functions
+function printCustomerStatement(customerId, customerName){
+  // This will open print dialog with customer statement
+  window.print();
+}
+
+function generateCustomerStatement(customerId, customerName){
+  // This will be called from the profile modal
+  // For now, show a message that full statement is in the profile view
+  showSuccess('c_msg', 'Use the Print button in the customer profile for detailed statement');
+}
+
+async function generatePDFStatementForCustomer(customerId){
+  try{
+    showLoadingOverlay();
+    const [customerRes, billsRes, paymentsRes] = await Promise.all([
+      fetchJson(`${API_CUSTOMERS}/${customerId}`, {headers:authHeader()}),
+      fetchJson(listUrl(API_BILLS, { customerId }), {headers:authHeader()}),
+      fetchJson(listUrl(API_PAYMENTS, { customerId }), {headers:authHeader()})
+    ]);
+    hideLoadingOverlay();
+    
+    if(!customerRes.ok){
+      showError('c_msg', 'Failed to load customer data');
+      return;
+    }
+    
+    const customer = customerRes.data;
+    const allBills = (billsRes.data || []).filter(b => (b.isActive === undefined || b.isActive !== false) && (b.IsActive === undefined || b.IsActive !== false) && (b.is_active === undefined || b.is_active !== false));
+    const allPayments = (paymentsRes.data || []).filter(p => (p.isActive === undefined || p.isActive !== false) && (p.IsActive === undefined || p.IsActive !== false) && (p.is_active === undefined || p.is_active !== false));
+    
+    const customerBills = allBills.filter(b => String(b.customerId) === String(customerId));
+    const customerPayments = allPayments.filter(p => String(p.customerId) === String(customerId));
+    
+    const success = generatePDFStatement(customer, customerBills, customerPayments);
+    if(success){
+      showSuccess('c_msg', 'PDF statement generated successfully!');
+    } else {
+      showError('c_msg', 'Failed to generate PDF statement');
+    }
+  } catch(err){
+    hideLoadingOverlay();
+    logError('generatePDFStatementForCustomer', err);
+    showError('c_msg', 'Failed to generate PDF statement');
+  }
+}
+
+// One sheet each for the customer, their bills, payments and credit notes, and a summary
+function exportCustomerProfile(customerId){
+  openExportDialog({
+    title: 'Export customer profile',
+    entities: ['customers', 'bills', 'payments', 'creditNotes'],
+    filename: exportFilename(`customer_profile_${customerId}`),
+    filters: { customerId },
+    msgId: 'c_msg',
+    load: async () => {
+      const [customerRes, billsRes, paymentsRes, creditNotesRes] = await Promise.all([
+        fetchJson(`${API_CUSTOMERS}/${customerId}`, {headers:authHeader()}),
+        fetchJson(listUrl(API_BILLS, { customerId }), {headers:authHeader()}),
+        fetchJson(listUrl(API_PAYMENTS, { customerId }), {headers:authHeader()}),
+        fetchJson(listUrl(API_CREDIT_NOTES, { customerId }), {headers:authHeader()})
+      ]);
+      if(handleApiError(customerRes, 'c_msg', 'Failed to load customer data')) return null;
+
+      const customer = customerRes.data;
+      const ofCustomer = (res, collection) => (res.ok ? toPagedResult(res.data, {}, collection).items : [])
+        .filter(r => r.isActive !== false && String(r.customerId) === String(customerId));
+      const bills = ofCustomer(billsRes, 'bills');
+      const payments = ofCustomer(paymentsRes, 'payments');
+      const creditNotes = ofCustomer(creditNotesRes, 'creditNotes');
+      const totals = summarizeReceivables(bills, payments, creditNotes);
+      const moneyColumn = (key, label) => ({ key, label, type: 'money' });
+      // Outstanding is the ledger closing balance: cleared payments, credit notes and any opening balance
+      const summary = {
+        key: 'summary',
+        name: 'Summary',
+        columns: [moneyColumn('totalBilled', 'Total Billed'), moneyColumn('totalCredited', 'Total Credited'), moneyColumn('totalPaid', 'Total Paid'), moneyColumn('outstanding', 'Outstanding')],
+        rows: [[totals.billed, totals.credited, roundMoney(payments.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0)), buildCustomerLedger(customer, bills, payments, creditNotes).closingBalance]],
+        totals: null
+      };
+      return {
+        records: { customers: [customer], bills, payments, creditNotes },
+        context: { customerMap: customerNameMap([customer]), billMap: billMap(bills) },
+        extraSheets: [summary]
+      };
+    }
+  });
+}
+
+// Bulk Operations Functions
+// Select All works on the current page; selections on other pages are kept
+function setCustomersOnPageSelected(selected){
+  customerPage.forEach(c => {
+    if(selected) selectedCustomerIds.add(Number(c.id));
+    else selectedCustomerIds.delete(Number(c.id));
+  });
+  document.querySelectorAll('.customer-checkbox').forEach(cb => cb.checked = selected);
+  const selectAll = document.getElementById('selectAllCustomers');
+  if(selectAll) selectAll.checked = selected;
+  updateBulkDeleteButton();
+}
+
+function toggleSelectAllCustomers(checkbox){
+  setCustomersOnPageSelected(checkbox.checked);
+}
+
+function selectAllCustomers(){
+  setCustomersOnPageSelected(true);
+}
+
+// Clears the selection on every page, not just this one
+function deselectAllCustomers(){
+  selectedCustomerIds.clear();
+  setCustomersOnPageSelected(false);
+}
+
+function updateBulkDeleteButton(){
+  const count = selectedCustomerIds.size;
+  const btn = document.getElementById('btnBulkDeleteCustomers');
+  if(btn){
+    if(count > 0){
+      btn.style.display = 'inline-block';
+      btn.innerText = `Delete Selected (${count})`;
+    } else {
+      btn.style.display = 'none';
+    }
+  }
+}
+
+async function bulkDeleteCustomers(){
+  const permission = checkPermission('delete', 'customers');
+  if(!permission.allowed){
+    showError('c_msg', permission.message);
+    return;
+  }
+  
+  if(selectedCustomerIds.size === 0){
+    showError('c_msg', 'Please select at least one customer to delete');
+    return;
+  }
+  
+  const selectedIds = Array.from(selectedCustomerIds);
+  const count = selectedIds.length;
+  
+  if(!confirm(`Are you sure you want to delete ${count} customer(s)? This action cannot be undone.`)){
+    return;
+  }
+  
+  showLoading('c_msg', `Deleting ${count} customer(s)...`);
+  showLoadingOverlay();
+  
+  try{
+    const deletePromises = selectedIds.map(id => 
+      fetchJson(`${API_CUSTOMERS}/${id}`, {method:'DELETE', headers:authHeader()})
+    );
+    
+    const results = await Promise.all(deletePromises);
+    hideLoadingOverlay();
+    
+    const failed = results.filter(r => !r.ok && r.status !== 404 && r.status !== 405);
+    if(failed.length > 0){
+      showError('c_msg', `Failed to delete ${failed.length} customer(s). Please try again.`);
+    } else {
+      showSuccess('c_msg', `Successfully deleted ${count} customer(s)!`);
+      selectedCustomerIds.clear();
+      loadCustomersTab(customerQuery.page, customerQuery.search, true);
+    }
+  } catch(err){
+    hideLoadingOverlay();
+    logError('bulkDeleteCustomers', err);
+    showError('c_msg', 'An error occurred during bulk delete');
+  }
+}
+
+// ----- Customers Tab -----
+// The list is paged, sorted and searched by the API; customerPage holds the rows on screen
+let customerQuery = createListQuery({ sort: '-createdAt' });
+let customerPage = [];
+// Bulk selection is kept by id so it survives paging and virtual re-rendering
+const selectedCustomerIds = new Set();
+
+function applyCustomerDateFilter(){
+  customerQuery.from = document.getElementById('customerFromDate').value || '';
+  customerQuery.to = document.getElementById('customerToDate').value || '';
+  loadCustomersTab(1, document.getElementById('searchCustomers')?.value || '');
+}
+
+function clearCustomerDateFilter(){
+  document.getElementById('customerFromDate').value = '';
+  document.getElementById('customerToDate').value = '';
+  customerQuery.from = '';
+  customerQuery.to = '';
+  loadCustomersTab(1, document.getElementById('searchCustomers')?.value || '');
+}
+
+let customersDataLoaded = false;
+
+function customerRowHtml(c, canEdit, canDelete){
+  return `<tr data-customer-id="${escapeHtml(c.id)}">
+    ${canEdit || canDelete ? `<td><input type="checkbox" class="customer-checkbox" value="${escapeHtml(c.id)}" ${selectedCustomerIds.has(Number(c.id)) ? 'checked' : ''}></td>` : ''}
+    <td>${escapeHtml(c.id)}</td>
+    <td><a href="javascript:void(0)" class="customer-link" data-id="${escapeHtml(c.id)}" data-name="${escapeHtml(c.name)}" style="color:#667eea;text-decoration:none;font-weight:500;cursor:pointer;">${escapeHtml(c.name)}</a></td>
+    <td>${escapeHtml(c.phone)}</td>
+    <td>${escapeHtml(c.email || 'N/A')}</td>
+    <td>${escapeHtml(c.address)}</td>
+    <td>${escapeHtml((c.city || '') + (c.city && c.state ? ', ' : '') + (c.state || '')) || 'N/A'}</td>
+    <td title="${c.createdAt ? formatDate(c.createdAt) : 'N/A'}">${c.createdAt ? formatDateOnly(c.createdAt) : 'N/A'}<br><small style="color:#7f8c8d;">${c.createdAt ? formatRelativeTime(c.createdAt) : ''}</small></td>
+    <td style="display:flex;gap:5px;">
+      <button class="btn-view-profile" data-id="${escapeHtml(c.id)}" data-name="${escapeHtml(c.name)}" style="padding:4px 8px;background:#9b59b6;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">View</button>
+      ${canEdit ? `<button class="btn-edit" data-id="${escapeHtml(c.id)}" data-name="${escapeHtml(c.name)}" data-phone="${escapeHtml(c.phone)}" data-email="${escapeHtml(c.email || '')}" data-address="${escapeHtml(c.address)}" data-city="${escapeHtml(c.city || '')}" data-state="${escapeHtml(c.state || '')}" data-pincode="${escapeHtml(c.pincode || '')}" data-gst="${escapeHtml(c.gstNumber || '')}" data-opening="${escapeHtml(c.openingBalance || '')}" data-opening-date="${escapeHtml(c.openingBalanceDate || '')}" data-terms="${escapeHtml(c.paymentTerms || '')}" data-terms-days="${escapeHtml(c.paymentTermsDays || '')}" style="padding:4px 8px;background:#3498db;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">Edit</button>` : ''}
+      ${canDelete ? `<button class="btn-delete" data-id="${escapeHtml(c.id)}" data-name="${escapeHtml(c.name)}" style="padding:4px 8px;background:#e74c3c;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">Delete</button>` : ''}
+    </td>
+  </tr>`;
+}
+
+function customerHeaderHtml(canEdit, canDelete){
+  return `<tr>${canEdit || canDelete ? '<th style="width:40px;"><input type="checkbox" id="selectAllCustomers"></th>' : ''}${sortableHeader('Id', 'id', customerQuery)}${sortableHeader('Name', 'name', customerQuery)}${sortableHeader('Phone', 'phone', customerQuery)}${sortableHeader('Email', 'email', customerQuery)}${sortableHeader('Address', 'address', customerQuery)}${sortableHeader('City/State', 'city', customerQuery)}${sortableHeader('Created Date', 'createdAt', customerQuery)}<th>Actions</th></tr>`;
+}
+
+// Form, toolbar and an empty table; the rows come from renderCustomerList()
+function renderCustomersShell(tabContent){
+  const canEdit = userCan('edit', 'customers');
+  const canDelete = userCan('delete', 'customers');
+
+  tabContent.innerHTML=`<h2>Add Customer</h2>
+    <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+      <input id="c_name" placeholder="Name *" style="flex:1;min-width:200px;padding:6px;" required>
+      <input id="c_phone" placeholder="Phone *" style="flex:1;min-width:200px;padding:6px;" required>
+      <input id="c_email" placeholder="Email" type="email" style="flex:1;min-width:200px;padding:6px;">
+    </div>
+    <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+      <input id="c_address" placeholder="Address *" style="flex:2;min-width:200px;padding:6px;" required>
+      <input id="c_city" placeholder="City" style="flex:1;min-width:150px;padding:6px;">
+      <input id="c_state" placeholder="State" style="flex:1;min-width:150px;padding:6px;">
+    </div>
+    <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+      <input id="c_pincode" placeholder="Pincode" style="flex:1;min-width:150px;padding:6px;">
+      <input id="c_gstNumber" placeholder="GST Number" style="flex:1;min-width:200px;padding:6px;">
+      <input id="c_openingBalance" type="number" step="0.01" placeholder="Opening Balance (₹)" title="Amount the customer owed before their first bill; negative for an advance" style="flex:1;min-width:150px;padding:6px;">
+      <input id="c_openingBalanceDate" type="date" title="Opening balance as of" style="flex:0 0 auto;padding:6px;">
+      ${paymentTermsInputsHtml()}
+      <button id="btnAddCustomer" style="flex:0 0 auto;padding:6px 20px;">Add</button>
+    </div>
+    <div id="c_msg" class="error" style="margin-bottom:10px;"></div>
+    <h3>All Customers</h3>
+    <div style="margin-bottom:10px;">
+      <input type="text" id="searchCustomers" placeholder="Search by name, phone, address, or ID..." style="width:100%;padding:8px;border:1px solid #ddd;border-radius:4px;font-size:14px;" />
+    </div>
+    <div class="list-toolbar">
+      <div id="customerCount" style="color:#666;font-size:14px;">Loading customers...</div>
+      <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+        ${pageSizeSelect('customerPageSize', customerQuery)}
+        ${userCan('export', 'customers') ? `<button onclick="exportCustomersData()" style="padding:6px 12px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:0.9rem;">📥 Export</button>` : ''}
+        ${canEdit || canDelete ? `
+        <button onclick="selectAllCustomers()" style="padding:6px 12px;background:#ecf0f1;color:#34495e;border:none;border-radius:6px;cursor:pointer;font-size:0.9rem;">Select All</button>
+        <button onclick="deselectAllCustomers()" style="padding:6px 12px;background:#ecf0f1;color:#34495e;border:none;border-radius:6px;cursor:pointer;font-size:0.9rem;">Deselect All</button>
+        ${canDelete ? `<button onclick="bulkDeleteCustomers()" id="btnBulkDeleteCustomers" style="padding:6px 12px;background:#e74c3c;color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:0.9rem;display:none;">Delete Selected</button>` : ''}` : ''}
+      </div>
+    </div>
+    <div class="virtual-scroll" id="customerList">
+      <table id="tblCustomers">
+        <thead>${customerHeaderHtml(canEdit, canDelete)}</thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div id="custPagination" class="pagination"></div>`;
+
+  bindPageSizeSelect('customerPageSize', customerQuery, () => loadCustomersTab(1, customerQuery.search));
+
+  // Search runs on the server; only the list below the box is redrawn
+  const searchInput = document.getElementById('searchCustomers');
+  searchInput.value = customerQuery.search;
+  const debouncedSearch = debounce((term) => {
+    loadCustomersTab(1, term);
+  }, 300);
+  searchInput.addEventListener('input', (e) => debouncedSearch(e.target.value));
+
+  // Row handlers are delegated because virtual scrolling replaces the rows
+  const table = document.getElementById('tblCustomers');
+  table.addEventListener('click', (e) => {
+    const link = e.target.closest('.customer-link, .btn-view-profile');
+    if(link){
+      // Name and View both open the profile (#/customers/:id/profile)
+      navigate(entityPath('Customer', link.dataset.id));
+      return;
+    }
+    const editBtn = e.target.closest('.btn-edit');
+    if(editBtn && canEdit){
+      const d = editBtn.dataset;
+      editCustomer(d.id, d.name, d.phone, d.email || '', d.address, d.city || '', d.state || '', d.pincode || '', d.gst || '', d.opening || '', d.openingDate || '', d.terms || '', d.termsDays || '');
+      return;
+    }
+    const deleteBtn = e.target.closest('.btn-delete');
+    if(deleteBtn && canDelete){
+      if(confirm(`Are you sure you want to delete customer "${deleteBtn.dataset.name}"?`)){
+        deleteCustomer(deleteBtn.dataset.id);
+      }
+    }
+  });
+  table.addEventListener('change', (e) => {
+    if(e.target.id === 'selectAllCustomers'){
+      toggleSelectAllCustomers(e.target);
+    } else if(e.target.classList.contains('customer-checkbox')){
+      const id = parseInt(e.target.value);
+      if(e.target.checked) selectedCustomerIds.add(id);
+      else selectedCustomerIds.delete(id);
+      updateBulkDeleteButton();
+    }
+  });
+
+  applyPermission(document.getElementById('btnAddCustomer'), 'create', 'customers');
+  document.getElementById('btnAddCustomer').addEventListener('click',async()=>{
+    clearMessage('c_msg');
+    const name=document.getElementById('c_name').value.trim();
+    const phone=document.getElementById('c_phone').value.trim();
+    const email=document.getElementById('c_email').value.trim();
+    const address=document.getElementById('c_address').value.trim();
+    const city=document.getElementById('c_city').value.trim();
+    const state=document.getElementById('c_state').value.trim();
+    const pincode=document.getElementById('c_pincode').value.trim();
+    const gstNumber=document.getElementById('c_gstNumber').value.trim();
+    const openingBalance=document.getElementById('c_openingBalance').value.trim();
+    const openingBalanceDate=document.getElementById('c_openingBalanceDate').value;
+    const paymentTerms=document.getElementById('c_paymentTerms').value;
+    const paymentTermsDays=document.getElementById('c_paymentTermsDays').value.trim();
+    
+    // Check if in edit mode
+    if(editingCustomerId){
+      const validation = validateCustomerForm({name, phone, address, gstNumber, openingBalance, paymentTerms, paymentTermsDays});
+      if(!validation.valid){
+        showError('c_msg', validation.errors.map(e => e.message).join(', '));
+        return;
+      }
+      await updateCustomer(editingCustomerId, name, phone, email, address, city, state, pincode, gstNumber, openingBalance, openingBalanceDate, paymentTerms, paymentTermsDays);
+      return;
+    }
+    
+    // Add new customer
+    const validation = validateCustomerForm({name, phone, address, gstNumber, openingBalance, paymentTerms, paymentTermsDays});
+    if(!validation.valid){
+      const errorMsg = validation.errors.map(e => e.message).join(', ');
+      showError('c_msg', errorMsg);
+      return;
+    }
+    
+    const payload={
+      name,
+      phone,
+      email: email || null,
+      address,
+      city: city || null,
+      state: state || null,
+      pincode: pincode || null,
+      gstNumber: gstNumber || null,
+      ...openingBalancePayload(openingBalance, openingBalanceDate),
+      ...paymentTermsPayload(paymentTerms, paymentTermsDays)
+    };
+    setButtonLoading('btnAddCustomer', 'Adding...');
+    showLoading('c_msg', 'Adding customer...');
+    const r=await fetchJson(API_CUSTOMERS,{method:'POST',headers:authHeader(),body:JSON.stringify(payload)});
+    removeButtonLoading('btnAddCustomer');
+    if(handleApiError(r, 'c_msg', 'Failed to add customer')) return;
+      showSuccess('c_msg', r.queued ? r.apiResponse.message : 'Customer added successfully!');
+      document.getElementById('c_name').value = '';
+      document.getElementById('c_phone').value = '';
+      document.getElementById('c_email').value = '';
+      document.getElementById('c_address').value = '';
+      document.getElementById('c_city').value = '';
+      document.getElementById('c_state').value = '';
+      document.getElementById('c_pincode').value = '';
+      document.getElementById('c_gstNumber').value = '';
+      document.getElementById('c_openingBalance').value = '';
+      document.getElementById('c_openingBalanceDate').value = '';
+      resetPaymentTermsInputs();
+      customersDataLoaded = false;
+      loadCustomersTab(1, '', true);
+  });
+}
+
+// Fetches the current page of customerQuery and redraws the table, count and pager
+async function renderCustomerList(){
+  const res=await fetchJson(listUrl(API_CUSTOMERS, customerQuery),{headers:authHeader(), scope:'tab'});
+  if(res.aborted) return;
+  if(!res.ok){
+    logError('loadCustomersTab', res);
+    showError('c_msg', getErrorMessage(res, 'Failed to load customers'));
+    return;
+  }
+  const result = toPagedResult(res.data, customerQuery, 'customers');
+  customersDataLoaded = true;
+  customerQuery.page = result.page;
+  customerPage = result.items.filter(c => (c.isActive === undefined || c.isActive !== false) && (c.IsActive === undefined || c.IsActive !== false) && (c.is_active === undefined || c.is_active !== false));
+
+  const table = document.getElementById('tblCustomers');
+  if(!table) return;
+  const canEdit = userCan('edit', 'customers');
+  const canDelete = userCan('delete', 'customers');
+
+  table.querySelector('thead').innerHTML = customerHeaderHtml(canEdit, canDelete);
+  bindSortableHeaders(table, customerQuery, () => loadCustomersTab(1, customerQuery.search));
+  mountVirtualRows(table.querySelector('tbody'), customerPage, c => customerRowHtml(c, canEdit, canDelete), { colspan: canEdit || canDelete ? 9 : 8 });
+
+  document.getElementById('customerCount').innerText = listSummary(result, 'customers');
+  createPagination('custPagination', result.totalPages, result.page, (p) => loadCustomersTab(p, customerQuery.search));
+  updateBulkDeleteButton();
+  showCachedDataNotice('c_msg', res);
+}
+
+async function loadCustomersTab(page=1, searchTerm='', forceLoad=false){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  // If data not loaded and not forced, show button to load
+  if(!customersDataLoaded && !forceLoad){
+    const html = `
+      <div id="customers-content">
+        <h2>Add Customer</h2>
+        <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+          <input id="c_name" placeholder="Name *" style="flex:1;min-width:200px;padding:6px;" required>
+          <input id="c_phone" placeholder="Phone *" style="flex:1;min-width:200px;padding:6px;" required>
+          <input id="c_email" placeholder="Email" type="email" style="flex:1;min-width:200px;padding:6px;">
+        </div>
+        <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+          <input id="c_address" placeholder="Address *" style="flex:2;min-width:200px;padding:6px;" required>
+          <input id="c_city" placeholder="City" style="flex:1;min-width:150px;padding:6px;">
+          <input id="c_state" placeholder="State" style="flex:1;min-width:150px;padding:6px;">
+        </div>
+        <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+          <input id="c_pincode" placeholder="Pincode" style="flex:1;min-width:150px;padding:6px;">
+          <input id="c_gstNumber" placeholder="GST Number" style="flex:1;min-width:200px;padding:6px;">
+          <input id="c_openingBalance" type="number" step="0.01" placeholder="Opening Balance (₹)" title="Amount the customer owed before their first bill; negative for an advance" style="flex:1;min-width:150px;padding:6px;">
+          <input id="c_openingBalanceDate" type="date" title="Opening balance as of" style="flex:0 0 auto;padding:6px;">
+          ${paymentTermsInputsHtml()}
+          <button id="btnAddCustomer" style="flex:0 0 auto;padding:6px 20px;">Add</button>
+        </div>
+        <div id="c_msg" class="error" style="margin-bottom:10px;"></div>
+        <div style="text-align:center;padding:40px;background:var(--bg-secondary);border-radius:12px;border:2px dashed var(--border-color);">
+          <h3 style="color:var(--text-primary);margin-bottom:15px;">All Customers</h3>
+          <p style="color:var(--text-secondary);margin-bottom:20px;">Click the button below to load customer data</p>
+          <button onclick="loadCustomersTab(1, '', true)" style="padding:12px 30px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;font-size:1rem;box-shadow:0 4px 15px rgba(102,126,234,0.3);">📋 Load Customers</button>
+        </div>
+      </div>
+    `;
+    tabContent.innerHTML = html;
+    
+    // Setup add customer form
+    applyPermission(document.getElementById('btnAddCustomer'), 'create', 'customers');
+    document.getElementById('btnAddCustomer').addEventListener('click',async()=>{
+      clearMessage('c_msg');
+      const name=document.getElementById('c_name').value.trim();
+      const phone=document.getElementById('c_phone').value.trim();
+      const email=document.getElementById('c_email').value.trim();
+      const address=document.getElementById('c_address').value.trim();
+      const city=document.getElementById('c_city').value.trim();
+      const state=document.getElementById('c_state').value.trim();
+      const pincode=document.getElementById('c_pincode').value.trim();
+      const gstNumber=document.getElementById('c_gstNumber').value.trim();
+      const openingBalance=document.getElementById('c_openingBalance').value.trim();
+      const openingBalanceDate=document.getElementById('c_openingBalanceDate').value;
+      const paymentTerms=document.getElementById('c_paymentTerms').value;
+      const paymentTermsDays=document.getElementById('c_paymentTermsDays').value.trim();
+      
+      if(editingCustomerId){
+        const validation = validateCustomerForm({name, phone, address, gstNumber, openingBalance, paymentTerms, paymentTermsDays});
+        if(!validation.valid){
+          showError('c_msg', validation.errors.map(e => e.message).join(', '));
+          return;
+        }
+        await updateCustomer(editingCustomerId, name, phone, email, address, city, state, pincode, gstNumber, openingBalance, openingBalanceDate, paymentTerms, paymentTermsDays);
+        return;
+      }
+      
+      const validation = validateCustomerForm({name, phone, address, gstNumber, openingBalance, paymentTerms, paymentTermsDays});
+      if(!validation.valid){
+        const errorMsg = validation.errors.map(e => e.message).join(', ');
+        showError('c_msg', errorMsg);
+        return;
+      }
+      
+      const payload={name, phone, email: email || null, address, city: city || null, state: state || null, pincode: pincode || null, gstNumber: gstNumber || null, ...openingBalancePayload(openingBalance, openingBalanceDate), ...paymentTermsPayload(paymentTerms, paymentTermsDays)};
+      setButtonLoading('btnAddCustomer', 'Adding...');
+      showLoading('c_msg', 'Adding customer...');
+      const r=await fetchJson(API_CUSTOMERS,{method:'POST',headers:authHeader(),body:JSON.stringify(payload)});
+      removeButtonLoading('btnAddCustomer');
+      if(handleApiError(r, 'c_msg', 'Failed to add customer')) return;
+      showSuccess('c_msg', r.queued ? r.apiResponse.message : 'Customer added successfully!');
+      document.getElementById('c_name').value = '';
+      document.getElementById('c_phone').value = '';
+      document.getElementById('c_email').value = '';
+      document.getElementById('c_address').value = '';
+      document.getElementById('c_city').value = '';
+      document.getElementById('c_state').value = '';
+      document.getElementById('c_pincode').value = '';
+      document.getElementById('c_gstNumber').value = '';
+      document.getElementById('c_openingBalance').value = '';
+      document.getElementById('c_openingBalanceDate').value = '';
+      resetPaymentTermsInputs();
+      // Reload customers list after adding
+      customersDataLoaded = false;
+      loadCustomersTab(1, '', true);
+    });
+    return;
+  }
+  
+  customerQuery.page = page;
+  customerQuery.search = searchTerm;
+  if(!document.getElementById('customerList')) renderCustomersShell(tabContent);
+  const searchInput = document.getElementById('searchCustomers');
+  if(searchInput && searchInput.value !== searchTerm) searchInput.value = searchTerm;
+  await renderCustomerList();
+}
+
+// ----- Route -----
+export async function render(){
+  await loadCustomersTab(1, '', false);
+}
+
+// #/customers/:id/profile opens the profile; #/customers closes it
+export async function show([customerId]){
+  const openModal = document.getElementById('customerProfileModal');
+  if(openModal) openModal.remove();
+  if(customerId) await viewCustomerProfile(recordId(customerId));
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  closeCustomerProfile,
+  generateCustomerStatement,
+  generatePDFStatementForCustomer,
+  exportCustomerProfile,
+  exportCustomersData,
+  applyLedgerRange,
+  clearLedgerRange,
+  exportCustomerLedger,
+  applyCustomerCredit,
+  toggleCustomTermsDays,
+  toggleSelectAllCustomers,
+  selectAllCustomers,
+  deselectAllCustomers,
+  updateBulkDeleteButton,
+  bulkDeleteCustomers,
+  loadCustomersTab
+});
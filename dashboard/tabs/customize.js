@@ -0,0 +1,229 @@
+/**
+ * Dashboard Customization tab - widget layout (DASHBOARD_CUSTOMIZATION feature).
+ *
+ * Route: #/customize
+ */
+
+// ----- Step 7: Dashboard Customization Tab -----
+async function loadCustomizeTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  const html = `
+    <div id="customize-content">
+      <h2>⚙️ Dashboard Customization</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Customize your dashboard layout and widget visibility</p>
+      
+      <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;margin-bottom:20px;border:2px solid var(--border-color);">
+        <h3 style="margin-top:0;color:var(--text-primary);">Layout Settings</h3>
+        <div style="margin-bottom:15px;">
+          <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Layout Style</label>
+          <select id="layoutStyle" style="width:100%;max-width:300px;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+            <option value="Grid">Grid Layout</option>
+            <option value="List">List Layout</option>
+          </select>
+        </div>
+        <button onclick="saveDashboardLayout()" style="padding:10px 20px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;margin-right:10px;">💾 Save Layout</button>
+        <button onclick="resetDashboardLayout()" style="padding:10px 20px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;font-weight:500;">🔄 Reset to Default</button>
+      </div>
+      
+      <div>
+        <h3 style="color:var(--text-primary);margin-bottom:15px;">Widgets</h3>
+        <p style="color:var(--text-secondary);margin-bottom:15px;">Drag to reorder, toggle to show/hide</p>
+        <div id="widgetList" class="widget-list">
+          <p style="color:var(--text-secondary);text-align:center;padding:20px;">Loading widgets...</p>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  tabContent.innerHTML = html;
+  loadDashboardLayout();
+}
+
+async function loadDashboardLayout(){
+  const widgetList = document.getElementById('widgetList');
+  if(!widgetList) return;
+  
+  try{
+    console.log('Loading dashboard layout from:', `${API_BASE}/DashboardCustomization/layout`);
+    const r = await fetchJson(`${API_BASE}/DashboardCustomization/layout`, {
+      headers: authHeader()
+    });
+    
+    console.log('Dashboard layout response:', r);
+    
+    const widgets = [
+      {id: 'financialOverview', name: 'Financial Overview', visible: true, order: 1},
+      {id: 'billsByStatus', name: 'Bills by Status', visible: true, order: 2},
+      {id: 'paymentTrends', name: 'Payment Trends', visible: true, order: 3},
+      {id: 'paymentModes', name: 'Payment Methods', visible: true, order: 4},
+      {id: 'revenueGrowth', name: 'Revenue Growth', visible: true, order: 5},
+      {id: 'customerGrowth', name: 'Customer Growth', visible: true, order: 6},
+      {id: 'topCustomers', name: 'Top Customers', visible: true, order: 7},
+      {id: 'billPayment', name: 'Bill vs Payment', visible: true, order: 8}
+    ];
+    
+    if(r.status === 404){
+      // Continue with default widgets
+    } else if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const layout = r.apiResponse.body || r.data;
+      if(layout && layout.widgets){
+        layout.widgets.forEach(lw => {
+          const widget = widgets.find(w => w.id === lw.widgetId);
+          if(widget){
+            widget.visible = lw.visible !== false;
+            widget.order = lw.order || widget.order;
+          }
+        });
+      }
+    }
+    
+    widgets.sort((a, b) => a.order - b.order);
+    
+    widgetList.innerHTML = widgets.map(widget => `
+      <div class="widget-item" data-widget-id="${widget.id}" draggable="true">
+        <div style="display:flex;align-items:center;gap:10px;">
+          <span style="cursor:move;font-size:1.2rem;">☰</span>
+          <span style="color:var(--text-primary);">${escapeHtml(widget.name)}</span>
+        </div>
+        <div class="widget-toggle">
+          <label style="display:flex;align-items:center;gap:8px;cursor:pointer;">
+            <input type="checkbox" ${widget.visible ? 'checked' : ''} onchange="toggleWidgetVisibility('${widget.id}', this.checked)" style="width:18px;height:18px;">
+            <span style="color:var(--text-secondary);font-size:0.9rem;">Visible</span>
+          </label>
+        </div>
+      </div>
+    `).join('');
+    
+    // Setup drag and drop
+    setupWidgetDragAndDrop();
+  } catch(err){
+    logError('loadDashboardLayout', err);
+    // Show default widgets even if API fails
+    const widgetList = document.getElementById('widgetList');
+    if(widgetList){
+      widgetList.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_BASE}/DashboardCustomization/layout</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;margin-top:10px;">Check Swagger: <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+    }
+  }
+}
+
+function setupWidgetDragAndDrop(){
+  const widgetItems = document.querySelectorAll('.widget-item');
+  let draggedElement = null;
+  
+  widgetItems.forEach(item => {
+    item.addEventListener('dragstart', (e) => {
+      draggedElement = item;
+      item.classList.add('dragging');
+    });
+    
+    item.addEventListener('dragend', () => {
+      item.classList.remove('dragging');
+      draggedElement = null;
+    });
+    
+    item.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      if(draggedElement && draggedElement !== item){
+        const allItems = Array.from(document.querySelectorAll('.widget-item'));
+        const draggedIndex = allItems.indexOf(draggedElement);
+        const targetIndex = allItems.indexOf(item);
+        
+        if(draggedIndex < targetIndex){
+          item.parentNode.insertBefore(draggedElement, item.nextSibling);
+        } else {
+          item.parentNode.insertBefore(draggedElement, item);
+        }
+      }
+    });
+  });
+}
+
+async function toggleWidgetVisibility(widgetId, visible){
+  try{
+    const r = await fetchJson(`${API_BASE}/DashboardCustomization/layout/widget/${widgetId}`, {
+      method: 'PUT',
+      headers: authHeader(),
+      body: JSON.stringify({visible})
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      showSuccess('customize_msg', 'Widget visibility updated');
+    }
+  } catch(err){
+    logError('toggleWidgetVisibility', err);
+  }
+}
+
+async function saveDashboardLayout(){
+  const layoutStyle = document.getElementById('layoutStyle')?.value;
+  const widgetItems = document.querySelectorAll('.widget-item');
+  
+  const widgets = Array.from(widgetItems).map((item, index) => ({
+    widgetId: item.dataset.widgetId,
+    visible: item.querySelector('input[type="checkbox"]')?.checked !== false,
+    order: index + 1
+  }));
+  
+  try{
+    const payload = {
+      layoutStyle: layoutStyle || 'Grid',
+      widgets
+    };
+    
+    const r = await fetchJson(`${API_BASE}/DashboardCustomization/layout`, {
+      method: 'PUT',
+      headers: authHeader(),
+      body: JSON.stringify(payload)
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      showSuccess('customize_msg', 'Dashboard layout saved successfully!');
+    } else {
+      handleApiError(r, 'customize_msg', 'Failed to save layout');
+    }
+  } catch(err){
+    logError('saveDashboardLayout', err);
+    showError('customize_msg', 'Failed to save layout: ' + err.message);
+  }
+}
+
+async function resetDashboardLayout(){
+  if(!confirm('Are you sure you want to reset to default layout?')) return;
+  
+  try{
+    const r = await fetchJson(`${API_BASE}/DashboardCustomization/layout/reset`, {
+      method: 'POST',
+      headers: authHeader()
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      showSuccess('customize_msg', 'Layout reset to default');
+      loadDashboardLayout();
+    } else {
+      handleApiError(r, 'customize_msg', 'Failed to reset layout');
+    }
+  } catch(err){
+    logError('resetDashboardLayout', err);
+    showError('customize_msg', 'Failed to reset layout: ' + err.message);
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadCustomizeTab();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  toggleWidgetVisibility,
+  saveDashboardLayout,
+  resetDashboardLayout
+});
@@ -0,0 +1,1041 @@
+/**
+ * Dashboard overview - summary cards, charts and the date range filter.
+ *
+ * Loaded up front by main.js because the overview sits above every tab;
+ * the #/dashboard route just re-renders it.
+ *
+ * Route: #/dashboard
+ */
+
+import { API_BILLS, API_PAYMENTS, API_CREDIT_NOTES, API_DASHBOARD_BASIC, API_DASHBOARD_ANALYTICS } from '../api.js';
+import { navigate } from '../router.js';
+
+// Configure Chart.js for dark mode
+function configureChartsForDarkMode() {
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  const textColor = isDark ? '#ffd700' : '#7f8c8d';
+  const gridColor = isDark ? 'rgba(255, 215, 0, 0.1)' : 'rgba(0,0,0,0.05)';
+  
+  // Update all existing charts
+  const charts = [chartBar, chartLine, chartPaymentTrends, chartPaymentModes, chartRevenueGrowth, chartCustomerGrowth, chartTopCustomers, chartBillPayment, chartAgeing];
+  charts.forEach(chart => {
+    if(chart && chart.options) {
+      if(chart.options.scales) {
+        Object.keys(chart.options.scales).forEach(scaleKey => {
+          const scale = chart.options.scales[scaleKey];
+          if(scale.ticks) {
+            scale.ticks.color = textColor;
+          }
+          if(scale.grid) {
+            scale.grid.color = gridColor;
+          }
+        });
+      }
+      if(chart.options.plugins && chart.options.plugins.legend) {
+        if(chart.options.plugins.legend.labels) {
+          chart.options.plugins.legend.labels.color = textColor;
+        }
+      }
+      chart.update();
+    }
+  });
+}
+
+// Watch for dark mode changes
+const observer = new MutationObserver(() => {
+  configureChartsForDarkMode();
+});
+observer.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+
+// ----- Charts -----
+let chartBar=null;
+let chartLine=null;
+let chartPaymentTrends=null;
+let chartPaymentModes=null;
+let chartRevenueGrowth=null;
+let chartCustomerGrowth=null;
+let chartTopCustomers=null;
+let chartBillPayment=null;
+let chartAgeing=null;
+
+// Dashboard Date Range Filter
+let dashboardDateRange = { from: null, to: null };
+let allDashboardData = { customers: [], bills: [], payments: [], creditNotes: [] };
+
+function applyDashboardDateRange(){
+  const fromDate = document.getElementById('dashboardFromDate').value;
+  const toDate = document.getElementById('dashboardToDate').value;
+  dashboardDateRange = { from: fromDate || null, to: toDate || null };
+  
+  const infoEl = document.getElementById('dashboardDateRangeInfo');
+  if(infoEl){
+    if(fromDate && toDate){
+      infoEl.innerHTML = `📊 Showing data from <strong>${formatDateOnly(fromDate)}</strong> to <strong>${formatDateOnly(toDate)}</strong>`;
+    } else if(fromDate){
+      infoEl.innerHTML = `📊 Showing data from <strong>${formatDateOnly(fromDate)}</strong> onwards`;
+    } else if(toDate){
+      infoEl.innerHTML = `📊 Showing data up to <strong>${formatDateOnly(toDate)}</strong>`;
+    } else {
+      infoEl.innerHTML = '📊 Showing all data';
+    }
+  }
+  
+  updateDashboardCharts();
+}
+
+function clearDashboardDateRange(){
+  document.getElementById('dashboardFromDate').value = '';
+  document.getElementById('dashboardToDate').value = '';
+  dashboardDateRange = { from: null, to: null };
+  const infoEl = document.getElementById('dashboardDateRangeInfo');
+  if(infoEl) infoEl.innerHTML = '📊 Showing all data';
+  updateDashboardCharts();
+}
+
+function setQuickDateRange(range){
+  const today = new Date();
+  let fromDate, toDate;
+  
+  switch(range){
+    case 'today':
+      fromDate = new Date(today);
+      toDate = new Date(today);
+      break;
+    case 'week':
+      fromDate = new Date(today);
+      fromDate.setDate(today.getDate() - 7);
+      toDate = new Date(today);
+      break;
+    case 'month':
+      fromDate = new Date(today);
+      fromDate.setDate(today.getDate() - 30);
+      toDate = new Date(today);
+      break;
+    default:
+      return;
+  }
+  
+  document.getElementById('dashboardFromDate').value = fromDate.toISOString().split('T')[0];
+  document.getElementById('dashboardToDate').value = toDate.toISOString().split('T')[0];
+  applyDashboardDateRange();
+}
+
+function filterDataByDateRange(data, dateField){
+  if(!dashboardDateRange.from && !dashboardDateRange.to) return data;
+  
+  return data.filter(item => {
+    const date = item[dateField];
+    if(!date) return false;
+    const itemDate = new Date(date);
+    
+    if(dashboardDateRange.from){
+      const fromDate = new Date(dashboardDateRange.from);
+      fromDate.setHours(0,0,0,0);
+      if(itemDate < fromDate) return false;
+    }
+    
+    if(dashboardDateRange.to){
+      const toDate = new Date(dashboardDateRange.to);
+      toDate.setHours(23,59,59,999);
+      if(itemDate > toDate) return false;
+    }
+    
+    return true;
+  });
+}
+
+function updateDashboardCharts(){
+  // Filter data based on date range
+  const filteredBills = filterDataByDateRange(allDashboardData.bills, 'billDate || createdAt');
+  const filteredPayments = filterDataByDateRange(allDashboardData.payments, 'paymentDate || createdAt');
+  
+  // Credit notes follow their bill into the date range
+  const filteredBillIds = new Set(filteredBills.map(b => String(b.id)));
+  const filteredCreditNotes = allDashboardData.creditNotes.filter(n => filteredBillIds.has(String(n.billId)));
+  
+  // Recalculate totals: billed net of credit notes and cancelled bills, cleared payments net of refunds
+  const totals = summarizeReceivables(filteredBills, filteredPayments, filteredCreditNotes);
+  const totalBillAmount = totals.billed - totals.credited;
+  const totalPaymentAmount = totals.paid - totals.refunded;
+  const pendingAmount = totals.outstanding;
+  
+  // Update financial cards
+  const outstandingAmountEl = document.getElementById('outstandingAmount');
+  const paymentProgressEl = document.getElementById('paymentProgress');
+  const progressBarEl = document.getElementById('progressBar');
+  
+  if(outstandingAmountEl){
+    outstandingAmountEl.innerText = '₹' + pendingAmount.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+  }
+  
+  // Calculate payment progress: (Total Paid / Total Billed) * 100, capped at 100%
+  const paymentProgressPercent = totalBillAmount > 0 ? Math.min(100, Math.round((totalPaymentAmount / totalBillAmount) * 100)) : 0;
+  if(paymentProgressEl) paymentProgressEl.innerText = paymentProgressPercent + '%';
+  if(progressBarEl) progressBarEl.style.width = paymentProgressPercent + '%';
+  
+  // Show financial cards
+  const financialCardsEl = document.getElementById('financialCards');
+  if(financialCardsEl) financialCardsEl.style.display = 'grid';
+  
+  // Update Financial Overview Chart
+  if(chartBar){
+    chartBar.data.datasets[0].data = [
+      totalBillAmount.toFixed(2),
+      totalPaymentAmount.toFixed(2),
+      pendingAmount.toFixed(2)
+    ];
+    chartBar.update();
+  }
+  
+  // Update Bills by Status Chart - status follows payments and due dates, not the stored value
+  const billsByStatus = {};
+  applyDerivedBillStatus(filteredBills, allDashboardData.payments, undefined, allDashboardData.creditNotes).forEach(b => {
+    const status = b.status || 'pending';
+    billsByStatus[status] = (billsByStatus[status] || 0) + 1;
+  });
+  
+  const statusLabels = Object.keys(billsByStatus);
+  const statusData = Object.values(billsByStatus);
+  const statusColors = ['#1abc9c', '#3498db', '#e67e22', '#9b59b6', '#f39c12', '#e74c3c'];
+  
+  if(chartLine){
+    chartLine.data.labels = statusLabels.length > 0 ? statusLabels : ['No Data'];
+    chartLine.data.datasets[0].data = statusData.length > 0 ? statusData : [1];
+    chartLine.data.datasets[0].backgroundColor = statusColors.slice(0, statusLabels.length || 1);
+    chartLine.update();
+  }
+  
+  // Update Payment Trends Chart
+  const paymentTrendsData = {};
+  filteredPayments.forEach(p => {
+    const date = p.paymentDate || p.createdAt;
+    if(!date) return;
+    const dateKey = new Date(date).toISOString().split('T')[0];
+    // The whole amount received, including any part kept as advance credit
+    paymentTrendsData[dateKey] = (paymentTrendsData[dateKey] || 0) + paymentLedgerAmount(p);
+  });
+  
+  const trendLabels = Object.keys(paymentTrendsData).sort().slice(-15);
+  const trendAmounts = trendLabels.map(d => paymentTrendsData[d]);
+  
+  if(chartPaymentTrends){
+    chartPaymentTrends.data.labels = trendLabels.map(d => formatDateOnly(d));
+    chartPaymentTrends.data.datasets[0].data = trendAmounts;
+    chartPaymentTrends.update();
+  }
+  
+  // Update Payment Methods Chart
+  const paymentModes = {};
+  filteredPayments.forEach(p => {
+    const mode = p.mode || 'Unknown';
+    paymentModes[mode] = (paymentModes[mode] || 0) + 1;
+  });
+  
+  if(chartPaymentModes){
+    chartPaymentModes.data.labels = Object.keys(paymentModes);
+    chartPaymentModes.data.datasets[0].data = Object.values(paymentModes);
+    chartPaymentModes.update();
+  }
+}
+
+// ----- Alerts -----
+// Overdue bills, bills falling due this week, cheques waiting to clear or bounced, and a high outstanding share
+function calculateAlerts(bills, payments, creditNotes = []){
+  const alertsCard = document.getElementById('alertsCard');
+  const alertsCountEl = document.getElementById('alertsCount');
+  const alertsTextEl = document.getElementById('alertsText');
+  
+  if(!alertsCard || !alertsCountEl || !alertsTextEl) return;
+  
+  const alerts = [];
+  const today = new Date().toISOString().slice(0, 10);
+  const billsWithStatus = applyDerivedBillStatus(bills, payments, today, creditNotes);
+  
+  // Past their due date with a balance left
+  const overdueBills = billsWithStatus.filter(b => b.status === 'Overdue');
+  if(overdueBills.length > 0){
+    alerts.push(`${overdueBills.length} overdue bill(s)`);
+  }
+  
+  // Not yet due, but due within the next 7 days
+  const weekAhead = calculateDueDate(today, 7);
+  const dueSoonBills = billsWithStatus.filter(b => (b.status === 'Unpaid' || b.status === 'Partial') && getBillDueDate(b) <= weekAhead);
+  if(dueSoonBills.length > 0){
+    alerts.push(`${dueSoonBills.length} bill(s) due within 7 days`);
+  }
+  
+  // Uncleared payments older than 7 days
+  const weekAgo = calculateDueDate(today, -7);
+  const pendingPayments = payments.filter(p => {
+    if(isClearedPayment(p) || isReturnedCheque(p)) return false;
+    const paymentDay = ledgerDay(p.paymentDate || p.createdAt);
+    return paymentDay && paymentDay < weekAgo;
+  });
+  if(pendingPayments.length > 0){
+    alerts.push(`${pendingPayments.length} pending payment(s)`);
+  }
+  
+  // Bounced cheques not yet re-presented or cancelled
+  const bouncedCheques = payments.filter(p => getChequeStatus(p) === 'Bounced');
+  if(bouncedCheques.length > 0){
+    alerts.push(`${bouncedCheques.length} bounced cheque(s)`);
+  }
+  
+  // More than half of everything billed (after credit notes) is still unpaid
+  const allocations = getBillAllocations(payments);
+  const credits = getBillCredits(creditNotes);
+  let totalBillAmount = 0;
+  let unpaidAmount = 0;
+  bills.filter(b => !isCancelledBill(b)).forEach(b => {
+    const amount = (parseFloat(b.billAmount) || 0) - (credits[b.id] || 0);
+    totalBillAmount += amount;
+    unpaidAmount += Math.max(0, amount - (allocations[b.id] || 0));
+  });
+  if(totalBillAmount > 0 && unpaidAmount > totalBillAmount * 0.5){
+    alerts.push('High outstanding balance');
+  }
+  
+  if(alerts.length > 0){
+    alertsCard.style.display = 'block';
+    alertsCountEl.innerText = alerts.length;
+    alertsTextEl.innerText = alerts.join(', ');
+    alertsCard.style.borderTopColor = '#e74c3c';
+  } else {
+    alertsCard.style.display = 'none';
+  }
+}
+
+export async function loadDashboard(){
+  try{
+    // Show loading on cards
+    const custCountEl = document.getElementById("custCount");
+    const billCountEl = document.getElementById("billCount");
+    const payCountEl = document.getElementById("payCount");
+    if(custCountEl) custCountEl.innerHTML = '<span class="loading-spinner"></span>';
+    if(billCountEl) billCountEl.innerHTML = '<span class="loading-spinner"></span>';
+    if(payCountEl) payCountEl.innerHTML = '<span class="loading-spinner"></span>';
+    
+    // STEP 1: Load Basic Dashboard (Always Available)
+    let basicRes;
+    try {
+      basicRes = await fetchJson(API_DASHBOARD_BASIC, {headers: authHeader()});
+    } catch(err) {
+      // Check if it's a CORS error
+      if(err.message && (err.message.includes('CORS') || err.message.includes('Failed to fetch'))){
+        // Show user-friendly error message
+        const errorMsg = document.getElementById('dashboardErrorMsg') || (() => {
+          const msgEl = document.createElement('div');
+          msgEl.id = 'dashboardErrorMsg';
+          msgEl.style.cssText = 'background:#fff3cd;border:2px solid #ffc107;padding:15px;border-radius:8px;margin:20px;color:#856404;';
+          msgEl.innerHTML = '<strong>⚠️ CORS Error:</strong> Cannot access dashboard API. Please check backend CORS configuration to allow requests from your domain.';
+          const dashboardContent = document.getElementById('dashboard-content');
+          if(dashboardContent) dashboardContent.insertBefore(msgEl, dashboardContent.firstChild);
+          return msgEl;
+        })();
+        basicRes = { ok: false, status: 0, data: null, apiResponse: { status: false, message: 'CORS error - cannot access API' } };
+      } else {
+        logError('API_DASHBOARD_BASIC', err);
+        basicRes = { ok: false, status: 500, data: null, apiResponse: { status: false, message: 'Failed to fetch dashboard' } };
+      }
+    }
+    
+    // Display Business Information (from Basic Dashboard or localStorage)
+    const businessInfoSection = document.getElementById('businessInfoSection');
+    const businessInfoEl = document.getElementById('businessInformation');
+    
+    // Check multiple possible response structures
+    let dashboardBasicData = null;
+    if(basicRes.ok && basicRes.data){
+      dashboardBasicData = basicRes.data;
+      // Check if data is nested in 'body' or directly in 'data'
+      if(basicRes.data.body){
+        dashboardBasicData = basicRes.data.body;
+      }
+    }
+    
+    if(dashboardBasicData && dashboardBasicData.businessInformation){
+      const businessInfo = dashboardBasicData.businessInformation;
+      if(businessInfoEl) businessInfoEl.textContent = businessInfo;
+      if(businessInfoSection && businessInfo) businessInfoSection.style.display = 'block';
+    } else {
+      // Fallback: Get from localStorage (stored during login)
+      const businessInfo = getBusinessInformation();
+      if(businessInfoEl) businessInfoEl.textContent = businessInfo || 'Welcome to our business management system. Manage your customers, bills, and payments efficiently.';
+      if(businessInfoSection) businessInfoSection.style.display = 'block';
+    }
+    
+    // STEP 2: Load Analytics Dashboard (Only if DASHBOARD_ANALYTICS feature is available)
+    const hasAnalytics = hasFeature('DASHBOARD_ANALYTICS');
+    const chartsSection = document.getElementById('dashboard-charts');
+    const upgradeMessage = document.getElementById('analyticsUpgradeMessage');
+    
+    let dashboardData = {};
+    let overview = {};
+    let revenueByMonth = [];
+    let topCustomers = [];
+    let paymentModeSummary = [];
+    let billStatusSummary = [];
+    
+    // Try to extract overview from basic dashboard response first
+    if(dashboardBasicData && dashboardBasicData.overview){
+      overview = dashboardBasicData.overview;
+    }
+    
+    if(hasAnalytics){
+      // User has analytics feature - load analytics dashboard
+      if(upgradeMessage) upgradeMessage.style.display = 'none';
+      if(chartsSection) chartsSection.style.display = 'block';
+      
+      let analyticsRes;
+      try {
+        analyticsRes = await fetchJson(API_DASHBOARD_ANALYTICS, {headers: authHeader()});
+      } catch(err) {
+        // Check if it's a CORS error
+        if(err.message && err.message.includes('CORS') || err.message && err.message.includes('Failed to fetch')){
+          analyticsRes = { ok: false, status: 0, data: null, apiResponse: { status: false, message: 'CORS or network error - analytics endpoint not accessible' } };
+        } else {
+          logError('API_DASHBOARD_ANALYTICS', err);
+          analyticsRes = { ok: false, status: 500, data: null, apiResponse: { status: false, message: 'Failed to fetch analytics' } };
+        }
+      }
+      
+      if(analyticsRes.ok && analyticsRes.data){
+        // Check if data is nested in 'body'
+        let analyticsData = analyticsRes.data;
+        if(analyticsRes.data.body){
+          analyticsData = analyticsRes.data.body;
+        }
+        
+        dashboardData = analyticsData;
+        overview = analyticsData.overview || overview || {};
+        revenueByMonth = analyticsData.revenueByMonth || [];
+        topCustomers = analyticsData.topCustomers || [];
+        paymentModeSummary = analyticsData.paymentModeSummary || [];
+        billStatusSummary = analyticsData.billStatusSummary || [];
+      }
+    } else {
+      // User doesn't have analytics feature - show upgrade message
+      if(upgradeMessage) upgradeMessage.style.display = 'block';
+      if(chartsSection) chartsSection.style.display = 'none';
+      
+      // Use data from basic dashboard if available
+      if(dashboardBasicData){
+        dashboardData = dashboardBasicData;
+        overview = dashboardBasicData.overview || overview || {};
+      }
+    }
+
+    // If overview is still empty, try to get it from basicRes directly
+    if(!overview || Object.keys(overview).length === 0){
+      if(dashboardBasicData){
+        // Try different possible structures
+        overview = dashboardBasicData.overview || dashboardBasicData.body?.overview || dashboardBasicData || {};
+      }
+    }
+    
+    // Update summary cards from API overview
+    if(custCountEl) custCountEl.innerText = overview.totalCustomers || 0;
+    if(billCountEl) billCountEl.innerText = overview.totalBills || 0;
+    if(payCountEl) payCountEl.innerText = overview.totalPayments || 0;
+
+    // Use dashboard API data for calculations, but recalculate from actual data if available for accuracy
+    let totalBillAmount = overview.totalRevenue || 0;
+    let totalPaymentAmount = overview.paidAmount || 0;
+    let pendingAmount = overview.outstandingAmount || 0;
+    
+    // Load actual bills and payments data if not already loaded
+    let billsData = allDashboardData?.bills || [];
+    let paymentsData = allDashboardData?.payments || [];
+    let creditNotesData = allDashboardData?.creditNotes || [];
+    
+    // If allDashboardData is empty, try to load data directly
+    if((!billsData || billsData.length === 0) || (!paymentsData || paymentsData.length === 0)){
+      try {
+        const [billsRes, paymentsRes, creditNotesRes] = await Promise.all([
+          fetchJson(API_BILLS, {headers: authHeader()}),
+          fetchJson(API_PAYMENTS, {headers: authHeader()}),
+          fetchJson(API_CREDIT_NOTES, {headers: authHeader()})
+        ]);
+        
+        if(billsRes.ok && billsRes.data){
+          billsData = (billsRes.data || []).filter(b => (b.isActive === undefined || b.isActive !== false) && (b.IsActive === undefined || b.IsActive !== false) && (b.is_active === undefined || b.is_active !== false));
+          allDashboardData.bills = billsData;
+        }
+        
+        if(paymentsRes.ok && paymentsRes.data){
+          paymentsData = (paymentsRes.data || []).filter(p => (p.isActive === undefined || p.isActive !== false) && (p.IsActive === undefined || p.IsActive !== false) && (p.is_active === undefined || p.is_active !== false));
+          allDashboardData.payments = paymentsData;
+        }
+        
+        // Backends without credit notes answer 404; there are simply none
+        if(creditNotesRes.ok && Array.isArray(creditNotesRes.data)){
+          creditNotesData = creditNotesRes.data.filter(n => n.isActive !== false);
+          allDashboardData.creditNotes = creditNotesData;
+        }
+      } catch(err) {
+        logError('loadBillsPaymentsForCalculation', err);
+      }
+    }
+    
+    // Recalculate from actual bills and payments data if available (more accurate)
+    if(billsData && billsData.length > 0 && paymentsData){
+      // Billed net of credit notes and cancelled bills; cleared payments net of refunds
+      const totals = summarizeReceivables(billsData, paymentsData, creditNotesData);
+      if(totals.billed > 0){
+        totalBillAmount = totals.billed - totals.credited;
+      }
+      totalPaymentAmount = totals.paid - totals.refunded;
+      pendingAmount = totalBillAmount - totalPaymentAmount;
+    }
+    
+    // 2. Outstanding Balance & Payment Progress
+    const outstandingAmountEl = document.getElementById('outstandingAmount');
+    const paymentProgressEl = document.getElementById('paymentProgress');
+    const progressBarEl = document.getElementById('progressBar');
+    const financialCardsEl = document.getElementById('financialCards');
+    
+    if(outstandingAmountEl){
+      outstandingAmountEl.innerText = '₹' + pendingAmount.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+    }
+    
+    // Calculate payment progress: (Total Paid / Total Billed) * 100, capped at 100%
+    // Only show progress if we have valid bill amount
+    const paymentProgressPercent = totalBillAmount > 0 ? Math.min(100, Math.round((totalPaymentAmount / totalBillAmount) * 100)) : 0;
+    if(paymentProgressEl) paymentProgressEl.innerText = paymentProgressPercent + '%';
+    if(progressBarEl) progressBarEl.style.width = paymentProgressPercent + '%';
+    if(financialCardsEl) financialCardsEl.style.display = 'grid';
+    calculateAlerts(billsData, paymentsData, creditNotesData);
+    
+    // Initialize date range info
+    const infoEl = document.getElementById('dashboardDateRangeInfo');
+    if(infoEl) infoEl.innerHTML = '📊 Showing all data';
+    
+    // Show total amount card
+    const totalAmountCard = document.getElementById('totalAmountCard');
+    const totalAmountEl = document.getElementById('totalAmount');
+    if(totalAmountCard && totalAmountEl && totalBillAmount > 0){
+      totalAmountCard.style.display = 'block';
+      totalAmountEl.innerText = '₹' + totalBillAmount.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+    }
+
+    // Charts section visibility is already handled above based on hasAnalytics
+    
+    // Only initialize charts if analytics feature is available
+    if(!hasAnalytics){
+      // Charts section is already hidden, just return
+      return;
+    }
+
+    // Use billStatusSummary from dashboard API
+    const billsByStatus = {};
+    if(billStatusSummary && billStatusSummary.length > 0){
+      billStatusSummary.forEach(item => {
+        billsByStatus[item.status || 'Unknown'] = item.count || 0;
+      });
+    }
+
+    // Bar Chart - Summary Overview with meaningful data
+    const ctxBar=document.getElementById('chart-summary').getContext('2d');
+    if(chartBar) chartBar.destroy();
+    chartBar=new Chart(ctxBar,{
+      type:'bar',
+      data:{
+        labels:['Total Bills Amount', 'Total Payments', 'Pending Amount'],
+        datasets:[{
+          label:'Amount (₹)',
+          data:[totalBillAmount.toFixed(2), totalPaymentAmount.toFixed(2), pendingAmount.toFixed(2)],
+          backgroundColor:['#3498db','#27ae60','#e67e22'],
+          borderRadius:8,
+          borderSkipped:false
+        }]
+      },
+      options:{
+        responsive:true,
+        maintainAspectRatio:true,
+        plugins:{
+          legend:{display:false},
+          tooltip:{
+            backgroundColor:'rgba(0,0,0,0.8)',
+            padding:12,
+            titleFont:{size:14,weight:'bold'},
+            bodyFont:{size:13},
+            cornerRadius:8,
+            callbacks:{
+              label: function(context) {
+                return '₹' + parseFloat(context.parsed.y).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+              }
+            }
+          }
+        },
+        scales:{
+          y:{
+            beginAtZero:true,
+            grid:{color:'rgba(0,0,0,0.05)'},
+            ticks:{
+              font:{size:12},
+              color:'#7f8c8d',
+              callback: function(value) {
+                return '₹' + value.toLocaleString('en-IN');
+              }
+            }
+          },
+          x:{
+            grid:{display:false},
+            ticks:{font:{size:12},color:'#7f8c8d',font:{weight:'500'}}
+          }
+        }
+      }
+    });
+
+    // Pie Chart - Bills by Status (replace line chart with more meaningful data)
+    const statusLabels = Object.keys(billsByStatus);
+    const statusData = Object.values(billsByStatus);
+    const statusColors = ['#1abc9c', '#3498db', '#e67e22', '#9b59b6', '#f39c12', '#e74c3c'];
+    
+    const ctxLine=document.getElementById('chart-trend').getContext('2d');
+    if(chartLine) chartLine.destroy();
+    chartLine=new Chart(ctxLine,{
+      type:'doughnut',
+      data:{
+        labels:statusLabels.length > 0 ? statusLabels : ['No Data'],
+        datasets:[{
+          data:statusData.length > 0 ? statusData : [1],
+          backgroundColor:statusColors.slice(0, statusLabels.length || 1),
+          borderWidth:3,
+          borderColor:'#fff'
+        }]
+      },
+      options:{
+        responsive:true,
+        maintainAspectRatio:true,
+        plugins:{
+          legend:{
+            position:'bottom',
+            labels:{
+              usePointStyle:true,
+              padding:15,
+              font:{size:12,weight:'500'},
+              color:'#34495e'
+            }
+          },
+          tooltip:{
+            backgroundColor:'rgba(0,0,0,0.8)',
+            padding:12,
+            titleFont:{size:14,weight:'bold'},
+            bodyFont:{size:13},
+            cornerRadius:8,
+            callbacks:{
+              label: function(context) {
+                const label = context.label || '';
+                const value = context.parsed || 0;
+                const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                const percentage = ((value / total) * 100).toFixed(1);
+                return `${label}: ${value} (${percentage}%)`;
+              }
+            }
+          }
+        }
+      }
+    });
+
+    // Payment Trends Chart (Line Chart) - use dashboard API data if available, otherwise show empty
+    let trendLabels = [];
+    let trendAmounts = [];
+    
+    // Try to get payment trends from dashboard API or calculate from revenueByMonth
+    if(revenueByMonth && revenueByMonth.length > 0){
+      trendLabels = revenueByMonth.slice(-15).map(m => m.monthName || m.month || '');
+      trendAmounts = revenueByMonth.slice(-15).map(m => m.revenue || 0);
+    }
+    
+    const ctxPaymentTrends = document.getElementById('chart-payment-trends');
+    if(ctxPaymentTrends){
+      const ctx = ctxPaymentTrends.getContext('2d');
+      if(chartPaymentTrends) chartPaymentTrends.destroy();
+      chartPaymentTrends = new Chart(ctx, {
+        type: 'line',
+        data: {
+          labels: trendLabels.map(d => formatDateOnly(d)),
+          datasets: [{
+            label: 'Payment Amount',
+            data: trendAmounts,
+            borderColor: '#27ae60',
+            backgroundColor: 'rgba(39,174,96,0.1)',
+            fill: true,
+            tension: 0.4,
+            borderWidth: 3,
+            pointRadius: 4,
+            pointHoverRadius: 6
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              backgroundColor: 'rgba(0,0,0,0.8)',
+              padding: 12,
+              callbacks: {
+                label: function(context) {
+                  return '₹' + parseFloat(context.parsed.y).toLocaleString('en-IN', {minimumFractionDigits: 2});
+                }
+              }
+            }
+          },
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                callback: function(value) {
+                  return '₹' + value.toLocaleString('en-IN');
+                }
+              }
+            }
+          }
+        }
+      });
+    }
+    
+    // Payment Methods Chart (Pie Chart) - use dashboard API data
+    const paymentModesLabels = [];
+    const paymentModesData = [];
+    if(paymentModeSummary && paymentModeSummary.length > 0){
+      paymentModeSummary.forEach(item => {
+        paymentModesLabels.push(item.mode || 'Unknown');
+        paymentModesData.push(item.count || 0);
+      });
+    }
+    
+    const ctxPaymentModes = document.getElementById('chart-payment-modes');
+    if(ctxPaymentModes){
+      const ctx = ctxPaymentModes.getContext('2d');
+      if(chartPaymentModes) chartPaymentModes.destroy();
+      chartPaymentModes = new Chart(ctx, {
+        type: 'pie',
+        data: {
+          labels: paymentModesLabels.length > 0 ? paymentModesLabels : ['No Data'],
+          datasets: [{
+            data: paymentModesData.length > 0 ? paymentModesData : [1],
+            backgroundColor: ['#3498db', '#27ae60', '#e67e22', '#9b59b6', '#f39c12'],
+            borderWidth: 3,
+            borderColor: '#fff'
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          plugins: {
+            legend: {
+              position: 'bottom',
+              labels: {
+                usePointStyle: true,
+                padding: 15,
+                font: { size: 12, weight: '500' }
+              }
+            },
+            tooltip: {
+              callbacks: {
+                label: function(context) {
+                  const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                  const percentage = ((context.parsed / total) * 100).toFixed(1);
+                  return `${context.label}: ${context.parsed} (${percentage}%)`;
+                }
+              }
+            }
+          }
+        }
+      });
+    }
+    
+    // Revenue Growth Chart (Line Chart) - use dashboard API data
+    let revenueLabels = [];
+    let revenueData = [];
+    if(revenueByMonth && revenueByMonth.length > 0){
+      revenueLabels = revenueByMonth.map(m => m.monthName || m.month || '');
+      revenueData = revenueByMonth.map(m => m.revenue || 0);
+    }
+    
+    const ctxRevenueGrowth = document.getElementById('chart-revenue-growth');
+    if(ctxRevenueGrowth){
+      const ctx = ctxRevenueGrowth.getContext('2d');
+      if(chartRevenueGrowth) chartRevenueGrowth.destroy();
+      chartRevenueGrowth = new Chart(ctx, {
+        type: 'line',
+        data: {
+          labels: revenueLabels.map(m => new Date(m + '-01').toLocaleDateString('en-US', {month: 'short', year: 'numeric'})),
+          datasets: [{
+            label: 'Revenue (₹)',
+            data: revenueData,
+            borderColor: '#ffd700',
+            backgroundColor: 'rgba(255, 215, 0, 0.1)',
+            borderWidth: 3,
+            fill: true,
+            tension: 0.4,
+            pointRadius: 5,
+            pointBackgroundColor: '#ffd700',
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              backgroundColor: 'rgba(0,0,0,0.8)',
+              padding: 12,
+              callbacks: {
+                label: function(context) {
+                  return '₹' + parseFloat(context.parsed.y).toLocaleString('en-IN', {minimumFractionDigits: 2});
+                }
+              }
+            }
+          },
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                callback: function(value) {
+                  return '₹' + value.toLocaleString('en-IN');
+                }
+              }
+            }
+          }
+        }
+      });
+    }
+    
+    // Customer Growth Chart (Line Chart) - use revenueByMonth data structure (customer count per month)
+    let customerLabels = [];
+    let customerCounts = [];
+    if(revenueByMonth && revenueByMonth.length > 0){
+      customerLabels = revenueByMonth.map(m => m.monthName || m.month || '');
+      customerCounts = revenueByMonth.map(m => m.customerCount || 0);
+    }
+    
+    const ctxCustomerGrowth = document.getElementById('chart-customer-growth');
+    if(ctxCustomerGrowth){
+      const ctx = ctxCustomerGrowth.getContext('2d');
+      if(chartCustomerGrowth) chartCustomerGrowth.destroy();
+      chartCustomerGrowth = new Chart(ctx, {
+        type: 'line',
+        data: {
+          labels: customerLabels.map(m => new Date(m + '-01').toLocaleDateString('en-US', {month: 'short', year: 'numeric'})),
+          datasets: [{
+            label: 'New Customers',
+            data: customerCounts,
+            borderColor: '#ffeb3b',
+            backgroundColor: 'rgba(255, 235, 59, 0.1)',
+            borderWidth: 3,
+            fill: true,
+            tension: 0.4,
+            pointRadius: 5,
+            pointBackgroundColor: '#ffeb3b',
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              backgroundColor: 'rgba(0,0,0,0.8)',
+              padding: 12
+            }
+          },
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                stepSize: 1
+              }
+            }
+          }
+        }
+      });
+    }
+    
+    // Top Customers Chart (Bar Chart) - use dashboard API data
+    const topCustomersData = [];
+    if(topCustomers && topCustomers.length > 0){
+      topCustomers.forEach(c => {
+        topCustomersData.push([c.customerName || `Customer ${c.customerId}`, c.totalBillsAmount || 0]);
+      });
+    }
+    const topCustomersChartData = topCustomersData.slice(0, 5);
+    
+    const ctxTopCustomers = document.getElementById('chart-top-customers');
+    if(ctxTopCustomers){
+      const ctx = ctxTopCustomers.getContext('2d');
+      if(chartTopCustomers) chartTopCustomers.destroy();
+      chartTopCustomers = new Chart(ctx, {
+        type: 'bar',
+        data: {
+          labels: topCustomersChartData.map(c => c[0]),
+          datasets: [{
+            label: 'Revenue (₹)',
+            data: topCustomersChartData.map(c => c[1]),
+            backgroundColor: ['#ffd700', '#ffeb3b', '#ffc107', '#ff9800', '#ff5722'],
+            borderRadius: 8,
+            borderSkipped: false
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          indexAxis: 'y',
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              backgroundColor: 'rgba(0,0,0,0.8)',
+              padding: 12,
+              callbacks: {
+                label: function(context) {
+                  return '₹' + parseFloat(context.parsed.x).toLocaleString('en-IN', {minimumFractionDigits: 2});
+                }
+              }
+            }
+          },
+          scales: {
+            x: {
+              beginAtZero: true,
+              ticks: {
+                callback: function(value) {
+                  return '₹' + value.toLocaleString('en-IN');
+                }
+              }
+            }
+          }
+        }
+      });
+    }
+    
+    // Bill vs Payment Comparison Chart (Bar Chart)
+    const billPaymentData = {
+      bills: totalBillAmount,
+      payments: totalPaymentAmount,
+      outstanding: pendingAmount
+    };
+    
+    const ctxBillPayment = document.getElementById('chart-bill-payment');
+    if(ctxBillPayment){
+      const ctx = ctxBillPayment.getContext('2d');
+      if(chartBillPayment) chartBillPayment.destroy();
+      chartBillPayment = new Chart(ctx, {
+        type: 'bar',
+        data: {
+          labels: ['Total Bills', 'Total Payments', 'Outstanding'],
+          datasets: [{
+            label: 'Amount (₹)',
+            data: [billPaymentData.bills, billPaymentData.payments, billPaymentData.outstanding],
+            backgroundColor: ['#3498db', '#27ae60', '#e74c3c'],
+            borderRadius: 8,
+            borderSkipped: false
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              backgroundColor: 'rgba(0,0,0,0.8)',
+              padding: 12,
+              callbacks: {
+                label: function(context) {
+                  return '₹' + parseFloat(context.parsed.y).toLocaleString('en-IN', {minimumFractionDigits: 2});
+                }
+              }
+            }
+          },
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                callback: function(value) {
+                  return '₹' + value.toLocaleString('en-IN');
+                }
+              }
+            }
+          }
+        }
+      });
+    }
+
+    // Receivables Ageing - unpaid balances as of today; a bar opens that bucket's bills
+    const ctxAgeing = document.getElementById('chart-ageing');
+    if(ctxAgeing){
+      const ageing = buildAgeingReport(billsData, paymentsData);
+      if(chartAgeing) chartAgeing.destroy();
+      chartAgeing = new Chart(ctxAgeing.getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: AGEING_BUCKETS.map(b => b.label),
+          datasets: [{
+            label: 'Outstanding (₹)',
+            data: AGEING_BUCKETS.map(b => ageing.totals[b.key]),
+            backgroundColor: ['#27ae60', '#f39c12', '#e67e22', '#e74c3c'],
+            borderRadius: 8,
+            borderSkipped: false
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          onClick: (event, elements) => {
+            if(elements.length > 0) navigate(`/ageing/${AGEING_BUCKETS[elements[0].index].key}`);
+          },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              backgroundColor: 'rgba(0,0,0,0.8)',
+              padding: 12,
+              callbacks: {
+                label: function(context) {
+                  return '₹' + parseFloat(context.parsed.y).toLocaleString('en-IN', {minimumFractionDigits: 2});
+                }
+              }
+            }
+          },
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                callback: function(value) {
+                  return '₹' + value.toLocaleString('en-IN');
+                }
+              }
+            }
+          }
+        }
+      });
+    }
+
+  }catch(err){
+    logError('loadDashboard', err);
+    // Don't show error on dashboard load, just log it
+  }
+}
+
+// ----- Route -----
+export function render(){
+  const tabContent = document.getElementById('tab-content');
+  tabContent.innerHTML = `<div id="dashboard-content">
+    <div style="text-align:center;padding:40px;color:#7f8c8d;">
+      <h2 style="color:#2c3e50;margin-bottom:15px;">Welcome to Business Dashboard</h2>
+      <p style="font-size:1.1rem;">View your analytics and insights above, or use the tabs to manage Customers, Bills, and Payments.</p>
+    </div>
+  </div>`;
+  loadDashboard();
+}
+
+// The date range buttons in dashboard.html call these by name
+Object.assign(window, {
+  applyDashboardDateRange,
+  clearDashboardDateRange,
+  setQuickDateRange
+});
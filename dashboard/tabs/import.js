@@ -0,0 +1,502 @@
+/**
+ * Import tab (CSV_IMPORT feature) - a wizard that reads a CSV or Excel file
+ * in the browser, maps its columns to customer, bill or payment fields,
+ * checks every row before upload (with fixes made in the preview), then
+ * uploads the valid rows in chunks. Parsing and row checks live in
+ * data-import.js.
+ *
+ * Route: #/import
+ */
+
+import { API_IMPORT, API_CUSTOMERS, API_BILLS } from '../api.js';
+import { refreshRoute } from '../router.js';
+
+// Rows shown in the preview at once; the rest are checked and uploaded all the same
+const IMPORT_PREVIEW_ROWS = 200;
+
+const ENTITY_LABELS = { customers: 'Customers', bills: 'Bills', payments: 'Payments' };
+
+// The file being imported: {entityType, fileName, sheet, mapping, records, context, errorsOnly, uploading}
+let importData = null;
+
+// ----- Step 1: choose a file -----
+async function loadImportTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  importData = null;
+
+  const card = (entityType, title, text) => `
+    <div class="import-section" style="background:var(--bg-secondary);padding:20px;border-radius:12px;border:2px solid var(--border-color);">
+      <h3 style="margin-top:0;color:var(--text-primary);">Import ${title}</h3>
+      <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:15px;">${text}</p>
+      <div class="file-upload-area" id="${entityType}UploadArea" onclick="document.getElementById('${entityType}FileInput').click()">
+        <input type="file" id="${entityType}FileInput" accept=".csv,.txt,.xlsx,.xls" class="file-upload-input" onchange="handleFileSelect('${entityType}', this.files[0]); this.value='';">
+        <p style="margin:0;color:var(--text-secondary);">📁 Click to select a CSV or Excel file</p>
+        <p style="margin:5px 0 0 0;font-size:0.85rem;color:var(--text-tertiary);">or drag and drop</p>
+      </div>
+      <div style="margin-top:15px;display:flex;gap:10px;">
+        <button onclick="downloadTemplate('${entityType}')" style="flex:1;padding:10px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">📥 Download Template</button>
+      </div>
+    </div>`;
+
+  tabContent.innerHTML = `
+    <div id="import-content">
+      <h2>📥 Bulk Import Data</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Import customers, bills, or payments from CSV or Excel files. Columns are matched to fields for you, and every row is checked before anything is saved.</p>
+      <div id="import_msg" style="margin-bottom:10px;"></div>
+      <div id="importCards" style="display:grid;grid-template-columns:repeat(auto-fit, minmax(300px, 1fr));gap:20px;margin-bottom:30px;">
+        ${card('customers', 'Customers', 'Name and phone are required')}
+        ${card('bills', 'Bills', 'Customers can be named by name, phone or ID')}
+        ${card('payments', 'Payments', 'Each payment names its customer and bill number')}
+      </div>
+      <div id="importWizard"></div>
+    </div>
+  `;
+
+  Object.keys(ENTITY_LABELS).forEach(entityType => setupDragAndDrop(`${entityType}UploadArea`, entityType));
+  const wizard = document.getElementById('importWizard');
+  wizard.addEventListener('click', handleWizardClick);
+  wizard.addEventListener('change', handleWizardChange);
+}
+
+function setupDragAndDrop(areaId, entityType){
+  const area = document.getElementById(areaId);
+  if(!area) return;
+
+  area.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    area.classList.add('dragover');
+  });
+
+  area.addEventListener('dragleave', () => {
+    area.classList.remove('dragover');
+  });
+
+  area.addEventListener('drop', (e) => {
+    e.preventDefault();
+    area.classList.remove('dragover');
+    const files = e.dataTransfer.files;
+    if(files.length > 0){
+      handleFileSelect(entityType, files[0]);
+    } else {
+      showError('import_msg', 'Please select a CSV or Excel file');
+    }
+  });
+}
+
+async function handleFileSelect(entityType, file){
+  if(!file){
+    showError('import_msg', 'No file selected');
+    return;
+  }
+  if(importData && importData.uploading){
+    showError('import_msg', 'Please wait for the current import to finish');
+    return;
+  }
+
+  const excel = /\.xlsx?$/i.test(file.name);
+  if(!excel && !/\.(csv|txt)$/i.test(file.name)){
+    showError('import_msg', 'Please select a CSV or Excel (.xlsx) file');
+    return;
+  }
+
+  if(file.size > 10 * 1024 * 1024){ // 10MB limit
+    showError('import_msg', 'File size should be less than 10MB');
+    return;
+  }
+
+  clearMessage('import_msg');
+  let sheet;
+  try{
+    sheet = excel ? parseImportWorkbook(await file.arrayBuffer()) : parseImportCSV(await file.text());
+  } catch(err){
+    logError('handleFileSelect', err);
+    showError('import_msg', `Could not read ${file.name}: ${err.message}`);
+    return;
+  }
+  if(sheet.rows.length === 0){
+    showError('import_msg', `${file.name} has no rows to import below the headings`);
+    return;
+  }
+  if(sheet.rows.length > IMPORT_MAX_ROWS){
+    showError('import_msg', `${file.name} has ${sheet.rows.length} rows. Please split it into files of up to ${IMPORT_MAX_ROWS} rows.`);
+    return;
+  }
+
+  importData = {
+    entityType,
+    fileName: file.name,
+    sheet,
+    mapping: suggestImportMapping(entityType, sheet.headers),
+    records: [],
+    context: null,
+    errorsOnly: false,
+    uploading: false
+  };
+  renderImportMapping();
+}
+
+// ----- Step 2: map columns -----
+function renderImportMapping(){
+  const { entityType, fileName, sheet, mapping } = importData;
+  const wizard = document.getElementById('importWizard');
+  if(!wizard) return;
+  const sample = sheet.rows[0].cells;
+
+  wizard.innerHTML = `
+    <div class="import-section" style="background:var(--bg-secondary);padding:20px;border-radius:12px;border:2px solid var(--border-color);">
+      <h3 style="margin-top:0;">Import ${ENTITY_LABELS[entityType]}: match columns</h3>
+      <p style="color:var(--text-secondary);font-size:0.9rem;">${escapeHtml(fileName)} has ${sheet.rows.length} row(s). Choose the column that holds each field; fields marked * are required.</p>
+      <table id="tblImportMapping">
+        <thead><tr><th>Field</th><th>Column in file</th><th>First row</th></tr></thead>
+        <tbody>${IMPORT_FIELDS[entityType].map(field => `
+          <tr>
+            <td>${escapeHtml(field.label)}${field.required ? ' <span style="color:#e74c3c;">*</span>' : ''}</td>
+            <td>
+              <select class="import-map" data-field="${field.key}" style="padding:6px;min-width:200px;">
+                <option value="">- Not imported -</option>
+                ${sheet.headers.map((h, index) => `<option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${escapeHtml(h || `Column ${index + 1}`)}</option>`).join('')}
+              </select>
+            </td>
+            <td style="color:var(--text-secondary);">${mapping[field.key] >= 0 ? escapeHtml(sample[mapping[field.key]] || '') : ''}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      <div style="margin-top:15px;display:flex;gap:10px;flex-wrap:wrap;">
+        <button data-action="cancel" style="padding:10px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">Cancel</button>
+        <button data-action="preview" style="padding:10px 16px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">Check rows →</button>
+      </div>
+    </div>
+  `;
+  wizard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Customers (and bills for payments) that rows may refer to, loaded once per file
+async function loadImportContext(){
+  if(importData.context) return true;
+  showLoading('import_msg', 'Loading customers to check against...');
+  const opts = {headers:authHeader(), scope:'tab'};
+  const [customersRes, billsRes] = await Promise.all([
+    fetchJson(API_CUSTOMERS, opts),
+    importData.entityType === 'payments' ? fetchJson(API_BILLS, opts) : Promise.resolve(null)
+  ]);
+  if(customersRes.aborted || (billsRes && billsRes.aborted)) return false;
+  if(handleApiError(customersRes, 'import_msg', 'Failed to load customers')) return false;
+  if(billsRes && handleApiError(billsRes, 'import_msg', 'Failed to load bills')) return false;
+  clearMessage('import_msg');
+  importData.context = {
+    customers: toPagedResult(customersRes.data, {}, 'customers').items,
+    bills: billsRes ? toPagedResult(billsRes.data, {}, 'bills').items : []
+  };
+  return true;
+}
+
+async function showImportPreview(){
+  const missing = getMissingImportFields(importData.entityType, importData.mapping);
+  if(missing.length > 0){
+    showError('import_msg', `Choose a column for ${missing.map(f => f.label).join(', ')}`);
+    return;
+  }
+  if(!(await loadImportContext())) return;
+  importData.records = buildImportRecords(importData.entityType, importData.sheet, importData.mapping);
+  validateImportRecords(importData.entityType, importData.records, importData.context);
+  renderImportPreview();
+}
+
+// ----- Step 3: preview and fix rows -----
+function renderImportPreview(){
+  const { entityType, fileName, records, errorsOnly } = importData;
+  const wizard = document.getElementById('importWizard');
+  if(!wizard) return;
+  const fields = IMPORT_FIELDS[entityType].filter(f => importData.mapping[f.key] >= 0);
+  const invalid = records.filter(r => r.errors.length > 0).length;
+  const ready = records.length - invalid;
+  const listed = errorsOnly ? records.filter(r => r.errors.length > 0) : records;
+  const shown = listed.slice(0, IMPORT_PREVIEW_ROWS);
+
+  wizard.innerHTML = `
+    <div class="import-section" style="background:var(--bg-secondary);padding:20px;border-radius:12px;border:2px solid var(--border-color);">
+      <h3 style="margin-top:0;">Import ${ENTITY_LABELS[entityType]}: check rows</h3>
+      <p style="color:var(--text-secondary);font-size:0.9rem;">
+        ${escapeHtml(fileName)}: <strong style="color:#27ae60;">${ready} ready</strong>${invalid ? `, <strong style="color:#e74c3c;">${invalid} with errors</strong> (fix them below or they will be skipped)` : ''}
+      </p>
+      <label style="font-size:0.9rem;"><input type="checkbox" id="importErrorsOnly" ${errorsOnly ? 'checked' : ''}> Show only rows with errors</label>
+      <div style="overflow-x:auto;max-height:480px;overflow-y:auto;margin-top:10px;">
+        <table id="tblImportPreview">
+          <thead><tr><th>Row</th>${fields.map(f => `<th>${escapeHtml(f.label)}</th>`).join('')}<th>Problems</th></tr></thead>
+          <tbody>${shown.map(record => {
+            const index = records.indexOf(record);
+            const fieldErrors = {};
+            record.errors.forEach(e => { fieldErrors[e.field] = fieldErrors[e.field] || e.message; });
+            return `<tr style="${record.errors.length ? 'background:#fff5f5;' : ''}">
+              <td>${record.errors.length ? '❌' : '✅'} ${record.rowNumber}</td>
+              ${fields.map(f => `<td><input class="import-cell" data-index="${index}" data-field="${f.key}" value="${escapeHtml(record.values[f.key])}"
+                ${fieldErrors[f.key] ? `title="${escapeHtml(fieldErrors[f.key])}" style="padding:4px;min-width:90px;border:1px solid #e74c3c;"` : 'style="padding:4px;min-width:90px;border:1px solid var(--border-color);"'}></td>`).join('')}
+              <td style="color:#c0392b;font-size:0.85rem;">${record.errors.map(e => escapeHtml(e.message)).join('<br>')}</td>
+            </tr>`;
+          }).join('') || `<tr><td colspan="${fields.length + 2}" style="text-align:center;color:#7f8c8d;">No rows with errors</td></tr>`}</tbody>
+        </table>
+      </div>
+      ${listed.length > shown.length ? `<p style="color:var(--text-secondary);font-size:0.85rem;">Showing the first ${shown.length} of ${listed.length} rows. Download the error report to fix the rest in a spreadsheet.</p>` : ''}
+      <div style="margin-top:15px;display:flex;gap:10px;flex-wrap:wrap;">
+        <button data-action="mapping" style="padding:10px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">← Change columns</button>
+        ${invalid ? `<button data-action="error-report" style="padding:10px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">📥 Download error report</button>` : ''}
+        <button data-action="upload" ${ready ? '' : 'disabled'} style="padding:10px 16px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">⬆️ Import ${ready} row(s)</button>
+      </div>
+    </div>
+  `;
+}
+
+// A fix in one cell can clear or raise errors on other rows (repeated phone numbers)
+function updateImportCell(input){
+  const record = importData.records[Number(input.dataset.index)];
+  if(!record) return;
+  record.values[input.dataset.field] = input.value;
+  validateImportRecords(importData.entityType, importData.records, importData.context);
+  renderImportPreview();
+}
+
+// ----- Step 4: upload in chunks -----
+async function uploadImportRecords(){
+  const { entityType, records } = importData;
+  const ready = records.filter(r => r.errors.length === 0);
+  if(ready.length === 0) return;
+  if(!offlineSync.isOnline()){
+    showError('import_msg', 'You are offline. Imports need a connection; please try again once you are back online.');
+    return;
+  }
+
+  const wizard = document.getElementById('importWizard');
+  wizard.innerHTML = `
+    <div class="import-section" style="background:var(--bg-secondary);padding:20px;border-radius:12px;border:2px solid var(--border-color);">
+      <h3 style="margin-top:0;">Importing ${ENTITY_LABELS[entityType].toLowerCase()}...</h3>
+      <div class="progress-container">
+        <div class="progress-bar">
+          <div class="progress-fill" id="importProgressFill" style="width:0%;">0%</div>
+        </div>
+      </div>
+      <p id="importProgressText" style="color:var(--text-secondary);font-size:0.9rem;">0 of ${ready.length} rows uploaded</p>
+      <div id="importResults" style="margin-top:15px;"></div>
+    </div>
+  `;
+
+  importData.uploading = true;
+  clearMessage('import_msg');
+  let successful = 0;
+  let done = 0;
+  let stopped = '';
+  const chunks = chunkImportRecords(ready);
+  for(let n = 0; n < chunks.length; n++){
+    const chunk = chunks[n];
+    if(stopped){
+      chunk.forEach(record => { record.errors = [{ field: '', message: `Not uploaded: ${stopped}` }]; });
+      continue;
+    }
+    try{
+      const formData = new FormData();
+      formData.append('file', new Blob([buildImportChunkCSV(entityType, chunk)], {type: 'text/csv'}), `${entityType}_${n + 1}.csv`);
+      // Goes straight to the client: uploads are never queued offline
+      const response = await apiClient.request(`${API_IMPORT}/Import/${entityType}/bulk-import`, {
+        method: 'POST',
+        body: formData,
+        timeout: 120000
+      });
+      const result = response.apiResponse || response.data || {};
+      if(!response.ok || result.status === false){
+        throw new Error(result.message || getErrorMessage(response, 'Upload failed'));
+      }
+      successful += applyChunkResult(chunk, result.body || result);
+    } catch(err){
+      logError('uploadImportRecords', err);
+      stopped = err.message;
+      chunk.forEach(record => { record.errors = [{ field: '', message: `Upload failed: ${stopped}` }]; });
+    }
+    done += chunk.length;
+    setImportProgress(done, ready.length);
+  }
+  importData.uploading = false;
+
+  const failed = records.length - successful;
+  displayImportResults({ totalRows: records.length, successful, failed }, stopped);
+  if(successful > 0){
+    showSuccess('import_msg', `${successful} of ${records.length} ${entityType} imported${failed ? `; ${failed} row(s) need attention` : ''}`);
+    refreshRoute(entityType);
+  } else {
+    showError('import_msg', stopped ? `Import failed: ${stopped}` : 'No records were imported. Please check the errors below.');
+  }
+}
+
+// Rows the API rejected keep its errors (its row numbers count from the chunk's heading line); the rest were saved
+function applyChunkResult(chunk, result){
+  const rejected = new Map();
+  (result.errors || []).forEach(e => {
+    const record = chunk[(Number(e.rowNumber || e.row) || 0) - 2];
+    if(!record) return;
+    if(!rejected.has(record)) rejected.set(record, []);
+    rejected.get(record).push({ field: e.field || '', message: e.errorMessage || e.message || e.error || 'Rejected by the server' });
+  });
+  chunk.forEach(record => {
+    record.errors = rejected.get(record) || [];
+    record.imported = !rejected.has(record);
+  });
+  return chunk.length - rejected.size;
+}
+
+function setImportProgress(done, total){
+  const percent = Math.round(done / total * 100);
+  const fill = document.getElementById('importProgressFill');
+  if(fill){
+    fill.style.width = percent + '%';
+    fill.textContent = percent + '%';
+  }
+  const text = document.getElementById('importProgressText');
+  if(text) text.textContent = `${done} of ${total} rows uploaded`;
+}
+
+function displayImportResults(results, failure){
+  const resultsDiv = document.getElementById('importResults');
+  if(!resultsDiv) return;
+  const { totalRows, successful, failed } = results;
+  const problems = importData.records.filter(r => r.errors.length > 0);
+
+  // Determine status color
+  const bgColor = successful === 0 ? '#fee' : (failed > 0 ? '#fff3cd' : '#d4edda');
+  const borderColor = successful === 0 ? '#e74c3c' : (failed > 0 ? '#f39c12' : '#27ae60');
+
+  resultsDiv.innerHTML = `
+    <div style="padding:20px;background:${bgColor};border-radius:8px;border-left:4px solid ${borderColor};box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:15px;">
+        <strong style="color:var(--text-primary);font-size:1.1rem;">📊 Import Results</strong>
+        <span style="font-size:0.9rem;color:var(--text-secondary);padding:4px 8px;background:rgba(255,255,255,0.7);border-radius:4px;">
+          ${successful}/${totalRows} successful
+        </span>
+      </div>
+
+      ${failure ? `
+        <div style="margin-bottom:15px;padding:10px;background:rgba(255,255,255,0.8);border-radius:6px;">
+          <strong style="color:var(--text-primary);font-size:0.9rem;">📝 Upload stopped:</strong>
+          <p style="margin:5px 0 0 0;color:var(--text-secondary);font-size:0.9rem;">${escapeHtml(failure)}</p>
+        </div>
+      ` : ''}
+
+      <div style="display:grid;grid-template-columns:repeat(3, 1fr);gap:15px;margin-bottom:${problems.length > 0 ? '15px' : '0'};">
+        <div style="padding:12px;background:rgba(255,255,255,0.8);border-radius:6px;text-align:center;">
+          <strong style="color:var(--text-secondary);font-size:0.85rem;display:block;margin-bottom:5px;">Total Rows</strong>
+          <p style="margin:0;font-size:1.5rem;font-weight:bold;color:var(--text-primary);">${totalRows}</p>
+        </div>
+        <div style="padding:12px;background:rgba(255,255,255,0.8);border-radius:6px;text-align:center;">
+          <strong style="color:#27ae60;font-size:0.85rem;display:block;margin-bottom:5px;">✅ Successful</strong>
+          <p style="margin:0;font-size:1.5rem;font-weight:bold;color:#27ae60;">${successful}</p>
+        </div>
+        <div style="padding:12px;background:rgba(255,255,255,0.8);border-radius:6px;text-align:center;">
+          <strong style="color:#e74c3c;font-size:0.85rem;display:block;margin-bottom:5px;">❌ Failed</strong>
+          <p style="margin:0;font-size:1.5rem;font-weight:bold;color:#e74c3c;">${failed}</p>
+        </div>
+      </div>
+
+      ${problems.length > 0 ? `
+        <div style="margin-top:15px;padding:15px;background:#fff;border-radius:6px;border:1px solid #ddd;max-height:300px;overflow-y:auto;">
+          <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:10px;">
+            <strong style="color:#e74c3c;font-size:0.95rem;">⚠️ Rows not imported (${problems.length}):</strong>
+            <span style="font-size:0.8rem;color:var(--text-secondary);">Scroll to see all</span>
+          </div>
+          <ul style="margin:0;padding-left:20px;font-size:0.85rem;color:#c33;list-style-type:none;">
+            ${problems.slice(0, IMPORT_PREVIEW_ROWS).map(r => `<li style="margin-bottom:8px;padding:5px;background:#fee;border-radius:4px;">
+                <strong>Row ${r.rowNumber}:</strong> ${r.errors.map(e => escapeHtml(e.message)).join('; ')}
+              </li>`).join('')}
+          </ul>
+        </div>
+      ` : successful > 0 ? `
+        <div style="margin-top:15px;padding:12px;background:rgba(39, 174, 96, 0.1);border-radius:6px;border:1px solid #27ae60;">
+          <p style="margin:0;color:#27ae60;font-size:0.9rem;font-weight:500;">✅ All records imported successfully!</p>
+        </div>
+      ` : ''}
+
+      <div style="margin-top:15px;display:flex;gap:10px;flex-wrap:wrap;">
+        ${problems.length > 0 ? `<button data-action="error-report" style="padding:10px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">📥 Download error report</button>` : ''}
+        <button data-action="cancel" style="padding:10px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;">Done</button>
+      </div>
+    </div>
+  `;
+}
+
+function downloadImportErrorReport(){
+  const csv = buildImportErrorReport(importData.entityType, importData.records);
+  if(!csv) return;
+  const base = importData.fileName.replace(/\.[^.]+$/, '');
+  downloadCSV(csv, `${base}_errors_${new Date().toISOString().split('T')[0]}.csv`);
+}
+
+function handleWizardClick(e){
+  const button = e.target.closest('button[data-action]');
+  if(!button || !importData || importData.uploading) return;
+  const action = button.dataset.action;
+  if(action === 'cancel'){
+    importData = null;
+    document.getElementById('importWizard').innerHTML = '';
+  } else if(action === 'preview'){
+    showImportPreview();
+  } else if(action === 'mapping'){
+    renderImportMapping();
+  } else if(action === 'error-report'){
+    downloadImportErrorReport();
+  } else if(action === 'upload'){
+    uploadImportRecords();
+  }
+}
+
+function handleWizardChange(e){
+  if(!importData) return;
+  const target = e.target;
+  if(target.classList.contains('import-map')){
+    importData.mapping[target.dataset.field] = target.value === '' ? undefined : Number(target.value);
+    renderImportMapping();
+  } else if(target.classList.contains('import-cell')){
+    updateImportCell(target);
+  } else if(target.id === 'importErrorsOnly'){
+    importData.errorsOnly = target.checked;
+    renderImportPreview();
+  }
+}
+
+async function downloadTemplate(entityType){
+  try{
+    showLoadingOverlay();
+    const response = await apiClient.request(`${API_IMPORT}/Import/${entityType}/import-template`, {
+      responseType: 'blob'
+    });
+    hideLoadingOverlay();
+
+    if(response.ok){
+      const blob = response.data;
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${entityType}_template.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } else {
+      // Fall back to the headings the wizard recognises
+      downloadCSV(buildImportTemplate(entityType), `${entityType}_template.csv`);
+    }
+    showSuccess('import_msg', 'Template downloaded successfully!');
+  } catch(err){
+    hideLoadingOverlay();
+    logError('downloadTemplate', err);
+    downloadCSV(buildImportTemplate(entityType), `${entityType}_template.csv`);
+    showSuccess('import_msg', 'Template downloaded successfully!');
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadImportTab();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  handleFileSelect,
+  downloadTemplate
+});
@@ -0,0 +1,268 @@
+/**
+ * Email Notifications tab - templates, send and history (EMAIL_NOTIFICATIONS feature).
+ *
+ * Route: #/notifications
+ */
+
+import { API_NOTIFICATIONS } from '../api.js';
+
+// ----- Step 3: Email Notifications Tab -----
+async function loadNotificationsTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  const html = `
+    <div id="notifications-content">
+      <h2>📧 Email Notifications</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Send emails to customers or users</p>
+      
+      <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(400px, 1fr));gap:20px;">
+        <!-- Send Email Form -->
+        <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;border:2px solid var(--border-color);">
+          <h3 style="margin-top:0;color:var(--text-primary);">Send Email</h3>
+          
+          <div style="margin-bottom:15px;">
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Email Template *</label>
+            <select id="emailTemplate" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);" onchange="loadEmailTemplate(this.value)">
+              <option value="">Select Template</option>
+            </select>
+          </div>
+          
+          <div style="margin-bottom:15px;">
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Recipient(s) *</label>
+            <input type="text" id="emailRecipients" placeholder="email@example.com or comma-separated list" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+            <small style="color:var(--text-tertiary);font-size:0.85rem;">For bulk emails, use comma-separated list</small>
+          </div>
+          
+          <div style="margin-bottom:15px;">
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Subject</label>
+            <input type="text" id="emailSubject" placeholder="Email subject" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+          
+          <div style="margin-bottom:15px;">
+            <label style="display:flex;align-items:center;gap:10px;cursor:pointer;">
+              <input type="checkbox" id="emailBulkMode" style="width:18px;height:18px;">
+              <span style="color:var(--text-secondary);">Bulk email mode</span>
+            </label>
+          </div>
+          
+          <button onclick="sendEmail()" style="width:100%;padding:12px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;font-size:1rem;margin-bottom:15px;">📧 Send Email</button>
+          
+          <div id="emailPreview" class="email-preview" style="display:none;">
+            <h4 style="margin-top:0;color:var(--text-primary);">Template Preview</h4>
+            <div id="emailPreviewContent" style="color:var(--text-secondary);"></div>
+          </div>
+          
+          <div id="email_msg" style="margin-top:15px;"></div>
+        </div>
+        
+        <!-- Email History -->
+        <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;border:2px solid var(--border-color);">
+          <h3 style="margin-top:0;color:var(--text-primary);">Email History</h3>
+          <div id="emailHistory" style="max-height:500px;overflow-y:auto;">
+            <p style="color:var(--text-secondary);text-align:center;padding:20px;">Loading email history...</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  tabContent.innerHTML = html;
+  loadEmailTemplates();
+  loadEmailHistory();
+}
+
+async function loadEmailTemplates(){
+  try{
+    console.log('Loading email templates from:', `${API_NOTIFICATIONS}/templates`);
+    const r = await fetchJson(`${API_NOTIFICATIONS}/templates`, {
+      headers: authHeader(),
+      scope: 'tab'
+    });
+    if(r.aborted) return;
+    
+    console.log('Email templates response:', r);
+    
+    const templateSelect = document.getElementById('emailTemplate');
+    if(!templateSelect) return;
+    
+    if(r.status === 404){
+      templateSelect.innerHTML = '<option value="">⚠️ API endpoint not implemented yet</option>';
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const templates = r.apiResponse.body || r.data || [];
+      templateSelect.innerHTML = '<option value="">Select Template</option>' + 
+        templates.map(t => `<option value="${escapeHtml(t.templateId || t.id)}">${escapeHtml(t.name || 'Unnamed Template')}</option>`).join('');
+    } else {
+      templateSelect.innerHTML = '<option value="">No templates available</option>';
+    }
+  } catch(err){
+    logError('loadEmailTemplates', err);
+    const templateSelect = document.getElementById('emailTemplate');
+    if(templateSelect){
+      if(err.message && err.message.includes('404')){
+        templateSelect.innerHTML = '<option value="">⚠️ API endpoint not implemented yet</option>';
+      } else {
+        templateSelect.innerHTML = '<option value="">Error loading templates</option>';
+      }
+    }
+  }
+}
+
+async function loadEmailTemplate(templateId){
+  if(!templateId) return;
+  
+  try{
+    const r = await fetchJson(`${API_NOTIFICATIONS}/templates/${templateId}`, {
+      headers: authHeader()
+    });
+    
+    const previewDiv = document.getElementById('emailPreview');
+    const previewContent = document.getElementById('emailPreviewContent');
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const template = r.apiResponse.body || r.data;
+      if(template && previewDiv && previewContent){
+        previewDiv.style.display = 'block';
+        previewContent.innerHTML = `
+          <p><strong>Subject:</strong> ${escapeHtml(template.subject || 'N/A')}</p>
+          <div style="margin-top:10px;padding:10px;background:var(--bg-primary);border-radius:6px;border:1px solid var(--border-color);">
+            ${template.body || 'No preview available'}
+          </div>
+        `;
+      }
+    }
+  } catch(err){
+    logError('loadEmailTemplate', err);
+  }
+}
+
+async function sendEmail(){
+  const templateId = document.getElementById('emailTemplate')?.value;
+  const recipients = document.getElementById('emailRecipients')?.value.trim();
+  const subject = document.getElementById('emailSubject')?.value.trim();
+  const bulkMode = document.getElementById('emailBulkMode')?.checked;
+  
+  if(!templateId || !recipients){
+    showError('email_msg', 'Please select template and enter recipient(s)');
+    return;
+  }
+  
+  const recipientList = recipients.split(',').map(r => r.trim()).filter(r => r);
+  if(recipientList.length === 0){
+    showError('email_msg', 'Please enter at least one valid email address');
+    return;
+  }
+  
+  showLoading('email_msg', 'Sending email...');
+  showLoadingOverlay();
+  
+  try{
+    const payload = {
+      templateId,
+      recipients: bulkMode ? recipientList : [recipientList[0]],
+      subject: subject || null,
+      bulkMode: bulkMode || false
+    };
+    
+    const r = await fetchJson(`${API_NOTIFICATIONS}/send-email`, {
+      method: 'POST',
+      headers: authHeader(),
+      body: JSON.stringify(payload)
+    });
+    
+    hideLoadingOverlay();
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      showSuccess('email_msg', 'Email sent successfully!');
+      document.getElementById('emailRecipients').value = '';
+      document.getElementById('emailSubject').value = '';
+      loadEmailHistory();
+    } else {
+      handleApiError(r, 'email_msg', 'Failed to send email');
+    }
+  } catch(err){
+    hideLoadingOverlay();
+    logError('sendEmail', err);
+    showError('email_msg', 'Failed to send email: ' + err.message);
+  }
+}
+
+async function loadEmailHistory(){
+  const historyDiv = document.getElementById('emailHistory');
+  if(!historyDiv) return;
+  
+  try{
+    console.log('Loading email history from:', `${API_NOTIFICATIONS}/email-history`);
+    const r = await fetchJson(`${API_NOTIFICATIONS}/email-history`, {
+      headers: authHeader(),
+      scope: 'tab'
+    });
+    if(r.aborted) return;
+    
+    console.log('Email history response:', r);
+    
+    if(r.status === 404){
+      historyDiv.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:5px;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_NOTIFICATIONS}/email-history</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;">Please check Swagger documentation or contact backend team.</p>
+        </div>
+      `;
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const emails = r.apiResponse.body || r.data || [];
+      
+      if(emails.length === 0){
+        historyDiv.innerHTML = '<p style="color:var(--text-secondary);text-align:center;padding:20px;">No emails sent yet</p>';
+        return;
+      }
+      
+      historyDiv.innerHTML = emails.map(email => `
+        <div style="padding:15px;background:var(--bg-tertiary);border-radius:8px;margin-bottom:10px;border-left:4px solid ${email.status === 'sent' ? '#27ae60' : email.status === 'failed' ? '#e74c3c' : '#f39c12'};">
+          <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:8px;">
+            <div style="flex:1;">
+              <strong style="color:var(--text-primary);">${escapeHtml(email.subject || 'No Subject')}</strong>
+              <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">To: ${escapeHtml(email.recipient || email.recipients?.join(', ') || 'N/A')}</p>
+            </div>
+            <span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;background:${email.status === 'sent' ? '#d4edda' : email.status === 'failed' ? '#f8d7da' : '#fff3cd'};color:${email.status === 'sent' ? '#155724' : email.status === 'failed' ? '#721c24' : '#856404'};">
+              ${email.status || 'Pending'}
+            </span>
+          </div>
+          <p style="margin:0;color:var(--text-tertiary);font-size:0.85rem;">Sent: ${email.sentAt ? formatDate(email.sentAt) : 'N/A'}</p>
+        </div>
+      `).join('');
+    } else {
+      const errorMsg = r.apiResponse?.message || r.message || 'Failed to load email history';
+      historyDiv.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:20px;">${escapeHtml(errorMsg)}</p>`;
+    }
+  } catch(err){
+    logError('loadEmailHistory', err);
+    if(err.message && err.message.includes('404')){
+      historyDiv.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_NOTIFICATIONS}/email-history</code> is not available yet.</p>
+        </div>
+      `;
+    } else {
+      historyDiv.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:20px;">Error loading emails: ${escapeHtml(err.message || 'Unknown error')}</p>`;
+    }
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadNotificationsTab();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  loadEmailTemplate,
+  sendEmail
+});
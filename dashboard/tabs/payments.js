@@ -0,0 +1,956 @@
+/**
+ * Payments tab - list, single and multi-bill payments, advances, refunds,
+ * cheque lifecycle actions, add/edit/delete.
+ *
+ * Routes: #/payments, #/payments/:id
+ */
+
+import { API_CUSTOMERS, API_BILLS, API_PAYMENTS, API_CREDIT_NOTES } from '../api.js';
+import { showCachedDataNotice, createPagination, applyPermission } from '../shared.js';
+import { chequeStatusBadge, chequeActionButtons, changeChequeStatus } from '../cheque-actions.js';
+import { recordId } from '../router.js';
+import { createListQuery, listUrl, withoutPaging, sortableHeader, bindSortableHeaders, listSummary, pageSizeSelect, bindPageSizeSelect, mountVirtualRows } from '../list-view.js';
+import { openExportDialog, customerNameMap, billMap, exportFilename } from '../export-dialog.js';
+
+// Exports every payment matching the current search and filters, not just the page on screen
+function exportPaymentsData(){
+  const query = withoutPaging(paymentQuery);
+  openExportDialog({
+    title: 'Export payments',
+    entities: ['payments'],
+    filename: exportFilename('payments'),
+    filters: query,
+    msgId: 'pay_msg',
+    load: async () => {
+      const [res, billsRes] = await Promise.all([
+        fetchJson(listUrl(API_PAYMENTS, query), {headers:authHeader()}),
+        fetchJson(API_BILLS, {headers:authHeader()})
+      ]);
+      if(handleApiError(res, 'pay_msg', 'Failed to load payments for export')) return null;
+      const payments = toPagedResult(res.data, query, 'payments').items
+        .filter(p => p.isActive !== false && p.IsActive !== false && p.is_active !== false);
+      const bills = billsRes.ok ? toPagedResult(billsRes.data, {}, 'bills').items : [];
+      return { records: { payments }, context: { customerMap: customerNameMap(customersForPayments), billMap: billMap(bills) } };
+    }
+  });
+}
+
+// ----- Payments Tab - Edit/Delete Functions -----
+let editingPaymentId = null;
+
+async function editPayment(id, customerId, billId, amount, mode, cheque){
+  const permission = checkPermission('edit', 'payments', paymentPage.find(p => String(p.id) === String(id)));
+  if(!permission.allowed){
+    showError('pay_msg', permission.message);
+    return;
+  }
+  
+  editingPaymentId = id;
+  // Pre-fill form with payment data
+  document.getElementById('pay_customer').value = customerId;
+  document.getElementById('pay_amount').value = amount;
+  document.getElementById('pay_mode').value = mode;
+  document.getElementById('pay_cheque').value = cheque || '';
+  
+  // Change button to "Update" mode
+  const btn = document.getElementById('btnAddPayment');
+  btn.innerText = 'Update';
+  btn.dataset.mode = 'update';
+  btn.disabled = false;
+  btn.title = '';
+  
+  // Scroll to form
+  document.getElementById('pay_customer').scrollIntoView({behavior:'smooth', block:'center'});
+  showSuccess('pay_msg', 'Edit mode: Update the fields and click Update');
+
+  // The bill dropdown only lists the selected customer's bills
+  await loadPaymentBillOptions(customerId);
+  document.getElementById('pay_bill').value = billId;
+}
+
+async function updatePayment(id, customerId, billId, amount, mode, cheque){
+  setButtonLoading('btnAddPayment', 'Updating...');
+  showLoading('pay_msg', 'Updating payment...');
+  const payload = {customerId, billId, amount, mode, chequeNumber: cheque, cleared: false};
+  const r = await fetchJson(`${API_PAYMENTS}/${id}`, {method:'PUT', headers:authHeader(), body:JSON.stringify(payload)});
+  removeButtonLoading('btnAddPayment');
+  if(handleApiError(r, 'pay_msg', 'Failed to update payment')) return;
+  
+  showSuccess('pay_msg', r.queued ? r.apiResponse.message : 'Payment updated successfully!');
+  editingPaymentId = null;
+  // Reset form and button
+  document.getElementById('pay_amount').value = '';
+  document.getElementById('pay_cheque').value = '';
+  const btn = document.getElementById('btnAddPayment');
+  btn.innerText = 'Save';
+  btn.dataset.mode = 'add';
+  applyPermission(btn, 'create', 'payments');
+  paymentsDataLoaded = false;
+  loadPaymentsTab(1, '', true);
+}
+
+async function deletePayment(id){
+  const permission = checkPermission('delete', 'payments', paymentPage.find(p => String(p.id) === String(id)));
+  if(!permission.allowed){
+    showError('pay_msg', permission.message);
+    return;
+  }
+  
+  showLoading('pay_msg', 'Deleting payment...');
+  showLoadingOverlay();
+  const r = await fetchJson(`${API_PAYMENTS}/${id}`, {method:'DELETE', headers:authHeader()});
+  hideLoadingOverlay();
+  
+  // Handle case where DELETE endpoint might not be implemented yet
+  if(r.status === 404 || r.status === 405){
+    showError('pay_msg', 'Delete endpoint not available yet. Please check API documentation.');
+    logError('deletePayment', {message: 'DELETE endpoint not implemented', status: r.status});
+    return;
+  }
+  
+  if(handleApiError(r, 'pay_msg', 'Failed to delete payment')) return;
+  
+  showSuccess('pay_msg', r.queued ? r.apiResponse.message : 'Payment deleted successfully!');
+  paymentsDataLoaded = false;
+  loadPaymentsTab(1, '', true);
+}
+
+// ----- Payments Tab -----
+// The list is paged, sorted and filtered by the API; paymentPage holds the rows on screen
+let paymentQuery = createListQuery({ sort: '-paymentDate', mode: '' });
+let paymentPage = [];
+let customersForPayments = []; // Customers for the form dropdown
+let selectedBillsForPayment = []; // Store selected bills for multi-bill payment
+// The selected customer's bills with a balance left, oldest first
+let openBillsForPayment = { customerId: null, bills: [] };
+
+function toggleMultiBillMode(){
+  const enableMultiBill = document.getElementById('enableMultiBill').checked;
+  const multiBillSection = document.getElementById('multiBillSection');
+  const payBill = document.getElementById('pay_bill');
+  
+  if(enableMultiBill){
+    multiBillSection.style.display = 'block';
+    payBill.disabled = true;
+    payBill.style.opacity = '0.5';
+    loadBillsForMultiPayment();
+  } else {
+    multiBillSection.style.display = 'none';
+    payBill.disabled = false;
+    payBill.style.opacity = '1';
+    selectedBillsForPayment = [];
+    updateTotalBillAmount();
+  }
+}
+
+// Refunds pay money back to the customer, so no bill is picked
+function toggleRefundMode(){
+  const isRefund = document.getElementById('pay_refund').checked;
+  const enableMultiBill = document.getElementById('enableMultiBill');
+  const payBill = document.getElementById('pay_bill');
+  if(isRefund && enableMultiBill.checked){
+    enableMultiBill.checked = false;
+    toggleMultiBillMode();
+  }
+  enableMultiBill.disabled = isRefund;
+  payBill.disabled = isRefund;
+  payBill.style.opacity = isRefund ? '0.5' : '1';
+  document.getElementById('pay_amount').placeholder = isRefund ? 'Refund Amount *' : 'Amount *';
+}
+
+async function loadBillsForMultiPayment(){
+  const customerId = parseInt(document.getElementById('pay_customer').value);
+  if(!customerId) {
+    document.getElementById('billsCheckboxList').innerHTML = '<p style="color:#7f8c8d;padding:10px;">Please select a customer first</p>';
+    return;
+  }
+  if(String(openBillsForPayment.customerId) !== String(customerId)) await loadPaymentBillOptions(customerId);
+  if(String(openBillsForPayment.customerId) !== String(customerId)){
+    document.getElementById('billsCheckboxList').innerHTML = '<p style="color:#e74c3c;padding:10px;">Failed to load bills</p>';
+    return;
+  }
+
+  const unpaidBills = openBillsForPayment.bills;
+  if(unpaidBills.length === 0){
+    document.getElementById('billsCheckboxList').innerHTML = '<p style="color:#7f8c8d;padding:10px;">No unpaid bills for this customer</p>';
+    updateTotalBillAmount();
+    return;
+  }
+
+  const html = unpaidBills.map(bill => `
+    <div style="display:flex;align-items:center;gap:10px;padding:10px;background:#fff;border-radius:6px;margin-bottom:8px;border:1px solid #e0e0e0;">
+      <input type="checkbox" class="bill-checkbox-payment" data-bill-id="${bill.id}" data-bill-amount="${bill.balance}" data-bill-number="${escapeHtml(bill.billNumber || bill.id)}" onchange="updateBillSelection()" style="width:18px;height:18px;">
+      <div style="flex:1;">
+        <strong>Bill #${escapeHtml(bill.billNumber || bill.id)}</strong> - ₹${bill.balance.toLocaleString('en-IN', {minimumFractionDigits: 2})} due of ₹${parseFloat(bill.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})}
+        <div style="font-size:0.85rem;color:#7f8c8d;">Status: ${escapeHtml(getBillDisplayStatus(bill))} · Due ${escapeHtml(formatDateOnly(getBillDueDate(bill)))}</div>
+      </div>
+      <input type="number" step="0.01" class="bill-amount-input" data-bill-id="${bill.id}" placeholder="Amount" value="${bill.balance}" max="${bill.balance}" min="0.01" onchange="updateBillSelection()" style="width:120px;padding:6px;border:1px solid #ddd;border-radius:4px;">
+    </div>
+  `).join('');
+
+  document.getElementById('billsCheckboxList').innerHTML = html;
+  updateTotalBillAmount();
+}
+
+// Ticks the oldest bills first until the payment amount is used up
+async function autoAllocatePayment(){
+  const amount = parseFloat(document.getElementById('pay_amount').value);
+  if(!(amount > 0)){
+    showError('pay_msg', 'Enter the payment amount first');
+    return;
+  }
+  const enableMultiBill = document.getElementById('enableMultiBill');
+  if(!enableMultiBill.checked){
+    enableMultiBill.checked = true;
+    toggleMultiBillMode();
+  }
+  await loadBillsForMultiPayment();
+  const linkedBills = allocateOldestFirst(amount, openBillsForPayment.bills);
+  document.querySelectorAll('.bill-checkbox-payment').forEach(checkbox => {
+    const share = linkedBills.find(lb => String(lb.billId) === checkbox.dataset.billId);
+    checkbox.checked = !!share;
+    if(share) document.querySelector(`.bill-amount-input[data-bill-id="${share.billId}"]`).value = share.amount;
+  });
+  updateBillSelection();
+}
+
+function updateBillSelection(){
+  const checkboxes = document.querySelectorAll('.bill-checkbox-payment:checked');
+  selectedBillsForPayment = [];
+  
+  checkboxes.forEach(checkbox => {
+    const billId = parseInt(checkbox.dataset.billId);
+    const billAmount = parseFloat(checkbox.dataset.billAmount);
+    const billNumber = checkbox.dataset.billNumber;
+    const amountInput = document.querySelector(`.bill-amount-input[data-bill-id="${billId}"]`);
+    const amount = parseFloat(amountInput.value) || billAmount;
+    
+    if(amount > 0 && amount <= billAmount){
+      selectedBillsForPayment.push({
+        billId: billId,
+        amount: amount,
+        billNumber: billNumber
+      });
+    }
+  });
+  
+  // Raise the payment amount to cover the bills; anything above them is kept as credit
+  const total = roundMoney(selectedBillsForPayment.reduce((sum, b) => sum + b.amount, 0));
+  const payAmount = document.getElementById('pay_amount');
+  if(!(parseFloat(payAmount.value) >= total)) payAmount.value = total.toFixed(2);
+  updateTotalBillAmount();
+}
+
+function updateTotalBillAmount(){
+  const total = roundMoney(selectedBillsForPayment.reduce((sum, b) => sum + b.amount, 0));
+  document.getElementById('totalBillAmount').textContent = total.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+  const unallocated = roundMoney((parseFloat(document.getElementById('pay_amount').value) || 0) - total);
+  const note = document.getElementById('unallocatedAmount');
+  if(note) note.textContent = unallocated > 0 ? `₹${unallocated.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})} will be kept as advance credit` : '';
+}
+
+function clearMultiBillSelection(){
+  document.querySelectorAll('.bill-checkbox-payment').forEach(cb => cb.checked = false);
+  document.querySelectorAll('.bill-amount-input').forEach(input => {
+    const billAmount = parseFloat(input.dataset.billAmount || input.max);
+    input.value = billAmount;
+  });
+  selectedBillsForPayment = [];
+  updateTotalBillAmount();
+  document.getElementById('pay_amount').value = '';
+}
+
+function applyPaymentDateFilter(){
+  paymentQuery.from = document.getElementById('paymentFromDate').value || '';
+  paymentQuery.to = document.getElementById('paymentToDate').value || '';
+  loadPaymentsTab(1, document.getElementById('searchPayments')?.value || '');
+}
+
+function clearPaymentDateFilter(){
+  document.getElementById('paymentFromDate').value = '';
+  document.getElementById('paymentToDate').value = '';
+  paymentQuery.from = '';
+  paymentQuery.to = '';
+  loadPaymentsTab(1, document.getElementById('searchPayments')?.value || '');
+}
+
+let paymentsDataLoaded = false;
+
+function paymentRowHtml(p, canEdit, canDelete){
+  const refund = isRefundPayment(p);
+  const unallocated = paymentUnallocatedAmount(p);
+  const cheque = p.mode === 'Cheque';
+  return `
+    <tr data-payment-id="${escapeHtml(p.id)}">
+      <td>${escapeHtml(p.id)}</td>
+      <td>${escapeHtml(p.customerName || p.customerId)}</td>
+      <td>${escapeHtml(p.billId)}</td>
+      <td${refund ? ' style="color:#e74c3c;"' : ''}>${refund ? '-' : ''}₹${Math.abs(parseFloat(p.amount || 0)).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}${refund ? '<br><small>Refund</small>' : ''}${unallocated > 0 ? `<br><small style="color:#8e44ad;">₹${unallocated.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})} unallocated</small>` : ''}</td>
+      <td><span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;font-weight:500;background:#e3f2fd;color:#1976d2;text-transform:capitalize;">${escapeHtml(p.mode || 'N/A')}</span>${cheque && p.bankName ? `<br><small style="color:#7f8c8d;">${escapeHtml(p.bankName)}${p.chequeNumber ? ' #' + escapeHtml(p.chequeNumber) : ''}</small>` : ''}</td>
+      <td title="${p.paymentDate ? formatDate(p.paymentDate) : 'N/A'}">${p.paymentDate ? formatDateOnly(p.paymentDate) : 'N/A'}<br><small style="color:#7f8c8d;">${p.paymentDate ? formatRelativeTime(p.paymentDate) : ''}</small></td>
+      <td>${cheque ? chequeStatusBadge(p) : `<span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;font-weight:500;background:${p.cleared ? '#d4edda' : '#fff3cd'};color:${p.cleared ? '#155724' : '#856404'};">${p.cleared ? '✓ Cleared' : '⏳ Pending'}</span>`}</td>
+      <td style="display:flex;gap:5px;flex-wrap:wrap;">
+        ${cheque ? chequeActionButtons(p) : userCan('create', 'payments') ? `<button class="toggle-clear" data-id="${escapeHtml(p.id)}" data-newstate="${!p.cleared}" style="padding:4px 8px;background:#f39c12;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">Mark ${p.cleared?'Uncleared':'Cleared'}</button>` : ''}
+        ${canEdit && !refund && userCan('edit', 'payments', p) ? `<button class="btn-edit-payment" data-id="${escapeHtml(p.id)}" data-customer="${escapeHtml(p.customerId)}" data-bill="${escapeHtml(p.billId)}" data-amount="${escapeHtml(p.amount)}" data-mode="${escapeHtml(p.mode)}" data-cheque="${escapeHtml(p.chequeNumber||'')}" style="padding:4px 8px;background:#3498db;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">Edit</button>` : ''}
+        ${canDelete && userCan('delete', 'payments', p) ? `<button class="btn-delete-payment" data-id="${escapeHtml(p.id)}" data-amount="${escapeHtml(p.amount)}" style="padding:4px 8px;background:#e74c3c;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">Delete</button>` : ''}
+      </td>
+    </tr>`;
+}
+
+function paymentHeaderHtml(){
+  return `<tr>${sortableHeader('Id', 'id', paymentQuery)}${sortableHeader('Cust', 'customerName', paymentQuery)}${sortableHeader('Bill', 'billId', paymentQuery)}${sortableHeader('Amount', 'amount', paymentQuery)}${sortableHeader('Mode', 'mode', paymentQuery)}${sortableHeader('Payment Date', 'paymentDate', paymentQuery)}${sortableHeader('Cleared', 'cleared', paymentQuery)}<th>Action</th></tr>`;
+}
+
+// Only the selected customer's bills are offered, fetched when the customer changes
+// along with their payments and credit notes, for the balance left on each bill
+async function loadPaymentBillOptions(customerId){
+  const payBill = document.getElementById('pay_bill');
+  if(!payBill) return;
+  const placeholder = '<option value="">No bill - keep as advance credit</option>';
+  openBillsForPayment = { customerId: null, bills: [] };
+  showCustomerCredit(null);
+  if(!customerId){
+    payBill.innerHTML = '<option value="">Select a customer to list their bills</option>';
+    return;
+  }
+  payBill.innerHTML = '<option value="">Loading bills...</option>';
+  const [res, paymentsRes, creditNotesRes] = await Promise.all([
+    fetchJson(listUrl(API_BILLS, { customerId, sort: '-billDate' }), {headers:authHeader(), scope:'tab'}),
+    fetchJson(listUrl(API_PAYMENTS, { customerId }), {headers:authHeader(), scope:'tab'}),
+    fetchJson(listUrl(API_CREDIT_NOTES, { customerId }), {headers:authHeader(), scope:'tab'})
+  ]);
+  if(res.aborted) return;
+  if(!res.ok){
+    payBill.innerHTML = placeholder;
+    showError('pay_msg', getErrorMessage(res, 'Failed to load bills for this customer'));
+    return;
+  }
+  const customerName = customersForPayments.find(c => String(c.id) === String(customerId))?.name || `Customer ${customerId}`;
+  const bills = (Array.isArray(res.data) ? res.data : (res.data?.items || []))
+    .filter(b => String(b.customerId) === String(customerId) && b.isActive !== false && b.IsActive !== false && b.is_active !== false);
+  const payments = paymentsRes.ok ? toPagedResult(paymentsRes.data, {}, 'payments').items
+    .filter(p => String(p.customerId) === String(customerId) && p.isActive !== false) : [];
+  // Backends without credit notes answer 404; the customer then has none
+  const creditNotes = creditNotesRes.ok ? toPagedResult(creditNotesRes.data, {}, 'creditNotes').items
+    .filter(n => String(n.customerId) === String(customerId) && n.isActive !== false) : [];
+  if(paymentsRes.ok) openBillsForPayment = { customerId, bills: getOpenBills(bills, payments, creditNotes) };
+  showCustomerCredit(paymentsRes.ok ? getCustomerCredit(payments) : null);
+  const balances = {};
+  openBillsForPayment.bills.forEach(b => { balances[b.id] = b.balance; });
+  payBill.innerHTML = placeholder + bills.filter(b => !isCancelledBill(b)).map(b =>
+    `<option value="${escapeHtml(b.id)}" data-customer-id="${escapeHtml(b.customerId)}">${escapeHtml(b.billNumber || `Bill #${b.id}`)} - ${escapeHtml(customerName)} - ₹${parseFloat(b.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})} (${escapeHtml(b.status || 'Unpaid')}${balances[b.id] ? `, ₹${balances[b.id].toLocaleString('en-IN', {minimumFractionDigits: 2})} due` : ''})</option>`
+  ).join('');
+}
+
+// Credit the customer already holds, shown under the form
+function showCustomerCredit(credit){
+  const el = document.getElementById('pay_credit');
+  if(!el) return;
+  if(!credit || credit.available <= 0){
+    el.style.display = 'none';
+    el.innerHTML = '';
+    return;
+  }
+  el.style.display = 'block';
+  el.innerHTML = `💰 This customer has <strong>₹${credit.available.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</strong> of unallocated credit. Apply it to their bills from the customer profile.`;
+}
+
+// Form, filters and an empty table; the rows come from renderPaymentList()
+function renderPaymentsShell(tabContent){
+  const canEdit = userCan('edit', 'payments');
+  const canDelete = userCan('delete', 'payments');
+
+  tabContent.innerHTML=`<h2>Record Payment</h2>
+    <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+      <select id="pay_customer" style="flex:1;min-width:200px;padding:6px;" required>
+        <option value="">Select Customer *</option>
+        ${customersForPayments.map(c=>`<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('')}
+      </select>
+      <input type="date" id="pay_date" style="flex:1;min-width:150px;padding:6px;" value="${new Date().toISOString().split('T')[0]}">
+      <select id="pay_mode" style="flex:1;min-width:120px;padding:6px;" required>
+        <option value="">Payment Mode *</option>
+        <option value="Cash">Cash</option>
+        <option value="UPI">UPI</option>
+        <option value="Cheque">Cheque</option>
+        <option value="Card">Card</option>
+      </select>
+      <input id="pay_reference" placeholder="Payment Reference" style="flex:1;min-width:150px;padding:6px;">
+    </div>
+    <div id="multiBillSection" style="margin-bottom:15px;padding:15px;background:#f8f9fa;border-radius:8px;display:none;">
+      <h4 style="margin:0 0 10px 0;color:#2c3e50;">Select Bills to Pay (Multi-Bill Payment)</h4>
+      <div id="billsCheckboxList" style="max-height:200px;overflow-y:auto;margin-bottom:10px;"></div>
+      <div style="display:flex;justify-content:space-between;align-items:center;">
+        <div>
+          <strong>Total Amount: ₹<span id="totalBillAmount">0.00</span></strong>
+          <div id="unallocatedAmount" style="font-size:0.85rem;color:#8e44ad;"></div>
+        </div>
+        <button type="button" onclick="clearMultiBillSelection()" style="padding:6px 12px;background:#ecf0f1;color:#34495e;border:none;border-radius:6px;cursor:pointer;">Clear Selection</button>
+      </div>
+    </div>
+    <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+      <select id="pay_bill" style="flex:1;min-width:200px;padding:6px;">
+        <option value="">Select a customer to list their bills</option>
+      </select>
+      <input id="pay_amount" placeholder="Amount *" type="number" step="0.01" style="flex:1;min-width:150px;padding:6px;" required>
+      <div id="chequeFields" style="display:none;flex:1;gap:10px;flex-wrap:wrap;">
+        <input id="pay_cheque" placeholder="Cheque Number *" style="flex:1;min-width:150px;padding:6px;">
+        <input type="date" id="pay_cheque_dated" title="Cheque date (a later date makes it post-dated)" style="flex:1;min-width:150px;padding:6px;">
+        <input type="date" id="pay_cheque_date" placeholder="Cheque Clear Date" title="Expected clear date" style="flex:1;min-width:150px;padding:6px;">
+        <input id="pay_bank" placeholder="Bank Name" style="flex:1;min-width:150px;padding:6px;">
+        <input id="pay_branch" placeholder="Branch" style="flex:1;min-width:120px;padding:6px;">
+      </div>
+      <input id="pay_notes" placeholder="Notes" style="flex:1;min-width:200px;padding:6px;">
+      <button id="btnAddPayment" style="flex:0 0 auto;padding:6px 20px;">Save</button>
+    </div>
+    <div style="margin-bottom:10px;">
+      <label style="display:flex;align-items:center;gap:8px;cursor:pointer;">
+        <input type="checkbox" id="enableMultiBill" onchange="toggleMultiBillMode()" style="width:18px;height:18px;">
+        <span>Enable Multi-Bill Payment (pay multiple bills at once)</span>
+        <button type="button" onclick="autoAllocatePayment()" title="Allocate the amount to the oldest bills first" style="margin-left:auto;padding:4px 10px;background:#ecf0f1;color:#34495e;border:none;border-radius:6px;cursor:pointer;font-size:0.85rem;">⚡ Auto-allocate (oldest first)</button>
+      </label>
+      <label style="display:flex;align-items:center;gap:8px;cursor:pointer;margin-top:6px;">
+        <input type="checkbox" id="pay_refund" onchange="toggleRefundMode()" style="width:18px;height:18px;">
+        <span>Refund to customer (money paid back, not linked to a bill)</span>
+      </label>
+    </div>
+    <div id="pay_credit" style="display:none;margin-bottom:10px;padding:10px;background:#f4ecf7;color:#6c3483;border-radius:6px;font-size:0.9rem;"></div>
+    <div id="pay_msg" class="error" style="margin-bottom:10px;"></div>
+
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:15px;">
+      <h3 style="margin:0;">All Payments</h3>
+      ${userCan('export', 'payments') ? `<button onclick="exportPaymentsData()" style="padding:8px 16px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;box-shadow:0 2px 8px rgba(39,174,96,0.3);">
+        📥 Export
+      </button>` : ''}
+    </div>
+    <!-- Date Filter Section -->
+    <div class="date-filter-section" style="margin-bottom:15px;">
+      <div class="date-filter-row">
+        <div class="date-filter-group">
+          <label>From Date</label>
+          <input type="date" id="paymentFromDate" value="${escapeHtml(paymentQuery.from)}" />
+        </div>
+        <div class="date-filter-group">
+          <label>To Date</label>
+          <input type="date" id="paymentToDate" value="${escapeHtml(paymentQuery.to)}" />
+        </div>
+        <div class="date-filter-group">
+          <label>Mode</label>
+          <select id="paymentModeFilter">
+            ${['', 'Cash', 'UPI', 'Cheque', 'Card'].map(m => `<option value="${m}" ${m === paymentQuery.mode ? 'selected' : ''}>${m || 'All'}</option>`).join('')}
+          </select>
+        </div>
+        <div class="date-filter-actions">
+          <button onclick="applyPaymentDateFilter()" style="background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;">Apply Filter</button>
+          <button onclick="clearPaymentDateFilter()" class="clear-btn">Clear</button>
+        </div>
+      </div>
+    </div>
+    <div style="margin-bottom:10px;">
+      <input type="text" id="searchPayments" placeholder="Search by ID, customer, bill, amount, mode, or cheque number..." style="width:100%;padding:8px;border:1px solid #ddd;border-radius:4px;font-size:14px;" />
+    </div>
+    <div class="list-toolbar">
+      <div id="paymentCount" style="color:#666;font-size:14px;">Loading payments...</div>
+      ${pageSizeSelect('paymentPageSize', paymentQuery)}
+    </div>
+    <div class="virtual-scroll" id="paymentList">
+      <table id="tblPayments">
+        <thead>${paymentHeaderHtml()}</thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div id="payPagination" class="pagination"></div>`;
+
+  bindPageSizeSelect('paymentPageSize', paymentQuery, () => loadPaymentsTab(1, paymentQuery.search));
+  document.getElementById('paymentModeFilter').addEventListener('change', (e) => {
+    paymentQuery.mode = e.target.value;
+    loadPaymentsTab(1, paymentQuery.search);
+  });
+
+  // Search runs on the server; only the list below the box is redrawn
+  const searchInput = document.getElementById('searchPayments');
+  searchInput.value = paymentQuery.search;
+  const debouncedSearch = debounce((term) => {
+    loadPaymentsTab(1, term);
+  }, 300);
+  searchInput.addEventListener('input', (e) => debouncedSearch(e.target.value));
+
+  // Row handlers are delegated because virtual scrolling replaces the rows
+  document.getElementById('tblPayments').addEventListener('click', async (e) => {
+    const editBtn = e.target.closest('.btn-edit-payment');
+    if(editBtn && canEdit){
+      const d = editBtn.dataset;
+      editPayment(d.id, parseInt(d.customer), parseInt(d.bill), parseFloat(d.amount), d.mode, d.cheque);
+      return;
+    }
+    const deleteBtn = e.target.closest('.btn-delete-payment');
+    if(deleteBtn && canDelete){
+      if(confirm(`Are you sure you want to delete payment #${deleteBtn.dataset.id} (Amount: ${deleteBtn.dataset.amount})?`)){
+        deletePayment(deleteBtn.dataset.id);
+      }
+      return;
+    }
+    const chequeBtn = e.target.closest('.cheque-action');
+    if(chequeBtn){
+      const payment = paymentPage.find(p => String(p.id) === chequeBtn.dataset.id);
+      if(payment && await changeChequeStatus(payment, chequeBtn.dataset.status, 'pay_msg')){
+        loadPaymentsTab(paymentQuery.page, paymentQuery.search, true);
+      }
+      return;
+    }
+    // Toggle clear
+    const btn = e.target.closest('.toggle-clear');
+    if(!btn) return;
+    const paymentId=parseInt(btn.dataset.id);
+    const newState = btn.dataset.newstate==="true";
+    btn.disabled = true;
+    btn.innerHTML = '<span class="loading-spinner"></span>Updating...';
+    const r = await fetchJson(`${API_PAYMENTS}/${paymentId}/cleared`,{
+      method:"PUT",
+      headers:authHeader(),
+      body:JSON.stringify({paymentId, cleared:newState})
+    });
+    btn.disabled = false;
+    btn.innerText = `Mark ${newState ? 'Uncleared' : 'Cleared'}`;
+    if(handleApiError(r, 'pay_msg', 'Failed to update payment status')) return;
+    showSuccess('pay_msg', 'Payment status updated successfully!');
+    loadPaymentsTab(paymentQuery.page, paymentQuery.search, true);
+  });
+
+  const payCustomer=document.getElementById('pay_customer');
+  const payBill=document.getElementById('pay_bill');
+  const payMode=document.getElementById('pay_mode');
+  const chequeFields=document.getElementById('chequeFields');
+
+  // Show/hide cheque fields based on payment mode
+  payMode.addEventListener('change',()=>{
+    if(payMode.value === 'Cheque'){
+      chequeFields.style.display = 'flex';
+      document.getElementById('pay_cheque').required = true;
+    } else {
+      chequeFields.style.display = 'none';
+      document.getElementById('pay_cheque').required = false;
+    }
+  });
+
+  payCustomer.addEventListener('change',()=>{
+    loadPaymentBillOptions(parseInt(payCustomer.value));
+    
+    // Load bills for multi-bill payment if enabled
+    if(document.getElementById('enableMultiBill')?.checked){
+      loadBillsForMultiPayment();
+    }
+  });
+  document.getElementById('pay_amount').addEventListener('input', () => {
+    if(document.getElementById('enableMultiBill').checked) updateTotalBillAmount();
+  });
+
+  // Attach event listener for Add Payment button (after HTML is inserted)
+  const btnAddPayment = document.getElementById('btnAddPayment');
+  if(btnAddPayment){
+    applyPermission(btnAddPayment, 'create', 'payments');
+    btnAddPayment.addEventListener('click',async()=>{
+      clearMessage('pay_msg');
+      const customerId=parseInt(payCustomer.value);
+      const enableMultiBill = document.getElementById('enableMultiBill')?.checked;
+      let billId = parseInt(payBill.value);
+      const amount=parseFloat(document.getElementById('pay_amount').value);
+      const mode=document.getElementById('pay_mode').value;
+      const paymentDate=document.getElementById('pay_date').value;
+      const paymentReference=document.getElementById('pay_reference').value.trim();
+      const cheque=document.getElementById('pay_cheque').value.trim();
+      const chequeClearDate=document.getElementById('pay_cheque_date').value;
+      const chequeDate=document.getElementById('pay_cheque_dated').value;
+      const bankName=document.getElementById('pay_bank').value.trim();
+      const bankBranch=document.getElementById('pay_branch').value.trim();
+      const notes=document.getElementById('pay_notes').value.trim();
+      
+      // Refunds are saved as negative payments and are not allocated to bills
+      if(document.getElementById('pay_refund').checked && !editingPaymentId){
+        const validation = validateRefund({customerId, amount, mode});
+        if(!validation.valid){
+          showError('pay_msg', validation.errors.map(e => e.message).join(', '));
+          return;
+        }
+        if(mode === 'Cheque' && !cheque){
+          showError('pay_msg', 'Cheque number is required for Cheque payments');
+          return;
+        }
+        const permission = checkPermission('create', 'payments', {amount});
+        if(!permission.allowed){
+          showError('pay_msg', permission.message);
+          return;
+        }
+        await saveRefund({
+          customerId,
+          amount: -roundMoney(amount),
+          paymentDate: paymentDate ? new Date(paymentDate).toISOString() : new Date().toISOString(),
+          mode,
+          paymentReference: paymentReference || null,
+          chequeNumber: mode === 'Cheque' ? cheque : null,
+          notes: notes || null,
+          cleared: mode !== 'Cheque',
+          linkedBills: []
+        });
+        return;
+      }
+      
+      // Validation
+      if(!customerId || !amount || !mode){
+        showError('pay_msg', 'Please fill all required fields');
+        return;
+      }
+      
+      if(mode === 'Cheque' && !cheque){
+        showError('pay_msg', 'Cheque number is required for Cheque payments');
+        return;
+      }
+      
+      // Bill allocations; whatever the bills do not take is kept as advance credit
+      let linkedBills = [];
+      const openBills = String(openBillsForPayment.customerId) === String(customerId) ? openBillsForPayment.bills : null;
+      if(enableMultiBill){
+        if(selectedBillsForPayment.length === 0){
+          showError('pay_msg', 'Please select at least one bill for multi-bill payment');
+          return;
+        }
+        billId = selectedBillsForPayment[0].billId; // Primary bill
+        linkedBills = selectedBillsForPayment.map(b => ({ billId: b.billId, amount: b.amount }));
+      } else if(billId && !editingPaymentId){
+        // Single bill payment: the bill takes up to its balance
+        const bill = openBills && openBills.find(b => String(b.id) === String(billId));
+        if(openBills && !bill){
+          showError('pay_msg', `Bill #${billId} has nothing left to pay; leave the bill empty to keep the payment as advance credit`);
+          return;
+        }
+        linkedBills = [{ billId: billId, amount: bill ? Math.min(roundMoney(amount), bill.balance) : amount }];
+      }
+      if(!editingPaymentId){
+        const allocation = validatePaymentAllocations(amount, linkedBills, openBills || undefined);
+        if(!allocation.valid){
+          showError('pay_msg', allocation.errors.map(e => e.message).join(', '));
+          return;
+        }
+      }
+      const unallocated = roundMoney(amount - linkedBills.reduce((sum, lb) => sum + lb.amount, 0));
+      
+      // Check if in edit mode
+      if(editingPaymentId){
+        const validation = validatePaymentForm({customerId, billId, amount, mode});
+        if(!validation.valid){
+          showError('pay_msg', validation.errors.map(e => e.message).join(', '));
+          return;
+        }
+        const editing = paymentPage.find(p => String(p.id) === String(editingPaymentId));
+        const permission = checkPermission('edit', 'payments', {...editing, amount});
+        if(!permission.allowed){
+          showError('pay_msg', permission.message);
+          return;
+        }
+        await updatePayment(editingPaymentId, customerId, billId, amount, mode, cheque);
+        return;
+      }
+      
+      // Add new payment
+      const permission = checkPermission('create', 'payments', {amount});
+      if(!permission.allowed){
+        showError('pay_msg', permission.message);
+        return;
+      }
+      const payload={
+        customerId,
+        billId: billId || selectedBillsForPayment[0]?.billId,
+        amount,
+        paymentDate: paymentDate ? new Date(paymentDate).toISOString() : new Date().toISOString(),
+        mode,
+        paymentReference: paymentReference || null,
+        chequeNumber: mode === 'Cheque' ? cheque : null,
+        chequeClearDate: mode === 'Cheque' && chequeClearDate ? new Date(chequeClearDate).toISOString() : null,
+        chequeDate: mode === 'Cheque' && chequeDate ? new Date(chequeDate).toISOString() : null,
+        bankName: mode === 'Cheque' ? bankName || null : null,
+        bankBranch: mode === 'Cheque' ? bankBranch || null : null,
+        notes: notes || null,
+        cleared: mode === 'Cheque' ? false : true,
+        linkedBills: linkedBills
+      };
+      
+      setButtonLoading('btnAddPayment', 'Saving...');
+      showLoading('pay_msg', 'Saving payment...');
+      const r=await fetchJson(API_PAYMENTS,{method:'POST',headers:authHeader(),body:JSON.stringify(payload)});
+      removeButtonLoading('btnAddPayment');
+      if(handleApiError(r, 'pay_msg', 'Failed to save payment')) return;
+      showSuccess('pay_msg', r.queued ? r.apiResponse.message
+        : unallocated > 0 ? `Payment saved successfully! ₹${unallocated.toFixed(2)} is kept as advance credit.` : 'Payment saved successfully!');
+      
+      // Reset form
+      document.getElementById('pay_customer').value = '';
+      loadPaymentBillOptions(null);
+      document.getElementById('pay_amount').value = '';
+      document.getElementById('pay_mode').value = '';
+      document.getElementById('pay_reference').value = '';
+      document.getElementById('pay_cheque').value = '';
+      document.getElementById('pay_cheque_date').value = '';
+      document.getElementById('pay_cheque_dated').value = '';
+      document.getElementById('pay_bank').value = '';
+      document.getElementById('pay_branch').value = '';
+      document.getElementById('pay_notes').value = '';
+      document.getElementById('pay_date').value = new Date().toISOString().split('T')[0];
+      document.getElementById('enableMultiBill').checked = false;
+      toggleMultiBillMode();
+      selectedBillsForPayment = [];
+      
+      loadPaymentsTab();
+      document.getElementById('tblPayments').scrollIntoView({behavior:"smooth"});
+    });
+  }
+}
+
+async function saveRefund(payload){
+  setButtonLoading('btnAddPayment', 'Saving...');
+  showLoading('pay_msg', 'Saving refund...');
+  const r = await fetchJson(API_PAYMENTS, {method:'POST', headers:authHeader(), body:JSON.stringify(payload)});
+  removeButtonLoading('btnAddPayment');
+  if(handleApiError(r, 'pay_msg', 'Failed to save refund')) return;
+  showSuccess('pay_msg', r.queued ? r.apiResponse.message : 'Refund saved successfully!');
+  ['pay_customer', 'pay_amount', 'pay_mode', 'pay_reference', 'pay_cheque', 'pay_cheque_date', 'pay_cheque_dated', 'pay_bank', 'pay_branch', 'pay_notes'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  document.getElementById('pay_date').value = new Date().toISOString().split('T')[0];
+  document.getElementById('pay_refund').checked = false;
+  toggleRefundMode();
+  loadPaymentsTab(1, paymentQuery.search, true);
+}
+
+// Fetches the current page of paymentQuery and redraws the table, count and pager
+async function renderPaymentList(){
+  const res=await fetchJson(listUrl(API_PAYMENTS, paymentQuery),{headers:authHeader(), scope:'tab'});
+  if(res.aborted) return;
+  if(!res.ok){
+    logError('loadPaymentsTab', res);
+    showError('pay_msg', getErrorMessage(res, 'Failed to load payments'));
+    return;
+  }
+  const result = toPagedResult(res.data, paymentQuery, 'payments');
+  paymentsDataLoaded = true;
+  paymentQuery.page = result.page;
+  paymentPage = result.items.filter(p => (p.isActive === undefined || p.isActive !== false) && (p.IsActive === undefined || p.IsActive !== false) && (p.is_active === undefined || p.is_active !== false));
+
+  const table = document.getElementById('tblPayments');
+  if(!table) return;
+  const canEdit = userCan('edit', 'payments');
+  const canDelete = userCan('delete', 'payments');
+
+  table.querySelector('thead').innerHTML = paymentHeaderHtml();
+  bindSortableHeaders(table, paymentQuery, () => loadPaymentsTab(1, paymentQuery.search));
+  mountVirtualRows(table.querySelector('tbody'), paymentPage, p => paymentRowHtml(p, canEdit, canDelete), { colspan: 8 });
+
+  document.getElementById('paymentCount').innerText = listSummary(result, 'payments');
+  createPagination('payPagination', result.totalPages, result.page, (p) => loadPaymentsTab(p, paymentQuery.search));
+  showCachedDataNotice('pay_msg', res);
+}
+
+// Customers for the form dropdown, loaded once per visit to the tab
+async function loadCustomersForPayments(){
+  const custRes = await fetchJson(API_CUSTOMERS,{headers:authHeader(), scope:'tab'});
+  if(!custRes.ok){
+    if(!custRes.aborted) logError('loadCustomersForPayments', custRes);
+    return custRes;
+  }
+  customersForPayments = (custRes.data||[]).filter(c => (c.isActive === undefined || c.isActive !== false) && (c.IsActive === undefined || c.IsActive !== false) && (c.is_active === undefined || c.is_active !== false));
+  return custRes;
+}
+
+async function loadPaymentsTab(page=1, searchTerm='', forceLoad=false){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  // If data not loaded and not forced, show button to load
+  if(!paymentsDataLoaded && !forceLoad){
+    const html = `
+      <div id="payments-content">
+        <h2>Record Payment</h2>
+        <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+          <select id="pay_customer" style="flex:1;min-width:200px;padding:6px;" required>
+            <option value="">Select Customer *</option>
+          </select>
+          <input type="date" id="pay_date" style="flex:1;min-width:150px;padding:6px;" value="${new Date().toISOString().split('T')[0]}">
+          <select id="pay_mode" style="flex:1;min-width:120px;padding:6px;" required>
+            <option value="">Payment Mode *</option>
+            <option value="Cash">Cash</option>
+            <option value="UPI">UPI</option>
+            <option value="Cheque">Cheque</option>
+            <option value="Card">Card</option>
+          </select>
+          <input id="pay_reference" placeholder="Payment Reference" style="flex:1;min-width:150px;padding:6px;">
+        </div>
+        <div id="pay_msg" class="error" style="margin-bottom:10px;"></div>
+        <div style="text-align:center;padding:40px;background:var(--bg-secondary);border-radius:12px;border:2px dashed var(--border-color);">
+          <h3 style="color:var(--text-primary);margin-bottom:15px;">All Payments</h3>
+          <p style="color:var(--text-secondary);margin-bottom:20px;">Click the button below to load payments data</p>
+          <button onclick="loadPaymentsTab(1, '', true)" style="padding:12px 30px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;font-size:1rem;box-shadow:0 4px 15px rgba(102,126,234,0.3);">📋 Load Payments</button>
+        </div>
+      </div>
+    `;
+    tabContent.innerHTML = html;
+    
+    // Load customers for dropdown (minimal call)
+    fetchJson(API_CUSTOMERS,{headers:authHeader()}).then(custRes => {
+      if(custRes.ok && custRes.data){
+        const customers = (custRes.data||[]).filter(c => (c.isActive === undefined || c.isActive !== false) && (c.IsActive === undefined || c.IsActive !== false) && (c.is_active === undefined || c.is_active !== false));
+        const select = document.getElementById('pay_customer');
+        if(select){
+          select.innerHTML = '<option value="">Select Customer *</option>' + customers.map(c=>`<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+        }
+      }
+    }).catch(err => logError('loadCustomersForPayments', err));
+    return;
+  }
+  
+  paymentQuery.page = page;
+  paymentQuery.search = searchTerm;
+  if(!document.getElementById('paymentList')){
+    const custRes = await loadCustomersForPayments();
+    if(custRes.aborted) return;
+    renderPaymentsShell(tabContent);
+    if(!custRes.ok){
+      showError('pay_msg', getErrorMessage(custRes, 'Failed to load customers'));
+      // If authentication failed, redirect to login
+      if(custRes.status === 401) setTimeout(() => logoutAndRedirect(), 2000);
+    }
+  }
+  const searchInput = document.getElementById('searchPayments');
+  if(searchInput && searchInput.value !== searchTerm) searchInput.value = searchTerm;
+  await renderPaymentList();
+}
+
+// 1. Recent Activity Function
+function loadRecentActivity(customers, bills, payments){
+  const recentActivitySection = document.getElementById('recentActivitySection');
+  if(!recentActivitySection) return;
+  
+  // Recent Customers (last 5)
+  const recentCustomers = [...customers]
+    .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+    .slice(0, 5);
+  
+  const recentCustomersEl = document.getElementById('recentCustomers');
+  if(recentCustomersEl){
+    if(recentCustomers.length === 0){
+      recentCustomersEl.innerHTML = '<p style="color:#7f8c8d;text-align:center;padding:20px;">No customers yet</p>';
+    } else {
+      recentCustomersEl.innerHTML = recentCustomers.map(c => `
+        <div class="activity-item">
+          <div class="activity-item-header">
+            <span class="activity-item-title">${escapeHtml(c.name)}</span>
+            <span class="activity-item-date">${c.createdAt ? formatRelativeTime(c.createdAt) : 'N/A'}</span>
+          </div>
+          <div class="activity-item-details">${escapeHtml(c.phone)} • ${escapeHtml(c.address || 'No address')}</div>
+        </div>
+      `).join('');
+    }
+  }
+  
+  // Recent Bills (last 5)
+  const recentBills = [...bills]
+    .sort((a, b) => new Date(b.billDate || b.createdAt || 0) - new Date(a.billDate || a.createdAt || 0))
+    .slice(0, 5);
+  
+  const recentBillsEl = document.getElementById('recentBills');
+  if(recentBillsEl){
+    if(recentBills.length === 0){
+      recentBillsEl.innerHTML = '<p style="color:#7f8c8d;text-align:center;padding:20px;">No bills yet</p>';
+    } else {
+      recentBillsEl.innerHTML = recentBills.map(b => {
+        const statusColor = (b.status === 'Pending' || b.status === 'pending') ? '#856404' : '#155724';
+        const statusBg = (b.status === 'Pending' || b.status === 'pending') ? '#fff3cd' : '#d4edda';
+        return `
+        <div class="activity-item">
+          <div class="activity-item-header">
+            <span class="activity-item-title">Bill #${escapeHtml(b.id)}</span>
+            <span class="activity-item-date">${b.billDate ? formatRelativeTime(b.billDate) : (b.createdAt ? formatRelativeTime(b.createdAt) : 'N/A')}</span>
+          </div>
+          <div class="activity-item-details">
+            ₹${parseFloat(b.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})} • 
+            <span style="padding:2px 6px;border-radius:3px;font-size:0.8rem;background:${statusBg};color:${statusColor};">${escapeHtml(b.status || 'N/A')}</span>
+          </div>
+        </div>
+      `;
+      }).join('');
+    }
+  }
+  
+  // Recent Payments (last 5)
+  const recentPayments = [...payments]
+    .sort((a, b) => new Date(b.paymentDate || b.createdAt || 0) - new Date(a.paymentDate || a.createdAt || 0))
+    .slice(0, 5);
+  
+  const recentPaymentsEl = document.getElementById('recentPayments');
+  if(recentPaymentsEl){
+    if(recentPayments.length === 0){
+      recentPaymentsEl.innerHTML = '<p style="color:#7f8c8d;text-align:center;padding:20px;">No payments yet</p>';
+    } else {
+      recentPaymentsEl.innerHTML = recentPayments.map(p => {
+        const clearedStatus = p.cleared ? '✓ Cleared' : '⏳ Pending';
+        const clearedColor = p.cleared ? '#155724' : '#856404';
+        const clearedBg = p.cleared ? '#d4edda' : '#fff3cd';
+        return `
+        <div class="activity-item">
+          <div class="activity-item-header">
+            <span class="activity-item-title">Payment #${escapeHtml(p.id)}</span>
+            <span class="activity-item-date">${p.paymentDate ? formatRelativeTime(p.paymentDate) : (p.createdAt ? formatRelativeTime(p.createdAt) : 'N/A')}</span>
+          </div>
+          <div class="activity-item-details">
+            ₹${parseFloat(p.amount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})} • 
+            <span style="text-transform:capitalize;">${escapeHtml(p.mode || 'N/A')}</span> • 
+            <span style="padding:2px 6px;border-radius:3px;font-size:0.8rem;background:${clearedBg};color:${clearedColor};">${clearedStatus}</span>
+          </div>
+        </div>
+      `;
+      }).join('');
+    }
+  }
+  
+  if(recentActivitySection && (recentCustomers.length > 0 || recentBills.length > 0 || recentPayments.length > 0)){
+    recentActivitySection.style.display = 'block';
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadPaymentsTab(1, '', false);
+}
+
+// #/payments/:id lists just that payment (an exact id filter) and highlights its row;
+// the next search, sort or page change shows the full list again
+export async function show([paymentId]){
+  if(!paymentId) return;
+  const id = recordId(paymentId);
+
+  paymentQuery = { ...createListQuery({ sort: paymentQuery.sort, pageSize: paymentQuery.pageSize, mode: '' }), id };
+  ['paymentFromDate', 'paymentToDate', 'paymentModeFilter'].forEach(inputId => {
+    const input = document.getElementById(inputId);
+    if(input) input.value = '';
+  });
+  await loadPaymentsTab(1, '', true);
+  delete paymentQuery.id;
+
+  const row = Array.from(document.querySelectorAll('#tblPayments tr[data-payment-id]')).find(tr => tr.dataset.paymentId === String(id));
+  if(!row){
+    showError('pay_msg', `Payment #${paymentId} was not found`);
+    return;
+  }
+  row.style.background = '#fff3cd';
+  row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  exportPaymentsData,
+  toggleMultiBillMode,
+  toggleRefundMode,
+  autoAllocatePayment,
+  updateBillSelection,
+  clearMultiBillSelection,
+  applyPaymentDateFilter,
+  clearPaymentDateFilter,
+  loadPaymentsTab
+});
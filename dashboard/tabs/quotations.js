@@ -0,0 +1,384 @@
+/**
+ * Quotations tab - estimates with line items and a validity date, their
+ * draft/sent/accepted/rejected/expired status, PDF download and conversion of
+ * an accepted quotation into a bill. The status rules live in quotations.js.
+ *
+ * Routes: #/quotations, #/quotations/:id (opens that quotation's items)
+ */
+
+import { API_CUSTOMERS, API_QUOTATIONS } from '../api.js';
+import { showCachedDataNotice, applyPermission } from '../shared.js';
+import { navigate, entityPath, recordId } from '../router.js';
+import { createLineItemsEditor } from '../line-items-editor.js';
+import { openExportDialog, customerNameMap, exportFilename } from '../export-dialog.js';
+
+let quotes = [];
+let quoteCustomers = [];
+let editingQuoteId = null;
+let openQuoteId = null;
+
+const quoteItems = createLineItemsEditor({ prefix: 'quote', customers: () => quoteCustomers });
+
+function money(value){
+  return '₹' + value.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+function today(){
+  return new Date().toISOString().slice(0, 10);
+}
+
+async function loadQuotationsTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  // Editing uses the same form, so it is shown to roles that can only edit too
+  const showForm = userCan('create', 'quotations') || userCan('edit', 'quotations');
+
+  tabContent.innerHTML = `
+    <div id="quotations-content">
+      <h2>📝 Quotations</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Estimates for customers. Once a quotation is accepted it can be turned into a bill in one click.</p>
+      ${showForm ? `
+      <h3 id="quote_form_title" style="margin-top:0;">New Quotation</h3>
+      <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+        <select id="quote_customer" style="flex:1;min-width:200px;padding:6px;" required>
+          <option value="">Select customer *</option>
+        </select>
+        <input id="quote_amount" placeholder="Total (from items)" type="number" step="0.01" style="flex:1;min-width:150px;padding:6px;" readonly>
+        <label style="flex:1;min-width:150px;display:flex;align-items:center;gap:6px;color:#666;font-size:0.9rem;">Date
+          <input type="date" id="quote_date" style="flex:1;padding:6px;">
+        </label>
+        <label style="flex:1;min-width:150px;display:flex;align-items:center;gap:6px;color:#666;font-size:0.9rem;">Valid until
+          <input type="date" id="quote_validUntil" style="flex:1;padding:6px;">
+        </label>
+      </div>
+      ${quoteItems.html()}
+      <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;">
+        <input id="quote_notes" placeholder="Notes" style="flex:2;min-width:200px;padding:6px;">
+        <button id="btnSaveQuote" style="flex:0 0 auto;padding:6px 20px;">Save Draft</button>
+        <button id="btnCancelQuote" class="clear-btn" style="flex:0 0 auto;padding:6px 14px;display:none;">Cancel</button>
+      </div>` : ''}
+      <div id="quote_msg" style="margin-bottom:10px;"></div>
+      <div class="list-toolbar">
+        <div id="quoteCount" style="color:#666;font-size:14px;">Loading quotations...</div>
+        <select id="quoteStatusFilter" style="padding:6px;">
+          <option value="">All statuses</option>
+          ${QUOTE_STATUSES.map(s => `<option value="${s.key}">${s.label}</option>`).join('')}
+        </select>
+        ${userCan('export', 'quotations') ? `<button id="btnExportQuotes" style="padding:6px 12px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">📥 Export</button>` : ''}
+      </div>
+      <div id="quoteList"></div>
+    </div>
+  `;
+
+  if(showForm){
+    quoteItems.init();
+    resetQuoteDates();
+    document.getElementById('quote_date').addEventListener('change', () => {
+      const validInput = document.getElementById('quote_validUntil');
+      if(!validInput.dataset.manual) validInput.value = defaultQuoteValidUntil(document.getElementById('quote_date').value);
+    });
+    document.getElementById('quote_validUntil').addEventListener('change', (e) => {
+      e.target.dataset.manual = e.target.value ? '1' : '';
+    });
+    document.getElementById('btnSaveQuote').addEventListener('click', submitQuoteForm);
+    document.getElementById('btnCancelQuote').addEventListener('click', resetQuoteForm);
+    applyPermission(document.getElementById('btnSaveQuote'), 'create', 'quotations');
+  }
+  document.getElementById('quoteStatusFilter').addEventListener('change', renderQuoteList);
+  document.getElementById('btnExportQuotes')?.addEventListener('click', exportQuotations);
+  document.getElementById('quoteList').addEventListener('click', handleListClick);
+  await fetchQuotations();
+}
+
+async function fetchQuotations(){
+  const opts = {headers:authHeader(), scope:'tab'};
+  const [quotesRes, customersRes] = await Promise.all([fetchJson(API_QUOTATIONS, opts), fetchJson(API_CUSTOMERS, opts)]);
+  if(quotesRes.aborted || customersRes.aborted) return;
+  if(customersRes.ok){
+    quoteCustomers = toPagedResult(customersRes.data, {}, 'customers').items.filter(c => c.isActive !== false);
+    fillCustomerSelect();
+  }
+  if(handleApiError(quotesRes, 'quote_msg', 'Failed to load quotations')){
+    document.getElementById('quoteCount').innerText = '';
+    return;
+  }
+  showCachedDataNotice('quote_msg', quotesRes);
+  quotes = toPagedResult(quotesRes.data, {}, 'quotations').items.filter(q => q.isActive !== false);
+  renderQuoteList();
+}
+
+function fillCustomerSelect(){
+  const select = document.getElementById('quote_customer');
+  if(!select) return;
+  const selected = select.value;
+  select.innerHTML = `<option value="">Select customer *</option>` +
+    quoteCustomers.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+  select.value = selected;
+}
+
+function customerFor(quote){
+  return quoteCustomers.find(c => String(c.id) === String(quote.customerId));
+}
+
+function statusBadge(status){
+  const color = getQuoteStatusInfo(status).color;
+  return `<span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;font-weight:500;background:${color}22;color:${color};">${status}</span>`;
+}
+
+function itemsHtml(quote){
+  const totals = calculateBillTotals(quote.items || []);
+  return `
+    <table style="margin:0;">
+      <thead><tr><th>Item</th><th>Qty</th><th style="text-align:right;">Rate</th><th>Disc %</th><th>Tax %</th><th style="text-align:right;">Amount</th></tr></thead>
+      <tbody>${totals.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}${line.hsnSac ? ` <small style="color:#7f8c8d;">(${escapeHtml(line.hsnSac)})</small>` : ''}</td>
+          <td>${escapeHtml(line.quantity)} ${escapeHtml(line.unit)}</td>
+          <td style="text-align:right;">${money(line.rate)}</td>
+          <td>${escapeHtml(line.discount)}</td>
+          <td>${escapeHtml(line.taxRate)}</td>
+          <td style="text-align:right;">${money(line.total)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    ${quote.notes ? `<p style="margin:8px 0 0;color:#666;">${escapeHtml(quote.notes)}</p>` : ''}`;
+}
+
+function renderQuoteList(){
+  const listEl = document.getElementById('quoteList');
+  if(!listEl) return;
+  const filter = document.getElementById('quoteStatusFilter').value;
+  const rows = quotes.filter(q => !filter || getQuoteStatus(q) === filter);
+  const canEdit = quote => userCan('edit', 'quotations', quote);
+  const canDelete = quote => userCan('delete', 'quotations', quote);
+
+  document.getElementById('quoteCount').innerText = filter ? `${rows.length} of ${quotes.length} quotation(s)` : `${quotes.length} quotation(s)`;
+  if(rows.length === 0){
+    listEl.innerHTML = `<p style="color:#7f8c8d;text-align:center;padding:20px;">${quotes.length ? 'No quotations with this status' : 'No quotations yet'}</p>`;
+    return;
+  }
+
+  const btn = (action, id, label, color, extra = '') => `<button data-action="${action}" data-id="${escapeHtml(id)}" ${extra} style="padding:4px 8px;background:${color};color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">${label}</button>`;
+  const labels = { Sent: ['Mark sent', '#3498db'], Accepted: ['Accept', '#27ae60'], Rejected: ['Reject', '#e74c3c'] };
+  listEl.innerHTML = `
+    <table id="tblQuotes">
+      <thead><tr><th>Quotation #</th><th>Customer</th><th style="text-align:right;">Amount</th><th>Date</th><th>Valid Until</th><th>Status</th><th>Actions</th></tr></thead>
+      <tbody>${rows.map(q => {
+        const status = getQuoteStatus(q);
+        const customer = customerFor(q);
+        const open = String(openQuoteId) === String(q.id);
+        return `
+        <tr data-quote-id="${escapeHtml(q.id)}">
+          <td><a href="javascript:void(0)" data-action="open" data-id="${escapeHtml(q.id)}" style="color:#667eea;">${escapeHtml(q.quoteNumber || '#' + q.id)}</a></td>
+          <td><a href="javascript:void(0)" data-entity="Customer" data-id="${escapeHtml(q.customerId)}" style="color:#667eea;text-decoration:none;">${escapeHtml(customer ? customer.name : `Customer #${q.customerId}`)}</a></td>
+          <td style="text-align:right;">${money(parseFloat(q.amount) || 0)}</td>
+          <td>${formatDateOnly(q.quoteDate || q.createdAt)}</td>
+          <td>${formatDateOnly(q.validUntil)}</td>
+          <td>
+            ${statusBadge(status)}
+            ${q.convertedBillId ? `<br><a href="javascript:void(0)" data-entity="Bill" data-id="${escapeHtml(q.convertedBillId)}" style="color:#667eea;font-size:0.85rem;">→ Bill #${escapeHtml(q.convertedBillId)}</a>` : ''}
+          </td>
+          <td style="display:flex;gap:5px;flex-wrap:wrap;">
+            ${btn('pdf', q.id, '📄 PDF', '#7f8c8d')}
+            ${canEdit(q) ? getQuoteActions(q).map(next => btn('status', q.id, labels[next][0], labels[next][1], `data-status="${next}"`)).join('') : ''}
+            ${canConvertQuote(q) && userCan('create', 'bills', {billAmount: q.amount}) ? btn('convert', q.id, '🧾 Convert to bill', '#667eea') : ''}
+            ${canEdit(q) && canEditQuote(q) ? btn('edit', q.id, 'Edit', '#3498db') : ''}
+            ${canDelete(q) && !q.convertedBillId ? btn('delete', q.id, 'Delete', '#e74c3c') : ''}
+          </td>
+        </tr>
+        ${open ? `<tr class="quote-items"><td colspan="7" style="background:#f8f9fa;">${itemsHtml(q)}</td></tr>` : ''}`;
+      }).join('')}
+      </tbody>
+    </table>`;
+}
+
+// ----- Form -----
+function resetQuoteDates(quote){
+  const quoteDate = ledgerDay(quote ? quote.quoteDate || quote.createdAt : today());
+  const validInput = document.getElementById('quote_validUntil');
+  document.getElementById('quote_date').value = quoteDate;
+  validInput.value = quote ? ledgerDay(quote.validUntil) : defaultQuoteValidUntil(quoteDate);
+  validInput.dataset.manual = quote ? '1' : '';
+}
+
+function resetQuoteForm(){
+  editingQuoteId = null;
+  if(!document.getElementById('btnSaveQuote')) return;
+  document.getElementById('quote_form_title').innerText = 'New Quotation';
+  document.getElementById('btnSaveQuote').innerText = 'Save Draft';
+  applyPermission(document.getElementById('btnSaveQuote'), 'create', 'quotations');
+  document.getElementById('btnCancelQuote').style.display = 'none';
+  document.getElementById('quote_customer').value = '';
+  document.getElementById('quote_notes').value = '';
+  quoteItems.reset();
+  resetQuoteDates();
+}
+
+function editQuote(quote){
+  editingQuoteId = quote.id;
+  document.getElementById('quote_form_title').innerText = `Edit Quotation ${quote.quoteNumber || '#' + quote.id}`;
+  document.getElementById('btnSaveQuote').innerText = 'Update';
+  document.getElementById('btnSaveQuote').disabled = false;
+  document.getElementById('btnSaveQuote').title = '';
+  document.getElementById('btnCancelQuote').style.display = '';
+  document.getElementById('quote_customer').value = quote.customerId;
+  document.getElementById('quote_notes').value = quote.notes || '';
+  quoteItems.reset(quote.items || []);
+  resetQuoteDates(quote);
+  document.getElementById('quote_customer').scrollIntoView({behavior:'smooth', block:'center'});
+}
+
+async function submitQuoteForm(){
+  clearMessage('quote_msg');
+  const customerId = parseInt(document.getElementById('quote_customer').value);
+  const items = quoteItems.read();
+  const quoteDate = document.getElementById('quote_date').value || today();
+  const validUntil = document.getElementById('quote_validUntil').value;
+  const notes = document.getElementById('quote_notes').value.trim();
+
+  const check = validateQuotation({customerId, items, quoteDate, validUntil, notes});
+  if(!check.valid){
+    showError('quote_msg', check.errors.map(e => e.message).join(', '));
+    return;
+  }
+  const totals = calculateBillTotals(items);
+  const payload = {
+    customerId,
+    amount: totals.grandTotal,
+    quoteDate: new Date(quoteDate + 'T00:00:00Z').toISOString(),
+    validUntil,
+    notes: notes || null,
+    ...quoteItems.payload(totals, customerId)
+  };
+
+  const editing = editingQuoteId;
+  const permission = editing
+    ? checkPermission('edit', 'quotations', {...quotes.find(q => String(q.id) === String(editing)), amount: payload.amount})
+    : checkPermission('create', 'quotations', payload);
+  if(!permission.allowed){
+    showError('quote_msg', permission.message);
+    return;
+  }
+  setButtonLoading('btnSaveQuote', 'Saving...');
+  showLoading('quote_msg', 'Saving quotation...');
+  const r = await fetchJson(editing ? `${API_QUOTATIONS}/${editing}` : API_QUOTATIONS, {method: editing ? 'PUT' : 'POST', headers:authHeader(), body:JSON.stringify(payload)});
+  removeButtonLoading('btnSaveQuote');
+  if(handleApiError(r, 'quote_msg', editing ? 'Failed to update quotation' : 'Failed to save quotation')) return;
+  resetQuoteForm();
+  await fetchQuotations();
+  showSuccess('quote_msg', r.queued ? r.apiResponse.message : editing ? 'Quotation updated' : `Quotation ${r.data.quoteNumber || '#' + r.data.id} saved as a draft`);
+}
+
+// ----- Actions -----
+async function changeStatus(quote, status){
+  const check = validateQuoteTransition(quote, status);
+  if(!check.valid){
+    showError('quote_msg', check.errors.map(e => e.message).join(', '));
+    return;
+  }
+  showLoading('quote_msg', 'Updating quotation...');
+  const r = await fetchJson(`${API_QUOTATIONS}/${quote.id}/status`, {method:'PUT', headers:authHeader(), body:JSON.stringify({ status })});
+  if(handleApiError(r, 'quote_msg', 'Failed to update quotation')) return;
+  await fetchQuotations();
+  showSuccess('quote_msg', r.queued ? r.apiResponse.message : `${quote.quoteNumber || 'Quotation'} marked ${status.toLowerCase()}`);
+}
+
+// The bill is raised by the server so the quotation records it; the new bill opens when done
+async function convertQuote(quote){
+  if(!canConvertQuote(quote)) return;
+  if(!offlineSync.isOnline()){
+    showError('quote_msg', 'Quotations can only be converted while online');
+    return;
+  }
+  const bill = quotationToBill(quote, customerFor(quote));
+  const permission = checkPermission('create', 'bills', bill);
+  if(!permission.allowed){
+    showError('quote_msg', permission.message);
+    return;
+  }
+  if(!confirm(`Raise a bill of ${money(bill.billAmount)} for ${quote.quoteNumber || 'this quotation'}?`)) return;
+  showLoading('quote_msg', 'Raising bill...');
+  const r = await fetchJson(`${API_QUOTATIONS}/${quote.id}/convert`, {method:'POST', headers:authHeader(), body:JSON.stringify(bill)});
+  if(handleApiError(r, 'quote_msg', 'Failed to convert quotation')) return;
+  navigate(entityPath('Bill', r.data.bill.id));
+}
+
+function downloadQuotePDF(quote){
+  const customer = customerFor(quote);
+  if(!customer){
+    showError('quote_msg', 'Customer not found');
+    return;
+  }
+  if(generatePDFQuotation(quote, customer)) showSuccess('quote_msg', 'Quotation PDF downloaded');
+  else showError('quote_msg', 'Failed to generate quotation PDF');
+}
+
+async function handleListClick(e){
+  const link = e.target.closest('[data-entity]');
+  if(link){
+    navigate(entityPath(link.dataset.entity, link.dataset.id));
+    return;
+  }
+  const btn = e.target.closest('[data-action]');
+  if(!btn) return;
+  const quote = quotes.find(q => String(q.id) === btn.dataset.id);
+  if(!quote) return;
+  clearMessage('quote_msg');
+
+  switch(btn.dataset.action){
+    case 'open':
+      navigate(String(openQuoteId) === String(quote.id) ? '/quotations' : entityPath('Quotation', quote.id));
+      break;
+    case 'pdf':
+      downloadQuotePDF(quote);
+      break;
+    case 'status':
+      await changeStatus(quote, btn.dataset.status);
+      break;
+    case 'convert':
+      await convertQuote(quote);
+      break;
+    case 'edit':
+      editQuote(quote);
+      break;
+    case 'delete': {
+      if(!confirm(`Delete quotation ${quote.quoteNumber || '#' + quote.id}?`)) return;
+      showLoading('quote_msg', 'Deleting...');
+      const r = await fetchJson(`${API_QUOTATIONS}/${quote.id}`, {method:'DELETE', headers:authHeader()});
+      if(handleApiError(r, 'quote_msg', 'Failed to delete quotation')) return;
+      if(String(editingQuoteId) === String(quote.id)) resetQuoteForm();
+      await fetchQuotations();
+      showSuccess('quote_msg', r.queued ? r.apiResponse.message : 'Quotation deleted');
+      break;
+    }
+  }
+}
+
+// The quotations on screen, with the status filter applied
+function exportQuotations(){
+  const filter = document.getElementById('quoteStatusFilter').value;
+  openExportDialog({
+    title: 'Export quotations',
+    entities: ['quotations'],
+    filename: exportFilename('quotations'),
+    filters: filter ? { status: filter } : {},
+    msgId: 'quote_msg',
+    load: async () => ({
+      records: { quotations: quotes.filter(q => !filter || getQuoteStatus(q) === filter) },
+      context: { customerMap: customerNameMap(quoteCustomers) }
+    })
+  });
+}
+
+// ----- Route -----
+export async function render(){
+  editingQuoteId = null;
+  openQuoteId = null;
+  await loadQuotationsTab();
+}
+
+// #/quotations/:id shows a quotation's items; #/quotations hides them
+export async function show([quoteId]){
+  openQuoteId = quoteId ? recordId(quoteId) : null;
+  renderQuoteList();
+}
@@ -0,0 +1,204 @@
+/**
+ * Bank reconciliation tab - upload a bank statement (CSV, OFX or MT940),
+ * auto-match its credits against payments, clear matched cheques, and match
+ * or record payments for the lines left over.
+ *
+ * Route: #/reconcile
+ */
+
+import { API_CUSTOMERS, API_PAYMENTS } from '../api.js';
+import { navigate, entityPath } from '../router.js';
+
+// The statement stays loaded while matches are applied; payments are refetched after each change
+let reconcileData = null;
+
+function money(value){
+  return '₹' + Math.abs(value).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+async function loadReconcileTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  reconcileData = null;
+
+  tabContent.innerHTML = `
+    <div id="reconcile-content">
+      <h2>🏧 Bank Reconciliation</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Upload a bank statement to match the money received against recorded payments. Matched cheques are marked cleared.</p>
+      <div class="list-toolbar">
+        <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+          <input type="file" id="statementFile" accept=".csv,.ofx,.qfx,.sta,.mt940,.txt" style="padding:6px;">
+          <label style="font-size:0.9rem;color:#666;">Match dates within
+            <input type="number" id="reconcileWindow" min="0" max="30" value="${RECONCILE_DATE_WINDOW_DAYS}" style="width:60px;padding:6px;"> days
+          </label>
+        </div>
+      </div>
+      <div id="reconcile_msg" style="margin-bottom:10px;"></div>
+      <div id="reconcileResults"><p style="color:#7f8c8d;text-align:center;padding:20px;">Choose a CSV, OFX or MT940 statement exported from your bank</p></div>
+    </div>
+  `;
+
+  document.getElementById('statementFile').addEventListener('change', (e) => loadStatement(e.target.files[0]));
+  document.getElementById('reconcileWindow').addEventListener('change', renderReconciliation);
+  document.getElementById('reconcileResults').addEventListener('click', handleResultsClick);
+}
+
+async function loadStatement(file){
+  if(!file) return;
+  clearMessage('reconcile_msg');
+  const statement = parseBankStatement(await file.text(), file.name);
+  if(statement.transactions.length === 0){
+    showError('reconcile_msg', statement.errors.map(e => e.message).join(', ') || 'No transactions found in the statement');
+    return;
+  }
+  reconcileData = { statement, fileName: file.name, payments: [], customers: [] };
+  await fetchPaymentsForReconcile();
+}
+
+async function fetchPaymentsForReconcile(){
+  showLoading('reconcile_msg', 'Matching against payments...');
+  const opts = {headers:authHeader(), scope:'tab'};
+  const [paymentsRes, customersRes] = await Promise.all([
+    fetchJson(API_PAYMENTS, opts),
+    fetchJson(API_CUSTOMERS, opts)
+  ]);
+  if(paymentsRes.aborted || customersRes.aborted) return;
+  if(handleApiError(paymentsRes, 'reconcile_msg', 'Failed to load payments')) return;
+  clearMessage('reconcile_msg');
+  reconcileData.payments = toPagedResult(paymentsRes.data, {}, 'payments').items.filter(p => p.isActive !== false);
+  reconcileData.customers = customersRes.ok ? toPagedResult(customersRes.data, {}, 'customers').items.filter(c => c.isActive !== false) : [];
+  renderReconciliation();
+}
+
+function currentMatches(){
+  const days = parseInt(document.getElementById('reconcileWindow')?.value, 10);
+  return matchBankTransactions(reconcileData.statement.transactions, reconcileData.payments, {
+    dateWindowDays: isNaN(days) ? RECONCILE_DATE_WINDOW_DAYS : Math.max(0, days)
+  });
+}
+
+function renderReconciliation(){
+  if(!reconcileData) return;
+  const { statement, fileName, customers } = reconcileData;
+  const result = reconcileData.result = currentMatches();
+  const customerName = id => (customers.find(c => String(c.id) === String(id)) || {}).name || `Customer #${id}`;
+  const paymentLabel = p => `#${p.id} ${customerName(p.customerId)} - ${p.mode}${p.chequeNumber ? ' #' + p.chequeNumber : ''}${p.paymentReference ? ' ' + p.paymentReference : ''} (${formatDateOnly(p.paymentDate)})`;
+  const reasons = { cheque: 'Cheque number', reference: 'Payment reference', date: 'Amount and date' };
+  const lineCells = t => `
+    <td>${formatDateOnly(t.date)}</td>
+    <td>${escapeHtml(t.description || '-')}${t.reference ? `<br><small style="color:#7f8c8d;">Ref ${escapeHtml(t.reference)}</small>` : ''}${t.chequeNumber ? `<br><small style="color:#7f8c8d;">Cheque ${escapeHtml(t.chequeNumber)}</small>` : ''}</td>
+    <td style="text-align:right;">${money(t.amount)}</td>`;
+
+  const matchedHtml = result.matched.length === 0 ? '<p style="color:#7f8c8d;">No automatic matches</p>' : `
+    <table id="tblReconcileMatched">
+      <thead><tr><th><input type="checkbox" id="reconcileAll" checked></th><th>Date</th><th>Statement Line</th><th style="text-align:right;">Amount</th><th>Payment</th><th>Matched On</th></tr></thead>
+      <tbody>${result.matched.map((m, index) => `<tr>
+        <td><input type="checkbox" class="reconcile-pick" data-index="${index}" checked></td>
+        ${lineCells(m.transaction)}
+        <td><a href="javascript:void(0)" data-entity="Payment" data-id="${escapeHtml(m.payment.id)}" style="color:#667eea;">${escapeHtml(paymentLabel(m.payment))}</a>${m.payment.mode === 'Cheque' && !isClearedPayment(m.payment) ? '<br><small style="color:#856404;">Will be marked cleared</small>' : ''}</td>
+        <td>${reasons[m.reason]}</td>
+      </tr>`).join('')}</tbody>
+    </table>
+    <button id="btnReconcileMatched" style="margin-top:10px;padding:8px 16px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">✅ Reconcile selected</button>`;
+
+  const customerOptions = '<option value="">Customer...</option>' + customers.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+  const unmatchedHtml = result.unmatched.length === 0 ? '<p style="color:#7f8c8d;">Nothing left to match 🎉</p>' : `
+    <table id="tblReconcileUnmatched">
+      <thead><tr><th>Date</th><th>Statement Line</th><th style="text-align:right;">Amount</th><th>Match to a payment</th><th>Or record a new payment</th></tr></thead>
+      <tbody>${result.unmatched.map((u, index) => `<tr>
+        ${lineCells(u.transaction)}
+        <td>${u.candidates.length === 0 ? '<small style="color:#7f8c8d;">No open payment of this amount</small>' : `
+          <select class="reconcile-candidate" data-index="${index}" style="max-width:260px;padding:4px;">${u.candidates.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(paymentLabel(p))}</option>`).join('')}</select>
+          <button class="btn-reconcile-match" data-index="${index}" style="padding:4px 8px;background:#3498db;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">Match</button>`}</td>
+        <td>
+          <select class="reconcile-customer" data-index="${index}" style="max-width:180px;padding:4px;">${customerOptions}</select>
+          <button class="btn-reconcile-create" data-index="${index}" style="padding:4px 8px;background:#8e44ad;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">➕ Record</button>
+        </td>
+      </tr>`).join('')}</tbody>
+    </table>`;
+
+  document.getElementById('reconcileResults').innerHTML = `
+    <p style="color:#666;font-size:14px;margin-bottom:10px;">
+      ${escapeHtml(fileName)} (${statement.format.toUpperCase()}): ${statement.transactions.length} line(s) -
+      ${result.matched.length} matched, ${result.unmatched.length} to review, ${result.reconciled.length} already reconciled, ${result.debits.length} debit(s) set aside
+    </p>
+    ${statement.errors.length ? `<p style="color:#856404;font-size:0.85rem;">${statement.errors.map(e => escapeHtml(e.message)).join('<br>')}</p>` : ''}
+    <h3>Matched</h3>
+    ${matchedHtml}
+    <h3 style="margin-top:25px;">To Review</h3>
+    ${unmatchedHtml}`;
+
+  document.getElementById('reconcileAll')?.addEventListener('change', (e) => {
+    document.querySelectorAll('.reconcile-pick').forEach(box => { box.checked = e.target.checked; });
+  });
+}
+
+// Clears an uncleared cheque (the bank has paid it) and records the statement line on the payment
+async function reconcilePayment(transaction, payment){
+  if(payment.mode === 'Cheque' && !isClearedPayment(payment)){
+    const cleared = await fetchJson(`${API_PAYMENTS}/update-status`, {method:'PUT', headers:authHeader(), body:JSON.stringify({paymentId: payment.id, cleared: true})});
+    if(handleApiError(cleared, 'reconcile_msg', `Failed to clear cheque on payment #${payment.id}`)) return false;
+  }
+  const r = await fetchJson(`${API_PAYMENTS}/${payment.id}/reconcile`, {method:'PUT', headers:authHeader(), body:JSON.stringify({bankTransactionId: transaction.id, bankDate: transaction.date})});
+  return !handleApiError(r, 'reconcile_msg', `Failed to reconcile payment #${payment.id}`);
+}
+
+async function handleResultsClick(e){
+  const link = e.target.closest('[data-entity]');
+  if(link){
+    navigate(entityPath(link.dataset.entity, link.dataset.id));
+    return;
+  }
+  const result = reconcileData && reconcileData.result;
+  if(!result) return;
+
+  if(e.target.closest('#btnReconcileMatched')){
+    const picked = Array.from(document.querySelectorAll('.reconcile-pick:checked')).map(box => result.matched[box.dataset.index]);
+    if(picked.length === 0){
+      showError('reconcile_msg', 'Select the matches to reconcile');
+      return;
+    }
+    showLoading('reconcile_msg', `Reconciling ${picked.length} payment(s)...`);
+    let done = 0;
+    for(const m of picked){
+      if(!(await reconcilePayment(m.transaction, m.payment))) break;
+      done++;
+    }
+    await fetchPaymentsForReconcile();
+    if(done === picked.length) showSuccess('reconcile_msg', `${done} payment(s) reconciled`);
+    return;
+  }
+
+  const matchBtn = e.target.closest('.btn-reconcile-match');
+  if(matchBtn){
+    const line = result.unmatched[matchBtn.dataset.index];
+    const select = document.querySelector(`.reconcile-candidate[data-index="${matchBtn.dataset.index}"]`);
+    const payment = line.candidates.find(p => String(p.id) === select.value);
+    if(!payment) return;
+    if(await reconcilePayment(line.transaction, payment)){
+      await fetchPaymentsForReconcile();
+      showSuccess('reconcile_msg', `Payment #${payment.id} reconciled`);
+    }
+    return;
+  }
+
+  const createBtn = e.target.closest('.btn-reconcile-create');
+  if(createBtn){
+    const line = result.unmatched[createBtn.dataset.index];
+    const customerId = parseInt(document.querySelector(`.reconcile-customer[data-index="${createBtn.dataset.index}"]`).value);
+    if(!customerId){
+      showError('reconcile_msg', 'Select the customer who paid');
+      return;
+    }
+    showLoading('reconcile_msg', 'Recording payment...');
+    const r = await fetchJson(API_PAYMENTS, {method:'POST', headers:authHeader(), body:JSON.stringify(bankTransactionToPayment(line.transaction, customerId))});
+    if(handleApiError(r, 'reconcile_msg', 'Failed to record payment')) return;
+    await fetchPaymentsForReconcile();
+    showSuccess('reconcile_msg', r.queued ? r.apiResponse.message : 'Payment recorded and reconciled. It is kept as advance credit until applied to bills.');
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadReconcileTab();
+}
@@ -0,0 +1,302 @@
+/**
+ * Recurring bills tab - templates that raise a bill on a schedule, with their
+ * upcoming runs, pause/resume and skip controls, schedule editing and the
+ * bills each has raised. Templates are set up from the Add Bill form
+ * ("Repeat this bill").
+ *
+ * Routes: #/recurring, #/recurring/:id (opens that template's history)
+ */
+
+import { API_RECURRING_BILLS } from '../api.js';
+import { showCachedDataNotice } from '../shared.js';
+import { fetchRecurringData, generateDueRecurringBills } from '../recurring-runner.js';
+import { navigate, entityPath, recordId } from '../router.js';
+import { openExportDialog, customerNameMap, exportFilename } from '../export-dialog.js';
+
+// Templates, bills and customers behind the list; null until loaded
+let recurringData = null;
+let openTemplateId = null;
+
+function money(value){
+  return '₹' + value.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+async function loadRecurringTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+
+  tabContent.innerHTML = `
+    <div id="recurring-content">
+      <h2>🔁 Recurring Bills</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Bills raised on a schedule. To set one up, tick "Repeat this bill" when adding a bill.</p>
+      <div class="list-toolbar">
+        <div id="recurringCount" style="color:#666;font-size:14px;">Loading recurring bills...</div>
+        <div style="display:flex;gap:8px;">
+          ${userCan('export', 'recurringBills') ? `<button id="btnExportRecurring" style="padding:8px 16px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">📥 Export</button>` : ''}
+          ${userCan('create', 'bills') ? `<button id="btnGenerateDue" style="padding:8px 16px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;">⚡ Generate due bills</button>` : ''}
+        </div>
+      </div>
+      <div id="recurring_msg" style="margin-bottom:10px;"></div>
+      <div id="recurringEdit"></div>
+      <div id="recurringList"></div>
+    </div>
+  `;
+
+  document.getElementById('btnGenerateDue')?.addEventListener('click', () => generateDue());
+  document.getElementById('btnExportRecurring')?.addEventListener('click', exportRecurring);
+  document.getElementById('recurringList').addEventListener('click', handleListClick);
+  await fetchRecurring();
+}
+
+async function fetchRecurring(){
+  const data = await fetchRecurringData('tab');
+  if(data.aborted) return;
+  if(data.error){
+    handleApiError(data.error, 'recurring_msg', 'Failed to load recurring bills');
+    document.getElementById('recurringCount').innerText = '';
+    return;
+  }
+  showCachedDataNotice('recurring_msg', data);
+  recurringData = data;
+  renderRecurringList();
+}
+
+function customerName(customerId){
+  const customer = recurringData.customers.find(c => String(c.id) === String(customerId));
+  return customer ? customer.name : `Customer #${customerId}`;
+}
+
+function statusBadge(status){
+  const colors = { Active: ['#d4edda', '#155724'], Paused: ['#fff3cd', '#856404'], Ended: ['#e2e3e5', '#383d41'] };
+  const [background, color] = colors[status];
+  return `<span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;font-weight:500;background:${background};color:${color};">${status}</span>`;
+}
+
+function runChip(template, run, canEdit){
+  const id = escapeHtml(template.id);
+  if(run.status === 'due'){
+    return `<span style="display:inline-block;margin:2px;padding:3px 6px;border-radius:4px;background:#fff3cd;color:#856404;font-size:0.8rem;" title="Due - not billed yet">⏰ ${formatDateOnly(run.date)}</span>`;
+  }
+  if(run.status === 'skipped'){
+    return `<span style="display:inline-block;margin:2px;padding:3px 6px;border-radius:4px;background:#f1f2f6;color:#7f8c8d;font-size:0.8rem;"><s>${formatDateOnly(run.date)}</s>
+      ${canEdit ? `<a href="javascript:void(0)" data-action="unskip" data-id="${id}" data-date="${run.date}" title="Bill this run after all" style="color:#667eea;">undo</a>` : ''}</span>`;
+  }
+  return `<span style="display:inline-block;margin:2px;padding:3px 6px;border-radius:4px;background:#eef2ff;color:#2c3e50;font-size:0.8rem;">${formatDateOnly(run.date)}
+    ${canEdit ? `<a href="javascript:void(0)" data-action="skip" data-id="${id}" data-date="${run.date}" title="Skip this run" style="color:#e74c3c;">skip</a>` : ''}</span>`;
+}
+
+function historyHtml(template){
+  const history = getRecurringHistory(template, recurringData.bills);
+  if(history.length === 0) return '<p style="color:#7f8c8d;margin:0;">No bills raised yet</p>';
+  return `
+    <table style="margin:0;">
+      <thead><tr><th>Run</th><th>Bill</th><th style="text-align:right;">Amount</th><th>Status</th></tr></thead>
+      <tbody>${history.map(h => `
+        <tr>
+          <td>${formatDateOnly(h.runDate)}</td>
+          ${h.bill ? `
+            <td><a href="javascript:void(0)" data-entity="Bill" data-id="${escapeHtml(h.bill.id)}" style="color:#667eea;">${escapeHtml(h.bill.billNumber || '#' + h.bill.id)}</a></td>
+            <td style="text-align:right;">${money(parseFloat(h.bill.billAmount) || 0)}</td>
+            <td>${escapeHtml(getBillDisplayStatus(h.bill))}</td>` : `
+            <td colspan="3" style="color:#7f8c8d;">Skipped</td>`}
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function renderRecurringList(){
+  if(!recurringData) return;
+  const { templates, bills } = recurringData;
+  const dueCount = templates.reduce((sum, t) => sum + getDueRecurringRuns(t, bills).length, 0);
+
+  document.getElementById('recurringCount').innerText = `${templates.length} recurring bill(s)` + (dueCount ? `, ${dueCount} bill(s) due to be raised` : '');
+  const listEl = document.getElementById('recurringList');
+  if(templates.length === 0){
+    listEl.innerHTML = '<p style="color:#7f8c8d;text-align:center;padding:20px;">No recurring bills yet</p>';
+    return;
+  }
+
+  const btn = (action, id, label, color) => `<button data-action="${action}" data-id="${escapeHtml(id)}" style="padding:4px 8px;background:${color};color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:12px;">${label}</button>`;
+  listEl.innerHTML = `
+    <table id="tblRecurring">
+      <thead><tr><th>Recurring Bill</th><th>Schedule</th><th style="text-align:right;">Amount</th><th>Status</th><th>Upcoming</th><th>Actions</th></tr></thead>
+      <tbody>${templates.map(t => {
+        const status = getRecurringTemplateStatus(t, bills);
+        const due = getDueRecurringRuns(t, bills).length;
+        const canEdit = userCan('edit', 'recurringBills', t);
+        return `
+        <tr data-template-id="${escapeHtml(t.id)}">
+          <td>
+            <strong>${escapeHtml(t.name || 'Recurring bill #' + t.id)}</strong><br>
+            <a href="javascript:void(0)" data-entity="Customer" data-id="${escapeHtml(t.customerId)}" style="color:#667eea;text-decoration:none;">${escapeHtml(customerName(t.customerId))}</a>
+          </td>
+          <td>
+            ${escapeHtml(formatRecurringSchedule(t))}<br>
+            <small style="color:#7f8c8d;">From ${formatDateOnly(t.startDate)}${t.endDate ? ` to ${formatDateOnly(t.endDate)}` : ''}${t.autoGenerate ? ' · raised automatically' : ''}</small>
+          </td>
+          <td style="text-align:right;">${money(calculateBillTotals(t.items).grandTotal)}</td>
+          <td>${statusBadge(status)}</td>
+          <td>${status === 'Ended' ? '-' : getUpcomingRecurringRuns(t, bills).map(run => runChip(t, run, canEdit && !t.paused)).join('')}</td>
+          <td style="display:flex;gap:5px;flex-wrap:wrap;">
+            ${btn('history', t.id, String(openTemplateId) === String(t.id) ? 'Hide history' : 'History', '#7f8c8d')}
+            ${due && !t.paused && userCan('create', 'bills', {billAmount: calculateBillTotals(t.items).grandTotal}) ? btn('generate', t.id, `Raise ${due} due`, '#667eea') : ''}
+            ${canEdit && status !== 'Ended' ? btn(t.paused ? 'resume' : 'pause', t.id, t.paused ? 'Resume' : 'Pause', t.paused ? '#27ae60' : '#f39c12') : ''}
+            ${canEdit ? btn('edit', t.id, 'Edit', '#3498db') : ''}
+            ${userCan('delete', 'recurringBills', t) ? btn('delete', t.id, 'Delete', '#e74c3c') : ''}
+          </td>
+        </tr>
+        ${String(openTemplateId) === String(t.id) ? `<tr class="recurring-history"><td colspan="6" style="background:#f8f9fa;">${historyHtml(t)}</td></tr>` : ''}`;
+      }).join('')}
+      </tbody>
+    </table>`;
+}
+
+// ----- Actions -----
+async function saveTemplate(template, changes, successMessage){
+  showLoading('recurring_msg', 'Saving...');
+  const r = await fetchJson(`${API_RECURRING_BILLS}/${template.id}`, {method:'PUT', headers:authHeader(), body:JSON.stringify(changes)});
+  if(handleApiError(r, 'recurring_msg', 'Failed to update recurring bill')) return false;
+  await fetchRecurring();
+  showSuccess('recurring_msg', r.queued ? r.apiResponse.message : successMessage);
+  return true;
+}
+
+async function generateDue(templateId){
+  if(!recurringData) return;
+  showLoading('recurring_msg', 'Raising due bills...');
+  const result = await generateDueRecurringBills(recurringData, { templateId });
+  await fetchRecurring();
+  if(result.failed.length){
+    showError('recurring_msg', result.failed.map(f => `${f.template.name || 'Recurring bill #' + f.template.id} (${formatDateOnly(f.runDate)}): ${f.message}`).join(', '));
+    return;
+  }
+  showSuccess('recurring_msg', result.generated ? `${result.generated} bill(s) raised` : 'No bills are due');
+}
+
+async function handleListClick(e){
+  const link = e.target.closest('[data-entity]');
+  if(link){
+    navigate(entityPath(link.dataset.entity, link.dataset.id));
+    return;
+  }
+  const btn = e.target.closest('[data-action]');
+  if(!btn || !recurringData) return;
+  const template = recurringData.templates.find(t => String(t.id) === btn.dataset.id);
+  if(!template) return;
+  clearMessage('recurring_msg');
+  const skipped = (template.skippedDates || []).slice();
+
+  switch(btn.dataset.action){
+    case 'history':
+      navigate(String(openTemplateId) === String(template.id) ? '/recurring' : `/recurring/${template.id}`);
+      break;
+    case 'generate':
+      await generateDue(template.id);
+      break;
+    case 'pause':
+      await saveTemplate(template, { paused: true, pausedAt: new Date().toISOString() }, 'Recurring bill paused; no bills will be raised until it is resumed');
+      break;
+    case 'resume': {
+      // Runs that came up while paused are skipped, not billed late
+      const missed = getRunsMissedWhilePaused(template, recurringData.bills);
+      if(missed.length && !confirm(`${missed.length} run(s) fell due while paused (${missed.map(formatDateOnly).join(', ')}). They will be skipped. Resume?`)) return;
+      await saveTemplate(template, { paused: false, pausedAt: null, skippedDates: skipped.concat(missed) }, 'Recurring bill resumed');
+      break;
+    }
+    case 'skip':
+      await saveTemplate(template, { skippedDates: skipped.concat(btn.dataset.date) }, `The ${formatDateOnly(btn.dataset.date)} run will be skipped`);
+      break;
+    case 'unskip':
+      await saveTemplate(template, { skippedDates: skipped.filter(d => d !== btn.dataset.date) }, `The ${formatDateOnly(btn.dataset.date)} run will be billed`);
+      break;
+    case 'edit':
+      editTemplate(template);
+      break;
+    case 'delete': {
+      if(!confirm(`Delete "${template.name || 'Recurring bill #' + template.id}"? Bills it has raised are kept.`)) return;
+      showLoading('recurring_msg', 'Deleting...');
+      const r = await fetchJson(`${API_RECURRING_BILLS}/${template.id}`, {method:'DELETE', headers:authHeader()});
+      if(handleApiError(r, 'recurring_msg', 'Failed to delete recurring bill')) return;
+      await fetchRecurring();
+      showSuccess('recurring_msg', r.queued ? r.apiResponse.message : 'Recurring bill deleted');
+      break;
+    }
+  }
+}
+
+// ----- Edit schedule -----
+// Items are shown for reference; a new set of items is a new recurring bill
+function editTemplate(template){
+  const el = document.getElementById('recurringEdit');
+  el.innerHTML = `
+    <div style="background:#f8f9fa;padding:15px;border-radius:8px;margin-bottom:15px;border-left:4px solid #3498db;">
+      <h3 style="margin-top:0;">Edit ${escapeHtml(template.name || 'recurring bill')} - ${escapeHtml(customerName(template.customerId))}</h3>
+      <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;align-items:center;">
+        <input id="rec_name" placeholder="Name" value="${escapeHtml(template.name || '')}" style="flex:2;min-width:200px;padding:6px;">
+        <select id="rec_frequency" style="padding:6px;">
+          ${RECURRING_FREQUENCIES.map(f => `<option value="${f.key}" ${f.key === template.frequency ? 'selected' : ''}>${f.label}</option>`).join('')}
+        </select>
+        <label style="color:#666;font-size:0.9rem;">on day <input type="number" id="rec_day" min="1" max="31" step="1" value="${escapeHtml(template.dayOfMonth)}" style="width:60px;padding:6px;"></label>
+        <label style="color:#666;font-size:0.9rem;">from <input type="date" id="rec_start" value="${escapeHtml(ledgerDay(template.startDate))}" style="padding:6px;"></label>
+        <label style="color:#666;font-size:0.9rem;">until <input type="date" id="rec_end" value="${escapeHtml(ledgerDay(template.endDate))}" style="padding:6px;"></label>
+      </div>
+      <div class="form-row" style="display:flex;gap:10px;margin-bottom:10px;flex-wrap:wrap;align-items:center;">
+        <input id="rec_notes" placeholder="Notes" value="${escapeHtml(template.notes || '')}" style="flex:2;min-width:200px;padding:6px;">
+        <label style="display:flex;align-items:center;gap:6px;color:#666;font-size:0.9rem;"><input type="checkbox" id="rec_auto" ${template.autoGenerate ? 'checked' : ''}> Raise automatically</label>
+        <button id="btnSaveRecurring" style="padding:6px 20px;">Save</button>
+        <button id="btnCancelRecurring" class="clear-btn" style="padding:6px 14px;">Cancel</button>
+      </div>
+      <small style="color:#7f8c8d;">Items: ${template.items.map(item => `${escapeHtml(item.description)} × ${escapeHtml(item.quantity)}`).join(', ')} (${money(calculateBillTotals(template.items).grandTotal)})</small>
+    </div>`;
+  document.getElementById('btnCancelRecurring').addEventListener('click', closeEditTemplate);
+  document.getElementById('btnSaveRecurring').addEventListener('click', async () => {
+    const changes = {
+      name: document.getElementById('rec_name').value.trim() || template.name,
+      frequency: document.getElementById('rec_frequency').value,
+      dayOfMonth: parseInt(document.getElementById('rec_day').value, 10),
+      startDate: document.getElementById('rec_start').value,
+      endDate: document.getElementById('rec_end').value || null,
+      notes: document.getElementById('rec_notes').value.trim() || null,
+      autoGenerate: document.getElementById('rec_auto').checked
+    };
+    const check = validateRecurringTemplate({...template, ...changes});
+    if(!check.valid){
+      showError('recurring_msg', check.errors.map(e => e.message).join(', '));
+      return;
+    }
+    if(await saveTemplate(template, changes, 'Recurring bill updated')) closeEditTemplate();
+  });
+  el.scrollIntoView({behavior:'smooth', block:'start'});
+}
+
+function closeEditTemplate(){
+  document.getElementById('recurringEdit').innerHTML = '';
+}
+
+function exportRecurring(){
+  openExportDialog({
+    title: 'Export recurring bills',
+    entities: ['recurringBills'],
+    filename: exportFilename('recurring_bills'),
+    msgId: 'recurring_msg',
+    load: async () => {
+      if(!recurringData){
+        showError('recurring_msg', 'Recurring bills have not loaded yet');
+        return null;
+      }
+      return { records: { recurringBills: recurringData.templates }, context: { customerMap: customerNameMap(recurringData.customers) } };
+    }
+  });
+}
+
+// ----- Route -----
+export async function render(){
+  openTemplateId = null;
+  await loadRecurringTab();
+}
+
+// #/recurring/:id opens a template's history; #/recurring closes it
+export async function show([templateId]){
+  openTemplateId = templateId ? recordId(templateId) : null;
+  renderRecurringList();
+}
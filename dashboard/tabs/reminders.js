@@ -0,0 +1,246 @@
+/**
+ * Reminders tab - overdue/upcoming reminders and custom reminders (REMINDERS feature).
+ *
+ * Route: #/reminders
+ */
+
+import { API_REMINDERS } from '../api.js';
+
+// ----- Step 5: Reminders Tab -----
+async function loadRemindersTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  const html = `
+    <div id="reminders-content">
+      <h2>🔔 Reminders</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Manage reminders for overdue bills, pending payments, and custom alerts</p>
+      
+      <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(250px, 1fr));gap:15px;margin-bottom:20px;">
+        <button onclick="loadReminders('overdue', 'all')" class="reminder-type-btn" style="padding:15px;background:var(--bg-secondary);border:2px solid #e74c3c;border-radius:8px;cursor:pointer;text-align:center;">
+          <strong style="color:var(--text-primary);display:block;margin-bottom:5px;">Overdue Bills</strong>
+          <span style="color:var(--text-secondary);font-size:0.9rem;">Bills past due date</span>
+        </button>
+        <button onclick="loadReminders('upcoming', 'all')" class="reminder-type-btn" style="padding:15px;background:var(--bg-secondary);border:2px solid #f39c12;border-radius:8px;cursor:pointer;text-align:center;">
+          <strong style="color:var(--text-primary);display:block;margin-bottom:5px;">Upcoming Payments</strong>
+          <span style="color:var(--text-secondary);font-size:0.9rem;">Payments due soon</span>
+        </button>
+        <button onclick="loadReminders('cheques', 'all')" class="reminder-type-btn" style="padding:15px;background:var(--bg-secondary);border:2px solid #3498db;border-radius:8px;cursor:pointer;text-align:center;">
+          <strong style="color:var(--text-primary);display:block;margin-bottom:5px;">Pending Cheques</strong>
+          <span style="color:var(--text-secondary);font-size:0.9rem;">Uncleared cheques</span>
+        </button>
+        <button onclick="loadReminders('custom', 'all')" class="reminder-type-btn" style="padding:15px;background:var(--bg-secondary);border:2px solid #9b59b6;border-radius:8px;cursor:pointer;text-align:center;">
+          <strong style="color:var(--text-primary);display:block;margin-bottom:5px;">Custom Reminders</strong>
+          <span style="color:var(--text-secondary);font-size:0.9rem;">User-created reminders</span>
+        </button>
+      </div>
+      
+      <div style="background:var(--bg-secondary);padding:20px;border-radius:12px;margin-bottom:20px;border:2px solid var(--border-color);">
+        <h3 style="margin-top:0;color:var(--text-primary);">Create Custom Reminder</h3>
+        <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(200px, 1fr));gap:15px;margin-bottom:15px;">
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Title *</label>
+            <input type="text" id="reminderTitle" placeholder="Reminder title" style="width:100%;padding:8px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Due Date *</label>
+            <input type="datetime-local" id="reminderDueDate" style="width:100%;padding:8px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Priority</label>
+            <select id="reminderPriority" style="width:100%;padding:8px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+              <option value="Low">Low</option>
+              <option value="Medium" selected>Medium</option>
+              <option value="High">High</option>
+            </select>
+          </div>
+        </div>
+        <div style="margin-bottom:15px;">
+          <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Description</label>
+          <textarea id="reminderDescription" placeholder="Reminder description" rows="3" style="width:100%;padding:8px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);resize:vertical;"></textarea>
+        </div>
+        <button onclick="createCustomReminder()" style="padding:10px 20px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">➕ Create Reminder</button>
+        <div id="reminder_msg" style="margin-top:15px;"></div>
+      </div>
+      
+      <div>
+        <h3 style="color:var(--text-primary);margin-bottom:15px;">Reminders</h3>
+        <div id="remindersList" style="display:grid;gap:10px;">
+          <p style="color:var(--text-secondary);text-align:center;padding:20px;">Select a reminder type above</p>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  tabContent.innerHTML = html;
+  loadReminders('overdue', 'all');
+}
+
+let currentReminderType = 'overdue';
+let currentReminderStatus = 'all';
+
+async function loadReminders(type, status){
+  currentReminderType = type;
+  currentReminderStatus = status;
+  
+  const remindersList = document.getElementById('remindersList');
+  if(!remindersList) return;
+  
+  try{
+    const params = new URLSearchParams({
+      type: type,
+      status: status
+    });
+    
+    const url = `${API_REMINDERS}?${params.toString()}`;
+    console.log('Loading reminders from:', url);
+    const r = await fetchJson(url, {
+      headers: authHeader(),
+      scope: 'tab'
+    });
+    if(r.aborted) return;
+    
+    console.log('Reminders response:', r);
+    
+    if(r.status === 404){
+      remindersList.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:5px;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_REMINDERS}</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;">Please check Swagger documentation at <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const reminders = r.apiResponse.body || r.data || [];
+      
+      if(reminders.length === 0){
+        remindersList.innerHTML = '<p style="color:var(--text-secondary);text-align:center;padding:20px;">No reminders found</p>';
+        return;
+      }
+      
+      remindersList.innerHTML = reminders.map(reminder => {
+        const priorityClass = reminder.priority?.toLowerCase() || 'medium';
+        const isOverdue = reminder.dueDate && new Date(reminder.dueDate) < new Date();
+        
+        return `
+          <div class="reminder-card ${priorityClass}-priority" style="${isOverdue ? 'border-left-color:#e74c3c;' : ''}">
+            <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:8px;">
+              <div style="flex:1;">
+                <strong style="color:var(--text-primary);display:block;margin-bottom:5px;">${escapeHtml(reminder.title || 'Untitled')}</strong>
+                <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">${escapeHtml(reminder.description || 'No description')}</p>
+                <p style="margin:5px 0;color:var(--text-tertiary);font-size:0.85rem;">
+                  Due: ${reminder.dueDate ? formatDate(reminder.dueDate) : 'N/A'}
+                  ${isOverdue ? ' <span style="color:#e74c3c;font-weight:600;">(OVERDUE)</span>' : ''}
+                </p>
+              </div>
+              <span style="padding:4px 8px;border-radius:4px;font-size:0.85rem;background:${priorityClass === 'high' ? '#fee' : priorityClass === 'medium' ? '#fff3cd' : '#e3f2fd'};color:${priorityClass === 'high' ? '#c33' : priorityClass === 'medium' ? '#856404' : '#1976d2'};">
+                ${reminder.priority || 'Medium'}
+              </span>
+            </div>
+            <div style="display:flex;gap:10px;margin-top:10px;">
+              ${reminder.status !== 'dismissed' ? `
+                <button onclick="dismissReminder(${reminder.reminderId || reminder.id})" style="padding:6px 12px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:4px;cursor:pointer;font-size:0.85rem;">✓ Dismiss</button>
+              ` : ''}
+            </div>
+          </div>
+        `;
+      }).join('');
+    } else {
+      const errorMsg = r.apiResponse?.message || r.message || 'Failed to load reminders';
+      remindersList.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:20px;">${escapeHtml(errorMsg)}</p>`;
+    }
+  } catch(err){
+    logError('loadReminders', err);
+    if(err.message && err.message.includes('404')){
+      remindersList.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_REMINDERS}</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;margin-top:10px;">Check Swagger: <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+    } else {
+      remindersList.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:20px;">Error loading reminders: ${escapeHtml(err.message || 'Unknown error')}</p>`;
+    }
+  }
+}
+
+async function createCustomReminder(){
+  const title = document.getElementById('reminderTitle')?.value.trim();
+  const dueDate = document.getElementById('reminderDueDate')?.value;
+  const priority = document.getElementById('reminderPriority')?.value;
+  const description = document.getElementById('reminderDescription')?.value.trim();
+  
+  if(!title || !dueDate){
+    showError('reminder_msg', 'Please enter title and due date');
+    return;
+  }
+  
+  showLoading('reminder_msg', 'Creating reminder...');
+  
+  try{
+    const payload = {
+      title,
+      dueDate: new Date(dueDate).toISOString(),
+      priority: priority || 'Medium',
+      description: description || null,
+      type: 'Custom'
+    };
+    
+    const r = await fetchJson(API_REMINDERS, {
+      method: 'POST',
+      headers: authHeader(),
+      body: JSON.stringify(payload)
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      showSuccess('reminder_msg', 'Reminder created successfully!');
+      document.getElementById('reminderTitle').value = '';
+      document.getElementById('reminderDueDate').value = '';
+      document.getElementById('reminderPriority').value = 'Medium';
+      document.getElementById('reminderDescription').value = '';
+      loadReminders('custom', 'all');
+    } else {
+      handleApiError(r, 'reminder_msg', 'Failed to create reminder');
+    }
+  } catch(err){
+    logError('createCustomReminder', err);
+    showError('reminder_msg', 'Failed to create reminder: ' + err.message);
+  }
+}
+
+async function dismissReminder(reminderId){
+  if(!confirm('Are you sure you want to dismiss this reminder?')) return;
+  
+  try{
+    const r = await fetchJson(`${API_REMINDERS}/${reminderId}/dismiss`, {
+      method: 'PUT',
+      headers: authHeader()
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      showSuccess('reminder_msg', 'Reminder dismissed');
+      loadReminders(currentReminderType, currentReminderStatus);
+    } else {
+      handleApiError(r, 'reminder_msg', 'Failed to dismiss reminder');
+    }
+  } catch(err){
+    logError('dismissReminder', err);
+    showError('reminder_msg', 'Failed to dismiss reminder: ' + err.message);
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadRemindersTab();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  loadReminders,
+  createCustomReminder,
+  dismissReminder
+});
@@ -0,0 +1,384 @@
+/**
+ * Advanced Reports tab - report generation/history, GST settings and GSTR-1 export (ADVANCED_REPORTS feature).
+ *
+ * Route: #/reports
+ */
+
+import { API_CUSTOMERS, API_BILLS, API_REPORTS } from '../api.js';
+
+// ----- Step 2: Advanced Reports Tab -----
+async function loadReportsTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  const html = `
+    <div id="reports-content">
+      <h2>📊 Advanced Reports</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Generate comprehensive reports in various formats</p>
+      
+      <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;margin-bottom:30px;border:2px solid var(--border-color);">
+        <h3 style="margin-top:0;color:var(--text-primary);">Generate New Report</h3>
+        <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(250px, 1fr));gap:15px;margin-bottom:20px;">
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Report Type *</label>
+            <select id="reportType" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+              <option value="">Select Report Type</option>
+              <option value="Financial">Financial Report</option>
+              <option value="CustomerStatement">Customer Statement</option>
+              <option value="TaxReport">Tax Report</option>
+              <option value="PaymentSummary">Payment Summary</option>
+            </select>
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">From Date</label>
+            <input type="date" id="reportFromDate" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">To Date</label>
+            <input type="date" id="reportToDate" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Format *</label>
+            <select id="reportFormat" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+              <option value="PDF">PDF</option>
+              <option value="Excel">Excel</option>
+              <option value="CSV">CSV</option>
+            </select>
+          </div>
+        </div>
+        <div style="margin-bottom:15px;">
+          <label style="display:flex;align-items:center;gap:10px;cursor:pointer;">
+            <input type="checkbox" id="reportIncludeFilters" style="width:18px;height:18px;">
+            <span style="color:var(--text-secondary);">Apply additional filters</span>
+          </label>
+        </div>
+        <button onclick="generateReport()" style="padding:12px 24px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;font-size:1rem;">🚀 Generate Report</button>
+        <div id="report_msg" style="margin-top:15px;"></div>
+      </div>
+      
+      <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;margin-bottom:30px;border:2px solid var(--border-color);">
+        <h3 style="margin-top:0;color:var(--text-primary);">🧾 GST Settings</h3>
+        <p style="color:var(--text-secondary);margin-bottom:15px;">When enabled, bills split tax into CGST + SGST (same state) or IGST (other state) and invoices print as tax invoices.</p>
+        <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(250px, 1fr));gap:15px;margin-bottom:15px;">
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Business GSTIN</label>
+            <input id="gstGstin" placeholder="e.g. 27AAPFU0939F1ZV" maxlength="15" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);text-transform:uppercase;">
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Legal Business Name</label>
+            <input id="gstLegalName" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Business State</label>
+            <input id="gstState" readonly placeholder="Taken from GSTIN" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+          <div>
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Business Address</label>
+            <input id="gstAddress" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+          </div>
+        </div>
+        <div style="margin-bottom:15px;">
+          <label style="display:flex;align-items:center;gap:10px;cursor:pointer;">
+            <input type="checkbox" id="gstEnabled" style="width:18px;height:18px;">
+            <span style="color:var(--text-secondary);">Enable GST mode</span>
+          </label>
+        </div>
+        <button onclick="saveGstSettingsForm()" style="padding:10px 20px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;">💾 Save GST Settings</button>
+        <div style="margin-top:25px;padding-top:20px;border-top:1px solid var(--border-color);">
+          <h4 style="margin:0 0 10px 0;color:var(--text-primary);">GSTR-1 Export</h4>
+          <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
+            <input type="month" id="gstr1Month" style="padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+            <button onclick="exportGstr1('json')" style="padding:10px 20px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;">📥 JSON</button>
+            <button onclick="exportGstr1('csv')" style="padding:10px 20px;background:linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;">📥 CSV</button>
+          </div>
+        </div>
+        <div id="gst_msg" style="margin-top:15px;"></div>
+      </div>
+      
+      <div>
+        <h3 style="color:var(--text-primary);margin-bottom:15px;">Report History</h3>
+        <div id="reportHistory" style="display:grid;gap:10px;">
+          <p style="color:var(--text-secondary);text-align:center;padding:20px;">Loading reports...</p>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  tabContent.innerHTML = html;
+  loadGstSettingsForm();
+  loadReportHistory();
+}
+
+function loadGstSettingsForm(){
+  const settings = getGstSettings();
+  document.getElementById('gstGstin').value = settings.gstin;
+  document.getElementById('gstLegalName').value = settings.legalName || localStorage.getItem('organizationName') || '';
+  document.getElementById('gstState').value = settings.stateCode ? formatGstState(settings.stateCode) : '';
+  document.getElementById('gstAddress').value = settings.address;
+  document.getElementById('gstEnabled').checked = settings.enabled;
+  // Default the return period to last month
+  const lastMonth = new Date();
+  lastMonth.setDate(1);
+  lastMonth.setMonth(lastMonth.getMonth() - 1);
+  document.getElementById('gstr1Month').value = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}`;
+  
+  document.getElementById('gstGstin').addEventListener('input', (e) => {
+    const stateCode = resolveGstStateCode(e.target.value.trim().toUpperCase());
+    document.getElementById('gstState').value = stateCode && e.target.value.trim().length >= 2 ? formatGstState(stateCode) : '';
+  });
+}
+
+function saveGstSettingsForm(){
+  clearMessage('gst_msg');
+  const result = saveGstSettings({
+    enabled: document.getElementById('gstEnabled').checked,
+    gstin: document.getElementById('gstGstin').value,
+    legalName: document.getElementById('gstLegalName').value,
+    address: document.getElementById('gstAddress').value
+  });
+  if(!result.valid){
+    showError('gst_msg', result.errors.map(e => e.message).join(', '));
+    return;
+  }
+  loadGstSettingsForm();
+  showSuccess('gst_msg', 'GST settings saved successfully!');
+}
+
+async function exportGstr1(format){
+  const month = document.getElementById('gstr1Month')?.value;
+  if(!isGstEnabled()){
+    showError('gst_msg', 'Enable GST mode and save a valid GSTIN first');
+    return;
+  }
+  if(!month){
+    showError('gst_msg', 'Please select a return period');
+    return;
+  }
+  
+  showLoading('gst_msg', 'Preparing GSTR-1...');
+  try{
+    const [billRes, custRes] = await Promise.all([
+      fetchJson(API_BILLS, {headers:authHeader()}),
+      fetchJson(API_CUSTOMERS, {headers:authHeader()})
+    ]);
+    if(!billRes.ok || !custRes.ok){
+      handleApiError(billRes.ok ? custRes : billRes, 'gst_msg', 'Failed to load bills');
+      return;
+    }
+    const report = buildGstr1Report(billRes.data || [], custRes.data || [], month);
+    const invoiceCount = report.b2b.reduce((n, e) => n + e.inv.length, 0) + report.b2cl.reduce((n, e) => n + e.inv.length, 0);
+    if(report.hsn.data.length === 0){
+      showError('gst_msg', 'No bills found for the selected period');
+      return;
+    }
+    downloadGstr1(report, format);
+    showSuccess('gst_msg', `GSTR-1 exported (${invoiceCount} B2B/B2CL invoice(s), ${report.b2cs.length} B2CS summary row(s)). Credit notes are not included; add them on the GST portal`);
+  } catch(err){
+    logError('exportGstr1', err);
+    showError('gst_msg', 'Failed to export GSTR-1');
+  }
+}
+
+async function generateReport(){
+  const reportType = document.getElementById('reportType')?.value;
+  const fromDate = document.getElementById('reportFromDate')?.value;
+  const toDate = document.getElementById('reportToDate')?.value;
+  const format = document.getElementById('reportFormat')?.value;
+  const includeFilters = document.getElementById('reportIncludeFilters')?.checked;
+  
+  if(!reportType || !format){
+    showError('report_msg', 'Please select report type and format');
+    return;
+  }
+  
+  showLoading('report_msg', 'Generating report...');
+  showLoadingOverlay();
+  
+  try{
+    const payload = {
+      reportType,
+      fromDate: fromDate || null,
+      toDate: toDate || null,
+      format,
+      includeFilters: includeFilters || false
+    };
+    
+    const r = await fetchJson(`${API_REPORTS}/generate`, {
+      method: 'POST',
+      headers: authHeader(),
+      body: JSON.stringify(payload)
+    });
+    
+    hideLoadingOverlay();
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const reportId = r.apiResponse.body?.reportId || r.data?.reportId;
+      if(reportId){
+        showSuccess('report_msg', 'Report generation started! Checking status...');
+        checkReportStatus(reportId);
+        setTimeout(() => loadReportHistory(), 2000);
+      } else {
+        showSuccess('report_msg', 'Report generated successfully!');
+        loadReportHistory();
+      }
+    } else {
+      handleApiError(r, 'report_msg', 'Failed to generate report');
+    }
+  } catch(err){
+    hideLoadingOverlay();
+    logError('generateReport', err);
+    showError('report_msg', 'Failed to generate report: ' + err.message);
+  }
+}
+
+async function checkReportStatus(reportId){
+  if(!reportId) return;
+  
+  try{
+    const r = await fetchJson(`${API_REPORTS}/${reportId}/status`, {
+      headers: authHeader()
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const status = r.apiResponse.body?.status || r.data?.status;
+      
+      if(status === 'completed'){
+        showSuccess('report_msg', 'Report ready for download!');
+        loadReportHistory();
+      } else if(status === 'processing' || status === 'pending'){
+        showLoading('report_msg', 'Report is being generated...');
+        setTimeout(() => checkReportStatus(reportId), 5000); // Check again in 5 seconds
+      } else if(status === 'failed'){
+        showError('report_msg', 'Report generation failed');
+        loadReportHistory();
+      }
+    }
+  } catch(err){
+    logError('checkReportStatus', err);
+  }
+}
+
+async function loadReportHistory(){
+  const historyDiv = document.getElementById('reportHistory');
+  if(!historyDiv) return;
+  
+  try{
+    console.log('Loading report history from:', `${API_REPORTS}/history`);
+    const r = await fetchJson(`${API_REPORTS}/history`, {
+      headers: authHeader(),
+      scope: 'tab'
+    });
+    if(r.aborted) return;
+    
+    console.log('Report history response:', r);
+    
+    if(r.status === 404){
+      historyDiv.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:5px;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_REPORTS}/history</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;">Please check Swagger documentation at <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const reports = r.apiResponse.body || r.data || [];
+      
+      if(reports.length === 0){
+        historyDiv.innerHTML = '<p style="color:var(--text-secondary);text-align:center;padding:20px;">No reports generated yet</p>';
+        return;
+      }
+      
+      historyDiv.innerHTML = reports.map(report => {
+        const statusClass = report.status === 'completed' ? 'completed' : 
+                           report.status === 'processing' ? 'processing' : 
+                           report.status === 'failed' ? 'failed' : 'pending';
+        
+        return `
+          <div class="report-status ${statusClass}">
+            <div style="flex:1;">
+              <strong style="color:var(--text-primary);">${escapeHtml(report.reportType || 'Unknown')}</strong>
+              <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">
+                Format: ${escapeHtml(report.format || 'N/A')} | 
+                ${report.fromDate ? `From: ${formatDateOnly(report.fromDate)}` : ''} 
+                ${report.toDate ? `To: ${formatDateOnly(report.toDate)}` : ''}
+              </p>
+              <p style="margin:5px 0;color:var(--text-tertiary);font-size:0.85rem;">
+                Generated: ${report.createdAt ? formatDate(report.createdAt) : 'N/A'}
+              </p>
+            </div>
+            <div style="display:flex;align-items:center;gap:10px;">
+              <span style="padding:6px 12px;border-radius:6px;font-size:0.85rem;font-weight:500;background:${statusClass === 'completed' ? '#d4edda' : statusClass === 'processing' ? '#d1ecf1' : statusClass === 'failed' ? '#f8d7da' : '#fff3cd'};color:${statusClass === 'completed' ? '#155724' : statusClass === 'processing' ? '#0c5460' : statusClass === 'failed' ? '#721c24' : '#856404'};">
+                ${report.status || 'Pending'}
+              </span>
+              ${report.status === 'completed' && report.downloadUrl ? `
+                <button onclick="downloadReport('${report.reportId || report.id}')" style="padding:8px 16px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">📥 Download</button>
+              ` : report.status === 'processing' ? `
+                <button onclick="checkReportStatus('${report.reportId || report.id}')" style="padding:8px 16px;background:#3498db;color:#fff;border:none;border-radius:6px;cursor:pointer;font-weight:500;">🔄 Refresh</button>
+              ` : ''}
+            </div>
+          </div>
+        `;
+      }).join('');
+    } else {
+      const errorMsg = r.apiResponse?.message || r.message || 'Failed to load report history';
+      historyDiv.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:20px;">${escapeHtml(errorMsg)}</p>`;
+    }
+  } catch(err){
+    logError('loadReportHistory', err);
+    if(err.message && err.message.includes('404')){
+      historyDiv.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_REPORTS}/history</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;margin-top:10px;">Check Swagger: <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+    } else {
+      historyDiv.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:20px;">Error loading reports: ${escapeHtml(err.message || 'Unknown error')}</p>`;
+    }
+  }
+}
+
+async function downloadReport(reportId){
+  try{
+    showLoadingOverlay();
+    const r = await fetchJson(`${API_REPORTS}/${reportId}/download`, {
+      headers: authHeader()
+    });
+    
+    hideLoadingOverlay();
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const downloadUrl = r.apiResponse.body?.downloadUrl || r.data?.downloadUrl;
+      if(downloadUrl){
+        window.open(downloadUrl, '_blank');
+        showSuccess('report_msg', 'Report download started!');
+      } else {
+        showError('report_msg', 'Download URL not available');
+      }
+    } else {
+      handleApiError(r, 'report_msg', 'Failed to download report');
+    }
+  } catch(err){
+    hideLoadingOverlay();
+    logError('downloadReport', err);
+    showError('report_msg', 'Failed to download report: ' + err.message);
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadReportsTab();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  saveGstSettingsForm,
+  exportGstr1,
+  generateReport,
+  checkReportStatus,
+  downloadReport
+});
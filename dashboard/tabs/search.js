@@ -0,0 +1,352 @@
+/**
+ * Advanced Search tab - global search and saved filter presets (ADVANCED_SEARCH feature).
+ *
+ * Route: #/search
+ */
+
+import { API_SEARCH, API_FILTERS } from '../api.js';
+import { navigate, entityPath } from '../router.js';
+
+// ----- Step 6: Advanced Search Tab -----
+async function loadSearchTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  const html = `
+    <div id="search-content">
+      <h2>🔍 Advanced Search</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Search across all entities with advanced filters</p>
+      
+      <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;margin-bottom:20px;border:2px solid var(--border-color);">
+        <div style="margin-bottom:15px;">
+          <input type="text" id="globalSearchInput" placeholder="Search across customers, bills, payments..." style="width:100%;padding:12px;border:2px solid var(--border-color);border-radius:8px;background:var(--bg-primary);color:var(--text-primary);font-size:1rem;" onkeyup="performGlobalSearchDebounced()">
+        </div>
+        <div style="display:flex;gap:15px;flex-wrap:wrap;margin-bottom:15px;">
+          <label style="display:flex;align-items:center;gap:8px;cursor:pointer;">
+            <input type="checkbox" id="searchCustomers" checked style="width:18px;height:18px;">
+            <span style="color:var(--text-secondary);">Customers</span>
+          </label>
+          <label style="display:flex;align-items:center;gap:8px;cursor:pointer;">
+            <input type="checkbox" id="searchBills" checked style="width:18px;height:18px;">
+            <span style="color:var(--text-secondary);">Bills</span>
+          </label>
+          <label style="display:flex;align-items:center;gap:8px;cursor:pointer;">
+            <input type="checkbox" id="searchPayments" checked style="width:18px;height:18px;">
+            <span style="color:var(--text-secondary);">Payments</span>
+          </label>
+        </div>
+        <div style="display:flex;gap:10px;">
+          <button onclick="saveFilterPreset()" style="padding:8px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;font-weight:500;">💾 Save Preset</button>
+          <button onclick="loadSavedPresets()" style="padding:8px 16px;background:var(--bg-tertiary);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;font-weight:500;">📋 Load Presets</button>
+        </div>
+      </div>
+      
+      <div id="searchResults" style="display:grid;gap:20px;">
+        <p style="color:var(--text-secondary);text-align:center;padding:40px;">Enter a search term to begin</p>
+      </div>
+      
+      <div id="savedPresets" style="margin-top:30px;display:none;">
+        <h3 style="color:var(--text-primary);margin-bottom:15px;">Saved Presets</h3>
+        <div id="presetsList" style="display:grid;gap:10px;"></div>
+      </div>
+    </div>
+  `;
+  
+  tabContent.innerHTML = html;
+  loadSavedPresets();
+}
+
+let searchDebounceTimer = null;
+
+function performGlobalSearchDebounced(){
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(() => {
+    performGlobalSearch();
+  }, 300);
+}
+
+async function performGlobalSearch(){
+  const query = document.getElementById('globalSearchInput')?.value.trim();
+  const searchCustomers = document.getElementById('searchCustomers')?.checked;
+  const searchBills = document.getElementById('searchBills')?.checked;
+  const searchPayments = document.getElementById('searchPayments')?.checked;
+  
+  const resultsDiv = document.getElementById('searchResults');
+  if(!resultsDiv) return;
+  
+  if(!query || query.length < 2){
+    resultsDiv.innerHTML = '<p style="color:var(--text-secondary);text-align:center;padding:40px;">Enter at least 2 characters to search</p>';
+    return;
+  }
+  
+  const entityTypes = [];
+  if(searchCustomers) entityTypes.push('Customer');
+  if(searchBills) entityTypes.push('Bill');
+  if(searchPayments) entityTypes.push('Payment');
+  
+  if(entityTypes.length === 0){
+    resultsDiv.innerHTML = '<p style="color:var(--text-secondary);text-align:center;padding:40px;">Please select at least one entity type</p>';
+    return;
+  }
+  
+  resultsDiv.innerHTML = '<p style="color:var(--text-secondary);text-align:center;padding:40px;">Searching...</p>';
+  
+  try{
+    // Build query parameters for GET request
+    const queryParams = new URLSearchParams({
+      q: query,
+      limit: '10'
+    });
+    
+    if(entityTypes.length > 0){
+      queryParams.append('types', entityTypes.join(','));
+    }
+    
+    const searchUrl = `${API_SEARCH}?${queryParams.toString()}`;
+    console.log('Performing global search:', searchUrl);
+    const r = await fetchJson(searchUrl, {
+      method: 'GET',
+      headers: authHeader()
+    });
+    
+    console.log('Search response:', r);
+    
+    if(r.status === 404){
+      resultsDiv.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:5px;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_SEARCH}</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;">Please check Swagger documentation at <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const results = r.apiResponse.body || r.data || {};
+      
+      let html = '';
+      
+      if(results.customers && results.customers.length > 0){
+        html += `
+          <div class="search-result-group">
+            <h3>Customers (${results.customers.length})</h3>
+            ${results.customers.map(c => `
+              <div class="search-result-item" onclick="navigateToEntity('Customer', ${c.id})">
+                <strong style="color:var(--text-primary);">${escapeHtml(c.name || 'N/A')}</strong>
+                <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">
+                  Phone: ${escapeHtml(c.phone || 'N/A')} | 
+                  Address: ${escapeHtml(c.address || 'N/A')}
+                </p>
+              </div>
+            `).join('')}
+          </div>
+        `;
+      }
+      
+      if(results.bills && results.bills.length > 0){
+        html += `
+          <div class="search-result-group">
+            <h3>Bills (${results.bills.length})</h3>
+            ${results.bills.map(b => `
+              <div class="search-result-item" onclick="navigateToEntity('Bill', ${b.id})">
+                <strong style="color:var(--text-primary);">Bill #${escapeHtml(b.billNumber || b.id)}</strong>
+                <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">
+                  Amount: ₹${parseFloat(b.billAmount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})} | 
+                  Status: ${escapeHtml(b.status || 'N/A')}
+                </p>
+              </div>
+            `).join('')}
+          </div>
+        `;
+      }
+      
+      if(results.payments && results.payments.length > 0){
+        html += `
+          <div class="search-result-group">
+            <h3>Payments (${results.payments.length})</h3>
+            ${results.payments.map(p => `
+              <div class="search-result-item" onclick="navigateToEntity('Payment', ${p.id})">
+                <strong style="color:var(--text-primary);">Payment #${p.id}</strong>
+                <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">
+                  Amount: ₹${parseFloat(p.amount || 0).toLocaleString('en-IN', {minimumFractionDigits: 2})} | 
+                  Mode: ${escapeHtml(p.mode || 'N/A')}
+                </p>
+              </div>
+            `).join('')}
+          </div>
+        `;
+      }
+      
+      if(!html){
+        html = '<p style="color:var(--text-secondary);text-align:center;padding:40px;">No results found</p>';
+      }
+      
+      resultsDiv.innerHTML = html;
+    } else {
+      const errorMsg = r.apiResponse?.message || r.message || 'Search failed';
+      resultsDiv.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:40px;">${escapeHtml(errorMsg)}</p>`;
+    }
+  } catch(err){
+    logError('performGlobalSearch', err);
+    if(err.message && err.message.includes('404')){
+      resultsDiv.innerHTML = `
+        <div style="padding:20px;text-align:center;background:var(--bg-secondary);border-radius:8px;border:2px dashed var(--border-color);">
+          <p style="color:var(--text-primary);font-weight:600;margin-bottom:10px;">⚠️ API Endpoint Not Implemented</p>
+          <p style="color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_SEARCH}</code> is not available yet.</p>
+          <p style="color:var(--text-tertiary);font-size:0.85rem;margin-top:10px;">Check Swagger: <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+    } else {
+      resultsDiv.innerHTML = `<p style="color:#e74c3c;text-align:center;padding:40px;">Error performing search: ${escapeHtml(err.message || 'Unknown error')}</p>`;
+    }
+  }
+}
+
+function navigateToEntity(entityType, entityId){
+  const path = entityPath(entityType, entityId);
+  if(path) navigate(path);
+}
+
+async function saveFilterPreset(){
+  const query = document.getElementById('globalSearchInput')?.value.trim();
+  const searchCustomers = document.getElementById('searchCustomers')?.checked;
+  const searchBills = document.getElementById('searchBills')?.checked;
+  const searchPayments = document.getElementById('searchPayments')?.checked;
+  
+  const presetName = prompt('Enter a name for this preset:');
+  if(!presetName) return;
+  
+  try{
+    const payload = {
+      name: presetName,
+      query: query || '',
+      entityTypes: {
+        customers: searchCustomers,
+        bills: searchBills,
+        payments: searchPayments
+      }
+    };
+    
+    const r = await fetchJson(`${API_FILTERS}/presets`, {
+      method: 'POST',
+      headers: authHeader(),
+      body: JSON.stringify(payload)
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      showSuccess('search_msg', 'Preset saved successfully!');
+      loadSavedPresets();
+    } else {
+      handleApiError(r, 'search_msg', 'Failed to save preset');
+    }
+  } catch(err){
+    logError('saveFilterPreset', err);
+    showError('search_msg', 'Failed to save preset: ' + err.message);
+  }
+}
+
+async function loadSavedPresets(){
+  const presetsDiv = document.getElementById('presetsList');
+  const savedPresetsDiv = document.getElementById('savedPresets');
+  if(!presetsDiv || !savedPresetsDiv) return;
+  
+  try{
+    console.log('Loading saved presets from:', `${API_FILTERS}/presets`);
+    const r = await fetchJson(`${API_FILTERS}/presets`, {
+      headers: authHeader()
+    });
+    
+    console.log('Presets response:', r);
+    
+    if(r.status === 404){
+      savedPresetsDiv.style.display = 'none';
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const presets = r.apiResponse.body || r.data || [];
+      
+      if(presets.length === 0){
+        savedPresetsDiv.style.display = 'none';
+        return;
+      }
+      
+      savedPresetsDiv.style.display = 'block';
+      presetsDiv.innerHTML = presets.map(preset => `
+        <div class="filter-preset-card">
+          <div style="flex:1;">
+            <strong style="color:var(--text-primary);">${escapeHtml(preset.name || 'Unnamed')}</strong>
+            <p style="margin:5px 0;color:var(--text-secondary);font-size:0.9rem;">${escapeHtml(preset.query || 'No query')}</p>
+          </div>
+          <div style="display:flex;gap:10px;">
+            <button onclick="applyPreset(${preset.presetId || preset.id})" style="padding:6px 12px;background:#3498db;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:0.85rem;">Apply</button>
+            <button onclick="deletePreset(${preset.presetId || preset.id})" style="padding:6px 12px;background:#e74c3c;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:0.85rem;">Delete</button>
+          </div>
+        </div>
+      `).join('');
+    }
+  } catch(err){
+    logError('loadSavedPresets', err);
+    // Silently fail - presets are optional
+  }
+}
+
+async function applyPreset(presetId){
+  try{
+    const r = await fetchJson(`${API_FILTERS}/presets/${presetId}`, {
+      headers: authHeader()
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const preset = r.apiResponse.body || r.data;
+      
+      if(preset.query) document.getElementById('globalSearchInput').value = preset.query;
+      if(preset.entityTypes){
+        document.getElementById('searchCustomers').checked = preset.entityTypes.customers !== false;
+        document.getElementById('searchBills').checked = preset.entityTypes.bills !== false;
+        document.getElementById('searchPayments').checked = preset.entityTypes.payments !== false;
+      }
+      
+      performGlobalSearch();
+    }
+  } catch(err){
+    logError('applyPreset', err);
+  }
+}
+
+async function deletePreset(presetId){
+  if(!confirm('Are you sure you want to delete this preset?')) return;
+  
+  try{
+    const r = await fetchJson(`${API_FILTERS}/presets/${presetId}`, {
+      method: 'DELETE',
+      headers: authHeader()
+    });
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      showSuccess('search_msg', 'Preset deleted');
+      loadSavedPresets();
+    } else {
+      handleApiError(r, 'search_msg', 'Failed to delete preset');
+    }
+  } catch(err){
+    logError('deletePreset', err);
+    showError('search_msg', 'Failed to delete preset: ' + err.message);
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadSearchTab();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  performGlobalSearchDebounced,
+  navigateToEntity,
+  saveFilterPreset,
+  loadSavedPresets,
+  applyPreset,
+  deletePreset
+});
@@ -0,0 +1,300 @@
+/**
+ * Data Validation tab - duplicates, validation and quality report (DATA_VALIDATION feature).
+ *
+ * Route: #/validation
+ */
+
+import { API_VALIDATION } from '../api.js';
+
+// ----- Step 8: Data Validation Tab -----
+async function loadValidationTab(){
+  const tabContent = document.getElementById('tab-content');
+  if(!tabContent) return;
+  
+  const html = `
+    <div id="validation-content">
+      <h2>✅ Data Validation</h2>
+      <p style="color:#7f8c8d;margin-bottom:20px;">Validate data quality and check for duplicates</p>
+      
+      <div style="display:grid;grid-template-columns:repeat(auto-fit, minmax(300px, 1fr));gap:20px;margin-bottom:30px;">
+        <!-- Duplicate Check -->
+        <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;border:2px solid var(--border-color);">
+          <h3 style="margin-top:0;color:var(--text-primary);">Duplicate Check</h3>
+          <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:15px;">Check for duplicate records</p>
+          <div style="margin-bottom:15px;">
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Entity Type</label>
+            <select id="duplicateEntityType" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+              <option value="Customer">Customer</option>
+              <option value="Bill">Bill</option>
+              <option value="Payment">Payment</option>
+            </select>
+          </div>
+          <button onclick="checkDuplicates()" style="width:100%;padding:12px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;">🔍 Check Duplicates</button>
+          <div id="duplicateResults" style="margin-top:15px;"></div>
+        </div>
+        
+        <!-- Data Validation -->
+        <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;border:2px solid var(--border-color);">
+          <h3 style="margin-top:0;color:var(--text-primary);">Data Validation</h3>
+          <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:15px;">Validate data format and integrity</p>
+          <div style="margin-bottom:15px;">
+            <label style="display:block;margin-bottom:8px;color:var(--text-secondary);font-weight:500;">Entity Type</label>
+            <select id="validateEntityType" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;background:var(--bg-primary);color:var(--text-primary);">
+              <option value="Customer">Customer</option>
+              <option value="Bill">Bill</option>
+              <option value="Payment">Payment</option>
+            </select>
+          </div>
+          <button onclick="validateData()" style="width:100%;padding:12px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;">✅ Validate Data</button>
+          <div id="validationResults" style="margin-top:15px;"></div>
+        </div>
+        
+        <!-- Quality Report -->
+        <div style="background:var(--bg-secondary);padding:25px;border-radius:12px;border:2px solid var(--border-color);">
+          <h3 style="margin-top:0;color:var(--text-primary);">Quality Report</h3>
+          <p style="color:var(--text-secondary);font-size:0.9rem;margin-bottom:15px;">Get overall data quality score</p>
+          <button onclick="getQualityReport()" style="width:100%;padding:12px;background:linear-gradient(135deg, #667eea 0%, #764ba2 100%);color:#fff;border:none;border-radius:8px;cursor:pointer;font-weight:600;">📊 Generate Report</button>
+          <div id="qualityReport" style="margin-top:15px;"></div>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  tabContent.innerHTML = html;
+}
+
+async function checkDuplicates(){
+  const entityType = document.getElementById('duplicateEntityType')?.value;
+  if(!entityType){
+    showError('validation_msg', 'Please select entity type');
+    return;
+  }
+  
+  const resultsDiv = document.getElementById('duplicateResults');
+  if(!resultsDiv) return;
+  
+  resultsDiv.innerHTML = '<p style="color:var(--text-secondary);">Checking for duplicates...</p>';
+  
+  try{
+    console.log('Checking duplicates from:', `${API_VALIDATION}/check-duplicates`);
+    const r = await fetchJson(`${API_VALIDATION}/check-duplicates`, {
+      method: 'POST',
+      headers: authHeader(),
+      body: JSON.stringify({
+        entityType: entityType,
+        fields: entityType === 'Customer' ? ['phone', 'email'] : entityType === 'Bill' ? ['billNumber'] : ['paymentReference']
+      })
+    });
+    
+    console.log('Duplicates response:', r);
+    
+    if(r.status === 404){
+      resultsDiv.innerHTML = `
+        <div class="validation-result error">
+          <strong style="color:var(--text-primary);">⚠️ API Endpoint Not Implemented</strong>
+          <p style="margin:5px 0 0 0;color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_VALIDATION}/check-duplicates</code> is not available yet.</p>
+          <p style="margin:5px 0 0 0;color:var(--text-tertiary);font-size:0.85rem;">Check Swagger: <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const duplicates = r.apiResponse.body || r.data || [];
+      
+      if(duplicates.length === 0){
+        resultsDiv.innerHTML = `
+          <div class="validation-result success">
+            <strong style="color:var(--text-primary);">✓ No duplicates found</strong>
+            <p style="margin:5px 0 0 0;color:var(--text-secondary);">All ${entityType} records are unique</p>
+          </div>
+        `;
+      } else {
+        resultsDiv.innerHTML = `
+          <div class="validation-result warning">
+            <strong style="color:var(--text-primary);">⚠ Found ${duplicates.length} duplicate(s)</strong>
+            <div style="margin-top:10px;max-height:200px;overflow-y:auto;">
+              ${duplicates.map(dup => `
+                <div style="padding:8px;background:var(--bg-primary);border-radius:4px;margin-bottom:5px;font-size:0.9rem;">
+                  ${escapeHtml(JSON.stringify(dup))}
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        `;
+      }
+    } else {
+      handleApiError(r, 'validation_msg', 'Failed to check duplicates');
+    }
+  } catch(err){
+    logError('checkDuplicates', err);
+    if(err.message && err.message.includes('404')){
+      resultsDiv.innerHTML = `
+        <div class="validation-result error">
+          <strong style="color:var(--text-primary);">⚠️ API Endpoint Not Implemented</strong>
+          <p style="margin:5px 0 0 0;color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_VALIDATION}/check-duplicates</code> is not available yet.</p>
+        </div>
+      `;
+    } else {
+      resultsDiv.innerHTML = '<div class="validation-result error"><strong>Error:</strong> ' + escapeHtml(err.message) + '</div>';
+    }
+  }
+}
+
+async function validateData(){
+  const entityType = document.getElementById('validateEntityType')?.value;
+  if(!entityType){
+    showError('validation_msg', 'Please select entity type');
+    return;
+  }
+  
+  const resultsDiv = document.getElementById('validationResults');
+  if(!resultsDiv) return;
+  
+  resultsDiv.innerHTML = '<p style="color:var(--text-secondary);">Validating data...</p>';
+  
+  try{
+    console.log('Validating data from:', `${API_VALIDATION}/validate`);
+    const r = await fetchJson(`${API_VALIDATION}/validate`, {
+      method: 'POST',
+      headers: authHeader(),
+      body: JSON.stringify({
+        entityType: entityType,
+        entityId: null // Validate all entities of this type
+      })
+    });
+    
+    console.log('Validation response:', r);
+    
+    if(r.status === 404){
+      resultsDiv.innerHTML = `
+        <div class="validation-result error">
+          <strong style="color:var(--text-primary);">⚠️ API Endpoint Not Implemented</strong>
+          <p style="margin:5px 0 0 0;color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_VALIDATION}/validate</code> is not available yet.</p>
+          <p style="margin:5px 0 0 0;color:var(--text-tertiary);font-size:0.85rem;">Check Swagger: <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const validation = r.apiResponse.body || r.data || {};
+      const {valid, errors, warnings} = validation;
+      
+      resultsDiv.innerHTML = `
+        <div class="validation-result ${valid ? 'success' : 'error'}">
+          <strong style="color:var(--text-primary);">${valid ? '✓ Validation Passed' : '✗ Validation Failed'}</strong>
+          ${errors && errors.length > 0 ? `
+            <div style="margin-top:10px;">
+              <strong style="color:#e74c3c;">Errors (${errors.length}):</strong>
+              <ul style="margin:5px 0 0 20px;font-size:0.9rem;">
+                ${errors.map(e => `<li style="color:#c33;">${escapeHtml(e)}</li>`).join('')}
+              </ul>
+            </div>
+          ` : ''}
+          ${warnings && warnings.length > 0 ? `
+            <div style="margin-top:10px;">
+              <strong style="color:#f39c12;">Warnings (${warnings.length}):</strong>
+              <ul style="margin:5px 0 0 20px;font-size:0.9rem;">
+                ${warnings.map(w => `<li style="color:#856404;">${escapeHtml(w)}</li>`).join('')}
+              </ul>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    } else {
+      handleApiError(r, 'validation_msg', 'Failed to validate data');
+    }
+  } catch(err){
+    logError('validateData', err);
+    if(err.message && err.message.includes('404')){
+      resultsDiv.innerHTML = `
+        <div class="validation-result error">
+          <strong style="color:var(--text-primary);">⚠️ API Endpoint Not Implemented</strong>
+          <p style="margin:5px 0 0 0;color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_VALIDATION}/validate</code> is not available yet.</p>
+        </div>
+      `;
+    } else {
+      resultsDiv.innerHTML = '<div class="validation-result error"><strong>Error:</strong> ' + escapeHtml(err.message) + '</div>';
+    }
+  }
+}
+
+async function getQualityReport(){
+  const reportDiv = document.getElementById('qualityReport');
+  if(!reportDiv) return;
+  
+  reportDiv.innerHTML = '<p style="color:var(--text-secondary);">Generating quality report...</p>';
+  
+  try{
+    console.log('Getting quality report from:', `${API_VALIDATION}/quality-report`);
+    const r = await fetchJson(`${API_VALIDATION}/quality-report`, {
+      headers: authHeader()
+    });
+    
+    console.log('Quality report response:', r);
+    
+    if(r.status === 404){
+      reportDiv.innerHTML = `
+        <div class="validation-result error">
+          <strong style="color:var(--text-primary);">⚠️ API Endpoint Not Implemented</strong>
+          <p style="margin:5px 0 0 0;color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_VALIDATION}/quality-report</code> is not available yet.</p>
+          <p style="margin:5px 0 0 0;color:var(--text-tertiary);font-size:0.85rem;">Check Swagger: <a href="${API_CONFIG.SWAGGER_URL}" target="_blank" style="color:#3498db;">${API_CONFIG.SWAGGER_URL}</a></p>
+        </div>
+      `;
+      return;
+    }
+    
+    if(r.ok && r.apiResponse && r.apiResponse.status === true){
+      const report = r.apiResponse.body || r.data || {};
+      const {score, details} = report;
+      
+      const scoreColor = score >= 80 ? '#27ae60' : score >= 60 ? '#f39c12' : '#e74c3c';
+      
+      reportDiv.innerHTML = `
+        <div class="validation-result ${score >= 80 ? 'success' : score >= 60 ? 'warning' : 'error'}">
+          <div style="text-align:center;margin-bottom:15px;">
+            <strong style="color:var(--text-primary);font-size:1.2rem;">Data Quality Score</strong>
+            <p style="margin:10px 0;font-size:2rem;color:${scoreColor};font-weight:bold;">${score || 0}%</p>
+          </div>
+          ${details ? `
+            <div style="margin-top:15px;">
+              ${Object.entries(details).map(([key, value]) => `
+                <div style="display:flex;justify-content:space-between;padding:8px;background:var(--bg-primary);border-radius:4px;margin-bottom:5px;">
+                  <span style="color:var(--text-secondary);">${escapeHtml(key)}:</span>
+                  <strong style="color:var(--text-primary);">${escapeHtml(value)}</strong>
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+        </div>
+      `;
+    } else {
+      handleApiError(r, 'validation_msg', 'Failed to generate quality report');
+    }
+  } catch(err){
+    logError('getQualityReport', err);
+    if(err.message && err.message.includes('404')){
+      reportDiv.innerHTML = `
+        <div class="validation-result error">
+          <strong style="color:var(--text-primary);">⚠️ API Endpoint Not Implemented</strong>
+          <p style="margin:5px 0 0 0;color:var(--text-secondary);font-size:0.9rem;">The endpoint <code style="background:var(--bg-primary);padding:2px 6px;border-radius:4px;">${API_VALIDATION}/quality-report</code> is not available yet.</p>
+        </div>
+      `;
+    } else {
+      reportDiv.innerHTML = '<div class="validation-result error"><strong>Error:</strong> ' + escapeHtml(err.message) + '</div>';
+    }
+  }
+}
+
+// ----- Route -----
+export async function render(){
+  await loadValidationTab();
+}
+
+// Inline on* handlers in the generated markup call these by name
+Object.assign(window, {
+  checkDuplicates,
+  validateData,
+  getQualityReport
+});
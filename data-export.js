@@ -0,0 +1,407 @@
+/**
+ * Data export - lists as CSV, Excel or JSON
+ *
+ * Each entity has a set of export columns. A column reads a value from the
+ * record (customer names and bill numbers come from the context rather than
+ * raw IDs) and has a type:
+ *   text     - written as is
+ *   number   - a plain number
+ *   money    - rupees, rounded to paise; summed into the totals row when
+ *              the column has total: true
+ *   date     - a day (YYYY-MM-DD in JSON, YYYY-MM-DD or the local format in
+ *              CSV per the CSV settings, a real date cell in Excel)
+ *   boolean  - Yes/No in CSV, true/false in JSON and Excel
+ * Columns marked optional are left out unless picked.
+ *
+ * buildExportSheet turns records into a sheet of typed values, and a format
+ * from EXPORT_FORMATS writes one or more sheets to a file. Excel files get a
+ * worksheet per sheet with number, date and currency cells, a filter on the
+ * heading row and a SUM totals row. Another format is added by adding an
+ * entry to EXPORT_FORMATS.
+ *
+ * Usage:
+ *   Include after app.js, ledger.js, payment-terms.js, cheques.js,
+ *   recurring-bills.js and quotations.js (status and schedule helpers).
+ *   const columns = getExportColumnKeys('bills');                 // saved choice or the defaults
+ *   const sheet = buildExportSheet('bills', bills, { columns, context: { customerMap } });
+ *   await downloadExport('xlsx', [sheet], 'bills_2026-10-19', { filters: query });
+ */
+
+const EXPORT_COLUMNS_KEY = 'exportColumns';
+
+const EXPORT_MONEY_FORMAT = '"₹"#,##0.00';
+const EXPORT_DATE_FORMAT = 'dd-mmm-yyyy';
+
+function exportCustomerName(context, customerId, fallback) {
+  return (context.customerMap || {})[customerId] || fallback || '';
+}
+
+function exportBillNumber(context, billId) {
+  if (billId === undefined || billId === null || billId === '') return '';
+  const bill = (context.billMap || {})[billId];
+  return (bill && bill.billNumber) || `#${billId}`;
+}
+
+const EXPORT_ENTITIES = {
+  customers: {
+    label: 'Customers',
+    columns: [
+      { key: 'id', label: 'ID', type: 'number', optional: true },
+      { key: 'name', label: 'Name' },
+      { key: 'phone', label: 'Phone' },
+      { key: 'email', label: 'Email' },
+      { key: 'address', label: 'Address' },
+      { key: 'city', label: 'City' },
+      { key: 'state', label: 'State' },
+      { key: 'pincode', label: 'Pincode', optional: true },
+      { key: 'gstNumber', label: 'GSTIN' },
+      { key: 'paymentTerms', label: 'Payment Terms', value: c => (c.paymentTerms ? formatPaymentTerms({ terms: c.paymentTerms, days: c.paymentTermsDays }) : '') },
+      { key: 'openingBalance', label: 'Opening Balance', type: 'money', total: true, optional: true },
+      { key: 'createdAt', label: 'Created', type: 'date' }
+    ]
+  },
+  bills: {
+    label: 'Bills',
+    columns: [
+      { key: 'id', label: 'ID', type: 'number', optional: true },
+      { key: 'billNumber', label: 'Bill Number', value: b => b.billNumber || `#${b.id}` },
+      { key: 'customer', label: 'Customer', value: (b, ctx) => exportCustomerName(ctx, b.customerId, b.customerName) },
+      { key: 'billDate', label: 'Bill Date', type: 'date', value: b => b.billDate || b.createdAt },
+      { key: 'dueDate', label: 'Due Date', type: 'date', value: b => getBillDueDate(b) },
+      { key: 'billAmount', label: 'Amount', type: 'money', total: true },
+      { key: 'status', label: 'Status', value: b => getBillDisplayStatus(b) },
+      { key: 'notes', label: 'Notes' },
+      { key: 'cancelReason', label: 'Cancellation Reason', optional: true }
+    ]
+  },
+  payments: {
+    label: 'Payments',
+    columns: [
+      { key: 'id', label: 'ID', type: 'number', optional: true },
+      { key: 'paymentDate', label: 'Payment Date', type: 'date', value: p => p.paymentDate || p.createdAt },
+      { key: 'type', label: 'Type', value: p => (parseFloat(p.amount) < 0 ? 'Refund' : 'Payment') },
+      { key: 'customer', label: 'Customer', value: (p, ctx) => exportCustomerName(ctx, p.customerId, p.customerName) },
+      { key: 'bills', label: 'Bills', value: (p, ctx) => ((p.linkedBills || []).length > 0 ? p.linkedBills.map(lb => exportBillNumber(ctx, lb.billId)) : [exportBillNumber(ctx, p.billId)]).filter(Boolean).join(', ') },
+      { key: 'amount', label: 'Amount', type: 'money', total: true },
+      { key: 'mode', label: 'Payment Mode' },
+      { key: 'chequeNumber', label: 'Cheque Number' },
+      { key: 'chequeStatus', label: 'Cheque Status', optional: true, value: p => getChequeStatus(p) || '' },
+      { key: 'paymentReference', label: 'Reference', optional: true },
+      { key: 'cleared', label: 'Cleared', type: 'boolean', value: p => isClearedPayment(p) }
+    ]
+  },
+  creditNotes: {
+    label: 'Credit Notes',
+    columns: [
+      { key: 'creditNoteNumber', label: 'Credit Note #', value: n => n.creditNoteNumber || String(n.id) },
+      { key: 'creditNoteDate', label: 'Date', type: 'date', value: n => n.creditNoteDate || n.createdAt },
+      { key: 'bill', label: 'Bill', value: (n, ctx) => exportBillNumber(ctx, n.billId) },
+      { key: 'customer', label: 'Customer', value: (n, ctx) => exportCustomerName(ctx, n.customerId, n.customerName) },
+      { key: 'amount', label: 'Amount', type: 'money', total: true },
+      { key: 'reason', label: 'Reason' }
+    ]
+  },
+  quotations: {
+    label: 'Quotations',
+    columns: [
+      { key: 'quoteNumber', label: 'Quote Number', value: q => q.quoteNumber || `#${q.id}` },
+      { key: 'customer', label: 'Customer', value: (q, ctx) => exportCustomerName(ctx, q.customerId, q.customerName) },
+      { key: 'quoteDate', label: 'Quote Date', type: 'date', value: q => q.quoteDate || q.createdAt },
+      { key: 'validUntil', label: 'Valid Until', type: 'date' },
+      { key: 'amount', label: 'Amount', type: 'money', total: true, value: q => calculateBillTotals(q.items || []).grandTotal },
+      { key: 'status', label: 'Status', value: q => getQuoteStatus(q) },
+      { key: 'convertedBill', label: 'Bill', optional: true, value: (q, ctx) => exportBillNumber(ctx, q.convertedBillId) },
+      { key: 'notes', label: 'Notes', optional: true }
+    ]
+  },
+  recurringBills: {
+    label: 'Recurring Bills',
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'customer', label: 'Customer', value: (t, ctx) => exportCustomerName(ctx, t.customerId, t.customerName) },
+      { key: 'schedule', label: 'Schedule', value: t => formatRecurringSchedule(t) },
+      { key: 'amount', label: 'Amount per Bill', type: 'money', total: true, value: t => calculateBillTotals(t.items || []).grandTotal },
+      { key: 'startDate', label: 'Start Date', type: 'date' },
+      { key: 'endDate', label: 'End Date', type: 'date' },
+      { key: 'paused', label: 'Paused', type: 'boolean', value: t => t.paused === true }
+    ]
+  }
+};
+
+// ----- Columns -----
+
+/**
+ * Columns picked for an entity last time, or its default columns
+ * @param {string} entity - An EXPORT_ENTITIES key
+ * @returns {string[]} - Column keys
+ */
+function getExportColumnKeys(entity) {
+  const columns = EXPORT_ENTITIES[entity].columns;
+  try {
+    const saved = (JSON.parse(localStorage.getItem(EXPORT_COLUMNS_KEY)) || {})[entity];
+    const keys = Array.isArray(saved) ? saved.filter(key => columns.some(c => c.key === key)) : [];
+    if (keys.length > 0) return keys;
+  } catch (e) {
+    // Fall back to the defaults
+  }
+  return columns.filter(c => !c.optional).map(c => c.key);
+}
+
+function saveExportColumnKeys(entity, keys) {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(EXPORT_COLUMNS_KEY)) || {};
+  } catch (e) {
+    saved = {};
+  }
+  saved[entity] = keys;
+  localStorage.setItem(EXPORT_COLUMNS_KEY, JSON.stringify(saved));
+}
+
+// ----- Sheets -----
+
+function toExportValue(value, type) {
+  if (type === 'money' || type === 'number') {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = parseFloat(value);
+    if (isNaN(number)) return null;
+    return type === 'money' ? roundMoney(number) : number;
+  }
+  if (type === 'date') return ledgerDay(value) || null;
+  if (type === 'boolean') return value === true || value === 'true';
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Typed rows for records
+ * @param {string} entity - An EXPORT_ENTITIES key
+ * @param {array} records
+ * @param {object} [options] - {columns: keys (default getExportColumnKeys), context: {customerMap, billMap}, name}
+ * @returns {object} - {key, name, columns, rows: [[value]], totals: [value|null]|null}
+ */
+function buildExportSheet(entity, records, options = {}) {
+  const definition = EXPORT_ENTITIES[entity];
+  const keys = options.columns || getExportColumnKeys(entity);
+  const columns = definition.columns.filter(c => keys.includes(c.key));
+  const context = options.context || {};
+  const rows = (records || []).map(record => columns.map(c =>
+    toExportValue(c.value ? c.value(record, context) : record[c.key], c.type || 'text')));
+
+  let totals = null;
+  if (rows.length > 0 && columns.some(c => c.total)) {
+    totals = columns.map((c, i) => (c.total ? roundMoney(rows.reduce((sum, row) => sum + (row[i] || 0), 0)) : null));
+  }
+  return { key: entity, name: options.name || definition.label, columns, rows, totals };
+}
+
+// ----- CSV -----
+
+function formatExportCSVValue(value, type) {
+  if (value === null || value === undefined) return '';
+  if (type === 'money') return value.toFixed(2);
+  if (type === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+/**
+ * Sheets as CSV, built in chunks so large exports do not freeze the tab;
+ * more than one sheet is written as titled sections
+ * @param {array} sheets - From buildExportSheet
+ * @param {object} [options] - {delimiter, dates}; defaults to the saved CSV settings
+ * @returns {Promise<array>} - Pieces of the CSV string
+ */
+async function exportSheetsToCSV(sheets, options = {}) {
+  const settings = { ...getCSVSettings(), ...options };
+  const parts = [];
+  for (const sheet of sheets) {
+    const headers = sheet.columns.map((c, i) => ({ key: `c${i}`, label: c.label, type: c.type }));
+    const toRow = values => {
+      const row = {};
+      sheet.columns.forEach((c, i) => { row[`c${i}`] = formatExportCSVValue(values[i], c.type); });
+      return row;
+    };
+    const rows = sheet.rows.map(toRow);
+    if (sheet.totals) {
+      const totals = toRow(sheet.totals);
+      const labelIndex = sheet.totals.findIndex(v => v === null);
+      if (labelIndex >= 0) totals[`c${labelIndex}`] = 'Total';
+      rows.push(totals);
+    }
+    if (parts.length > 0) parts.push('\n\n');
+    if (sheets.length > 1) parts.push(`${sheet.name}\n`);
+    parts.push(...(rows.length > 0 ? await convertToCSVChunks(rows, headers, settings) : [csvHeaderRow(headers, settings)]));
+  }
+  return parts;
+}
+
+// ----- Excel -----
+
+function exportColumnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+// Excel counts days from 30 Dec 1899
+function excelDateSerial(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return (Date.UTC(y, m - 1, d) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+function excelCell(value, type) {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'money') return { t: 'n', v: value, z: EXPORT_MONEY_FORMAT };
+  if (type === 'number') return { t: 'n', v: value };
+  if (type === 'date') return { t: 'n', v: excelDateSerial(value), z: EXPORT_DATE_FORMAT };
+  if (type === 'boolean') return { t: 'b', v: value };
+  return { t: 's', v: value };
+}
+
+/**
+ * A sheet as a SheetJS worksheet: typed cells, filters on the headings and a
+ * SUM totals row
+ * @param {object} sheet - From buildExportSheet
+ * @returns {object}
+ */
+function buildExcelWorksheet(sheet) {
+  const worksheet = {};
+  const lastColumn = exportColumnLetter(Math.max(sheet.columns.length - 1, 0));
+  const lastDataRow = sheet.rows.length + 1;
+  sheet.columns.forEach((c, i) => { worksheet[`${exportColumnLetter(i)}1`] = { t: 's', v: c.label }; });
+  sheet.rows.forEach((values, r) => {
+    sheet.columns.forEach((c, i) => {
+      const cell = excelCell(values[i], c.type);
+      if (cell) worksheet[`${exportColumnLetter(i)}${r + 2}`] = cell;
+    });
+  });
+
+  let lastRow = lastDataRow;
+  if (sheet.totals) {
+    lastRow = lastDataRow + 1;
+    const labelIndex = sheet.totals.findIndex(v => v === null);
+    if (labelIndex >= 0) worksheet[`${exportColumnLetter(labelIndex)}${lastRow}`] = { t: 's', v: 'Total' };
+    sheet.totals.forEach((value, i) => {
+      if (value === null) return;
+      const column = exportColumnLetter(i);
+      worksheet[`${column}${lastRow}`] = { t: 'n', v: value, z: EXPORT_MONEY_FORMAT, f: `SUM(${column}2:${column}${lastDataRow})` };
+    });
+  }
+
+  worksheet['!ref'] = `A1:${lastColumn}${lastRow}`;
+  worksheet['!autofilter'] = { ref: `A1:${lastColumn}${lastDataRow}` };
+  worksheet['!cols'] = sheet.columns.map((c, i) => {
+    const longest = sheet.rows.reduce((max, row) => Math.max(max, String(row[i] === null ? '' : row[i]).length), c.label.length);
+    return { wch: Math.min(Math.max(longest + 2, c.type === 'date' ? 12 : 8), 50) };
+  });
+  return worksheet;
+}
+
+// Excel sheet names: at most 31 characters, none of []:*?/\
+function excelSheetName(name, used) {
+  const base = String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+  let unique = base;
+  for (let n = 2; used.has(unique.toLowerCase()); n++) unique = `${base.slice(0, 28)} ${n}`;
+  used.add(unique.toLowerCase());
+  return unique;
+}
+
+/**
+ * Sheets as an Excel workbook, one worksheet each (needs the SheetJS XLSX library)
+ * @param {array} sheets - From buildExportSheet
+ * @returns {ArrayBuffer}
+ */
+function exportSheetsToXlsx(sheets) {
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  sheets.forEach(sheet => XLSX.utils.book_append_sheet(workbook, buildExcelWorksheet(sheet), excelSheetName(sheet.name, used)));
+  return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+}
+
+// ----- JSON -----
+
+/**
+ * Sheets as JSON: one array of records per sheet, keyed by column
+ * @param {array} sheets - From buildExportSheet
+ * @param {object} [info] - {filters}
+ * @returns {object} - {exportedAt, filters, data: {sheet: [...]}, totals: {sheet: {...}}}
+ */
+function exportSheetsToJSON(sheets, info = {}) {
+  const result = { exportedAt: new Date().toISOString(), filters: info.filters || {}, data: {}, totals: {} };
+  sheets.forEach(sheet => {
+    result.data[sheet.key] = sheet.rows.map(values => {
+      const record = {};
+      sheet.columns.forEach((c, i) => { record[c.key] = values[i]; });
+      return record;
+    });
+    if (sheet.totals) {
+      result.totals[sheet.key] = {};
+      sheet.columns.forEach((c, i) => { if (sheet.totals[i] !== null) result.totals[sheet.key][c.key] = sheet.totals[i]; });
+    }
+  });
+  return result;
+}
+
+// ----- Formats -----
+
+/**
+ * write(sheets, info) returns the file content, or a promise of the pieces
+ * of it; available() says whether the format can be written right now
+ */
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;', write: async sheets => [CSV_BOM, ...await exportSheetsToCSV(sheets)] },
+  xlsx: {
+    label: 'Excel',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    available: () => typeof XLSX !== 'undefined',
+    write: sheets => exportSheetsToXlsx(sheets)
+  },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', write: (sheets, info) => JSON.stringify(exportSheetsToJSON(sheets, info), null, 2) }
+};
+
+function isExportFormatAvailable(format) {
+  const definition = EXPORT_FORMATS[format];
+  return Boolean(definition) && (!definition.available || definition.available());
+}
+
+/**
+ * Writes sheets in a format and downloads the file
+ * @param {string} format - An EXPORT_FORMATS key
+ * @param {array} sheets - From buildExportSheet
+ * @param {string} filename - Without the extension
+ * @param {object} [info] - {filters}
+ * @returns {Promise<void>} - Resolves once the file is downloaded
+ */
+async function downloadExport(format, sheets, filename, info = {}) {
+  const definition = EXPORT_FORMATS[format];
+  if (!isExportFormatAvailable(format)) throw new Error(`${definition ? definition.label : format} export is not available right now`);
+  const content = await definition.write(sheets, info);
+  const blob = new Blob(Array.isArray(content) ? content : [content], { type: definition.mimeType });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', `${filename}.${definition.extension}`);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORT_ENTITIES,
+    EXPORT_FORMATS,
+    getExportColumnKeys,
+    saveExportColumnKeys,
+    buildExportSheet,
+    exportSheetsToCSV,
+    buildExcelWorksheet,
+    exportSheetsToXlsx,
+    exportSheetsToJSON,
+    isExportFormatAvailable,
+    downloadExport
+  };
+}
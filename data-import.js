@@ -0,0 +1,467 @@
+/**
+ * Data import - reads customer, bill and payment spreadsheets in the browser
+ * and checks every row before anything is sent to the API
+ *
+ * A CSV or Excel file is read into headings and rows, the headings are
+ * matched to the fields of the chosen entity (and can be remapped by hand),
+ * and each row is resolved into the payload the API takes and checked with
+ * the same validators as the customer, bill and payment forms:
+ *   - bills and payments name their customer by ID, phone number or name;
+ *     a name shared by more than one customer has to be given as a phone
+ *   - payments name their bill by bill number or ID, and it must belong to
+ *     the customer
+ *   - dates and amounts are read the way bank statements are (31/12/2026,
+ *     1,000.00)
+ * Valid rows are uploaded in chunks to /Import/{entityType}/bulk-import, so
+ * progress is real and an error in one chunk does not lose the rest. Rows
+ * with errors can be fixed in place or downloaded as an error report, which
+ * has the same columns and imports again once corrected.
+ *
+ * Usage:
+ *   Include after app.js, gst.js, payment-terms.js and bank-reconciliation.js
+ *   (uses the form validators, convertToCSV, parseStatementDate and
+ *   parseStatementAmount). Excel files need the SheetJS library (XLSX global).
+ *   const sheet = parseImportCSV(text);                // or parseImportWorkbook(arrayBuffer)
+ *   const mapping = suggestImportMapping('bills', sheet.headers);
+ *   const records = buildImportRecords('bills', sheet, mapping);
+ *   validateImportRecords('bills', records, { customers, bills });
+ *   chunkImportRecords(records.filter(r => r.errors.length === 0)).forEach(chunk =>
+ *     upload(buildImportChunkCSV('bills', chunk)));
+ *   downloadCSV(buildImportErrorReport('bills', records), 'bills_import_errors.csv');
+ */
+
+// Rows sent per bulk-import request
+const IMPORT_CHUNK_SIZE = 50;
+
+// Larger sheets should be split; the preview and validation run in the page
+const IMPORT_MAX_ROWS = 5000;
+
+/**
+ * Fields each entity can be imported with. Aliases are headings that map to
+ * the field on their own, lower case with everything but letters and digits
+ * removed; the label is recognised too.
+ */
+const IMPORT_FIELDS = {
+  customers: [
+    { key: 'name', label: 'Name', required: true, example: 'Asha Traders', aliases: ['customername', 'customer', 'partyname', 'party', 'fullname'] },
+    { key: 'phone', label: 'Phone', required: true, example: '9876543210', aliases: ['mobile', 'mobileno', 'mobilenumber', 'phoneno', 'phonenumber', 'contactno', 'contactnumber'] },
+    { key: 'email', label: 'Email', example: 'accounts@ashatraders.in', aliases: ['emailid', 'emailaddress', 'mail'] },
+    { key: 'address', label: 'Address', example: '12 MG Road', aliases: ['address1', 'addressline1', 'street'] },
+    { key: 'city', label: 'City', example: 'Pune', aliases: ['town'] },
+    { key: 'state', label: 'State', example: 'Maharashtra', aliases: [] },
+    { key: 'pincode', label: 'Pincode', example: '411001', aliases: ['pin', 'pincode', 'zip', 'zipcode', 'postalcode', 'postcode'] },
+    { key: 'gstNumber', label: 'GSTIN', example: '', aliases: ['gstnumber', 'gst', 'gstno', 'gstinno'] },
+    { key: 'openingBalance', label: 'Opening Balance', example: '0', aliases: ['opening', 'openingbal', 'balance'] },
+    { key: 'paymentTerms', label: 'Payment Terms', example: 'net30', aliases: ['terms'] },
+    { key: 'paymentTermsDays', label: 'Payment Terms Days', example: '', aliases: ['creditdays', 'termsdays', 'creditperiod'] }
+  ],
+  bills: [
+    { key: 'customer', label: 'Customer', required: true, example: 'Asha Traders', aliases: ['customerid', 'customername', 'customerphone', 'partyname', 'party'] },
+    { key: 'billAmount', label: 'Bill Amount', required: true, example: '1180.00', aliases: ['amount', 'total', 'billtotal', 'invoiceamount', 'invoicetotal', 'grandtotal'] },
+    { key: 'billDate', label: 'Bill Date', example: '2026-10-01', aliases: ['date', 'invoicedate'] },
+    { key: 'dueDate', label: 'Due Date', example: '2026-10-31', aliases: ['due', 'duedate', 'paymentdue'] },
+    { key: 'notes', label: 'Notes', example: 'October supplies', aliases: ['note', 'description', 'remarks', 'narration', 'particulars'] }
+  ],
+  payments: [
+    { key: 'customer', label: 'Customer', required: true, example: 'Asha Traders', aliases: ['customerid', 'customername', 'customerphone', 'partyname', 'party'] },
+    { key: 'bill', label: 'Bill', required: true, example: 'BILL-0001', aliases: ['billid', 'billnumber', 'billno', 'invoice', 'invoiceno', 'invoicenumber'] },
+    { key: 'amount', label: 'Amount', required: true, example: '500.00', aliases: ['amountpaid', 'paidamount', 'paymentamount', 'received'] },
+    { key: 'paymentDate', label: 'Payment Date', example: '2026-10-15', aliases: ['date', 'paiddate', 'receivedon'] },
+    { key: 'mode', label: 'Mode', required: true, example: 'UPI', aliases: ['paymentmode', 'method', 'paymentmethod'] },
+    { key: 'chequeNumber', label: 'Cheque Number', example: '', aliases: ['chequeno', 'chqno', 'checknumber', 'checkno'] },
+    { key: 'paymentReference', label: 'Reference', example: 'UTR 612345678901', aliases: ['paymentreference', 'referenceno', 'refno', 'ref', 'utr', 'utrno', 'transactionid'] },
+    { key: 'notes', label: 'Notes', example: '', aliases: ['note', 'remarks', 'narration'] }
+  ]
+};
+
+// Columns of the CSV uploaded to bulk-import, in the API's field names
+const IMPORT_UPLOAD_COLUMNS = {
+  customers: ['name', 'phone', 'email', 'address', 'city', 'state', 'pincode', 'gstNumber', 'openingBalance', 'paymentTerms', 'paymentTermsDays'],
+  bills: ['customerId', 'billAmount', 'billDate', 'dueDate', 'notes'],
+  payments: ['customerId', 'billId', 'amount', 'paymentDate', 'mode', 'chequeNumber', 'paymentReference', 'notes']
+};
+
+// Form validator fields that name a different import field
+const IMPORT_ERROR_FIELDS = {
+  customers: {},
+  bills: { amount: 'billAmount' },
+  payments: {}
+};
+
+const IMPORT_PAYMENT_MODES = {
+  cash: 'Cash',
+  upi: 'UPI', gpay: 'UPI', googlepay: 'UPI', phonepe: 'UPI', paytm: 'UPI', bhim: 'UPI',
+  cheque: 'Cheque', check: 'Cheque', chq: 'Cheque'
+};
+
+function importHeadingKey(heading) {
+  return String(heading || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// ----- Reading files -----
+
+/**
+ * Reads CSV text into headings and rows. Quoted cells may hold commas,
+ * quotes and line breaks; semicolon and tab separated files are recognised
+ * from the heading line. The apostrophe convertToCSV puts before text like
+ * "+91..." or "=..." is taken off again, so exported files import as they were.
+ * @param {string} text
+ * @returns {object} - {headers, rows: [{rowNumber, cells}]}; rowNumber is the
+ *   row as a spreadsheet shows it, counting the heading as row 1
+ */
+function parseImportCSV(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, ch) =>
+    firstLine.split(ch).length > firstLine.split(best).length ? ch : best, ',');
+
+  const lines = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { cells.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      cells.push(cell);
+      lines.push(cells);
+      cells = [];
+      cell = '';
+    } else cell += ch;
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    lines.push(cells);
+  }
+  return importSheet(lines.map(line => line.map(value => value.replace(/^'(?=[=+\-@\t\r])/, ''))));
+}
+
+/**
+ * Reads the first sheet of an Excel workbook (needs the XLSX global)
+ * @param {ArrayBuffer} data
+ * @returns {object} - {headers, rows: [{rowNumber, cells}]}
+ */
+function parseImportWorkbook(data) {
+  if (typeof XLSX === 'undefined') throw new Error('Excel files cannot be read right now. Save the sheet as CSV and try again.');
+  const workbook = XLSX.read(data, { type: 'array', cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return { headers: [], rows: [] };
+  const lines = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '', blankrows: true });
+  return importSheet(lines.map(line => line.map(importCellText)));
+}
+
+// Excel dates arrive as Date objects a few seconds off midnight; everything else as text
+function importCellText(value) {
+  if (value instanceof Date) {
+    const date = new Date(Math.round(value.getTime() / 60000) * 60000);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// The first non-blank line holds the headings; blank lines are dropped but still counted
+function importSheet(lines) {
+  const isBlank = line => line.every(c => String(c).trim() === '');
+  const headingIndex = lines.findIndex(line => !isBlank(line));
+  if (headingIndex === -1) return { headers: [], rows: [] };
+  const headers = lines[headingIndex].map(h => String(h).trim());
+  const rows = [];
+  for (let i = headingIndex + 1; i < lines.length; i++) {
+    if (isBlank(lines[i])) continue;
+    rows.push({ rowNumber: i + 1, cells: headers.map((h, col) => String(lines[i][col] === undefined ? '' : lines[i][col]).trim()) });
+  }
+  return { headers, rows };
+}
+
+// ----- Column mapping -----
+
+/**
+ * Matches headings to import fields by label, key or alias
+ * @param {string} entityType - customers, bills or payments
+ * @param {string[]} headers
+ * @returns {object} - {fieldKey: column index}, only for the fields found
+ */
+function suggestImportMapping(entityType, headers) {
+  const mapping = {};
+  const taken = new Set();
+  const keys = headers.map(importHeadingKey);
+  (IMPORT_FIELDS[entityType] || []).forEach(field => {
+    const names = [importHeadingKey(field.label), importHeadingKey(field.key), ...field.aliases];
+    for (const name of names) {
+      const index = keys.findIndex((k, i) => k === name && !taken.has(i));
+      if (index !== -1) {
+        mapping[field.key] = index;
+        taken.add(index);
+        return;
+      }
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Required fields without a column
+ * @returns {object[]} - The missing field definitions
+ */
+function getMissingImportFields(entityType, mapping) {
+  return (IMPORT_FIELDS[entityType] || []).filter(f => f.required && !(mapping[f.key] >= 0));
+}
+
+/**
+ * Turns sheet rows into import records holding the mapped cell values
+ * @returns {object[]} - [{rowNumber, values: {fieldKey: text}, payload, errors}]
+ */
+function buildImportRecords(entityType, sheet, mapping) {
+  const fields = IMPORT_FIELDS[entityType] || [];
+  return sheet.rows.map(row => {
+    const values = {};
+    fields.forEach(f => { values[f.key] = mapping[f.key] >= 0 ? row.cells[mapping[f.key]] || '' : ''; });
+    return { rowNumber: row.rowNumber, values, payload: null, errors: [] };
+  });
+}
+
+// ----- Row checks -----
+
+/**
+ * Finds the customer a cell refers to: a phone number (last 10 digits), a
+ * customer ID, or a name that only one customer has
+ * @param {string} value
+ * @param {object[]} customers
+ * @returns {object} - {customer} or {error}
+ */
+function findImportCustomer(value, customers) {
+  const text = String(value || '').trim();
+  if (!text) return { error: 'Customer is required' };
+  const active = (customers || []).filter(c => c.isActive !== false);
+  const digits = text.replace(/[\s\-()+]/g, '');
+  if (/^\d{10,}$/.test(digits)) {
+    const phone = digits.slice(-10);
+    const byPhone = active.filter(c => String(c.phone || '').replace(/\D/g, '').slice(-10) === phone);
+    if (byPhone.length === 1) return { customer: byPhone[0] };
+    if (byPhone.length > 1) return { error: `More than one customer has phone ${text}` };
+  }
+  if (/^\d+$/.test(text)) {
+    const byId = active.find(c => String(c.id) === text);
+    if (byId) return { customer: byId };
+  }
+  const name = text.toLowerCase().replace(/\s+/g, ' ');
+  const byName = active.filter(c => String(c.name || '').trim().toLowerCase().replace(/\s+/g, ' ') === name);
+  if (byName.length === 1) return { customer: byName[0] };
+  if (byName.length > 1) return { error: `More than one customer is named "${text}"; use their phone number` };
+  return { error: `No customer matches "${text}"` };
+}
+
+/**
+ * Finds the bill a cell refers to by bill number or ID
+ * @returns {object} - {bill} or {error}
+ */
+function findImportBill(value, bills, customer) {
+  const text = String(value || '').trim();
+  if (!text) return { error: 'Bill is required' };
+  const bill = (bills || []).find(b => b.isActive !== false && String(b.billNumber || '').toLowerCase() === text.toLowerCase())
+    || (bills || []).find(b => b.isActive !== false && String(b.id) === text.replace(/^#/, ''));
+  if (!bill) return { error: `No bill matches "${text}"` };
+  if (customer && String(bill.customerId) !== String(customer.id)) return { error: `Bill ${text} belongs to another customer` };
+  if (String(bill.status || '').toLowerCase() === 'cancelled') return { error: `Bill ${text} is cancelled` };
+  return { bill };
+}
+
+function normalizeImportMode(value) {
+  const text = String(value || '').trim();
+  return IMPORT_PAYMENT_MODES[importHeadingKey(text)] || text;
+}
+
+// Payment terms by key or by label (Net 30, Due on receipt)
+function normalizeImportTerms(value) {
+  const key = importHeadingKey(value);
+  const option = typeof PAYMENT_TERMS !== 'undefined' && PAYMENT_TERMS.find(t => importHeadingKey(t.key) === key || importHeadingKey(t.label) === key);
+  return option ? option.key : value;
+}
+
+// Amounts as numbers where they can be read; anything else is left for the validator to reject
+function importAmount(value) {
+  const amount = parseStatementAmount(value);
+  return isNaN(amount) ? String(value || '').trim() : amount;
+}
+
+function importDate(values, key, label, errors) {
+  const text = String(values[key] || '').trim();
+  if (!text) return '';
+  const date = parseStatementDate(text);
+  if (!date) errors.push({ field: key, message: `${label} is not a date` });
+  return date;
+}
+
+/**
+ * Resolves one record into an API payload and checks it
+ * @param {string} entityType
+ * @param {object} values - Mapped cell values
+ * @param {object} context - {customers, bills}
+ * @returns {object} - {payload, errors: [{field, message}]}
+ */
+function resolveImportRow(entityType, values, context = {}) {
+  const errors = [];
+  let payload;
+  let validation;
+
+  if (entityType === 'customers') {
+    payload = {};
+    IMPORT_UPLOAD_COLUMNS.customers.forEach(key => { payload[key] = String(values[key] || '').trim(); });
+    payload.phone = payload.phone.replace(/[\s\-()]/g, '');
+    payload.gstNumber = payload.gstNumber.toUpperCase();
+    if (payload.openingBalance !== '') payload.openingBalance = importAmount(payload.openingBalance);
+    if (payload.paymentTerms) payload.paymentTerms = normalizeImportTerms(payload.paymentTerms);
+    validation = validateCustomerForm(payload);
+  } else {
+    const found = findImportCustomer(values.customer, context.customers);
+    if (found.error) errors.push({ field: 'customer', message: found.error });
+    const customerId = found.customer ? found.customer.id : '';
+
+    if (entityType === 'bills') {
+      payload = {
+        customerId,
+        billAmount: importAmount(values.billAmount),
+        billDate: importDate(values, 'billDate', 'Bill date', errors),
+        dueDate: importDate(values, 'dueDate', 'Due date', errors),
+        notes: String(values.notes || '').trim()
+      };
+      validation = validateBillForm(payload);
+    } else {
+      const bill = found.customer ? findImportBill(values.bill, context.bills, found.customer) : {};
+      if (bill.error) errors.push({ field: 'bill', message: bill.error });
+      payload = {
+        customerId,
+        billId: bill.bill ? bill.bill.id : '',
+        amount: importAmount(values.amount),
+        paymentDate: importDate(values, 'paymentDate', 'Payment date', errors),
+        mode: normalizeImportMode(values.mode),
+        chequeNumber: String(values.chequeNumber || '').trim(),
+        paymentReference: String(values.paymentReference || '').trim(),
+        notes: String(values.notes || '').trim()
+      };
+      validation = validatePaymentForm(payload);
+      if (payload.mode === 'Cheque' && !payload.chequeNumber) errors.push({ field: 'chequeNumber', message: 'Cheque number is required for cheque payments' });
+    }
+  }
+
+  // The customer and bill lookups above already say what is wrong with those columns
+  validation.errors.forEach(e => {
+    const field = IMPORT_ERROR_FIELDS[entityType][e.field] || e.field;
+    if (!errors.some(x => x.field === field)) errors.push({ field, message: e.message });
+  });
+  return { payload, errors };
+}
+
+/**
+ * Resolves and checks every record in place, including checks across rows:
+ * a customer phone already on file or repeated in the sheet
+ * @param {string} entityType
+ * @param {object[]} records - From buildImportRecords
+ * @param {object} context - {customers, bills}
+ * @returns {object[]} - The records, with payload and errors set
+ */
+function validateImportRecords(entityType, records, context = {}) {
+  const phones = new Map();
+  (context.customers || []).filter(c => c.isActive !== false).forEach(c => {
+    const phone = String(c.phone || '').replace(/\D/g, '').slice(-10);
+    if (phone) phones.set(phone, `customer ${c.name}`);
+  });
+  records.forEach(record => {
+    const { payload, errors } = resolveImportRow(entityType, record.values, context);
+    if (entityType === 'customers' && !errors.some(e => e.field === 'phone')) {
+      const phone = payload.phone.slice(-10);
+      if (phones.has(phone)) errors.push({ field: 'phone', message: `Phone is already used by ${phones.get(phone)}` });
+      else phones.set(phone, `row ${record.rowNumber}`);
+    }
+    record.payload = payload;
+    record.errors = errors;
+  });
+  return records;
+}
+
+// ----- Upload and reports -----
+
+/**
+ * Splits records into upload batches
+ * @param {object[]} records
+ * @param {number} [size]
+ * @returns {object[][]}
+ */
+function chunkImportRecords(records, size = IMPORT_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < records.length; i += size) chunks.push(records.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * CSV body for one bulk-import request. Line breaks inside cells become
+ * spaces; the importer reads one row per line.
+ * @returns {string}
+ */
+function buildImportChunkCSV(entityType, records) {
+  const columns = IMPORT_UPLOAD_COLUMNS[entityType];
+  const rows = records.map(record => {
+    const row = {};
+    columns.forEach(key => {
+      const value = record.payload[key];
+      row[key] = value === undefined || value === null ? '' : String(value).replace(/\s*[\r\n]+\s*/g, ' ');
+    });
+    return row;
+  });
+  // The importer splits on commas and stores text as sent, whatever the user's export settings
+  return convertToCSV(rows, columns.map(key => ({ key, label: key })), { delimiter: ',', dates: 'iso', rawText: true });
+}
+
+/**
+ * Rows with errors, under the import headings with an Errors column added,
+ * so the file can be corrected and imported again
+ * @returns {string} - CSV, empty when there are no errors
+ */
+function buildImportErrorReport(entityType, records) {
+  const fields = IMPORT_FIELDS[entityType] || [];
+  const rows = records.filter(r => r.errors.length > 0).map(record => {
+    const row = { rowNumber: String(record.rowNumber), errors: record.errors.map(e => e.message).join('; ') };
+    fields.forEach(f => { row[f.key] = record.values[f.key] || ''; });
+    return row;
+  });
+  return convertToCSV(rows, [
+    { key: 'rowNumber', label: 'Row' },
+    ...fields.map(f => ({ key: f.key, label: f.label })),
+    { key: 'errors', label: 'Errors' }
+  ]);
+}
+
+/**
+ * Template with the import headings and an example row
+ * @returns {string} - CSV
+ */
+function buildImportTemplate(entityType) {
+  const fields = IMPORT_FIELDS[entityType] || [];
+  const example = {};
+  fields.forEach(f => { example[f.key] = f.example; });
+  return convertToCSV([example], fields.map(f => ({ key: f.key, label: f.label })));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseImportCSV,
+    parseImportWorkbook,
+    suggestImportMapping,
+    getMissingImportFields,
+    buildImportRecords,
+    findImportCustomer,
+    findImportBill,
+    resolveImportRow,
+    validateImportRecords,
+    chunkImportRecords,
+    buildImportChunkCSV,
+    buildImportErrorReport,
+    buildImportTemplate
+  };
+}
@@ -0,0 +1,750 @@
+/**
+ * GST - Indian Goods and Services Tax helpers
+ *
+ * Adds an optional GST mode on top of the line-item bills in app.js:
+ *   - GSTIN format and checksum validation
+ *   - Place of supply resolution and the CGST+SGST (intra-state) or
+ *     IGST (inter-state) split for each bill
+ *   - A tax-invoice PDF layout used by buildPDFInvoice() when GST mode is on
+ *   - A GSTR-1 style monthly summary, exportable as JSON or CSV. Cancelled
+ *     bills are left out. Credit notes are not reported: they carry no tax
+ *     split, so they go in the CDNR/CDNUR tables on the GST portal by hand.
+ *
+ * Usage:
+ *   Include after app.js; the GSTR-1 summary also uses isCancelledBill from
+ *   ledger.js. The business GSTIN, legal name and state are
+ *   stored in localStorage via saveGstSettings(). The tax invoice takes its
+ *   colour, logo, signature and bank details from invoice-templates.js, and
+ *   a UPI QR code from upi.js when it is loaded.
+ */
+
+const GST_SETTINGS_KEY = 'gstSettings';
+
+// B2C invoices above this value to another state are reported individually (B2CL)
+const GST_B2CL_LIMIT = 100000;
+
+// GST state codes as used in the first two digits of a GSTIN
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// Unit quantity codes expected in the GSTR-1 HSN summary
+const GST_UQC = {
+  Nos: 'NOS',
+  Pcs: 'PCS',
+  Kg: 'KGS',
+  Ltr: 'LTR',
+  Mtr: 'MTR',
+  Box: 'BOX'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Computes the GSTIN check character for the first 14 characters
+ * @param {string} gstin - GSTIN (at least 14 characters, uppercase)
+ * @returns {string} - Expected check character
+ */
+function getGSTINCheckChar(gstin) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Validates a GSTIN (format, state code and checksum)
+ * @param {string} gstin - GSTIN to validate
+ * @returns {object} - {valid: boolean, message: string}
+ */
+function validateGSTIN(gstin) {
+  const value = (gstin || '').trim().toUpperCase();
+  if (!value) {
+    return { valid: false, message: 'GSTIN is required' };
+  }
+  if (!GSTIN_PATTERN.test(value)) {
+    return { valid: false, message: 'GSTIN must be 15 characters (e.g. 27AAPFU0939F1ZV)' };
+  }
+  if (!GST_STATES[value.slice(0, 2)]) {
+    return { valid: false, message: 'GSTIN has an invalid state code' };
+  }
+  if (getGSTINCheckChar(value) !== value[14]) {
+    return { valid: false, message: 'GSTIN checksum is invalid' };
+  }
+  return { valid: true, message: '' };
+}
+
+/**
+ * Resolves a state code from a state code, state name or GSTIN
+ * @param {string} value - e.g. "27", "Maharashtra" or "27AAPFU0939F1ZV"
+ * @returns {string|null} - Two-digit state code, or null if unknown
+ */
+function resolveGstStateCode(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const code = text.slice(0, 2);
+  if (/^\d{2}$/.test(code) && GST_STATES[code] && (text.length === 2 || text.length === 15)) {
+    return code;
+  }
+
+  const normalize = (name) => name.toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+  const wanted = normalize(text);
+  const match = Object.keys(GST_STATES).find(key => normalize(GST_STATES[key]) === wanted);
+  return match || null;
+}
+
+/**
+ * Formats a state code as "Maharashtra (27)"
+ * @param {string} stateCode - Two-digit state code
+ * @returns {string} - Display label
+ */
+function formatGstState(stateCode) {
+  return GST_STATES[stateCode] ? `${GST_STATES[stateCode]} (${stateCode})` : 'N/A';
+}
+
+/**
+ * Returns the saved GST settings
+ * @returns {object} - {enabled, gstin, legalName, stateCode, address}
+ */
+function getGstSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GST_SETTINGS_KEY) || '{}');
+    return {
+      enabled: saved.enabled === true,
+      gstin: saved.gstin || '',
+      legalName: saved.legalName || '',
+      stateCode: saved.stateCode || '',
+      address: saved.address || ''
+    };
+  } catch (e) {
+    return { enabled: false, gstin: '', legalName: '', stateCode: '', address: '' };
+  }
+}
+
+/**
+ * Validates and saves GST settings. The business state always follows the GSTIN.
+ * @param {object} settings - {enabled, gstin, legalName, address}
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function saveGstSettings(settings) {
+  const errors = [];
+  const gstin = (settings.gstin || '').trim().toUpperCase();
+
+  if (settings.enabled || gstin) {
+    const gstinValidation = validateGSTIN(gstin);
+    if (!gstinValidation.valid) errors.push({ field: 'gstin', message: gstinValidation.message });
+  }
+  if (settings.enabled && !(settings.legalName || '').trim()) {
+    errors.push({ field: 'legalName', message: 'Legal business name is required' });
+  }
+
+  if (errors.length === 0) {
+    localStorage.setItem(GST_SETTINGS_KEY, JSON.stringify({
+      enabled: settings.enabled === true,
+      gstin,
+      legalName: (settings.legalName || '').trim(),
+      stateCode: gstin ? gstin.slice(0, 2) : '',
+      address: (settings.address || '').trim()
+    }));
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Checks whether GST mode is on and configured
+ * @returns {boolean}
+ */
+function isGstEnabled() {
+  const settings = getGstSettings();
+  return settings.enabled && !!settings.stateCode;
+}
+
+/**
+ * Determines the place of supply for a customer. A registered customer's
+ * GSTIN decides the state; otherwise the customer's state field is used,
+ * falling back to the business's own state.
+ * @param {object} customer - Customer object
+ * @param {object} settings - GST settings
+ * @returns {string} - Two-digit state code
+ */
+function getPlaceOfSupply(customer, settings = getGstSettings()) {
+  const gstin = (customer && customer.gstNumber || '').trim().toUpperCase();
+  if (gstin && validateGSTIN(gstin).valid) return gstin.slice(0, 2);
+  return resolveGstStateCode(customer && customer.state) || settings.stateCode;
+}
+
+/**
+ * Splits bill tax into CGST+SGST or IGST
+ * @param {array} items - Bill line items
+ * @param {string} supplierStateCode - Business state code
+ * @param {string} placeOfSupply - Customer state code
+ * @returns {object} - {intraState, lines, rateSummary, totals}
+ */
+function calculateGstBreakdown(items, supplierStateCode, placeOfSupply) {
+  const intraState = !placeOfSupply || placeOfSupply === supplierStateCode;
+  const billTotals = calculateBillTotals(items);
+
+  const lines = billTotals.lines.map(line => {
+    // SGST takes the remainder so CGST + SGST always equals the line tax
+    const cgstAmount = intraState ? roundCurrency(line.taxAmount / 2) : 0;
+    const sgstAmount = intraState ? roundCurrency(line.taxAmount - cgstAmount) : 0;
+    const igstAmount = intraState ? 0 : line.taxAmount;
+    return { ...line, cgstAmount, sgstAmount, igstAmount };
+  });
+
+  const rateSummary = [];
+  lines.forEach(line => {
+    let row = rateSummary.find(r => r.taxRate === line.taxRate);
+    if (!row) {
+      row = { taxRate: line.taxRate, taxableAmount: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0 };
+      rateSummary.push(row);
+    }
+    row.taxableAmount = roundCurrency(row.taxableAmount + line.taxableAmount);
+    row.cgstAmount = roundCurrency(row.cgstAmount + line.cgstAmount);
+    row.sgstAmount = roundCurrency(row.sgstAmount + line.sgstAmount);
+    row.igstAmount = roundCurrency(row.igstAmount + line.igstAmount);
+  });
+  rateSummary.sort((a, b) => a.taxRate - b.taxRate);
+
+  const sum = (key) => roundCurrency(lines.reduce((total, line) => total + line[key], 0));
+
+  return {
+    intraState,
+    lines,
+    rateSummary,
+    totals: {
+      subtotal: billTotals.subtotal,
+      discountTotal: billTotals.discountTotal,
+      taxableTotal: billTotals.taxableTotal,
+      taxTotal: billTotals.taxTotal,
+      grandTotal: billTotals.grandTotal,
+      cgstTotal: sum('cgstAmount'),
+      sgstTotal: sum('sgstAmount'),
+      igstTotal: sum('igstAmount')
+    }
+  };
+}
+
+/**
+ * Computes the GST breakdown for a bill
+ * @param {object} bill - Bill object
+ * @param {object} customer - Customer object
+ * @param {object} settings - GST settings
+ * @returns {object} - calculateGstBreakdown() result plus {placeOfSupply, supplierStateCode}
+ */
+function computeBillGst(bill, customer, settings = getGstSettings()) {
+  const placeOfSupply = getPlaceOfSupply(customer, settings);
+  return {
+    ...calculateGstBreakdown(getBillItems(bill), settings.stateCode, placeOfSupply),
+    placeOfSupply,
+    supplierStateCode: settings.stateCode
+  };
+}
+
+/**
+ * Converts an amount to words using the Indian numbering system
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - e.g. "Rupees One Lakh Twenty Thousand and Fifty Paise Only"
+ */
+function amountInWords(amount) {
+  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+  const twoDigits = (n) => n < 20 ? ones[n] : `${tens[Math.floor(n / 10)]} ${ones[n % 10]}`.trim();
+  const threeDigits = (n) => {
+    const hundred = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundred ? `${ones[hundred]} Hundred` : '', rest ? twoDigits(rest) : ''].filter(Boolean).join(' ');
+  };
+
+  const rupees = Math.floor(roundCurrency(amount));
+  const paise = Math.round((roundCurrency(amount) - rupees) * 100);
+
+  const parts = [];
+  const crore = Math.floor(rupees / 10000000);
+  const lakh = Math.floor((rupees % 10000000) / 100000);
+  const thousand = Math.floor((rupees % 100000) / 1000);
+  const rest = rupees % 1000;
+  if (crore) parts.push(`${crore > 99 ? amountInWords(crore).replace(/^Rupees | Only$/g, '') : twoDigits(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+  if (rest) parts.push(threeDigits(rest));
+
+  let words = `Rupees ${parts.length ? parts.join(' ') : 'Zero'}`;
+  if (paise) words += ` and ${twoDigits(paise)} Paise`;
+  return `${words} Only`;
+}
+
+/**
+ * Builds a GST tax invoice PDF for a bill
+ * @param {object} bill - Bill object
+ * @param {object} customer - Customer object
+ * @param {object} settings - GST settings
+ * @param {object} [branding] - Invoice branding (invoice-templates.js): colour, logo, signature, bank details, footer
+ * @param {number} [amountDue] - Amount for the UPI QR code (upi.js), defaults to the bill amount
+ * @returns {object|null} - jsPDF document, or null if jsPDF is not loaded
+ */
+function buildGstTaxInvoicePDF(bill, customer, settings = getGstSettings(), branding = getInvoiceSettings(), amountDue) {
+  if (!window.jspdf) {
+    console.error('jsPDF library not loaded');
+    return null;
+  }
+
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF();
+
+  const primaryColor = getInvoiceColor(branding);
+  const lightGray = [245, 245, 245];
+  const darkGray = [44, 62, 80];
+
+  const money = (value) => parseFloat(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const gst = computeBillGst(bill, customer, settings);
+  const legalName = settings.legalName || branding.businessName || 'Business Management System';
+  const customerGstin = (customer.gstNumber || '').trim().toUpperCase();
+
+  // ========== HEADER SECTION ==========
+  doc.setFillColor(...primaryColor);
+  doc.rect(0, 0, 210, 36, 'F');
+  addPDFImage(doc, branding.logo, 14, 4, 28, 28);
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(22);
+  doc.setFont(undefined, 'bold');
+  doc.text('TAX INVOICE', 105, 16, { align: 'center' });
+  doc.setFontSize(11);
+  doc.text(legalName, 105, 25, { align: 'center' });
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'normal');
+  doc.text(`GSTIN: ${settings.gstin}   State: ${formatGstState(settings.stateCode)}`, 105, 31, { align: 'center' });
+
+  // ========== SUPPLIER / INVOICE DETAILS ==========
+  let yPos = 46;
+  doc.setTextColor(...darkGray);
+  doc.setFontSize(9);
+  const details = [
+    ['Invoice No:', String(bill.billNumber || bill.id)],
+    ['Invoice Date:', bill.billDate ? formatDateOnly(bill.billDate) : formatDateOnly(bill.createdAt)],
+    ['Payment Terms:', getInvoicePaymentTerms(bill, customer)],
+    ['Place of Supply:', formatGstState(gst.placeOfSupply)],
+    ['Reverse Charge:', 'No']
+  ];
+  details.forEach(([label, value], index) => {
+    doc.setFont(undefined, 'bold');
+    doc.text(label, 20, yPos + (index * 6));
+    doc.setFont(undefined, 'normal');
+    doc.text(value, 52, yPos + (index * 6));
+  });
+  if (settings.address) {
+    doc.splitTextToSize(settings.address, 80).slice(0, 2).forEach((line, index) => {
+      doc.text(line, 20, yPos + 30 + (index * 5));
+    });
+  }
+
+  // ========== BILL TO SECTION ==========
+  doc.setFontSize(10);
+  doc.setFont(undefined, 'bold');
+  doc.text('Bill To:', 120, yPos);
+  doc.setFillColor(...lightGray);
+  doc.roundedRect(120, yPos + 3, 80, 34, 3, 3, 'F');
+  doc.setFontSize(9);
+  doc.text(customer.name || 'N/A', 124, yPos + 9);
+  doc.setFont(undefined, 'normal');
+  doc.text(`GSTIN: ${customerGstin || 'Unregistered'}`, 124, yPos + 15);
+  doc.text(`State: ${formatGstState(gst.placeOfSupply)}`, 124, yPos + 21);
+  doc.splitTextToSize(customer.address || 'N/A', 72).slice(0, 2).forEach((line, index) => {
+    doc.text(line, 124, yPos + 27 + (index * 5));
+  });
+
+  // ========== ITEMS TABLE SECTION ==========
+  const drawItemsHeader = (y) => {
+    doc.setFillColor(...primaryColor);
+    doc.rect(20, y, 170, 9, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'bold');
+    doc.text('#', 22, y + 6);
+    doc.text('Description', 28, y + 6);
+    doc.text('HSN/SAC', 82, y + 6);
+    doc.text('Qty', 112, y + 6, { align: 'right' });
+    doc.text('Rate', 132, y + 6, { align: 'right' });
+    doc.text('Taxable', 155, y + 6, { align: 'right' });
+    doc.text('GST %', 168, y + 6, { align: 'right' });
+    doc.text('Total', 188, y + 6, { align: 'right' });
+    return y + 10;
+  };
+
+  yPos = drawItemsHeader(90);
+  gst.lines.forEach((line, index) => {
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    const descLines = doc.splitTextToSize(line.description || 'Service/Product', 50);
+    const rowHeight = Math.max(8, descLines.length * 4 + 4);
+    if (yPos + rowHeight > 255) {
+      doc.addPage();
+      yPos = drawItemsHeader(20);
+      doc.setFontSize(8);
+      doc.setFont(undefined, 'normal');
+    }
+    if (index % 2 === 0) {
+      doc.setFillColor(...lightGray);
+      doc.rect(20, yPos, 170, rowHeight, 'F');
+    }
+    doc.setTextColor(...darkGray);
+    doc.text(String(index + 1), 22, yPos + 5);
+    descLines.forEach((text, lineIndex) => doc.text(text, 28, yPos + 5 + (lineIndex * 4)));
+    doc.text(line.hsnSac || '-', 82, yPos + 5);
+    doc.text(`${line.quantity} ${line.unit || ''}`.trim(), 112, yPos + 5, { align: 'right' });
+    doc.text(money(line.rate), 132, yPos + 5, { align: 'right' });
+    doc.text(money(line.taxableAmount), 155, yPos + 5, { align: 'right' });
+    doc.text(String(line.taxRate), 168, yPos + 5, { align: 'right' });
+    doc.text(money(line.total), 188, yPos + 5, { align: 'right' });
+    yPos += rowHeight;
+  });
+
+  // ========== TAX SUMMARY SECTION ==========
+  const summaryHeight = 16 + gst.rateSummary.length * 6;
+  if (yPos + summaryHeight + 55 > 265) {
+    doc.addPage();
+    yPos = 10;
+  }
+  yPos += 8;
+  doc.setTextColor(...darkGray);
+  doc.setFontSize(10);
+  doc.setFont(undefined, 'bold');
+  doc.text('Tax Summary', 20, yPos);
+  yPos += 3;
+
+  const taxColumns = gst.intraState
+    ? [['CGST', 'cgstAmount', 2], ['SGST', 'sgstAmount', 2]]
+    : [['IGST', 'igstAmount', 1]];
+  doc.setFillColor(...lightGray);
+  doc.rect(20, yPos, 170, 7, 'F');
+  doc.setFontSize(8);
+  doc.text('GST Rate', 22, yPos + 5);
+  doc.text('Taxable Value', 80, yPos + 5, { align: 'right' });
+  taxColumns.forEach(([label], index) => {
+    doc.text(`${label} Amount`, 125 + (index * 35), yPos + 5, { align: 'right' });
+  });
+  doc.text('Total Tax', 188, yPos + 5, { align: 'right' });
+  yPos += 7;
+
+  doc.setFont(undefined, 'normal');
+  gst.rateSummary.forEach(row => {
+    yPos += 6;
+    doc.text(`${row.taxRate}%`, 22, yPos);
+    doc.text(money(row.taxableAmount), 80, yPos, { align: 'right' });
+    taxColumns.forEach(([label, key, divisor], index) => {
+      doc.text(`${money(row[key])} @ ${row.taxRate / divisor}%`, 125 + (index * 35), yPos, { align: 'right' });
+    });
+    doc.text(money(row.cgstAmount + row.sgstAmount + row.igstAmount), 188, yPos, { align: 'right' });
+  });
+
+  // ========== TOTALS SECTION ==========
+  yPos += 8;
+  const totalRows = [['Taxable Value', gst.totals.taxableTotal]];
+  if (gst.intraState) {
+    totalRows.push(['CGST', gst.totals.cgstTotal], ['SGST', gst.totals.sgstTotal]);
+  } else {
+    totalRows.push(['IGST', gst.totals.igstTotal]);
+  }
+  doc.setFillColor(250, 250, 250);
+  doc.roundedRect(120, yPos, 70, totalRows.length * 6 + 14, 3, 3, 'F');
+  doc.setFontSize(9);
+  totalRows.forEach(([label, value], index) => {
+    doc.setFont(undefined, 'normal');
+    doc.text(label, 124, yPos + 6 + (index * 6));
+    doc.text(money(value), 186, yPos + 6 + (index * 6), { align: 'right' });
+  });
+  const grandY = yPos + totalRows.length * 6 + 9;
+  doc.setFont(undefined, 'bold');
+  doc.setFontSize(11);
+  doc.setTextColor(...primaryColor);
+  doc.text('Invoice Total', 124, grandY);
+  doc.text('₹' + money(gst.totals.grandTotal), 186, grandY, { align: 'right' });
+
+  doc.setTextColor(...darkGray);
+  doc.setFontSize(8);
+  doc.setFont(undefined, 'bold');
+  doc.text('Amount in words:', 20, yPos + 6);
+  doc.setFont(undefined, 'normal');
+  // The UPI QR code sits beside the amount in words, which then wraps narrower
+  const upiLink = typeof getBillUpiLink === 'function' ? getBillUpiLink(bill, amountDue, branding) : null;
+  const hasQr = upiLink && drawPDFUpiQr(doc, upiLink, 88, yPos + 2, 28);
+  const textWidth = hasQr ? 64 : 90;
+  const wordLines = doc.splitTextToSize(amountInWords(gst.totals.grandTotal), textWidth);
+  wordLines.forEach((line, index) => {
+    doc.text(line, 20, yPos + 11 + (index * 4));
+  });
+  const paymentLines = getPaymentDetailLines(branding).flatMap(line => doc.splitTextToSize(line, textWidth));
+  paymentLines.forEach((line, index) => {
+    doc.text(line, 20, yPos + 15 + ((wordLines.length + index) * 4));
+  });
+  if (hasQr) {
+    doc.setFontSize(6);
+    doc.text('Scan to pay with UPI', 102, yPos + 33, { align: 'center' });
+  }
+
+  // ========== FOOTER SECTION ==========
+  yPos = 262;
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'bold');
+  doc.text(`For ${legalName}`, 188, yPos - 14, { align: 'right' });
+  addPDFImage(doc, branding.signature, 188, yPos - 12, 40, 8, 'right');
+  doc.setFont(undefined, 'normal');
+  doc.text('Authorised Signatory', 188, yPos - 2, { align: 'right' });
+  doc.setDrawColor(220, 220, 220);
+  doc.setLineWidth(0.5);
+  doc.line(20, yPos + 6, 190, yPos + 6);
+  doc.setFontSize(8);
+  doc.setTextColor(150, 150, 150);
+  doc.text(branding.footerText || 'This is a computer generated invoice.', 105, yPos + 12, { align: 'center' });
+  doc.text('Generated on ' + formatDate(new Date().toISOString()), 105, yPos + 17, { align: 'center' });
+
+  return doc;
+}
+
+/**
+ * Formats a date as dd-mm-yyyy (the format used in GSTR-1 returns)
+ * @param {string} dateString - ISO date string
+ * @returns {string}
+ */
+function formatGstrDate(dateString) {
+  const date = new Date(dateString);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getDate())}-${pad(date.getMonth() + 1)}-${date.getFullYear()}`;
+}
+
+/**
+ * Builds a GSTR-1 style summary of outward supplies for a month.
+ * Invoices to registered customers go in B2B, large inter-state invoices
+ * to unregistered customers in B2CL, and the rest are aggregated in B2CS.
+ * Inactive and cancelled bills are skipped; credit notes are not included.
+ * @param {array} bills - Array of bill objects
+ * @param {array} customers - Array of customer objects
+ * @param {string} month - Return period as "YYYY-MM"
+ * @param {object} settings - GST settings
+ * @returns {object} - {gstin, fp, b2b, b2cl, b2cs, hsn}
+ */
+function buildGstr1Report(bills, customers, month, settings = getGstSettings()) {
+  const [year, monthNumber] = month.split('-');
+  const customerMap = {};
+  customers.forEach(c => { customerMap[c.id] = c; });
+
+  const report = {
+    gstin: settings.gstin,
+    fp: `${monthNumber}${year}`,
+    b2b: [],
+    b2cl: [],
+    b2cs: [],
+    hsn: { data: [] }
+  };
+
+  const periodBills = bills.filter(b => {
+    if (b.isActive === false || b.IsActive === false || b.is_active === false || isCancelledBill(b)) return false;
+    const dateField = b.billDate || b.createdAt;
+    return dateField && dateField.slice(0, 7) === month;
+  });
+
+  periodBills.forEach(bill => {
+    const customer = customerMap[bill.customerId] || {};
+    const gst = computeBillGst(bill, customer, settings);
+    const ctin = (customer.gstNumber || '').trim().toUpperCase();
+    const registered = ctin && validateGSTIN(ctin).valid;
+
+    const itms = gst.rateSummary.map((row, index) => ({
+      num: index + 1,
+      itm_det: {
+        rt: row.taxRate,
+        txval: row.taxableAmount,
+        iamt: row.igstAmount,
+        camt: row.cgstAmount,
+        samt: row.sgstAmount,
+        csamt: 0
+      }
+    }));
+    const invoice = {
+      inum: String(bill.billNumber || bill.id),
+      idt: formatGstrDate(bill.billDate || bill.createdAt),
+      val: gst.totals.grandTotal,
+      pos: gst.placeOfSupply,
+      itms
+    };
+
+    if (registered) {
+      let entry = report.b2b.find(e => e.ctin === ctin);
+      if (!entry) {
+        entry = { ctin, inv: [] };
+        report.b2b.push(entry);
+      }
+      entry.inv.push({ ...invoice, rchrg: 'N', inv_typ: 'R' });
+    } else if (!gst.intraState && gst.totals.grandTotal > GST_B2CL_LIMIT) {
+      let entry = report.b2cl.find(e => e.pos === gst.placeOfSupply);
+      if (!entry) {
+        entry = { pos: gst.placeOfSupply, inv: [] };
+        report.b2cl.push(entry);
+      }
+      const { pos, ...inv } = invoice;
+      entry.inv.push(inv);
+    } else {
+      gst.rateSummary.forEach(row => {
+        const splyTy = gst.intraState ? 'INTRA' : 'INTER';
+        let entry = report.b2cs.find(e => e.sply_ty === splyTy && e.pos === gst.placeOfSupply && e.rt === row.taxRate);
+        if (!entry) {
+          entry = { sply_ty: splyTy, pos: gst.placeOfSupply, typ: 'OE', rt: row.taxRate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+          report.b2cs.push(entry);
+        }
+        entry.txval = roundCurrency(entry.txval + row.taxableAmount);
+        entry.iamt = roundCurrency(entry.iamt + row.igstAmount);
+        entry.camt = roundCurrency(entry.camt + row.cgstAmount);
+        entry.samt = roundCurrency(entry.samt + row.sgstAmount);
+      });
+    }
+
+    gst.lines.forEach(line => {
+      const hsnSc = line.hsnSac || '';
+      const uqc = GST_UQC[line.unit] || 'OTH';
+      let row = report.hsn.data.find(r => r.hsn_sc === hsnSc && r.rt === line.taxRate && r.uqc === uqc);
+      if (!row) {
+        row = { num: report.hsn.data.length + 1, hsn_sc: hsnSc, desc: line.description, uqc, qty: 0, rt: line.taxRate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+        report.hsn.data.push(row);
+      }
+      row.qty = roundCurrency(row.qty + line.quantity);
+      row.txval = roundCurrency(row.txval + line.taxableAmount);
+      row.iamt = roundCurrency(row.iamt + line.igstAmount);
+      row.camt = roundCurrency(row.camt + line.cgstAmount);
+      row.samt = roundCurrency(row.samt + line.sgstAmount);
+    });
+  });
+
+  return report;
+}
+
+/**
+ * Flattens a GSTR-1 report into CSV rows (one row per invoice rate or summary line)
+ * @param {object} report - Result of buildGstr1Report()
+ * @returns {string} - CSV string
+ */
+function gstr1ToCSV(report) {
+  const headers = [
+    { key: 'section', label: 'Section' },
+    { key: 'ctin', label: 'Recipient GSTIN' },
+    { key: 'inum', label: 'Invoice Number' },
+    { key: 'idt', label: 'Invoice Date' },
+    { key: 'val', label: 'Invoice Value' },
+    { key: 'pos', label: 'Place of Supply' },
+    { key: 'splyTy', label: 'Supply Type' },
+    { key: 'hsn', label: 'HSN/SAC' },
+    { key: 'uqc', label: 'UQC' },
+    { key: 'qty', label: 'Quantity' },
+    { key: 'rt', label: 'Rate' },
+    { key: 'txval', label: 'Taxable Value' },
+    { key: 'iamt', label: 'IGST' },
+    { key: 'camt', label: 'CGST' },
+    { key: 'samt', label: 'SGST' }
+  ];
+
+  // Amounts are written with the two decimals the GST portal expects ("0.00", not "0")
+  const amounts = (d) => ({
+    rt: String(d.rt),
+    txval: d.txval.toFixed(2),
+    iamt: d.iamt.toFixed(2),
+    camt: d.camt.toFixed(2),
+    samt: d.samt.toFixed(2)
+  });
+  const invoiceRows = (section, ctin, pos, inv) => inv.itms.map(item => ({
+    section,
+    ctin,
+    inum: inv.inum,
+    idt: inv.idt,
+    val: inv.val.toFixed(2),
+    pos: formatGstState(pos),
+    ...amounts(item.itm_det)
+  }));
+
+  const rows = [];
+  report.b2b.forEach(entry => entry.inv.forEach(inv => rows.push(...invoiceRows('B2B', entry.ctin, inv.pos, inv))));
+  report.b2cl.forEach(entry => entry.inv.forEach(inv => rows.push(...invoiceRows('B2CL', '', entry.pos, inv))));
+  report.b2cs.forEach(entry => rows.push({ section: 'B2CS', pos: formatGstState(entry.pos), splyTy: entry.sply_ty, ...amounts(entry) }));
+  report.hsn.data.forEach(entry => rows.push({ section: 'HSN', hsn: entry.hsn_sc, uqc: entry.uqc, qty: String(entry.qty), ...amounts(entry) }));
+
+  // The GST portal reads comma separated files, whatever the user's export settings
+  return convertToCSV(rows, headers, { delimiter: ',', dates: 'iso' });
+}
+
+/**
+ * Downloads a GSTR-1 report as JSON or CSV
+ * @param {object} report - Result of buildGstr1Report()
+ * @param {string} format - "json" or "csv"
+ */
+function downloadGstr1(report, format) {
+  const filename = `GSTR1_${report.gstin}_${report.fp}.${format}`;
+  if (format === 'csv') {
+    downloadCSV(gstr1ToCSV(report), filename);
+    return;
+  }
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GST_STATES,
+    validateGSTIN,
+    resolveGstStateCode,
+    getPlaceOfSupply,
+    calculateGstBreakdown,
+    buildGstr1Report,
+    gstr1ToCSV,
+    amountInWords
+  };
+}
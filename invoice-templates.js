@@ -0,0 +1,632 @@
+/**
+ * Invoice templates - the business branding printed on invoices and
+ * statements, and the renderer every invoice PDF goes through
+ *
+ * The branding (logo, address, GSTIN, bank and UPI details, signature,
+ * colour, footer text and terms) belongs to the organisation: it is saved
+ * through the API and cached in localStorage so PDFs can be built offline.
+ * Until it has been saved, the organisation name and logo from login and
+ * the GST settings are used. Layouts:
+ *   classic - coloured header band (the original invoice design)
+ *   modern  - logo and business details on white with a coloured rule
+ *   minimal - black and white without fills, for any printer
+ *
+ * Usage:
+ *   Include after app.js, gst.js and payment-terms.js; with upi.js loaded,
+ *   invoices carry a UPI QR code for the amount due.
+ *   const doc = buildPDFInvoice(bill, customer);                // download and share
+ *   const top = drawPDFLetterhead(doc, 'CUSTOMER STATEMENT');  // statements
+ *   const sample = getSampleInvoice();
+ *   buildPDFInvoice(sample.bill, sample.customer, { branding: draft }); // preview
+ */
+
+const INVOICE_SETTINGS_KEY = 'invoiceSettings';
+
+const INVOICE_LAYOUTS = [
+  { key: 'classic', label: 'Classic', description: 'Coloured header band' },
+  { key: 'modern', label: 'Modern', description: 'Logo and details on white, coloured rule' },
+  { key: 'minimal', label: 'Minimal', description: 'Black and white, printer friendly' }
+];
+
+const INVOICE_THEMES = [
+  { key: 'indigo', label: 'Indigo', color: '#667eea' },
+  { key: 'teal', label: 'Teal', color: '#16a085' },
+  { key: 'forest', label: 'Forest', color: '#27ae60' },
+  { key: 'crimson', label: 'Crimson', color: '#c0392b' },
+  { key: 'amber', label: 'Amber', color: '#d35400' },
+  { key: 'slate', label: 'Slate', color: '#34495e' }
+];
+
+// Logo and signature are kept as data URLs; the cap keeps the settings small enough to sync
+const INVOICE_IMAGE_MAX_LENGTH = 200 * 1024;
+
+const INVOICE_TEXT_FIELDS = ['businessName', 'address', 'gstin', 'phone', 'email', 'bankName', 'accountName', 'accountNumber', 'ifsc', 'upiId', 'footerText', 'terms'];
+
+const INVOICE_DARK_GRAY = [44, 62, 80];
+
+function isImageDataUrl(value) {
+  return /^data:image\/(png|jpe?g);base64,/i.test(String(value || ''));
+}
+
+function normalizeInvoiceSettings(settings) {
+  const result = {
+    layout: INVOICE_LAYOUTS.some(l => l.key === settings.layout) ? settings.layout : INVOICE_LAYOUTS[0].key,
+    color: /^#[0-9a-f]{6}$/i.test(settings.color || '') ? settings.color.toLowerCase() : INVOICE_THEMES[0].color,
+    logo: isImageDataUrl(settings.logo) ? settings.logo : '',
+    signature: isImageDataUrl(settings.signature) ? settings.signature : ''
+  };
+  INVOICE_TEXT_FIELDS.forEach(key => { result[key] = String(settings[key] || '').trim(); });
+  result.gstin = result.gstin.toUpperCase();
+  result.ifsc = result.ifsc.toUpperCase();
+  return result;
+}
+
+/**
+ * Returns the invoice branding: the saved settings over the organisation defaults
+ * @returns {object} - {layout, color, logo, signature, businessName, address, gstin, phone, email,
+ *                      bankName, accountName, accountNumber, ifsc, upiId, footerText, terms}
+ */
+function getInvoiceSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(INVOICE_SETTINGS_KEY) || '{}') || {};
+  } catch (e) {
+    saved = {};
+  }
+  const gst = typeof getGstSettings === 'function' ? getGstSettings() : {};
+  const organizationLogo = localStorage.getItem('organizationLogo') || '';
+  const defaults = {
+    businessName: gst.legalName || localStorage.getItem('organizationName') || '',
+    address: gst.address || '',
+    gstin: gst.gstin || '',
+    logo: isImageDataUrl(organizationLogo) ? organizationLogo : '',
+    footerText: 'Thank you for your business!'
+  };
+  const known = {};
+  Object.keys(saved).forEach(key => {
+    if (['layout', 'color', 'logo', 'signature', ...INVOICE_TEXT_FIELDS].includes(key)) known[key] = saved[key];
+  });
+  return normalizeInvoiceSettings({ ...defaults, ...known });
+}
+
+/**
+ * Validates invoice branding before it is saved
+ * @param {object} settings
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function validateInvoiceSettings(settings) {
+  const errors = [];
+  const text = (key) => String(settings[key] || '').trim();
+
+  if (!INVOICE_LAYOUTS.some(l => l.key === settings.layout)) {
+    errors.push({ field: 'layout', message: 'Choose an invoice layout' });
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(settings.color || '')) {
+    errors.push({ field: 'color', message: 'Colour must be a hex colour such as #667eea' });
+  }
+  if (!text('businessName')) {
+    errors.push({ field: 'businessName', message: 'Business name is required' });
+  } else if (text('businessName').length > 100) {
+    errors.push({ field: 'businessName', message: 'Business name must be less than 100 characters' });
+  }
+  if (text('gstin') && typeof validateGSTIN === 'function') {
+    const gstin = validateGSTIN(text('gstin').toUpperCase());
+    if (!gstin.valid) errors.push({ field: 'gstin', message: gstin.message });
+  }
+  if (text('email') && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text('email'))) {
+    errors.push({ field: 'email', message: 'Email address is not valid' });
+  }
+  if (text('phone') && !/^[+\d][\d\s\-()]{5,19}$/.test(text('phone'))) {
+    errors.push({ field: 'phone', message: 'Phone number is not valid' });
+  }
+  if (text('accountNumber') && !/^\d{9,18}$/.test(text('accountNumber'))) {
+    errors.push({ field: 'accountNumber', message: 'Account number must be 9 to 18 digits' });
+  }
+  if (text('ifsc') && !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(text('ifsc').toUpperCase())) {
+    errors.push({ field: 'ifsc', message: 'IFSC must be 11 characters, e.g. HDFC0001234' });
+  }
+  if (text('upiId') && !/^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/.test(text('upiId'))) {
+    errors.push({ field: 'upiId', message: 'UPI ID must look like name@bank' });
+  }
+  [['logo', 'Logo'], ['signature', 'Signature']].forEach(([key, label]) => {
+    if (!settings[key]) return;
+    if (!isImageDataUrl(settings[key])) {
+      errors.push({ field: key, message: `${label} must be a PNG or JPEG image` });
+    } else if (settings[key].length > INVOICE_IMAGE_MAX_LENGTH) {
+      errors.push({ field: key, message: `${label} image is too large (max ${Math.round(INVOICE_IMAGE_MAX_LENGTH * 3 / 4 / 1024)} KB)` });
+    }
+  });
+  if (text('footerText').length > 200) {
+    errors.push({ field: 'footerText', message: 'Footer text must be less than 200 characters' });
+  }
+  if (text('terms').length > 1000) {
+    errors.push({ field: 'terms', message: 'Terms must be less than 1000 characters' });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Caches the organisation's branding as returned by the API. Nothing saved
+ * yet (an empty object) goes back to the organisation defaults.
+ * @param {object} settings
+ * @returns {object} - The branding now in effect
+ */
+function storeInvoiceSettings(settings) {
+  if (!settings || Object.keys(settings).length === 0) {
+    localStorage.removeItem(INVOICE_SETTINGS_KEY);
+  } else {
+    localStorage.setItem(INVOICE_SETTINGS_KEY, JSON.stringify(normalizeInvoiceSettings(settings)));
+  }
+  return getInvoiceSettings();
+}
+
+/**
+ * Accent colour of the branding as RGB; the minimal layout prints in dark grey
+ * @param {object} [settings]
+ * @returns {array} - [r, g, b]
+ */
+function getInvoiceColor(settings = getInvoiceSettings()) {
+  if (settings.layout === 'minimal') return INVOICE_DARK_GRAY.slice();
+  return [1, 3, 5].map(i => parseInt(settings.color.slice(i, i + 2), 16));
+}
+
+// Address, GSTIN and phone/email lines for the letterhead
+function getBusinessContactLines(settings) {
+  return [
+    ...String(settings.address || '').split(/\n+/),
+    settings.gstin ? 'GSTIN: ' + settings.gstin : '',
+    [settings.phone, settings.email].filter(Boolean).join(' | ')
+  ].map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Bank and UPI lines for the payment section of an invoice
+ * @param {object} [settings]
+ * @returns {array} - Lines of text; empty when no details are set
+ */
+function getPaymentDetailLines(settings = getInvoiceSettings()) {
+  const lines = [];
+  const account = [
+    settings.accountName,
+    settings.accountNumber ? 'A/c ' + settings.accountNumber : '',
+    settings.ifsc ? 'IFSC ' + settings.ifsc : ''
+  ].filter(Boolean).join(', ');
+  if (settings.bankName || account) lines.push('Bank: ' + [settings.bankName, account].filter(Boolean).join(' - '));
+  if (settings.upiId) lines.push('UPI: ' + settings.upiId);
+  return lines;
+}
+
+/**
+ * Draws an image scaled to fit the box. A broken image is left out rather
+ * than failing the whole document.
+ * @returns {number} - Width drawn, 0 when nothing was drawn
+ */
+function addPDFImage(doc, dataUrl, x, y, maxWidth, maxHeight, align = 'left') {
+  if (!isImageDataUrl(dataUrl)) return 0;
+  try {
+    const props = doc.getImageProperties(dataUrl);
+    const scale = Math.min(maxWidth / props.width, maxHeight / props.height);
+    const width = props.width * scale;
+    const height = props.height * scale;
+    const left = align === 'right' ? x - width : x;
+    doc.addImage(dataUrl, /png/i.test(dataUrl.slice(0, 20)) ? 'PNG' : 'JPEG', left, y, width, height);
+    return width;
+  } catch (err) {
+    logError('addPDFImage', err);
+    return 0;
+  }
+}
+
+/**
+ * Draws the business letterhead in the chosen layout
+ * @param {object} doc - jsPDF document
+ * @param {string} title - e.g. 'INVOICE', 'CUSTOMER STATEMENT'
+ * @param {object} [settings] - Branding, defaults to the saved settings
+ * @param {string} [detail] - Line under the title, e.g. 'Invoice #BILL-0001'
+ * @returns {number} - y position where the content starts
+ */
+function drawPDFLetterhead(doc, title, settings = getInvoiceSettings(), detail = '') {
+  const color = getInvoiceColor(settings);
+  const contact = getBusinessContactLines(settings);
+  const name = settings.businessName || 'Business Management System';
+
+  if (settings.layout === 'modern') {
+    const logoWidth = addPDFImage(doc, settings.logo, 20, 10, 30, 30);
+    const textX = logoWidth ? 20 + logoWidth + 5 : 20;
+    doc.setTextColor(...color);
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text(name, textX, 18);
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    contact.slice(0, 4).forEach((line, index) => {
+      doc.text(doc.splitTextToSize(line, 128 - textX)[0], textX, 24 + (index * 4.5));
+    });
+    doc.setTextColor(...color);
+    doc.setFontSize(20);
+    doc.setFont(undefined, 'bold');
+    doc.text(title, 190, 20, { align: 'right' });
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(...INVOICE_DARK_GRAY);
+    if (detail) doc.text(detail, 190, 28, { align: 'right' });
+    doc.setDrawColor(...color);
+    doc.setLineWidth(1.2);
+    doc.line(20, 46, 190, 46);
+    return 60;
+  }
+
+  if (settings.layout === 'minimal') {
+    const logoWidth = addPDFImage(doc, settings.logo, 20, 8, 40, 14);
+    const titleY = logoWidth ? 30 : 20;
+    doc.setTextColor(...INVOICE_DARK_GRAY);
+    doc.setFontSize(18);
+    doc.setFont(undefined, 'bold');
+    doc.text(title, 20, titleY);
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    if (detail) doc.text(detail, 20, titleY + 7);
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text(name, 190, 16, { align: 'right' });
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    contact.slice(0, 4).forEach((line, index) => {
+      doc.text(doc.splitTextToSize(line, 90)[0], 190, 22 + (index * 4.5), { align: 'right' });
+    });
+    doc.setDrawColor(150, 150, 150);
+    doc.setLineWidth(0.3);
+    doc.line(20, 46, 190, 46);
+    return 60;
+  }
+
+  // Classic: white text on a band of the theme colour
+  doc.setFillColor(...color);
+  doc.rect(0, 0, 210, 50, 'F');
+  addPDFImage(doc, settings.logo, 15, 8, 30, 30);
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(26);
+  doc.setFont(undefined, 'bold');
+  doc.text(title, 105, 22, { align: 'center' });
+  doc.setFontSize(11);
+  doc.setFont(undefined, 'normal');
+  doc.text(name, 105, 31, { align: 'center' });
+  if (contact.length) {
+    doc.setFontSize(8);
+    doc.text(doc.splitTextToSize(contact.join(' | '), 130)[0], 105, 37, { align: 'center' });
+  }
+  if (detail) {
+    doc.setFontSize(11);
+    doc.text(detail, 105, 45, { align: 'center' });
+  }
+  return 60;
+}
+
+/**
+ * "For <business>" and the signature image above "Authorised Signatory",
+ * right-aligned at x
+ */
+function drawPDFSignature(doc, settings, x, y) {
+  doc.setTextColor(...INVOICE_DARK_GRAY);
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'bold');
+  doc.text(`For ${settings.businessName || 'Business Management System'}`, x, y, { align: 'right' });
+  addPDFImage(doc, settings.signature, x, y + 2, 45, 14, 'right');
+  doc.setFont(undefined, 'normal');
+  doc.text('Authorised Signatory', x, y + 22, { align: 'right' });
+}
+
+// Rounded box: filled in the coloured layouts, outlined in the minimal one
+function drawPDFBox(doc, settings, x, y, width, height, fill) {
+  if (settings.layout === 'minimal') {
+    doc.setDrawColor(200, 200, 200);
+    doc.setLineWidth(0.3);
+    doc.roundedRect(x, y, width, height, 2, 2, 'S');
+    return;
+  }
+  doc.setFillColor(...fill);
+  doc.roundedRect(x, y, width, height, 3, 3, 'F');
+}
+
+/**
+ * Builds the PDF invoice document for a bill in the organisation's template.
+ * Other documents with line items (quotations) reuse it by passing their own
+ * headings.
+ * @param {object} bill - Bill object
+ * @param {object} customer - Customer object
+ * @param {object} [options] - {title, numberLabel, dateLabel, dueLabel, dueDate, status, statusColor, infoTitle, infoLines,
+ *                              branding: settings to use instead of the saved ones, e.g. for a preview,
+ *                              amountDue: amount for the UPI QR code, defaults to the bill amount}
+ * @returns {object|null} - jsPDF document, or null if jsPDF is not loaded
+ */
+function buildPDFInvoice(bill, customer, options = {}) {
+  const settings = options.branding || getInvoiceSettings();
+
+  // GST mode (gst.js) replaces the layout with a tax invoice
+  if (!options.title && typeof isGstEnabled === 'function' && isGstEnabled()) {
+    return buildGstTaxInvoicePDF(bill, customer, getGstSettings(), settings, options.amountDue);
+  }
+
+  if (!window.jspdf) {
+    console.error('jsPDF library not loaded');
+    return null;
+  }
+
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF();
+  const minimal = settings.layout === 'minimal';
+
+  const primaryColor = getInvoiceColor(settings);
+  const lightGray = [245, 245, 245];
+  const darkGray = INVOICE_DARK_GRAY;
+  const successGreen = [39, 174, 96];
+
+  const money = (value) => '₹' + parseFloat(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const totals = calculateBillTotals(getBillItems(bill));
+
+  // ========== HEADER SECTION ==========
+  let yPos = drawPDFLetterhead(doc, options.title || 'INVOICE', settings, (options.numberLabel || 'Invoice #') + (bill.billNumber || bill.id));
+
+  // ========== INVOICE INFO SECTION ==========
+  doc.setTextColor(...darkGray);
+  doc.setFontSize(10);
+  doc.setFont(undefined, 'bold');
+  doc.text(options.dateLabel || 'Invoice Date:', 20, yPos);
+  doc.setFont(undefined, 'normal');
+  doc.text(bill.billDate ? formatDateOnly(bill.billDate) : formatDateOnly(bill.createdAt), 20, yPos + 6);
+  const dueDate = options.dueDate || bill.dueDate || (typeof getBillDueDate === 'function' ? getBillDueDate(bill) : '');
+  if (dueDate) {
+    doc.setFont(undefined, 'bold');
+    doc.text(options.dueLabel || 'Due Date:', 70, yPos);
+    doc.setFont(undefined, 'normal');
+    doc.text(formatDateOnly(dueDate), 70, yPos + 6);
+  }
+
+  doc.setFont(undefined, 'bold');
+  doc.text('Status:', 20, yPos + 14);
+  const status = options.status || (typeof getBillDisplayStatus === 'function' ? getBillDisplayStatus(bill) : (bill.status || 'Pending'));
+  if (minimal) {
+    doc.text(status.toUpperCase(), 34, yPos + 14);
+  } else {
+    const statusColor = options.statusColor || (status.toLowerCase() === 'paid' ? successGreen : status === 'Overdue' ? [231, 76, 60] : ['Cancelled', 'Credited'].includes(status) ? [149, 165, 166] : [255, 193, 7]);
+    doc.setFillColor(...statusColor);
+    doc.roundedRect(20, yPos + 16, 40, 6, 2, 2, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(9);
+    doc.text(status.toUpperCase(), 40, yPos + 20, { align: 'center' });
+  }
+
+  // ========== CUSTOMER INFO SECTION ==========
+  doc.setTextColor(...darkGray);
+  doc.setFontSize(12);
+  doc.setFont(undefined, 'bold');
+  doc.text('Bill To:', 120, yPos);
+  drawPDFBox(doc, settings, 120, yPos + 3, 80, 35, lightGray);
+
+  doc.setFontSize(10);
+  doc.setFont(undefined, 'normal');
+  doc.setTextColor(...darkGray);
+  doc.text(customer.name || 'N/A', 125, yPos + 10);
+  doc.text(customer.phone || 'N/A', 125, yPos + 17);
+
+  // Address (wrapped if long)
+  const addressLines = doc.splitTextToSize(customer.address || 'N/A', 70);
+  addressLines.forEach((line, index) => {
+    doc.text(line, 125, yPos + 24 + (index * 6));
+  });
+
+  // ========== ITEMS TABLE SECTION ==========
+  yPos += 45;
+  doc.setFontSize(14);
+  doc.setFont(undefined, 'bold');
+  doc.setTextColor(...darkGray);
+  doc.text('Item Details', 20, yPos);
+
+  const drawItemsHeader = (y) => {
+    if (minimal) {
+      doc.setDrawColor(...darkGray);
+      doc.setLineWidth(0.4);
+      doc.line(20, y + 10, 190, y + 10);
+      doc.setTextColor(...darkGray);
+    } else {
+      doc.setFillColor(...primaryColor);
+      doc.roundedRect(20, y, 170, 10, 2, 2, 'F');
+      doc.setTextColor(255, 255, 255);
+    }
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'bold');
+    doc.text('#', 22, y + 7);
+    doc.text('Description', 28, y + 7);
+    doc.text('HSN/SAC', 80, y + 7);
+    doc.text('Qty', 107, y + 7, { align: 'right' });
+    doc.text('Unit', 110, y + 7);
+    doc.text('Rate', 140, y + 7, { align: 'right' });
+    doc.text('Disc %', 153, y + 7, { align: 'right' });
+    doc.text('Tax %', 166, y + 7, { align: 'right' });
+    doc.text('Amount', 188, y + 7, { align: 'right' });
+    return y + 12;
+  };
+
+  yPos = drawItemsHeader(yPos + 8);
+
+  totals.lines.forEach((line, index) => {
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    const descLines = doc.splitTextToSize(line.description || 'Service/Product', 50);
+    const rowHeight = Math.max(10, descLines.length * 4.5 + 5);
+
+    // Continue the table on a new page when the row does not fit
+    if (yPos + rowHeight > 255) {
+      doc.addPage();
+      yPos = drawItemsHeader(20);
+      doc.setFontSize(9);
+      doc.setFont(undefined, 'normal');
+    }
+
+    // Alternating row background
+    if (index % 2 === 0 && !minimal) {
+      doc.setFillColor(...lightGray);
+      doc.roundedRect(20, yPos, 170, rowHeight, 2, 2, 'F');
+    }
+
+    doc.setTextColor(...darkGray);
+    doc.text(String(index + 1), 22, yPos + 6);
+    descLines.forEach((text, lineIndex) => {
+      doc.text(text, 28, yPos + 6 + (lineIndex * 4.5));
+    });
+    doc.text(line.hsnSac || '-', 80, yPos + 6);
+    doc.text(String(line.quantity), 107, yPos + 6, { align: 'right' });
+    doc.text(line.unit || '', 110, yPos + 6);
+    doc.text(money(line.rate), 140, yPos + 6, { align: 'right' });
+    doc.text(line.discount ? String(line.discount) : '-', 153, yPos + 6, { align: 'right' });
+    doc.text(line.taxRate ? String(line.taxRate) : '-', 166, yPos + 6, { align: 'right' });
+    doc.setFont(undefined, 'bold');
+    doc.text(money(line.total), 188, yPos + 6, { align: 'right' });
+
+    yPos += rowHeight + 2;
+  });
+
+  // ========== TOTALS SECTION ==========
+  const totalRows = [['Subtotal:', totals.subtotal]];
+  if (totals.discountTotal > 0) totalRows.push(['Discount:', -totals.discountTotal]);
+  if (totals.taxTotal > 0) totalRows.push(['Tax:', totals.taxTotal]);
+  const boxHeight = totalRows.length * 7 + 16;
+
+  yPos += 6;
+  if (yPos + boxHeight + 30 > 265) {
+    doc.addPage();
+    yPos = 20;
+  }
+
+  drawPDFBox(doc, settings, 120, yPos, 70, boxHeight, [250, 250, 250]);
+
+  doc.setFontSize(10);
+  totalRows.forEach(([label, value], index) => {
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text(label, 125, yPos + 8 + (index * 7));
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(...darkGray);
+    doc.text((value < 0 ? '- ' : '') + money(Math.abs(value)), 185, yPos + 8 + (index * 7), { align: 'right' });
+  });
+
+  const totalLineY = yPos + totalRows.length * 7 + 3;
+  doc.setDrawColor(200, 200, 200);
+  doc.setLineWidth(0.5);
+  doc.line(120, totalLineY, 190, totalLineY);
+
+  doc.setFontSize(12);
+  doc.setFont(undefined, 'bold');
+  doc.setTextColor(...primaryColor);
+  doc.text('Total Amount:', 125, totalLineY + 9);
+  doc.setFontSize(14);
+  doc.text(money(totals.grandTotal), 185, totalLineY + 9, { align: 'right' });
+
+  // ========== PAYMENT INFO SECTION ==========
+  const infoLines = options.infoLines || [
+    'Payment Terms: ' + getInvoicePaymentTerms(bill, customer),
+    'Payment Methods: Cash, UPI, Cheque',
+    ...getPaymentDetailLines(settings)
+  ];
+  // Invoices (not quotations) carry a UPI QR code for the amount when upi.js is loaded
+  const upiLink = !options.title && typeof getBillUpiLink === 'function' ? getBillUpiLink(bill, options.amountDue, settings) : null;
+  const infoHeight = Math.max(8 + infoLines.length * 6, upiLink ? 42 : 0);
+  yPos += boxHeight + 10;
+  if (yPos + infoHeight > 265) {
+    doc.addPage();
+    yPos = 20;
+  }
+  drawPDFBox(doc, settings, 20, yPos, 170, infoHeight, [255, 249, 237]);
+
+  doc.setFontSize(10);
+  doc.setFont(undefined, 'bold');
+  doc.setTextColor(...darkGray);
+  doc.text(options.infoTitle || 'Payment Information', 25, yPos + 7);
+
+  doc.setFont(undefined, 'normal');
+  doc.setTextColor(100, 100, 100);
+  infoLines.forEach((line, index) => doc.text(line, 25, yPos + 14 + (index * 6)));
+  if (upiLink && drawPDFUpiQr(doc, upiLink, 154, yPos + 3, 30)) {
+    doc.setFontSize(7);
+    doc.text('Scan to pay with UPI', 169, yPos + 38, { align: 'center' });
+  }
+  yPos += infoHeight + 8;
+
+  // ========== TERMS SECTION ==========
+  if (settings.terms) {
+    doc.setFontSize(8);
+    const termLines = settings.terms.split(/\n/).flatMap(line => doc.splitTextToSize(line, 170));
+    if (yPos + 6 + termLines.length * 4 > 265) {
+      doc.addPage();
+      yPos = 20;
+    }
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(...darkGray);
+    doc.text('Terms & Conditions', 20, yPos);
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    termLines.forEach((line, index) => doc.text(line, 20, yPos + 5 + (index * 4)));
+    yPos += 6 + termLines.length * 4;
+  }
+
+  // ========== SIGNATURE SECTION ==========
+  if (settings.signature) {
+    if (yPos > 238) doc.addPage();
+    drawPDFSignature(doc, settings, 190, 240);
+  }
+
+  // ========== FOOTER SECTION ==========
+  yPos = 270;
+  doc.setDrawColor(220, 220, 220);
+  doc.setLineWidth(0.5);
+  doc.line(20, yPos, 190, yPos);
+
+  const contact = [settings.phone, settings.email].filter(Boolean).join(' | ');
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'normal');
+  doc.setTextColor(150, 150, 150);
+  doc.text(doc.splitTextToSize(settings.footerText || 'Thank you for your business!', 170)[0], 105, yPos + 8, { align: 'center' });
+  doc.text(contact ? 'For any queries: ' + contact : 'For any queries, please contact us.', 105, yPos + 14, { align: 'center' });
+  doc.text('Generated on ' + formatDate(new Date().toISOString()), 105, yPos + 20, { align: 'center' });
+
+  return doc;
+}
+
+/**
+ * A made-up bill and customer for previewing the template
+ * @returns {object} - {bill, customer}
+ */
+function getSampleInvoice() {
+  const today = new Date().toISOString().slice(0, 10);
+  const items = [
+    { description: 'Consulting services', hsnSac: '998311', quantity: 10, unit: 'Hrs', rate: 1500, discount: 0, taxRate: 18 },
+    { description: 'Printed brochures', hsnSac: '4911', quantity: 500, unit: 'Pcs', rate: 12, discount: 5, taxRate: 12 }
+  ];
+  return {
+    bill: {
+      id: 1001, billNumber: 'BILL-1001', billDate: today, dueDate: calculateDueDate(today, 15), status: 'Unpaid',
+      paymentTerms: 'net15', paymentTermsDays: 15, items, billAmount: calculateBillTotals(items).grandTotal
+    },
+    customer: { id: 1, name: 'Sample Customer Pvt Ltd', phone: '9876543210', address: '12 MG Road, Pune', state: 'Maharashtra' }
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INVOICE_LAYOUTS,
+    INVOICE_THEMES,
+    INVOICE_IMAGE_MAX_LENGTH,
+    getInvoiceSettings,
+    validateInvoiceSettings,
+    storeInvoiceSettings,
+    getInvoiceColor,
+    getPaymentDetailLines,
+    drawPDFLetterhead,
+    buildPDFInvoice,
+    getSampleInvoice
+  };
+}
@@ -0,0 +1,504 @@
+/**
+ * Ledger - per-customer account statement with a running balance
+ *
+ * Puts a customer's opening balance, bills, credit notes and payments in
+ * date order as debit/credit entries:
+ *   - Opening balance: debit when the customer owed money before their first
+ *     bill, credit when they were in advance
+ *   - Bills: debit of the bill amount
+ *   - Cancelled bills: the bill stays, reversed by a credit on the day it was
+ *     cancelled (less any credit notes already issued against it)
+ *   - Credit notes: credit against the original bill
+ *   - Payments: credit of the amount allocated to bills (linkedBills). Cheques
+ *     that have not cleared are left out of the balance and listed separately;
+ *     bounced and cancelled cheques are left out altogether.
+ *   - Advances: credit of the part of a payment not allocated to any bill; it
+ *     is held as customer credit until applied to a bill
+ *   - Refunds (negative payments): debit of the amount paid back
+ *
+ * A date range keeps everything before `from` as a single "balance brought
+ * forward" line, so the closing balance is the same with or without a range.
+ *
+ * Usage:
+ *   Include after app.js (uses convertToCSV, downloadCSV, formatDateOnly).
+ *   const ledger = buildCustomerLedger(customer, bills, payments, creditNotes, { from, to });
+ *   downloadLedgerCSV(ledger); generatePDFLedger(ledger);
+ *   The PDF carries the business letterhead from invoice-templates.js.
+ */
+
+// Entries on the same day are listed in this order
+const LEDGER_TYPE_ORDER = { opening: 0, bill: 1, cancellation: 2, credit_note: 3, payment: 4, advance: 5, refund: 6 };
+
+const LEDGER_TYPE_LABELS = {
+  opening: 'Opening Balance',
+  bill: 'Bill',
+  cancellation: 'Cancellation',
+  credit_note: 'Credit Note',
+  payment: 'Payment',
+  advance: 'Advance',
+  refund: 'Refund'
+};
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Calendar day of an API date, as YYYY-MM-DD (empty for missing/invalid dates)
+ * @param {string} value
+ * @returns {string}
+ */
+function ledgerDay(value) {
+  if (!value) return '';
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+function isClearedPayment(payment) {
+  return payment.cleared === true || payment.cleared === 'true' || (payment.mode !== 'Cheque' && payment.cleared !== false);
+}
+
+// A bounced or cancelled cheque never paid anything; it is not waiting to clear either
+function isReturnedCheque(payment) {
+  return payment.mode === 'Cheque' && ['bounced', 'cancelled'].includes(String(payment.chequeStatus || '').toLowerCase());
+}
+
+// Cancelled bills keep their record but no longer count towards what is owed
+function isCancelledBill(bill) {
+  return String(bill.status || '').toLowerCase() === 'cancelled';
+}
+
+// Refunds are payments with a negative amount: money paid back to the customer
+function isRefundPayment(payment) {
+  return (parseFloat(payment.amount) || 0) < 0;
+}
+
+/**
+ * Amount a payment takes off the customer's balance: the whole amount
+ * received, allocated to bills or not. Refunds give a negative amount.
+ * @param {object} payment
+ * @returns {number}
+ */
+function paymentLedgerAmount(payment) {
+  return roundMoney(parseFloat(payment.amount) || 0);
+}
+
+/**
+ * Part of a payment allocated to bills: the sum of its linkedBills, or the
+ * whole amount for older payments that only carry a billId
+ * @param {object} payment
+ * @returns {number}
+ */
+function paymentAllocatedAmount(payment) {
+  if (isRefundPayment(payment)) return 0;
+  if (Array.isArray(payment.linkedBills) && payment.linkedBills.length > 0) {
+    // The API returns allocatedAmount; payments created by the UI send amount
+    return roundMoney(payment.linkedBills.reduce((sum, lb) => {
+      return sum + (parseFloat(lb.allocatedAmount !== undefined ? lb.allocatedAmount : lb.amount) || 0);
+    }, 0));
+  }
+  return payment.billId ? paymentLedgerAmount(payment) : 0;
+}
+
+/**
+ * Part of a payment not allocated to any bill (an advance or overpayment)
+ * @param {object} payment
+ * @returns {number}
+ */
+function paymentUnallocatedAmount(payment) {
+  if (isRefundPayment(payment)) return 0;
+  return Math.max(0, roundMoney(paymentLedgerAmount(payment) - paymentAllocatedAmount(payment)));
+}
+
+/**
+ * Builds a customer's ledger
+ * @param {object} customer - Customer (openingBalance and openingBalanceDate are optional)
+ * @param {array} bills - The customer's bills
+ * @param {array} payments - The customer's payments
+ * @param {array} [creditNotes] - The customer's credit notes ({id, billId, amount, creditNoteDate})
+ * @param {object} [range] - {from, to} as YYYY-MM-DD, both inclusive and optional
+ * @returns {object} - {customer, from, to, entries, openingBalance, totalDebit, totalCredit, closingBalance, uncleared}
+ */
+function buildCustomerLedger(customer, bills, payments, creditNotes = [], range = {}) {
+  const from = ledgerDay(range.from);
+  const to = ledgerDay(range.to);
+  const movements = [];
+  const uncleared = [];
+
+  // Positive amounts are debits (the customer owes more), negative ones credits
+  const opening = roundMoney(parseFloat(customer.openingBalance) || 0);
+  if (opening !== 0) {
+    movements.push({
+      date: ledgerDay(customer.openingBalanceDate || customer.createdAt),
+      type: 'opening',
+      id: '',
+      reference: '',
+      description: 'Opening balance',
+      amount: opening
+    });
+  }
+
+  const credited = {};
+  (creditNotes || []).forEach(note => {
+    credited[note.billId] = roundMoney((credited[note.billId] || 0) + (parseFloat(note.amount) || 0));
+  });
+
+  (bills || []).forEach(bill => {
+    const amount = roundMoney(parseFloat(bill.billAmount) || 0);
+    movements.push({
+      date: ledgerDay(bill.billDate || bill.createdAt),
+      type: 'bill',
+      id: bill.id,
+      reference: `Bill #${bill.id}`,
+      description: bill.notes || '',
+      amount
+    });
+    if (!isCancelledBill(bill)) return;
+    const reversed = roundMoney(amount - (credited[bill.id] || 0));
+    if (reversed <= 0) return;
+    movements.push({
+      date: ledgerDay(bill.cancelledAt || bill.updatedAt || bill.billDate || bill.createdAt),
+      type: 'cancellation',
+      id: bill.id,
+      reference: `Bill #${bill.id}`,
+      description: ['Bill cancelled', bill.cancelReason || ''].filter(Boolean).join(' - '),
+      amount: -reversed
+    });
+  });
+
+  (creditNotes || []).forEach(note => {
+    movements.push({
+      date: ledgerDay(note.creditNoteDate || note.date || note.createdAt),
+      type: 'credit_note',
+      id: note.id,
+      reference: `Credit Note #${note.id}`,
+      description: [note.billId ? `Against Bill #${note.billId}` : '', note.reason || ''].filter(Boolean).join(' - '),
+      amount: -roundMoney(parseFloat(note.amount) || 0)
+    });
+  });
+
+  (payments || []).forEach(payment => {
+    if (!isClearedPayment(payment)) {
+      if (!isReturnedCheque(payment)) uncleared.push(payment);
+      return;
+    }
+    const date = ledgerDay(payment.paymentDate || payment.createdAt);
+    if (isRefundPayment(payment)) {
+      movements.push({
+        date,
+        type: 'refund',
+        id: payment.id,
+        reference: `Refund #${payment.id}`,
+        description: payment.mode || '',
+        amount: -paymentLedgerAmount(payment)
+      });
+      return;
+    }
+    const allocated = paymentAllocatedAmount(payment);
+    const unallocated = paymentUnallocatedAmount(payment);
+    if (allocated > 0) {
+      const billIds = (payment.linkedBills && payment.linkedBills.length > 0 ? payment.linkedBills : [{ billId: payment.billId }])
+        .map(lb => `#${lb.billId}`).join(', ');
+      movements.push({
+        date,
+        type: 'payment',
+        id: payment.id,
+        reference: `Payment #${payment.id}`,
+        description: [payment.mode || '', `for Bill ${billIds}`].filter(Boolean).join(' '),
+        amount: -allocated
+      });
+    }
+    if (unallocated > 0) {
+      movements.push({
+        date,
+        type: 'advance',
+        id: payment.id,
+        reference: `Payment #${payment.id}`,
+        description: [payment.mode || '', 'advance, not allocated to a bill'].filter(Boolean).join(' - '),
+        amount: -unallocated
+      });
+    }
+  });
+
+  movements.sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    if (a.type !== b.type) return LEDGER_TYPE_ORDER[a.type] - LEDGER_TYPE_ORDER[b.type];
+    return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+  });
+
+  let balance = 0;
+  let openingBalance = 0;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const entries = [];
+
+  movements.forEach(movement => {
+    if (to && movement.date > to) return;
+    balance = roundMoney(balance + movement.amount);
+    // Undated entries (e.g. an opening balance with no date) count as before any range
+    if (from && movement.date < from) {
+      openingBalance = balance;
+      return;
+    }
+    const debit = movement.amount > 0 ? movement.amount : 0;
+    const credit = movement.amount < 0 ? -movement.amount : 0;
+    totalDebit = roundMoney(totalDebit + debit);
+    totalCredit = roundMoney(totalCredit + credit);
+    entries.push({
+      date: movement.date,
+      type: movement.type,
+      id: movement.id,
+      reference: movement.reference,
+      description: movement.description,
+      debit,
+      credit,
+      balance
+    });
+  });
+
+  if (from) {
+    entries.unshift({
+      date: from,
+      type: 'opening',
+      id: '',
+      reference: '',
+      description: 'Balance brought forward',
+      debit: openingBalance > 0 ? openingBalance : 0,
+      credit: openingBalance < 0 ? -openingBalance : 0,
+      balance: openingBalance
+    });
+  }
+
+  return {
+    customer,
+    from,
+    to,
+    entries,
+    openingBalance,
+    totalDebit,
+    totalCredit,
+    closingBalance: balance,
+    uncleared
+  };
+}
+
+/**
+ * Balance as shown on statements: "1,250.00 Dr" (customer owes) or "300.00 Cr"
+ * @param {number} balance
+ * @returns {string}
+ */
+function formatLedgerBalance(balance) {
+  const amount = Math.abs(balance).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  if (balance === 0) return amount;
+  return `${amount} ${balance > 0 ? 'Dr' : 'Cr'}`;
+}
+
+/**
+ * File name for a ledger export
+ * @param {object} ledger - Result of buildCustomerLedger()
+ * @param {string} extension - "pdf" or "csv"
+ * @returns {string}
+ */
+function getLedgerFilename(ledger, extension) {
+  const name = (ledger.customer.name || 'Customer').replace(/\s+/g, '_');
+  const period = ledger.from || ledger.to ? `_${ledger.from || 'start'}_to_${ledger.to || 'date'}` : '';
+  return `Ledger_${name}${period}_${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+/**
+ * Converts a ledger to CSV, with a closing balance row
+ * @param {object} ledger - Result of buildCustomerLedger()
+ * @returns {string} - CSV string
+ */
+function ledgerToCSV(ledger) {
+  const headers = [
+    { key: 'date', label: 'Date' },
+    { key: 'type', label: 'Type' },
+    { key: 'reference', label: 'Reference' },
+    { key: 'description', label: 'Description' },
+    { key: 'debit', label: 'Debit' },
+    { key: 'credit', label: 'Credit' },
+    { key: 'balance', label: 'Balance' }
+  ];
+
+  // Amounts keep two decimals ("1000.00", "0.00"), as on the statement; the debit
+  // or credit cell an entry does not touch stays empty rather than showing 0.00
+  const rows = ledger.entries.map(entry => ({
+    date: entry.date,
+    type: LEDGER_TYPE_LABELS[entry.type],
+    reference: entry.reference,
+    description: entry.description,
+    debit: entry.debit ? entry.debit.toFixed(2) : '',
+    credit: entry.credit ? entry.credit.toFixed(2) : '',
+    balance: entry.balance.toFixed(2)
+  }));
+  rows.push({
+    date: ledger.to,
+    description: 'Closing balance',
+    debit: ledger.totalDebit.toFixed(2),
+    credit: ledger.totalCredit.toFixed(2),
+    balance: ledger.closingBalance.toFixed(2)
+  });
+
+  return convertToCSV(rows, headers);
+}
+
+function downloadLedgerCSV(ledger) {
+  downloadCSV(ledgerToCSV(ledger), getLedgerFilename(ledger, 'csv'));
+}
+
+/**
+ * Builds the ledger PDF (same layout conventions as generatePDFStatement)
+ * @param {object} ledger - Result of buildCustomerLedger()
+ * @returns {jsPDF|null} - null when jsPDF is not loaded
+ */
+function buildPDFLedger(ledger) {
+  if (!window.jspdf) {
+    console.error('jsPDF library not loaded');
+    return null;
+  }
+
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF();
+  const customer = ledger.customer;
+  const money = value => value ? '₹' + value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '';
+
+  // Letterhead from the invoice template (invoice-templates.js)
+  const top = drawPDFLetterhead(doc, 'CUSTOMER LEDGER');
+
+  // Customer Info
+  doc.setFontSize(12);
+  doc.setTextColor(0, 0, 0);
+  doc.setFont(undefined, 'bold');
+  doc.text('Customer Information', 20, top);
+  doc.setFont(undefined, 'normal');
+  doc.setFontSize(10);
+  doc.text('Name: ' + (customer.name || 'N/A'), 20, top + 7);
+  doc.text('Phone: ' + (customer.phone || 'N/A'), 20, top + 12);
+  doc.text('Address: ' + (customer.address || 'N/A'), 20, top + 17);
+  const period = ledger.from || ledger.to
+    ? (ledger.from ? formatDateOnly(ledger.from) : 'Start') + ' to ' + (ledger.to ? formatDateOnly(ledger.to) : 'Date')
+    : 'All transactions';
+  doc.text('Period: ' + period, 20, top + 22);
+
+  // Summary
+  doc.setFontSize(12);
+  doc.setFont(undefined, 'bold');
+  doc.text('Summary', 130, top);
+  doc.setFont(undefined, 'normal');
+  doc.setFontSize(10);
+  doc.text('Opening: ₹' + formatLedgerBalance(ledger.openingBalance), 130, top + 7);
+  doc.text('Debits: ' + (money(ledger.totalDebit) || '₹0.00'), 130, top + 12);
+  doc.text('Credits: ' + (money(ledger.totalCredit) || '₹0.00'), 130, top + 17);
+  doc.text('Closing: ₹' + formatLedgerBalance(ledger.closingBalance), 130, top + 22);
+
+  let yPos = top + 35;
+  const drawTableHeader = () => {
+    doc.setFillColor(...getInvoiceColor());
+    doc.rect(20, yPos, 170, 6, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(9);
+    doc.text('Date', 22, yPos + 4);
+    doc.text('Reference', 45, yPos + 4);
+    doc.text('Description', 80, yPos + 4);
+    doc.text('Debit', 140, yPos + 4, { align: 'right' });
+    doc.text('Credit', 163, yPos + 4, { align: 'right' });
+    doc.text('Balance', 188, yPos + 4, { align: 'right' });
+    doc.setTextColor(0, 0, 0);
+    yPos += 10;
+  };
+  drawTableHeader();
+
+  doc.setFont(undefined, 'normal');
+  ledger.entries.forEach(entry => {
+    if (yPos > 270) {
+      doc.addPage();
+      yPos = 20;
+      drawTableHeader();
+    }
+    doc.setFontSize(8);
+    doc.text(entry.date ? formatDateOnly(entry.date) : '', 22, yPos);
+    doc.text(entry.reference || LEDGER_TYPE_LABELS[entry.type], 45, yPos);
+    doc.text(doc.splitTextToSize(entry.description || '', 40)[0] || '', 80, yPos);
+    doc.text(money(entry.debit), 140, yPos, { align: 'right' });
+    doc.text(money(entry.credit), 163, yPos, { align: 'right' });
+    doc.text(formatLedgerBalance(entry.balance), 188, yPos, { align: 'right' });
+    yPos += 6;
+  });
+
+  if (ledger.entries.length === 0) {
+    doc.setFontSize(9);
+    doc.text('No transactions in this period', 105, yPos, { align: 'center' });
+    yPos += 6;
+  }
+
+  // Closing balance
+  if (yPos > 270) {
+    doc.addPage();
+    yPos = 20;
+  }
+  doc.setDrawColor(200, 200, 200);
+  doc.line(20, yPos - 3, 190, yPos - 3);
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'bold');
+  doc.text('Closing Balance', 80, yPos + 2);
+  doc.text(money(ledger.totalDebit), 140, yPos + 2, { align: 'right' });
+  doc.text(money(ledger.totalCredit), 163, yPos + 2, { align: 'right' });
+  doc.text(formatLedgerBalance(ledger.closingBalance), 188, yPos + 2, { align: 'right' });
+  doc.setFont(undefined, 'normal');
+
+  if (ledger.uncleared.length > 0) {
+    const pending = ledger.uncleared.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+    doc.setFontSize(8);
+    doc.setTextColor(128, 128, 128);
+    doc.text(`${ledger.uncleared.length} uncleared cheque(s) totalling ${money(pending)} are not included.`, 20, yPos + 10);
+  }
+
+  // Footer
+  const pageCount = doc.internal.pages.length - 1;
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(128, 128, 128);
+    doc.text('Page ' + i + ' of ' + pageCount, 105, 285, { align: 'center' });
+    doc.text('Generated on ' + formatDate(new Date().toISOString()), 105, 290, { align: 'center' });
+  }
+
+  return doc;
+}
+
+/**
+ * Downloads the ledger as a PDF
+ * @param {object} ledger - Result of buildCustomerLedger()
+ * @returns {boolean} - Success
+ */
+function generatePDFLedger(ledger) {
+  try {
+    const doc = buildPDFLedger(ledger);
+    if (!doc) return false;
+    doc.save(getLedgerFilename(ledger, 'pdf'));
+    return true;
+  } catch (err) {
+    logError('generatePDFLedger', err);
+    return false;
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildCustomerLedger,
+    isCancelledBill,
+    isReturnedCheque,
+    isRefundPayment,
+    paymentLedgerAmount,
+    paymentAllocatedAmount,
+    paymentUnallocatedAmount,
+    formatLedgerBalance,
+    ledgerToCSV,
+    buildPDFLedger,
+    generatePDFLedger
+  };
+}
@@ -26,8 +26,8 @@ const { exec } = require('child_process');
 console.log('Since direct database access requires pg module, let\'s check via API instead...');
 console.log('');
 
-// Alternative: Query via your API
-const API_BASE = 'https://businessapi-njcw.onrender.com/api';
+// Alternative: Query via your API (pick the host with API_ENV=local|staging|production|mock)
+const { BASE_URL: API_BASE } = require('./api-config.js');
 
 async function checkTablesViaAPI() {
   try {
@@ -0,0 +1,1512 @@
+/**
+ * Mock BusinessManagement API
+ *
+ * In-memory implementation of the endpoints the pages and BusinessApiService
+ * call, shared by the Node server (mock/server.js) and the in-browser fetch
+ * interceptor (mock/mock-fetch.js). Every response uses the same
+ * {status, message, body, errors} envelope as the real backend, and logins
+ * return HS256 JWTs that decodeToken() in app.js can read.
+ *
+ * The store is seeded from the JSON files in mock/fixtures and can be
+ * re-seeded at runtime with POST /api/__mock/reset.
+ */
+
+const MOCK_COLLECTIONS = [
+  'users', 'customers', 'bills', 'payments', 'creditNotes', 'features', 'subscriptions',
+  'reminders', 'templates', 'emailHistory', 'auditLogs', 'reports', 'presets',
+  'loginActivity', 'recurringBills', 'quotations', 'roles'
+];
+const MOCK_FIXTURE_FILES = ['users', 'customers', 'bills', 'payments', 'creditNotes', 'features', 'plans', 'subscriptions', 'reminders', 'templates', 'recurringBills', 'quotations', 'roles'];
+const MOCK_RECURRING_FREQUENCIES = ['monthly', 'quarterly', 'half_yearly', 'yearly'];
+// Quotation states and the states each can be moved to (see quotations.js)
+const MOCK_QUOTE_TRANSITIONS = {
+  Draft: ['Sent', 'Accepted', 'Rejected'],
+  Sent: ['Accepted', 'Rejected'],
+  Accepted: [],
+  Rejected: []
+};
+const MOCK_TOKEN_TTL = 8 * 60 * 60; // seconds
+const MOCK_VIEW_LINK_DAYS = 30; // customer payment links
+const MOCK_DEFAULT_SECRET = 'mock-api-secret';
+// Cheque states and the states each can move to (see cheques.js)
+const MOCK_CHEQUE_TRANSITIONS = {
+  Received: ['Deposited', 'Cancelled'],
+  Deposited: ['Cleared', 'Bounced'],
+  Cleared: ['Bounced'],
+  Bounced: ['Represented', 'Cancelled'],
+  Represented: ['Cleared', 'Bounced'],
+  Cancelled: []
+};
+
+// ==================== ENCODING / JWT ====================
+
+function mockBase64Encode(text) {
+  return typeof Buffer !== 'undefined'
+    ? Buffer.from(text, 'utf8').toString('base64')
+    : btoa(unescape(encodeURIComponent(text)));
+}
+
+function mockBase64UrlEncode(text) {
+  return mockBase64Encode(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function mockBase64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  if (typeof Buffer !== 'undefined') return Buffer.from(base64, 'base64').toString('utf8');
+  return decodeURIComponent(escape(atob(base64 + '='.repeat((4 - base64.length % 4) % 4))));
+}
+
+/**
+ * HMAC-SHA256 of data, base64url encoded. Node's crypto when available,
+ * otherwise Web Crypto (the browser interceptor).
+ */
+async function mockHmacSha256(secret, data) {
+  if (typeof require === 'function' && typeof window === 'undefined') {
+    return require('crypto').createHmac('sha256', secret).update(data).digest('base64')
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const sig = new Uint8Array(await crypto.subtle.sign('HMAC', key, enc.encode(data)));
+  let binary = '';
+  sig.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function signMockToken(payload, secret) {
+  const header = mockBase64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = mockBase64UrlEncode(JSON.stringify(payload));
+  const signature = await mockHmacSha256(secret, `${header}.${body}`);
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * @returns {Promise<object|null>} - Payload when the signature and expiry check out
+ */
+async function verifyMockToken(token, secret, nowSeconds) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) return null;
+  const expected = await mockHmacSha256(secret, `${parts[0]}.${parts[1]}`);
+  if (expected !== parts[2]) return null;
+  try {
+    const payload = JSON.parse(mockBase64UrlDecode(parts[1]));
+    if (payload.exp && payload.exp < nowSeconds) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ==================== HELPERS ====================
+
+function mockOk(body, message = 'Success', status = 200) {
+  return { status, body: { status: true, message, body, errors: [] } };
+}
+
+function mockFail(status, message, errors = []) {
+  return { status, body: { status: false, message, body: null, errors } };
+}
+
+function mockRound(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function mockMonthKey(date) {
+  return (date || '').slice(0, 7);
+}
+
+function mockToCsv(rows) {
+  if (rows.length === 0) return '';
+  const headers = Object.keys(rows[0]);
+  const cell = v => {
+    const s = v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [headers.join(','), ...rows.map(r => headers.map(h => cell(r[h])).join(','))].join('\n');
+}
+
+// Minimal CSV reader for bulk-import uploads (quoted fields, no embedded newlines)
+function mockParseCsv(text) {
+  const lines = (text || '').split(/\r?\n/).filter(l => l.trim() !== '');
+  const split = line => {
+    const cells = [];
+    let cur = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted && ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = !quoted;
+      else if (ch === ',' && !quoted) { cells.push(cur); cur = ''; }
+      else cur += ch;
+    }
+    cells.push(cur);
+    return cells.map(c => c.trim());
+  };
+  if (lines.length === 0) return [];
+  const headers = split(lines[0]).map(h => h.toLowerCase());
+  return lines.slice(1).map(line => {
+    const cells = split(line);
+    const row = {};
+    headers.forEach((h, i) => { row[h] = cells[i] || ''; });
+    return row;
+  });
+}
+
+/**
+ * Matches '/customers/:id' style patterns; literal segments are compared
+ * case-insensitively because the pages use both /Customers and /customers.
+ */
+function matchMockRoute(pattern, path) {
+  const p = pattern.split('/').filter(Boolean);
+  const s = path.split('/').filter(Boolean);
+  if (p.length !== s.length) return null;
+  const params = {};
+  for (let i = 0; i < p.length; i++) {
+    if (p[i].startsWith(':')) params[p[i].slice(1)] = decodeURIComponent(s[i]);
+    else if (p[i].toLowerCase() !== s[i].toLowerCase()) return null;
+  }
+  return params;
+}
+
+// ==================== MOCK API ====================
+
+/**
+ * @param {object} options
+ * @param {object} options.fixtures - { users: [...], customers: [...], ... }
+ * @param {string} [options.secret] - JWT signing secret
+ * @param {Function} [options.now] - Clock, for deterministic tests
+ * @returns {{handle: Function, reset: Function, load: Function, getState: Function, listRoutes: Function}}
+ */
+function createMockApi(options = {}) {
+  const secret = options.secret || MOCK_DEFAULT_SECRET;
+  const now = options.now || (() => new Date());
+  let seed = options.fixtures || {};
+  let db;
+  let nextIds;
+
+  function reset(fixtures) {
+    if (fixtures) seed = fixtures;
+    load(seed);
+  }
+
+  // Restores a snapshot from getState() without changing what reset() seeds from
+  function load(state) {
+    db = JSON.parse(JSON.stringify(state));
+    MOCK_COLLECTIONS.forEach(name => { if (!Array.isArray(db[name])) db[name] = []; });
+    db.plans = db.plans || {};
+    db.layouts = db.layouts || {};
+    db.invoiceSettings = db.invoiceSettings || {};
+    db.subUserFeatures = db.subUserFeatures || {};
+    nextIds = {};
+    MOCK_COLLECTIONS.forEach(name => {
+      nextIds[name] = db[name].reduce((max, r) => Math.max(max, Number(r.id) || 0), 0) + 1;
+    });
+  }
+
+  function insert(collection, record) {
+    const row = { ...record, id: nextIds[collection]++ };
+    db[collection].push(row);
+    return row;
+  }
+
+  function nowIso() {
+    return now().toISOString();
+  }
+
+  // Business data belongs to an admin; sub-users see their parent admin's data
+  function ownerId(user) {
+    return user.userType === 'SubUser' ? user.parentAdminId : user.id;
+  }
+
+  function owned(collection, user) {
+    const adminId = ownerId(user);
+    return db[collection].filter(r => r.adminId === adminId && r.isActive !== false);
+  }
+
+  function findOwned(collection, user, id) {
+    return owned(collection, user).find(r => String(r.id) === String(id));
+  }
+
+  // List query helpers live in api-service.js so the mock pages exactly like the client-side fallback
+  function listHelpers() {
+    if (typeof applyListQuery === 'function') return { applyListQuery, LIST_QUERY_FIELDS };
+    return require('../api-service.js');
+  }
+
+  /**
+   * GET on a collection: filters/sorts by the list query and pages when
+   * query.page is set. Bills and payments carry customerName so they can be
+   * searched and sorted by it.
+   */
+  function listOwned(collection, user, query) {
+    const helpers = listHelpers();
+    let rows = owned(collection, user);
+    if (collection !== 'customers') {
+      const names = {};
+      db.customers.forEach(c => { names[c.id] = c.name; });
+      rows = rows.map(r => ({ ...r, customerName: names[r.customerId] || '' }));
+    }
+    if (collection === 'bills') rows = rows.map(withOverdueStatus);
+    const items = helpers.applyListQuery(rows, query, helpers.LIST_QUERY_FIELDS[collection]);
+    if (!query.page) return mockOk(items);
+
+    const pageSize = Math.min(Math.max(1, Number(query.pageSize) || 50), 1000);
+    const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+    const page = Math.min(Math.max(1, Number(query.page) || 1), totalPages);
+    return mockOk({
+      items: items.slice((page - 1) * pageSize, page * pageSize),
+      page, pageSize, totalCount: items.length, totalPages
+    });
+  }
+
+  function audit(user, action, entityType, entityId, changes) {
+    insert('auditLogs', {
+      adminId: ownerId(user), userId: user.id, userName: user.userName,
+      action, entityType, entityId, changes: changes || null, timestamp: nowIso()
+    });
+  }
+
+  function planFeatureCodes(adminId) {
+    const sub = db.subscriptions.find(s => s.adminId === adminId);
+    const ids = (sub && db.plans[sub.planType]) || db.plans.Basic || [];
+    return db.features.filter(f => ids.includes(f.id) && f.isActive !== false).map(f => f.featureCode);
+  }
+
+  function featuresForUser(user) {
+    if (user.userType === 'SuperAdmin') return db.features.map(f => f.featureCode);
+    const codes = planFeatureCodes(ownerId(user));
+    if (user.userType !== 'SubUser') return codes;
+    const hidden = db.subUserFeatures[user.id] || {};
+    return codes.filter(code => hidden[code] !== false);
+  }
+
+  // The role an admin gave a sub-user, as the client keeps it (see permissions.js); null means the default access
+  function roleForUser(user) {
+    if (user.userType !== 'SubUser' || !user.roleId) return null;
+    const role = db.roles.find(r => r.adminId === user.parentAdminId && String(r.id) === String(user.roleId));
+    return role ? { id: role.id, name: role.name, permissions: role.permissions } : null;
+  }
+
+  // permissions.js is on the dashboard and admin pages and is required under Node
+  function policyHelpers() {
+    if (typeof checkRolePermission === 'function') return { checkRolePermission, SUBUSER_DEFAULT_ROLE };
+    return typeof require === 'function' ? require('../permissions.js') : null;
+  }
+
+  const MOCK_POLICY_ENTITIES = {
+    customers: 'customers', bills: 'bills', payments: 'payments', creditnotes: 'creditNotes',
+    quotations: 'quotations', recurringbills: 'recurringBills', invoicesettings: 'settings'
+  };
+
+  /**
+   * Entity, action and record a sub-user request needs under their role.
+   * Moving a cheque along (deposited, cleared) counts as recording payments;
+   * bouncing or cancelling one voids it, as cancelling a bill does.
+   * @returns {object|null} - {entity, action, record}; null when roles do not cover the path
+   */
+  function requiredPermission(user, method, path, body) {
+    const [, collection, id, sub] = path.split('/');
+    const entity = MOCK_POLICY_ENTITIES[(collection || '').toLowerCase()];
+    if (!entity) return null;
+    if (entity === 'settings') return method === 'GET' ? null : { entity, action: 'edit' };
+    if (method === 'GET') return { entity, action: 'view' };
+    if (method === 'POST' && !id) return { entity, action: 'create', record: body };
+
+    const existing = findOwned(entity, user, id);
+    if (entity === 'quotations' && sub === 'convert') return { entity: 'bills', action: 'create', record: existing && { billAmount: existing.amount } };
+    if (sub === 'view-link') return { entity, action: method === 'POST' ? 'view' : 'edit', record: existing };
+    if (sub === 'cancel') return { entity, action: 'void', record: existing };
+    if (sub === 'cheque-status') return { entity, action: ['Bounced', 'Cancelled'].includes(body.status) ? 'void' : 'create', record: existing };
+    if (sub === 'cleared' || id === 'update-status') return { entity, action: 'create' };
+    if (method === 'DELETE') return { entity, action: 'delete', record: existing };
+    return { entity, action: 'edit', record: existing && { ...existing, ...body, createdBy: existing.createdBy } };
+  }
+
+  // Why a sub-user may not make this request, or null when they may
+  function subUserDenial(user, method, path, body) {
+    const helpers = policyHelpers();
+    if (!helpers) {
+      const changes = (method === 'PUT' || method === 'DELETE') && !/\/(cleared|cheque-status|update-status|dismiss)$/i.test(path);
+      return changes ? 'You do not have permission to perform this action' : null;
+    }
+    const need = requiredPermission(user, method, path, body);
+    if (!need) return null;
+    const result = helpers.checkRolePermission(roleForUser(user) || helpers.SUBUSER_DEFAULT_ROLE, need.action, need.entity, need.record, user.userCode);
+    return result.allowed ? null : result.message;
+  }
+
+  function publicUser(u) {
+    const { password, ...rest } = u;
+    return rest;
+  }
+
+  // Bill status follows the cleared allocations against it
+  function paidAmountForBill(billId) {
+    return db.payments
+      .filter(p => p.isActive !== false && p.cleared !== false)
+      .reduce((sum, p) => sum + (p.linkedBills || [])
+        .filter(lb => String(lb.billId) === String(billId))
+        .reduce((s, lb) => s + (Number(lb.allocatedAmount) || 0), 0), 0);
+  }
+
+  function creditedAmountForBill(billId) {
+    return db.creditNotes
+      .filter(n => n.isActive !== false && String(n.billId) === String(billId))
+      .reduce((sum, n) => sum + (Number(n.amount) || 0), 0);
+  }
+
+  function refreshBillStatuses(billIds) {
+    billIds.forEach(id => {
+      const bill = db.bills.find(b => String(b.id) === String(id));
+      if (!bill || bill.status === 'Cancelled') return;
+      const paid = paidAmountForBill(bill.id);
+      const credited = creditedAmountForBill(bill.id);
+      const amount = Number(bill.billAmount);
+      if (credited + 0.005 >= amount) bill.status = 'Credited';
+      else if (paid + credited + 0.005 >= amount) bill.status = 'Paid';
+      else bill.status = paid + credited <= 0 ? 'Unpaid' : 'Partial';
+    });
+  }
+
+  // Stored status is Unpaid/Partial/Paid/Credited/Cancelled; Overdue depends on the day it is read
+  function withOverdueStatus(bill) {
+    const dueDate = String(bill.dueDate || bill.billDate || '').slice(0, 10);
+    const overdue = ['Unpaid', 'Partial'].includes(bill.status) && dueDate && dueDate < nowIso().slice(0, 10);
+    return overdue ? { ...bill, status: 'Overdue' } : bill;
+  }
+
+  // Stored allocations carry allocatedAmount; the dashboard sends amount
+  function allocationAmount(lb) {
+    return Number(lb.allocatedAmount !== undefined ? lb.allocatedAmount : lb.amount) || 0;
+  }
+
+  function linkedBillIds(payment) {
+    const ids = (payment.linkedBills || []).map(lb => lb.billId);
+    if (payment.billId && !ids.includes(payment.billId)) ids.push(payment.billId);
+    return ids;
+  }
+
+  // ---------- validation ----------
+
+  function validateCustomer(data) {
+    const errors = [];
+    if (!data.name || !String(data.name).trim()) errors.push({ field: 'name', message: 'Name is required' });
+    if (!/^\d{10}$/.test(String(data.phone || '').replace(/[\s\-()]/g, ''))) errors.push({ field: 'phone', message: 'Phone must be 10 digits' });
+    if (data.openingBalance != null && !isFinite(Number(data.openingBalance))) errors.push({ field: 'openingBalance', message: 'Opening balance must be a number' });
+    if (data.paymentTerms && !['due_on_receipt', 'net7', 'net15', 'net30', 'custom'].includes(data.paymentTerms)) errors.push({ field: 'paymentTerms', message: 'Unknown payment terms' });
+    if (data.paymentTerms === 'custom' && !(Number.isInteger(Number(data.paymentTermsDays)) && Number(data.paymentTermsDays) >= 1 && Number(data.paymentTermsDays) <= 365)) errors.push({ field: 'paymentTermsDays', message: 'Custom terms must be 1-365 days' });
+    return errors;
+  }
+
+  function validateRole(user, data, id) {
+    const errors = [];
+    const name = String(data.name || '').trim();
+    if (!name) errors.push({ field: 'name', message: 'Name is required' });
+    else if (db.roles.some(r => r.adminId === user.id && r.id !== id && r.name.toLowerCase() === name.toLowerCase())) errors.push({ field: 'name', message: 'Another role has this name' });
+    if (!data.permissions || typeof data.permissions !== 'object') errors.push({ field: 'permissions', message: 'Permissions are required' });
+    return errors;
+  }
+
+  function validateBill(data, user) {
+    const errors = [];
+    if (!findOwned('customers', user, data.customerId)) errors.push({ field: 'customerId', message: 'Customer not found' });
+    if (!(Number(data.billAmount) > 0)) errors.push({ field: 'billAmount', message: 'Bill amount must be greater than 0' });
+    if (data.dueDate && data.billDate && String(data.dueDate).slice(0, 10) < String(data.billDate).slice(0, 10)) {
+      errors.push({ field: 'dueDate', message: 'Due date cannot be before the bill date' });
+    }
+    return errors;
+  }
+
+  function validateRecurringBill(data, user) {
+    const errors = [];
+    if (!findOwned('customers', user, data.customerId)) errors.push({ field: 'customerId', message: 'Customer not found' });
+    if (!Array.isArray(data.items) || data.items.length === 0) errors.push({ field: 'items', message: 'At least one line item is required' });
+    if (!MOCK_RECURRING_FREQUENCIES.includes(data.frequency)) errors.push({ field: 'frequency', message: 'Frequency is not valid' });
+    const day = Number(data.dayOfMonth);
+    if (!Number.isInteger(day) || day < 1 || day > 31) errors.push({ field: 'dayOfMonth', message: 'Day of month must be between 1 and 31' });
+    if (!data.startDate) errors.push({ field: 'startDate', message: 'Start date is required' });
+    else if (data.endDate && String(data.endDate).slice(0, 10) < String(data.startDate).slice(0, 10)) {
+      errors.push({ field: 'endDate', message: 'End date cannot be before the start date' });
+    }
+    return errors;
+  }
+
+  function validateQuotation(data, user) {
+    const errors = [];
+    if (!findOwned('customers', user, data.customerId)) errors.push({ field: 'customerId', message: 'Customer not found' });
+    if (!Array.isArray(data.items) || data.items.length === 0) errors.push({ field: 'items', message: 'At least one line item is required' });
+    if (!(Number(data.amount) > 0)) errors.push({ field: 'amount', message: 'Amount must be greater than 0' });
+    if (!data.validUntil) errors.push({ field: 'validUntil', message: 'Valid until date is required' });
+    else if (data.quoteDate && String(data.validUntil).slice(0, 10) < String(data.quoteDate).slice(0, 10)) {
+      errors.push({ field: 'validUntil', message: 'Valid until date cannot be before the quote date' });
+    }
+    return errors;
+  }
+
+  // Draft and sent quotations past their validity date are expired
+  function quoteExpired(q) {
+    return ['Draft', 'Sent'].includes(q.status) && String(q.validUntil).slice(0, 10) < nowIso().slice(0, 10);
+  }
+
+  function validatePayment(data, user) {
+    const errors = [];
+    if (!findOwned('customers', user, data.customerId)) errors.push({ field: 'customerId', message: 'Customer not found' });
+    // Refunds are negative payments and are not allocated to bills
+    if (!Number(data.amount)) errors.push({ field: 'amount', message: 'Amount must not be 0' });
+    if (Number(data.amount) < 0 && ((data.linkedBills || []).length > 0 || data.billId)) {
+      errors.push({ field: 'amount', message: 'Refunds cannot be allocated to bills' });
+    }
+    (data.linkedBills || []).forEach(lb => {
+      const bill = findOwned('bills', user, lb.billId);
+      if (!bill) errors.push({ field: 'linkedBills', message: `Bill ${lb.billId} not found` });
+      else if (bill.status === 'Cancelled') errors.push({ field: 'linkedBills', message: `Bill ${lb.billId} is cancelled` });
+      if (!(allocationAmount(lb) > 0)) errors.push({ field: 'linkedBills', message: `Amount for bill ${lb.billId} must be greater than 0` });
+    });
+    // Whatever is not allocated stays with the customer as credit
+    const allocated = (data.linkedBills || []).reduce((s, lb) => s + allocationAmount(lb), 0);
+    if (Number(data.amount) > 0 && mockRound(allocated) > mockRound(Number(data.amount))) {
+      errors.push({ field: 'linkedBills', message: 'Allocations cannot exceed the payment amount' });
+    }
+    return errors;
+  }
+
+  function validateCreditNote(data, bill) {
+    const errors = [];
+    if (!bill) return [{ field: 'billId', message: 'Bill not found' }];
+    if (bill.status === 'Cancelled') errors.push({ field: 'billId', message: 'Cancelled bills cannot be credited' });
+    const left = mockRound(Number(bill.billAmount) - creditedAmountForBill(bill.id));
+    if (!(Number(data.amount) > 0)) errors.push({ field: 'amount', message: 'Credit amount must be greater than 0' });
+    else if (mockRound(Number(data.amount)) > left) errors.push({ field: 'amount', message: `Credit cannot exceed ${left.toFixed(2)} left on this bill` });
+    if (!data.reason || !String(data.reason).trim()) errors.push({ field: 'reason', message: 'Reason is required' });
+    return errors;
+  }
+
+  // ---------- summaries ----------
+
+  // Cancelled bills and their credit notes are left out; refunds reduce what was paid
+  function overviewFor(user) {
+    const bills = owned('bills', user);
+    const payments = owned('payments', user);
+    const live = bills.filter(b => b.status !== 'Cancelled');
+    const totalRevenue = live.reduce((s, b) => s + (Number(b.billAmount) || 0), 0);
+    const credited = live.reduce((s, b) => s + creditedAmountForBill(b.id), 0);
+    const paidAmount = payments.filter(p => p.cleared !== false).reduce((s, p) => s + (Number(p.amount) || 0), 0);
+    return {
+      totalCustomers: owned('customers', user).length,
+      totalBills: bills.length,
+      totalPayments: payments.length,
+      totalRevenue: mockRound(totalRevenue),
+      creditedAmount: mockRound(credited),
+      paidAmount: mockRound(paidAmount),
+      outstandingAmount: mockRound(Math.max(0, totalRevenue - credited - paidAmount))
+    };
+  }
+
+  function analyticsFor(user) {
+    const bills = owned('bills', user);
+    const payments = owned('payments', user);
+    const customers = owned('customers', user);
+    const months = {};
+    bills.forEach(b => {
+      const key = mockMonthKey(b.billDate || b.createdAt);
+      months[key] = months[key] || { month: key, revenue: 0, customerCount: 0 };
+      months[key].revenue += Number(b.billAmount) || 0;
+    });
+    customers.forEach(c => {
+      const key = mockMonthKey(c.createdAt);
+      months[key] = months[key] || { month: key, revenue: 0, customerCount: 0 };
+      months[key].customerCount += 1;
+    });
+    const revenueByMonth = Object.values(months).sort((a, b) => a.month.localeCompare(b.month)).map(m => ({
+      ...m,
+      revenue: mockRound(m.revenue),
+      monthName: new Date(`${m.month}-01T00:00:00Z`).toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' })
+    }));
+    const topCustomers = customers.map(c => ({
+      customerId: c.id,
+      customerName: c.name,
+      totalBillsAmount: mockRound(bills.filter(b => b.customerId === c.id).reduce((s, b) => s + (Number(b.billAmount) || 0), 0))
+    })).sort((a, b) => b.totalBillsAmount - a.totalBillsAmount).slice(0, 5);
+    const countBy = (rows, key) => Object.entries(rows.reduce((acc, r) => {
+      acc[r[key] || 'Unknown'] = (acc[r[key] || 'Unknown'] || 0) + 1;
+      return acc;
+    }, {}));
+    return {
+      overview: overviewFor(user),
+      revenueByMonth,
+      topCustomers,
+      paymentModeSummary: countBy(payments, 'mode').map(([mode, count]) => ({ mode, count })),
+      billStatusSummary: countBy(bills, 'status').map(([status, count]) => ({ status, count }))
+    };
+  }
+
+  function reportRows(user, reportType, fromDate, toDate) {
+    const inRange = d => (!fromDate || (d || '') >= fromDate) && (!toDate || (d || '').slice(0, 10) <= toDate);
+    const customers = owned('customers', user);
+    const nameOf = id => (customers.find(c => c.id === id) || {}).name || '';
+    switch ((reportType || '').toLowerCase()) {
+      case 'customers':
+        return customers.filter(c => inRange(c.createdAt)).map(({ adminId, ...c }) => c);
+      case 'payments':
+        return owned('payments', user).filter(p => inRange(p.paymentDate)).map(p => ({
+          id: p.id, customer: nameOf(p.customerId), amount: p.amount, mode: p.mode, paymentDate: p.paymentDate, cleared: p.cleared
+        }));
+      case 'outstanding':
+        return owned('bills', user).filter(b => !['Paid', 'Credited', 'Cancelled'].includes(b.status)).map(b => ({
+          billNumber: b.billNumber, customer: nameOf(b.customerId), billAmount: b.billAmount,
+          paid: mockRound(paidAmountForBill(b.id)), credited: mockRound(creditedAmountForBill(b.id)),
+          outstanding: mockRound(b.billAmount - paidAmountForBill(b.id) - creditedAmountForBill(b.id))
+        }));
+      default:
+        return owned('bills', user).filter(b => inRange(b.billDate)).map(b => ({
+          billNumber: b.billNumber, customer: nameOf(b.customerId), billDate: b.billDate, billAmount: b.billAmount, status: b.status
+        }));
+    }
+  }
+
+  // ==================== ROUTES ====================
+  // [method, pattern, handler, access]; access is 'public', 'any' (logged in),
+  // 'Admin' or 'SuperAdmin'
+
+  const routes = [
+    // ----- Auth -----
+    ['POST', '/auth/login', async ({ body }) => {
+      const user = db.users.find(u => u.userName.toLowerCase() === String(body.username || '').toLowerCase());
+      const ok = user && user.password === body.password && user.isActive !== false;
+      if (user) {
+        insert('loginActivity', {
+          adminId: ownerId(user), userId: user.id, userCode: user.userCode, userName: user.userName, userType: user.userType,
+          loginStatus: ok ? 'Success' : 'Failed', failureReason: ok ? null : (user.isActive === false ? 'Account suspended' : 'Invalid password'),
+          ipAddress: '127.0.0.1', userAgent: 'mock', createdAt: nowIso()
+        });
+      }
+      if (!ok) return mockFail(401, 'Invalid username or password');
+      const iat = Math.floor(now().getTime() / 1000);
+      const token = await signMockToken({
+        sub: user.userCode, userId: user.id, username: user.userName, role: user.userType,
+        adminId: ownerId(user), iat, exp: iat + MOCK_TOKEN_TTL
+      }, secret);
+      return mockOk({
+        token,
+        userCode: user.userCode, userName: user.userName, fname: user.fname, lname: user.lname,
+        userEmail: user.userEmail, userType: user.userType,
+        organizationName: user.organizationName || (db.users.find(u => u.id === ownerId(user)) || {}).organizationName,
+        businessInformation: user.businessInformation || (db.users.find(u => u.id === ownerId(user)) || {}).businessInformation,
+        availableFeatures: featuresForUser(user),
+        permissionRole: roleForUser(user)
+      }, 'Login successful');
+    }, 'public'],
+    ['GET', '/auth/permissions', ({ user }) => mockOk({ role: roleForUser(user) })],
+
+    // ----- Customers -----
+    ['GET', '/customers', ({ user, query }) => listOwned('customers', user, query)],
+    ['GET', '/customers/:id', ({ user, params }) => {
+      const c = findOwned('customers', user, params.id);
+      return c ? mockOk(c) : mockFail(404, 'Customer not found');
+    }],
+    ['POST', '/customers', ({ user, body }) => {
+      const errors = validateCustomer(body);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      const c = insert('customers', { ...body, adminId: ownerId(user), createdBy: user.userCode, isActive: true, createdAt: nowIso() });
+      audit(user, 'Create', 'Customer', c.id, body);
+      return mockOk(c, 'Customer created', 201);
+    }],
+    ['PUT', '/customers/:id', ({ user, params, body }) => {
+      const c = findOwned('customers', user, params.id);
+      if (!c) return mockFail(404, 'Customer not found');
+      const errors = validateCustomer({ ...c, ...body });
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      Object.assign(c, body, { id: c.id, adminId: c.adminId, updatedAt: nowIso() });
+      audit(user, 'Update', 'Customer', c.id, body);
+      return mockOk(c, 'Customer updated');
+    }],
+    ['DELETE', '/customers/:id', ({ user, params }) => {
+      const c = findOwned('customers', user, params.id);
+      if (!c) return mockFail(404, 'Customer not found');
+      c.isActive = false;
+      audit(user, 'Delete', 'Customer', c.id);
+      return mockOk(null, 'Customer deleted');
+    }],
+
+    // ----- Bills -----
+    ['GET', '/bills', ({ user, query }) => listOwned('bills', user, query)],
+    ['GET', '/bills/customer/:customerId', ({ user, params }) => mockOk(owned('bills', user).filter(b => String(b.customerId) === params.customerId).map(withOverdueStatus))],
+    ['GET', '/bills/:id', ({ user, params }) => {
+      const b = findOwned('bills', user, params.id);
+      return b ? mockOk(withOverdueStatus(b)) : mockFail(404, 'Bill not found');
+    }],
+    ['POST', '/bills', ({ user, body }) => {
+      const errors = validateBill(body, user);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      // Each run of a recurring bill is billed once, however many times it is generated
+      if (body.recurringTemplateId && owned('bills', user).some(b => String(b.recurringTemplateId) === String(body.recurringTemplateId) &&
+        String(b.recurringRunDate) === String(body.recurringRunDate))) {
+        return mockFail(409, `A bill has already been raised for the ${body.recurringRunDate} run`);
+      }
+      const number = `BILL-${String(nextIds.bills).padStart(4, '0')}`;
+      const b = insert('bills', {
+        billNumber: number, billDate: nowIso(), status: 'Unpaid', ...body,
+        customerId: Number(body.customerId), billAmount: Number(body.billAmount),
+        adminId: ownerId(user), createdBy: user.userCode, isActive: true, createdAt: nowIso()
+      });
+      audit(user, 'Create', 'Bill', b.id, body);
+      return mockOk(b, 'Bill created', 201);
+    }],
+    ['PUT', '/bills/:id/status', ({ user, params, body }) => {
+      const b = findOwned('bills', user, params.id);
+      if (!b) return mockFail(404, 'Bill not found');
+      b.status = body.status || b.status;
+      audit(user, 'Update', 'Bill', b.id, { status: b.status });
+      return mockOk(b, 'Bill status updated');
+    }],
+    ['PUT', '/bills/:id/cancel', ({ user, params, body }) => {
+      const b = findOwned('bills', user, params.id);
+      if (!b) return mockFail(404, 'Bill not found');
+      if (b.status === 'Cancelled') return mockFail(400, 'Bill is already cancelled');
+      if (owned('payments', user).some(p => linkedBillIds(p).map(String).includes(String(b.id)))) {
+        return mockFail(400, 'Bills with payments cannot be cancelled; issue a credit note instead');
+      }
+      Object.assign(b, { status: 'Cancelled', cancelledAt: nowIso(), cancelReason: body.reason || null, updatedAt: nowIso() });
+      audit(user, 'Cancel', 'Bill', b.id, { reason: b.cancelReason });
+      return mockOk(b, 'Bill cancelled');
+    }],
+    // Customer payment link: a random token opens the bill on bill-view.html without logging in
+    ['POST', '/bills/:id/view-link', async ({ user, params }) => {
+      const b = findOwned('bills', user, params.id);
+      if (!b) return mockFail(404, 'Bill not found');
+      if (b.status === 'Cancelled') return mockFail(400, 'Cancelled bills cannot be shared');
+      const token = await mockHmacSha256(secret, `bill-view:${b.id}:${nowIso()}:${Math.random()}`);
+      const expiresAt = new Date(now().getTime() + MOCK_VIEW_LINK_DAYS * 86400000).toISOString();
+      Object.assign(b, { viewToken: token, viewTokenExpiresAt: expiresAt });
+      audit(user, 'Share', 'Bill', b.id, { expiresAt });
+      return mockOk({ token, expiresAt }, 'Payment link created');
+    }],
+    ['DELETE', '/bills/:id/view-link', ({ user, params }) => {
+      const b = findOwned('bills', user, params.id);
+      if (!b) return mockFail(404, 'Bill not found');
+      delete b.viewToken;
+      delete b.viewTokenExpiresAt;
+      audit(user, 'Unshare', 'Bill', b.id);
+      return mockOk(null, 'Payment link revoked');
+    }],
+    ['PUT', '/bills/:id', ({ user, params, body }) => {
+      const b = findOwned('bills', user, params.id);
+      if (!b) return mockFail(404, 'Bill not found');
+      if (b.status === 'Cancelled') return mockFail(400, 'Cancelled bills cannot be edited');
+      const errors = validateBill({ ...b, ...body }, user);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      Object.assign(b, body, { id: b.id, adminId: b.adminId, billNumber: b.billNumber, status: b.status, updatedAt: nowIso() });
+      if (paidAmountForBill(b.id) > 0) refreshBillStatuses([b.id]);
+      audit(user, 'Update', 'Bill', b.id, body);
+      return mockOk(b, 'Bill updated');
+    }],
+    ['DELETE', '/bills/:id', ({ user, params }) => {
+      const b = findOwned('bills', user, params.id);
+      if (!b) return mockFail(404, 'Bill not found');
+      b.isActive = false;
+      audit(user, 'Delete', 'Bill', b.id);
+      return mockOk(null, 'Bill deleted');
+    }],
+
+    // ----- Payments -----
+    ['GET', '/payments', ({ user, query }) => listOwned('payments', user, query)],
+    ['GET', '/payments/bill/:billId', ({ user, params }) => mockOk(owned('payments', user).filter(p => linkedBillIds(p).map(String).includes(params.billId)))],
+    ['GET', '/payments/:id', ({ user, params }) => {
+      const p = findOwned('payments', user, params.id);
+      return p ? mockOk(p) : mockFail(404, 'Payment not found');
+    }],
+    ['POST', '/payments', ({ user, body }) => {
+      const errors = validatePayment(body, user);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      const linkedBills = Array.isArray(body.linkedBills) && body.linkedBills.length > 0
+        ? body.linkedBills.map(lb => ({ billId: Number(lb.billId), allocatedAmount: mockRound(allocationAmount(lb)) }))
+        : (body.billId ? [{ billId: Number(body.billId), allocatedAmount: Number(body.amount) }] : []);
+      // A cheque recorded as cleared (e.g. from a bank statement) starts out Cleared
+      const chequeStatus = body.cleared === true ? 'Cleared' : 'Received';
+      const cheque = body.mode === 'Cheque'
+        ? { chequeStatus, chequeHistory: [{ status: chequeStatus, date: body.paymentDate || nowIso(), note: '' }] }
+        : {};
+      const p = insert('payments', {
+        paymentDate: nowIso(), cleared: body.mode !== 'Cheque', ...body, ...cheque,
+        customerId: Number(body.customerId), amount: Number(body.amount), linkedBills,
+        adminId: ownerId(user), createdBy: user.userCode, isActive: true, createdAt: nowIso()
+      });
+      refreshBillStatuses(linkedBillIds(p));
+      audit(user, 'Create', 'Payment', p.id, body);
+      return mockOk(p, 'Payment recorded', 201);
+    }],
+    ['PUT', '/payments/update-status', ({ user, body }) => setCleared(user, body.paymentId, body.cleared)],
+    ['PUT', '/payments/:id/cleared', ({ user, params, body }) => setCleared(user, params.id, body.cleared)],
+    // Records the bank statement line a payment was matched with
+    ['PUT', '/payments/:id/reconcile', ({ user, params, body }) => {
+      const p = findOwned('payments', user, params.id);
+      if (!p) return mockFail(404, 'Payment not found');
+      if (!body.bankTransactionId) return mockFail(400, 'Bank transaction is required');
+      const taken = owned('payments', user).find(x => x !== p && x.bankTransactionId === String(body.bankTransactionId));
+      if (taken) return mockFail(400, `That statement line is already matched to payment #${taken.id}`);
+      Object.assign(p, { bankTransactionId: String(body.bankTransactionId), bankDate: body.bankDate || null, reconciledAt: nowIso() });
+      audit(user, 'Reconcile', 'Payment', p.id, { bankTransactionId: p.bankTransactionId, bankDate: p.bankDate });
+      return mockOk(p, 'Payment reconciled');
+    }],
+    // Moves a cheque along its lifecycle; a bounce reopens its bills and can bill charges
+    ['PUT', '/payments/:id/cheque-status', ({ user, params, body }) => {
+      const p = findOwned('payments', user, params.id);
+      if (!p) return mockFail(404, 'Payment not found');
+      if (p.mode !== 'Cheque') return mockFail(400, 'Only cheque payments have a cheque status');
+      const current = mockChequeStatus(p);
+      if (!(MOCK_CHEQUE_TRANSITIONS[current] || []).includes(body.status)) {
+        return mockFail(400, `A ${current.toLowerCase()} cheque cannot be marked ${String(body.status || '').toLowerCase()}`);
+      }
+      const date = body.date || nowIso();
+      if ((body.status === 'Deposited' || body.status === 'Represented') && p.chequeDate && String(date).slice(0, 10) < String(p.chequeDate).slice(0, 10)) {
+        return mockFail(400, `Post-dated cheque cannot be deposited before ${String(p.chequeDate).slice(0, 10)}`);
+      }
+      const charges = mockRound(Number(body.bounceCharges) || 0);
+      if (body.status === 'Bounced') {
+        if (!String(body.reason || '').trim()) return mockFail(400, 'Bounce reason is required');
+        if (charges < 0) return mockFail(400, 'Bounce charges cannot be negative');
+      }
+
+      p.chequeHistory = [...(p.chequeHistory || []), { status: body.status, date, note: body.reason || '' }];
+      p.chequeStatus = body.status;
+      p.cleared = body.status === 'Cleared';
+      if (p.cleared) p.chequeClearDate = date;
+      if (body.status === 'Bounced' && charges > 0) {
+        const b = insert('bills', {
+          billNumber: `BILL-${String(nextIds.bills).padStart(4, '0')}`, billDate: date, dueDate: date, status: 'Unpaid',
+          customerId: p.customerId, billAmount: charges, notes: `Cheque bounce charges - cheque #${p.chequeNumber || p.id}`,
+          adminId: ownerId(user), createdBy: user.userCode, isActive: true, createdAt: nowIso()
+        });
+        p.bounceCharges = mockRound((Number(p.bounceCharges) || 0) + charges);
+        p.bounceChargeBillIds = [...(p.bounceChargeBillIds || []), b.id];
+        audit(user, 'Create', 'Bill', b.id, { billAmount: charges, notes: b.notes });
+      }
+      refreshBillStatuses(linkedBillIds(p));
+      audit(user, 'Update', 'Payment', p.id, { chequeStatus: p.chequeStatus, reason: body.reason, bounceCharges: charges || undefined });
+      return mockOk(p, `Cheque marked ${p.chequeStatus.toLowerCase()}`);
+    }],
+    // Applies unallocated credit on a payment to more bills
+    ['PUT', '/payments/:id/allocations', ({ user, params, body }) => {
+      const p = findOwned('payments', user, params.id);
+      if (!p) return mockFail(404, 'Payment not found');
+      if (Number(p.amount) < 0) return mockFail(400, 'Refunds cannot be allocated to bills');
+      if (p.cleared === false) return mockFail(400, 'Only cleared payments can be applied to bills');
+      const added = Array.isArray(body.linkedBills) ? body.linkedBills : [];
+      if (added.length === 0) return mockFail(400, 'No bills to allocate to');
+      const errors = [];
+      added.forEach(lb => {
+        const bill = findOwned('bills', user, lb.billId);
+        if (!bill || String(bill.customerId) !== String(p.customerId)) errors.push({ field: 'linkedBills', message: `Bill ${lb.billId} not found` });
+        else if (bill.status === 'Cancelled') errors.push({ field: 'linkedBills', message: `Bill ${lb.billId} is cancelled` });
+        else if (!(allocationAmount(lb) > 0)) errors.push({ field: 'linkedBills', message: `Amount for bill ${lb.billId} must be greater than 0` });
+        else if (mockRound(allocationAmount(lb)) > mockRound(Number(bill.billAmount) - paidAmountForBill(bill.id) - creditedAmountForBill(bill.id))) {
+          errors.push({ field: 'linkedBills', message: `Bill ${lb.billId} has less than that left to pay` });
+        }
+      });
+      const allocated = (p.linkedBills || []).reduce((s, lb) => s + allocationAmount(lb), 0);
+      const unallocated = mockRound(Number(p.amount) - allocated);
+      if (mockRound(added.reduce((s, lb) => s + allocationAmount(lb), 0)) > unallocated) {
+        errors.push({ field: 'linkedBills', message: `Only ${unallocated.toFixed(2)} of this payment is unallocated` });
+      }
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      p.linkedBills = p.linkedBills || [];
+      added.forEach(lb => {
+        const existing = p.linkedBills.find(x => String(x.billId) === String(lb.billId));
+        if (existing) existing.allocatedAmount = mockRound(allocationAmount(existing) + allocationAmount(lb));
+        else p.linkedBills.push({ billId: Number(lb.billId), allocatedAmount: mockRound(allocationAmount(lb)) });
+      });
+      if (!p.billId) p.billId = p.linkedBills[0].billId;
+      p.updatedAt = nowIso();
+      refreshBillStatuses(added.map(lb => lb.billId));
+      audit(user, 'Allocate', 'Payment', p.id, { linkedBills: added });
+      return mockOk(p, 'Credit applied to bills');
+    }],
+    ['PUT', '/payments/:id', ({ user, params, body }) => {
+      const p = findOwned('payments', user, params.id);
+      if (!p) return mockFail(404, 'Payment not found');
+      const before = linkedBillIds(p);
+      Object.assign(p, body, { id: p.id, adminId: p.adminId, updatedAt: nowIso() });
+      refreshBillStatuses([...before, ...linkedBillIds(p)]);
+      audit(user, 'Update', 'Payment', p.id, body);
+      return mockOk(p, 'Payment updated');
+    }],
+    ['DELETE', '/payments/:id', ({ user, params }) => {
+      const p = findOwned('payments', user, params.id);
+      if (!p) return mockFail(404, 'Payment not found');
+      p.isActive = false;
+      refreshBillStatuses(linkedBillIds(p));
+      audit(user, 'Delete', 'Payment', p.id);
+      return mockOk(null, 'Payment deleted');
+    }],
+
+    // ----- Credit Notes -----
+    ['GET', '/creditnotes', ({ user, query }) => listOwned('creditNotes', user, query)],
+    ['GET', '/creditnotes/bill/:billId', ({ user, params }) => mockOk(owned('creditNotes', user).filter(n => String(n.billId) === params.billId))],
+    ['GET', '/creditnotes/:id', ({ user, params }) => {
+      const n = findOwned('creditNotes', user, params.id);
+      return n ? mockOk(n) : mockFail(404, 'Credit note not found');
+    }],
+    ['POST', '/creditnotes', ({ user, body }) => {
+      const bill = findOwned('bills', user, body.billId);
+      const errors = validateCreditNote(body, bill);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      const n = insert('creditNotes', {
+        creditNoteNumber: `CN-${String(nextIds.creditNotes).padStart(4, '0')}`, creditNoteDate: nowIso(), ...body,
+        billId: bill.id, customerId: bill.customerId, amount: mockRound(Number(body.amount)), reason: String(body.reason).trim(),
+        adminId: ownerId(user), createdBy: user.userCode, isActive: true, createdAt: nowIso()
+      });
+      refreshBillStatuses([bill.id]);
+      audit(user, 'Create', 'CreditNote', n.id, body);
+      return mockOk(n, 'Credit note issued', 201);
+    }],
+
+    // ----- Recurring Bills -----
+    ['GET', '/recurringbills', ({ user, query }) => listOwned('recurringBills', user, query)],
+    ['GET', '/recurringbills/:id', ({ user, params }) => {
+      const t = findOwned('recurringBills', user, params.id);
+      return t ? mockOk(t) : mockFail(404, 'Recurring bill not found');
+    }],
+    ['POST', '/recurringbills', ({ user, body }) => {
+      const errors = validateRecurringBill(body, user);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      const t = insert('recurringBills', {
+        paused: false, skippedDates: [], autoGenerate: false, ...body,
+        customerId: Number(body.customerId), dayOfMonth: Number(body.dayOfMonth),
+        adminId: ownerId(user), createdBy: user.userCode, isActive: true, createdAt: nowIso()
+      });
+      audit(user, 'Create', 'RecurringBill', t.id, body);
+      return mockOk(t, 'Recurring bill created', 201);
+    }],
+    ['PUT', '/recurringbills/:id', ({ user, params, body }) => {
+      const t = findOwned('recurringBills', user, params.id);
+      if (!t) return mockFail(404, 'Recurring bill not found');
+      const errors = validateRecurringBill({ ...t, ...body }, user);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      Object.assign(t, body, { id: t.id, adminId: t.adminId, customerId: Number(body.customerId || t.customerId), updatedAt: nowIso() });
+      audit(user, 'Update', 'RecurringBill', t.id, body);
+      return mockOk(t, 'Recurring bill updated');
+    }],
+    ['DELETE', '/recurringbills/:id', ({ user, params }) => {
+      const t = findOwned('recurringBills', user, params.id);
+      if (!t) return mockFail(404, 'Recurring bill not found');
+      t.isActive = false;
+      audit(user, 'Delete', 'RecurringBill', t.id);
+      return mockOk(null, 'Recurring bill deleted');
+    }],
+
+    // ----- Quotations -----
+    ['GET', '/quotations', ({ user, query }) => listOwned('quotations', user, query)],
+    ['GET', '/quotations/:id', ({ user, params }) => {
+      const q = findOwned('quotations', user, params.id);
+      return q ? mockOk(q) : mockFail(404, 'Quotation not found');
+    }],
+    ['POST', '/quotations', ({ user, body }) => {
+      const errors = validateQuotation(body, user);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      const q = insert('quotations', {
+        quoteNumber: `QT-${String(nextIds.quotations).padStart(4, '0')}`, quoteDate: nowIso(), ...body,
+        status: 'Draft', customerId: Number(body.customerId), amount: mockRound(Number(body.amount)),
+        adminId: ownerId(user), createdBy: user.userCode, isActive: true, createdAt: nowIso()
+      });
+      audit(user, 'Create', 'Quotation', q.id, body);
+      return mockOk(q, 'Quotation created', 201);
+    }],
+    ['PUT', '/quotations/:id/status', ({ user, params, body }) => {
+      const q = findOwned('quotations', user, params.id);
+      if (!q) return mockFail(404, 'Quotation not found');
+      if (quoteExpired(q)) return mockFail(400, 'Quotation has expired; extend its validity date first');
+      if (!(MOCK_QUOTE_TRANSITIONS[q.status] || []).includes(body.status)) {
+        return mockFail(400, `A ${String(q.status).toLowerCase()} quotation cannot be marked ${String(body.status || '').toLowerCase()}`);
+      }
+      Object.assign(q, { status: body.status, [`${body.status.toLowerCase()}At`]: nowIso(), updatedAt: nowIso() });
+      audit(user, 'Update', 'Quotation', q.id, { status: q.status });
+      return mockOk(q, `Quotation marked ${q.status.toLowerCase()}`);
+    }],
+    // Raises the bill for an accepted quotation; body is the bill, as for POST /bills
+    ['POST', '/quotations/:id/convert', ({ user, params, body }) => {
+      const q = findOwned('quotations', user, params.id);
+      if (!q) return mockFail(404, 'Quotation not found');
+      if (q.status !== 'Accepted') return mockFail(400, 'Only accepted quotations can be converted into a bill');
+      if (q.convertedBillId) return mockFail(409, 'Quotation has already been converted into a bill');
+      const bill = { ...body, customerId: q.customerId, quotationId: q.id };
+      const errors = validateBill(bill, user);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      const b = insert('bills', {
+        billNumber: `BILL-${String(nextIds.bills).padStart(4, '0')}`, billDate: nowIso(), status: 'Unpaid', ...bill,
+        billAmount: Number(bill.billAmount), adminId: ownerId(user), createdBy: user.userCode, isActive: true, createdAt: nowIso()
+      });
+      Object.assign(q, { convertedBillId: b.id, convertedAt: nowIso(), updatedAt: nowIso() });
+      audit(user, 'Create', 'Bill', b.id, bill);
+      audit(user, 'Convert', 'Quotation', q.id, { billId: b.id });
+      return mockOk({ quotation: q, bill: b }, 'Quotation converted into a bill', 201);
+    }],
+    ['PUT', '/quotations/:id', ({ user, params, body }) => {
+      const q = findOwned('quotations', user, params.id);
+      if (!q) return mockFail(404, 'Quotation not found');
+      if (!['Draft', 'Sent'].includes(q.status)) return mockFail(400, `${q.status} quotations cannot be edited`);
+      const errors = validateQuotation({ ...q, ...body }, user);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      Object.assign(q, body, { id: q.id, adminId: q.adminId, quoteNumber: q.quoteNumber, status: q.status, customerId: Number(body.customerId || q.customerId), updatedAt: nowIso() });
+      audit(user, 'Update', 'Quotation', q.id, body);
+      return mockOk(q, 'Quotation updated');
+    }],
+    ['DELETE', '/quotations/:id', ({ user, params }) => {
+      const q = findOwned('quotations', user, params.id);
+      if (!q) return mockFail(404, 'Quotation not found');
+      q.isActive = false;
+      audit(user, 'Delete', 'Quotation', q.id);
+      return mockOk(null, 'Quotation deleted');
+    }],
+
+    // ----- Invoice Settings -----
+    // Branding for invoices and statements, one set per organisation (see invoice-templates.js)
+    ['GET', '/invoicesettings', ({ user }) => mockOk(db.invoiceSettings[ownerId(user)] || {})],
+    ['PUT', '/invoicesettings', ({ user, body }) => {
+      const errors = [];
+      if (!['classic', 'modern', 'minimal'].includes(body.layout)) errors.push({ field: 'layout', message: 'Layout is not valid' });
+      if (!/^#[0-9a-f]{6}$/i.test(body.color || '')) errors.push({ field: 'color', message: 'Colour is not valid' });
+      if (!String(body.businessName || '').trim()) errors.push({ field: 'businessName', message: 'Business name is required' });
+      ['logo', 'signature'].forEach(key => {
+        if (body[key] && !/^data:image\/(png|jpe?g);base64,/i.test(body[key])) errors.push({ field: key, message: 'Image must be a PNG or JPEG' });
+      });
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      db.invoiceSettings[ownerId(user)] = { ...body, updatedAt: nowIso() };
+      audit(user, 'Update', 'InvoiceSettings', ownerId(user), { layout: body.layout, color: body.color });
+      return mockOk(db.invoiceSettings[ownerId(user)], 'Invoice settings saved');
+    }],
+
+    // ----- Public -----
+    ['GET', '/public/bills/:token', ({ params }) => {
+      const b = db.bills.find(x => x.viewToken && x.viewToken === params.token && x.isActive !== false);
+      if (!b || b.status === 'Cancelled') return mockFail(404, 'This payment link is not valid or has been revoked');
+      if (b.viewTokenExpiresAt && b.viewTokenExpiresAt < nowIso()) return mockFail(410, 'This payment link has expired');
+      const settings = db.invoiceSettings[b.adminId] || {};
+      const owner = db.users.find(u => u.id === b.adminId) || {};
+      const customer = db.customers.find(c => c.id === b.customerId) || {};
+      const paid = mockRound(paidAmountForBill(b.id));
+      const credited = mockRound(creditedAmountForBill(b.id));
+      const bill = {};
+      ['id', 'billNumber', 'billDate', 'dueDate', 'paymentTerms', 'paymentTermsDays', 'items', 'subTotal', 'discountAmount', 'taxAmount',
+        'cgstAmount', 'sgstAmount', 'igstAmount', 'placeOfSupply', 'billAmount'].forEach(key => {
+        if (b[key] !== undefined) bill[key] = b[key];
+      });
+      bill.status = withOverdueStatus(b).status;
+      return mockOk({
+        business: {
+          businessName: settings.businessName || owner.organizationName || '',
+          ...['address', 'gstin', 'phone', 'email', 'upiId', 'logo'].reduce((o, key) => ({ ...o, [key]: settings[key] || '' }), {})
+        },
+        bill,
+        customerName: customer.name || '',
+        paid,
+        credited,
+        outstanding: mockRound(Math.max(0, Number(b.billAmount) - paid - credited)),
+        expiresAt: b.viewTokenExpiresAt || null
+      });
+    }, 'public'],
+
+    // ----- Dashboard -----
+    ['GET', '/dashboard/basic', ({ user }) => mockOk({ overview: overviewFor(user) })],
+    ['GET', '/dashboard/analytics', ({ user }) => mockOk(analyticsFor(user))],
+    ['GET', '/dashboard', ({ user }) => mockOk(analyticsFor(user))],
+    ['GET', '/dashboardcustomization/layout', ({ user }) => mockOk(db.layouts[user.id] || { widgets: [] })],
+    ['PUT', '/dashboardcustomization/layout', ({ user, body }) => {
+      db.layouts[user.id] = { widgets: body.widgets || [] };
+      return mockOk(db.layouts[user.id], 'Layout saved');
+    }],
+    ['POST', '/dashboardcustomization/layout/reset', ({ user }) => {
+      delete db.layouts[user.id];
+      return mockOk({ widgets: [] }, 'Layout reset');
+    }],
+    ['PUT', '/dashboardcustomization/layout/widget/:widgetId', ({ user, params, body }) => {
+      const layout = db.layouts[user.id] = db.layouts[user.id] || { widgets: [] };
+      let widget = layout.widgets.find(w => w.widgetId === params.widgetId);
+      if (!widget) layout.widgets.push(widget = { widgetId: params.widgetId });
+      Object.assign(widget, body);
+      return mockOk(widget, 'Widget updated');
+    }],
+
+    // ----- Reports -----
+    ['GET', '/reports/outstanding', ({ user }) => mockOk(reportRows(user, 'outstanding'))],
+    ['GET', '/reports/cheques/upcoming', ({ user }) => mockOk(owned('payments', user).filter(p => p.mode === 'Cheque' && !p.cleared && !['Bounced', 'Cancelled'].includes(mockChequeStatus(p))))],
+    ['POST', '/reports/generate', ({ user, body }) => {
+      const rows = reportRows(user, body.reportType, body.fromDate, body.toDate);
+      const report = insert('reports', {
+        adminId: ownerId(user), reportType: body.reportType, format: body.format || 'csv',
+        fromDate: body.fromDate || null, toDate: body.toDate || null,
+        status: 'completed', rowCount: rows.length, csv: mockToCsv(rows), createdAt: nowIso()
+      });
+      report.reportId = report.id;
+      return mockOk({ reportId: report.id, status: report.status }, 'Report generated');
+    }],
+    ['GET', '/reports/history', ({ user }) => mockOk(db.reports.filter(r => r.adminId === ownerId(user)).map(({ csv, ...r }) => r))],
+    ['GET', '/reports/:reportId/status', ({ user, params }) => {
+      const r = db.reports.find(x => x.adminId === ownerId(user) && String(x.id) === params.reportId);
+      return r ? mockOk({ reportId: r.id, status: r.status }) : mockFail(404, 'Report not found');
+    }],
+    ['GET', '/reports/:reportId/download', ({ user, params }) => {
+      const r = db.reports.find(x => x.adminId === ownerId(user) && String(x.id) === params.reportId);
+      if (!r) return mockFail(404, 'Report not found');
+      return mockOk({ reportId: r.id, downloadUrl: `data:text/csv;base64,${mockBase64Encode(r.csv)}` });
+    }],
+
+    // ----- Notifications -----
+    ['GET', '/notifications/templates', ({ user }) => mockOk(owned('templates', user).map(t => ({ ...t, templateId: t.id })))],
+    ['GET', '/notifications/templates/:id', ({ user, params }) => {
+      const t = findOwned('templates', user, params.id);
+      return t ? mockOk({ ...t, templateId: t.id }) : mockFail(404, 'Template not found');
+    }],
+    ['POST', '/notifications/templates', ({ user, body }) => mockOk(insert('templates', { ...body, adminId: ownerId(user) }), 'Template saved', 201)],
+    ['POST', '/notifications/send-email', ({ user, body }) => {
+      const recipients = [].concat(body.recipients || body.recipient || body.to || []);
+      if (recipients.length === 0) return mockFail(400, 'At least one recipient is required', [{ field: 'recipients', message: 'Required' }]);
+      const entry = insert('emailHistory', {
+        adminId: ownerId(user), recipients, recipient: recipients.join(', '),
+        subject: body.subject || (findOwned('templates', user, body.templateId) || {}).subject || '',
+        status: 'sent', sentAt: nowIso()
+      });
+      return mockOk(entry, 'Email sent');
+    }],
+    ['GET', '/notifications/email-history', ({ user }) => mockOk(db.emailHistory.filter(e => e.adminId === ownerId(user)))],
+
+    // ----- Audit logs -----
+    ['GET', '/auditlogs', ({ user, query }) => {
+      const logs = db.auditLogs.filter(l => l.adminId === ownerId(user)
+        && (!query.entityType || l.entityType === query.entityType)
+        && (!query.action || l.action === query.action)
+        && (!query.fromDate || l.timestamp >= query.fromDate)
+        && (!query.toDate || l.timestamp.slice(0, 10) <= query.toDate)).slice().reverse();
+      return mockOk({ logs, totalCount: logs.length });
+    }],
+
+    // ----- Reminders -----
+    ['GET', '/reminders', ({ user, query }) => mockOk(owned('reminders', user)
+      .filter(r => !query.status || r.status === query.status)
+      .map(r => ({ ...r, reminderId: r.id })))],
+    ['POST', '/reminders', ({ user, body }) => {
+      if (!body.title) return mockFail(400, 'Title is required', [{ field: 'title', message: 'Required' }]);
+      return mockOk(insert('reminders', { status: 'pending', priority: 'Medium', ...body, adminId: ownerId(user), createdAt: nowIso() }), 'Reminder created', 201);
+    }],
+    ['PUT', '/reminders/:id/dismiss', ({ user, params }) => {
+      const r = findOwned('reminders', user, params.id);
+      if (!r) return mockFail(404, 'Reminder not found');
+      r.status = 'dismissed';
+      return mockOk(r, 'Reminder dismissed');
+    }],
+
+    // ----- Search / filters -----
+    ['GET', '/search', ({ user, query }) => {
+      const q = String(query.q || '').toLowerCase();
+      const limit = Number(query.limit) || 10;
+      const types = (query.types || 'Customer,Bill,Payment').split(',').map(t => t.trim().toLowerCase());
+      const hit = (row, fields) => fields.some(f => String(row[f] == null ? '' : row[f]).toLowerCase().includes(q));
+      return mockOk({
+        customers: types.some(t => t.startsWith('customer')) ? owned('customers', user).filter(c => hit(c, ['name', 'phone', 'address', 'email'])).slice(0, limit) : [],
+        bills: types.some(t => t.startsWith('bill')) ? owned('bills', user).filter(b => hit(b, ['billNumber', 'notes', 'status'])).slice(0, limit) : [],
+        payments: types.some(t => t.startsWith('payment')) ? owned('payments', user).filter(p => hit(p, ['mode', 'paymentReference', 'chequeNumber'])).slice(0, limit) : []
+      });
+    }],
+    ['GET', '/filters/presets', ({ user }) => mockOk(owned('presets', user).map(p => ({ ...p, presetId: p.id })))],
+    ['POST', '/filters/presets', ({ user, body }) => mockOk(insert('presets', { ...body, adminId: ownerId(user) }), 'Preset saved', 201)],
+    ['GET', '/filters/presets/:id', ({ user, params }) => {
+      const p = findOwned('presets', user, params.id);
+      return p ? mockOk({ ...p, presetId: p.id }) : mockFail(404, 'Preset not found');
+    }],
+    ['DELETE', '/filters/presets/:id', ({ user, params }) => {
+      const p = findOwned('presets', user, params.id);
+      if (!p) return mockFail(404, 'Preset not found');
+      p.isActive = false;
+      return mockOk(null, 'Preset deleted');
+    }],
+
+    // ----- Validation -----
+    ['POST', '/validation/validate', ({ user, body }) => {
+      const type = (body.entityType || 'Customer').toLowerCase();
+      const errors = [];
+      const warnings = [];
+      if (type === 'customer') {
+        owned('customers', user).forEach(c => {
+          validateCustomer(c).forEach(e => errors.push(`Customer #${c.id}: ${e.message}`));
+          if (!c.email) warnings.push(`Customer #${c.id}: no email address`);
+        });
+      } else if (type === 'bill') {
+        owned('bills', user).forEach(b => validateBill(b, user).forEach(e => errors.push(`Bill #${b.id}: ${e.message}`)));
+      } else {
+        owned('payments', user).forEach(p => validatePayment(p, user).forEach(e => errors.push(`Payment #${p.id}: ${e.message}`)));
+      }
+      return mockOk({ valid: errors.length === 0, errors, warnings });
+    }],
+    ['POST', '/validation/check-duplicates', ({ user, body }) => {
+      const type = (body.entityType || 'Customer').toLowerCase();
+      const rows = owned(type === 'bill' ? 'bills' : type === 'payment' ? 'payments' : 'customers', user);
+      const duplicates = [];
+      (body.fields || []).forEach(field => {
+        const seen = {};
+        rows.forEach(r => {
+          const v = r[field];
+          if (v == null || v === '') return;
+          (seen[v] = seen[v] || []).push(r.id);
+        });
+        Object.entries(seen).filter(([, ids]) => ids.length > 1).forEach(([value, ids]) => duplicates.push({ field, value, ids }));
+      });
+      return mockOk(duplicates);
+    }],
+    ['GET', '/validation/quality-report', ({ user }) => {
+      const customers = owned('customers', user);
+      const withPhone = customers.filter(c => validateCustomer(c).length === 0).length;
+      const withEmail = customers.filter(c => c.email).length;
+      const score = customers.length === 0 ? 100 : Math.round(((withPhone + withEmail) / (customers.length * 2)) * 100);
+      return mockOk({
+        score,
+        details: {
+          'Customers': customers.length,
+          'Customers with valid phone': withPhone,
+          'Customers with email': withEmail,
+          'Bills': owned('bills', user).length,
+          'Payments': owned('payments', user).length
+        }
+      });
+    }],
+
+    // ----- Import -----
+    ['GET', '/import/:entityType/import-template', ({ params }) => {
+      const headers = {
+        customers: 'name,phone,email,address,city,state,pincode,gstNumber,openingBalance,paymentTerms,paymentTermsDays',
+        bills: 'customerId,billAmount,billDate,dueDate,notes',
+        payments: 'customerId,billId,amount,paymentDate,mode,chequeNumber,paymentReference,notes'
+      }[params.entityType.toLowerCase()];
+      if (!headers) return mockFail(404, `Unknown entity type ${params.entityType}`);
+      return { status: 200, raw: `${headers}\n`, contentType: 'text/csv' };
+    }],
+    // Rows are saved the way the single create endpoints save them; blank cells are left out
+    ['POST', '/import/:entityType/bulk-import', ({ user, params, files }) => {
+      const entity = params.entityType.toLowerCase();
+      const collection = { customers: 'customers', bills: 'bills', payments: 'payments' }[entity];
+      if (!collection) return mockFail(404, `Unknown entity type ${params.entityType}`);
+      const rows = mockParseCsv(files && files.file);
+      const errors = [];
+      let successful = 0;
+      rows.forEach((row, i) => {
+        const record = {};
+        Object.keys(row).forEach(k => {
+          if (row[k] === '') return;
+          const key = {
+            customerid: 'customerId', billid: 'billId', billamount: 'billAmount', billdate: 'billDate', duedate: 'dueDate',
+            paymentdate: 'paymentDate', chequenumber: 'chequeNumber', paymentreference: 'paymentReference', gstnumber: 'gstNumber',
+            openingbalance: 'openingBalance', paymentterms: 'paymentTerms', paymenttermsdays: 'paymentTermsDays'
+          }[k] || k;
+          record[key] = row[k];
+        });
+        ['customerId', 'billId', 'billAmount', 'amount', 'openingBalance', 'paymentTermsDays'].forEach(k => { if (record[k] !== undefined && isFinite(Number(record[k]))) record[k] = Number(record[k]); });
+        if (entity === 'payments' && record.billId) record.linkedBills = [{ billId: record.billId, allocatedAmount: record.amount }];
+        const rowErrors = entity === 'customers' ? validateCustomer(record)
+          : entity === 'bills' ? validateBill(record, user) : validatePayment(record, user);
+        if (rowErrors.length) {
+          rowErrors.forEach(e => errors.push({ rowNumber: i + 2, field: e.field, errorMessage: e.message }));
+          return;
+        }
+        const defaults = entity === 'bills' ? { billNumber: `BILL-${String(nextIds.bills).padStart(4, '0')}`, billDate: nowIso(), status: 'Unpaid' }
+          : entity === 'payments' ? { paymentDate: nowIso(), cleared: record.mode !== 'Cheque', linkedBills: [] } : {};
+        const cheque = entity === 'payments' && record.mode === 'Cheque'
+          ? { chequeStatus: 'Received', chequeHistory: [{ status: 'Received', date: record.paymentDate || nowIso(), note: '' }] }
+          : {};
+        const saved = insert(collection, { ...defaults, ...record, ...cheque, adminId: ownerId(user), isActive: true, createdAt: nowIso() });
+        if (entity === 'payments') refreshBillStatuses(linkedBillIds(saved));
+        successful++;
+      });
+      return mockOk({ totalRows: rows.length, successful, failed: rows.length - successful, errors },
+        `${successful} of ${rows.length} ${entity} imported`);
+    }],
+
+    // ----- Login tracking -----
+    ['GET', '/logintracking/activity', ({ user, query }) => {
+      const page = Number(query.page) || 1;
+      const pageSize = Number(query.pageSize) || 20;
+      const items = db.loginActivity.filter(a => (user.userType === 'SuperAdmin' || a.adminId === user.id)
+        && (!query.userType || a.userType === query.userType)
+        && (!query.userId || String(a.userId) === query.userId)).slice().reverse();
+      return mockOk({
+        items: items.slice((page - 1) * pageSize, page * pageSize),
+        pagination: { page, pageSize, totalCount: items.length, totalPages: Math.max(1, Math.ceil(items.length / pageSize)) }
+      });
+    }, 'Admin'],
+    ['GET', '/logintracking/statistics', ({ user }) => {
+      const rows = db.loginActivity.filter(a => user.userType === 'SuperAdmin' || a.adminId === user.id);
+      const days = {};
+      rows.forEach(a => {
+        const d = a.createdAt.slice(0, 10);
+        days[d] = days[d] || { date: d, loginCount: 0, users: {} };
+        days[d].loginCount++;
+        days[d].users[a.userId] = true;
+      });
+      const summary = {};
+      rows.forEach(a => {
+        summary[a.userId] = summary[a.userId] || { userId: a.userId, userName: a.userName, successfulLogins: 0, failedLogins: 0 };
+        summary[a.userId][a.loginStatus === 'Success' ? 'successfulLogins' : 'failedLogins']++;
+      });
+      const today = nowIso().slice(0, 10);
+      const since = days => new Set(rows.filter(a => a.loginStatus === 'Success' && (now() - new Date(a.createdAt)) <= days * 86400000).map(a => a.userId)).size;
+      return mockOk({
+        totalLogins: rows.length,
+        successfulLogins: rows.filter(a => a.loginStatus === 'Success').length,
+        failedLogins: rows.filter(a => a.loginStatus !== 'Success').length,
+        uniqueUsers: new Set(rows.map(a => a.userId)).size,
+        activeUsersToday: new Set(rows.filter(a => a.createdAt.startsWith(today)).map(a => a.userId)).size,
+        activeUsersThisWeek: since(7),
+        activeUsersThisMonth: since(30),
+        recentLogins: rows.slice(-10).reverse(),
+        dailyLoginCounts: Object.values(days).map(d => ({ date: d.date, loginCount: d.loginCount, uniqueUsers: Object.keys(d.users).length })),
+        userLoginSummary: Object.values(summary)
+      });
+    }, 'Admin'],
+
+    // ----- Admin: sub-users & subscription -----
+    ['GET', '/admin/subusers', ({ user }) => mockOk(db.users.filter(u => u.parentAdminId === user.id).map(publicUser))],
+    ['GET', '/admin/subusers/:id', ({ user, params }) => {
+      const u = db.users.find(x => x.parentAdminId === user.id && String(x.id) === params.id);
+      return u ? mockOk(publicUser(u)) : mockFail(404, 'Sub user not found');
+    }],
+    ['POST', '/admin/subusers', ({ user, body }) => {
+      if (!body.userName || !body.password) return mockFail(400, 'Username and password are required', [{ field: 'userName', message: 'Required' }]);
+      if (db.users.some(u => u.userName.toLowerCase() === body.userName.toLowerCase())) return mockFail(409, 'Username already exists');
+      const sub = db.subscriptions.find(s => s.adminId === user.id);
+      const count = db.users.filter(u => u.parentAdminId === user.id).length;
+      if (sub && count >= sub.maxSubUsers) return mockFail(400, `Your plan allows ${sub.maxSubUsers} sub users`);
+      const u = insert('users', { ...body, userType: 'SubUser', parentAdminId: user.id, userCode: `SU${String(nextIds.users).padStart(4, '0')}`, isActive: true, createdAt: nowIso() });
+      return mockOk(publicUser(u), 'Sub user created', 201);
+    }],
+    ['PUT', '/admin/subusers/:id/suspend', ({ user, params }) => setUserActive(u => u.parentAdminId === user.id, params.id, false)],
+    ['PUT', '/admin/subusers/:id/activate', ({ user, params }) => setUserActive(u => u.parentAdminId === user.id, params.id, true)],
+    ['PUT', '/admin/subusers/:id', ({ user, params, body }) => {
+      const u = db.users.find(x => x.parentAdminId === user.id && String(x.id) === params.id);
+      if (!u) return mockFail(404, 'Sub user not found');
+      if (body.roleId && !db.roles.some(r => r.adminId === user.id && String(r.id) === String(body.roleId))) return mockFail(400, 'Role not found');
+      Object.assign(u, body, { id: u.id, userType: 'SubUser', parentAdminId: user.id });
+      return mockOk(publicUser(u), 'Sub user updated');
+    }],
+    ['DELETE', '/admin/subusers/:id', ({ user, params }) => setUserActive(u => u.parentAdminId === user.id, params.id, false)],
+    ['GET', '/admin/subusers/:id/features', ({ user, params }) => {
+      const available = planFeatureCodes(user.id);
+      const hidden = db.subUserFeatures[params.id] || {};
+      return mockOk({
+        subUserId: Number(params.id),
+        features: db.features.map(f => ({
+          ...f, available: available.includes(f.featureCode), visible: available.includes(f.featureCode) && hidden[f.featureCode] !== false
+        }))
+      });
+    }],
+    ['PUT', '/admin/subusers/:id/features/visibility/bulk', ({ params, body }) => {
+      const hidden = db.subUserFeatures[params.id] = db.subUserFeatures[params.id] || {};
+      (body.features || []).forEach(f => { hidden[f.featureCode] = f.isVisible !== false; });
+      return mockOk(null, 'Feature visibility updated');
+    }],
+    ['PUT', '/admin/subusers/:id/features/:featureCode/visibility', ({ params, body }) => {
+      const hidden = db.subUserFeatures[params.id] = db.subUserFeatures[params.id] || {};
+      hidden[params.featureCode] = body.isVisible !== false;
+      return mockOk(null, 'Feature visibility updated');
+    }],
+
+    // ----- Admin: roles -----
+    ['GET', '/admin/roles', ({ user }) => mockOk(db.roles.filter(r => r.adminId === user.id))],
+    ['POST', '/admin/roles', ({ user, body }) => {
+      const errors = validateRole(user, body);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      return mockOk(insert('roles', { name: body.name.trim(), permissions: body.permissions, adminId: user.id, createdAt: nowIso() }), 'Role created', 201);
+    }],
+    ['PUT', '/admin/roles/:id', ({ user, params, body }) => {
+      const role = db.roles.find(r => r.adminId === user.id && String(r.id) === params.id);
+      if (!role) return mockFail(404, 'Role not found');
+      const errors = validateRole(user, body, role.id);
+      if (errors.length) return mockFail(400, 'Validation failed', errors);
+      Object.assign(role, { name: body.name.trim(), permissions: body.permissions, updatedAt: nowIso() });
+      return mockOk(role, 'Role updated');
+    }],
+    // Sub-users with the role go back to the default access
+    ['DELETE', '/admin/roles/:id', ({ user, params }) => {
+      const role = db.roles.find(r => r.adminId === user.id && String(r.id) === params.id);
+      if (!role) return mockFail(404, 'Role not found');
+      db.roles = db.roles.filter(r => r !== role);
+      db.users.filter(u => u.parentAdminId === user.id && String(u.roleId) === params.id).forEach(u => { delete u.roleId; });
+      return mockOk(null, 'Role deleted');
+    }],
+
+    ['GET', '/admin/subscription', ({ user }) => {
+      const sub = db.subscriptions.find(s => s.adminId === user.id);
+      if (!sub) return mockFail(404, 'No subscription found');
+      const current = db.users.filter(u => u.parentAdminId === user.id && u.isActive !== false).length;
+      return mockOk({ ...sub, currentSubUsers: current, currentSubUserCount: current, remainingSubUsers: Math.max(0, sub.maxSubUsers - current) });
+    }],
+
+    // ----- Super admin -----
+    ['GET', '/superadmin/admins', () => mockOk(db.users.filter(u => u.userType === 'Admin').map(publicUser))],
+    ['GET', '/superadmin/admins/:id', ({ params }) => {
+      const u = db.users.find(x => x.userType === 'Admin' && String(x.id) === params.id);
+      return u ? mockOk(publicUser(u)) : mockFail(404, 'Admin not found');
+    }],
+    ['POST', '/superadmin/admins', ({ body }) => {
+      if (!body.userName || !body.password) return mockFail(400, 'Username and password are required', [{ field: 'userName', message: 'Required' }]);
+      if (db.users.some(u => u.userName.toLowerCase() === body.userName.toLowerCase())) return mockFail(409, 'Username already exists');
+      const u = insert('users', { ...body, userType: 'Admin', userCode: `AD${String(nextIds.users).padStart(4, '0')}`, isActive: true, createdAt: nowIso() });
+      return mockOk(publicUser(u), 'Admin created', 201);
+    }],
+    ['PUT', '/superadmin/admins/:id/suspend', ({ params }) => setUserActive(u => u.userType === 'Admin', params.id, false)],
+    ['PUT', '/superadmin/admins/:id/activate', ({ params }) => setUserActive(u => u.userType === 'Admin', params.id, true)],
+    ['PUT', '/superadmin/admins/:id', ({ params, body }) => {
+      const u = db.users.find(x => x.userType === 'Admin' && String(x.id) === params.id);
+      if (!u) return mockFail(404, 'Admin not found');
+      Object.assign(u, body, { id: u.id, userType: 'Admin' });
+      return mockOk(publicUser(u), 'Admin updated');
+    }],
+    ['GET', '/superadmin/subscriptions', () => mockOk(db.subscriptions)],
+    ['GET', '/superadmin/subscriptions/admin/:adminId', ({ params }) => {
+      const s = db.subscriptions.find(x => String(x.adminId) === params.adminId);
+      return s ? mockOk(s) : mockFail(404, 'Subscription not found');
+    }],
+    ['GET', '/superadmin/subscriptions/:id', ({ params }) => {
+      const s = db.subscriptions.find(x => String(x.id) === params.id);
+      return s ? mockOk(s) : mockFail(404, 'Subscription not found');
+    }],
+    ['POST', '/superadmin/subscriptions', ({ body }) => {
+      if (!body.adminId || !body.planType) return mockFail(400, 'Admin and plan are required', [{ field: 'adminId', message: 'Required' }]);
+      return mockOk(insert('subscriptions', { status: 'Active', maxSubUsers: 0, ...body, adminId: Number(body.adminId) }), 'Subscription created', 201);
+    }],
+    ['PUT', '/superadmin/subscriptions/:id', ({ params, body }) => updateSubscription(s => String(s.id) === params.id, body)],
+    ['PUT', '/superadmin/subscriptions', ({ body }) => updateSubscription(s => String(s.adminId) === String(body.adminId) || String(s.id) === String(body.id), body)],
+    ['GET', '/superadmin/statistics', () => {
+      const admins = db.users.filter(u => u.userType === 'Admin');
+      return mockOk({
+        totalAdmins: admins.length,
+        activeAdmins: admins.filter(a => a.isActive !== false).length,
+        totalSubUsers: db.users.filter(u => u.userType === 'SubUser').length,
+        totalSubscriptions: db.subscriptions.length
+      });
+    }],
+    ['GET', '/superadmin/features', () => mockOk(db.features.map(f => ({ ...f, featureId: f.id })))],
+    ['PUT', '/superadmin/features/:featureCode/toggle', ({ params, body }) => {
+      const f = db.features.find(x => x.featureCode === params.featureCode);
+      if (!f) return mockFail(404, 'Feature not found');
+      f.isActive = body.enabled !== undefined ? body.enabled !== false : !f.isActive;
+      return mockOk(f, `Feature ${f.isActive ? 'enabled' : 'disabled'}`);
+    }],
+    ['GET', '/superadmin/plans/:planType/features', ({ params }) => {
+      const ids = db.plans[params.planType] || [];
+      return mockOk({ planType: params.planType, features: db.features.filter(f => ids.includes(f.id)).map(f => ({ ...f, featureId: f.id })) });
+    }],
+    ['POST', '/superadmin/plans/:planType/features', ({ params, body }) => {
+      const ids = (body.featureIds || []).map(Number);
+      const current = db.plans[params.planType] || [];
+      db.plans[params.planType] = body.enabled === false
+        ? current.filter(id => !ids.includes(id))
+        : Array.from(new Set([...current, ...ids]));
+      return mockOk({ planType: params.planType, featureIds: db.plans[params.planType] }, 'Plan features updated');
+    }]
+  ].map(([method, pattern, handler, access]) => ({ method, pattern, handler, access: access || routeAccess(pattern) }));
+
+  function routeAccess(pattern) {
+    if (pattern.startsWith('/superadmin')) return 'SuperAdmin';
+    if (pattern.startsWith('/admin')) return 'Admin';
+    return 'any';
+  }
+
+  // Cheques recorded before states were tracked follow their cleared flag
+  function mockChequeStatus(p) {
+    return p.chequeStatus || (p.cleared ? 'Cleared' : 'Received');
+  }
+
+  function setCleared(user, id, cleared) {
+    const p = findOwned('payments', user, id);
+    if (!p) return mockFail(404, 'Payment not found');
+    p.cleared = cleared === true || cleared === 'true';
+    // The old clear/unclear toggle keeps a cheque's state in step
+    if (p.mode === 'Cheque') {
+      p.chequeStatus = p.cleared ? 'Cleared' : 'Deposited';
+      p.chequeHistory = [...(p.chequeHistory || []), { status: p.chequeStatus, date: nowIso(), note: '' }];
+    }
+    refreshBillStatuses(linkedBillIds(p));
+    audit(user, 'Update', 'Payment', p.id, { cleared: p.cleared });
+    return mockOk(p, p.cleared ? 'Payment marked as cleared' : 'Payment marked as not cleared');
+  }
+
+  function setUserActive(scope, id, active) {
+    const u = db.users.find(x => scope(x) && String(x.id) === String(id));
+    if (!u) return mockFail(404, 'User not found');
+    u.isActive = active;
+    return mockOk(publicUser(u), active ? 'User activated' : 'User suspended');
+  }
+
+  function updateSubscription(match, body) {
+    const s = db.subscriptions.find(match);
+    if (!s) return mockFail(404, 'Subscription not found');
+    Object.assign(s, body, { id: s.id });
+    return mockOk(s, 'Subscription updated');
+  }
+
+  /**
+   * Handles one request.
+   * @param {object} req - {method, path, query, headers, body, files}; path is
+   *   relative to the API base, e.g. '/Customers/3'
+   * @returns {Promise<{status: number, body?: object, raw?: string, contentType?: string}>}
+   */
+  async function handle(req) {
+    const method = (req.method || 'GET').toUpperCase();
+    const path = req.path.replace(/\/+$/, '') || '/';
+    const query = req.query || {};
+
+    if (path.toLowerCase() === '/__mock/reset' && method === 'POST') {
+      reset(req.body && Object.keys(req.body).length ? req.body : undefined);
+      return mockOk(null, 'Mock data reset');
+    }
+
+    let pathMatched = false;
+    for (const route of routes) {
+      const params = matchMockRoute(route.pattern, path);
+      if (!params) continue;
+      pathMatched = true;
+      if (route.method !== method) continue;
+
+      let user = null;
+      if (route.access !== 'public') {
+        const auth = (req.headers && (req.headers.authorization || req.headers.Authorization)) || '';
+        const claims = await verifyMockToken(auth.replace(/^Bearer\s+/i, ''), secret, Math.floor(now().getTime() / 1000));
+        user = claims && db.users.find(u => u.id === claims.userId && u.isActive !== false);
+        if (!user) return mockFail(401, 'Unauthorized');
+        if (route.access === 'SuperAdmin' && user.userType !== 'SuperAdmin') return mockFail(403, 'Super admin access required');
+        if (route.access === 'Admin' && !['Admin', 'SuperAdmin'].includes(user.userType)) return mockFail(403, 'Admin access required');
+        // Sub-users act under the role their admin gave them (see permissions.js)
+        if (user.userType === 'SubUser') {
+          const denied = subUserDenial(user, method, path, req.body || {});
+          if (denied) return mockFail(403, denied);
+        }
+      }
+
+      try {
+        return await route.handler({ user, params, query, body: req.body || {}, files: req.files, headers: req.headers || {} });
+      } catch (err) {
+        return mockFail(500, err.message || 'Mock handler failed');
+      }
+    }
+    return pathMatched ? mockFail(405, `Method ${method} not allowed`) : mockFail(404, `No mock route for ${method} ${path}`);
+  }
+
+  function getState() {
+    return db;
+  }
+
+  function listRoutes() {
+    return routes.map(r => `${r.method} ${r.pattern}`);
+  }
+
+  reset();
+  return { handle, reset, load, getState, listRoutes };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createMockApi, signMockToken, verifyMockToken, MOCK_FIXTURE_FILES, MOCK_DEFAULT_SECRET };
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.createMockApi = createMockApi;
+  window.MOCK_FIXTURE_FILES = MOCK_FIXTURE_FILES;
+}
@@ -0,0 +1,97 @@
+/**
+ * In-browser mock transport - runs mock-api.js inside the page by wrapping
+ * window.fetch, so the UI works with no server at all (a static file host
+ * is enough).
+ *
+ * Enable with ?env=mock&mock=inline (remembered like ?env=); api-config.js
+ * then loads mock-api.js and this file before the rest of the page. Requests
+ * to API_CONFIG.BASE_URL are answered locally, everything else goes to the
+ * network. Data lives in sessionStorage so it survives page navigation;
+ * resetMockData() re-seeds from mock/fixtures.
+ */
+
+const MOCK_STATE_KEY = 'mockApiState';
+const MOCK_FIXTURES_PATH = 'mock/fixtures';
+
+(function installMockFetch() {
+  if (typeof window === 'undefined' || window.__mockFetchInstalled) return;
+  window.__mockFetchInstalled = true;
+
+  const networkFetch = window.fetch.bind(window);
+  const base = API_CONFIG.BASE_URL.replace(/\/+$/, '');
+  let apiPromise = null;
+
+  async function loadFixtures() {
+    const fixtures = {};
+    await Promise.all(MOCK_FIXTURE_FILES.map(async name => {
+      const res = await networkFetch(`${MOCK_FIXTURES_PATH}/${name}.json`);
+      if (res.ok) fixtures[name] = await res.json();
+    }));
+    return fixtures;
+  }
+
+  function getApi() {
+    if (!apiPromise) {
+      apiPromise = loadFixtures().then(fixtures => {
+        const api = createMockApi({ fixtures });
+        const saved = sessionStorage.getItem(MOCK_STATE_KEY);
+        if (saved) {
+          try { api.load(JSON.parse(saved)); } catch (e) { sessionStorage.removeItem(MOCK_STATE_KEY); }
+        }
+        return api;
+      });
+    }
+    return apiPromise;
+  }
+
+  async function readBody(body) {
+    if (!body) return { body: {} };
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+      const files = {};
+      for (const [name, value] of body.entries()) {
+        files[name] = typeof value === 'string' ? value : await value.text();
+      }
+      return { body: {}, files };
+    }
+    try {
+      return { body: JSON.parse(typeof body === 'string' ? body : await new Response(body).text()) };
+    } catch (e) {
+      return { body: {} };
+    }
+  }
+
+  window.fetch = async function mockFetch(input, init = {}) {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(base + '/')) return networkFetch(input, init);
+
+    const signal = init.signal;
+    if (signal && signal.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+
+    const api = await getApi();
+    const parsed = new URL(url);
+    const headers = {};
+    new Headers(init.headers || {}).forEach((value, key) => { headers[key] = value; });
+    const { body, files } = await readBody(init.body);
+
+    const result = await api.handle({
+      method: init.method || 'GET',
+      path: parsed.pathname.slice(new URL(base).pathname.length),
+      query: Object.fromEntries(parsed.searchParams),
+      headers,
+      body,
+      files
+    });
+    sessionStorage.setItem(MOCK_STATE_KEY, JSON.stringify(api.getState()));
+
+    if (result.raw !== undefined) {
+      return new Response(result.raw, { status: result.status, headers: { 'Content-Type': result.contentType } });
+    }
+    return new Response(JSON.stringify(result.body), { status: result.status, headers: { 'Content-Type': 'application/json' } });
+  };
+
+  window.resetMockData = async function resetMockData() {
+    sessionStorage.removeItem(MOCK_STATE_KEY);
+    const api = await getApi();
+    api.reset();
+  };
+})();
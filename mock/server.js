@@ -0,0 +1,149 @@
+/**
+ * Mock API server - no dependencies, plain Node http.
+ *
+ *   npm run mock                       # http://localhost:4010
+ *   node mock/server.js --port 5000 --fixtures ./my-fixtures
+ *
+ * Serves the mock API under /api and the UI pages from the repo root, so
+ * http://localhost:4010/login.html?env=mock works end to end. The "mock"
+ * profile in api-config.js points at this server.
+ *
+ * Seed logins (mock/fixtures/users.json):
+ *   superadmin / superadmin123, admin / admin123, staff / staff123
+ *
+ * POST /api/__mock/reset re-seeds from the fixtures (or from a JSON body).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createMockApi, MOCK_FIXTURE_FILES } = require('./mock-api.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.MOCK_PORT) || 4010, fixtures: path.join(__dirname, 'fixtures') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--fixtures') args.fixtures = path.resolve(argv[++i]);
+  }
+  return args;
+}
+
+function loadFixtures(dir) {
+  const fixtures = {};
+  MOCK_FIXTURE_FILES.forEach(name => {
+    const file = path.join(dir, `${name}.json`);
+    if (fs.existsSync(file)) fixtures[name] = JSON.parse(fs.readFileSync(file, 'utf8'));
+  });
+  return fixtures;
+}
+
+// Pulls file fields out of a multipart/form-data body (text files only - enough for CSV imports)
+function parseMultipart(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) return {};
+  const boundary = `--${match[1] || match[2]}`;
+  const files = {};
+  buffer.toString('utf8').split(boundary).forEach(part => {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return;
+    const name = /name="([^"]+)"/i.exec(part.slice(0, headerEnd));
+    if (name) files[name[1]] = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+  });
+  return files;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, contentType = 'application/json; charset=utf-8') {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+  });
+  res.end(body);
+}
+
+function serveStatic(req, res) {
+  const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  const file = path.resolve(ROOT_DIR, `.${urlPath === '/' ? '/login.html' : urlPath}`);
+  if (!file.startsWith(ROOT_DIR) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+    return;
+  }
+  send(res, 200, fs.readFileSync(file), STATIC_TYPES[path.extname(file)] || 'application/octet-stream');
+}
+
+function createMockServer(options = {}) {
+  const api = createMockApi({ fixtures: options.fixturesData || loadFixtures(options.fixtures || path.join(__dirname, 'fixtures')) });
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'OPTIONS') return send(res, 204, '');
+      const url = new URL(req.url, 'http://localhost');
+
+      if (url.pathname === '/swagger/index.html') {
+        return send(res, 200, `<h1>Mock API routes</h1><pre>${api.listRoutes().join('\n')}</pre>`, 'text/html; charset=utf-8');
+      }
+      if (!url.pathname.startsWith('/api/')) return serveStatic(req, res);
+
+      const raw = await readBody(req);
+      const contentType = req.headers['content-type'] || '';
+      let body = {};
+      let files;
+      if (contentType.startsWith('multipart/form-data')) {
+        files = parseMultipart(raw, contentType);
+      } else if (raw.length > 0) {
+        try {
+          body = JSON.parse(raw.toString('utf8'));
+        } catch (e) {
+          return send(res, 400, JSON.stringify({ status: false, message: 'Request body is not valid JSON', body: null, errors: [] }));
+        }
+      }
+
+      const result = await api.handle({
+        method: req.method,
+        path: url.pathname.slice('/api'.length),
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body,
+        files
+      });
+      if (result.raw !== undefined) return send(res, result.status, result.raw, result.contentType);
+      send(res, result.status, JSON.stringify(result.body));
+    } catch (err) {
+      send(res, 500, JSON.stringify({ status: false, message: err.message, body: null, errors: [] }));
+    }
+  });
+
+  return { server, api };
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const { server } = createMockServer({ fixtures: args.fixtures });
+  server.listen(args.port, () => {
+    console.log(`Mock API listening on http://localhost:${args.port}/api`);
+    console.log(`Open http://localhost:${args.port}/login.html?env=mock`);
+  });
+}
+
+module.exports = { createMockServer, loadFixtures };
@@ -0,0 +1,625 @@
+/**
+ * Offline Sync - IndexedDB cache and write queue for fetchJson
+ *
+ * Keeps the last-fetched customer/bill/payment lists in IndexedDB so the
+ * dashboard can still render them without a connection, and queues
+ * POST/PUT/DELETE calls made while offline. Queued writes are replayed in
+ * the order they were made once the connection returns. Writes the server
+ * rejects during replay (e.g. a payment against a bill that was deleted in
+ * the meantime) are moved to a conflicts store for review.
+ *
+ * Usage:
+ *   Include after app.js. fetchJson() picks it up automatically through the
+ *   global `offlineSync` instance; pages only need to call
+ *   offlineSync.initIndicator() to show the status pill.
+ */
+
+const OFFLINE_DB_NAME = 'businessOfflineDB';
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_STORES = {
+  CACHE: 'cache',
+  QUEUE: 'queue',
+  CONFLICTS: 'conflicts',
+  META: 'meta'
+};
+
+// Collections whose reads are cached and whose writes may be queued
+const OFFLINE_ENTITY_PATTERN = /\/(customers|bills|payments)(\/|\?|$)/i;
+
+// Prefix for client-side IDs given to records created while offline
+const OFFLINE_TEMP_ID_PREFIX = 'tmp_';
+
+class OfflineSyncManager {
+  constructor() {
+    this.dbPromise = null;
+    this.syncing = false;
+    this.idMap = null;
+    this.listeners = [];
+    this.indicatorEl = null;
+  }
+
+  // ==================== INDEXEDDB ====================
+
+  /**
+   * Opens (and upgrades if needed) the offline database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDb() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OFFLINE_STORES.CACHE)) {
+          db.createObjectStore(OFFLINE_STORES.CACHE, { keyPath: 'url' });
+        }
+        if (!db.objectStoreNames.contains(OFFLINE_STORES.QUEUE)) {
+          db.createObjectStore(OFFLINE_STORES.QUEUE, { keyPath: 'seq', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(OFFLINE_STORES.CONFLICTS)) {
+          db.createObjectStore(OFFLINE_STORES.CONFLICTS, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(OFFLINE_STORES.META)) {
+          db.createObjectStore(OFFLINE_STORES.META, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    this.dbPromise.catch(() => { this.dbPromise = null; });
+    return this.dbPromise;
+  }
+
+  /**
+   * Runs a single request against an object store
+   * @param {string} storeName - Object store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} action - Receives the store, returns an IDBRequest
+   * @returns {Promise<any>} - Request result
+   */
+  async withStore(storeName, mode, action) {
+    const db = await this.openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = action(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  getAll(storeName) {
+    return this.withStore(storeName, 'readonly', store => store.getAll());
+  }
+
+  // ==================== HELPERS ====================
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  isEntityUrl(url) {
+    return OFFLINE_ENTITY_PATTERN.test(url);
+  }
+
+  /**
+   * Network failures (no HTTP response at all) surface as an ApiError with
+   * code NETWORK from the shared client, or as a TypeError from plain fetch
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  isNetworkError(err) {
+    if (!err) return false;
+    return err.code === 'NETWORK' || err instanceof TypeError || err.name === 'TypeError';
+  }
+
+  /**
+   * Gets the collection URL a request belongs to, e.g. ".../Bills/12" -> ".../Bills"
+   * @param {string} url
+   * @returns {string}
+   */
+  collectionUrl(url) {
+    const match = url.match(/^(.*\/(customers|bills|payments))(\/|\?|$)/i);
+    return match ? match[1] : url;
+  }
+
+  /**
+   * Builds the stored form of a request body (parsed JSON when possible)
+   */
+  parseBody(body) {
+    if (body == null) return null;
+    if (typeof body !== 'string') return body;
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+  }
+
+  newTempId() {
+    return OFFLINE_TEMP_ID_PREFIX + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  async loadIdMap() {
+    if (this.idMap) return this.idMap;
+    try {
+      const record = await this.withStore(OFFLINE_STORES.META, 'readonly', store => store.get('idMap'));
+      this.idMap = (record && record.value) || {};
+    } catch (e) {
+      this.idMap = {};
+    }
+    return this.idMap;
+  }
+
+  async saveIdMap() {
+    await this.withStore(OFFLINE_STORES.META, 'readwrite', store => store.put({ key: 'idMap', value: this.idMap }));
+  }
+
+  /**
+   * Replaces temp IDs in a URL/body with the server IDs they were assigned
+   * @param {any} value - URL string or parsed body
+   * @param {object} idMap - {tempId: serverId}
+   * @returns {any}
+   */
+  resolveTempIds(value, idMap) {
+    if (typeof value === 'string') {
+      if (Object.prototype.hasOwnProperty.call(idMap, value)) return idMap[value];
+      return value.replace(new RegExp(OFFLINE_TEMP_ID_PREFIX + '[a-z0-9]+', 'g'), id => (id in idMap ? idMap[id] : id));
+    }
+    if (Array.isArray(value)) return value.map(v => this.resolveTempIds(v, idMap));
+    if (value && typeof value === 'object') {
+      const out = {};
+      Object.keys(value).forEach(key => { out[key] = this.resolveTempIds(value[key], idMap); });
+      return out;
+    }
+    return value;
+  }
+
+  /**
+   * Lists temp IDs still referenced by a queued item
+   */
+  findTempIds(item) {
+    const text = item.url + ' ' + JSON.stringify(item.body || '');
+    return text.match(new RegExp(OFFLINE_TEMP_ID_PREFIX + '[a-z0-9]+', 'g')) || [];
+  }
+
+  // ==================== FETCH WRAPPER ====================
+
+  /**
+   * Offline-aware replacement for fetchJson
+   * @param {string} url - Request URL
+   * @param {object} opts - fetch options
+   * @param {function} networkFetch - The plain network fetchJson implementation
+   * @returns {Promise<object>} - Same shape as fetchJson ({ok, status, data, apiResponse})
+   */
+  async fetchJson(url, opts, networkFetch) {
+    const method = (opts.method || 'GET').toUpperCase();
+
+    if (!this.isEntityUrl(url)) {
+      return networkFetch(url, opts);
+    }
+
+    if (method === 'GET') {
+      return this.cachedGet(url, opts, networkFetch);
+    }
+
+    // Keep writes in order: anything made while older writes are still queued waits its turn
+    const pending = await this.getQueueCount().catch(() => 0);
+    if (!this.isOnline() || pending > 0) {
+      const result = await this.enqueue(url, opts, method);
+      if (this.isOnline()) this.sync();
+      return result;
+    }
+
+    try {
+      return await networkFetch(url, opts);
+    } catch (err) {
+      if (!this.isNetworkError(err)) throw err;
+      return this.enqueue(url, opts, method);
+    }
+  }
+
+  async cachedGet(url, opts, networkFetch) {
+    if (this.isOnline()) {
+      try {
+        const res = await networkFetch(url, opts);
+        if (res.ok) {
+          this.withStore(OFFLINE_STORES.CACHE, 'readwrite', store => store.put({
+            url,
+            data: res.data,
+            apiResponse: res.apiResponse || null,
+            cachedAt: new Date().toISOString()
+          })).catch(err => logError('offlineSync.cache', err));
+        }
+        return res;
+      } catch (err) {
+        if (!this.isNetworkError(err)) throw err;
+      }
+    }
+
+    let cached = null;
+    try {
+      cached = await this.withStore(OFFLINE_STORES.CACHE, 'readonly', store => store.get(url));
+    } catch (e) {
+      cached = null;
+    }
+    if (!cached) {
+      return {
+        ok: false,
+        status: 0,
+        data: null,
+        offline: true,
+        apiResponse: { status: false, message: 'You are offline and this data has not been cached yet.' }
+      };
+    }
+
+    let data = cached.data;
+    // Show records created offline in the cached list they belong to; paged
+    // and filtered lists ("/Bills?page=1&search=...") show them on the first page
+    const paged = data && Array.isArray(data.items);
+    if (Array.isArray(data) || (paged && (data.page || 1) === 1)) {
+      const collection = this.collectionUrl(url);
+      const queue = await this.getAll(OFFLINE_STORES.QUEUE).catch(() => []);
+      const pendingCreates = queue
+        .filter(item => item.method === 'POST' && item.tempId && this.collectionUrl(item.url) === collection)
+        .map(item => ({ ...item.body, id: item.tempId, _pending: true }));
+      data = paged
+        ? { ...data, items: data.items.concat(pendingCreates), totalCount: (data.totalCount || 0) + pendingCreates.length }
+        : data.concat(pendingCreates);
+    }
+
+    return {
+      ok: true,
+      status: 200,
+      data,
+      apiResponse: cached.apiResponse,
+      fromCache: true,
+      cachedAt: cached.cachedAt
+    };
+  }
+
+  /**
+   * Stores a write in the queue and returns a fetchJson-style success
+   */
+  async enqueue(url, opts, method) {
+    const body = this.parseBody(opts.body);
+    const item = {
+      url,
+      method,
+      body,
+      tempId: method === 'POST' ? this.newTempId() : null,
+      queuedAt: new Date().toISOString()
+    };
+
+    try {
+      await this.withStore(OFFLINE_STORES.QUEUE, 'readwrite', store => store.add(item));
+    } catch (err) {
+      logError('offlineSync.enqueue', err);
+      return {
+        ok: false,
+        status: 0,
+        data: null,
+        apiResponse: { status: false, message: 'You are offline and the change could not be saved locally.' }
+      };
+    }
+
+    this.notify();
+    const data = item.tempId ? { ...(body || {}), id: item.tempId, _pending: true } : (body || null);
+    return {
+      ok: true,
+      status: 202,
+      data,
+      queued: true,
+      apiResponse: { status: true, message: 'Saved offline. It will sync when you are back online.', body: data }
+    };
+  }
+
+  // ==================== SYNC ====================
+
+  getQueueCount() {
+    return this.withStore(OFFLINE_STORES.QUEUE, 'readonly', store => store.count());
+  }
+
+  getConflictCount() {
+    return this.withStore(OFFLINE_STORES.CONFLICTS, 'readonly', store => store.count());
+  }
+
+  getConflicts() {
+    return this.getAll(OFFLINE_STORES.CONFLICTS);
+  }
+
+  /**
+   * Replays queued writes in order. Stops at the first network failure so
+   * ordering is preserved for the next attempt.
+   * @returns {Promise<{synced: number, conflicts: number}>}
+   */
+  async sync() {
+    if (this.syncing || !this.isOnline()) return { synced: 0, conflicts: 0 };
+    this.syncing = true;
+    this.notify();
+
+    let synced = 0;
+    let conflicts = 0;
+    const failedTempIds = new Set();
+
+    try {
+      const idMap = await this.loadIdMap();
+      const queue = await this.getAll(OFFLINE_STORES.QUEUE);
+      queue.sort((a, b) => a.seq - b.seq);
+
+      for (const item of queue) {
+        // Depends on a record whose own create was rejected
+        const blockedBy = this.findTempIds(item).find(id => failedTempIds.has(id));
+        if (blockedBy) {
+          await this.moveToConflicts(item, 0, 'Depends on a record created offline that failed to sync.');
+          if (item.tempId) failedTempIds.add(item.tempId);
+          conflicts++;
+          continue;
+        }
+
+        const url = this.resolveTempIds(item.url, idMap);
+        const body = this.resolveTempIds(item.body, idMap);
+        const opts = { method: item.method, headers: authHeader() };
+        if (body != null) opts.body = typeof body === 'string' ? body : JSON.stringify(body);
+
+        let res;
+        try {
+          res = await fetchJsonNetwork(url, opts);
+        } catch (err) {
+          if (this.isNetworkError(err)) break;
+          throw err;
+        }
+
+        if (res.ok) {
+          if (item.tempId && res.data && res.data.id != null) {
+            idMap[item.tempId] = res.data.id;
+            await this.saveIdMap();
+          }
+          await this.withStore(OFFLINE_STORES.QUEUE, 'readwrite', store => store.delete(item.seq));
+          await this.invalidateCache(url);
+          synced++;
+          continue;
+        }
+
+        // Auth expired or server unavailable: keep the queue and try again later
+        if (res.status === 401 || res.status === 0 || res.status >= 500) break;
+
+        await this.moveToConflicts(item, res.status, getErrorMessage(res, 'The server rejected this change'));
+        if (item.tempId) failedTempIds.add(item.tempId);
+        conflicts++;
+      }
+    } catch (err) {
+      logError('offlineSync.sync', err);
+    } finally {
+      this.syncing = false;
+      this.notify();
+    }
+
+    if (typeof showToast === 'function' && (synced > 0 || conflicts > 0)) {
+      if (conflicts > 0) {
+        showToast(`Synced ${synced} offline change(s). ${conflicts} need review.`, 'warning', 6000);
+      } else {
+        showToast(`Synced ${synced} offline change(s).`, 'success');
+      }
+    }
+    return { synced, conflicts };
+  }
+
+  async moveToConflicts(item, status, message) {
+    await this.withStore(OFFLINE_STORES.CONFLICTS, 'readwrite', store => store.add({
+      url: item.url,
+      method: item.method,
+      body: item.body,
+      tempId: item.tempId,
+      queuedAt: item.queuedAt,
+      failedAt: new Date().toISOString(),
+      status,
+      message
+    }));
+    await this.withStore(OFFLINE_STORES.QUEUE, 'readwrite', store => store.delete(item.seq));
+  }
+
+  // Drops every cached page of the collection a synced write changed
+  async invalidateCache(url) {
+    const collection = this.collectionUrl(url);
+    try {
+      const keys = await this.withStore(OFFLINE_STORES.CACHE, 'readonly', store => store.getAllKeys());
+      const stale = keys.filter(key => this.collectionUrl(key) === collection);
+      await Promise.all(stale.map(key => this.withStore(OFFLINE_STORES.CACHE, 'readwrite', store => store.delete(key))));
+    } catch (e) {
+      // Nothing cached to drop
+    }
+  }
+
+  /**
+   * Puts a conflict back on the end of the queue and syncs
+   * @param {number} conflictId
+   */
+  async retryConflict(conflictId) {
+    const conflict = await this.withStore(OFFLINE_STORES.CONFLICTS, 'readonly', store => store.get(conflictId));
+    if (!conflict) return;
+    await this.withStore(OFFLINE_STORES.QUEUE, 'readwrite', store => store.add({
+      url: conflict.url,
+      method: conflict.method,
+      body: conflict.body,
+      tempId: conflict.tempId,
+      queuedAt: conflict.queuedAt
+    }));
+    await this.withStore(OFFLINE_STORES.CONFLICTS, 'readwrite', store => store.delete(conflictId));
+    this.notify();
+    return this.sync();
+  }
+
+  async discardConflict(conflictId) {
+    await this.withStore(OFFLINE_STORES.CONFLICTS, 'readwrite', store => store.delete(conflictId));
+    this.notify();
+  }
+
+  async discardAllConflicts() {
+    await this.withStore(OFFLINE_STORES.CONFLICTS, 'readwrite', store => store.clear());
+    this.notify();
+  }
+
+  /**
+   * Clears everything stored offline (used on logout so the next user
+   * does not see or replay another account's data)
+   */
+  async clearAll() {
+    this.idMap = {};
+    await Promise.all(Object.values(OFFLINE_STORES).map(name =>
+      this.withStore(name, 'readwrite', store => store.clear()).catch(() => {})
+    ));
+    this.notify();
+  }
+
+  // ==================== STATUS UI ====================
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try { listener(); } catch (e) { logError('offlineSync.listener', e); }
+    });
+  }
+
+  /**
+   * Adds the floating offline/sync status pill to the page
+   */
+  initIndicator() {
+    if (this.indicatorEl || typeof document === 'undefined') return;
+    const el = document.createElement('div');
+    el.id = 'offlineIndicator';
+    el.className = 'offline-indicator';
+    el.addEventListener('click', () => this.showConflictsModal());
+    document.body.appendChild(el);
+    this.indicatorEl = el;
+    this.onChange(() => this.updateIndicator());
+    this.updateIndicator();
+  }
+
+  async updateIndicator() {
+    const el = this.indicatorEl;
+    if (!el) return;
+    const [pending, conflicts] = await Promise.all([
+      this.getQueueCount().catch(() => 0),
+      this.getConflictCount().catch(() => 0)
+    ]);
+
+    let text = '';
+    let state = '';
+    if (!this.isOnline()) {
+      text = `📴 Offline${pending ? ` · ${pending} pending` : ''}`;
+      state = 'offline';
+    } else if (this.syncing) {
+      text = `🔄 Syncing ${pending} change(s)...`;
+      state = 'syncing';
+    } else if (pending > 0) {
+      text = `⏳ ${pending} change(s) waiting to sync`;
+      state = 'syncing';
+    }
+    if (conflicts > 0) {
+      text += `${text ? ' · ' : ''}⚠️ ${conflicts} conflict(s) - review`;
+      state = 'conflict';
+    }
+
+    el.textContent = text;
+    el.className = `offline-indicator ${state}`;
+    el.style.display = text ? 'block' : 'none';
+  }
+
+  /**
+   * Review screen for writes the server rejected during sync
+   */
+  async showConflictsModal() {
+    const existing = document.getElementById('syncConflictsModal');
+    if (existing) existing.remove();
+
+    const conflicts = await this.getConflicts().catch(() => []);
+    const rows = conflicts.map(c => {
+      const entity = (c.url.match(OFFLINE_ENTITY_PATTERN) || [])[1] || 'record';
+      const amount = c.body && (c.body.amount || c.body.billAmount);
+      const summary = [
+        c.body && c.body.name,
+        c.body && c.body.customerId ? `Customer ${c.body.customerId}` : '',
+        c.body && c.body.billId ? `Bill ${c.body.billId}` : '',
+        amount ? `₹${parseFloat(amount).toLocaleString('en-IN', {minimumFractionDigits: 2})}` : ''
+      ].filter(Boolean).join(' · ');
+      return `
+        <div class="sync-conflict-item">
+          <div style="display:flex;justify-content:space-between;gap:10px;flex-wrap:wrap;">
+            <strong>${escapeHtml(c.method)} ${escapeHtml(entity)}</strong>
+            <small style="color:var(--text-secondary);">Queued ${escapeHtml(formatDate(c.queuedAt))}</small>
+          </div>
+          ${summary ? `<div style="margin:5px 0;color:var(--text-secondary);">${escapeHtml(summary)}</div>` : ''}
+          <div style="color:#e74c3c;font-size:0.9rem;">${escapeHtml(c.message || 'Rejected by server')}${c.status ? ` (Status: ${escapeHtml(c.status)})` : ''}</div>
+          <details style="margin-top:8px;">
+            <summary style="cursor:pointer;font-size:0.85rem;color:var(--text-secondary);">View data</summary>
+            <pre style="margin:8px 0 0 0;font-size:0.8rem;white-space:pre-wrap;word-wrap:break-word;">${escapeHtml(JSON.stringify(c.body, null, 2))}</pre>
+          </details>
+          <div style="display:flex;gap:8px;margin-top:10px;">
+            <button onclick="offlineSync.retryConflict(${c.id}).then(() => offlineSync.showConflictsModal())" style="padding:6px 12px;font-size:0.85rem;">Retry</button>
+            <button onclick="offlineSync.discardConflict(${c.id}).then(() => offlineSync.showConflictsModal())" style="padding:6px 12px;font-size:0.85rem;background:#e74c3c;">Discard</button>
+          </div>
+        </div>`;
+    }).join('');
+
+    const modal = document.createElement('div');
+    modal.id = 'syncConflictsModal';
+    modal.className = 'feature-modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="feature-modal-content">
+        <div class="feature-modal-header">
+          <h2>⚠️ Sync Conflicts</h2>
+          <button class="feature-modal-close" onclick="document.getElementById('syncConflictsModal').remove()">×</button>
+        </div>
+        <p style="color:var(--text-secondary);margin-bottom:15px;">These changes were made offline but the server rejected them when syncing. Retry after fixing the underlying record, or discard them.</p>
+        ${conflicts.length === 0
+          ? '<p style="text-align:center;padding:20px;color:var(--text-secondary);">No conflicts to review.</p>'
+          : `${rows}
+            <div style="text-align:right;margin-top:15px;">
+              <button onclick="if(confirm('Discard all conflicting changes?')) offlineSync.discardAllConflicts().then(() => offlineSync.showConflictsModal())" style="background:#ecf0f1;color:#34495e;">Discard All</button>
+            </div>`}
+      </div>
+    `;
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    document.body.appendChild(modal);
+  }
+
+  /**
+   * Hooks up online/offline events and replays anything left from a previous session
+   */
+  init() {
+    if (typeof window === 'undefined') return;
+    window.addEventListener('online', () => {
+      this.notify();
+      this.sync();
+    });
+    window.addEventListener('offline', () => this.notify());
+    if (this.isOnline()) this.sync();
+  }
+}
+
+const offlineSync = new OfflineSyncManager();
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineSyncManager;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.offlineSync = offlineSync;
+  offlineSync.init();
+}
@@ -0,0 +1,227 @@
+/**
+ * Payment terms - due dates and derived bill status
+ *
+ * Each customer can carry payment terms (Due on receipt, Net 7/15/30 or a
+ * custom number of days); customers without their own terms use the business
+ * default kept in localStorage. A bill's due date is its bill date plus the
+ * terms in force when it was raised.
+ *
+ * Bill status is derived rather than set by hand:
+ *   Cancelled - the bill was voided (kept for the record)
+ *   Credited  - credit notes cover the whole bill
+ *   Paid      - cleared allocations (and any credit notes) cover the bill amount
+ *   Overdue   - a balance remains after the due date
+ *   Partial   - part paid or part credited, not yet due
+ *   Unpaid    - nothing paid, not yet due
+ *
+ * Usage:
+ *   Include after ageing.js (shares its date, rounding and allocation helpers).
+ *   const terms = resolvePaymentTerms(customer);
+ *   const dueDate = calculateDueDate(billDate, terms.days);
+ *   const status = deriveBillStatus(bill, paidAmount);
+ */
+
+const PAYMENT_TERMS_KEY = 'paymentTermsSettings';
+
+const PAYMENT_TERMS = [
+  { key: 'due_on_receipt', label: 'Due on receipt', days: 0 },
+  { key: 'net7', label: 'Net 7', days: 7 },
+  { key: 'net15', label: 'Net 15', days: 15 },
+  { key: 'net30', label: 'Net 30', days: 30 },
+  { key: 'custom', label: 'Custom', days: null }
+];
+
+// Custom terms are whole days up to a year
+const PAYMENT_TERMS_MAX_DAYS = 365;
+
+/**
+ * Validates payment terms
+ * @param {string} terms - One of the PAYMENT_TERMS keys
+ * @param {number|string} [days] - Required for custom terms
+ * @returns {object} - {valid: boolean, message: string}
+ */
+function validatePaymentTerms(terms, days) {
+  const option = PAYMENT_TERMS.find(t => t.key === terms);
+  if (!option) return { valid: false, message: 'Unknown payment terms' };
+  if (option.key !== 'custom') return { valid: true, message: '' };
+
+  const value = Number(days);
+  if (days === '' || days === null || days === undefined || !Number.isInteger(value) || value < 1 || value > PAYMENT_TERMS_MAX_DAYS) {
+    return { valid: false, message: `Custom terms must be 1-${PAYMENT_TERMS_MAX_DAYS} days` };
+  }
+  return { valid: true, message: '' };
+}
+
+/**
+ * Normalises terms to {terms, days}; invalid terms fall back to due on receipt
+ * @param {string} terms
+ * @param {number|string} [days]
+ * @returns {object} - {terms, days}
+ */
+function normalizePaymentTerms(terms, days) {
+  if (!validatePaymentTerms(terms, days).valid) return { terms: 'due_on_receipt', days: 0 };
+  const option = PAYMENT_TERMS.find(t => t.key === terms);
+  return { terms: option.key, days: option.key === 'custom' ? Number(days) : option.days };
+}
+
+/**
+ * Returns the business default payment terms
+ * @returns {object} - {terms, days}
+ */
+function getDefaultPaymentTerms() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PAYMENT_TERMS_KEY) || '{}');
+    return normalizePaymentTerms(saved.terms || 'due_on_receipt', saved.days);
+  } catch (e) {
+    return { terms: 'due_on_receipt', days: 0 };
+  }
+}
+
+/**
+ * Validates and saves the business default payment terms
+ * @param {object} settings - {terms, days}
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function saveDefaultPaymentTerms(settings) {
+  const validation = validatePaymentTerms(settings.terms, settings.days);
+  if (!validation.valid) {
+    return { valid: false, errors: [{ field: 'paymentTerms', message: validation.message }] };
+  }
+  localStorage.setItem(PAYMENT_TERMS_KEY, JSON.stringify(normalizePaymentTerms(settings.terms, settings.days)));
+  return { valid: true, errors: [] };
+}
+
+/**
+ * Terms for a customer: their own when set, otherwise the business default
+ * @param {object} [customer] - {paymentTerms, paymentTermsDays}
+ * @returns {object} - {terms, days, isDefault}
+ */
+function resolvePaymentTerms(customer) {
+  if (customer && customer.paymentTerms && validatePaymentTerms(customer.paymentTerms, customer.paymentTermsDays).valid) {
+    return { ...normalizePaymentTerms(customer.paymentTerms, customer.paymentTermsDays), isDefault: false };
+  }
+  return { ...getDefaultPaymentTerms(), isDefault: true };
+}
+
+/**
+ * Formats terms for display, e.g. "Net 30" or "Due on receipt"
+ * @param {object} terms - {terms, days}
+ * @returns {string}
+ */
+function formatPaymentTerms(terms) {
+  if (!terms) return 'Due on receipt';
+  if (terms.terms === 'custom') return `Net ${terms.days}`;
+  const option = PAYMENT_TERMS.find(t => t.key === terms.terms);
+  return option ? option.label : 'Due on receipt';
+}
+
+/**
+ * Due date for a bill date and a number of days' credit
+ * @param {string} billDate - Date or ISO timestamp
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD, or '' without a bill date
+ */
+function calculateDueDate(billDate, days) {
+  const day = ledgerDay(billDate);
+  if (!day) return '';
+  const due = new Date(Date.parse(day + 'T00:00:00Z') + (Number(days) || 0) * DAY_MS);
+  return due.toISOString().slice(0, 10);
+}
+
+/**
+ * Due date of a bill; bills saved before due dates existed are due on the bill date
+ * @param {object} bill
+ * @returns {string} - YYYY-MM-DD, or ''
+ */
+function getBillDueDate(bill) {
+  return ledgerDay(bill.dueDate) || ledgerDay(bill.billDate || bill.createdAt);
+}
+
+/**
+ * Due date and terms to save on a bill. Without a due date the customer's
+ * terms apply; a due date picked by hand is saved as that many days' credit.
+ * @param {object} [customer] - {paymentTerms, paymentTermsDays}
+ * @param {string} [billDate] - Date or ISO timestamp (default today)
+ * @param {string} [dueDate] - YYYY-MM-DD chosen on the bill form
+ * @returns {object} - {dueDate, paymentTerms, paymentTermsDays}
+ */
+function resolveBillTerms(customer, billDate, dueDate) {
+  const terms = resolvePaymentTerms(customer);
+  const billDay = ledgerDay(billDate) || new Date().toISOString().slice(0, 10);
+  const due = ledgerDay(dueDate) || calculateDueDate(billDay, terms.days);
+  const days = Math.max(0, daysBetween(billDay, due));
+  if (days === terms.days) return { dueDate: due, paymentTerms: terms.terms, paymentTermsDays: terms.days };
+  return { dueDate: due, paymentTerms: days === 0 ? 'due_on_receipt' : 'custom', paymentTermsDays: days };
+}
+
+/**
+ * Derives a bill's status from what has been paid and credited against it
+ * @param {object} bill - {billAmount, status, dueDate, billDate}
+ * @param {number} paid - Cleared amount allocated to the bill
+ * @param {string} [asOf] - YYYY-MM-DD (default today)
+ * @param {number} [credited] - Credit notes issued against the bill
+ * @returns {string} - "Cancelled" | "Credited" | "Paid" | "Overdue" | "Partial" | "Unpaid"
+ */
+function deriveBillStatus(bill, paid, asOf, credited = 0) {
+  if (isCancelledBill(bill)) return 'Cancelled';
+  const amount = roundMoney(parseFloat(bill.billAmount) || 0);
+  const paidAmount = roundMoney(parseFloat(paid) || 0);
+  const creditAmount = roundMoney(parseFloat(credited) || 0);
+  // Bills marked Paid before allocations were tracked stay settled
+  if (paidAmount === 0 && String(bill.status || '').toLowerCase() === 'paid') return 'Paid';
+  if (amount > 0 && creditAmount >= amount) return 'Credited';
+  if (amount > 0 && roundMoney(paidAmount + creditAmount) >= amount) return 'Paid';
+
+  const today = ledgerDay(asOf) || new Date().toISOString().slice(0, 10);
+  const dueDate = getBillDueDate(bill);
+  if (dueDate && dueDate < today) return 'Overdue';
+  return paidAmount > 0 || creditAmount > 0 ? 'Partial' : 'Unpaid';
+}
+
+/**
+ * Copies of the bills with status derived from the payments' cleared allocations
+ * and the credit notes against them
+ * @param {array} bills
+ * @param {array} payments
+ * @param {string} [asOf] - YYYY-MM-DD (default today)
+ * @param {array} [creditNotes]
+ * @returns {array}
+ */
+function applyDerivedBillStatus(bills, payments, asOf, creditNotes = []) {
+  const allocations = getBillAllocations(payments);
+  const credits = getBillCredits(creditNotes);
+  return (bills || []).map(bill => ({ ...bill, status: deriveBillStatus(bill, allocations[bill.id] || 0, asOf, credits[bill.id] || 0) }));
+}
+
+/**
+ * Status to show for a bill when the payments are not at hand: the stored
+ * status, except that an unpaid balance past its due date shows as Overdue
+ * @param {object} bill
+ * @param {string} [asOf] - YYYY-MM-DD (default today)
+ * @returns {string}
+ */
+function getBillDisplayStatus(bill, asOf) {
+  const status = bill.status || 'Unpaid';
+  if (['paid', 'credited', 'cancelled'].includes(status.toLowerCase())) return status;
+  const today = ledgerDay(asOf) || new Date().toISOString().slice(0, 10);
+  const dueDate = getBillDueDate(bill);
+  return dueDate && dueDate < today ? 'Overdue' : status;
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PAYMENT_TERMS,
+    validatePaymentTerms,
+    getDefaultPaymentTerms,
+    saveDefaultPaymentTerms,
+    resolvePaymentTerms,
+    formatPaymentTerms,
+    calculateDueDate,
+    getBillDueDate,
+    resolveBillTerms,
+    deriveBillStatus,
+    applyDerivedBillStatus,
+    getBillDisplayStatus
+  };
+}
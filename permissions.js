@@ -0,0 +1,208 @@
+/**
+ * Roles and permissions - what the signed-in user may see and do
+ *
+ * Admins define roles (Cashier, Accountant, Sales, ...) in the admin panel and
+ * give one to each sub-user. A role lists, per entity, the actions it allows
+ * and optional constraints:
+ *   { id, name, permissions: {
+ *       bills: { actions: ['view', 'create', 'edit'], ownOnly: true, maxAmount: 50000 },
+ *       payments: { actions: ['view', 'create'] }, ... } }
+ *   ownOnly   - edit, delete and void only records the user created
+ *               (records carry the creator's user code in createdBy)
+ *   maxAmount - create and edit only records up to this amount
+ * Actions are view, create, edit, delete, export and void (cancelling a bill,
+ * bouncing or cancelling a cheque); PERMISSION_ENTITIES lists which apply to
+ * each entity.
+ *
+ * Admins and super admins can do everything. A sub-user without a role keeps
+ * the original sub-user access: view, create and export, but no changes.
+ * The role arrives with the login response and is refreshed from
+ * GET /auth/permissions when the dashboard opens; it is kept in localStorage.
+ *
+ * The dashboard asks checkPermission/userCan before drawing a control, so
+ * what a role cannot do is hidden (or disabled with the reason as a tooltip),
+ * and again before saving. The mock API runs the same checkRolePermission on
+ * each request.
+ *
+ * Usage:
+ *   Include after app.js (uses isAdmin, isSubUser and getUserRole).
+ *   if (userCan('edit', 'bills', bill)) { ...edit button... }
+ *   const { allowed, message } = checkPermission('create', 'bills', { billAmount: 90000 });
+ *   await refreshUserPermissions();                          // after the admin changed the role
+ */
+
+const USER_PERMISSIONS_KEY = 'userPermissions';
+
+const PERMISSION_ACTIONS = {
+  view: 'View',
+  create: 'Create',
+  edit: 'Edit',
+  delete: 'Delete',
+  export: 'Export',
+  void: 'Void'
+};
+
+// Actions each entity has; amount is what maxAmount is checked against
+const PERMISSION_ENTITIES = {
+  customers: { label: 'Customers', actions: ['view', 'create', 'edit', 'delete', 'export'] },
+  bills: { label: 'Bills', actions: ['view', 'create', 'edit', 'delete', 'export', 'void'], amount: b => Number(b.billAmount) || 0 },
+  payments: { label: 'Payments', actions: ['view', 'create', 'edit', 'delete', 'export', 'void'], amount: p => Math.abs(Number(p.amount) || 0) },
+  creditNotes: { label: 'Credit Notes', actions: ['view', 'create', 'export'], amount: n => Number(n.amount) || 0 },
+  quotations: { label: 'Quotations', actions: ['view', 'create', 'edit', 'delete', 'export'], amount: q => Number(q.amount) || 0 },
+  // A template is saved with its items' grand total as billAmount and its items never change
+  // afterwards, so the dashboard and the mock API both check that
+  recurringBills: { label: 'Recurring Bills', actions: ['view', 'create', 'edit', 'delete', 'export'], amount: t => Number(t.billAmount) || 0 },
+  settings: { label: 'Invoice Design', actions: ['edit'] }
+};
+
+// Actions ownOnly and maxAmount apply to
+const OWN_RECORD_ACTIONS = ['edit', 'delete', 'void'];
+const AMOUNT_ACTIONS = ['create', 'edit'];
+
+const FULL_ACCESS_ROLE = { id: null, name: 'Admin', fullAccess: true };
+
+function buildRolePermissions(actionsFor) {
+  const permissions = {};
+  Object.keys(PERMISSION_ENTITIES).forEach(entity => {
+    const actions = PERMISSION_ENTITIES[entity].actions.filter(action => actionsFor(action, entity));
+    if (actions.length > 0) permissions[entity] = { actions };
+  });
+  return permissions;
+}
+
+// What sub-users could always do: see and add records and export them
+const SUBUSER_DEFAULT_ROLE = {
+  id: null,
+  name: 'Sub User',
+  permissions: buildRolePermissions(action => ['view', 'create', 'export'].includes(action))
+};
+
+// Starting points offered when an admin creates a role
+const ROLE_PRESETS = {
+  Cashier: {
+    customers: { actions: ['view'] },
+    bills: { actions: ['view'] },
+    payments: { actions: ['view', 'create', 'export'] },
+    creditNotes: { actions: ['view'] }
+  },
+  Accountant: buildRolePermissions((action, entity) => action !== 'delete' && entity !== 'settings'),
+  Sales: {
+    customers: { actions: ['view', 'create', 'edit'] },
+    bills: { actions: ['view', 'create', 'edit'], ownOnly: true, maxAmount: 50000 },
+    quotations: { actions: ['view', 'create', 'edit', 'delete', 'export'], ownOnly: true },
+    recurringBills: { actions: ['view'] }
+  }
+};
+
+/**
+ * Whether a role allows an action; the same rules run in the dashboard and
+ * in the mock API
+ * @param {object|null} role - A role, FULL_ACCESS_ROLE or null for no access
+ * @param {string} action - A PERMISSION_ACTIONS key
+ * @param {string} entity - A PERMISSION_ENTITIES key
+ * @param {object} [record] - The record acted on (or the one about to be saved), for ownOnly and maxAmount
+ * @param {string} [userCode] - Who is acting, compared with record.createdBy
+ * @returns {object} - {allowed: boolean, message: string}
+ */
+function checkRolePermission(role, action, entity, record, userCode) {
+  const definition = PERMISSION_ENTITIES[entity];
+  const noun = definition ? definition.label.toLowerCase() : entity;
+  if (role && role.fullAccess) return { allowed: true, message: '' };
+
+  const rule = role && role.permissions && role.permissions[entity];
+  const applies = !definition || definition.actions.includes(action);
+  if (!applies || !rule || !Array.isArray(rule.actions) || !rule.actions.includes(action)) {
+    const who = role ? `Your role (${role.name})` : 'You';
+    return { allowed: false, message: `${who} cannot ${action} ${noun}` };
+  }
+  if (record && rule.ownOnly && OWN_RECORD_ACTIONS.includes(action) && (!userCode || String(record.createdBy || '') !== String(userCode))) {
+    return { allowed: false, message: `You can only ${action} ${noun} you created` };
+  }
+  const maxAmount = Number(rule.maxAmount) || 0;
+  if (record && maxAmount > 0 && definition.amount && AMOUNT_ACTIONS.includes(action) && definition.amount(record) > maxAmount) {
+    return { allowed: false, message: `You can only ${action} ${noun} up to ₹${maxAmount.toLocaleString('en-IN')}` };
+  }
+  return { allowed: true, message: '' };
+}
+
+// ----- The signed-in user -----
+
+function storeUserPermissions(role) {
+  if (role) localStorage.setItem(USER_PERMISSIONS_KEY, JSON.stringify(role));
+  else localStorage.removeItem(USER_PERMISSIONS_KEY);
+}
+
+/**
+ * The role the signed-in user acts under
+ * @returns {object|null} - FULL_ACCESS_ROLE for admins, the sub-user's role
+ *   (or SUBUSER_DEFAULT_ROLE), null when the user type is unknown
+ */
+function getCurrentRole() {
+  if (isAdmin()) return FULL_ACCESS_ROLE;
+  if (isSubUser()) {
+    try {
+      const role = JSON.parse(localStorage.getItem(USER_PERMISSIONS_KEY));
+      if (role && role.permissions) return role;
+    } catch (e) {
+      // Fall back to the default sub-user access
+    }
+    return SUBUSER_DEFAULT_ROLE;
+  }
+  // Older logins only stored userRole
+  const role = getUserRole();
+  return role && role.toLowerCase() === 'admin' ? FULL_ACCESS_ROLE : null;
+}
+
+function getCurrentUserCode() {
+  const code = localStorage.getItem('userCode');
+  if (code) return code;
+  try {
+    const info = JSON.parse(localStorage.getItem('userInfo')) || {};
+    return info.userCode || info.sub || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether the signed-in user may do something
+ * @param {string} action - view, create, edit, delete, export or void
+ * @param {string} entity - A PERMISSION_ENTITIES key
+ * @param {object} [record] - The record, for the role's ownOnly and maxAmount constraints
+ * @returns {object} - {allowed: boolean, message: string}
+ */
+function checkPermission(action, entity, record) {
+  return checkRolePermission(getCurrentRole(), action, entity, record, getCurrentUserCode());
+}
+
+function userCan(action, entity, record) {
+  return checkPermission(action, entity, record).allowed;
+}
+
+/**
+ * Fetches the sub-user's current role, so changes an admin made since
+ * login apply. Keeps the stored role when offline or the request fails.
+ */
+async function refreshUserPermissions() {
+  if (!isSubUser()) return;
+  try {
+    const data = await apiClient.getMyPermissions();
+    storeUserPermissions(data && data.role);
+  } catch (e) {
+    logError('refreshUserPermissions', e);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PERMISSION_ACTIONS,
+    PERMISSION_ENTITIES,
+    SUBUSER_DEFAULT_ROLE,
+    ROLE_PRESETS,
+    checkRolePermission,
+    checkPermission,
+    userCan,
+    getCurrentRole,
+    storeUserPermissions
+  };
+}
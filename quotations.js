@@ -0,0 +1,239 @@
+/**
+ * Quotations - estimates sent to a customer before a sale, which become a
+ * bill once accepted
+ *
+ * A quotation has line items like a bill, a quote date and a date it is
+ * valid until. Its status moves:
+ *   Draft    -> Sent, Accepted, Rejected
+ *   Sent     -> Accepted, Rejected
+ *   Accepted - can be converted into a bill, once
+ *   Rejected - closed
+ *   Expired  - a draft or sent quote past its validity date. Not stored:
+ *              extending the validity date brings it back.
+ *
+ * Usage:
+ *   Include after payment-terms.js (uses resolveBillTerms, calculateDueDate,
+ *   ledgerDay), app.js (calculateBillTotals, validateBillItem) and
+ *   invoice-templates.js (buildPDFInvoice).
+ *   const check = validateQuotation(quote);
+ *   const status = getQuoteStatus(quote);
+ *   const bill = quotationToBill(quote, customer);
+ *   generatePDFQuotation(quote, customer);
+ */
+
+const QUOTE_STATUSES = [
+  { key: 'Draft', label: 'Draft', color: '#7f8c8d', next: ['Sent', 'Accepted', 'Rejected'] },
+  { key: 'Sent', label: 'Sent', color: '#3498db', next: ['Accepted', 'Rejected'] },
+  { key: 'Accepted', label: 'Accepted', color: '#27ae60', next: [] },
+  { key: 'Rejected', label: 'Rejected', color: '#e74c3c', next: [] },
+  { key: 'Expired', label: 'Expired', color: '#f39c12', next: [] }
+];
+
+// Days a new quotation stays valid unless another date is chosen
+const QUOTE_VALIDITY_DAYS = 15;
+
+function quoteToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Status of a quotation; draft and sent quotes past their validity date are Expired
+ * @param {object} quote - {status, validUntil}
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {string} - One of the QUOTE_STATUSES keys
+ */
+function getQuoteStatus(quote, asOf = quoteToday()) {
+  const stored = QUOTE_STATUSES.find(s => s.key.toLowerCase() === String(quote && quote.status || '').toLowerCase());
+  const status = stored && stored.key !== 'Expired' ? stored.key : 'Draft';
+  const validUntil = ledgerDay(quote && quote.validUntil);
+  if ((status === 'Draft' || status === 'Sent') && validUntil && validUntil < ledgerDay(asOf)) return 'Expired';
+  return status;
+}
+
+function getQuoteStatusInfo(status) {
+  return QUOTE_STATUSES.find(s => s.key === status) || QUOTE_STATUSES[0];
+}
+
+/**
+ * Statuses a quotation can be moved to from where it is now
+ * @param {object} quote
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {array} - QUOTE_STATUSES keys
+ */
+function getQuoteActions(quote, asOf = quoteToday()) {
+  return getQuoteStatusInfo(getQuoteStatus(quote, asOf)).next.slice();
+}
+
+/**
+ * Draft, sent and expired quotations can still be changed; accepted and
+ * rejected ones are the record of what was agreed
+ * @param {object} quote
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {boolean}
+ */
+function canEditQuote(quote, asOf = quoteToday()) {
+  return ['Draft', 'Sent', 'Expired'].includes(getQuoteStatus(quote, asOf));
+}
+
+/**
+ * An accepted quotation is converted into a bill once
+ * @param {object} quote
+ * @returns {boolean}
+ */
+function canConvertQuote(quote) {
+  return getQuoteStatus(quote) === 'Accepted' && !quote.convertedBillId;
+}
+
+/**
+ * Validity date for a quotation dated quoteDate
+ * @param {string} [quoteDate] - Date or ISO timestamp, defaults to today
+ * @returns {string} - YYYY-MM-DD
+ */
+function defaultQuoteValidUntil(quoteDate) {
+  return calculateDueDate(ledgerDay(quoteDate) || quoteToday(), QUOTE_VALIDITY_DAYS);
+}
+
+/**
+ * Validates a quotation form
+ * @param {object} data - {customerId, items, quoteDate, validUntil, notes}
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function validateQuotation(data) {
+  const errors = [];
+
+  if (!data.customerId || data.customerId === 0) {
+    errors.push({ field: 'customer', message: 'Customer is required' });
+  }
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    errors.push({ field: 'items', message: 'At least one line item is required' });
+  } else {
+    data.items.forEach((item, index) => errors.push(...validateBillItem(item, index)));
+  }
+  const quoteDay = ledgerDay(data.quoteDate) || quoteToday();
+  if (!ledgerDay(data.validUntil)) {
+    errors.push({ field: 'validUntil', message: 'Valid until date is required' });
+  } else if (ledgerDay(data.validUntil) < quoteDay) {
+    errors.push({ field: 'validUntil', message: 'Valid until date cannot be before the quote date' });
+  }
+  if (data.notes && data.notes.length > 500) {
+    errors.push({ field: 'notes', message: 'Notes must be less than 500 characters' });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Checks a change of quotation status
+ * @param {object} quote
+ * @param {string} status - New status
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function validateQuoteTransition(quote, status, asOf = quoteToday()) {
+  const errors = [];
+  const current = getQuoteStatus(quote, asOf);
+  if (!getQuoteActions(quote, asOf).includes(status)) {
+    const hint = current === 'Expired' ? '; extend its validity date first' : '';
+    errors.push({ field: 'status', message: `A ${current.toLowerCase()} quotation cannot be marked ${String(status || '').toLowerCase() || 'blank'}${hint}` });
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Bill for an accepted quotation, as sent to the API. The items and amounts
+ * are the quoted ones; the due date follows the customer's terms from the
+ * bill date.
+ * @param {object} quote
+ * @param {object} [customer] - For payment terms
+ * @param {string} [billDate] - YYYY-MM-DD, defaults to today
+ * @returns {object}
+ */
+function quotationToBill(quote, customer, billDate = quoteToday()) {
+  const day = ledgerDay(billDate);
+  const reference = `Quotation ${quote.quoteNumber || '#' + quote.id}`;
+  const bill = {
+    customerId: Number(quote.customerId),
+    billAmount: parseFloat(quote.amount) || calculateBillTotals(quote.items).grandTotal,
+    billDate: new Date(day + 'T00:00:00Z').toISOString(),
+    notes: quote.notes ? `${quote.notes} (${reference})` : reference,
+    ...resolveBillTerms(customer, day),
+    items: quote.items,
+    subTotal: quote.subTotal,
+    discountAmount: quote.discountAmount,
+    taxAmount: quote.taxAmount,
+    quotationId: quote.id
+  };
+  ['placeOfSupply', 'cgstAmount', 'sgstAmount', 'igstAmount'].forEach(key => {
+    if (quote[key] !== undefined) bill[key] = quote[key];
+  });
+  return bill;
+}
+
+/**
+ * Quotation PDF in the invoice layout
+ * @param {object} quote
+ * @param {object} customer
+ * @returns {object|null} - jsPDF document, or null if jsPDF is not loaded
+ */
+function buildPDFQuotation(quote, customer) {
+  const status = getQuoteStatus(quote);
+  const hex = getQuoteStatusInfo(status).color;
+  const validUntil = ledgerDay(quote.validUntil);
+  return buildPDFInvoice(
+    { ...quote, billNumber: quote.quoteNumber, billDate: quote.quoteDate || quote.createdAt, billAmount: quote.amount },
+    customer,
+    {
+      title: 'QUOTATION',
+      numberLabel: 'Quotation #',
+      dateLabel: 'Quote Date:',
+      dueLabel: 'Valid Until:',
+      dueDate: validUntil,
+      status,
+      statusColor: [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)),
+      infoTitle: 'Quotation Terms',
+      infoLines: [
+        validUntil ? `Prices are valid until ${formatDateOnly(validUntil)}.` : 'Prices are valid for a limited period.',
+        'This is an estimate, not a tax invoice. A bill follows on acceptance.'
+      ]
+    }
+  );
+}
+
+function getQuotationFilename(quote, customer) {
+  return `Quotation_${quote.quoteNumber || quote.id}_${((customer && customer.name) || 'Customer').replace(/\s+/g, '_')}.pdf`;
+}
+
+/**
+ * Downloads a quotation as a PDF
+ * @returns {boolean} - Success
+ */
+function generatePDFQuotation(quote, customer) {
+  try {
+    const doc = buildPDFQuotation(quote, customer);
+    if (!doc) return false;
+    doc.save(getQuotationFilename(quote, customer));
+    return true;
+  } catch (err) {
+    logError('generatePDFQuotation', err);
+    return false;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    QUOTE_STATUSES,
+    QUOTE_VALIDITY_DAYS,
+    getQuoteStatus,
+    getQuoteStatusInfo,
+    getQuoteActions,
+    canEditQuote,
+    canConvertQuote,
+    defaultQuoteValidUntil,
+    validateQuotation,
+    validateQuoteTransition,
+    quotationToBill,
+    buildPDFQuotation,
+    getQuotationFilename,
+    generatePDFQuotation
+  };
+}
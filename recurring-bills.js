@@ -0,0 +1,302 @@
+/**
+ * Recurring bills - templates that raise the same bill for a customer on a
+ * schedule (subscriptions, retainers, rent, AMC contracts)
+ *
+ * A template holds the customer, line items and notes of the bill plus its
+ * schedule: a frequency, the day of the month it runs on, a start date and an
+ * optional end date. Day 29-31 runs on the last day of shorter months.
+ *
+ * Each bill a template raises carries recurringTemplateId and
+ * recurringRunDate, so the bills themselves are the history of the template
+ * and a run is never billed twice. A run is due once its date has come and it
+ * has neither been billed nor skipped. Paused templates raise nothing; runs
+ * that fell due while paused are skipped on resume rather than back-billed.
+ *
+ * Usage:
+ *   Include after gst.js and payment-terms.js (uses calculateBillTotals,
+ *   calculateGstBreakdown, resolveBillTerms, ledgerDay).
+ *   const check = validateRecurringTemplate(template);
+ *   const upcoming = getUpcomingRecurringRuns(template, bills, { count: 3 });
+ *   getDueRecurringRuns(template, bills).forEach(day => post(buildRecurringBill(template, day, customer)));
+ */
+
+const RECURRING_FREQUENCIES = [
+  { key: 'monthly', label: 'Monthly', months: 1 },
+  { key: 'quarterly', label: 'Quarterly', months: 3 },
+  { key: 'half_yearly', label: 'Half-yearly', months: 6 },
+  { key: 'yearly', label: 'Yearly', months: 12 }
+];
+
+// Upper bound on runs walked for one template (a monthly template covers 83 years)
+const RECURRING_MAX_RUNS = 1000;
+
+const RECURRING_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function recurringToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function getRecurringFrequency(key) {
+  return RECURRING_FREQUENCIES.find(f => f.key === key) || null;
+}
+
+/**
+ * Checks a recurring bill template
+ * @param {object} template - {customerId, items, frequency, dayOfMonth, startDate, endDate, notes}
+ * @returns {object} - {valid: boolean, errors: array}
+ */
+function validateRecurringTemplate(template) {
+  const errors = [];
+  const data = template || {};
+
+  if (!data.customerId || data.customerId === 0) {
+    errors.push({ field: 'customer', message: 'Customer is required' });
+  }
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    errors.push({ field: 'items', message: 'At least one line item is required' });
+  } else {
+    data.items.forEach((item, index) => errors.push(...validateBillItem(item, index)));
+  }
+  if (!getRecurringFrequency(data.frequency)) {
+    errors.push({ field: 'frequency', message: 'Choose how often the bill repeats' });
+  }
+  const day = Number(data.dayOfMonth);
+  if (!Number.isInteger(day) || day < 1 || day > 31) {
+    errors.push({ field: 'dayOfMonth', message: 'Day of month must be between 1 and 31' });
+  }
+  const start = ledgerDay(data.startDate);
+  if (!start) {
+    errors.push({ field: 'startDate', message: 'Start date is required' });
+  }
+  if (data.endDate && start && ledgerDay(data.endDate) < start) {
+    errors.push({ field: 'endDate', message: 'End date cannot be before the start date' });
+  }
+  if (data.notes && data.notes.length > 500) {
+    errors.push({ field: 'notes', message: 'Notes must be less than 500 characters' });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Run date in the given month (0-based, counted from year 0), clamped to the month end
+function recurringRunInMonth(monthIndex, dayOfMonth) {
+  const year = Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const day = Math.min(Number(dayOfMonth) || 1, lastDay);
+  return `${String(year).padStart(4, '0')}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Run dates of a template in order: the first falls on the day of month on or
+ * after the start date, then one every frequency until the end date
+ * @param {object} template
+ * @param {object} [options] - {from, to, limit} - YYYY-MM-DD bounds (inclusive) and maximum count
+ * @returns {array} - YYYY-MM-DD strings
+ */
+function getRecurringRunDates(template, options = {}) {
+  const frequency = getRecurringFrequency(template && template.frequency);
+  const start = ledgerDay(template && template.startDate);
+  if (!frequency || !start) return [];
+  const end = ledgerDay(template.endDate);
+  const to = ledgerDay(options.to);
+  const from = ledgerDay(options.from);
+  const limit = options.limit || RECURRING_MAX_RUNS;
+
+  const runs = [];
+  let monthIndex = Number(start.slice(0, 4)) * 12 + Number(start.slice(5, 7)) - 1;
+  if (recurringRunInMonth(monthIndex, template.dayOfMonth) < start) monthIndex += frequency.months;
+  for (let i = 0; i < RECURRING_MAX_RUNS && runs.length < limit; i++, monthIndex += frequency.months) {
+    const run = recurringRunInMonth(monthIndex, template.dayOfMonth);
+    if ((end && run > end) || (to && run > to)) break;
+    if (!from || run >= from) runs.push(run);
+  }
+  return runs;
+}
+
+/**
+ * Bills a template has raised, keyed by run date
+ * @param {object} template
+ * @param {array} bills
+ * @returns {object} - {[YYYY-MM-DD]: bill}
+ */
+function getRecurringBillsByRun(template, bills) {
+  const byRun = {};
+  (bills || [])
+    .filter(b => b.isActive !== false && b.recurringTemplateId !== undefined && b.recurringTemplateId !== null &&
+      String(b.recurringTemplateId) === String(template.id))
+    .forEach(b => { byRun[ledgerDay(b.recurringRunDate || b.billDate)] = b; });
+  return byRun;
+}
+
+function isSkippedRun(template, day) {
+  return (template.skippedDates || []).some(d => ledgerDay(d) === day);
+}
+
+/**
+ * Runs that should be billed now: dated on or before asOf, not yet billed and
+ * not skipped. Paused templates have none.
+ * @param {object} template
+ * @param {array} bills - Bills already raised (any customer; filtered by template)
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {array} - YYYY-MM-DD strings, oldest first
+ */
+function getDueRecurringRuns(template, bills, asOf = recurringToday()) {
+  if (!template || template.paused || template.isActive === false) return [];
+  const billed = getRecurringBillsByRun(template, bills);
+  return getRecurringRunDates(template, { to: asOf }).filter(day => !billed[day] && !isSkippedRun(template, day));
+}
+
+/**
+ * Preview of what a template will bill next: any runs already due, then the
+ * next `count` scheduled runs (skipped ones included and flagged)
+ * @param {object} template
+ * @param {array} bills
+ * @param {object} [options] - {count, asOf}
+ * @returns {array} - [{date, status: 'due' | 'scheduled' | 'skipped'}]
+ */
+function getUpcomingRecurringRuns(template, bills, options = {}) {
+  const { count = 3, asOf = recurringToday() } = options;
+  const due = getDueRecurringRuns(template, bills, asOf).map(date => ({ date, status: 'due' }));
+  const next = calculateDueDate(asOf, 1);
+  const scheduled = getRecurringRunDates(template, { from: next, limit: count })
+    .map(date => ({ date, status: isSkippedRun(template, date) ? 'skipped' : 'scheduled' }));
+  return due.concat(scheduled);
+}
+
+/**
+ * Runs that fell due while a template was paused; they are skipped when it resumes
+ * @param {object} template
+ * @param {array} bills
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {array} - YYYY-MM-DD strings
+ */
+function getRunsMissedWhilePaused(template, bills, asOf = recurringToday()) {
+  return getDueRecurringRuns({ ...template, paused: false }, bills, asOf);
+}
+
+/**
+ * Where a template stands: Paused, Ended (every run billed or skipped and none
+ * left before the end date) or Active
+ * @param {object} template
+ * @param {array} bills
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {string} - "Active" | "Paused" | "Ended"
+ */
+function getRecurringTemplateStatus(template, bills, asOf = recurringToday()) {
+  if (template.paused) return 'Paused';
+  const future = getRecurringRunDates(template, { from: calculateDueDate(asOf, 1), limit: 1 });
+  if (future.length === 0 && getDueRecurringRuns(template, bills, asOf).length === 0) return 'Ended';
+  return 'Active';
+}
+
+/**
+ * Human-readable schedule, e.g. "Monthly on day 5" or "Quarterly on day 31
+ * (month end in shorter months)"
+ * @param {object} template
+ * @returns {string}
+ */
+function formatRecurringSchedule(template) {
+  const frequency = getRecurringFrequency(template && template.frequency);
+  if (!frequency) return '';
+  const day = Number(template.dayOfMonth);
+  return `${frequency.label} on day ${day}${day > 28 ? ' (month end in shorter months)' : ''}`;
+}
+
+/**
+ * Period a run bills for, e.g. "Oct 2026" (monthly) or "Oct 2026 - Dec 2026"
+ * @param {object} template
+ * @param {string} runDate - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatRecurringPeriod(template, runDate) {
+  const frequency = getRecurringFrequency(template && template.frequency) || RECURRING_FREQUENCIES[0];
+  const day = ledgerDay(runDate);
+  const monthIndex = Number(day.slice(0, 4)) * 12 + Number(day.slice(5, 7)) - 1;
+  const label = index => `${RECURRING_MONTHS[index % 12]} ${Math.floor(index / 12)}`;
+  if (frequency.months === 1) return label(monthIndex);
+  return `${label(monthIndex)} - ${label(monthIndex + frequency.months - 1)}`;
+}
+
+/**
+ * Bill for one run of a template, as sent to the API. Totals, GST split and
+ * due date are worked out afresh so current rates and terms apply.
+ * @param {object} template
+ * @param {string} runDate - YYYY-MM-DD
+ * @param {object} [customer] - For payment terms and GST place of supply
+ * @returns {object}
+ */
+function buildRecurringBill(template, runDate, customer) {
+  const day = ledgerDay(runDate);
+  const totals = calculateBillTotals(template.items);
+  const period = formatRecurringPeriod(template, day);
+  const notes = String(template.notes || template.name || '').trim();
+  const bill = {
+    customerId: Number(template.customerId),
+    billAmount: totals.grandTotal,
+    billDate: new Date(day + 'T00:00:00Z').toISOString(),
+    notes: notes ? `${notes} (${period})` : period,
+    ...resolveBillTerms(customer, day),
+    items: totals.lines.map(line => ({
+      description: line.description,
+      hsnSac: line.hsnSac || null,
+      quantity: line.quantity,
+      unit: line.unit,
+      rate: line.rate,
+      discount: line.discount,
+      taxRate: line.taxRate,
+      taxableAmount: line.taxableAmount,
+      taxAmount: line.taxAmount,
+      total: line.total
+    })),
+    subTotal: totals.subtotal,
+    discountAmount: totals.discountTotal,
+    taxAmount: totals.taxTotal,
+    recurringTemplateId: template.id,
+    recurringRunDate: day
+  };
+  if (isGstEnabled()) {
+    const settings = getGstSettings();
+    const placeOfSupply = getPlaceOfSupply(customer || {}, settings);
+    const gst = calculateGstBreakdown(totals.lines, settings.stateCode, placeOfSupply);
+    bill.placeOfSupply = placeOfSupply;
+    bill.cgstAmount = gst.totals.cgstTotal;
+    bill.sgstAmount = gst.totals.sgstTotal;
+    bill.igstAmount = gst.totals.igstTotal;
+  }
+  return bill;
+}
+
+/**
+ * History of a template: each past run with the bill it raised, or skipped
+ * @param {object} template
+ * @param {array} bills
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {array} - [{runDate, bill, skipped}], newest first
+ */
+function getRecurringHistory(template, bills, asOf = recurringToday()) {
+  const billed = getRecurringBillsByRun(template, bills);
+  const days = new Set(Object.keys(billed));
+  (template.skippedDates || []).forEach(d => { if (ledgerDay(d) <= asOf) days.add(ledgerDay(d)); });
+  return Array.from(days)
+    .sort((a, b) => b.localeCompare(a))
+    .map(runDate => ({ runDate, bill: billed[runDate] || null, skipped: !billed[runDate] }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RECURRING_FREQUENCIES,
+    getRecurringFrequency,
+    validateRecurringTemplate,
+    getRecurringRunDates,
+    getRecurringBillsByRun,
+    getDueRecurringRuns,
+    getUpcomingRecurringRuns,
+    getRunsMissedWhilePaused,
+    getRecurringTemplateStatus,
+    formatRecurringSchedule,
+    formatRecurringPeriod,
+    buildRecurringBill,
+    getRecurringHistory
+  };
+}
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'ledger.js', 'ageing.js'] });
+
+const customers = [{ id: 1, name: 'Asha Stores' }, { id: 2, name: 'Kiran Hardware' }];
+const bills = [
+  { id: 10, customerId: 1, billAmount: 1000, billDate: '2026-06-25' },
+  { id: 11, customerId: 1, billAmount: 500, billDate: '2026-05-01', dueDate: '2026-05-31' },
+  { id: 12, customerId: 2, billAmount: 800, billDate: '2026-02-01' },
+  { id: 13, customerId: 2, billAmount: 300, billDate: '2026-06-20', status: 'Paid' },
+  { id: 14, customerId: 2, billAmount: 200, billDate: '2026-07-15' }
+];
+const payments = [
+  { id: 1, amount: 400, mode: 'UPI', linkedBills: [{ billId: 10, allocatedAmount: 400 }] },
+  { id: 2, amount: 200, mode: 'Cash', linkedBills: [{ billId: 14, amount: 200 }] },
+  { id: 3, amount: 800, mode: 'Cheque', cleared: false, linkedBills: [{ billId: 12, allocatedAmount: 800 }] }
+];
+const asOf = '2026-07-15';
+
+test('getAgeingBucket', () => {
+  assert.deepEqual([0, 30, 31, 60, 61, 90, 91, 400].map(app.getAgeingBucket), ['0-30', '0-30', '31-60', '31-60', '61-90', '61-90', '90+', '90+']);
+});
+
+test('buildAgeingReport', async (t) => {
+  const report = app.buildAgeingReport(bills, payments, customers, { asOf });
+
+  await t.test('buckets balances net of cleared allocations', () => {
+    assert.deepEqual(plain(report.totals), { '0-30': 600, '31-60': 0, '61-90': 500, '90+': 800 });
+    assert.equal(report.total, 1900);
+    assert.equal(report.billCount, 3);
+  });
+
+  await t.test('groups by customer, largest balance first, oldest bill first', () => {
+    assert.deepEqual(plain(report.customers.map(c => [c.customerName, c.total])), [['Asha Stores', 1100], ['Kiran Hardware', 800]]);
+    assert.deepEqual(plain(report.customers[0].bills.map(b => [b.id, b.days, b.paid, b.balance])), [[11, 75, 0, 500], [10, 20, 400, 600]]);
+  });
+
+  await t.test('skips bills marked Paid and bills dated after the report date', () => {
+    const ids = report.customers.flatMap(c => c.bills.map(b => b.id));
+    assert.equal(ids.includes(13), false);
+    const earlier = app.buildAgeingReport(bills, payments, customers, { asOf: '2026-06-01' });
+    assert.equal(earlier.customers.flatMap(c => c.bills).some(b => b.id === 10), false);
+  });
+
+  await t.test('ages from the due date on a due-date basis', () => {
+    const byDue = app.buildAgeingReport(bills, payments, customers, { asOf, basis: 'dueDate' });
+    const bill = byDue.customers[0].bills.find(b => b.id === 11);
+    assert.deepEqual(plain([bill.days, bill.bucket]), [45, '31-60']);
+  });
+});
+
+test('filterAgeingReport keeps one bucket', () => {
+  const report = app.filterAgeingReport(app.buildAgeingReport(bills, payments, customers, { asOf }), '61-90');
+  assert.equal(report.bucket, '61-90');
+  assert.equal(report.total, 500);
+  assert.deepEqual(plain(report.customers.map(c => c.bills.map(b => b.id))), [[11]]);
+});
+
+test('ageingToCSV', async (t) => {
+  const report = app.buildAgeingReport(bills, payments, customers, { asOf });
+
+  await t.test('writes a summary row per customer and a total', () => {
+    assert.equal(app.ageingToCSV(report), [
+      'Customer,0-30 days,31-60 days,61-90 days,90+ days,Total',
+      'Asha Stores,600.00,0.00,500.00,0.00,1100.00',
+      'Kiran Hardware,0.00,0.00,0.00,800.00,800.00',
+      'Total,600.00,0.00,500.00,800.00,1900.00'
+    ].join('\n'));
+  });
+
+  await t.test('writes a row per bill in detail mode', () => {
+    const lines = app.ageingToCSV(report, true).split('\n');
+    assert.equal(lines[0], 'Customer,Bill ID,Bill Date,Due Date,Days Outstanding,Bucket,Bill Amount,Paid,Credited,Balance');
+    assert.equal(lines[2], 'Asha Stores,10,2026-06-25,2026-06-25,20,0-30,1000.00,400.00,0.00,600.00');
+  });
+});
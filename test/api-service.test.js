@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, jsonResponse, queuedFetch, plain } = require('./helpers/load-app.js');
+
+const BASE = 'https://api.test/api';
+
+function setup(fetchStub, options = {}, storage = { token: 'tok-123', userType: 'Admin' }) {
+  const app = loadApp({ fetch: fetchStub, storage });
+  const unauthorized = [];
+  const service = new app.BusinessApiService(BASE, {
+    retryDelay: 1,
+    maxRetryDelay: 2,
+    onUnauthorized: () => unauthorized.push(true),
+    ...options
+  });
+  return { app, service, unauthorized };
+}
+
+test('apiCall success path', async (t) => {
+  await t.test('resolves with the envelope body', async () => {
+    const fetchStub = queuedFetch(jsonResponse(200, { status: true, message: 'ok', body: [{ id: 1 }], errors: [] }));
+    const { service } = setup(fetchStub);
+    assert.deepEqual(plain(await service.apiCall('/customers')), [{ id: 1 }]);
+  });
+
+  await t.test('sends the bearer token, JSON headers and body', async () => {
+    const fetchStub = queuedFetch(jsonResponse(201, { status: true, body: { id: 9 } }));
+    const { service } = setup(fetchStub);
+    await service.apiCall('/customers', 'POST', { name: 'Asha' });
+    const { url, init } = fetchStub.calls[0];
+    assert.equal(url, `${BASE}/customers`);
+    assert.equal(init.method, 'POST');
+    assert.equal(init.headers.Authorization, 'Bearer tok-123');
+    assert.equal(init.headers['Content-Type'], 'application/json');
+    assert.equal(init.body, JSON.stringify({ name: 'Asha' }));
+  });
+
+  await t.test('accepts responses without the envelope', async () => {
+    const { service } = setup(queuedFetch(jsonResponse(200, [{ id: 2 }])));
+    assert.deepEqual(plain(await service.apiCall('/legacy')), [{ id: 2 }]);
+  });
+});
+
+test('apiCall 401 handling', async (t) => {
+  await t.test('throws an HTTP ApiError and runs the unauthorized hook', async () => {
+    const { app, service, unauthorized } = setup(queuedFetch(jsonResponse(401, { status: false, message: 'Token expired', errors: [] })));
+    await assert.rejects(service.apiCall('/customers'), err => {
+      assert.ok(err instanceof app.ApiError);
+      assert.equal(err.status, 401);
+      assert.equal(err.code, 'HTTP');
+      assert.equal(err.message, 'Token expired');
+      return true;
+    });
+    assert.equal(unauthorized.length, 1);
+  });
+
+  await t.test('does not redirect for a failed login', async () => {
+    const { service, unauthorized } = setup(queuedFetch(jsonResponse(401, { status: false, message: 'Invalid username or password' })));
+    await assert.rejects(service.apiCall('/auth/Login', 'POST', { username: 'x', password: 'y' }), /Invalid username or password/);
+    assert.equal(unauthorized.length, 0);
+  });
+
+  await t.test('the default hook clears the stored session', async () => {
+    const app = loadApp({
+      fetch: queuedFetch(jsonResponse(401, { status: false, message: 'Unauthorized' })),
+      storage: { token: 'tok', userType: 'Admin', userInfo: '{}', availableFeatures: '[]' }
+    });
+    const service = new app.BusinessApiService(BASE, { retryDelay: 1 });
+    await assert.rejects(service.apiCall('/bills'));
+    assert.equal(app.localStorage.getItem('token'), null);
+    assert.equal(app.localStorage.getItem('userType'), null);
+    assert.equal(app.localStorage.getItem('userInfo'), null);
+  });
+});
+
+test('apiCall error paths', async (t) => {
+  await t.test('joins field errors into the message', async () => {
+    const { service } = setup(queuedFetch(jsonResponse(400, {
+      status: false,
+      message: 'Validation failed',
+      errors: [{ field: 'name', message: 'Name is required' }, { field: 'phone', message: 'Phone must be 10 digits' }]
+    })));
+    await assert.rejects(service.apiCall('/customers', 'POST', {}), err => {
+      assert.equal(err.status, 400);
+      assert.equal(err.message, 'Name is required, Phone must be 10 digits');
+      assert.equal(err.errors.length, 2);
+      return true;
+    });
+  });
+
+  await t.test('uses the envelope message, then a status fallback', async () => {
+    const { service } = setup(queuedFetch(jsonResponse(404, { status: false, message: 'Bill not found' })));
+    await assert.rejects(service.apiCall('/bills/99'), /Bill not found/);
+
+    const { service: bare } = setup(queuedFetch(jsonResponse(404, undefined)));
+    await assert.rejects(bare.apiCall('/bills/99'), /Request failed \(Status: 404\)/);
+  });
+
+  await t.test('treats status:false in a 200 envelope as a failure', async () => {
+    const { service } = setup(queuedFetch(jsonResponse(200, { status: false, message: 'Plan limit reached' })));
+    await assert.rejects(service.apiCall('/admin/subusers', 'POST', {}), /Plan limit reached/);
+  });
+
+  await t.test('retries idempotent calls on 503', async () => {
+    const fetchStub = queuedFetch(
+      jsonResponse(503, { status: false, message: 'Starting up' }),
+      jsonResponse(200, { status: true, body: { ok: 1 } })
+    );
+    const { service } = setup(fetchStub);
+    assert.deepEqual(plain(await service.apiCall('/customers')), { ok: 1 });
+    assert.equal(fetchStub.calls.length, 2);
+  });
+
+  await t.test('does not retry POST', async () => {
+    const fetchStub = queuedFetch(jsonResponse(503, { status: false, message: 'Starting up' }));
+    const { service } = setup(fetchStub);
+    await assert.rejects(service.apiCall('/payments', 'POST', { amount: 1 }), /Starting up/);
+    assert.equal(fetchStub.calls.length, 1);
+  });
+
+  await t.test('reports network failures after the retries run out', async () => {
+    const fetchStub = queuedFetch(new TypeError('Failed to fetch'));
+    const { service } = setup(fetchStub, { retries: 2 });
+    await assert.rejects(service.apiCall('/customers'), err => {
+      assert.equal(err.code, 'NETWORK');
+      return true;
+    });
+    assert.equal(fetchStub.calls.length, 3);
+  });
+
+  await t.test('times out slow requests', async () => {
+    const hang = (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    const { service } = setup(queuedFetch(hang), { timeout: 20, retries: 0 });
+    await assert.rejects(service.apiCall('/reports/outstanding'), err => {
+      assert.equal(err.code, 'TIMEOUT');
+      return true;
+    });
+  });
+});
+
+test('list queries', async (t) => {
+  const rows = [
+    { id: 1, name: 'Asha Stores', city: 'Pune', createdAt: '2026-07-01T10:00:00Z', status: 'Paid' },
+    { id: 2, name: 'bharat traders', city: null, createdAt: '2026-08-15T10:00:00Z', status: 'Unpaid' },
+    { id: 3, name: 'Chandra & Co', city: 'Agra', createdAt: '2026-09-20T10:00:00Z', status: 'unpaid' },
+    { id: 10, name: 'Asha Textiles', city: 'Pune', createdAt: '2026-09-21T10:00:00Z', status: 'Paid' }
+  ];
+  const fields = { search: ['id', 'name'], date: ['createdAt'] };
+
+  await t.test('buildQueryString skips empty values', () => {
+    const { app } = setup(queuedFetch());
+    assert.equal(app.buildQueryString({ page: 2, pageSize: 50, sort: '-name', search: '', from: null, status: 'Paid' }),
+      '?page=2&pageSize=50&sort=-name&status=Paid');
+    assert.equal(app.buildQueryString({ search: '' }), '');
+    assert.equal(app.buildQueryString({ search: 'a&b' }), '?search=a%26b');
+  });
+
+  await t.test('applyListQuery filters, searches and limits by date', () => {
+    const { app } = setup(queuedFetch());
+    const ids = query => plain(app.applyListQuery(rows, query, fields)).map(r => r.id);
+    assert.deepEqual(ids({ status: 'UNPAID' }), [2, 3]);
+    assert.deepEqual(ids({ search: 'asha' }), [1, 10]);
+    assert.deepEqual(ids({ search: '10' }), [10]);
+    assert.deepEqual(ids({ from: '2026-08-15', to: '2026-09-20' }), [2, 3]);
+    assert.deepEqual(ids({ page: 3, pageSize: 1 }), [1, 2, 3, 10]);
+  });
+
+  await t.test('applyListQuery sorts both ways with empty values last', () => {
+    const { app } = setup(queuedFetch());
+    const ids = sort => plain(app.applyListQuery(rows, { sort }, fields)).map(r => r.id);
+    assert.deepEqual(ids('name'), [1, 10, 2, 3]);
+    assert.deepEqual(ids('-id'), [10, 3, 2, 1]);
+    assert.deepEqual(ids('city'), [3, 1, 10, 2]);
+    assert.deepEqual(ids('-city'), [10, 1, 3, 2]);
+  });
+
+  await t.test('toPagedResult passes pages through and slices plain arrays', () => {
+    const { app } = setup(queuedFetch());
+    const page = { items: [{ id: 1 }], page: 4, pageSize: 1, totalCount: 9, totalPages: 9 };
+    assert.equal(app.toPagedResult(page, { page: 4 }, 'customers'), page);
+
+    const result = plain(app.toPagedResult(rows, { page: 2, pageSize: 3, sort: 'id' }, 'customers'));
+    assert.deepEqual(result.items.map(r => r.id), [10]);
+    assert.deepEqual([result.page, result.pageSize, result.totalCount, result.totalPages], [2, 3, 4, 2]);
+
+    // Out-of-range pages clamp to the last page
+    assert.equal(app.toPagedResult(rows, { page: 99, pageSize: 3 }, 'customers').page, 2);
+  });
+
+  await t.test('getCustomers sends the query and returns a page', async () => {
+    const fetchStub = queuedFetch(jsonResponse(200, { status: true, body: rows }));
+    const { service } = setup(fetchStub);
+    const result = plain(await service.getCustomers({ page: 1, pageSize: 2, sort: '-createdAt', search: 'a' }));
+    assert.equal(fetchStub.calls[0].url, `${BASE}/customers?page=1&pageSize=2&sort=-createdAt&search=a`);
+    // The stub ignores the query, so the service falls back to paging locally
+    assert.deepEqual(result.items.map(r => r.id), [10, 3]);
+    assert.equal(result.totalCount, 4);
+  });
+
+  await t.test('getBills without a page returns the matching array', async () => {
+    const fetchStub = queuedFetch(jsonResponse(200, { status: true, body: rows }));
+    const { service } = setup(fetchStub);
+    const result = plain(await service.getBills({ customerId: '' }));
+    assert.equal(fetchStub.calls[0].url, `${BASE}/bills`);
+    assert.equal(result.length, 4);
+  });
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const ACTIONS = ['view', 'create', 'edit', 'delete', 'export', 'void'];
+const SCRIPTS = ['api-config.js', 'api-service.js', 'app.js', 'permissions.js'];
+
+function makeToken(payload) {
+  const enc = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  return `${enc({ alg: 'HS256', typ: 'JWT' })}.${enc(payload)}.signature`;
+}
+
+test('userCan by user type', async (t) => {
+  const matrix = {
+    SuperAdmin: { view: true, create: true, edit: true, delete: true, export: true, void: true },
+    Admin: { view: true, create: true, edit: true, delete: true, export: true, void: true },
+    SubUser: { view: true, create: true, edit: false, delete: false, export: true, void: false }
+  };
+
+  for (const [userType, expected] of Object.entries(matrix)) {
+    await t.test(userType, () => {
+      const app = loadApp({ scripts: SCRIPTS, storage: { userType } });
+      ACTIONS.forEach(action => assert.equal(app.userCan(action, 'bills'), expected[action], `${userType} ${action}`));
+    });
+  }
+
+  await t.test('user type is matched case-insensitively', () => {
+    const app = loadApp({ scripts: SCRIPTS, storage: { userType: 'subuser' } });
+    assert.equal(app.userCan('create', 'customers'), true);
+    assert.equal(app.userCan('delete', 'customers'), false);
+  });
+
+  await t.test('falls back to the legacy userRole key', () => {
+    assert.equal(loadApp({ scripts: SCRIPTS, storage: { userRole: 'admin' } }).userCan('delete', 'bills'), true);
+    assert.equal(loadApp({ scripts: SCRIPTS, storage: { userRole: 'user' } }).userCan('view', 'bills'), false);
+  });
+
+  await t.test('denies everything when logged out', () => {
+    const app = loadApp({ scripts: SCRIPTS });
+    ACTIONS.forEach(action => assert.equal(app.userCan(action, 'bills'), false, action));
+  });
+});
+
+test('role helpers', () => {
+  const superAdmin = loadApp({ storage: { userType: 'SuperAdmin' } });
+  assert.equal(superAdmin.isSuperAdmin(), true);
+  assert.equal(superAdmin.isAdmin(), true);
+  assert.equal(Boolean(superAdmin.isSubUser()), false);
+
+  const subUser = loadApp({ storage: { userType: 'SubUser' } });
+  assert.equal(Boolean(subUser.isAdmin()), false);
+  assert.equal(subUser.isSubUser(), true);
+});
+
+test('hasFeature', async (t) => {
+  const CORE = ['DASHBOARD_BASIC', 'CUSTOMER_MANAGEMENT', 'BILL_MANAGEMENT', 'PAYMENT_MANAGEMENT'];
+
+  await t.test('defaults to the core features when none are stored', () => {
+    const app = loadApp();
+    CORE.forEach(code => assert.equal(app.hasFeature(code), true, code));
+    assert.equal(app.hasFeature('DASHBOARD_ANALYTICS'), false);
+    assert.deepEqual(plain(app.getAvailableFeatures()), CORE);
+  });
+
+  await t.test('uses the features stored at login', () => {
+    const app = loadApp({ storage: { availableFeatures: JSON.stringify(['DASHBOARD_BASIC', 'REMINDERS']) } });
+    assert.equal(app.hasFeature('REMINDERS'), true);
+    assert.equal(app.hasFeature('BILL_MANAGEMENT'), false);
+  });
+
+  await t.test('treats malformed storage as no features', () => {
+    assert.equal(loadApp({ storage: { availableFeatures: '{"not":"an array"}' } }).hasFeature('DASHBOARD_BASIC'), false);
+    assert.equal(loadApp({ storage: { availableFeatures: 'not json' } }).hasFeature('DASHBOARD_BASIC'), false);
+  });
+});
+
+test('decodeToken', async (t) => {
+  const app = loadApp();
+
+  await t.test('returns the payload of a JWT', () => {
+    const payload = { sub: 'AD0002', role: 'Admin', username: 'admin', exp: 1893456000 };
+    assert.deepEqual(plain(app.decodeToken(makeToken(payload))), payload);
+  });
+
+  await t.test('handles base64url characters and missing padding', () => {
+    // '??>' encodes to '-' / '_' characters in base64url; the length forces padding
+    const payload = { username: '??>??>', org: 'Sharma & Sons' };
+    const token = makeToken(payload);
+    assert.match(token.split('.')[1], /[-_]/);
+    assert.deepEqual(plain(app.decodeToken(token)), payload);
+  });
+
+  await t.test('returns null for anything that is not a JWT', () => {
+    assert.equal(app.decodeToken('abc'), null);
+    assert.equal(app.decodeToken('a.b'), null);
+    assert.equal(app.decodeToken('a.!!!.c'), null);
+    assert.equal(app.decodeToken(undefined), null);
+  });
+});
@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { webcrypto } = require('node:crypto');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'ledger.js', 'backup.js'] });
+// jsdom has neither SubtleCrypto nor TextEncoder
+Object.defineProperty(app, 'crypto', { value: webcrypto });
+app.TextEncoder = TextEncoder;
+
+const BACKUP = {
+  customers: [
+    { id: 1, name: 'Asha Traders', phone: '9876543210' },
+    { id: 2, name: 'Ravi Stores', phone: '9123456780' }
+  ],
+  recurringBills: [],
+  bills: [
+    { id: 10, billNumber: 'BILL-0010', customerId: 1, billAmount: 1180, status: 'Paid', billDate: '2026-09-01' },
+    { id: 11, billNumber: 'BILL-0011', customerId: 2, billAmount: 500, status: 'Partial', billDate: '2026-09-02' },
+    { id: 12, billNumber: 'BILL-0012', customerId: 2, billAmount: 200, status: 'Cancelled', billDate: '2026-09-03' }
+  ],
+  creditNotes: [{ id: 30, creditNoteNumber: 'CN-0001', billId: 11, customerId: 2, amount: 50, reason: 'Damaged' }],
+  payments: [
+    { id: 20, customerId: 1, amount: 1180, mode: 'UPI', paymentDate: '2026-09-05', paymentReference: 'UTR1', linkedBills: [{ billId: 10, amount: 1180 }] },
+    {
+      id: 21, customerId: 2, amount: 300, mode: 'Cheque', chequeNumber: '000123', paymentDate: '2026-09-06',
+      linkedBills: [{ billId: 11, allocatedAmount: 200 }, { billId: 99, allocatedAmount: 100 }],
+      chequeStatus: 'Cleared', cleared: true,
+      chequeHistory: [{ status: 'Received', date: '2026-09-06', note: '' }, { status: 'Deposited', date: '2026-09-07', note: '' }, { status: 'Cleared', date: '2026-09-09', note: '' }]
+    }
+  ],
+  quotations: [{ id: 40, quoteNumber: 'QT-0001', customerId: 1, status: 'Accepted', sentAt: '2026-08-20' }],
+  reminders: [{ id: 50, title: 'Call Ravi', dueDate: '2026-10-01' }],
+  filterPresets: [{ id: 60, name: 'Unpaid this month', query: 'unpaid' }],
+  dashboardLayout: { widgets: [{ widgetId: 'sales', visible: true }] },
+  invoiceSettings: { layout: 'modern', color: '#667eea', businessName: 'Asha Traders' }
+};
+
+const EMPTY = {
+  customers: [], recurringBills: [], bills: [], creditNotes: [], payments: [], quotations: [],
+  reminders: [], filterPresets: [], dashboardLayout: { widgets: [] }, invoiceSettings: {}
+};
+
+// Records every call and hands out new IDs from 100
+function fakeApi() {
+  let nextId = 100;
+  const calls = [];
+  const create = name => async data => {
+    calls.push([name, data]);
+    return { ...data, id: nextId++ };
+  };
+  return {
+    calls,
+    createCustomer: create('createCustomer'),
+    createRecurringBill: create('createRecurringBill'),
+    createBill: create('createBill'),
+    createCreditNote: create('createCreditNote'),
+    createPayment: create('createPayment'),
+    createQuotation: create('createQuotation'),
+    createReminder: create('createReminder'),
+    createFilterPreset: create('createFilterPreset'),
+    saveDashboardLayout: create('saveDashboardLayout'),
+    updateInvoiceSettings: create('updateInvoiceSettings'),
+    updateChequeStatus: async (id, data) => { calls.push(['updateChequeStatus', id, data]); },
+    updateQuotationStatus: async (id, status) => { calls.push(['updateQuotationStatus', id, status]); }
+  };
+}
+
+test('loadBackupData keeps active records without joined names or payment link tokens', async () => {
+  const api = {
+    getCustomers: async () => [{ id: 1, name: 'Asha Traders', isActive: true }, { id: 2, name: 'Gone', isActive: false }],
+    getRecurringBills: async () => [],
+    getBills: async () => ({ items: [{ id: 10, customerName: 'Asha Traders', viewToken: 'secret', viewTokenExpiresAt: '2026-12-01' }] }),
+    getCreditNotes: async () => [],
+    getPayments: async () => [],
+    getQuotations: async () => [],
+    getReminders: async () => [{ id: 50, reminderId: 50, title: 'Call' }],
+    getFilterPresets: async () => [],
+    getDashboardLayout: async () => ({ widgets: [] }),
+    getInvoiceSettings: async () => null
+  };
+  const data = await app.loadBackupData(api);
+  assert.deepEqual(plain(data.customers), [{ id: 1, name: 'Asha Traders', isActive: true }]);
+  assert.deepEqual(plain(data.bills), [{ id: 10 }]);
+  assert.deepEqual(plain(data.reminders), [{ id: 50, title: 'Call' }]);
+  assert.deepEqual(plain(data.invoiceSettings), {});
+});
+
+test('verifyBackup', async (t) => {
+  const archive = await app.buildBackupArchive(BACKUP, { organization: 'Asha Traders' });
+
+  await t.test('accepts an untouched archive, also after a round trip through JSON', async () => {
+    assert.deepEqual(plain(await app.verifyBackup(archive)), { valid: true, errors: [] });
+    const copy = app.parseBackupJSON(JSON.stringify(archive));
+    assert.equal((await app.verifyBackup(copy)).valid, true);
+    assert.equal(copy.manifest.collections.find(c => c.key === 'payments').records, 2);
+  });
+
+  await t.test('catches edited or missing collections', async () => {
+    const edited = JSON.parse(JSON.stringify(archive));
+    edited.data.bills[0].billAmount = 1;
+    edited.data.payments.pop();
+    delete edited.data.reminders;
+    assert.deepEqual(plain((await app.verifyBackup(edited)).errors), [
+      'Bills do not match their checksum; the file has been changed or damaged',
+      'Payments: expected 2 record(s), found 1',
+      'Reminders are missing from the backup'
+    ]);
+  });
+
+  await t.test('refuses other files and newer formats', async () => {
+    assert.deepEqual(plain((await app.verifyBackup({ manifest: { format: 'other' }, data: {} })).errors), ['This file is not a backup from this app']);
+    const newer = { ...archive, manifest: { ...archive.manifest, version: 2 } };
+    assert.match((await app.verifyBackup(newer)).errors[0], /newer version/);
+    assert.throws(() => app.parseBackupJSON('not json'), /not valid JSON/);
+  });
+
+  await t.test('names the file after the organisation and date', () => {
+    assert.equal(app.getBackupFilename({ manifest: { organization: 'Asha Traders & Sons', createdAt: '2026-10-19T10:00:00Z' } }, 'zip'),
+      'Asha_Traders_Sons_backup_2026-10-19.zip');
+  });
+});
+
+test('restoreBackup', async (t) => {
+  await t.test('creates everything in order and remaps the IDs records refer to', async () => {
+    const api = fakeApi();
+    const report = await app.restoreBackup(BACKUP, EMPTY, api);
+    const created = name => api.calls.filter(c => c[0] === name).map(c => plain(c[1]));
+
+    assert.deepEqual(plain(report.idMap.customers), { 1: 100, 2: 101 });
+    assert.deepEqual(plain(report.idMap.bills), { 10: 102, 11: 103, 12: 104 });
+    assert.deepEqual(created('createBill').map(b => [b.customerId, b.status, b.id]), [[100, undefined, undefined], [101, undefined, undefined], [101, 'Cancelled', undefined]]);
+    assert.deepEqual(created('createCreditNote'), [{ creditNoteNumber: 'CN-0001', billId: 103, customerId: 101, amount: 50, reason: 'Damaged' }]);
+    const [upi, cheque] = created('createPayment');
+    assert.deepEqual(upi.linkedBills, [{ billId: 102, amount: 1180 }]);
+    assert.deepEqual(cheque.linkedBills, [{ billId: 103, amount: 200 }]);
+    assert.equal(cheque.chequeStatus, undefined);
+    assert.equal(cheque.chequeHistory, undefined);
+    assert.deepEqual(created('createQuotation').map(q => [q.customerId, q.status]), [[100, undefined]]);
+  });
+
+  await t.test('replays cheque history and quotation status on the new records', async () => {
+    const api = fakeApi();
+    const report = await app.restoreBackup(BACKUP, EMPTY, api);
+    const chequeId = report.idMap.payments[21];
+    const quoteId = report.idMap.quotations[40];
+    assert.deepEqual(plain(api.calls.filter(c => ['updateChequeStatus', 'updateQuotationStatus'].includes(c[0]))), [
+      ['updateChequeStatus', chequeId, { status: 'Deposited', date: '2026-09-07', reason: '' }],
+      ['updateChequeStatus', chequeId, { status: 'Cleared', date: '2026-09-09', reason: '' }],
+      ['updateQuotationStatus', quoteId, 'Sent'],
+      ['updateQuotationStatus', quoteId, 'Accepted']
+    ]);
+  });
+
+  await t.test('reports allocations to bills that are not in the backup', async () => {
+    const report = await app.restoreBackup(BACKUP, EMPTY, fakeApi());
+    assert.deepEqual(plain(report.conflicts), [{
+      collection: 'payments', label: 'Cheque ₹300.00 on 2026-09-06',
+      message: '₹100.00 allocated to bill #99 stays with the customer as credit (the bill was not restored)'
+    }]);
+    assert.deepEqual(plain(report.counts.payments), { created: 2, matched: 0, skipped: 0, failed: 0 });
+  });
+
+  await t.test('matches records already here and keeps current settings', async () => {
+    const existing = {
+      ...EMPTY,
+      customers: [{ id: 7, name: 'Asha Traders Pvt Ltd', phone: '+91 98765 43210' }],
+      bills: [{ id: 70, billNumber: 'BILL-0010', customerId: 7, billAmount: 1180 }, { id: 71, billNumber: 'BILL-0011', customerId: 7, billAmount: 999 }],
+      payments: [{ id: 80, customerId: 7, amount: 1180, mode: 'UPI', paymentDate: '2026-09-05T00:00:00Z', paymentReference: 'UTR1' }],
+      filterPresets: [{ id: 90, name: 'unpaid this month' }],
+      dashboardLayout: { widgets: [{ widgetId: 'ageing' }] },
+      invoiceSettings: { layout: 'classic' }
+    };
+    const api = fakeApi();
+    const report = await app.restoreBackup(BACKUP, existing, api);
+
+    assert.equal(report.idMap.customers[1], 7);
+    assert.equal(report.idMap.bills[10], 70);
+    assert.equal(report.idMap.payments[20], 80);
+    const bills = api.calls.filter(c => c[0] === 'createBill').map(c => plain(c[1]));
+    assert.equal(bills[0].billNumber, undefined);
+    assert.deepEqual(plain(report.counts.filterPresets), { created: 0, matched: 1, skipped: 0, failed: 0 });
+    assert.equal(api.calls.some(c => c[0] === 'saveDashboardLayout' || c[0] === 'updateInvoiceSettings'), false);
+    assert.deepEqual(plain(report.conflicts.filter(c => c.collection !== 'payments').map(c => c.message)), [
+      'Matched existing customer "Asha Traders Pvt Ltd" by phone',
+      'Bill number BILL-0011 is already used; restored with a new number',
+      'Kept the current dashboard layout',
+      'Kept the current invoice design'
+    ]);
+  });
+
+  await t.test('previews without calling the API', async () => {
+    const progress = [];
+    const preview = await app.restoreBackup(BACKUP, EMPTY, {}, { dryRun: true, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+    assert.deepEqual(plain(preview.counts.bills), { created: 3, matched: 0, skipped: 0, failed: 0 });
+    assert.equal(preview.idMap.bills[11], 'new:11');
+    assert.equal(progress.at(-1), '13/13');
+  });
+
+  await t.test('skips records whose customer failed and carries on', async () => {
+    const api = fakeApi();
+    api.createCustomer = async data => {
+      if (data.name === 'Ravi Stores') throw new Error('Phone already exists');
+      return { ...data, id: 100 };
+    };
+    const report = await app.restoreBackup(BACKUP, EMPTY, api);
+    assert.deepEqual(plain(report.counts.customers), { created: 1, matched: 0, skipped: 0, failed: 1 });
+    assert.deepEqual(plain(report.counts.bills), { created: 1, matched: 0, skipped: 2, failed: 0 });
+    assert.deepEqual(plain(report.conflicts.slice(0, 2).map(c => c.message)), ['Failed: Phone already exists', 'Not restored: Its customer was not restored']);
+  });
+});
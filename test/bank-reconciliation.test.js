@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'ledger.js', 'ageing.js', 'cheques.js', 'bank-reconciliation.js'] });
+
+test('parseStatementDate and parseStatementAmount read bank formats', () => {
+  assert.deepEqual(plain(['2026-10-03', '03/10/2026', '3-Oct-26', '20261003120000[+5.5:IST]', '261003', '31/02/2026'].map(app.parseStatementDate)),
+    ['2026-10-03', '2026-10-03', '2026-10-03', '2026-10-03', '2026-10-03', '']);
+  assert.deepEqual(plain(['1,05,000.50', '₹ 250', '(1,200.00)', '300.00 Dr', '', 'n/a'].map(v => String(app.parseStatementAmount(v)))),
+    ['105000.5', '250', '-1200', '-300', 'NaN', 'NaN']);
+});
+
+test('parseBankStatement', async (t) => {
+  await t.test('reads a CSV with account details above the headings and separate credit/debit columns', () => {
+    const csv = [
+      'Account No,XXXX1234',
+      '',
+      'Date,Narration,Chq./Ref.No.,Value Dt,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+      '20/07/2026,"UPI/556677/ASHA STORES",556677,20/07/26,,"11,800.00","50,000.00"',
+      '21/07/2026,CHQ DEP 004512 SBI,,21/07/26,,10000.00,60000.00',
+      '22/07/2026,ATM WDL,,22/07/26,2000.00,,58000.00',
+      'Closing balance,,,,,,58000.00'
+    ].join('\r\n');
+    const statement = app.parseBankStatement(csv, 'statement.csv');
+    assert.equal(statement.format, 'csv');
+    assert.deepEqual(plain(statement.transactions.map(t => [t.date, t.amount, t.reference, t.chequeNumber])), [
+      ['2026-07-20', 11800, '556677', ''],
+      ['2026-07-21', 10000, '', '004512'],
+      ['2026-07-22', -2000, '', '']
+    ]);
+    assert.deepEqual(plain(statement.errors), []);
+  });
+
+  await t.test('reads OFX transactions', () => {
+    const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20261005<TRNAMT>10000.00<FITID>T100<CHECKNUM>004512<NAME>CHEQUE DEPOSIT</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20261006<TRNAMT>-150.00<FITID>T101<MEMO>Bank charges</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+    const statement = app.parseBankStatement(ofx, 'statement.ofx');
+    assert.equal(statement.format, 'ofx');
+    assert.deepEqual(plain(statement.transactions), [
+      { date: '2026-10-05', amount: 10000, description: 'CHEQUE DEPOSIT', reference: '', chequeNumber: '004512', id: 'T100' },
+      { date: '2026-10-06', amount: -150, description: 'Bank charges', reference: '', chequeNumber: '', id: 'T101' }
+    ]);
+  });
+
+  await t.test('reads MT940 statement lines with their narrative', () => {
+    const mt940 = [
+      ':20:STMT2026',
+      ':25:SBIN0001234/12345678',
+      ':60F:C261001INR50000,00',
+      ':61:2610051005CR2500,00NTRFUPI-771204//BR991',
+      ':86:UPI CREDIT FROM KIRAN',
+      'HARDWARE',
+      ':61:2610061006D150,00NCHGNONREF//BR992',
+      ':86:SMS CHARGES',
+      ':62F:C261006INR52350,00'
+    ].join('\n');
+    const statement = app.parseBankStatement(mt940);
+    assert.equal(statement.format, 'mt940');
+    assert.deepEqual(plain(statement.transactions.map(t => [t.id, t.date, t.amount, t.reference, t.description])), [
+      ['2026-10-05|BR991', '2026-10-05', 2500, 'UPI-771204', 'UPI CREDIT FROM KIRAN HARDWARE'],
+      ['2026-10-06|BR992', '2026-10-06', -150, '', 'SMS CHARGES']
+    ]);
+  });
+
+  await t.test('reports a CSV without recognisable headings', () => {
+    assert.equal(app.parseBankStatement('a,b,c\n1,2,3').errors[0].message, 'No heading row with a date and an amount or credit column was found');
+  });
+});
+
+test('matchBankTransactions', async (t) => {
+  const payments = [
+    { id: 1, customerId: 1, amount: 11800, mode: 'UPI', paymentReference: 'UPI-556677', paymentDate: '2026-07-18T00:00:00Z', cleared: true },
+    { id: 2, customerId: 2, amount: 2500, mode: 'Cash', paymentDate: '2026-07-20T00:00:00Z', cleared: true },
+    { id: 3, customerId: 3, amount: 10000, mode: 'Cheque', chequeNumber: '004512', paymentDate: '2026-07-01T00:00:00Z', cleared: false, chequeStatus: 'Deposited' },
+    { id: 4, customerId: 4, amount: 900, mode: 'UPI', paymentDate: '2026-07-20T00:00:00Z', cleared: true },
+    { id: 5, customerId: 5, amount: 900, mode: 'UPI', paymentDate: '2026-07-21T00:00:00Z', cleared: true },
+    { id: 6, customerId: 6, amount: 700, mode: 'UPI', paymentDate: '2026-07-01T00:00:00Z', cleared: true, bankTransactionId: 'T9' },
+    { id: 7, customerId: 6, amount: 5000, mode: 'Cheque', chequeNumber: '000999', paymentDate: '2026-07-01T00:00:00Z', cleared: false, chequeStatus: 'Bounced' }
+  ];
+  const line = (id, date, amount, extra = {}) => ({ id, date, amount, description: '', reference: '', chequeNumber: '', ...extra });
+  const result = app.matchBankTransactions([
+    line('A', '2026-07-20', 11800, { description: 'UPI/556677/ASHA STORES' }),
+    line('B', '2026-07-21', 10000, { chequeNumber: '4512' }),
+    line('C', '2026-07-22', 2500),
+    line('D', '2026-07-21', 900),
+    line('E', '2026-07-21', 5000, { chequeNumber: '000999' }),
+    line('T9', '2026-07-01', 700),
+    line('F', '2026-07-22', -300)
+  ], payments);
+
+  await t.test('matches on reference, cheque number, then a single amount and date fit', () => {
+    assert.deepEqual(plain(result.matched.map(m => [m.transaction.id, m.payment.id, m.reason])), [
+      ['A', 1, 'reference'], ['B', 3, 'cheque'], ['C', 2, 'date']
+    ]);
+  });
+
+  await t.test('leaves ambiguous lines and returned cheques for review, with suggestions', () => {
+    assert.deepEqual(plain(result.unmatched.map(u => [u.transaction.id, u.candidates.map(p => p.id)])), [['D', [5, 4]], ['E', []]]);
+  });
+
+  await t.test('sets aside debits and lines already reconciled', () => {
+    assert.deepEqual(plain(result.debits.map(t => t.id)), ['F']);
+    assert.deepEqual(plain(result.reconciled.map(r => [r.transaction.id, r.payment.id])), [['T9', 6]]);
+  });
+
+  await t.test('the date window is configurable', () => {
+    const strict = app.matchBankTransactions([line('C', '2026-07-22', 2500)], payments, { dateWindowDays: 1 });
+    assert.equal(strict.matched.length, 0);
+  });
+});
+
+test('bankTransactionToPayment records a cleared payment for the statement line', () => {
+  const payment = app.bankTransactionToPayment({ id: 'T100', date: '2026-10-05', amount: 10000, description: 'CHEQUE DEPOSIT', reference: '', chequeNumber: '004512' }, 3);
+  assert.deepEqual(plain(payment), {
+    customerId: 3, amount: 10000, paymentDate: '2026-10-05T00:00:00.000Z', mode: 'Cheque', paymentReference: null,
+    chequeNumber: '004512', notes: 'Bank statement: CHEQUE DEPOSIT', cleared: true, linkedBills: [], bankTransactionId: 'T100'
+  });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'ledger.js', 'cheques.js'] });
+
+const cheques = [
+  { id: 1, customerId: 7, mode: 'Cheque', chequeNumber: '000111', amount: 5000, paymentDate: '2026-06-01', cleared: true },
+  { id: 2, customerId: 7, mode: 'Cheque', chequeNumber: '000112', amount: 2000, paymentDate: '2026-06-03', chequeDate: '2026-06-20', cleared: false, bankName: 'HDFC Bank', bankBranch: 'Baner' },
+  {
+    id: 3, customerId: 8, mode: 'Cheque', chequeNumber: '000113', amount: 1500, paymentDate: '2026-06-05', cleared: false, chequeStatus: 'Bounced', bounceCharges: 250,
+    chequeHistory: [{ status: 'Received', date: '2026-06-05' }, { status: 'Deposited', date: '2026-06-06' }, { status: 'Bounced', date: '2026-06-09', note: 'Insufficient funds' }]
+  },
+  { id: 4, customerId: 8, mode: 'UPI', amount: 900, paymentDate: '2026-06-05', cleared: true }
+];
+
+test('getChequeStatus reads the state, falling back to the cleared flag', () => {
+  assert.deepEqual(plain(cheques.map(p => app.getChequeStatus(p))), ['Cleared', 'Received', 'Bounced', null]);
+});
+
+test('getChequeActions follows the lifecycle', () => {
+  assert.deepEqual(plain(app.getChequeActions(cheques[1])), ['Deposited', 'Cancelled']);
+  assert.deepEqual(plain(app.getChequeActions(cheques[2])), ['Represented', 'Cancelled']);
+  assert.deepEqual(plain(app.getChequeActions({ ...cheques[2], chequeStatus: 'Cancelled' })), []);
+});
+
+test('validateChequeTransition', async (t) => {
+  await t.test('rejects moves the lifecycle does not allow', () => {
+    const result = app.validateChequeTransition(cheques[1], 'Cleared', {}, '2026-06-25');
+    assert.equal(result.errors[0].message, 'A received cheque cannot be marked cleared');
+    assert.equal(app.validateChequeTransition(cheques[3], 'Deposited').errors[0].field, 'mode');
+  });
+
+  await t.test('holds post-dated cheques until their date', () => {
+    assert.equal(app.isPostDatedCheque(cheques[1], '2026-06-10'), true);
+    const early = app.validateChequeTransition(cheques[1], 'Deposited', { date: '2026-06-10' });
+    assert.equal(early.errors[0].message, 'Post-dated cheque cannot be deposited before 2026-06-20');
+    assert.equal(app.validateChequeTransition(cheques[1], 'Deposited', { date: '2026-06-20' }).valid, true);
+  });
+
+  await t.test('needs a reason and non-negative charges to bounce', () => {
+    const deposited = { ...cheques[1], chequeStatus: 'Deposited' };
+    assert.deepEqual(plain(app.validateChequeTransition(deposited, 'Bounced', { bounceCharges: -1 }).errors.map(e => e.field)), ['reason', 'bounceCharges']);
+    assert.deepEqual(plain(app.validateChequeTransition(deposited, 'Bounced', { reason: 'Funds insufficient', bounceCharges: -1 }).errors.map(e => e.message)), ['Bounce charges cannot be negative']);
+    assert.deepEqual(plain(app.validateChequeTransition(deposited, 'Bounced', { reason: 'Funds insufficient', bounceCharges: 'abc' }).errors.map(e => e.message)), ['Bounce charges must be a number']);
+    assert.equal(app.validateChequeTransition(deposited, 'Bounced', { reason: 'Signature mismatch', bounceCharges: 300 }).valid, true);
+  });
+});
+
+test('bounced and cancelled cheques are not pending in the ledger', () => {
+  const ledger = app.buildCustomerLedger({ id: 8 }, [], cheques.filter(p => p.customerId === 8));
+  assert.equal(ledger.uncleared.length, 0);
+  assert.equal(app.isReturnedCheque(cheques[2]), true);
+});
+
+test('buildChequeRegister filters by state and cheque date', () => {
+  const register = app.buildChequeRegister(cheques, { customerMap: { 7: 'Asha Stores', 8: 'Ravi Traders' }, asOf: '2026-06-10' });
+  assert.deepEqual(plain(register.rows.map(r => [r.id, r.status, r.chequeDate])), [[1, 'Cleared', '2026-06-01'], [3, 'Bounced', '2026-06-05'], [2, 'Received', '2026-06-20']]);
+  assert.equal(register.rows[2].postDated, true);
+  assert.equal(register.rows[1].note, 'Insufficient funds');
+  assert.deepEqual(plain(register.totals.Bounced), { count: 1, amount: 1500 });
+  assert.equal(register.amount, 8500);
+
+  assert.deepEqual(plain(app.buildChequeRegister(cheques, { status: 'Bounced' }).rows.map(r => r.id)), [3]);
+  assert.deepEqual(plain(app.buildChequeRegister(cheques, { from: '2026-06-02', to: '2026-06-10' }).rows.map(r => r.id)), [3]);
+});
+
+test('chequeRegisterToCSV', () => {
+  const register = app.buildChequeRegister(cheques.slice(1, 3), { customerMap: { 7: 'Asha Stores', 8: 'Ravi Traders' }, asOf: '2026-06-10' });
+  assert.equal(app.chequeRegisterToCSV(register), [
+    'Cheque #,Cheque Date,Customer Name,Bank,Branch,Amount,Status,Bounce Charges,Note',
+    '000113,2026-06-05,Ravi Traders,,,1500.00,Bounced,250.00,Insufficient funds',
+    '000112,2026-06-20,Asha Stores,HDFC Bank,Baner,2000.00,Received (post-dated),,'
+  ].join('\n'));
+});
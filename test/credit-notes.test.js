@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'ledger.js', 'ageing.js', 'payment-terms.js', 'credit-notes.js'] });
+
+const bill = { id: 2, customerId: 7, billAmount: 1000, billDate: '2026-06-01', dueDate: '2026-06-30' };
+const creditNotes = [{ id: 1, billId: 2, amount: 300, reason: 'Short supply' }];
+
+test('validateCreditNote', async (t) => {
+  await t.test('allows partial and full credit up to what is left on the bill', () => {
+    assert.equal(app.getCreditableAmount(bill, creditNotes), 700);
+    assert.equal(app.validateCreditNote({ amount: '700', reason: 'Returned' }, bill, creditNotes).valid, true);
+    const over = app.validateCreditNote({ amount: '700.01', reason: 'Returned' }, bill, creditNotes);
+    assert.equal(over.errors[0].message, 'Credit cannot exceed ₹700.00 left on this bill');
+  });
+
+  await t.test('requires an amount and a reason', () => {
+    const result = app.validateCreditNote({ amount: '', reason: ' ' }, bill);
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['amount', 'reason']);
+  });
+
+  await t.test('rejects cancelled bills and dates before the bill', () => {
+    assert.equal(app.validateCreditNote({ amount: 10, reason: 'x' }, { ...bill, status: 'Cancelled' }).errors[0].message, 'Cancelled bills cannot be credited');
+    assert.equal(app.validateCreditNote({ amount: 10, reason: 'x', creditNoteDate: '2026-05-31' }, bill).errors[0].field, 'creditNoteDate');
+  });
+});
+
+test('validateBillCancellation only allows bills without payments', () => {
+  assert.equal(app.validateBillCancellation(bill, []).valid, true);
+  assert.equal(app.validateBillCancellation(bill, [{ id: 5, linkedBills: [{ billId: 2, allocatedAmount: 100 }] }]).valid, false);
+  assert.equal(app.validateBillCancellation({ ...bill, status: 'Cancelled' }, []).message, 'Bill is already cancelled');
+});
+
+test('validateRefund takes a positive amount and a mode', () => {
+  assert.equal(app.validateRefund({ customerId: 7, amount: 250, mode: 'Cash' }).valid, true);
+  assert.deepEqual(plain(app.validateRefund({ customerId: 7, amount: -250 }).errors.map(e => e.field)), ['amount', 'mode']);
+});
+
+test('summarizeReceivables', () => {
+  const bills = [bill, { id: 3, customerId: 7, billAmount: 400, billDate: '2026-06-05', status: 'Cancelled' }];
+  const payments = [
+    { id: 1, amount: 500, mode: 'UPI', linkedBills: [{ billId: 2, allocatedAmount: 500 }] },
+    { id: 2, amount: 200, mode: 'Cheque', cleared: false, linkedBills: [{ billId: 2, allocatedAmount: 200 }] },
+    { id: 3, amount: -100, mode: 'Cash', linkedBills: [] }
+  ];
+  const notes = [...creditNotes, { id: 2, billId: 3, amount: 50 }];
+  assert.deepEqual(plain(app.summarizeReceivables(bills, payments, notes)), {
+    billed: 1000, credited: 300, paid: 500, refunded: 100, outstanding: 300
+  });
+});
+
+test('bill status with credit notes and cancellation', () => {
+  assert.equal(app.deriveBillStatus(bill, 0, '2026-06-15', 300), 'Partial');
+  assert.equal(app.deriveBillStatus(bill, 700, '2026-07-15', 300), 'Paid');
+  assert.equal(app.deriveBillStatus(bill, 0, '2026-07-15', 1000), 'Credited');
+  assert.equal(app.deriveBillStatus({ ...bill, status: 'Cancelled' }, 0, '2026-07-15'), 'Cancelled');
+  assert.equal(app.getBillDisplayStatus({ ...bill, status: 'Cancelled' }, '2026-07-15'), 'Cancelled');
+  assert.deepEqual(plain(app.applyDerivedBillStatus([bill], [], '2026-06-15', [{ billId: 2, amount: 1000 }]).map(b => b.status)), ['Credited']);
+});
+
+test('ageing leaves out cancelled bills and credited amounts', () => {
+  const bills = [bill, { id: 3, customerId: 7, billAmount: 400, billDate: '2026-06-05', status: 'Cancelled' }];
+  const report = app.buildAgeingReport(bills, [], [{ id: 7, name: 'Asha Stores' }], { asOf: '2026-06-20', creditNotes });
+  assert.equal(report.total, 700);
+  assert.deepEqual(plain(report.customers[0].bills.map(b => [b.id, b.credited, b.balance])), [[2, 300, 700]]);
+});
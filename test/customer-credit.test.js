@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'ledger.js', 'ageing.js', 'payment-terms.js', 'credit-notes.js', 'customer-credit.js'] });
+
+const bills = [
+  { id: 3, customerId: 7, billAmount: 800, billDate: '2026-06-10', dueDate: '2026-06-25' },
+  { id: 1, customerId: 7, billAmount: 1000, billDate: '2026-05-01', dueDate: '2026-05-31' },
+  { id: 2, customerId: 7, billAmount: 500, billDate: '2026-05-20', dueDate: '2026-06-04', status: 'Cancelled' },
+  { id: 4, customerId: 7, billAmount: 300, billDate: '2026-06-01', dueDate: '2026-06-01' }
+];
+const payments = [
+  { id: 10, amount: 400, mode: 'UPI', paymentDate: '2026-05-15', linkedBills: [{ billId: 1, allocatedAmount: 400 }] },
+  { id: 11, amount: 700, mode: 'Cash', paymentDate: '2026-06-05', linkedBills: [] },
+  { id: 12, amount: 900, mode: 'Cheque', cleared: false, paymentDate: '2026-06-06', linkedBills: [] }
+];
+
+test('getOpenBills lists what is left on each bill, oldest due first', () => {
+  const open = app.getOpenBills(bills, payments, [{ billId: 4, amount: 100 }]);
+  assert.deepEqual(plain(open.map(b => [b.id, b.balance])), [[1, 600], [4, 200], [3, 800]]);
+});
+
+test('allocateOldestFirst spreads an amount and leaves the rest unallocated', () => {
+  const open = app.getOpenBills(bills, payments);
+  assert.deepEqual(plain(app.allocateOldestFirst(750, open)), [{ billId: 1, amount: 600 }, { billId: 4, amount: 150 }]);
+  assert.deepEqual(plain(app.allocateOldestFirst(2000, open).map(lb => lb.amount)), [600, 300, 800]);
+});
+
+test('validatePaymentAllocations', async (t) => {
+  const open = app.getOpenBills(bills, payments);
+
+  await t.test('allows less than the payment', () => {
+    assert.equal(app.validatePaymentAllocations(1000, [{ billId: 1, amount: 600 }], open).valid, true);
+  });
+
+  await t.test('rejects more than the payment or the bill balance', () => {
+    assert.equal(app.validatePaymentAllocations(500, [{ billId: 1, amount: 600 }]).errors[0].message, 'Allocated ₹600.00 is more than the payment of ₹500.00');
+    assert.equal(app.validatePaymentAllocations(1000, [{ billId: 1, amount: 650 }], open).errors[0].message, 'Bill #1 only has ₹600.00 left to pay');
+    assert.equal(app.validatePaymentAllocations(1000, [{ billId: 2, amount: 100 }], open).errors[0].message, 'Bill #2 has nothing left to pay');
+  });
+});
+
+test('getCustomerCredit counts cleared unallocated amounts less refunds', () => {
+  const credit = app.getCustomerCredit([...payments,
+    { id: 13, amount: 1000, mode: 'UPI', paymentDate: '2026-06-07', linkedBills: [{ billId: 3, allocatedAmount: 800 }] },
+    { id: 14, amount: -250, mode: 'Cash', paymentDate: '2026-06-08', linkedBills: [] }
+  ]);
+  assert.equal(credit.unallocated, 900);
+  assert.equal(credit.refunded, 250);
+  assert.equal(credit.available, 650);
+  assert.deepEqual(plain(credit.payments.map(p => [p.payment.id, p.available])), [[11, 450], [13, 200]]);
+});
+
+test('suggestCreditAllocations applies the oldest credit to the oldest bills', () => {
+  assert.deepEqual(plain(app.suggestCreditAllocations(bills, payments)), [
+    { paymentId: 11, billId: 1, amount: 600 },
+    { paymentId: 11, billId: 4, amount: 100 }
+  ]);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const SCRIPTS = ['api-config.js', 'api-service.js', 'app.js', 'gst.js', 'ledger.js', 'payment-terms.js', 'cheques.js', 'recurring-bills.js', 'quotations.js', 'data-export.js'];
+
+const CONTEXT = {
+  customerMap: { 1: 'Asha Traders', 2: 'Ravi Stores' },
+  billMap: { 10: { id: 10, billNumber: 'BILL-0010' }, 11: { id: 11, billNumber: 'BILL-0011' } }
+};
+const BILLS = [
+  { id: 10, billNumber: 'BILL-0010', customerId: 1, billAmount: '1180.005', billDate: '2026-09-01T00:00:00Z', dueDate: '2099-10-01', status: 'Unpaid', notes: '=SUM(A1)' },
+  { id: 11, billNumber: 'BILL-0011', customerId: 2, billAmount: 0, billDate: '2026-09-02', dueDate: '2026-10-02', status: 'Paid', notes: '' }
+];
+const PAYMENTS = [
+  { id: 20, customerId: 1, amount: 500, mode: 'UPI', paymentDate: '2026-09-05', linkedBills: [{ billId: 10, amount: 300 }, { billId: 11, amount: 200 }] },
+  { id: 21, customerId: 2, amount: -50, mode: 'Cheque', chequeNumber: '000123', paymentDate: '2026-09-06', billId: 99, cleared: false }
+];
+
+test('buildExportSheet', async (t) => {
+  const app = loadApp({ scripts: SCRIPTS });
+
+  await t.test('writes typed values with names instead of IDs and keeps zeros', () => {
+    const sheet = app.buildExportSheet('bills', BILLS, { context: CONTEXT });
+    assert.deepEqual(plain(sheet.columns.map(c => c.label)), ['Bill Number', 'Customer', 'Bill Date', 'Due Date', 'Amount', 'Status', 'Notes']);
+    assert.deepEqual(plain(sheet.rows), [
+      ['BILL-0010', 'Asha Traders', '2026-09-01', '2099-10-01', 1180.01, 'Unpaid', '=SUM(A1)'],
+      ['BILL-0011', 'Ravi Stores', '2026-09-02', '2026-10-02', 0, 'Paid', '']
+    ]);
+    assert.deepEqual(plain(sheet.totals), [null, null, null, null, 1180.01, null, null]);
+  });
+
+  await t.test('lists allocated bills by number and reads cheque state', () => {
+    const sheet = app.buildExportSheet('payments', PAYMENTS, { columns: ['customer', 'bills', 'amount', 'type', 'cleared'], context: CONTEXT });
+    assert.deepEqual(plain(sheet.rows), [
+      ['Payment', 'Asha Traders', 'BILL-0010, BILL-0011', 500, true],
+      ['Refund', 'Ravi Stores', '#99', -50, false]
+    ]);
+    assert.deepEqual(plain(sheet.totals), [null, null, null, 450, null]);
+  });
+
+  await t.test('writes credit notes with bill numbers and customer names', () => {
+    const notes = [{ id: 1, creditNoteNumber: 'CN-0001', creditNoteDate: '2026-09-10T00:00:00Z', billId: 10, customerId: 1, amount: 300, reason: 'Short supply, 3 units' }];
+    const sheet = app.buildExportSheet('creditNotes', notes, { context: CONTEXT });
+    assert.deepEqual(plain(sheet.rows), [['CN-0001', '2026-09-10', 'BILL-0010', 'Asha Traders', 300, 'Short supply, 3 units']]);
+  });
+
+  await t.test('has no totals row without money columns or rows', () => {
+    assert.equal(app.buildExportSheet('bills', BILLS, { columns: ['billNumber'] }).totals, null);
+    assert.equal(app.buildExportSheet('bills', [], {}).totals, null);
+  });
+});
+
+test('export columns are remembered per entity', () => {
+  const app = loadApp({ scripts: SCRIPTS });
+  assert.equal(app.getExportColumnKeys('customers').includes('id'), false);
+  app.saveExportColumnKeys('customers', ['id', 'name', 'gone']);
+  assert.deepEqual(plain(app.getExportColumnKeys('customers')), ['id', 'name']);
+  assert.deepEqual(plain(app.getExportColumnKeys('bills')), ['billNumber', 'customer', 'billDate', 'dueDate', 'billAmount', 'status', 'notes']);
+});
+
+test('exportSheetsToCSV', async (t) => {
+  const app = loadApp({ scripts: SCRIPTS });
+
+  const toCSV = async (sheets, options) => (await app.exportSheetsToCSV(sheets, options)).join('');
+
+  await t.test('formats money and booleans and adds a totals row', async () => {
+    const sheet = app.buildExportSheet('payments', PAYMENTS, { columns: ['customer', 'amount', 'cleared'], context: CONTEXT });
+    assert.equal(await toCSV([sheet]), 'Customer,Amount,Cleared\nAsha Traders,500.00,Yes\nRavi Stores,-50.00,No\nTotal,450.00,');
+  });
+
+  await t.test('writes several sheets as titled sections', async () => {
+    const customers = app.buildExportSheet('customers', [{ id: 1, name: 'Asha, Traders' }], { columns: ['name'] });
+    const bills = app.buildExportSheet('bills', [], { columns: ['billNumber', 'billAmount'] });
+    assert.equal(await toCSV([customers, bills], { delimiter: ';' }), 'Customers\nName\nAsha, Traders\n\nBills\nBill Number;Amount');
+  });
+
+  await t.test('guards formulas and writes dates in the chosen style', async () => {
+    const sheet = app.buildExportSheet('bills', BILLS.slice(0, 1), { columns: ['billDate', 'notes'] });
+    assert.equal(await toCSV([sheet]), "Bill Date,Notes\n2026-09-01,'=SUM(A1)");
+    assert.equal(await toCSV([sheet], { dates: 'locale' }), `Bill Date,Notes\n${app.formatDateOnly('2026-09-01')},'=SUM(A1)`);
+  });
+});
+
+test('buildExcelWorksheet writes number, date and currency cells with a SUM totals row', () => {
+  const app = loadApp({ scripts: SCRIPTS });
+  const sheet = app.buildExportSheet('bills', BILLS, { columns: ['billNumber', 'billDate', 'billAmount', 'notes'], context: CONTEXT });
+  const ws = plain(app.buildExcelWorksheet(sheet));
+  assert.deepEqual(ws.A1, { t: 's', v: 'Bill Number' });
+  assert.deepEqual(ws.B2, { t: 'n', v: 46266, z: 'dd-mmm-yyyy' });
+  assert.deepEqual(ws.C3, { t: 'n', v: 0, z: '"₹"#,##0.00' });
+  assert.deepEqual(ws.D2, { t: 's', v: '=SUM(A1)' });
+  assert.deepEqual(ws.A4, { t: 's', v: 'Total' });
+  assert.deepEqual(ws.C4, { t: 'n', v: 1180.01, z: '"₹"#,##0.00', f: 'SUM(C2:C3)' });
+  assert.equal(ws['!ref'], 'A1:D4');
+  assert.deepEqual(ws['!autofilter'], { ref: 'A1:D3' });
+  assert.equal(ws['!cols'].length, 4);
+});
+
+test('exportSheetsToXlsx adds one worksheet per sheet with valid, unique names', () => {
+  const app = loadApp({ scripts: SCRIPTS });
+  const appended = [];
+  app.XLSX = {
+    utils: { book_new: () => ({}), book_append_sheet: (wb, ws, name) => appended.push(name) },
+    write: (wb, options) => options
+  };
+  const sheet = name => ({ ...app.buildExportSheet('customers', [], { columns: ['name'] }), name });
+  assert.deepEqual(plain(app.exportSheetsToXlsx([sheet('Bills'), sheet('bills'), sheet('Q3/Q4: [draft]')])), { bookType: 'xlsx', type: 'array' });
+  assert.deepEqual(appended, ['Bills', 'bills 2', 'Q3 Q4   draft']);
+});
+
+test('exportSheetsToJSON keys records by column with the filters used', () => {
+  const app = loadApp({ scripts: SCRIPTS });
+  const sheet = app.buildExportSheet('bills', BILLS, { columns: ['billNumber', 'billAmount', 'dueDate'] });
+  const json = plain(app.exportSheetsToJSON([sheet], { filters: { search: 'asha' } }));
+  assert.deepEqual(json.filters, { search: 'asha' });
+  assert.deepEqual(json.data, { bills: [{ billNumber: 'BILL-0010', billAmount: 1180.01, dueDate: '2099-10-01' }, { billNumber: 'BILL-0011', billAmount: 0, dueDate: '2026-10-02' }] });
+  assert.deepEqual(json.totals, { bills: { billAmount: 1180.01 } });
+});
+
+test('Excel export is only offered once the XLSX library is loaded', async () => {
+  const app = loadApp({ scripts: SCRIPTS });
+  assert.equal(app.isExportFormatAvailable('xlsx'), false);
+  assert.equal(app.isExportFormatAvailable('csv'), true);
+  await assert.rejects(() => app.downloadExport('xlsx', [], 'bills'), /Excel export is not available/);
+  app.XLSX = {};
+  assert.equal(app.isExportFormatAvailable('xlsx'), true);
+});
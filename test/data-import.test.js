@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'gst.js', 'payment-terms.js', 'ledger.js', 'ageing.js', 'cheques.js', 'bank-reconciliation.js', 'data-import.js'] });
+
+const CUSTOMERS = [
+  { id: 1, name: 'Asha Traders', phone: '98765 43210', isActive: true },
+  { id: 2, name: 'Ravi Stores', phone: '9123456780', isActive: true },
+  { id: 3, name: 'Ravi Stores', phone: '9000000001', isActive: true },
+  { id: 4, name: 'Closed Co', phone: '9000000002', isActive: false }
+];
+const BILLS = [
+  { id: 10, billNumber: 'BILL-0010', customerId: 1, billAmount: 1180, status: 'Unpaid' },
+  { id: 11, billNumber: 'BILL-0011', customerId: 2, billAmount: 500, status: 'Partial' },
+  { id: 12, billNumber: 'BILL-0012', customerId: 1, billAmount: 200, status: 'Cancelled' }
+];
+
+function recordsFor(entityType, csv) {
+  const sheet = app.parseImportCSV(csv);
+  return app.buildImportRecords(entityType, sheet, app.suggestImportMapping(entityType, sheet.headers));
+}
+
+test('parseImportCSV', async (t) => {
+  await t.test('reads quoted cells with commas, quotes and line breaks', () => {
+    const sheet = app.parseImportCSV('\uFEFFName,Address,Phone\r\n"Asha Traders","12 MG Road,\nPune",9876543210\r\n\r\n"Ravi ""RS"" Stores",,9123456780\r\n');
+    assert.deepEqual(plain(sheet.headers), ['Name', 'Address', 'Phone']);
+    assert.deepEqual(plain(sheet.rows), [
+      { rowNumber: 2, cells: ['Asha Traders', '12 MG Road,\nPune', '9876543210'] },
+      { rowNumber: 4, cells: ['Ravi "RS" Stores', '', '9123456780'] }
+    ]);
+  });
+
+  await t.test('recognises semicolon and tab separated files', () => {
+    assert.deepEqual(plain(app.parseImportCSV('Name;Phone\nAsha;9876543210').rows[0].cells), ['Asha', '9876543210']);
+    assert.deepEqual(plain(app.parseImportCSV('Name\tPhone\nAsha\t9876543210').rows[0].cells), ['Asha', '9876543210']);
+  });
+
+  await t.test('takes off the formula guard added on export', () => {
+    const csv = app.convertToCSV([{ name: '=Asha', phone: '+91 98765 43210', note: "'quoted'" }], [{ key: 'name', label: 'Name' }, { key: 'phone', label: 'Phone' }, { key: 'note', label: 'Note' }]);
+    assert.deepEqual(plain(app.parseImportCSV(csv).rows[0].cells), ['=Asha', '+91 98765 43210', "'quoted'"]);
+  });
+
+  await t.test('has nothing to import in an empty file', () => {
+    assert.deepEqual(plain(app.parseImportCSV('\n\n')), { headers: [], rows: [] });
+  });
+});
+
+test('suggestImportMapping matches headings by label, key or alias and uses each column once', () => {
+  assert.deepEqual(plain(app.suggestImportMapping('customers', ['Customer Name', 'Mobile No.', 'GSTIN', 'Opening Balance', 'Notes'])),
+    { name: 0, phone: 1, gstNumber: 2, openingBalance: 3 });
+  assert.deepEqual(plain(app.suggestImportMapping('payments', ['Date', 'Party', 'Invoice No', 'Amount', 'Payment Mode', 'UTR'])),
+    { customer: 1, bill: 2, amount: 3, paymentDate: 0, mode: 4, paymentReference: 5 });
+  assert.deepEqual(plain(app.getMissingImportFields('payments', { customer: 0, amount: 1 }).map(f => f.key)), ['bill', 'mode']);
+});
+
+test('findImportCustomer', async (t) => {
+  await t.test('finds customers by phone, ID or a unique name', () => {
+    assert.equal(app.findImportCustomer('+91 98765-43210', CUSTOMERS).customer.id, 1);
+    assert.equal(app.findImportCustomer('2', CUSTOMERS).customer.id, 2);
+    assert.equal(app.findImportCustomer('  asha   TRADERS ', CUSTOMERS).customer.id, 1);
+  });
+
+  await t.test('asks for a phone number when a name is shared', () => {
+    assert.equal(app.findImportCustomer('Ravi Stores', CUSTOMERS).error, 'More than one customer is named "Ravi Stores"; use their phone number');
+    assert.equal(app.findImportCustomer('9000000001', CUSTOMERS).customer.id, 3);
+  });
+
+  await t.test('ignores inactive customers', () => {
+    assert.equal(app.findImportCustomer('Closed Co', CUSTOMERS).error, 'No customer matches "Closed Co"');
+    assert.equal(app.findImportCustomer('', CUSTOMERS).error, 'Customer is required');
+  });
+});
+
+test('validateImportRecords', async (t) => {
+  await t.test('checks customers with the form rules and flags phone numbers already in use', () => {
+    const records = recordsFor('customers', [
+      'Name,Phone,GSTIN,Payment Terms,Opening Balance',
+      'Mehta & Sons,90000 00003,,Net 30,"1,500.00"',
+      'Bad Phone,12345,,,',
+      'Copy Co,9000000003,,,',
+      'Asha Again,9876543210,,,',
+      'Wrong Terms,9000000004,,Net 45,abc'
+    ].join('\n'));
+    app.validateImportRecords('customers', records, { customers: CUSTOMERS });
+    assert.deepEqual(plain(records[0].payload), {
+      name: 'Mehta & Sons', phone: '9000000003', email: '', address: '', city: '', state: '', pincode: '',
+      gstNumber: '', openingBalance: 1500, paymentTerms: 'net30', paymentTermsDays: ''
+    });
+    assert.deepEqual(plain(records.map(r => r.errors.map(e => `${e.field}: ${e.message}`))), [
+      ['name: Name contains invalid characters'],
+      ['phone: Phone must be 10 digits'],
+      ['phone: Phone is already used by row 2'],
+      ['phone: Phone is already used by customer Asha Traders'],
+      ['openingBalance: Opening balance must be a number', 'paymentTerms: Unknown payment terms']
+    ]);
+  });
+
+  await t.test('resolves bill customers and reads dates and amounts', () => {
+    const records = recordsFor('bills', [
+      'Customer,Amount,Invoice Date,Due Date',
+      '9876543210,"₹ 1,180.00",01/10/2026,31-Oct-2026',
+      'Ravi Stores,500,2026-10-01,',
+      'Asha Traders,0,2026-10-05,2026-10-01',
+      'Asha Traders,100,31/02/2026,'
+    ].join('\n'));
+    app.validateImportRecords('bills', records, { customers: CUSTOMERS });
+    assert.deepEqual(plain(records[0].payload), { customerId: 1, billAmount: 1180, billDate: '2026-10-01', dueDate: '2026-10-31', notes: '' });
+    assert.deepEqual(plain(records.map(r => r.errors.map(e => e.field))), [
+      [],
+      ['customer'],
+      ['billAmount', 'dueDate'],
+      ['billDate']
+    ]);
+  });
+
+  await t.test('resolves payment bills by number and checks they belong to the customer', () => {
+    const records = recordsFor('payments', [
+      'Customer,Bill Number,Amount,Mode,Cheque No',
+      'Asha Traders,bill-0010,500,gpay,',
+      'Asha Traders,BILL-0011,500,Cash,',
+      'Asha Traders,BILL-0012,200,Cash,',
+      'Asha Traders,10,100,Cheque,',
+      'Asha Traders,BILL-0099,100,Card,'
+    ].join('\n'));
+    app.validateImportRecords('payments', records, { customers: CUSTOMERS, bills: BILLS });
+    assert.equal(records[0].payload.billId, 10);
+    assert.equal(records[0].payload.mode, 'UPI');
+    assert.deepEqual(plain(records.map(r => r.errors.map(e => e.message))), [
+      [],
+      ['Bill BILL-0011 belongs to another customer'],
+      ['Bill BILL-0012 is cancelled'],
+      ['Cheque number is required for cheque payments'],
+      ['No bill matches "BILL-0099"', 'Payment mode is required']
+    ]);
+  });
+});
+
+test('upload chunks and error reports', async (t) => {
+  const records = recordsFor('bills', 'Customer,Amount,Notes\nAsha Traders,100,"Line one\nline two"\nNobody,50,\nAsha Traders,75,"Say ""hi"", ok"');
+  app.validateImportRecords('bills', records, { customers: CUSTOMERS });
+
+  await t.test('splits rows into chunks', () => {
+    assert.deepEqual(plain(app.chunkImportRecords([1, 2, 3, 4, 5], 2)), [[1, 2], [3, 4], [5]]);
+  });
+
+  await t.test('uploads payloads in the API field names, one row per line', () => {
+    assert.equal(app.buildImportChunkCSV('bills', records.filter(r => r.errors.length === 0)), [
+      'customerId,billAmount,billDate,dueDate,notes',
+      '1,100,,,Line one line two',
+      '1,75,,,"Say ""hi"", ok"'
+    ].join('\n'));
+  });
+
+  await t.test('uploads comma separated text as entered, whatever the saved CSV settings', () => {
+    app.saveCSVSettings({ delimiter: ';', dates: 'locale' });
+    try {
+      const chunk = [{ payload: { customerId: 1, billAmount: 100, billDate: '2026-09-01', notes: '-50 off; paid by =cheque' } }];
+      assert.equal(app.buildImportChunkCSV('bills', chunk), 'customerId,billAmount,billDate,dueDate,notes\n1,100,2026-09-01,,-50 off; paid by =cheque');
+      assert.equal(app.buildImportChunkCSV('customers', [{ payload: { name: '+Plus Traders', phone: '+919876543210' } }]).split('\n')[1], '+Plus Traders,+919876543210,,,,,,,,,');
+    } finally {
+      app.localStorage.removeItem('csvSettings');
+    }
+  });
+
+  await t.test('reports failed rows under the import headings so the file can be imported again', () => {
+    const report = app.buildImportErrorReport('bills', records);
+    assert.equal(report, 'Row,Customer,Bill Amount,Bill Date,Due Date,Notes,Errors\n3,Nobody,50,,,,"No customer matches ""Nobody"""');
+    const sheet = app.parseImportCSV(report);
+    assert.deepEqual(plain(app.suggestImportMapping('bills', sheet.headers)), { customer: 1, billAmount: 2, billDate: 3, dueDate: 4, notes: 5 });
+  });
+
+  await t.test('builds a template the wizard maps on its own', () => {
+    const sheet = app.parseImportCSV(app.buildImportTemplate('payments'));
+    assert.equal(app.getMissingImportFields('payments', app.suggestImportMapping('payments', sheet.headers)).length, 0);
+    assert.deepEqual(plain(sheet.rows[0].cells.slice(0, 3)), ['Asha Traders', 'BILL-0001', '500.00']);
+  });
+});
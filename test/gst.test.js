@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'gst.js', 'ledger.js'] });
+
+const SETTINGS = { enabled: true, gstin: '27AAPFU0939F1ZV', legalName: 'Asha Traders', stateCode: '27' };
+const CUSTOMERS = [
+  { id: 1, name: 'Ravi Stores', gstNumber: '27AAPFU0939F1ZV' },
+  { id: 2, name: 'Walk-in', state: 'Maharashtra' }
+];
+const items = (rate, taxRate) => [{ description: 'Rice', hsnSac: '1006', quantity: 1, unit: 'Kg', rate, discount: 0, taxRate }];
+
+test('validateGSTIN', async (t) => {
+  await t.test('accepts a GSTIN with a valid state code and check character, in any case', () => {
+    assert.deepEqual(plain(app.validateGSTIN('27AAPFU0939F1ZV')), { valid: true, message: '' });
+    assert.equal(app.validateGSTIN(' 29aaacb1234c1zb ').valid, true);
+  });
+
+  await t.test('rejects a wrong check character, state code or format', () => {
+    assert.equal(app.validateGSTIN('27AAPFU0939F1ZX').message, 'GSTIN checksum is invalid');
+    // Check character is right for these 14 characters, but there is no state 99
+    assert.equal(app.validateGSTIN('99AAPFU0939F1ZK').message, 'GSTIN has an invalid state code');
+    assert.equal(app.validateGSTIN('27AAPFU0939F1Z').message, 'GSTIN must be 15 characters (e.g. 27AAPFU0939F1ZV)');
+    assert.equal(app.validateGSTIN('').message, 'GSTIN is required');
+  });
+});
+
+test('calculateGstBreakdown', async (t) => {
+  const lines = [
+    { description: 'Rice', hsnSac: '1006', quantity: 3, unit: 'Kg', rate: 35, discount: 0, taxRate: 5 },
+    { description: 'Oil', hsnSac: '1508', quantity: 1, unit: 'Ltr', rate: 210.3, discount: 10, taxRate: 18 },
+    { description: 'Bag', hsnSac: '6305', quantity: 2, unit: 'Nos', rate: 10, discount: 0, taxRate: 5 }
+  ];
+
+  await t.test('splits tax into CGST and SGST within the state, SGST taking the odd paisa', () => {
+    const gst = app.calculateGstBreakdown(lines, '27', '27');
+    assert.equal(gst.intraState, true);
+    assert.deepEqual(plain(gst.lines.map(l => [l.taxableAmount, l.taxAmount, l.cgstAmount, l.sgstAmount, l.igstAmount])), [
+      [105, 5.25, 2.63, 2.62, 0],
+      [189.27, 34.07, 17.04, 17.03, 0],
+      [20, 1, 0.5, 0.5, 0]
+    ]);
+    assert.deepEqual(plain(gst.rateSummary), [
+      { taxRate: 5, taxableAmount: 125, cgstAmount: 3.13, sgstAmount: 3.12, igstAmount: 0 },
+      { taxRate: 18, taxableAmount: 189.27, cgstAmount: 17.04, sgstAmount: 17.03, igstAmount: 0 }
+    ]);
+    assert.deepEqual(plain(gst.totals), { subtotal: 335.3, discountTotal: 21.03, taxableTotal: 314.27, taxTotal: 40.32, grandTotal: 354.59, cgstTotal: 20.17, sgstTotal: 20.15, igstTotal: 0 });
+  });
+
+  await t.test('charges IGST on supplies to another state', () => {
+    const gst = app.calculateGstBreakdown(lines, '27', '29');
+    assert.equal(gst.intraState, false);
+    assert.deepEqual(plain(gst.rateSummary.map(r => [r.taxRate, r.cgstAmount, r.sgstAmount, r.igstAmount])), [[5, 0, 0, 6.25], [18, 0, 0, 34.07]]);
+    assert.equal(gst.totals.igstTotal, gst.totals.taxTotal);
+  });
+
+  await t.test('treats a missing place of supply as within the state', () => {
+    assert.equal(app.calculateGstBreakdown(lines, '27', '').intraState, true);
+  });
+});
+
+test('buildGstr1Report', async (t) => {
+  await t.test('reports registered customers in B2B and the rest in B2CS', () => {
+    const report = app.buildGstr1Report([
+      { id: 10, billNumber: 'BILL-0010', customerId: 1, billDate: '2026-09-05', items: items(1000, 18) },
+      { id: 11, billNumber: 'BILL-0011', customerId: 2, billDate: '2026-09-06', items: items(500, 5) },
+      { id: 12, billNumber: 'BILL-0012', customerId: 2, billDate: '2026-10-01', items: items(500, 5) }
+    ], CUSTOMERS, '2026-09', SETTINGS);
+    assert.equal(report.fp, '092026');
+    assert.deepEqual(plain(report.b2b.map(e => e.inv.map(inv => [inv.inum, inv.val]))), [[['BILL-0010', 1180]]]);
+    assert.deepEqual(plain(report.b2cs.map(e => [e.sply_ty, e.rt, e.txval, e.camt, e.samt])), [['INTRA', 5, 500, 12.5, 12.5]]);
+  });
+
+  await t.test('leaves out cancelled and inactive bills', () => {
+    const report = app.buildGstr1Report([
+      { id: 10, billNumber: 'BILL-0010', customerId: 1, billDate: '2026-09-05', status: 'Cancelled', items: items(1000, 18) },
+      { id: 11, billNumber: 'BILL-0011', customerId: 2, billDate: '2026-09-06', isActive: false, items: items(500, 5) },
+      { id: 12, billNumber: 'BILL-0012', customerId: 2, billDate: '2026-09-07', items: items(200, 12) }
+    ], CUSTOMERS, '2026-09', SETTINGS);
+    assert.deepEqual(plain(report.b2b), []);
+    assert.deepEqual(plain(report.b2cs.map(e => [e.rt, e.txval])), [[12, 200]]);
+    assert.deepEqual(plain(report.hsn.data.map(r => [r.rt, r.txval, r.uqc])), [[12, 200, 'KGS']]);
+  });
+
+  await t.test('writes the CSV comma separated whatever the saved CSV settings', () => {
+    app.saveCSVSettings({ delimiter: ';', dates: 'locale' });
+    try {
+      const report = app.buildGstr1Report([{ id: 10, billNumber: 'BILL-0010', customerId: 1, billDate: '2026-09-05', items: items(1000, 18) }], CUSTOMERS, '2026-09', SETTINGS);
+      const [header, b2b] = app.gstr1ToCSV(report).split('\n');
+      assert.equal(header, 'Section,Recipient GSTIN,Invoice Number,Invoice Date,Invoice Value,Place of Supply,Supply Type,HSN/SAC,UQC,Quantity,Rate,Taxable Value,IGST,CGST,SGST');
+      assert.equal(b2b, 'B2B,27AAPFU0939F1ZV,BILL-0010,05-09-2026,1180.00,Maharashtra (27),,,,,18,1000.00,0.00,90.00,90.00');
+    } finally {
+      app.localStorage.removeItem('csvSettings');
+    }
+  });
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp();
+
+test('convertToCSV', async (t) => {
+  const headers = [{ key: 'name', label: 'Name' }, { key: 'notes', label: 'Notes' }];
+
+  await t.test('returns an empty string for no rows', () => {
+    assert.equal(app.convertToCSV([], headers), '');
+    assert.equal(app.convertToCSV(null, headers), '');
+  });
+
+  await t.test('writes a header row from the labels', () => {
+    assert.equal(app.convertToCSV([{ name: 'Asha', notes: 'ok' }], headers), 'Name,Notes\nAsha,ok');
+  });
+
+  await t.test('quotes values containing commas, quotes or newlines', () => {
+    const csv = app.convertToCSV([
+      { name: 'Sharma, Ravi', notes: 'said "hi"' },
+      { name: 'Line\nBreak', notes: 'plain' }
+    ], headers);
+    assert.equal(csv, 'Name,Notes\n"Sharma, Ravi","said ""hi"""\n"Line\nBreak",plain');
+  });
+
+  await t.test('reads dotted keys from nested objects', () => {
+    const csv = app.convertToCSV([{ customer: { name: 'Asha' } }], [{ key: 'customer.name', label: 'Customer' }]);
+    assert.equal(csv, 'Customer\nAsha');
+  });
+
+  await t.test('keeps zero and false, including nested values', () => {
+    const csv = app.convertToCSV(
+      [{ amount: 0, cleared: false, cheque: { amount: 0 } }, { amount: null }],
+      [{ key: 'amount', label: 'Amount' }, { key: 'cleared', label: 'Cleared' }, { key: 'cheque.amount', label: 'Cheque' }]
+    );
+    assert.equal(csv, 'Amount,Cleared,Cheque\n0,false,0\n,,');
+  });
+
+  await t.test('neutralises text that a spreadsheet would run as a formula', () => {
+    const csv = app.convertToCSV(
+      [{ name: '=HYPERLINK("x")' }, { name: '+91 98765' }, { name: '-2+3' }, { name: '@SUM(A1)' }, { name: '-50.00' }, { name: '+919876543210' }, { name: -50 }],
+      [{ key: 'name', label: 'Name' }]
+    );
+    assert.equal(csv, `Name\n"'=HYPERLINK(""x"")"\n'+91 98765\n'-2+3\n'@SUM(A1)\n-50.00\n+919876543210\n-50`);
+  });
+
+  await t.test('uses the given delimiter and quotes values containing it', () => {
+    const csv = app.convertToCSV([{ name: 'Asha; Ravi', notes: 'a,b' }], headers, { delimiter: ';' });
+    assert.equal(csv, 'Name;Notes\n"Asha; Ravi";a,b');
+  });
+
+  await t.test('formats date columns in the local style when asked', () => {
+    const dated = [{ key: 'billDate', label: 'Date', type: 'date' }, { key: 'notes', label: 'Notes' }];
+    const rows = [{ billDate: '2026-09-01', notes: '2026-09-01' }];
+    assert.equal(app.convertToCSV(rows, dated), 'Date,Notes\n2026-09-01,2026-09-01');
+    assert.equal(app.convertToCSV(rows, dated, { dates: 'locale' }), `Date,Notes\n${app.formatDateOnly('2026-09-01')},2026-09-01`);
+  });
+});
+
+test('CSV settings default to comma and ISO dates and are remembered', () => {
+  const local = loadApp();
+  assert.deepEqual(plain(local.getCSVSettings()), { delimiter: ',', dates: 'iso' });
+  local.saveCSVSettings({ delimiter: '\t' });
+  assert.deepEqual(plain(local.getCSVSettings()), { delimiter: '\t', dates: 'iso' });
+  assert.equal(local.convertToCSV([{ name: 'Asha', notes: 'ok' }], [{ key: 'name', label: 'Name' }, { key: 'notes', label: 'Notes' }]), 'Name\tNotes\nAsha\tok');
+});
+
+test('convertToCSVChunks matches convertToCSV and reports progress', async () => {
+  const rows = Array.from({ length: 1201 }, (_, i) => ({ n: i, label: i % 2 ? '=1+1' : 'ok' }));
+  const headers = [{ key: 'n', label: 'N' }, { key: 'label', label: 'Label' }];
+  const progress = [];
+  const chunks = await app.convertToCSVChunks(rows, headers, { onProgress: (done, total) => progress.push(`${done}/${total}`) });
+  assert.equal(chunks.length, 4);
+  assert.equal(chunks.join(''), app.convertToCSV(rows, headers));
+  assert.deepEqual(progress, ['500/1201', '1000/1201', '1201/1201']);
+  assert.deepEqual(plain(await app.convertToCSVChunks([], headers)), []);
+});
+
+test('downloadCSV starts the file with a UTF-8 byte order mark', async () => {
+  const local = loadApp();
+  let blob;
+  local.URL.createObjectURL = b => { blob = b; return 'blob:csv'; };
+  local.URL.revokeObjectURL = () => {};
+  local.downloadCSV(['Name\n', '₹ Asha'], 'test.csv');
+  const bytes = new Uint8Array(await new Promise(resolve => {
+    const reader = new local.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsArrayBuffer(blob);
+  }));
+  assert.deepEqual([...bytes.slice(0, 3)], [0xef, 0xbb, 0xbf]);
+  assert.equal(Buffer.from(bytes.slice(3)).toString('utf8'), 'Name\n₹ Asha');
+});
+
+test('filterCustomers', async (t) => {
+  const customers = [
+    { id: 1, name: 'Asha Stores', phone: '9876543210', address: 'Pune' },
+    { id: 2, name: 'Kiran Hardware', phone: '9822012345', address: 'Nashik' },
+    { id: 12, name: 'Meera Caterers', phone: '9123456780', address: 'FC Road, Pune' }
+  ];
+  const ids = list => plain(list.map(c => c.id));
+
+  await t.test('returns everything for a blank term', () => {
+    assert.equal(app.filterCustomers(customers, '').length, 3);
+    assert.equal(app.filterCustomers(customers, '   ').length, 3);
+  });
+
+  await t.test('matches name and address case-insensitively', () => {
+    assert.deepEqual(ids(app.filterCustomers(customers, 'PUNE')), [1, 12]);
+    assert.deepEqual(ids(app.filterCustomers(customers, 'kiran')), [2]);
+  });
+
+  await t.test('matches phone fragments and ids', () => {
+    assert.deepEqual(ids(app.filterCustomers(customers, '98220')), [2]);
+    assert.deepEqual(ids(app.filterCustomers(customers, '12')), [2, 12]);
+  });
+});
+
+test('filterBills', async (t) => {
+  const bills = [
+    { id: 1, customerId: 7, billAmount: 1500, status: 'Paid', notes: 'Steel racks' },
+    { id: 2, customerId: 8, billAmount: 250, status: 'Unpaid', notes: '' }
+  ];
+  const customerMap = { 7: 'Asha Stores', 8: 'Kiran Hardware' };
+  const ids = list => plain(list.map(b => b.id));
+
+  await t.test('matches the customer name through the map', () => {
+    assert.deepEqual(ids(app.filterBills(bills, 'kiran', customerMap)), [2]);
+  });
+
+  await t.test('matches status, notes and amount', () => {
+    assert.deepEqual(ids(app.filterBills(bills, 'unpaid', customerMap)), [2]);
+    assert.deepEqual(ids(app.filterBills(bills, 'racks', customerMap)), [1]);
+    assert.deepEqual(ids(app.filterBills(bills, '1500', customerMap)), [1]);
+  });
+
+  await t.test('works without a customer map', () => {
+    assert.deepEqual(ids(app.filterBills(bills, 'paid')), [1, 2]);
+  });
+});
+
+test('filterPayments', async (t) => {
+  const payments = [
+    { id: 1, customerId: 7, billId: 3, amount: 500, mode: 'UPI' },
+    { id: 2, customerId: 8, billId: 4, amount: 900, mode: 'Cheque', chequeNumber: 'CHQ004512' }
+  ];
+  const ids = list => plain(list.map(p => p.id));
+
+  await t.test('matches mode and cheque number', () => {
+    assert.deepEqual(ids(app.filterPayments(payments, 'upi')), [1]);
+    assert.deepEqual(ids(app.filterPayments(payments, 'chq0045')), [2]);
+  });
+
+  await t.test('matches amount and bill id', () => {
+    assert.deepEqual(ids(app.filterPayments(payments, '900')), [2]);
+    assert.deepEqual(ids(app.filterPayments(payments, '3')), [1]);
+  });
+});
+
+test('formatRelativeTime', async (t) => {
+  const ago = ms => new Date(Date.now() - ms).toISOString();
+  const MIN = 60 * 1000;
+
+  await t.test('handles missing dates', () => {
+    assert.equal(app.formatRelativeTime(null), 'N/A');
+    assert.equal(app.formatRelativeTime(''), 'N/A');
+  });
+
+  await t.test('uses singular and plural units', () => {
+    assert.equal(app.formatRelativeTime(ago(10 * 1000)), 'Just now');
+    assert.equal(app.formatRelativeTime(ago(1 * MIN)), '1 min ago');
+    assert.equal(app.formatRelativeTime(ago(5 * MIN)), '5 mins ago');
+    assert.equal(app.formatRelativeTime(ago(60 * MIN)), '1 hour ago');
+    assert.equal(app.formatRelativeTime(ago(3 * 60 * MIN)), '3 hours ago');
+    assert.equal(app.formatRelativeTime(ago(24 * 60 * MIN)), '1 day ago');
+    assert.equal(app.formatRelativeTime(ago(6 * 24 * 60 * MIN)), '6 days ago');
+  });
+
+  await t.test('falls back to a date after a week', () => {
+    const date = ago(10 * 24 * 60 * MIN);
+    assert.equal(app.formatRelativeTime(date), app.formatDateOnly(date));
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * In-memory stand-in for the parts of IndexedDB offline-sync.js uses: open
+ * with an upgrade on first use, one-store transactions, and get, getAll,
+ * getAllKeys, put, add, delete, clear and count. Requests finish
+ * synchronously; a transaction completes on the next tick, after the caller
+ * has attached its handlers. Records are copied in and out, as IndexedDB does.
+ */
+
+function compareKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function createObjectStoreApi(store) {
+  const sorted = () => [...store.records.entries()].sort((a, b) => compareKeys(a[0], b[0]));
+  const save = (value, overwrite) => {
+    const record = structuredClone(value);
+    if (record[store.keyPath] === undefined && store.autoIncrement) record[store.keyPath] = store.nextKey++;
+    const key = record[store.keyPath];
+    if (!overwrite && store.records.has(key)) throw new Error(`Key ${key} already exists`);
+    store.records.set(key, record);
+    return key;
+  };
+  return {
+    get: key => ({ result: store.records.has(key) ? structuredClone(store.records.get(key)) : undefined }),
+    getAll: () => ({ result: sorted().map(([, value]) => structuredClone(value)) }),
+    getAllKeys: () => ({ result: sorted().map(([key]) => key) }),
+    put: value => ({ result: save(value, true) }),
+    add: value => ({ result: save(value, false) }),
+    delete: key => { store.records.delete(key); return { result: undefined }; },
+    clear: () => { store.records.clear(); return { result: undefined }; },
+    count: () => ({ result: store.records.size })
+  };
+}
+
+function createDatabase() {
+  const stores = new Map();
+  return {
+    stores,
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore(name, options = {}) {
+      stores.set(name, { keyPath: options.keyPath, autoIncrement: !!options.autoIncrement, nextKey: 1, records: new Map() });
+    },
+    transaction(name) {
+      const tx = {
+        error: null,
+        objectStore: () => createObjectStoreApi(stores.get(name))
+      };
+      setTimeout(() => {
+        if (tx.error) tx.onerror && tx.onerror();
+        else tx.oncomplete && tx.oncomplete();
+      }, 0);
+      return tx;
+    }
+  };
+}
+
+/**
+ * @returns {object} - {open(name, version)} plus `databases`, for asserting on what was stored
+ */
+function createFakeIndexedDB() {
+  const databases = new Map();
+  return {
+    databases,
+    open(name) {
+      const request = { result: null, error: null };
+      setTimeout(() => {
+        const upgrade = !databases.has(name);
+        if (upgrade) databases.set(name, createDatabase());
+        request.result = databases.get(name);
+        if (upgrade && request.onupgradeneeded) request.onupgradeneeded();
+        if (request.onsuccess) request.onsuccess();
+      }, 0);
+      return request;
+    }
+  };
+}
+
+module.exports = { createFakeIndexedDB };
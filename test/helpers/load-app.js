@@ -0,0 +1,84 @@
+/**
+ * Test harness: loads the browser scripts into a jsdom window the same way
+ * the pages do (classic <script>s sharing one global scope), with a stubbed
+ * fetch and a pre-seeded localStorage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const DEFAULT_SCRIPTS = ['api-config.js', 'api-service.js', 'app.js'];
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.storage] - localStorage entries to set before the scripts run
+ * @param {Function} [options.fetch] - fetch stub (url, init) => response
+ * @param {string[]} [options.scripts] - repo-relative script paths, in page order
+ * @param {string} [options.url] - page URL (query string feeds api-config.js)
+ * @param {object} [options.globals] - window properties to set before the scripts run (e.g. a fake indexedDB)
+ * @returns {Window}
+ */
+function loadApp(options = {}) {
+  const virtualConsole = new VirtualConsole();
+  // jsdom cannot navigate; redirects to login.html are asserted through state instead
+  virtualConsole.on('jsdomError', err => {
+    if (!/Not implemented: navigation/.test(err.message)) console.error(err);
+  });
+
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: options.url || 'https://app.example/dashboard.html',
+    runScripts: 'dangerously',
+    virtualConsole
+  });
+  const { window } = dom;
+
+  Object.entries(options.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  window.fetch = options.fetch || (() => Promise.reject(new TypeError('fetch not stubbed')));
+  Object.assign(window, options.globals || {});
+
+  (options.scripts || DEFAULT_SCRIPTS).forEach(file => {
+    const script = window.document.createElement('script');
+    script.textContent = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8');
+    window.document.head.appendChild(script);
+  });
+  return window;
+}
+
+/**
+ * Minimal fetch Response stand-in for BusinessApiService.parseResponse().
+ */
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => (body === undefined ? '' : JSON.stringify(body)),
+    blob: async () => body
+  };
+}
+
+/**
+ * Copies a value out of the jsdom realm so deepStrictEqual compares
+ * structure rather than prototypes.
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Records every call and answers from a queue (the last entry repeats).
+ */
+function queuedFetch(...responses) {
+  const calls = [];
+  const stub = async (url, init) => {
+    calls.push({ url, init });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return typeof next === 'function' ? next(url, init) : next;
+  };
+  stub.calls = calls;
+  return stub;
+}
+
+module.exports = { loadApp, jsonResponse, queuedFetch, plain, ROOT_DIR };
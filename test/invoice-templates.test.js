@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const SCRIPTS = ['api-config.js', 'api-service.js', 'app.js', 'gst.js', 'payment-terms.js', 'invoice-templates.js'];
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const valid = (extra = {}) => ({ layout: 'modern', color: '#16A085', businessName: 'Asha Traders', ...extra });
+
+test('getInvoiceSettings', async (t) => {
+  await t.test('falls back to the organisation name and logo from login', () => {
+    const app = loadApp({ scripts: SCRIPTS, storage: { organizationName: 'Asha Traders', organizationLogo: PNG } });
+    const settings = app.getInvoiceSettings();
+    assert.equal(settings.businessName, 'Asha Traders');
+    assert.equal(settings.logo, PNG);
+    assert.equal(settings.layout, 'classic');
+    assert.equal(settings.footerText, 'Thank you for your business!');
+  });
+
+  await t.test('ignores a logo that is a link rather than an image', () => {
+    const app = loadApp({ scripts: SCRIPTS, storage: { organizationLogo: 'https://example.com/logo.png' } });
+    assert.equal(app.getInvoiceSettings().logo, '');
+  });
+
+  await t.test('saved branding overrides the defaults and an empty save restores them', () => {
+    const app = loadApp({ scripts: SCRIPTS, storage: { organizationName: 'Asha Traders' } });
+    const stored = app.storeInvoiceSettings(valid({ businessName: 'Asha Traders LLP', ifsc: 'hdfc0001234', unknown: 'x' }));
+    assert.equal(stored.businessName, 'Asha Traders LLP');
+    assert.equal(stored.color, '#16a085');
+    assert.equal(stored.ifsc, 'HDFC0001234');
+    assert.equal(stored.unknown, undefined);
+    assert.equal(app.storeInvoiceSettings({}).businessName, 'Asha Traders');
+  });
+});
+
+test('validateInvoiceSettings', async (t) => {
+  const app = loadApp({ scripts: SCRIPTS });
+
+  await t.test('accepts complete branding', () => {
+    const result = app.validateInvoiceSettings(valid({ accountNumber: '50100123456789', ifsc: 'HDFC0001234', upiId: 'asha@okhdfc', logo: PNG }));
+    assert.equal(result.valid, true);
+  });
+
+  await t.test('reports each invalid field', () => {
+    const result = app.validateInvoiceSettings({
+      layout: 'fancy', color: 'blue', businessName: ' ', email: 'asha@', accountNumber: '12ab',
+      ifsc: 'HDFC1234', upiId: 'asha', logo: 'data:image/gif;base64,R0lG', signature: 'data:image/png;base64,' + 'A'.repeat(200 * 1024)
+    });
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['layout', 'color', 'businessName', 'email', 'accountNumber', 'ifsc', 'upiId', 'logo', 'signature']);
+  });
+});
+
+test('payment details and colour', () => {
+  const app = loadApp({ scripts: SCRIPTS });
+  const settings = app.storeInvoiceSettings(valid({ bankName: 'HDFC Bank', accountName: 'Asha Traders', accountNumber: '50100123456789', ifsc: 'HDFC0001234', upiId: 'asha@okhdfc' }));
+  assert.deepEqual(plain(app.getPaymentDetailLines(settings)), [
+    'Bank: HDFC Bank - Asha Traders, A/c 50100123456789, IFSC HDFC0001234',
+    'UPI: asha@okhdfc'
+  ]);
+  assert.deepEqual(plain(app.getInvoiceColor(settings)), [22, 160, 133]);
+  assert.deepEqual(plain(app.getInvoiceColor({ ...settings, layout: 'minimal' })), [44, 62, 80]);
+});
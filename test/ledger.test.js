@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'ledger.js'] });
+
+const customer = { id: 7, name: 'Asha Stores', openingBalance: 500, openingBalanceDate: '2026-01-01' };
+const bills = [
+  { id: 2, customerId: 7, billAmount: 1000, billDate: '2026-02-10T00:00:00' },
+  { id: 3, customerId: 7, billAmount: 400, billDate: '2026-03-05T00:00:00' }
+];
+const payments = [
+  { id: 10, customerId: 7, amount: 600, mode: 'UPI', paymentDate: '2026-02-20', linkedBills: [{ billId: 2, allocatedAmount: 600 }] },
+  { id: 11, customerId: 7, amount: 300, mode: 'Cheque', cleared: false, paymentDate: '2026-03-06' },
+  { id: 12, customerId: 7, billId: 3, amount: 200, mode: 'Cash', paymentDate: '2026-03-05' }
+];
+
+const summary = ledger => plain(ledger.entries.map(e => [e.date, e.type, e.debit, e.credit, e.balance]));
+
+test('buildCustomerLedger', async (t) => {
+  await t.test('lists entries in date order with a running balance', () => {
+    const ledger = app.buildCustomerLedger(customer, bills, payments);
+    assert.deepEqual(summary(ledger), [
+      ['2026-01-01', 'opening', 500, 0, 500],
+      ['2026-02-10', 'bill', 1000, 0, 1500],
+      ['2026-02-20', 'payment', 0, 600, 900],
+      ['2026-03-05', 'bill', 400, 0, 1300],
+      ['2026-03-05', 'payment', 0, 200, 1100]
+    ]);
+    assert.equal(ledger.closingBalance, 1100);
+    assert.equal(ledger.totalDebit, 1900);
+    assert.equal(ledger.totalCredit, 800);
+  });
+
+  await t.test('leaves uncleared cheques out of the balance', () => {
+    const ledger = app.buildCustomerLedger(customer, bills, payments);
+    assert.deepEqual(plain(ledger.uncleared.map(p => p.id)), [11]);
+  });
+
+  await t.test('splits payments into bill allocations and unallocated credit', () => {
+    const partly = { amount: 900, linkedBills: [{ allocatedAmount: 500 }, { allocatedAmount: 250.5 }] };
+    assert.equal(app.paymentLedgerAmount(partly), 900);
+    assert.equal(app.paymentAllocatedAmount(partly), 750.5);
+    assert.equal(app.paymentUnallocatedAmount(partly), 149.5);
+    assert.equal(app.paymentAllocatedAmount({ amount: 900, linkedBills: [{ billId: 1, amount: 300 }] }), 300);
+    assert.equal(app.paymentAllocatedAmount({ amount: '120.25', billId: 4 }), 120.25);
+    assert.equal(app.paymentUnallocatedAmount({ amount: '120.25', linkedBills: [] }), 120.25);
+  });
+
+  await t.test('lists the unallocated part of a payment as an advance', () => {
+    const ledger = app.buildCustomerLedger({ id: 7 }, bills.slice(0, 1), [
+      { id: 13, amount: 1500, mode: 'UPI', paymentDate: '2026-02-12', linkedBills: [{ billId: 2, allocatedAmount: 1000 }] }
+    ]);
+    assert.deepEqual(summary(ledger), [
+      ['2026-02-10', 'bill', 1000, 0, 1000],
+      ['2026-02-12', 'payment', 0, 1000, 0],
+      ['2026-02-12', 'advance', 0, 500, -500]
+    ]);
+    assert.equal(ledger.entries[2].description, 'UPI - advance, not allocated to a bill');
+  });
+
+  await t.test('credit notes reduce the balance', () => {
+    const ledger = app.buildCustomerLedger({ id: 7 }, bills.slice(0, 1), [], [{ id: 1, billId: 2, amount: 250, creditNoteDate: '2026-02-11' }]);
+    assert.deepEqual(summary(ledger), [
+      ['2026-02-10', 'bill', 1000, 0, 1000],
+      ['2026-02-11', 'credit_note', 0, 250, 750]
+    ]);
+    assert.equal(ledger.entries[1].description, 'Against Bill #2');
+  });
+
+  await t.test('a cancelled bill is reversed on the day it was cancelled', () => {
+    const cancelled = { ...bills[0], status: 'Cancelled', cancelledAt: '2026-02-14T09:00:00Z', cancelReason: 'Duplicate' };
+    const ledger = app.buildCustomerLedger({ id: 7 }, [cancelled], [], [{ id: 1, billId: 2, amount: 250, creditNoteDate: '2026-02-11' }]);
+    assert.deepEqual(summary(ledger), [
+      ['2026-02-10', 'bill', 1000, 0, 1000],
+      ['2026-02-11', 'credit_note', 0, 250, 750],
+      ['2026-02-14', 'cancellation', 0, 750, 0]
+    ]);
+    assert.equal(ledger.entries[2].description, 'Bill cancelled - Duplicate');
+  });
+
+  await t.test('refunds are debits', () => {
+    const ledger = app.buildCustomerLedger({ id: 7 }, [], [
+      { id: 10, amount: 500, mode: 'Cash', paymentDate: '2026-02-12' },
+      { id: 11, amount: -200, mode: 'UPI', paymentDate: '2026-02-13', linkedBills: [] }
+    ]);
+    assert.deepEqual(summary(ledger), [
+      ['2026-02-12', 'advance', 0, 500, -500],
+      ['2026-02-13', 'refund', 200, 0, -300]
+    ]);
+    assert.equal(ledger.entries[1].reference, 'Refund #11');
+  });
+
+    await t.test('a negative opening balance is a credit', () => {
+    const ledger = app.buildCustomerLedger({ openingBalance: -150 }, [], []);
+    assert.deepEqual(summary(ledger), [['', 'opening', 0, 150, -150]]);
+  });
+
+  await t.test('brings earlier entries forward and drops later ones in a date range', () => {
+    const ledger = app.buildCustomerLedger(customer, bills, payments, [], { from: '2026-02-15', to: '2026-03-04' });
+    assert.deepEqual(summary(ledger), [
+      ['2026-02-15', 'opening', 1500, 0, 1500],
+      ['2026-02-20', 'payment', 0, 600, 900]
+    ]);
+    assert.equal(ledger.entries[0].description, 'Balance brought forward');
+    assert.equal(ledger.openingBalance, 1500);
+    assert.equal(ledger.closingBalance, 900);
+    assert.equal(ledger.totalDebit, 0);
+  });
+});
+
+test('formatLedgerBalance marks debit and credit balances', () => {
+  assert.equal(app.formatLedgerBalance(1250), '1,250.00 Dr');
+  assert.equal(app.formatLedgerBalance(-300.5), '300.50 Cr');
+  assert.equal(app.formatLedgerBalance(0), '0.00');
+});
+
+test('ledgerToCSV keeps zero balances and adds a closing row', () => {
+  const ledger = app.buildCustomerLedger({ id: 7 }, bills.slice(0, 1), [
+    { id: 10, billId: 2, amount: 1000, mode: 'Cash', paymentDate: '2026-02-12' }
+  ]);
+  assert.equal(app.ledgerToCSV(ledger), [
+    'Date,Type,Reference,Description,Debit,Credit,Balance',
+    '2026-02-10,Bill,Bill #2,,1000.00,,1000.00',
+    '2026-02-12,Payment,Payment #10,Cash for Bill #2,,1000.00,0.00',
+    ',,,Closing balance,1000.00,1000.00,0.00'
+  ].join('\n'));
+});
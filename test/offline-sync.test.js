@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, jsonResponse, queuedFetch, plain } = require('./helpers/load-app.js');
+const { createFakeIndexedDB } = require('./helpers/fake-indexeddb.js');
+
+const BASE = 'https://api.test/api';
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+async function setup(fetchStub = queuedFetch(jsonResponse(200, { status: true, body: [] }))) {
+  const app = loadApp({
+    scripts: ['api-config.js', 'api-service.js', 'app.js', 'offline-sync.js'],
+    storage: { token: 'tok-123', userType: 'Admin' },
+    fetch: fetchStub,
+    globals: { indexedDB: createFakeIndexedDB() }
+  });
+  const network = { online: true };
+  Object.defineProperty(app.navigator, 'onLine', { configurable: true, get: () => network.online });
+  // Recorded rather than shown; the real toast's timer would hold the test run open
+  const toasts = [];
+  app.showToast = message => toasts.push(message);
+  // Let the start-up sync of an empty queue finish
+  await tick();
+  return { app, sync: app.offlineSync, network, fetchStub, toasts };
+}
+
+const requests = fetchStub => fetchStub.calls.map(({ url, init }) => [init.method, url.replace(BASE, ''), init.body ? JSON.parse(init.body) : null]);
+
+test('writes made offline are queued', async (t) => {
+  await t.test('answers with a pending record under a temporary ID', async () => {
+    const { app, sync, network, fetchStub } = await setup();
+    network.online = false;
+    const res = await app.fetchJson(`${BASE}/Customers`, { method: 'POST', body: JSON.stringify({ name: 'Asha' }) });
+    assert.equal(res.status, 202);
+    assert.equal(res.queued, true);
+    assert.match(res.data.id, /^tmp_/);
+    assert.equal(await sync.getQueueCount(), 1);
+    assert.equal(fetchStub.calls.length, 0);
+  });
+
+  await t.test('shows pending creates in cached paged and filtered lists', async () => {
+    const page = { items: [{ id: 1, name: 'Ravi' }], page: 1, pageSize: 25, totalCount: 1, totalPages: 1 };
+    const { app, network } = await setup(queuedFetch(jsonResponse(200, { status: true, body: page })));
+    const url = `${BASE}/Customers?page=1&pageSize=25&search=a`;
+    await app.fetchJson(url);
+    await tick();
+
+    network.online = false;
+    await app.fetchJson(`${BASE}/Customers`, { method: 'POST', body: JSON.stringify({ name: 'Asha' }) });
+    const res = await app.fetchJson(url);
+    assert.equal(res.fromCache, true);
+    assert.deepEqual(plain(res.data.items.map(c => [c.name, !!c._pending])), [['Ravi', false], ['Asha', true]]);
+    assert.equal(res.data.totalCount, 2);
+  });
+});
+
+test('sync replays the queue in order and swaps temporary IDs for server IDs', async () => {
+  const fetchStub = queuedFetch(
+    jsonResponse(201, { status: true, body: { id: 41, name: 'Asha' } }),
+    jsonResponse(201, { status: true, body: { id: 90 } }),
+    jsonResponse(200, { status: true, body: { id: 41 } })
+  );
+  const { app, sync, network, toasts } = await setup(fetchStub);
+  network.online = false;
+  const customer = (await app.fetchJson(`${BASE}/Customers`, { method: 'POST', body: JSON.stringify({ name: 'Asha' }) })).data;
+  await app.fetchJson(`${BASE}/Bills`, { method: 'POST', body: JSON.stringify({ customerId: customer.id, billAmount: 100 }) });
+  await app.fetchJson(`${BASE}/Customers/${customer.id}`, { method: 'PUT', body: JSON.stringify({ name: 'Asha Traders' }) });
+
+  network.online = true;
+  assert.deepEqual(plain(await sync.sync()), { synced: 3, conflicts: 0 });
+  assert.deepEqual(requests(fetchStub), [
+    ['POST', '/Customers', { name: 'Asha' }],
+    ['POST', '/Bills', { customerId: 41, billAmount: 100 }],
+    ['PUT', '/Customers/41', { name: 'Asha Traders' }]
+  ]);
+  assert.equal(await sync.getQueueCount(), 0);
+  assert.deepEqual(toasts, ['Synced 3 offline change(s).']);
+});
+
+test('writes the server rejects, and writes that depend on them, become conflicts', async () => {
+  const fetchStub = queuedFetch(
+    jsonResponse(400, { status: false, message: 'Phone number is already in use' }),
+    jsonResponse(201, { status: true, body: { id: 7 } })
+  );
+  const { app, sync, network, toasts } = await setup(fetchStub);
+  network.online = false;
+  const customer = (await app.fetchJson(`${BASE}/Customers`, { method: 'POST', body: JSON.stringify({ name: 'Asha' }) })).data;
+  await app.fetchJson(`${BASE}/Bills`, { method: 'POST', body: JSON.stringify({ customerId: customer.id, billAmount: 100 }) });
+  await app.fetchJson(`${BASE}/Payments`, { method: 'POST', body: JSON.stringify({ customerId: 3, amount: 50 }) });
+
+  network.online = true;
+  assert.deepEqual(plain(await sync.sync()), { synced: 1, conflicts: 2 });
+  // The bill for the rejected customer is never sent
+  assert.deepEqual(requests(fetchStub).map(([method, url]) => `${method} ${url}`), ['POST /Customers', 'POST /Payments']);
+  const conflicts = await sync.getConflicts();
+  assert.deepEqual(plain(conflicts.map(c => [c.url.replace(BASE, ''), c.status, c.message])), [
+    ['/Customers', 400, 'Phone number is already in use'],
+    ['/Bills', 0, 'Depends on a record created offline that failed to sync.']
+  ]);
+  assert.equal(await sync.getQueueCount(), 0);
+  assert.deepEqual(toasts, ['Synced 1 offline change(s). 2 need review.']);
+});
+
+test('logging out clears the cache, queue and conflicts', async () => {
+  const { app, sync, network } = await setup(queuedFetch(jsonResponse(200, { status: true, body: [{ id: 1 }] })));
+  await app.fetchJson(`${BASE}/Bills`);
+  await tick();
+  network.online = false;
+  await app.fetchJson(`${BASE}/Bills`, { method: 'POST', body: JSON.stringify({ customerId: 1, billAmount: 10 }) });
+  await sync.moveToConflicts({ url: `${BASE}/Payments`, method: 'POST', body: {}, seq: -1 }, 400, 'Rejected');
+
+  await app.logoutAndRedirect();
+  assert.equal(await sync.getQueueCount(), 0);
+  assert.equal(await sync.getConflictCount(), 0);
+  assert.equal((await sync.getAll('cache')).length, 0);
+  assert.equal(app.localStorage.getItem('token'), null);
+  assert.equal((await app.fetchJson(`${BASE}/Bills`)).offline, true);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const SCRIPTS = ['api-config.js', 'api-service.js', 'app.js', 'ledger.js', 'ageing.js', 'payment-terms.js'];
+const app = loadApp({ scripts: SCRIPTS });
+
+test('validatePaymentTerms', async (t) => {
+  await t.test('accepts the fixed terms without days', () => {
+    ['due_on_receipt', 'net7', 'net15', 'net30'].forEach(terms => {
+      assert.equal(app.validatePaymentTerms(terms).valid, true, terms);
+    });
+  });
+
+  await t.test('requires 1-365 whole days for custom terms', () => {
+    assert.equal(app.validatePaymentTerms('custom', '45').valid, true);
+    assert.equal(app.validatePaymentTerms('custom', '').message, 'Custom terms must be 1-365 days');
+    assert.equal(app.validatePaymentTerms('custom', 0).valid, false);
+    assert.equal(app.validatePaymentTerms('custom', 400).valid, false);
+    assert.equal(app.validatePaymentTerms('custom', 2.5).valid, false);
+  });
+
+  await t.test('rejects unknown terms', () => {
+    assert.equal(app.validatePaymentTerms('net60').message, 'Unknown payment terms');
+  });
+});
+
+test('default payment terms', async (t) => {
+  await t.test('are due on receipt until saved', () => {
+    assert.deepEqual(plain(app.getDefaultPaymentTerms()), { terms: 'due_on_receipt', days: 0 });
+  });
+
+  await t.test('are read back from localStorage', () => {
+    const saved = loadApp({ scripts: SCRIPTS, storage: { paymentTermsSettings: JSON.stringify({ terms: 'net15' }) } });
+    assert.deepEqual(plain(saved.getDefaultPaymentTerms()), { terms: 'net15', days: 15 });
+  });
+
+  await t.test('save only valid terms', () => {
+    const fresh = loadApp({ scripts: SCRIPTS });
+    assert.equal(fresh.saveDefaultPaymentTerms({ terms: 'custom', days: '' }).valid, false);
+    assert.deepEqual(plain(fresh.saveDefaultPaymentTerms({ terms: 'custom', days: '21' })), { valid: true, errors: [] });
+    assert.deepEqual(plain(fresh.getDefaultPaymentTerms()), { terms: 'custom', days: 21 });
+  });
+});
+
+test('resolvePaymentTerms', async (t) => {
+  const withDefault = loadApp({ scripts: SCRIPTS, storage: { paymentTermsSettings: JSON.stringify({ terms: 'net30' }) } });
+
+  await t.test("uses the customer's own terms", () => {
+    assert.deepEqual(plain(withDefault.resolvePaymentTerms({ paymentTerms: 'custom', paymentTermsDays: 45 })), { terms: 'custom', days: 45, isDefault: false });
+  });
+
+  await t.test('falls back to the business default', () => {
+    assert.deepEqual(plain(withDefault.resolvePaymentTerms({ paymentTerms: null })), { terms: 'net30', days: 30, isDefault: true });
+    assert.deepEqual(plain(withDefault.resolvePaymentTerms(undefined)), { terms: 'net30', days: 30, isDefault: true });
+  });
+
+  await t.test('formats for display', () => {
+    assert.equal(app.formatPaymentTerms({ terms: 'net7', days: 7 }), 'Net 7');
+    assert.equal(app.formatPaymentTerms({ terms: 'custom', days: 45 }), 'Net 45');
+    assert.equal(app.formatPaymentTerms({ terms: 'due_on_receipt', days: 0 }), 'Due on receipt');
+  });
+});
+
+test('due dates', async (t) => {
+  await t.test('add the days to the bill date', () => {
+    assert.equal(app.calculateDueDate('2026-01-20T00:00:00Z', 15), '2026-02-04');
+    assert.equal(app.calculateDueDate('2026-02-15', 30), '2026-03-17');
+    assert.equal(app.calculateDueDate('', 30), '');
+  });
+
+  await t.test('default to the bill date for bills without one', () => {
+    assert.equal(app.getBillDueDate({ billDate: '2026-05-01T00:00:00Z' }), '2026-05-01');
+    assert.equal(app.getBillDueDate({ billDate: '2026-05-01', dueDate: '2026-05-31' }), '2026-05-31');
+  });
+
+  await t.test("follow the customer's terms unless picked by hand", () => {
+    const customer = { paymentTerms: 'net15' };
+    assert.deepEqual(plain(app.resolveBillTerms(customer, '2026-06-01')), { dueDate: '2026-06-16', paymentTerms: 'net15', paymentTermsDays: 15 });
+    assert.deepEqual(plain(app.resolveBillTerms(customer, '2026-06-01', '2026-06-16')), { dueDate: '2026-06-16', paymentTerms: 'net15', paymentTermsDays: 15 });
+    assert.deepEqual(plain(app.resolveBillTerms(customer, '2026-06-01', '2026-06-11')), { dueDate: '2026-06-11', paymentTerms: 'custom', paymentTermsDays: 10 });
+    assert.deepEqual(plain(app.resolveBillTerms(customer, '2026-06-01', '2026-06-01')), { dueDate: '2026-06-01', paymentTerms: 'due_on_receipt', paymentTermsDays: 0 });
+  });
+});
+
+test('deriveBillStatus', async (t) => {
+  const bill = { id: 1, billAmount: 1000, billDate: '2026-06-01', dueDate: '2026-06-30' };
+  const asOf = '2026-06-15';
+
+  await t.test('follows what has been paid before the due date', () => {
+    assert.equal(app.deriveBillStatus(bill, 0, asOf), 'Unpaid');
+    assert.equal(app.deriveBillStatus(bill, 400, asOf), 'Partial');
+    assert.equal(app.deriveBillStatus(bill, 1000, asOf), 'Paid');
+  });
+
+  await t.test('is Overdue once a balance is left after the due date', () => {
+    assert.equal(app.deriveBillStatus(bill, 0, '2026-07-01'), 'Overdue');
+    assert.equal(app.deriveBillStatus(bill, 400, '2026-07-01'), 'Overdue');
+    assert.equal(app.deriveBillStatus(bill, 0, '2026-06-30'), 'Unpaid');
+    assert.equal(app.deriveBillStatus(bill, 1000, '2026-07-01'), 'Paid');
+  });
+
+  await t.test('keeps bills marked Paid before allocations were tracked', () => {
+    assert.equal(app.deriveBillStatus({ ...bill, status: 'Paid' }, 0, '2026-07-01'), 'Paid');
+  });
+
+  await t.test('uses cleared allocations only', () => {
+    const payments = [
+      { amount: 300, mode: 'UPI', linkedBills: [{ billId: 1, allocatedAmount: 300 }] },
+      { amount: 700, mode: 'Cheque', cleared: false, linkedBills: [{ billId: 1, allocatedAmount: 700 }] }
+    ];
+    assert.deepEqual(plain(app.applyDerivedBillStatus([bill], payments, asOf).map(b => b.status)), ['Partial']);
+  });
+});
+
+test('getBillDisplayStatus marks unpaid bills past due as Overdue', () => {
+  assert.equal(app.getBillDisplayStatus({ status: 'Partial', dueDate: '2026-06-30' }, '2026-07-01'), 'Overdue');
+  assert.equal(app.getBillDisplayStatus({ status: 'Partial', dueDate: '2026-06-30' }, '2026-06-30'), 'Partial');
+  assert.equal(app.getBillDisplayStatus({ status: 'Paid', dueDate: '2026-06-30' }, '2026-07-01'), 'Paid');
+});
+
+test('form validation', async (t) => {
+  const valid = { name: 'Asha Stores', phone: '9876543210', address: '4 Station Road' };
+
+  await t.test('checks custom customer terms', () => {
+    assert.equal(app.validateCustomerForm({ ...valid, paymentTerms: 'net30' }).valid, true);
+    const result = app.validateCustomerForm({ ...valid, paymentTerms: 'custom', paymentTermsDays: '' });
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['paymentTerms']);
+  });
+
+  await t.test('rejects a due date before the bill date', () => {
+    const bill = { customerId: 1, billAmount: 100, billDate: '2026-06-10' };
+    assert.equal(app.validateBillForm({ ...bill, dueDate: '2026-06-10' }).valid, true);
+    const result = app.validateBillForm({ ...bill, dueDate: '2026-06-09' });
+    assert.equal(result.errors[0].message, 'Due date cannot be before the bill date');
+  });
+});
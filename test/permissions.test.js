@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const SCRIPTS = ['api-config.js', 'api-service.js', 'app.js', 'permissions.js'];
+
+const SALES = {
+  id: 2,
+  name: 'Sales',
+  permissions: {
+    customers: { actions: ['view', 'create', 'edit'] },
+    bills: { actions: ['view', 'create', 'edit', 'void'], ownOnly: true, maxAmount: 50000 }
+  }
+};
+
+test('checkRolePermission', async (t) => {
+  const app = loadApp({ scripts: SCRIPTS });
+
+  await t.test('allows only the actions the role lists', () => {
+    assert.deepEqual(plain(app.checkRolePermission(SALES, 'create', 'customers')), { allowed: true, message: '' });
+    assert.deepEqual(plain(app.checkRolePermission(SALES, 'delete', 'customers')), { allowed: false, message: 'Your role (Sales) cannot delete customers' });
+    assert.equal(app.checkRolePermission(SALES, 'view', 'payments').message, 'Your role (Sales) cannot view payments');
+  });
+
+  await t.test('ownOnly limits edit and void to records the user created', () => {
+    const own = { billAmount: 100, createdBy: 'SU0003' };
+    const other = { billAmount: 100, createdBy: 'AD0002' };
+    assert.equal(app.checkRolePermission(SALES, 'edit', 'bills', own, 'SU0003').allowed, true);
+    assert.equal(app.checkRolePermission(SALES, 'void', 'bills', other, 'SU0003').message, 'You can only void bills you created');
+    assert.equal(app.checkRolePermission(SALES, 'edit', 'bills', { billAmount: 100 }, 'SU0003').allowed, false);
+    // Checked without a record, as when deciding whether to draw the list's edit column
+    assert.equal(app.checkRolePermission(SALES, 'edit', 'bills', undefined, 'SU0003').allowed, true);
+  });
+
+  await t.test('maxAmount limits create and edit', () => {
+    assert.equal(app.checkRolePermission(SALES, 'create', 'bills', { billAmount: 50000 }).allowed, true);
+    const over = app.checkRolePermission(SALES, 'create', 'bills', { billAmount: '50000.01' });
+    assert.equal(over.allowed, false);
+    assert.match(over.message, /^You can only create bills up to ₹50,000$/);
+    assert.equal(app.checkRolePermission(SALES, 'void', 'bills', { billAmount: 90000, createdBy: 'SU0003' }, 'SU0003').allowed, true);
+  });
+
+  await t.test('recurring templates are limited by the amount of each bill they raise', () => {
+    const role = { name: 'Billing', permissions: { recurringBills: { actions: ['view', 'create'], maxAmount: 20000 } } };
+    const items = [{ description: 'Rent', quantity: 1, rate: 20000, discount: 0, taxRate: 18 }];
+    assert.equal(app.checkRolePermission(role, 'create', 'recurringBills', { items, billAmount: 23600 }).message, 'You can only create recurring bills up to ₹20,000');
+    assert.equal(app.checkRolePermission(role, 'create', 'recurringBills', { items: [{ ...items[0], taxRate: 0 }], billAmount: 20000 }).allowed, true);
+  });
+
+  await t.test('full access and no role', () => {
+    assert.equal(app.checkRolePermission({ name: 'Admin', fullAccess: true }, 'delete', 'settings').allowed, true);
+    assert.equal(app.checkRolePermission(null, 'view', 'bills').message, 'You cannot view bills');
+  });
+
+  await t.test('actions an entity does not have are never allowed', () => {
+    const role = { name: 'Odd', permissions: { creditNotes: { actions: ['view', 'delete'] } } };
+    assert.equal(app.checkRolePermission(role, 'view', 'creditNotes').allowed, true);
+    assert.equal(app.checkRolePermission(role, 'delete', 'creditNotes').allowed, false);
+  });
+});
+
+test('presets only use actions their entities have', () => {
+  const app = loadApp({ scripts: SCRIPTS });
+  // Top-level constants of classic scripts are not window properties
+  const entities = app.eval('PERMISSION_ENTITIES');
+  Object.entries(app.eval('ROLE_PRESETS')).forEach(([name, permissions]) => {
+    Object.entries(permissions).forEach(([entity, rule]) => {
+      rule.actions.forEach(action => assert.ok(entities[entity].actions.includes(action), `${name} ${entity} ${action}`));
+    });
+  });
+});
+
+test('getCurrentRole', async (t) => {
+  await t.test('a sub-user acts under the stored role', () => {
+    const app = loadApp({ scripts: SCRIPTS, storage: { userType: 'SubUser', userCode: 'SU0003', userPermissions: JSON.stringify(SALES) } });
+    assert.equal(app.getCurrentRole().name, 'Sales');
+    assert.equal(app.userCan('edit', 'bills', { billAmount: 10, createdBy: 'SU0003' }), true);
+    assert.equal(app.userCan('edit', 'bills', { billAmount: 10, createdBy: 'SU0004' }), false);
+    assert.equal(app.checkPermission('create', 'bills', { billAmount: 60000 }).allowed, false);
+  });
+
+  await t.test('a sub-user without a readable role gets the default access', () => {
+    const app = loadApp({ scripts: SCRIPTS, storage: { userType: 'SubUser', userPermissions: '{broken' } });
+    assert.equal(app.getCurrentRole().name, 'Sub User');
+    assert.equal(app.userCan('export', 'payments'), true);
+    assert.equal(app.userCan('edit', 'settings'), false);
+  });
+
+  await t.test('admins ignore a stored role', () => {
+    const app = loadApp({ scripts: SCRIPTS, storage: { userType: 'Admin', userPermissions: JSON.stringify(SALES) } });
+    assert.equal(app.getCurrentRole().fullAccess, true);
+    assert.equal(app.userCan('create', 'bills', { billAmount: 1e7 }), true);
+  });
+
+  await t.test('storeUserPermissions saves and clears the role', () => {
+    const app = loadApp({ scripts: SCRIPTS, storage: { userType: 'SubUser' } });
+    app.storeUserPermissions(SALES);
+    assert.equal(app.getCurrentRole().name, 'Sales');
+    app.storeUserPermissions(null);
+    assert.equal(app.localStorage.getItem('userPermissions'), null);
+  });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'gst.js', 'ledger.js', 'ageing.js', 'payment-terms.js', 'quotations.js'] });
+
+const ITEMS = [{ description: 'Workstation', hsnSac: '9403', quantity: 2, unit: 'Nos', rate: 1000, discount: 10, taxRate: 18 }];
+const quote = (extra = {}) => ({
+  id: 3, quoteNumber: 'QT-0003', customerId: 4, status: 'Draft', quoteDate: '2026-10-01T00:00:00Z', validUntil: '2026-10-16',
+  items: ITEMS, subTotal: 2000, discountAmount: 200, taxAmount: 324, amount: 2124, ...extra
+});
+
+test('getQuoteStatus', async (t) => {
+  await t.test('returns the stored status while the quotation is valid', () => {
+    assert.equal(app.getQuoteStatus(quote(), '2026-10-16'), 'Draft');
+    assert.equal(app.getQuoteStatus(quote({ status: 'sent' }), '2026-10-10'), 'Sent');
+  });
+
+  await t.test('draft and sent quotations past their validity date are expired', () => {
+    assert.equal(app.getQuoteStatus(quote(), '2026-10-17'), 'Expired');
+    assert.equal(app.getQuoteStatus(quote({ status: 'Sent' }), '2026-10-17'), 'Expired');
+    assert.equal(app.getQuoteStatus(quote({ status: 'Accepted' }), '2026-10-17'), 'Accepted');
+    assert.equal(app.getQuoteStatus(quote({ status: 'Rejected' }), '2026-10-17'), 'Rejected');
+  });
+});
+
+test('status changes', async (t) => {
+  await t.test('lists the statuses each quotation can move to', () => {
+    assert.deepEqual(plain(app.getQuoteActions(quote(), '2026-10-10')), ['Sent', 'Accepted', 'Rejected']);
+    assert.deepEqual(plain(app.getQuoteActions(quote({ status: 'Sent' }), '2026-10-10')), ['Accepted', 'Rejected']);
+    assert.deepEqual(plain(app.getQuoteActions(quote({ status: 'Accepted' }), '2026-10-10')), []);
+  });
+
+  await t.test('an expired quotation cannot be accepted until its validity is extended', () => {
+    const result = app.validateQuoteTransition(quote({ status: 'Sent' }), 'Accepted', '2026-10-20');
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0].message, /expired quotation.*extend its validity date/);
+    assert.equal(app.validateQuoteTransition(quote({ status: 'Sent', validUntil: '2026-10-31' }), 'Accepted', '2026-10-20').valid, true);
+  });
+
+  await t.test('only draft, sent and expired quotations can be edited', () => {
+    assert.equal(app.canEditQuote(quote(), '2026-10-20'), true);
+    assert.equal(app.canEditQuote(quote({ status: 'Accepted' }), '2026-10-10'), false);
+    assert.equal(app.canEditQuote(quote({ status: 'Rejected' }), '2026-10-10'), false);
+  });
+
+  await t.test('an accepted quotation converts once', () => {
+    assert.equal(app.canConvertQuote(quote({ status: 'Accepted' })), true);
+    assert.equal(app.canConvertQuote(quote({ status: 'Accepted', convertedBillId: 12 })), false);
+    assert.equal(app.canConvertQuote(quote({ status: 'Sent', validUntil: '2099-01-01' })), false);
+  });
+});
+
+test('validateQuotation', async (t) => {
+  await t.test('accepts a complete quotation', () => {
+    assert.equal(app.validateQuotation({ customerId: 4, items: ITEMS, quoteDate: '2026-10-01', validUntil: '2026-10-16' }).valid, true);
+  });
+
+  await t.test('reports each missing or invalid field', () => {
+    const result = app.validateQuotation({ items: [{ description: '', quantity: 1, rate: 10 }], quoteDate: '2026-10-01', validUntil: '2026-09-30' });
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['customer', 'items[0].description', 'validUntil']);
+  });
+
+  await t.test('validity defaults to 15 days from the quote date', () => {
+    assert.equal(app.defaultQuoteValidUntil('2026-10-20'), '2026-11-04');
+  });
+});
+
+test('quotationToBill carries the quoted items and amounts with the customer terms', () => {
+  const payload = app.quotationToBill(quote({ status: 'Accepted', notes: 'Fit-out' }), { paymentTerms: 'net30' }, '2026-10-19');
+  assert.deepEqual(plain({ ...payload, items: payload.items.length }), {
+    customerId: 4, billAmount: 2124, billDate: '2026-10-19T00:00:00.000Z', notes: 'Fit-out (Quotation QT-0003)',
+    dueDate: '2026-11-18', paymentTerms: 'net30', paymentTermsDays: 30,
+    items: 1, subTotal: 2000, discountAmount: 200, taxAmount: 324, quotationId: 3
+  });
+  assert.equal(app.getQuotationFilename(quote(), { name: 'Asha Stores' }), 'Quotation_QT-0003_Asha_Stores.pdf');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'gst.js', 'ledger.js', 'ageing.js', 'payment-terms.js', 'recurring-bills.js'] });
+
+const ITEMS = [{ description: 'Maintenance', hsnSac: '998719', quantity: 1, unit: 'Nos', rate: 5000, discount: 0, taxRate: 18 }];
+const template = (extra = {}) => ({ id: 7, customerId: 4, name: 'AMC', frequency: 'monthly', dayOfMonth: 5, startDate: '2026-08-01', items: ITEMS, ...extra });
+const bill = (runDate, extra = {}) => ({ id: runDate, billNumber: 'B-' + runDate, billAmount: 5900, recurringTemplateId: 7, recurringRunDate: runDate, ...extra });
+
+test('validateRecurringTemplate', async (t) => {
+  await t.test('accepts a complete template', () => {
+    assert.equal(app.validateRecurringTemplate(template()).valid, true);
+  });
+
+  await t.test('reports each missing or invalid field', () => {
+    const result = app.validateRecurringTemplate({ items: [], frequency: 'fortnightly', dayOfMonth: 32, startDate: '2026-08-01', endDate: '2026-07-01' });
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['customer', 'items', 'frequency', 'dayOfMonth', 'endDate']);
+  });
+});
+
+test('getRecurringRunDates', async (t) => {
+  await t.test('starts on the first day of month on or after the start date', () => {
+    assert.deepEqual(plain(app.getRecurringRunDates(template({ startDate: '2026-08-10' }), { limit: 3 })), ['2026-09-05', '2026-10-05', '2026-11-05']);
+    assert.deepEqual(plain(app.getRecurringRunDates(template({ startDate: '2026-08-05' }), { limit: 1 })), ['2026-08-05']);
+  });
+
+  await t.test('runs on the last day of shorter months', () => {
+    assert.deepEqual(plain(app.getRecurringRunDates(template({ dayOfMonth: 31, startDate: '2027-01-01' }), { limit: 4 })),
+      ['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30']);
+  });
+
+  await t.test('steps by the frequency and stops at the end date', () => {
+    assert.deepEqual(plain(app.getRecurringRunDates(template({ frequency: 'quarterly', endDate: '2027-03-31' }))), ['2026-08-05', '2026-11-05', '2027-02-05']);
+    assert.deepEqual(plain(app.getRecurringRunDates(template({ frequency: 'yearly' }), { from: '2027-01-01', to: '2029-12-31' })), ['2027-08-05', '2028-08-05', '2029-08-05']);
+  });
+});
+
+test('due runs, upcoming preview and history', async (t) => {
+  const bills = [bill('2026-08-05'), bill('2026-09-05', { recurringTemplateId: 8 }), { id: 99, billAmount: 100 }];
+  const skipping = template({ skippedDates: ['2026-09-05'] });
+
+  await t.test('due runs are those not yet billed or skipped', () => {
+    assert.deepEqual(plain(app.getDueRecurringRuns(template(), bills, '2026-10-19')), ['2026-09-05', '2026-10-05']);
+    assert.deepEqual(plain(app.getDueRecurringRuns(skipping, bills, '2026-10-19')), ['2026-10-05']);
+  });
+
+  await t.test('a paused template has nothing due; the runs it missed are listed for skipping on resume', () => {
+    const paused = template({ paused: true });
+    assert.deepEqual(plain(app.getDueRecurringRuns(paused, bills, '2026-10-19')), []);
+    assert.deepEqual(plain(app.getRunsMissedWhilePaused(paused, bills, '2026-10-19')), ['2026-09-05', '2026-10-05']);
+    assert.equal(app.getRecurringTemplateStatus(paused, bills, '2026-10-19'), 'Paused');
+  });
+
+  await t.test('preview lists due runs then the next scheduled ones, flagging skips', () => {
+    const preview = app.getUpcomingRecurringRuns(template({ skippedDates: ['2026-11-05'] }), bills, { asOf: '2026-10-19', count: 2 });
+    assert.deepEqual(plain(preview), [
+      { date: '2026-09-05', status: 'due' }, { date: '2026-10-05', status: 'due' },
+      { date: '2026-11-05', status: 'skipped' }, { date: '2026-12-05', status: 'scheduled' }
+    ]);
+  });
+
+  await t.test('history shows billed and skipped runs, newest first', () => {
+    assert.deepEqual(plain(app.getRecurringHistory(skipping, bills, '2026-10-19').map(h => [h.runDate, h.bill && h.bill.billNumber, h.skipped])),
+      [['2026-09-05', null, true], ['2026-08-05', 'B-2026-08-05', false]]);
+  });
+
+  await t.test('a template is ended once its last run is billed', () => {
+    const ending = template({ endDate: '2026-08-31' });
+    assert.equal(app.getRecurringTemplateStatus(ending, bills, '2026-10-19'), 'Ended');
+    assert.equal(app.getRecurringTemplateStatus(ending, [], '2026-10-19'), 'Active');
+  });
+});
+
+test('buildRecurringBill raises the bill for a run with terms and the period in the notes', () => {
+  const payload = app.buildRecurringBill(template({ frequency: 'quarterly', notes: 'AMC charges' }), '2026-11-05', { paymentTerms: 'net15' });
+  assert.deepEqual(plain({ ...payload, items: payload.items.length }), {
+    customerId: 4, billAmount: 5900, billDate: '2026-11-05T00:00:00.000Z',
+    notes: 'AMC charges (Nov 2026 - Jan 2027)', dueDate: '2026-11-20', paymentTerms: 'net15', paymentTermsDays: 15,
+    items: 1, subTotal: 5000, discountAmount: 0, taxAmount: 900, recurringTemplateId: 7, recurringRunDate: '2026-11-05'
+  });
+  assert.equal(app.formatRecurringSchedule(template({ dayOfMonth: 30 })), 'Monthly on day 30 (month end in shorter months)');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { ROOT_DIR } = require('./helpers/load-app.js');
+
+const loadRouter = () => import(pathToFileURL(path.join(ROOT_DIR, 'dashboard', 'router.js')).href);
+
+test('parseRoute', async (t) => {
+  const { parseRoute } = await loadRouter();
+
+  await t.test('splits the tab from the record segments', () => {
+    assert.deepEqual(parseRoute('#/bills/123'), { tab: 'bills', params: ['123'] });
+    assert.deepEqual(parseRoute('#/customers/45/profile'), { tab: 'customers', params: ['45', 'profile'] });
+    assert.deepEqual(parseRoute('#/payments'), { tab: 'payments', params: [] });
+  });
+
+  await t.test('tolerates missing or extra slashes', () => {
+    assert.deepEqual(parseRoute('#bills/7'), { tab: 'bills', params: ['7'] });
+    assert.deepEqual(parseRoute('#/bills/7/'), { tab: 'bills', params: ['7'] });
+  });
+
+  await t.test('falls back to the dashboard for empty and unknown hashes', () => {
+    assert.deepEqual(parseRoute(''), { tab: 'dashboard', params: [] });
+    assert.deepEqual(parseRoute('#/'), { tab: 'dashboard', params: [] });
+    assert.deepEqual(parseRoute('#/nope/1'), { tab: 'dashboard', params: [] });
+  });
+
+  await t.test('decodes segments', () => {
+    assert.deepEqual(parseRoute('#/bills/INV%2F01'), { tab: 'bills', params: ['INV/01'] });
+  });
+});
+
+test('entityPath', async (t) => {
+  const { entityPath, parseRoute } = await loadRouter();
+
+  await t.test('maps search entity types to record routes', () => {
+    assert.equal(entityPath('Customer', 45), '/customers/45/profile');
+    assert.equal(entityPath('Bill', 123), '/bills/123');
+    assert.equal(entityPath('Payment', 9), '/payments/9');
+    assert.equal(entityPath('Quotation', 3), '/quotations/3');
+  });
+
+  await t.test('returns null for types without a record route', () => {
+    assert.equal(entityPath('Reminder', 1), null);
+  });
+
+  await t.test('round-trips ids through parseRoute', () => {
+    assert.deepEqual(parseRoute(`#${entityPath('Bill', 'INV/01')}`).params, ['INV/01']);
+  });
+});
+
+test('recordId converts numeric ids only', async () => {
+  const { recordId } = await loadRouter();
+  assert.equal(recordId('123'), 123);
+  assert.equal(recordId('INV/01'), 'INV/01');
+  assert.equal(recordId('12a'), '12a');
+});
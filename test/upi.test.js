@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app.js');
+
+const SCRIPTS = ['api-config.js', 'api-service.js', 'app.js', 'gst.js', 'payment-terms.js', 'invoice-templates.js', 'upi.js'];
+const BRANDING = { upiId: 'asha@okhdfc', businessName: 'Asha Traders & Sons' };
+
+test('buildUpiLink', async (t) => {
+  const app = loadApp({ scripts: SCRIPTS });
+
+  await t.test('encodes the payee, amount and note', () => {
+    assert.equal(
+      app.buildUpiLink({ upiId: 'asha@okhdfc', payeeName: 'Asha Traders & Sons', amount: 1180.5, note: 'Invoice #12' }),
+      'upi://pay?pa=asha%40okhdfc&pn=Asha%20Traders%20%26%20Sons&am=1180.50&cu=INR&tn=Invoice%20%2312'
+    );
+  });
+
+  await t.test('leaves the amount for the payer when none is given', () => {
+    assert.equal(app.buildUpiLink({ upiId: 'asha@okhdfc' }), 'upi://pay?pa=asha%40okhdfc&cu=INR');
+  });
+
+  await t.test('needs a valid UPI ID', () => {
+    assert.equal(app.buildUpiLink({ upiId: 'asha', amount: 10 }), null);
+    assert.equal(app.buildUpiLink({ amount: 10 }), null);
+  });
+});
+
+test('getBillUpiLink', async (t) => {
+  const app = loadApp({ scripts: SCRIPTS });
+  const bill = { id: 7, billNumber: 'BILL-0007', billAmount: 2360, status: 'Partial' };
+
+  await t.test('asks for the amount due with the bill number as the note', () => {
+    assert.equal(app.getBillUpiLink(bill, 1000, BRANDING), 'upi://pay?pa=asha%40okhdfc&pn=Asha%20Traders%20%26%20Sons&am=1000.00&cu=INR&tn=Invoice%20BILL-0007');
+    assert.match(app.getBillUpiLink(bill, undefined, BRANDING), /am=2360\.00/);
+  });
+
+  await t.test('has nothing to pay on settled bills or without a UPI ID', () => {
+    assert.equal(app.getBillUpiLink({ ...bill, status: 'Paid' }, undefined, BRANDING), null);
+    assert.equal(app.getBillUpiLink(bill, 0, BRANDING), null);
+    assert.equal(app.getBillUpiLink(bill, 100, { businessName: 'Asha Traders' }), null);
+  });
+
+  await t.test('uses the saved invoice branding by default', () => {
+    app.storeInvoiceSettings({ layout: 'classic', color: '#667eea', businessName: 'Asha Traders', upiId: 'asha@okhdfc' });
+    assert.match(app.getBillUpiLink(bill, 50), /^upi:\/\/pay\?pa=asha%40okhdfc&pn=Asha%20Traders&am=50\.00/);
+  });
+});
+
+test('getBillViewUrl points at the payment link page and keeps a non-default environment', () => {
+  const production = loadApp({ scripts: SCRIPTS, url: 'https://app.example/dashboard.html' });
+  assert.equal(production.getBillViewUrl('abc-123'), 'https://app.example/bill-view.html?token=abc-123');
+  const staging = loadApp({ scripts: SCRIPTS, url: 'https://app.example/dashboard.html?env=staging' });
+  assert.equal(staging.getBillViewUrl('abc-123'), 'https://app.example/bill-view.html?token=abc-123&env=staging');
+});
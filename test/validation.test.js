@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app.js');
+
+const app = loadApp();
+
+test('validatePhone', async (t) => {
+  await t.test('accepts 10 digits with common separators', () => {
+    assert.equal(app.validatePhone('9876543210').valid, true);
+    assert.equal(app.validatePhone('98765-43210').valid, true);
+    assert.equal(app.validatePhone('(987) 654 3210').valid, true);
+  });
+
+  await t.test('requires a value', () => {
+    assert.deepEqual(plain(app.validatePhone('')), { valid: false, message: 'Phone number is required' });
+    assert.equal(app.validatePhone('   ').valid, false);
+    assert.equal(app.validatePhone(null).valid, false);
+  });
+
+  await t.test('rejects wrong length and letters', () => {
+    assert.equal(app.validatePhone('987654321').message, 'Phone must be 10 digits');
+    assert.equal(app.validatePhone('98765432101').valid, false);
+    assert.equal(app.validatePhone('98765abcde').valid, false);
+    assert.equal(app.validatePhone('+919876543210').valid, false);
+  });
+});
+
+test('validateAmount', async (t) => {
+  await t.test('accepts positive numbers and numeric strings', () => {
+    assert.equal(app.validateAmount(1).valid, true);
+    assert.equal(app.validateAmount('0.01').valid, true);
+    assert.equal(app.validateAmount(999999999).valid, true);
+  });
+
+  await t.test('reports why an amount is rejected', () => {
+    assert.equal(app.validateAmount('').message, 'Amount is required');
+    assert.equal(app.validateAmount(null).message, 'Amount is required');
+    assert.equal(app.validateAmount(undefined).message, 'Amount is required');
+    assert.equal(app.validateAmount('abc').message, 'Amount must be a number');
+    assert.equal(app.validateAmount(0).message, 'Amount must be greater than 0');
+    assert.equal(app.validateAmount(-5).message, 'Amount must be greater than 0');
+    assert.equal(app.validateAmount(1000000000).message, 'Amount is too large');
+  });
+});
+
+test('validateCustomerForm', async (t) => {
+  const valid = { name: 'Asha Stores', phone: '9876543210', address: '4 Station Road' };
+
+  await t.test('passes a complete customer', () => {
+    assert.deepEqual(plain(app.validateCustomerForm(valid)), { valid: true, errors: [] });
+  });
+
+  await t.test('collects every failing field', () => {
+    const result = app.validateCustomerForm({ name: '', phone: '123', address: 'x'.repeat(201) });
+    assert.equal(result.valid, false);
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['name', 'phone', 'address']);
+  });
+
+  await t.test('rejects names with markup characters', () => {
+    const result = app.validateCustomerForm({ ...valid, name: '<script>' });
+    assert.equal(result.errors[0].message, 'Name contains invalid characters');
+  });
+
+  await t.test('skips the GSTIN check when gst.js is not loaded', () => {
+    assert.equal(app.validateCustomerForm({ ...valid, gstNumber: 'not-a-gstin' }).valid, true);
+  });
+
+  await t.test('checks the GSTIN checksum when gst.js is loaded', () => {
+    const withGst = loadApp({ scripts: ['api-config.js', 'api-service.js', 'app.js', 'gst.js'] });
+    assert.equal(withGst.validateCustomerForm({ ...valid, gstNumber: '27AAPFU0939F1ZV' }).valid, true);
+    const result = withGst.validateCustomerForm({ ...valid, gstNumber: '27AAPFU0939F1ZX' });
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['gstNumber']);
+  });
+
+  await t.test('accepts a blank or negative opening balance but not text', () => {
+    assert.equal(app.validateCustomerForm({ ...valid, openingBalance: '' }).valid, true);
+    assert.equal(app.validateCustomerForm({ ...valid, openingBalance: '-250.50' }).valid, true);
+    const result = app.validateCustomerForm({ ...valid, openingBalance: 'abc' });
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['openingBalance']);
+  });
+});
+
+test('validatePaymentForm', async (t) => {
+  await t.test('passes a complete payment', () => {
+    assert.equal(app.validatePaymentForm({ customerId: 1, billId: 2, amount: 100, mode: 'UPI' }).valid, true);
+  });
+
+  await t.test('requires customer, bill, amount and a known mode', () => {
+    const result = app.validatePaymentForm({ customerId: 0, billId: 0, amount: '', mode: 'Card' });
+    assert.deepEqual(plain(result.errors.map(e => e.field)), ['customer', 'bill', 'amount', 'mode']);
+  });
+
+  await t.test('accepts each supported mode', () => {
+    ['Cash', 'UPI', 'Cheque'].forEach(mode => {
+      assert.equal(app.validatePaymentForm({ customerId: 1, billId: 1, amount: 5, mode }).valid, true, mode);
+    });
+  });
+});
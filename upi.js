@@ -0,0 +1,130 @@
+/**
+ * UPI payments - the upi://pay link for a bill, shown as a QR code on the
+ * invoice PDF and in the bill details, and the payment link page a customer
+ * opens without logging in (bill-view.html)
+ *
+ * The link carries the business UPI ID and name from the invoice branding,
+ * the amount due and the bill number as the note, so any UPI app opens with
+ * the payment filled in. Drawing the QR code needs the qrcode-generator
+ * library (the qrcode() global); without it the link is still usable.
+ *
+ * Payment link pages are reached through a token the API issues per bill
+ * (POST /Bills/{id}/view-link) and that can be revoked or expires.
+ *
+ * Usage:
+ *   Include after app.js (and invoice-templates.js on pages with branding).
+ *   const link = getBillUpiLink(bill, amountDue);      // null when nothing to pay
+ *   drawPDFUpiQr(doc, link, x, y, size);
+ *   const src = getUpiQrDataUrl(link);                 // for an <img>
+ *   const url = getBillViewUrl(token);
+ */
+
+// Payee name and note limits most UPI apps accept
+const UPI_NAME_MAX_LENGTH = 50;
+const UPI_NOTE_MAX_LENGTH = 50;
+
+const UPI_ID_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/;
+
+/**
+ * Builds a upi://pay deep link
+ * @param {object} payment - {upiId, payeeName, amount, note}
+ * @returns {string|null} - null when the UPI ID is missing or invalid
+ */
+function buildUpiLink({ upiId, payeeName, amount, note } = {}) {
+  const vpa = String(upiId || '').trim();
+  if (!UPI_ID_PATTERN.test(vpa)) return null;
+  const params = [['pa', vpa]];
+  const name = String(payeeName || '').trim().slice(0, UPI_NAME_MAX_LENGTH);
+  if (name) params.push(['pn', name]);
+  const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+  if (value > 0) params.push(['am', value.toFixed(2)]);
+  params.push(['cu', 'INR']);
+  const text = String(note || '').trim().slice(0, UPI_NOTE_MAX_LENGTH);
+  if (text) params.push(['tn', text]);
+  return 'upi://pay?' + params.map(([key, val]) => `${key}=${encodeURIComponent(val)}`).join('&');
+}
+
+/**
+ * UPI link for what is still owed on a bill
+ * @param {object} bill
+ * @param {number} [amountDue] - Defaults to the bill amount, or nothing for
+ *   paid, credited and cancelled bills
+ * @param {object} [settings] - Invoice branding {upiId, businessName}
+ * @returns {string|null} - null when there is nothing to pay or no UPI ID
+ */
+function getBillUpiLink(bill, amountDue, settings = getInvoiceSettings()) {
+  const closed = ['paid', 'credited', 'cancelled'].includes(String(bill.status || '').toLowerCase());
+  const due = amountDue !== undefined ? parseFloat(amountDue) || 0 : (closed ? 0 : parseFloat(bill.billAmount) || 0);
+  if (due <= 0) return null;
+  return buildUpiLink({
+    upiId: settings.upiId,
+    payeeName: settings.businessName,
+    amount: due,
+    note: `Invoice ${bill.billNumber || '#' + bill.id}`
+  });
+}
+
+// QR code for the link, or null without the qrcode-generator library
+function createUpiQr(link) {
+  if (!link || typeof qrcode !== 'function') return null;
+  const qr = qrcode(0, 'M');
+  qr.addData(link);
+  qr.make();
+  return qr;
+}
+
+/**
+ * Draws the QR code for a UPI link as vector squares on a jsPDF document
+ * @returns {boolean} - false when nothing was drawn
+ */
+function drawPDFUpiQr(doc, link, x, y, size) {
+  const qr = createUpiQr(link);
+  if (!qr) return false;
+  const count = qr.getModuleCount();
+  const cell = size / count;
+  doc.setFillColor(255, 255, 255);
+  doc.rect(x, y, size, size, 'F');
+  doc.setFillColor(0, 0, 0);
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell, 'F');
+    }
+  }
+  return true;
+}
+
+/**
+ * QR code image for a UPI link
+ * @param {string} link
+ * @param {number} [cellSize] - Pixels per module
+ * @returns {string} - Data URL, or '' without the qrcode-generator library
+ */
+function getUpiQrDataUrl(link, cellSize = 4) {
+  const qr = createUpiQr(link);
+  return qr ? qr.createDataURL(cellSize, cellSize * 2) : '';
+}
+
+/**
+ * Address of the payment link page for a view token. A non-default API
+ * environment is carried along so the page asks the same API.
+ * @param {string} token
+ * @returns {string}
+ */
+function getBillViewUrl(token) {
+  const url = new URL('bill-view.html', window.location.href);
+  url.searchParams.set('token', token);
+  if (typeof API_CONFIG !== 'undefined' && API_CONFIG.ENVIRONMENT !== API_DEFAULT_ENVIRONMENT) {
+    url.searchParams.set('env', API_CONFIG.ENVIRONMENT);
+  }
+  return url.href;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildUpiLink,
+    getBillUpiLink,
+    drawPDFUpiQr,
+    getUpiQrDataUrl,
+    getBillViewUrl
+  };
+}